@@ -1,4 +1,7 @@
 const { Pool } = require('pg');
+const { hashPassword, copyStoredPassword } = require('./services/passwordService');
+const { tokenEncryption } = require('./services/tokenEncryptionService');
+const { MIGRATE_ON_STARTUP, migratePostgres } = require('./services/schemaMigrations');
 
 // Returns next Sunday at 3:00 AM UTC
 function getNextSunday3AM() {
@@ -38,250 +41,114 @@ function initializePool() {
   return pool;
 }
 
-// Initialize tables
-async function initializeTables() {
-  const client = await pool.connect();
-  try {
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        email TEXT PRIMARY KEY,
-        password TEXT NOT NULL,
-        platform TEXT,
-        user_id TEXT,
-        plan TEXT DEFAULT 'free',
-        weekly_generations INTEGER DEFAULT 0,
-        weekly_reset_at TIMESTAMP,
-        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-        updated_at TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS connected_platforms (
-        email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
-        spotify BOOLEAN DEFAULT FALSE,
-        apple BOOLEAN DEFAULT FALSE
-      );
-
-      CREATE TABLE IF NOT EXISTS tokens (
-        user_id TEXT PRIMARY KEY,
-        access_token TEXT NOT NULL,
-        refresh_token TEXT,
-        developer_token TEXT,
-        platform TEXT,
-        email TEXT,
-        authorized_at TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-
-      CREATE TABLE IF NOT EXISTS password_reset_tokens (
-        email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
-        token TEXT NOT NULL,
-        expires_at TIMESTAMP NOT NULL,
-        created_at TIMESTAMP NOT NULL DEFAULT NOW()
-      );
-
-      CREATE TABLE IF NOT EXISTS playlists (
-        user_id TEXT NOT NULL,
-        playlist_id TEXT NOT NULL,
-        playlist_data JSONB NOT NULL,
-        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
-        PRIMARY KEY (user_id, playlist_id)
-      );
-
-      CREATE TABLE IF NOT EXISTS artist_history (
-        user_id TEXT NOT NULL,
-        artist_name TEXT NOT NULL,
-        artist_id TEXT,
-        first_seen TIMESTAMP NOT NULL DEFAULT NOW(),
-        last_seen TIMESTAMP NOT NULL DEFAULT NOW(),
-        play_count INTEGER DEFAULT 1,
-        PRIMARY KEY (user_id, artist_name)
-      );
-
-      CREATE TABLE IF NOT EXISTS artist_recommendations_cache (
-        user_id TEXT PRIMARY KEY,
-        artists_json JSONB NOT NULL,
-        cached_at TIMESTAMP NOT NULL DEFAULT NOW(),
-        expires_at TIMESTAMP NOT NULL
-      );
-
-      CREATE TABLE IF NOT EXISTS trending_artists_cache (
-        user_id TEXT PRIMARY KEY,
-        genres_data JSONB NOT NULL,
-        cached_at TIMESTAMP NOT NULL DEFAULT NOW(),
-        expires_at TIMESTAMP NOT NULL
-      );
-
-      CREATE TABLE IF NOT EXISTS soundcharts_cache (
-        cache_key TEXT PRIMARY KEY,
-        data TEXT NOT NULL,
-        created_at TIMESTAMP NOT NULL DEFAULT NOW()
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_soundcharts_cache_created ON soundcharts_cache(created_at);
-
-      CREATE TABLE IF NOT EXISTS song_details (
-        uuid TEXT PRIMARY KEY,
-        name TEXT,
-        artist_name TEXT,
-        artist_uuid TEXT,
-        isrc TEXT,
-        release_date TEXT,
-        energy REAL,
-        valence REAL,
-        danceability REAL,
-        tempo REAL,
-        loudness REAL,
-        acousticness REAL,
-        instrumentalness REAL,
-        speechiness REAL,
-        liveness REAL,
-        key_signature SMALLINT,
-        mode SMALLINT,
-        time_signature SMALLINT,
-        moods TEXT[],
-        themes TEXT[],
-        genres TEXT[],
-        subgenres TEXT[],
-        fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
-        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_song_details_isrc ON song_details(isrc);
-      CREATE INDEX IF NOT EXISTS idx_song_details_artist_uuid ON song_details(artist_uuid);
-
-      CREATE TABLE IF NOT EXISTS artist_details (
-        uuid TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        name_lower TEXT NOT NULL,
-        career_stage TEXT,
-        spotify_id TEXT,
-        spotify_popularity SMALLINT,
-        spotify_genres TEXT[],
-        sc_genres TEXT[],
-        sc_subgenres TEXT[],
-        fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
-        updated_at TIMESTAMP NOT NULL DEFAULT NOW()
-      );
-      CREATE INDEX IF NOT EXISTS idx_artist_details_name_lower ON artist_details(name_lower);
-
-      CREATE TABLE IF NOT EXISTS artist_catalogs (
-        artist_uuid TEXT PRIMARY KEY,
-        artist_name TEXT NOT NULL,
-        genre TEXT,
-        song_count INTEGER,
-        latest_song_uuid TEXT,
-        cached_at TIMESTAMP NOT NULL DEFAULT NOW()
-      );
+function mapUpdateJobRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    playlistId: row.playlist_id,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at,
+    lockedBy: row.locked_by,
+    lockedUntil: row.locked_until,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
 
-      CREATE TABLE IF NOT EXISTS artist_songs (
-        id SERIAL PRIMARY KEY,
-        artist_uuid TEXT NOT NULL REFERENCES artist_catalogs(artist_uuid) ON DELETE CASCADE,
-        song_uuid TEXT,
-        song_name TEXT NOT NULL,
-        isrc TEXT,
-        release_date TEXT,
-        created_at TIMESTAMP NOT NULL DEFAULT NOW()
-      );
+// platform_user_ids column per platform id (whitelisted; interpolated into SQL)
+const PLATFORM_USER_ID_COLUMNS = {
+  spotify: 'spotify_user_id',
+  apple: 'apple_music_user_id',
+  youtube: 'youtube_user_id'
+};
+
+// Usage report groupings → column (whitelisted; interpolated into SQL)
+const USAGE_GROUP_COLUMNS = { user: 'email', plan: 'plan', promptType: 'prompt_type' };
+
+function mapUsageReportRow(row) {
+  return {
+    key: row.grp,
+    generations: Number(row.generations),
+    completed: Number(row.completed),
+    llmCalls: Number(row.llm_calls),
+    inputTokens: Number(row.input_tokens),
+    outputTokens: Number(row.output_tokens),
+    soundchartsCalls: Number(row.soundcharts_calls),
+    platformCalls: Number(row.platform_calls),
+    costUsd: Number(row.cost_usd),
+    avgCostUsd: row.generations > 0 ? Number(row.cost_usd) / Number(row.generations) : 0
+  };
+}
 
-      CREATE INDEX IF NOT EXISTS idx_artist_songs_artist_uuid ON artist_songs(artist_uuid);
-      CREATE INDEX IF NOT EXISTS idx_artist_songs_isrc ON artist_songs(isrc);
-      CREATE INDEX IF NOT EXISTS idx_artist_songs_song_uuid ON artist_songs(song_uuid);
-      ALTER TABLE artist_songs ADD COLUMN IF NOT EXISTS song_uuid TEXT;
-      DO $$ BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM pg_constraint WHERE conname = 'artist_songs_song_uuid_key'
-        ) THEN
-          DELETE FROM artist_songs a USING artist_songs b
-            WHERE a.id > b.id AND a.song_uuid IS NOT DISTINCT FROM b.song_uuid AND a.song_uuid IS NOT NULL;
-          ALTER TABLE artist_songs ADD CONSTRAINT artist_songs_song_uuid_key UNIQUE (song_uuid);
-        END IF;
-      END $$;
-      CREATE INDEX IF NOT EXISTS idx_artist_catalogs_genre ON artist_catalogs(genre);
-
-      CREATE TABLE IF NOT EXISTS platform_user_ids (
-        email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
-        spotify_user_id TEXT,
-        apple_music_user_id TEXT
-      );
+function mapAuditLogRow(row) {
+  return {
+    id: row.id,
+    actorEmail: row.actor_email,
+    action: row.action,
+    targetEmail: row.target_email,
+    details: row.details || {},
+    createdAt: row.created_at
+  };
+}
 
-      CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id);
-      CREATE INDEX IF NOT EXISTS idx_tokens_email ON tokens(email);
-      CREATE INDEX IF NOT EXISTS idx_reset_tokens_token ON password_reset_tokens(token);
-      CREATE INDEX IF NOT EXISTS idx_playlists_user_id ON playlists(user_id);
-      CREATE INDEX IF NOT EXISTS idx_playlists_updated_at ON playlists(updated_at);
-      CREATE INDEX IF NOT EXISTS idx_artist_history_user_id ON artist_history(user_id);
-      CREATE INDEX IF NOT EXISTS idx_artist_cache_expires ON artist_recommendations_cache(expires_at);
-    `);
-    console.log('PostgreSQL tables initialized');
-  } finally {
-    client.release();
-  }
+function mapPlaylistRunRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    playlistId: row.playlist_id,
+    trigger: row.trigger_type,
+    status: row.status,
+    prompt: row.prompt,
+    tracksAdded: row.tracks_added || [],
+    tracksRemoved: row.tracks_removed || [],
+    tracksBefore: row.tracks_before || [],
+    error: row.error,
+    createdAt: row.created_at
+  };
 }
 
-// Database migrations
-async function migrateDatabase() {
+// A new users row with its connected_platforms row; `storedPassword` is already hashed
+async function insertUser(email, storedPassword, platform, userId) {
   const client = await pool.connect();
   try {
-    console.log('Running PostgreSQL database migrations...');
-
-    // Add user_music_token and storefront columns if they don't exist
-    await client.query(`
-      ALTER TABLE tokens
-      ADD COLUMN IF NOT EXISTS user_music_token TEXT,
-      ADD COLUMN IF NOT EXISTS storefront TEXT
-    `);
-
-    // Add plan and weekly generation columns to users table if they don't exist
-    await client.query(`
-      ALTER TABLE users
-      ADD COLUMN IF NOT EXISTS plan TEXT DEFAULT 'free',
-      ADD COLUMN IF NOT EXISTS weekly_generations INTEGER DEFAULT 0,
-      ADD COLUMN IF NOT EXISTS weekly_reset_at TIMESTAMP
-    `);
+    await client.query('BEGIN');
 
-    // Add Stripe columns
     await client.query(`
-      ALTER TABLE users
-      ADD COLUMN IF NOT EXISTS stripe_customer_id TEXT,
-      ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT,
-      ADD COLUMN IF NOT EXISTS subscription_status TEXT,
-      ADD COLUMN IF NOT EXISTS subscription_ends_at TIMESTAMP
-    `);
-
-    // Add product tour completed column
-    await client.query(`
-      ALTER TABLE users
-      ADD COLUMN IF NOT EXISTS product_tour_completed BOOLEAN DEFAULT FALSE
-    `);
+      INSERT INTO users (email, password, platform, user_id, created_at)
+      VALUES ($1, $2, $3, $4, NOW())
+    `, [email, storedPassword, platform, userId]);
 
-    // Add user settings columns
     await client.query(`
-      ALTER TABLE users
-      ADD COLUMN IF NOT EXISTS allow_explicit BOOLEAN DEFAULT TRUE,
-      ADD COLUMN IF NOT EXISTS dark_mode BOOLEAN DEFAULT FALSE
-    `);
-
-    // Add trial tracking column
-    await client.query(`
-      ALTER TABLE users
-      ADD COLUMN IF NOT EXISTS trial_used BOOLEAN DEFAULT FALSE
-    `);
+      INSERT INTO connected_platforms (email, spotify, apple)
+      VALUES ($1, false, false)
+    `, [email]);
 
-    console.log('✓ PostgreSQL migrations complete');
-  } catch (error) {
-    console.error('Error running migrations:', error);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
   } finally {
     client.release();
   }
 }
 
+// Tables purgeUserData clears, by the column that holds the account
+const USER_ID_TABLES = ['tokens', 'feedback', 'playlists', 'playlist_reactions', 'saved_playlists', 'artist_history', 'artist_recommendations_cache', 'trending_artists_cache', 'update_jobs', 'playlist_runs'];
+const EMAIL_TABLES = ['tokens', 'feedback', 'refresh_tokens', 'password_reset_tokens', 'platform_user_ids', 'connected_platforms', 'users'];
+
 // High-level API
 class DatabaseService {
-  async initialize() {
-    pool = initializePool();
-    await initializeTables();
-    await migrateDatabase();
+  // existingPool: a ready pg Pool (or stand-in) to use instead of connecting to DATABASE_URL
+  async initialize({ pool: existingPool } = {}) {
+    pool = existingPool || initializePool();
+    // Bring the schema up to date (see migrations/ and services/schemaMigrations.js)
+    await migratePostgres(pool, { checkOnly: !MIGRATE_ON_STARTUP });
   }
 
   // Users
@@ -297,9 +164,12 @@ class DatabaseService {
              u.allow_explicit as "allowExplicit",
              u.dark_mode as "darkMode",
              u.trial_used as "trialUsed",
+             u.role,
+             u.deletion_scheduled_at as "deletionScheduledAt",
              u.created_at as "createdAt", u.updated_at as "updatedAt",
              COALESCE(cp.spotify, false) as spotify,
-             COALESCE(cp.apple, false) as apple
+             COALESCE(cp.apple, false) as apple,
+             COALESCE(cp.youtube, false) as youtube
       FROM users u
       LEFT JOIN connected_platforms cp ON u.email = cp.email
       WHERE u.email = $1
@@ -323,10 +193,13 @@ class DatabaseService {
       allowExplicit: row.allowExplicit !== false, // default true
       darkMode: row.darkMode || false,
       trialUsed: row.trialUsed || false,
+      role: row.role || 'user',
+      deletionScheduledAt: row.deletionScheduledAt || null,
       createdAt: row.createdAt,
       connectedPlatforms: {
         spotify: row.spotify,
-        apple: row.apple
+        apple: row.apple,
+        youtube: row.youtube
       }
     };
   }
@@ -366,6 +239,14 @@ class DatabaseService {
     );
   }
 
+  async setUserRole(email, role) {
+    const result = await pool.query(
+      `UPDATE users SET role = $1, updated_at = NOW() WHERE email = $2`,
+      [role, email]
+    );
+    return result.rowCount > 0;
+  }
+
   async getUserByStripeCustomerId(stripeCustomerId) {
     const result = await pool.query(
       `SELECT email, plan, stripe_customer_id as "stripeCustomerId", stripe_subscription_id as "stripeSubscriptionId" FROM users WHERE stripe_customer_id = $1`,
@@ -376,35 +257,22 @@ class DatabaseService {
   }
 
   async createUser(email, password, platform, userId = null) {
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-
-      await client.query(`
-        INSERT INTO users (email, password, platform, user_id, created_at)
-        VALUES ($1, $2, $3, $4, NOW())
-      `, [email, password, platform, userId]);
-
-      await client.query(`
-        INSERT INTO connected_platforms (email, spotify, apple)
-        VALUES ($1, false, false)
-      `, [email]);
+    await insertUser(email, await hashPassword(password), platform, userId);
+  }
 
-      await client.query('COMMIT');
-    } catch (err) {
-      await client.query('ROLLBACK');
-      throw err;
-    } finally {
-      client.release();
-    }
+  // Copy a users row from elsewhere (migrate-sqlite-to-postgres.js, a cached user written
+  // back): its stored password hash is kept rather than hashed again
+  async importUser(email, storedPassword, platform, userId = null) {
+    await insertUser(email, await copyStoredPassword(storedPassword), platform, userId);
   }
 
+  // Platform and userId; the password only changes through updatePassword
   async updateUser(email, data) {
     await pool.query(`
       UPDATE users
-      SET password = $1, platform = $2, user_id = $3, updated_at = NOW()
-      WHERE email = $4
-    `, [data.password, data.platform, data.userId, email]);
+      SET platform = $1, user_id = $2, updated_at = NOW()
+      WHERE email = $3
+    `, [data.platform, data.userId, email]);
   }
 
   async updateUserId(email, userId) {
@@ -437,6 +305,14 @@ class DatabaseService {
         'UPDATE playlists SET user_id = $1 WHERE user_id = $2',
         [newEmail, oldEmail]
       );
+      await client.query(
+        'UPDATE playlist_reactions SET user_id = $1 WHERE user_id = $2',
+        [newEmail, oldEmail]
+      );
+      await client.query(
+        'UPDATE saved_playlists SET user_id = $1 WHERE user_id = $2',
+        [newEmail, oldEmail]
+      );
       await client.query(
         'UPDATE artist_history SET user_id = $1 WHERE user_id = $2',
         [newEmail, oldEmail]
@@ -454,12 +330,68 @@ class DatabaseService {
     await pool.query(`DELETE FROM users WHERE email = $1`, [email]);
   }
 
+  // Account deletion
+  async scheduleUserDeletion(email, purgeAt) {
+    await pool.query(`
+      UPDATE users
+      SET deletion_requested_at = NOW(), deletion_scheduled_at = $1, updated_at = NOW()
+      WHERE email = $2
+    `, [new Date(purgeAt), email]);
+  }
+
+  async cancelUserDeletion(email) {
+    const result = await pool.query(`
+      UPDATE users
+      SET deletion_requested_at = NULL, deletion_scheduled_at = NULL, updated_at = NOW()
+      WHERE email = $1 AND deletion_scheduled_at IS NOT NULL
+    `, [email]);
+    return result.rowCount > 0;
+  }
+
+  async getUsersDueForDeletion(now = new Date()) {
+    const result = await pool.query(`
+      SELECT email FROM users
+      WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= $1
+    `, [new Date(now)]);
+    return result.rows.map(row => row.email);
+  }
+
+  // Every row belonging to the account, in one transaction. `userIds` are the
+  // platform user ids rows were keyed by (tokens, playlists, artist history, runs).
+  // Usage accounting is kept for cost reports with the user fields cleared;
+  // admin_audit_log is append-only and keeps its entries.
+  async purgeUserData(email, userIds = []) {
+    const ids = [...new Set([email, ...userIds].filter(Boolean))];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const table of USER_ID_TABLES) {
+        await client.query(`DELETE FROM ${table} WHERE user_id = ANY($1)`, [ids]);
+      }
+      await client.query(
+        'UPDATE generation_usage SET user_id = NULL, email = NULL WHERE user_id = ANY($1) OR email = $2',
+        [ids, email]
+      );
+      for (const table of EMAIL_TABLES) {
+        await client.query(`DELETE FROM ${table} WHERE email = $1`, [email]);
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
   async getAllUsers() {
     const result = await pool.query(`
       SELECT u.email, u.password, u.platform, u.user_id as "userId",
+             u.plan, u.role, u.stripe_customer_id as "stripeCustomerId",
              u.created_at as "createdAt",
              COALESCE(cp.spotify, false) as spotify,
-             COALESCE(cp.apple, false) as apple
+             COALESCE(cp.apple, false) as apple,
+             COALESCE(cp.youtube, false) as youtube
       FROM users u
       LEFT JOIN connected_platforms cp ON u.email = cp.email
     `);
@@ -469,17 +401,21 @@ class DatabaseService {
       password: row.password,
       platform: row.platform,
       userId: row.userId,
+      plan: row.plan || 'free',
+      role: row.role || 'user',
+      stripeCustomerId: row.stripeCustomerId || null,
       createdAt: row.createdAt,
       connectedPlatforms: {
         spotify: row.spotify,
-        apple: row.apple
+        apple: row.apple,
+        youtube: row.youtube
       }
     }));
   }
 
   // Connected Platforms
   async setConnectedPlatform(email, platform, connected) {
-    const column = platform === 'spotify' ? 'spotify' : 'apple';
+    const column = platform === 'spotify' || platform === 'youtube' ? platform : 'apple';
     await pool.query(`
       INSERT INTO connected_platforms (email, ${column})
       VALUES ($1, $2)
@@ -497,21 +433,25 @@ class DatabaseService {
     `, [email, spotify, apple]);
   }
 
+  // YouTube Music is only written when the caller includes it, so older
+  // { spotify, apple } payloads don't disconnect it
   async updatePlatforms(email, platforms) {
     await pool.query(`
-      INSERT INTO connected_platforms (email, spotify, apple)
-      VALUES ($1, $2, $3)
+      INSERT INTO connected_platforms (email, spotify, apple, youtube)
+      VALUES ($1, $2, $3, COALESCE($4, FALSE))
       ON CONFLICT (email) DO UPDATE SET
         spotify = $2,
-        apple = $3
-    `, [email, platforms.spotify, platforms.apple]);
+        apple = $3,
+        youtube = COALESCE($4, connected_platforms.youtube)
+    `, [email, platforms.spotify, platforms.apple, platforms.youtube ?? null]);
   }
 
   // Tokens
   async getToken(userId) {
     const result = await pool.query(`
       SELECT user_id, access_token, refresh_token, developer_token,
-             platform, email, authorized_at
+             platform, email, authorized_at, expires_at, storefront, market,
+             connection_status, connection_checked_at
       FROM tokens
       WHERE user_id = $1
     `, [userId]);
@@ -520,69 +460,118 @@ class DatabaseService {
 
     const row = result.rows[0];
     return {
-      access_token: row.access_token,
-      refresh_token: row.refresh_token,
-      developer_token: row.developer_token,
+      access_token: tokenEncryption.decrypt(row.access_token, { userId: row.user_id, column: 'access_token' }),
+      refresh_token: tokenEncryption.decrypt(row.refresh_token, { userId: row.user_id, column: 'refresh_token' }),
+      developer_token: tokenEncryption.decrypt(row.developer_token, { userId: row.user_id, column: 'developer_token' }),
       platform: row.platform,
       email: row.email,
-      authorized_at: row.authorized_at
+      authorized_at: row.authorized_at,
+      expires_at: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+      storefront: row.storefront || null,
+      market: row.market || null,
+      connection_status: row.connection_status || 'connected',
+      connection_checked_at: row.connection_checked_at ? new Date(row.connection_checked_at).toISOString() : null
     };
   }
 
+  // Token values are encrypted at rest (services/tokenEncryptionService). Storing a token
+  // (a new connection, or one a platform call just accepted) marks the connection healthy.
   async setToken(userId, tokenData) {
     await pool.query(`
       INSERT INTO tokens (user_id, access_token, refresh_token, developer_token,
-                         platform, email, authorized_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+                         platform, email, authorized_at, updated_at, expires_at, storefront, market)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), $8, $9, $10)
       ON CONFLICT (user_id) DO UPDATE SET
         access_token = $2,
+        expires_at = $8,
         refresh_token = COALESCE($3, tokens.refresh_token),
         developer_token = COALESCE($4, tokens.developer_token),
         platform = COALESCE($5, tokens.platform),
         email = COALESCE($6, tokens.email),
+        storefront = COALESCE($9, tokens.storefront),
+        market = COALESCE($10, tokens.market),
+        connection_status = 'connected',
         updated_at = NOW()
     `, [
       userId,
-      tokenData.access_token,
-      tokenData.refresh_token || null,
-      tokenData.developer_token || null,
+      tokenEncryption.encrypt(tokenData.access_token, { userId, column: 'access_token' }),
+      tokenEncryption.encrypt(tokenData.refresh_token || null, { userId, column: 'refresh_token' }),
+      tokenEncryption.encrypt(tokenData.developer_token || null, { userId, column: 'developer_token' }),
       tokenData.platform || null,
       tokenData.email || null,
-      tokenData.authorized_at || new Date().toISOString()
+      tokenData.authorized_at || new Date().toISOString(),
+      tokenData.expires_at || null,
+      tokenData.storefront || null,
+      tokenData.market || null
     ]);
   }
 
-  async updateAccessToken(userId, accessToken) {
+  // expiresAt: ISO time the access token stops working; refreshToken: set when the refresh rotated it
+  async updateAccessToken(userId, accessToken, { expiresAt = null, refreshToken = null } = {}) {
     await pool.query(`
-      UPDATE tokens SET access_token = $1, updated_at = NOW() WHERE user_id = $2
-    `, [accessToken, userId]);
+      UPDATE tokens SET access_token = $1, expires_at = $2, refresh_token = COALESCE($3, refresh_token), updated_at = NOW()
+      WHERE user_id = $4
+    `, [
+      tokenEncryption.encrypt(accessToken, { userId, column: 'access_token' }),
+      expiresAt,
+      tokenEncryption.encrypt(refreshToken, { userId, column: 'refresh_token' }),
+      userId
+    ]);
   }
 
   async deleteToken(userId) {
     await pool.query(`DELETE FROM tokens WHERE user_id = $1`, [userId]);
   }
 
+  // status: 'connected' or 'needs_reauth'
+  async setConnectionStatus(userId, status) {
+    await pool.query(`
+      UPDATE tokens SET connection_status = $1, connection_checked_at = NOW() WHERE user_id = $2
+    `, [status, userId]);
+  }
+
   async getAllTokens() {
     const result = await pool.query(`
       SELECT user_id, access_token, refresh_token, developer_token,
-             platform, email, authorized_at
+             platform, email, authorized_at, expires_at, storefront, market,
+             connection_status, connection_checked_at
       FROM tokens
     `);
 
     const tokens = {};
     result.rows.forEach(row => {
       tokens[row.user_id] = {
-        access_token: row.access_token,
-        refresh_token: row.refresh_token,
-        developer_token: row.developer_token,
+        access_token: tokenEncryption.decrypt(row.access_token, { userId: row.user_id, column: 'access_token' }),
+        refresh_token: tokenEncryption.decrypt(row.refresh_token, { userId: row.user_id, column: 'refresh_token' }),
+        developer_token: tokenEncryption.decrypt(row.developer_token, { userId: row.user_id, column: 'developer_token' }),
         platform: row.platform,
         email: row.email,
-        authorized_at: row.authorized_at
+        authorized_at: row.authorized_at,
+        expires_at: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+        storefront: row.storefront || null,
+        market: row.market || null,
+        connection_status: row.connection_status || 'connected',
+        connection_checked_at: row.connection_checked_at ? new Date(row.connection_checked_at).toISOString() : null
       };
     });
     return tokens;
   }
 
+  // Token rows as stored (encrypted or legacy plaintext), for migrate-encrypt-tokens.js
+  async getStoredTokenRows() {
+    const result = await pool.query(`
+      SELECT user_id, access_token, refresh_token, developer_token, user_music_token FROM tokens
+    `);
+    return result.rows;
+  }
+
+  async updateStoredTokenRow(userId, { access_token, refresh_token, developer_token, user_music_token }) {
+    await pool.query(`
+      UPDATE tokens SET access_token = $1, refresh_token = $2, developer_token = $3, user_music_token = $4
+      WHERE user_id = $5
+    `, [access_token, refresh_token, developer_token, user_music_token, userId]);
+  }
+
   // Password Reset Tokens
   async createResetToken(email, token, expiresAt) {
     await pool.query(`
@@ -610,10 +599,36 @@ class DatabaseService {
     await pool.query(`DELETE FROM password_reset_tokens WHERE expires_at < NOW()`);
   }
 
+  // Session Refresh Tokens
+  async createRefreshToken(email, tokenHash, expiresAt) {
+    await pool.query(`
+      INSERT INTO refresh_tokens (token_hash, email, expires_at) VALUES ($1, $2, $3)
+    `, [tokenHash, email, expiresAt]);
+  }
+
+  async getRefreshToken(tokenHash) {
+    const result = await pool.query(`SELECT * FROM refresh_tokens WHERE token_hash = $1`, [tokenHash]);
+    const row = result.rows[0];
+    if (!row) return null;
+    return { email: row.email, expiresAt: row.expires_at, revokedAt: row.revoked_at };
+  }
+
+  async revokeRefreshToken(tokenHash) {
+    await pool.query(`UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL`, [tokenHash]);
+  }
+
+  async revokeRefreshTokensForUser(email) {
+    await pool.query(`UPDATE refresh_tokens SET revoked_at = NOW() WHERE email = $1 AND revoked_at IS NULL`, [email]);
+  }
+
+  async cleanExpiredRefreshTokens() {
+    await pool.query(`DELETE FROM refresh_tokens WHERE expires_at < NOW()`);
+  }
+
   async updatePassword(email, newPassword) {
     await pool.query(`
       UPDATE users SET password = $1, updated_at = NOW() WHERE email = $2
-    `, [newPassword, email]);
+    `, [await hashPassword(newPassword), email]);
   }
 
   // Playlists
@@ -693,6 +708,71 @@ class DatabaseService {
     return playlistsByUser;
   }
 
+  // Playlist reactions: { playlistId: { thumbsUp: [userId], thumbsDown: [userId] } }, oldest first
+  async getAllPlaylistReactions() {
+    const result = await pool.query(`
+      SELECT playlist_id, user_id, reaction FROM playlist_reactions ORDER BY created_at
+    `);
+
+    const reactions = {};
+    result.rows.forEach(row => {
+      if (!reactions[row.playlist_id]) {
+        reactions[row.playlist_id] = { thumbsUp: [], thumbsDown: [] };
+      }
+      reactions[row.playlist_id][row.reaction === 'up' ? 'thumbsUp' : 'thumbsDown'].push(row.user_id);
+    });
+    return reactions;
+  }
+
+  async setPlaylistReaction(playlistId, userId, reaction) {
+    await pool.query(`
+      INSERT INTO playlist_reactions (playlist_id, user_id, reaction, created_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (playlist_id, user_id) DO UPDATE SET
+        reaction = $3,
+        created_at = NOW()
+    `, [playlistId, userId, reaction]);
+  }
+
+  async removePlaylistReaction(playlistId, userId) {
+    await pool.query(`
+      DELETE FROM playlist_reactions WHERE playlist_id = $1 AND user_id = $2
+    `, [playlistId, userId]);
+  }
+
+  async deletePlaylistReactions(playlistId) {
+    await pool.query(`DELETE FROM playlist_reactions WHERE playlist_id = $1`, [playlistId]);
+  }
+
+  // Saved playlists: { userId: [playlistId] }, oldest first
+  async getAllSavedPlaylists() {
+    const result = await pool.query(`
+      SELECT user_id, playlist_id FROM saved_playlists ORDER BY created_at
+    `);
+
+    const saved = {};
+    result.rows.forEach(row => {
+      if (!saved[row.user_id]) {
+        saved[row.user_id] = [];
+      }
+      saved[row.user_id].push(row.playlist_id);
+    });
+    return saved;
+  }
+
+  async addSavedPlaylist(userId, playlistId) {
+    await pool.query(`
+      INSERT INTO saved_playlists (user_id, playlist_id, created_at) VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id, playlist_id) DO NOTHING
+    `, [userId, playlistId]);
+  }
+
+  async removeSavedPlaylist(userId, playlistId) {
+    await pool.query(`
+      DELETE FROM saved_playlists WHERE user_id = $1 AND playlist_id = $2
+    `, [userId, playlistId]);
+  }
+
   // Artist History
   async trackArtists(userId, artistNames) {
     const client = await pool.connect();
@@ -929,27 +1009,21 @@ class DatabaseService {
 
   async setPlatformUserId(email, platform, platformUserId) {
     // Validate platform and build safe query
-    if (platform === 'spotify') {
-      await pool.query(`
-        INSERT INTO platform_user_ids (email, spotify_user_id)
-        VALUES ($1, $2)
-        ON CONFLICT (email) DO UPDATE SET spotify_user_id = $2
-      `, [email, platformUserId]);
-    } else if (platform === 'apple') {
-      await pool.query(`
-        INSERT INTO platform_user_ids (email, apple_music_user_id)
-        VALUES ($1, $2)
-        ON CONFLICT (email) DO UPDATE SET apple_music_user_id = $2
-      `, [email, platformUserId]);
-    } else {
+    const column = PLATFORM_USER_ID_COLUMNS[platform];
+    if (!column) {
       throw new Error(`Invalid platform: ${platform}`);
     }
+    await pool.query(`
+      INSERT INTO platform_user_ids (email, ${column})
+      VALUES ($1, $2)
+      ON CONFLICT (email) DO UPDATE SET ${column} = $2
+    `, [email, platformUserId]);
   }
 
   async getEmailFromPlatformUserId(platformUserId) {
     const result = await pool.query(`
       SELECT email FROM platform_user_ids
-      WHERE spotify_user_id = $1 OR apple_music_user_id = $1
+      WHERE spotify_user_id = $1 OR apple_music_user_id = $1 OR youtube_user_id = $1
     `, [platformUserId]);
     return result.rows.length > 0 ? result.rows[0].email : null;
   }
@@ -1087,6 +1161,243 @@ class DatabaseService {
     ]);
   }
 
+  // Auto-update jobs
+  async enqueueUpdateJob(userId, playlistId, { maxAttempts = 3 } = {}) {
+    // At most one pending/running job per playlist (partial unique index) — duplicates are ignored
+    const result = await pool.query(`
+      INSERT INTO update_jobs (user_id, playlist_id, max_attempts)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (playlist_id) WHERE status IN ('pending', 'running') DO NOTHING
+      RETURNING *
+    `, [userId, playlistId, maxAttempts]);
+    return mapUpdateJobRow(result.rows[0]);
+  }
+
+  async leaseUpdateJobs(workerId, limit, leaseMs) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Running jobs whose lease expired on their final attempt are given up on, not re-leased
+      await client.query(`
+        UPDATE update_jobs
+        SET status = 'failed', last_error = COALESCE(last_error, 'Lease expired before the job finished'),
+            locked_by = NULL, locked_until = NULL, finished_at = NOW(), updated_at = NOW()
+        WHERE status = 'running' AND locked_until < NOW() AND attempts >= max_attempts
+      `);
+      // SKIP LOCKED lets several instances lease concurrently without double-processing
+      const result = await client.query(`
+        UPDATE update_jobs
+        SET status = 'running', locked_by = $1, locked_until = NOW() + ($3 * INTERVAL '1 millisecond'),
+            attempts = attempts + 1, updated_at = NOW()
+        WHERE id IN (
+          SELECT id FROM update_jobs
+          WHERE (status = 'pending' AND run_at <= NOW()) OR (status = 'running' AND locked_until < NOW())
+          ORDER BY run_at
+          LIMIT $2
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `, [workerId, limit, leaseMs]);
+      await client.query('COMMIT');
+      return result.rows.map(mapUpdateJobRow);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async completeUpdateJob(jobId, workerId) {
+    await pool.query(`
+      UPDATE update_jobs
+      SET status = 'succeeded', last_error = NULL, locked_by = NULL, locked_until = NULL,
+          finished_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND locked_by = $2
+    `, [jobId, workerId]);
+  }
+
+  // retryAt = Date → back to pending at that time; null → permanently failed
+  async failUpdateJob(jobId, workerId, errorMessage, retryAt = null) {
+    if (retryAt) {
+      await pool.query(`
+        UPDATE update_jobs
+        SET status = 'pending', last_error = $3, run_at = $4, locked_by = NULL, locked_until = NULL, updated_at = NOW()
+        WHERE id = $1 AND locked_by = $2
+      `, [jobId, workerId, errorMessage, retryAt]);
+    } else {
+      await pool.query(`
+        UPDATE update_jobs
+        SET status = 'failed', last_error = $3, locked_by = NULL, locked_until = NULL,
+            finished_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND locked_by = $2
+      `, [jobId, workerId, errorMessage]);
+    }
+  }
+
+  async getUpdateJobs({ playlistId = null, status = null, limit = 50 } = {}) {
+    const result = await pool.query(`
+      SELECT * FROM update_jobs
+      WHERE ($1::text IS NULL OR playlist_id = $1) AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT $3
+    `, [playlistId, status, limit]);
+    return result.rows.map(mapUpdateJobRow);
+  }
+
+  async pruneUpdateJobs(olderThanDays = 30) {
+    const result = await pool.query(`
+      DELETE FROM update_jobs
+      WHERE status IN ('succeeded', 'failed') AND finished_at < NOW() - ($1 * INTERVAL '1 day')
+    `, [olderThanDays]);
+    return result.rowCount;
+  }
+
+  // Playlist run history
+  async recordPlaylistRun(userId, playlistId, { trigger, status, prompt = null, tracksAdded = [], tracksRemoved = [], tracksBefore = [], error = null }, keep = 50) {
+    const result = await pool.query(`
+      INSERT INTO playlist_runs (user_id, playlist_id, trigger_type, status, prompt, tracks_added, tracks_removed, tracks_before, error)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [userId, playlistId, trigger, status, prompt,
+      JSON.stringify(tracksAdded), JSON.stringify(tracksRemoved), JSON.stringify(tracksBefore), error]);
+    // Keep the newest `keep` runs for this playlist
+    await pool.query(`
+      DELETE FROM playlist_runs
+      WHERE playlist_id = $1 AND id NOT IN (
+        SELECT id FROM playlist_runs WHERE playlist_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2
+      )
+    `, [playlistId, keep]);
+    return mapPlaylistRunRow(result.rows[0]);
+  }
+
+  async getPlaylistRuns(userId, playlistId, { since = null, limit = 50 } = {}) {
+    const result = await pool.query(`
+      SELECT * FROM playlist_runs
+      WHERE user_id = $1 AND playlist_id = $2 AND ($3::timestamp IS NULL OR created_at >= $3)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $4
+    `, [userId, playlistId, since ? new Date(since) : null, limit]);
+    return result.rows.map(mapPlaylistRunRow);
+  }
+
+  async getPlaylistRun(userId, runId) {
+    const result = await pool.query(
+      'SELECT * FROM playlist_runs WHERE id = $1 AND user_id = $2',
+      [runId, userId]
+    );
+    return mapPlaylistRunRow(result.rows[0]);
+  }
+
+  async deletePlaylistRuns(userId, playlistId) {
+    await pool.query('DELETE FROM playlist_runs WHERE user_id = $1 AND playlist_id = $2', [userId, playlistId]);
+  }
+
+  // Admin audit log
+  async recordAdminAction(actorEmail, action, targetEmail = null, details = {}) {
+    await pool.query(
+      `INSERT INTO admin_audit_log (actor_email, action, target_email, details) VALUES ($1, $2, $3, $4)`,
+      [actorEmail, action, targetEmail, JSON.stringify(details)]
+    );
+  }
+
+  // Newest first; pass the last entry's id as `before` to page back
+  async getAdminAuditLog({ before = null, limit = 50, targetEmail = null } = {}) {
+    const result = await pool.query(`
+      SELECT * FROM admin_audit_log
+      WHERE ($1::int IS NULL OR id < $1) AND ($2::text IS NULL OR target_email = $2)
+      ORDER BY id DESC
+      LIMIT $3
+    `, [before, targetEmail, limit]);
+    return result.rows.map(mapAuditLogRow);
+  }
+
+  // Generation usage accounting
+  async recordGenerationUsage(usage) {
+    await pool.query(`
+      INSERT INTO generation_usage (generation_id, user_id, email, plan, prompt_type, trigger_type, status,
+        llm_calls, input_tokens, output_tokens, soundcharts_calls, platform_calls, cost_usd, details, started_at, finished_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    `, [
+      usage.generationId, usage.userId, usage.email, usage.plan, usage.promptType, usage.trigger, usage.status,
+      usage.llmCalls, usage.inputTokens, usage.outputTokens, usage.soundchartsCalls, usage.platformCalls,
+      usage.costUsd, JSON.stringify(usage.details || {}), usage.startedAt, usage.finishedAt
+    ]);
+  }
+
+  // Totals per user / plan / prompt type for generations started since `since`
+  async getUsageReport({ groupBy = 'user', since }) {
+    const column = USAGE_GROUP_COLUMNS[groupBy];
+    if (!column) throw new Error(`Unknown usage grouping: ${groupBy}`);
+    const result = await pool.query(`
+      SELECT COALESCE(${column}, 'unknown') AS grp,
+             COUNT(*) AS generations,
+             COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+             SUM(llm_calls) AS llm_calls,
+             SUM(input_tokens) AS input_tokens,
+             SUM(output_tokens) AS output_tokens,
+             SUM(soundcharts_calls) AS soundcharts_calls,
+             SUM(platform_calls) AS platform_calls,
+             SUM(cost_usd) AS cost_usd
+      FROM generation_usage
+      WHERE started_at >= $1
+      GROUP BY grp
+      ORDER BY cost_usd DESC
+    `, [new Date(since)]);
+    return result.rows.map(mapUsageReportRow);
+  }
+
+  // Rate limit token buckets — refill and take in one statement so concurrent
+  // requests (and instances) can't both spend the last token. The parameters are cast
+  // because PostgreSQL can't pick an operator for untyped ones ($2 - $4).
+  async takeRateLimitToken(key, { capacity, refillPerMs, cost = 1 }) {
+    const now = Date.now();
+    const result = await pool.query(`
+      INSERT INTO rate_limit_buckets AS b (key, tokens, allowed, updated_at)
+      VALUES ($1, GREATEST($2::double precision - $4::double precision, 0), $2::double precision >= $4::double precision, $5::bigint)
+      ON CONFLICT (key) DO UPDATE SET
+        tokens = CASE
+          WHEN LEAST($2::double precision, b.tokens + GREATEST($5::bigint - b.updated_at, 0) * $3::double precision) >= $4::double precision
+          THEN LEAST($2::double precision, b.tokens + GREATEST($5::bigint - b.updated_at, 0) * $3::double precision) - $4::double precision
+          ELSE LEAST($2::double precision, b.tokens + GREATEST($5::bigint - b.updated_at, 0) * $3::double precision)
+        END,
+        allowed = LEAST($2::double precision, b.tokens + GREATEST($5::bigint - b.updated_at, 0) * $3::double precision) >= $4::double precision,
+        updated_at = $5::bigint
+      RETURNING tokens, allowed
+    `, [key, capacity, refillPerMs, cost, now]);
+    const { tokens, allowed } = result.rows[0];
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs)
+    };
+  }
+
+  // Buckets idle for a day have long since refilled — dropping them is equivalent
+  async pruneRateLimitBuckets() {
+    const result = await pool.query('DELETE FROM rate_limit_buckets WHERE updated_at < $1', [Date.now() - 24 * 60 * 60 * 1000]);
+    return result.rowCount;
+  }
+
+  // Feedback
+  async recordFeedback({ email = null, userId = null, rating = null, message = null }) {
+    await pool.query(
+      'INSERT INTO feedback (email, user_id, rating, message) VALUES ($1, $2, $3, $4)',
+      [email, userId, rating, message]
+    );
+  }
+
+  async getFeedback(email, userIds = []) {
+    const ids = [...new Set([email, ...userIds].filter(Boolean))];
+    const result = await pool.query(`
+      SELECT rating, message, created_at as "createdAt"
+      FROM feedback
+      WHERE email = $1 OR user_id = ANY($2)
+      ORDER BY id
+    `, [email, ids]);
+    return result.rows;
+  }
+
   // Close pool
   async close() {
     if (pool) {
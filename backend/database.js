@@ -1,5 +1,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { hashPasswordSync, copyStoredPasswordSync } = require('./services/passwordService');
+const { tokenEncryption } = require('./services/tokenEncryptionService');
+const { MIGRATE_ON_STARTUP, migrateSqlite } = require('./services/schemaMigrations');
 
 // Returns next Sunday at 3:00 AM UTC
 function getNextSunday3AM() {
@@ -12,188 +15,20 @@ function getNextSunday3AM() {
   return next;
 }
 
-// Initialize database
-const db = new Database(path.join(__dirname, 'playlist-creator.db'));
+// Initialize database (SQLITE_PATH=:memory: gives tests a throwaway one)
+const db = new Database(process.env.SQLITE_PATH || path.join(__dirname, 'playlist-creator.db'));
 
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    email TEXT PRIMARY KEY,
-    password TEXT NOT NULL,
-    platform TEXT,
-    user_id TEXT,
-    plan TEXT DEFAULT 'free',
-    weekly_generations INTEGER DEFAULT 0,
-    weekly_reset_at TEXT,
-    created_at TEXT NOT NULL,
-    updated_at TEXT
-  );
-
-  CREATE TABLE IF NOT EXISTS connected_platforms (
-    email TEXT PRIMARY KEY,
-    spotify INTEGER DEFAULT 0,
-    apple INTEGER DEFAULT 0,
-    FOREIGN KEY (email) REFERENCES users(email) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS tokens (
-    user_id TEXT PRIMARY KEY,
-    access_token TEXT NOT NULL,
-    refresh_token TEXT,
-    developer_token TEXT,
-    platform TEXT,
-    email TEXT,
-    authorized_at TEXT,
-    updated_at TEXT
-  );
-
-  CREATE TABLE IF NOT EXISTS password_reset_tokens (
-    email TEXT PRIMARY KEY,
-    token TEXT NOT NULL,
-    expires_at TEXT NOT NULL,
-    created_at TEXT NOT NULL,
-    FOREIGN KEY (email) REFERENCES users(email) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS artist_recommendations_cache (
-    user_id TEXT PRIMARY KEY,
-    artists_json TEXT NOT NULL,
-    cached_at TEXT NOT NULL,
-    expires_at TEXT NOT NULL
-  );
-
-  CREATE TABLE IF NOT EXISTS trending_artists_cache (
-    user_id TEXT PRIMARY KEY,
-    genres_data TEXT NOT NULL,
-    cached_at TEXT NOT NULL,
-    expires_at TEXT NOT NULL
-  );
-
-  CREATE TABLE IF NOT EXISTS soundcharts_cache (
-    cache_key TEXT PRIMARY KEY,
-    data TEXT NOT NULL,
-    created_at TEXT NOT NULL
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_soundcharts_cache_created ON soundcharts_cache(created_at);
-
-  CREATE TABLE IF NOT EXISTS platform_user_ids (
-    email TEXT PRIMARY KEY,
-    spotify_user_id TEXT,
-    apple_music_user_id TEXT,
-    FOREIGN KEY (email) REFERENCES users(email) ON DELETE CASCADE
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id);
-  CREATE INDEX IF NOT EXISTS idx_tokens_email ON tokens(email);
-  CREATE INDEX IF NOT EXISTS idx_reset_tokens_token ON password_reset_tokens(token);
-  CREATE INDEX IF NOT EXISTS idx_artist_cache_expires ON artist_recommendations_cache(expires_at);
-`);
-
-// Database migrations
-function migrateDatabase() {
-  console.log('Running database migrations...');
-
-  // Check if user_music_token and storefront columns exist
-  const tableInfo = db.prepare("PRAGMA table_info(tokens)").all();
-  const hasUserMusicToken = tableInfo.some(col => col.name === 'user_music_token');
-  const hasStorefront = tableInfo.some(col => col.name === 'storefront');
-
-  if (!hasUserMusicToken) {
-    console.log('Adding user_music_token column to tokens table...');
-    db.exec('ALTER TABLE tokens ADD COLUMN user_music_token TEXT');
-    console.log('✓ Added user_music_token column');
-  }
-
-  if (!hasStorefront) {
-    console.log('Adding storefront column to tokens table...');
-    db.exec('ALTER TABLE tokens ADD COLUMN storefront TEXT');
-    console.log('✓ Added storefront column');
-  }
-
-  // Add plan and weekly generation columns to users table if they don't exist
-  const usersTableInfo = db.prepare("PRAGMA table_info(users)").all();
-  const hasPlan = usersTableInfo.some(col => col.name === 'plan');
-  const hasWeeklyGenerations = usersTableInfo.some(col => col.name === 'weekly_generations');
-  const hasWeeklyResetAt = usersTableInfo.some(col => col.name === 'weekly_reset_at');
-
-  if (!hasPlan) {
-    console.log('Adding plan column to users table...');
-    db.exec("ALTER TABLE users ADD COLUMN plan TEXT DEFAULT 'free'");
-    console.log('✓ Added plan column');
-  }
-  if (!hasWeeklyGenerations) {
-    console.log('Adding weekly_generations column to users table...');
-    db.exec('ALTER TABLE users ADD COLUMN weekly_generations INTEGER DEFAULT 0');
-    console.log('✓ Added weekly_generations column');
-  }
-  if (!hasWeeklyResetAt) {
-    console.log('Adding weekly_reset_at column to users table...');
-    db.exec('ALTER TABLE users ADD COLUMN weekly_reset_at TEXT');
-    console.log('✓ Added weekly_reset_at column');
-  }
-
-  const hasStripeCustomerId = usersTableInfo.some(col => col.name === 'stripe_customer_id');
-  const hasStripeSubscriptionId = usersTableInfo.some(col => col.name === 'stripe_subscription_id');
-  const hasSubscriptionStatus = usersTableInfo.some(col => col.name === 'subscription_status');
-  const hasSubscriptionEndsAt = usersTableInfo.some(col => col.name === 'subscription_ends_at');
-
-  if (!hasStripeCustomerId) {
-    db.exec('ALTER TABLE users ADD COLUMN stripe_customer_id TEXT');
-    console.log('✓ Added stripe_customer_id column');
-  }
-  if (!hasStripeSubscriptionId) {
-    db.exec('ALTER TABLE users ADD COLUMN stripe_subscription_id TEXT');
-    console.log('✓ Added stripe_subscription_id column');
-  }
-  if (!hasSubscriptionStatus) {
-    db.exec('ALTER TABLE users ADD COLUMN subscription_status TEXT');
-    console.log('✓ Added subscription_status column');
-  }
-  if (!hasSubscriptionEndsAt) {
-    db.exec('ALTER TABLE users ADD COLUMN subscription_ends_at TEXT');
-    console.log('✓ Added subscription_ends_at column');
-  }
-
-  const hasTrialUsed = usersTableInfo.some(col => col.name === 'trial_used');
-  if (!hasTrialUsed) {
-    db.exec('ALTER TABLE users ADD COLUMN trial_used INTEGER DEFAULT 0');
-    console.log('✓ Added trial_used column');
-  }
-
-  // Add artist_history table if it doesn't exist
-  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='artist_history'").all();
-  if (tables.length === 0) {
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS artist_history (
-        user_id TEXT NOT NULL,
-        artist_name TEXT NOT NULL,
-        first_seen TEXT NOT NULL DEFAULT (datetime('now')),
-        last_seen TEXT NOT NULL DEFAULT (datetime('now')),
-        play_count INTEGER DEFAULT 1,
-        PRIMARY KEY (user_id, artist_name)
-      );
-      CREATE INDEX IF NOT EXISTS idx_artist_history_user_id ON artist_history(user_id);
-    `);
-    console.log('✓ Created artist_history table');
-  }
-
-  if (hasUserMusicToken && hasStorefront) {
-    console.log('✓ Database schema is up to date');
-  }
-}
-
-// Run migrations on startup
-migrateDatabase();
+// Bring the schema up to date (see migrations/ and services/schemaMigrations.js)
+migrateSqlite(db, { checkOnly: !MIGRATE_ON_STARTUP });
 
 // User operations
 const userOps = {
   // Get user by email
   getByEmail: db.prepare(`
-    SELECT u.*, cp.spotify, cp.apple
+    SELECT u.*, cp.spotify, cp.apple, cp.youtube
     FROM users u
     LEFT JOIN connected_platforms cp ON u.email = cp.email
     WHERE u.email = ?
@@ -208,10 +43,15 @@ const userOps = {
   // Update user
   update: db.prepare(`
     UPDATE users
-    SET password = ?, platform = ?, user_id = ?, updated_at = ?
+    SET platform = ?, user_id = ?, updated_at = ?
     WHERE email = ?
   `),
 
+  // Update password (already hashed)
+  updatePassword: db.prepare(`
+    UPDATE users SET password = ?, updated_at = ? WHERE email = ?
+  `),
+
   // Update userId
   updateUserId: db.prepare(`
     UPDATE users SET user_id = ?, updated_at = ? WHERE email = ?
@@ -232,7 +72,7 @@ const userOps = {
 
   // Get all users
   getAll: db.prepare(`
-    SELECT u.*, cp.spotify, cp.apple
+    SELECT u.*, cp.spotify, cp.apple, cp.youtube
     FROM users u
     LEFT JOIN connected_platforms cp ON u.email = cp.email
   `)
@@ -263,9 +103,22 @@ const platformOps = {
     INSERT INTO connected_platforms (email, spotify, apple)
     VALUES (?, 0, ?)
     ON CONFLICT(email) DO UPDATE SET apple = excluded.apple
+  `),
+
+  updateYoutube: db.prepare(`
+    INSERT INTO connected_platforms (email, spotify, apple, youtube)
+    VALUES (?, 0, 0, ?)
+    ON CONFLICT(email) DO UPDATE SET youtube = excluded.youtube
   `)
 };
 
+// platform_user_ids column per platform id
+const PLATFORM_USER_ID_COLUMNS = {
+  spotify: 'spotify_user_id',
+  apple: 'apple_music_user_id',
+  youtube: 'youtube_user_id'
+};
+
 // Token operations
 const tokenOps = {
   // Get token by userId
@@ -273,27 +126,41 @@ const tokenOps = {
 
   // Set token
   set: db.prepare(`
-    INSERT INTO tokens (user_id, access_token, refresh_token, developer_token, platform, email, authorized_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO tokens (user_id, access_token, refresh_token, developer_token, platform, email, authorized_at, updated_at, expires_at, storefront, market)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(user_id) DO UPDATE SET
       access_token = excluded.access_token,
+      expires_at = excluded.expires_at,
       refresh_token = COALESCE(excluded.refresh_token, refresh_token),
       developer_token = COALESCE(excluded.developer_token, developer_token),
       platform = COALESCE(excluded.platform, platform),
       email = COALESCE(excluded.email, email),
+      storefront = COALESCE(excluded.storefront, storefront),
+      market = COALESCE(excluded.market, market),
+      connection_status = 'connected',
       updated_at = excluded.updated_at
   `),
 
-  // Update access token only
+  // Result of a connection health check
+  setConnectionStatus: db.prepare(`UPDATE tokens SET connection_status = ?, connection_checked_at = ? WHERE user_id = ?`),
+
+  // Update access token after a refresh (the refresh token only if a new one was issued)
   updateAccessToken: db.prepare(`
-    UPDATE tokens SET access_token = ?, updated_at = ? WHERE user_id = ?
+    UPDATE tokens SET access_token = ?, expires_at = ?, refresh_token = COALESCE(?, refresh_token), updated_at = ?
+    WHERE user_id = ?
   `),
 
   // Delete token
   delete: db.prepare(`DELETE FROM tokens WHERE user_id = ?`),
 
   // Get all tokens
-  getAll: db.prepare(`SELECT * FROM tokens`)
+  getAll: db.prepare(`SELECT * FROM tokens`),
+
+  // Token columns exactly as stored, for re-encryption
+  getStored: db.prepare(`SELECT user_id, access_token, refresh_token, developer_token, user_music_token FROM tokens`),
+  setStored: db.prepare(`
+    UPDATE tokens SET access_token = ?, refresh_token = ?, developer_token = ?, user_music_token = ? WHERE user_id = ?
+  `)
 };
 
 // Password reset token operations
@@ -318,6 +185,32 @@ const resetTokenOps = {
   deleteExpired: db.prepare(`DELETE FROM password_reset_tokens WHERE expires_at < ?`)
 };
 
+// Session refresh token operations
+const refreshTokenOps = {
+  create: db.prepare(`
+    INSERT INTO refresh_tokens (token_hash, email, expires_at, created_at)
+    VALUES (?, ?, ?, ?)
+  `),
+  get: db.prepare(`SELECT * FROM refresh_tokens WHERE token_hash = ?`),
+  revoke: db.prepare(`UPDATE refresh_tokens SET revoked_at = ? WHERE token_hash = ? AND revoked_at IS NULL`),
+  revokeForUser: db.prepare(`UPDATE refresh_tokens SET revoked_at = ? WHERE email = ? AND revoked_at IS NULL`),
+  deleteExpired: db.prepare(`DELETE FROM refresh_tokens WHERE expires_at < ?`)
+};
+
+// Admin audit log operations (insert + read only — the table rejects UPDATE/DELETE)
+const auditLogOps = {
+  insert: db.prepare(`
+    INSERT INTO admin_audit_log (actor_email, action, target_email, details, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  list: db.prepare(`
+    SELECT * FROM admin_audit_log
+    WHERE (? IS NULL OR id < ?) AND (? IS NULL OR target_email = ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `)
+};
+
 // Artist recommendations cache operations
 const artistCacheOps = {
   // Get cached artists (not expired)
@@ -367,6 +260,210 @@ const trendingCacheOps = {
   delete: db.prepare(`DELETE FROM trending_artists_cache WHERE user_id = ?`)
 };
 
+// Auto-update job queue operations
+const updateJobOps = {
+  // At most one pending/running job per playlist (partial unique index) — duplicates are ignored
+  insert: db.prepare(`
+    INSERT OR IGNORE INTO update_jobs (user_id, playlist_id, max_attempts, run_at, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  getById: db.prepare(`SELECT * FROM update_jobs WHERE id = ?`),
+  // Running jobs whose lease expired on their final attempt are given up on, not re-leased
+  failExpired: db.prepare(`
+    UPDATE update_jobs
+    SET status = 'failed', last_error = COALESCE(last_error, 'Lease expired before the job finished'),
+        locked_by = NULL, locked_until = NULL, finished_at = ?, updated_at = ?
+    WHERE status = 'running' AND locked_until < ? AND attempts >= max_attempts
+  `),
+  selectDue: db.prepare(`
+    SELECT id FROM update_jobs
+    WHERE (status = 'pending' AND run_at <= ?) OR (status = 'running' AND locked_until < ?)
+    ORDER BY run_at
+    LIMIT ?
+  `),
+  lease: db.prepare(`
+    UPDATE update_jobs
+    SET status = 'running', locked_by = ?, locked_until = ?, attempts = attempts + 1, updated_at = ?
+    WHERE id = ?
+  `),
+  complete: db.prepare(`
+    UPDATE update_jobs
+    SET status = 'succeeded', last_error = NULL, locked_by = NULL, locked_until = NULL, finished_at = ?, updated_at = ?
+    WHERE id = ? AND locked_by = ?
+  `),
+  retry: db.prepare(`
+    UPDATE update_jobs
+    SET status = 'pending', last_error = ?, run_at = ?, locked_by = NULL, locked_until = NULL, updated_at = ?
+    WHERE id = ? AND locked_by = ?
+  `),
+  fail: db.prepare(`
+    UPDATE update_jobs
+    SET status = 'failed', last_error = ?, locked_by = NULL, locked_until = NULL, finished_at = ?, updated_at = ?
+    WHERE id = ? AND locked_by = ?
+  `),
+  prune: db.prepare(`
+    DELETE FROM update_jobs WHERE status IN ('succeeded', 'failed') AND finished_at < ?
+  `)
+};
+
+// Playlist run history operations
+const playlistRunOps = {
+  insert: db.prepare(`
+    INSERT INTO playlist_runs (user_id, playlist_id, trigger_type, status, prompt, tracks_added, tracks_removed, tracks_before, error, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  getById: db.prepare(`SELECT * FROM playlist_runs WHERE id = ? AND user_id = ?`),
+  list: db.prepare(`
+    SELECT * FROM playlist_runs
+    WHERE user_id = ? AND playlist_id = ? AND created_at >= ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `),
+  // Keep the newest `keep` runs for a playlist
+  trim: db.prepare(`
+    DELETE FROM playlist_runs
+    WHERE playlist_id = ? AND id NOT IN (
+      SELECT id FROM playlist_runs WHERE playlist_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+    )
+  `),
+  deleteForPlaylist: db.prepare(`DELETE FROM playlist_runs WHERE user_id = ? AND playlist_id = ?`)
+};
+
+// Playlist operations
+const playlistOps = {
+  getForUser: db.prepare(`
+    SELECT playlist_id, playlist_data, created_at FROM playlists
+    WHERE user_id = ?
+    ORDER BY updated_at DESC
+  `),
+  get: db.prepare(`SELECT playlist_id, playlist_data, created_at FROM playlists WHERE user_id = ? AND playlist_id = ?`),
+  getAll: db.prepare(`
+    SELECT user_id, playlist_id, playlist_data, created_at FROM playlists
+    ORDER BY user_id, updated_at DESC
+  `),
+  upsert: db.prepare(`
+    INSERT INTO playlists (user_id, playlist_id, playlist_data, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(user_id, playlist_id) DO UPDATE SET
+      playlist_data = excluded.playlist_data,
+      updated_at = excluded.updated_at
+  `),
+  delete: db.prepare(`DELETE FROM playlists WHERE user_id = ? AND playlist_id = ?`)
+};
+
+// Playlist reaction and saved playlist operations
+const reactionOps = {
+  getAll: db.prepare(`SELECT playlist_id, user_id, reaction FROM playlist_reactions ORDER BY created_at, rowid`),
+  upsert: db.prepare(`
+    INSERT INTO playlist_reactions (playlist_id, user_id, reaction, created_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(playlist_id, user_id) DO UPDATE SET
+      reaction = excluded.reaction,
+      created_at = excluded.created_at
+  `),
+  delete: db.prepare(`DELETE FROM playlist_reactions WHERE playlist_id = ? AND user_id = ?`),
+  deleteForPlaylist: db.prepare(`DELETE FROM playlist_reactions WHERE playlist_id = ?`)
+};
+
+const savedPlaylistOps = {
+  getAll: db.prepare(`SELECT user_id, playlist_id FROM saved_playlists ORDER BY created_at, rowid`),
+  insert: db.prepare(`
+    INSERT INTO saved_playlists (user_id, playlist_id, created_at) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, playlist_id) DO NOTHING
+  `),
+  delete: db.prepare(`DELETE FROM saved_playlists WHERE user_id = ? AND playlist_id = ?`)
+};
+
+// Usage report groupings → column (whitelisted; interpolated into SQL)
+const USAGE_GROUP_COLUMNS = { user: 'email', plan: 'plan', promptType: 'prompt_type' };
+
+function mapUsageReportRow(row) {
+  return {
+    key: row.grp,
+    generations: Number(row.generations),
+    completed: Number(row.completed),
+    llmCalls: Number(row.llm_calls),
+    inputTokens: Number(row.input_tokens),
+    outputTokens: Number(row.output_tokens),
+    soundchartsCalls: Number(row.soundcharts_calls),
+    platformCalls: Number(row.platform_calls),
+    costUsd: Number(row.cost_usd),
+    avgCostUsd: row.generations > 0 ? Number(row.cost_usd) / Number(row.generations) : 0
+  };
+}
+
+function mapAuditLogRow(row) {
+  return {
+    id: row.id,
+    actorEmail: row.actor_email,
+    action: row.action,
+    targetEmail: row.target_email,
+    details: JSON.parse(row.details || '{}'),
+    createdAt: row.created_at
+  };
+}
+
+function mapPlaylistRunRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    playlistId: row.playlist_id,
+    trigger: row.trigger_type,
+    status: row.status,
+    prompt: row.prompt,
+    tracksAdded: JSON.parse(row.tracks_added || '[]'),
+    tracksRemoved: JSON.parse(row.tracks_removed || '[]'),
+    tracksBefore: JSON.parse(row.tracks_before || '[]'),
+    error: row.error,
+    createdAt: row.created_at
+  };
+}
+
+// Playlist rows hold the playlist as JSON. updatedAt comes from the playlist itself (only
+// set when tracks are actually added), not the row's updated_at, which changes on every save
+function mapPlaylistRow(row) {
+  const playlist = JSON.parse(row.playlist_data);
+  return {
+    playlistId: row.playlist_id,
+    ...playlist,
+    createdAt: row.created_at,
+    updatedAt: playlist.updatedAt || null
+  };
+}
+
+function mapUpdateJobRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    playlistId: row.playlist_id,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at,
+    lockedBy: row.locked_by,
+    lockedUntil: row.locked_until,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    finishedAt: row.finished_at
+  };
+}
+
+// A new users row with its connected_platforms row; `storedPassword` is already hashed
+function insertUser(email, storedPassword, platform, userId) {
+  const createdAt = new Date().toISOString();
+  db.transaction(() => {
+    userOps.create.run(email, storedPassword, platform, userId, createdAt);
+    platformOps.set.run(email, 0, 0);
+  })();
+}
+
+// Tables purgeUserData clears, by the column that holds the account
+const USER_ID_TABLES = ['tokens', 'feedback', 'playlists', 'playlist_reactions', 'saved_playlists', 'artist_history', 'artist_recommendations_cache', 'trending_artists_cache', 'update_jobs', 'playlist_runs'];
+const EMAIL_TABLES = ['tokens', 'feedback', 'refresh_tokens', 'password_reset_tokens', 'platform_user_ids', 'connected_platforms', 'users'];
+
 // High-level API
 class DatabaseService {
   // Users
@@ -386,10 +483,13 @@ class DatabaseService {
       stripeSubscriptionId: user.stripe_subscription_id || null,
       subscriptionStatus: user.subscription_status || null,
       trialUsed: Boolean(user.trial_used),
+      role: user.role || 'user',
+      deletionScheduledAt: user.deletion_scheduled_at || null,
       createdAt: user.created_at,
       connectedPlatforms: {
         spotify: Boolean(user.spotify),
-        apple: Boolean(user.apple)
+        apple: Boolean(user.apple),
+        youtube: Boolean(user.youtube)
       }
     };
   }
@@ -419,6 +519,11 @@ class DatabaseService {
       .run(subscriptionId || null, status || null, endsAt || null, plan || 'free', updatedAt, email);
   }
 
+  setUserRole(email, role) {
+    const updatedAt = new Date().toISOString();
+    return db.prepare('UPDATE users SET role = ?, updated_at = ? WHERE email = ?').run(role, updatedAt, email).changes > 0;
+  }
+
   getUserByStripeCustomerId(stripeCustomerId) {
     const user = db.prepare('SELECT * FROM users WHERE stripe_customer_id = ?').get(stripeCustomerId);
     if (!user) return null;
@@ -426,18 +531,19 @@ class DatabaseService {
   }
 
   createUser(email, password, platform, userId = null) {
-    const createdAt = new Date().toISOString();
+    insertUser(email, hashPasswordSync(password), platform, userId);
+  }
 
-    return db.transaction(() => {
-      userOps.create.run(email, password, platform, userId, createdAt);
-      platformOps.set.run(email, 0, 0);
-    })();
+  // Copy a users row from elsewhere (a cached user written back): its stored password
+  // hash is kept rather than hashed again
+  importUser(email, storedPassword, platform, userId = null) {
+    insertUser(email, copyStoredPasswordSync(storedPassword), platform, userId);
   }
 
+  // Platform and userId; the password only changes through updatePassword
   updateUser(email, data) {
     const updatedAt = new Date().toISOString();
     userOps.update.run(
-      data.password,
       data.platform,
       data.userId,
       updatedAt,
@@ -453,11 +559,16 @@ class DatabaseService {
   updateEmail(oldEmail, newEmail) {
     const updatedAt = new Date().toISOString();
     const updateAll = db.transaction(() => {
+      // The tables referencing users(email) are renamed below; check them at commit
+      db.pragma('defer_foreign_keys = ON');
       db.prepare('UPDATE users SET email = ?, updated_at = ? WHERE email = ?').run(newEmail, updatedAt, oldEmail);
+      db.prepare('UPDATE password_reset_tokens SET email = ? WHERE email = ?').run(newEmail, oldEmail);
       db.prepare('UPDATE connected_platforms SET email = ? WHERE email = ?').run(newEmail, oldEmail);
       db.prepare('UPDATE platform_user_ids SET email = ? WHERE email = ?').run(newEmail, oldEmail);
       db.prepare('UPDATE tokens SET email = ? WHERE email = ?').run(newEmail, oldEmail);
       db.prepare('UPDATE playlists SET user_id = ? WHERE user_id = ?').run(newEmail, oldEmail);
+      db.prepare('UPDATE playlist_reactions SET user_id = ? WHERE user_id = ?').run(newEmail, oldEmail);
+      db.prepare('UPDATE saved_playlists SET user_id = ? WHERE user_id = ?').run(newEmail, oldEmail);
       db.prepare('UPDATE artist_history SET user_id = ? WHERE user_id = ?').run(newEmail, oldEmail);
     });
     updateAll();
@@ -467,6 +578,45 @@ class DatabaseService {
     userOps.delete.run(email);
   }
 
+  // Account deletion
+  scheduleUserDeletion(email, purgeAt) {
+    const now = new Date().toISOString();
+    db.prepare('UPDATE users SET deletion_requested_at = ?, deletion_scheduled_at = ?, updated_at = ? WHERE email = ?')
+      .run(now, new Date(purgeAt).toISOString(), now, email);
+  }
+
+  cancelUserDeletion(email) {
+    const updatedAt = new Date().toISOString();
+    return db.prepare('UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_at = NULL, updated_at = ? WHERE email = ? AND deletion_scheduled_at IS NOT NULL')
+      .run(updatedAt, email).changes > 0;
+  }
+
+  getUsersDueForDeletion(now = new Date()) {
+    return db.prepare('SELECT email FROM users WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= ?')
+      .all(new Date(now).toISOString())
+      .map(row => row.email);
+  }
+
+  // Every row belonging to the account, in one transaction. `userIds` are the
+  // platform user ids rows were keyed by (tokens, playlists, artist history, runs).
+  // Usage accounting is kept for cost reports with the user fields cleared;
+  // admin_audit_log is append-only and keeps its entries.
+  purgeUserData(email, userIds = []) {
+    const ids = [...new Set([email, ...userIds].filter(Boolean))];
+    db.transaction(() => {
+      for (const id of ids) {
+        for (const table of USER_ID_TABLES) {
+          db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(id);
+        }
+        db.prepare('UPDATE generation_usage SET user_id = NULL, email = NULL WHERE user_id = ?').run(id);
+      }
+      db.prepare('UPDATE generation_usage SET user_id = NULL, email = NULL WHERE email = ?').run(email);
+      for (const table of EMAIL_TABLES) {
+        db.prepare(`DELETE FROM ${table} WHERE email = ?`).run(email);
+      }
+    })();
+  }
+
   getAllUsers() {
     const users = userOps.getAll.all();
     return users.map(user => ({
@@ -474,10 +624,14 @@ class DatabaseService {
       password: user.password,
       platform: user.platform,
       userId: user.user_id,
+      plan: user.plan || 'free',
+      role: user.role || 'user',
+      stripeCustomerId: user.stripe_customer_id || null,
       createdAt: user.created_at,
       connectedPlatforms: {
         spotify: Boolean(user.spotify),
-        apple: Boolean(user.apple)
+        apple: Boolean(user.apple),
+        youtube: Boolean(user.youtube)
       }
     }));
   }
@@ -488,6 +642,8 @@ class DatabaseService {
       platformOps.updateSpotify.run(email, connected ? 1 : 0);
     } else if (platform === 'apple') {
       platformOps.updateApple.run(email, connected ? 1 : 0);
+    } else if (platform === 'youtube') {
+      platformOps.updateYoutube.run(email, connected ? 1 : 0);
     }
   }
 
@@ -495,8 +651,13 @@ class DatabaseService {
     platformOps.set.run(email, spotify ? 1 : 0, apple ? 1 : 0);
   }
 
+  // YouTube Music is only written when the caller includes it, so older
+  // { spotify, apple } payloads don't disconnect it
   updatePlatforms(email, platforms) {
     platformOps.set.run(email, platforms.spotify ? 1 : 0, platforms.apple ? 1 : 0);
+    if (platforms.youtube !== undefined) {
+      platformOps.updateYoutube.run(email, platforms.youtube ? 1 : 0);
+    }
   }
 
   // Tokens
@@ -505,54 +666,90 @@ class DatabaseService {
     if (!token) return null;
 
     return {
-      access_token: token.access_token,
-      refresh_token: token.refresh_token,
-      developer_token: token.developer_token,
+      access_token: tokenEncryption.decrypt(token.access_token, { userId: token.user_id, column: 'access_token' }),
+      refresh_token: tokenEncryption.decrypt(token.refresh_token, { userId: token.user_id, column: 'refresh_token' }),
+      developer_token: tokenEncryption.decrypt(token.developer_token, { userId: token.user_id, column: 'developer_token' }),
       platform: token.platform,
       email: token.email,
-      authorized_at: token.authorized_at
+      authorized_at: token.authorized_at,
+      expires_at: token.expires_at || null,
+      storefront: token.storefront || null,
+      market: token.market || null,
+      connection_status: token.connection_status || 'connected',
+      connection_checked_at: token.connection_checked_at || null
     };
   }
 
+  // Token values are encrypted at rest (services/tokenEncryptionService). Storing a token
+  // (a new connection, or one a platform call just accepted) marks the connection healthy.
   setToken(userId, tokenData) {
     const updatedAt = new Date().toISOString();
     tokenOps.set.run(
       userId,
-      tokenData.access_token,
-      tokenData.refresh_token || null,
-      tokenData.developer_token || null,
+      tokenEncryption.encrypt(tokenData.access_token, { userId, column: 'access_token' }),
+      tokenEncryption.encrypt(tokenData.refresh_token || null, { userId, column: 'refresh_token' }),
+      tokenEncryption.encrypt(tokenData.developer_token || null, { userId, column: 'developer_token' }),
       tokenData.platform || null,
       tokenData.email || null,
       tokenData.authorized_at || new Date().toISOString(),
-      updatedAt
+      updatedAt,
+      tokenData.expires_at || null,
+      tokenData.storefront || null,
+      tokenData.market || null
     );
   }
 
-  updateAccessToken(userId, accessToken) {
+  // expiresAt: ISO time the access token stops working; refreshToken: set when the refresh rotated it
+  updateAccessToken(userId, accessToken, { expiresAt = null, refreshToken = null } = {}) {
     const updatedAt = new Date().toISOString();
-    tokenOps.updateAccessToken.run(accessToken, updatedAt, userId);
+    tokenOps.updateAccessToken.run(
+      tokenEncryption.encrypt(accessToken, { userId, column: 'access_token' }),
+      expiresAt,
+      tokenEncryption.encrypt(refreshToken, { userId, column: 'refresh_token' }),
+      updatedAt,
+      userId
+    );
   }
 
   deleteToken(userId) {
     tokenOps.delete.run(userId);
   }
 
+  // status: 'connected' or 'needs_reauth'
+  setConnectionStatus(userId, status) {
+    tokenOps.setConnectionStatus.run(status, new Date().toISOString(), userId);
+  }
+
   getAllTokens() {
     const tokens = tokenOps.getAll.all();
     const result = {};
     tokens.forEach(token => {
       result[token.user_id] = {
-        access_token: token.access_token,
-        refresh_token: token.refresh_token,
-        developer_token: token.developer_token,
+        access_token: tokenEncryption.decrypt(token.access_token, { userId: token.user_id, column: 'access_token' }),
+        refresh_token: tokenEncryption.decrypt(token.refresh_token, { userId: token.user_id, column: 'refresh_token' }),
+        developer_token: tokenEncryption.decrypt(token.developer_token, { userId: token.user_id, column: 'developer_token' }),
         platform: token.platform,
         email: token.email,
-        authorized_at: token.authorized_at
+        authorized_at: token.authorized_at,
+        expires_at: token.expires_at || null,
+        storefront: token.storefront || null,
+        market: token.market || null,
+        connection_status: token.connection_status || 'connected',
+        connection_checked_at: token.connection_checked_at || null
       };
     });
     return result;
   }
 
+  // Token rows as stored (encrypted or legacy plaintext), for migrate-encrypt-tokens.js
+  getStoredTokenRows() {
+    return tokenOps.getStored.all();
+  }
+
+  updateStoredTokenRow(userId, { access_token, refresh_token, developer_token, user_music_token }) {
+    tokenOps.setStored.run(access_token, refresh_token, developer_token, user_music_token, userId);
+  }
+
   // Password Reset Tokens
   createResetToken(email, token, expiresAt) {
     const createdAt = new Date().toISOString();
@@ -572,12 +769,31 @@ class DatabaseService {
     resetTokenOps.deleteExpired.run(now);
   }
 
+  // Session Refresh Tokens
+  createRefreshToken(email, tokenHash, expiresAt) {
+    refreshTokenOps.create.run(tokenHash, email, expiresAt.toISOString(), new Date().toISOString());
+  }
+
+  getRefreshToken(tokenHash) {
+    const row = refreshTokenOps.get.get(tokenHash);
+    if (!row) return null;
+    return { email: row.email, expiresAt: row.expires_at, revokedAt: row.revoked_at };
+  }
+
+  revokeRefreshToken(tokenHash) {
+    refreshTokenOps.revoke.run(new Date().toISOString(), tokenHash);
+  }
+
+  revokeRefreshTokensForUser(email) {
+    refreshTokenOps.revokeForUser.run(new Date().toISOString(), email);
+  }
+
+  cleanExpiredRefreshTokens() {
+    refreshTokenOps.deleteExpired.run(new Date().toISOString());
+  }
+
   updatePassword(email, newPassword) {
-    const updatedAt = new Date().toISOString();
-    const user = this.getUser(email);
-    if (user) {
-      userOps.update.run(newPassword, user.platform, user.userId, updatedAt, email);
-    }
+    userOps.updatePassword.run(hashPasswordSync(newPassword), new Date().toISOString(), email);
   }
 
   // Artist Recommendations Cache
@@ -661,6 +877,31 @@ class DatabaseService {
     scCacheOps.set.run(key, JSON.stringify(data), new Date().toISOString());
   }
 
+  // The artist catalog and artist/song details caches are PostgreSQL tables; on SQLite
+  // every lookup misses and writes are dropped, so generation fetches from SoundCharts.
+  // Async like the PostgreSQL methods, whose callers chain .catch()
+  async artistSongExists() {
+    return false;
+  }
+
+  async upsertArtistCatalog() {}
+
+  async getArtistDetailsByNames() {
+    return new Map();
+  }
+
+  async getArtistSpotifyIdsByUuids() {
+    return new Map();
+  }
+
+  async upsertArtistDetail() {}
+
+  async getSongDetailsByUuids() {
+    return new Map();
+  }
+
+  async upsertSongDetail() {}
+
   // Platform User IDs
   getPlatformUserIds(email) {
     const stmt = db.prepare(`SELECT * FROM platform_user_ids WHERE email = ?`);
@@ -668,25 +909,13 @@ class DatabaseService {
   }
 
   setPlatformUserId(email, platform, platformUserId) {
-    const existing = this.getPlatformUserIds(email);
-    if (existing) {
-      const stmt = db.prepare(`
-        UPDATE platform_user_ids
-        SET ${platform === 'spotify' ? 'spotify_user_id' : 'apple_music_user_id'} = ?
-        WHERE email = ?
-      `);
-      stmt.run(platformUserId, email);
-    } else {
-      const stmt = db.prepare(`
-        INSERT INTO platform_user_ids (email, spotify_user_id, apple_music_user_id)
-        VALUES (?, ?, ?)
-      `);
-      stmt.run(
-        email,
-        platform === 'spotify' ? platformUserId : null,
-        platform === 'apple' ? platformUserId : null
-      );
-    }
+    const column = PLATFORM_USER_ID_COLUMNS[platform];
+    if (!column) throw new Error(`Invalid platform: ${platform}`);
+    db.prepare(`
+      INSERT INTO platform_user_ids (email, ${column})
+      VALUES (?, ?)
+      ON CONFLICT(email) DO UPDATE SET ${column} = excluded.${column}
+    `).run(email, platformUserId);
   }
 
   trackArtists(userId, artistNames) {
@@ -712,6 +941,215 @@ class DatabaseService {
     `).all(userId);
   }
 
+  // Auto-update jobs
+  enqueueUpdateJob(userId, playlistId, { maxAttempts = 3 } = {}) {
+    const now = new Date().toISOString();
+    const result = updateJobOps.insert.run(userId, playlistId, maxAttempts, now, now, now);
+    // changes === 0 means a pending/running job already exists for this playlist
+    return result.changes > 0 ? mapUpdateJobRow(updateJobOps.getById.get(result.lastInsertRowid)) : null;
+  }
+
+  leaseUpdateJobs(workerId, limit, leaseMs) {
+    const lease = db.transaction(() => {
+      const now = new Date().toISOString();
+      const lockedUntil = new Date(Date.now() + leaseMs).toISOString();
+      updateJobOps.failExpired.run(now, now, now);
+      const due = updateJobOps.selectDue.all(now, now, limit);
+      for (const { id } of due) updateJobOps.lease.run(workerId, lockedUntil, now, id);
+      return due.map(({ id }) => mapUpdateJobRow(updateJobOps.getById.get(id)));
+    });
+    return lease();
+  }
+
+  completeUpdateJob(jobId, workerId) {
+    const now = new Date().toISOString();
+    updateJobOps.complete.run(now, now, jobId, workerId);
+  }
+
+  // retryAt = Date → back to pending at that time; null → permanently failed
+  failUpdateJob(jobId, workerId, errorMessage, retryAt = null) {
+    const now = new Date().toISOString();
+    if (retryAt) {
+      updateJobOps.retry.run(errorMessage, retryAt.toISOString(), now, jobId, workerId);
+    } else {
+      updateJobOps.fail.run(errorMessage, now, now, jobId, workerId);
+    }
+  }
+
+  getUpdateJobs({ playlistId = null, status = null, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (playlistId) { conditions.push('playlist_id = ?'); params.push(playlistId); }
+    if (status) { conditions.push('status = ?'); params.push(status); }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM update_jobs ${where} ORDER BY created_at DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(mapUpdateJobRow);
+  }
+
+  pruneUpdateJobs(olderThanDays = 30) {
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+    return updateJobOps.prune.run(cutoff).changes;
+  }
+
+  // Playlist run history
+  recordPlaylistRun(userId, playlistId, { trigger, status, prompt = null, tracksAdded = [], tracksRemoved = [], tracksBefore = [], error = null }, keep = 50) {
+    const result = playlistRunOps.insert.run(
+      userId, playlistId, trigger, status, prompt,
+      JSON.stringify(tracksAdded), JSON.stringify(tracksRemoved), JSON.stringify(tracksBefore),
+      error, new Date().toISOString()
+    );
+    playlistRunOps.trim.run(playlistId, playlistId, keep);
+    return mapPlaylistRunRow(playlistRunOps.getById.get(result.lastInsertRowid, userId));
+  }
+
+  getPlaylistRuns(userId, playlistId, { since = null, limit = 50 } = {}) {
+    const sinceIso = since ? new Date(since).toISOString() : '';
+    return playlistRunOps.list.all(userId, playlistId, sinceIso, limit).map(mapPlaylistRunRow);
+  }
+
+  getPlaylistRun(userId, runId) {
+    return mapPlaylistRunRow(playlistRunOps.getById.get(runId, userId));
+  }
+
+  deletePlaylistRuns(userId, playlistId) {
+    playlistRunOps.deleteForPlaylist.run(userId, playlistId);
+  }
+
+  // Playlists (drafts included)
+  getUserPlaylists(userId) {
+    return playlistOps.getForUser.all(userId).map(mapPlaylistRow);
+  }
+
+  getPlaylist(userId, playlistId) {
+    const row = playlistOps.get.get(userId, playlistId);
+    return row ? mapPlaylistRow(row) : null;
+  }
+
+  savePlaylist(userId, playlistId, playlistData) {
+    const now = new Date().toISOString();
+    playlistOps.upsert.run(userId, playlistId, JSON.stringify(playlistData), now, now);
+  }
+
+  deletePlaylist(userId, playlistId) {
+    playlistOps.delete.run(userId, playlistId);
+  }
+
+  getAllPlaylists() {
+    const playlistsByUser = {};
+    for (const row of playlistOps.getAll.all()) {
+      if (!playlistsByUser[row.user_id]) {
+        playlistsByUser[row.user_id] = [];
+      }
+      playlistsByUser[row.user_id].push(mapPlaylistRow(row));
+    }
+    return playlistsByUser;
+  }
+
+  // Playlist reactions: { playlistId: { thumbsUp: [userId], thumbsDown: [userId] } }, oldest first
+  getAllPlaylistReactions() {
+    const reactions = {};
+    for (const row of reactionOps.getAll.all()) {
+      if (!reactions[row.playlist_id]) {
+        reactions[row.playlist_id] = { thumbsUp: [], thumbsDown: [] };
+      }
+      reactions[row.playlist_id][row.reaction === 'up' ? 'thumbsUp' : 'thumbsDown'].push(row.user_id);
+    }
+    return reactions;
+  }
+
+  setPlaylistReaction(playlistId, userId, reaction) {
+    reactionOps.upsert.run(playlistId, userId, reaction, new Date().toISOString());
+  }
+
+  removePlaylistReaction(playlistId, userId) {
+    reactionOps.delete.run(playlistId, userId);
+  }
+
+  deletePlaylistReactions(playlistId) {
+    reactionOps.deleteForPlaylist.run(playlistId);
+  }
+
+  // Saved playlists: { userId: [playlistId] }, oldest first
+  getAllSavedPlaylists() {
+    const saved = {};
+    for (const row of savedPlaylistOps.getAll.all()) {
+      if (!saved[row.user_id]) {
+        saved[row.user_id] = [];
+      }
+      saved[row.user_id].push(row.playlist_id);
+    }
+    return saved;
+  }
+
+  addSavedPlaylist(userId, playlistId) {
+    savedPlaylistOps.insert.run(userId, playlistId, new Date().toISOString());
+  }
+
+  removeSavedPlaylist(userId, playlistId) {
+    savedPlaylistOps.delete.run(userId, playlistId);
+  }
+
+  // Admin audit log
+  recordAdminAction(actorEmail, action, targetEmail = null, details = {}) {
+    auditLogOps.insert.run(actorEmail, action, targetEmail, JSON.stringify(details), new Date().toISOString());
+  }
+
+  // Newest first; pass the last entry's id as `before` to page back
+  getAdminAuditLog({ before = null, limit = 50, targetEmail = null } = {}) {
+    return auditLogOps.list.all(before, before, targetEmail, targetEmail, limit).map(mapAuditLogRow);
+  }
+
+  // Generation usage accounting
+  recordGenerationUsage(usage) {
+    db.prepare(`
+      INSERT INTO generation_usage (generation_id, user_id, email, plan, prompt_type, trigger_type, status,
+        llm_calls, input_tokens, output_tokens, soundcharts_calls, platform_calls, cost_usd, details, started_at, finished_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      usage.generationId, usage.userId, usage.email, usage.plan, usage.promptType, usage.trigger, usage.status,
+      usage.llmCalls, usage.inputTokens, usage.outputTokens, usage.soundchartsCalls, usage.platformCalls,
+      usage.costUsd, JSON.stringify(usage.details || {}), usage.startedAt, usage.finishedAt
+    );
+  }
+
+  // Totals per user / plan / prompt type for generations started since `since`
+  getUsageReport({ groupBy = 'user', since }) {
+    const column = USAGE_GROUP_COLUMNS[groupBy];
+    if (!column) throw new Error(`Unknown usage grouping: ${groupBy}`);
+    return db.prepare(`
+      SELECT COALESCE(${column}, 'unknown') AS grp,
+             COUNT(*) AS generations,
+             SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) AS completed,
+             SUM(llm_calls) AS llm_calls,
+             SUM(input_tokens) AS input_tokens,
+             SUM(output_tokens) AS output_tokens,
+             SUM(soundcharts_calls) AS soundcharts_calls,
+             SUM(platform_calls) AS platform_calls,
+             SUM(cost_usd) AS cost_usd
+      FROM generation_usage
+      WHERE started_at >= ?
+      GROUP BY grp
+      ORDER BY cost_usd DESC
+    `).all(new Date(since).toISOString()).map(mapUsageReportRow);
+  }
+
+  // Feedback
+  recordFeedback({ email = null, userId = null, rating = null, message = null }) {
+    db.prepare('INSERT INTO feedback (email, user_id, rating, message, created_at) VALUES (?, ?, ?, ?, ?)')
+      .run(email, userId, rating, message, new Date().toISOString());
+  }
+
+  getFeedback(email, userIds = []) {
+    const ids = [...new Set([email, ...userIds].filter(Boolean))];
+    return db.prepare(`
+      SELECT rating, message, created_at as "createdAt"
+      FROM feedback
+      WHERE email = ? OR user_id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY id
+    `).all(email, ...ids);
+  }
+
   // Close database connection
   close() {
     db.close();
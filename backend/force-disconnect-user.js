@@ -1,16 +1,15 @@
+require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const db = require('./database');
 
 const usersFile = path.join(__dirname, '.users.json');
-const tokensFile = path.join(__dirname, '.tokens.json');
 
-// Read the current users and tokens
+// Read the current users
 let users = {};
-let tokens = {};
 
 try {
   users = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
-  tokens = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
 } catch (err) {
   console.error('Error reading files:', err);
   process.exit(1);
@@ -36,11 +35,10 @@ if (users[email]) {
 }
 
 // Delete tokens
-if (tokens[userId]) {
+if (db.getToken(userId)) {
   console.log(`Deleting tokens for userId: ${userId}`);
-  delete tokens[userId];
-  fs.writeFileSync(tokensFile, JSON.stringify(tokens, null, 2));
-  console.log('Tokens deleted from .tokens.json');
+  db.deleteToken(userId);
+  console.log('Tokens deleted from the database');
 }
 
 console.log('\nDone! The user must now reconnect their Spotify account.');
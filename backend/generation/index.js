@@ -0,0 +1,54 @@
+/**
+ * Playlist generation stages
+ * The /api/generate-playlist handler runs these in DEFAULT_ORDER, with the
+ * reference-song lookup, platform matching and scoring steps still inline
+ * between them. Pass stage names to runPipeline() to run a custom order or a subset.
+ */
+
+const { runStage, runPipeline, selectStages } = require('./pipeline');
+const { getPhases, classifyPromptType } = require('./utils');
+const { NOOP_PROGRESS, createSseProgress, createSseResponse } = require('./progress');
+const ageToEra = require('./stages/ageToEra');
+const escapismOverride = require('./stages/escapismOverride');
+const genreExtraction = require('./stages/genreExtraction');
+const soundChartsStrategy = require('./stages/soundChartsStrategy');
+const familiaritySplit = require('./stages/familiaritySplit');
+const vibeCheck = require('./stages/vibeCheck');
+const energyProgression = require('./stages/energyProgression');
+
+const stages = {
+  [ageToEra.name]: ageToEra,
+  [escapismOverride.name]: escapismOverride,
+  [genreExtraction.name]: genreExtraction,
+  [soundChartsStrategy.name]: soundChartsStrategy,
+  [familiaritySplit.name]: familiaritySplit,
+  [vibeCheck.name]: vibeCheck,
+  [energyProgression.name]: energyProgression,
+};
+
+const DEFAULT_ORDER = [
+  ageToEra.name,
+  escapismOverride.name,
+  genreExtraction.name,
+  soundChartsStrategy.name,
+  familiaritySplit.name,
+  vibeCheck.name,
+  energyProgression.name,
+];
+
+// Prompt preprocessing runs as one pipeline before any platform/catalog work
+const PROMPT_STAGES = [ageToEra.name, escapismOverride.name, genreExtraction.name];
+
+module.exports = {
+  stages,
+  DEFAULT_ORDER,
+  PROMPT_STAGES,
+  runStage: (name, state, deps) => runStage(selectStages(stages, [name])[0], state, deps),
+  runPipeline: (names, state, deps) => runPipeline(selectStages(stages, names), state, deps),
+  hasVibeRequirements: vibeCheck.hasVibeRequirements,
+  getPhases,
+  classifyPromptType,
+  NOOP_PROGRESS,
+  createSseProgress,
+  createSseResponse,
+};
@@ -0,0 +1,76 @@
+/**
+ * Generation Pipeline
+ * Runs named playlist-generation stages in order over a shared state object.
+ *
+ * Each stage is a plain object:
+ *   { name: 'vibe-check', run: async (input, deps) => ({ ...partialState }) }
+ *
+ * A stage receives the current state as its input and returns only the keys it
+ * produces; those keys are merged into the state before the next stage runs.
+ * External clients (LLM, SoundCharts, platform APIs) are never required
+ * directly by a stage — they arrive through `deps`, so any stage can be run
+ * from a fixture with stubbed clients (see run-stage.js).
+ */
+
+/**
+ * @typedef {Object} StageDeps
+ * @property {Object} [llm] - LLM service (needs complete(task, request), see services/llmService.js)
+ * @property {Function} [buildSoundchartsQuery] - (genreData, allowExplicit) => scQuery
+ * @property {Function|null} [executeSoundChartsStrategy] - (scQuery, fetchCount, confirmedArtistUuids, minArtists) => Promise<Array>
+ * @property {Function} [filterArtistsByGender] - (artists, vocalGender) => Promise<string[]>
+ */
+
+/**
+ * @typedef {Object} Stage
+ * @property {string} name - Stable stage name used for lookup and logging
+ * @property {(input: Object, deps: StageDeps) => Promise<Object>} run
+ */
+
+/**
+ * Run a single stage and merge its output into a copy of the input state
+ * @param {Stage} stage - Stage to run
+ * @param {Object} state - Current pipeline state
+ * @param {StageDeps} deps - Injected clients
+ * @returns {Promise<Object>} New state
+ */
+async function runStage(stage, state, deps = {}) {
+  const output = await stage.run(state, deps);
+  return { ...state, ...(output || {}) };
+}
+
+/**
+ * Run stages in order, threading state through each one
+ * @param {Stage[]} stages - Stages in execution order
+ * @param {Object} initialState - Starting state (e.g. { prompt })
+ * @param {StageDeps} deps - Injected clients
+ * @returns {Promise<Object>} Final state
+ */
+async function runPipeline(stages, initialState, deps = {}) {
+  let state = { ...initialState };
+  for (const stage of stages) {
+    state = await runStage(stage, state, deps);
+  }
+  return state;
+}
+
+/**
+ * Build an ordered stage list from stage names
+ * @param {Object<string, Stage>} registry - Stages keyed by name
+ * @param {string[]} names - Stage names in the desired order
+ * @returns {Stage[]}
+ */
+function selectStages(registry, names) {
+  return names.map(name => {
+    const stage = registry[name];
+    if (!stage) {
+      throw new Error(`Unknown generation stage: ${name}`);
+    }
+    return stage;
+  });
+}
+
+module.exports = {
+  runStage,
+  runPipeline,
+  selectStages,
+};
@@ -0,0 +1,119 @@
+/**
+ * Generation progress reporting
+ * The generate-playlist handler reports stage events and partial track lists
+ * through a progress object. Plain JSON requests get NOOP_PROGRESS; the
+ * streaming route (/api/generate-playlist/stream) gets an SSE-backed one that
+ * writes `data: {...}\n\n` frames the same way /api/analyze-mix does.
+ *
+ * Event shapes:
+ *   { type: 'stage', stage, message, ...details }
+ *   { type: 'tracks', tracks: [{ id, uri, name, artist, album, image, externalUrl }] }
+ *   { type: 'done', ...generateResult }
+ *   { type: 'error', status, error, ... }
+ */
+
+const NOOP_PROGRESS = {
+  stage() {},
+  tracks() {},
+  throwIfCancelled() {},
+  isCancelled: () => false,
+};
+
+/**
+ * Reduce a matched track to what the progress UI needs
+ * @param {Object} track - Track from allTracks / selectedTracks
+ * @returns {Object}
+ */
+function summarizeTrack(track) {
+  return {
+    id: track.id,
+    uri: track.uri || null,
+    name: track.name,
+    artist: track.artist || track.artists?.[0]?.name || 'Unknown Artist',
+    album: track.album?.name || (typeof track.album === 'string' ? track.album : null),
+    image: track.image || track.album?.images?.[0]?.url || null,
+    externalUrl: track.externalUrl || null,
+  };
+}
+
+/**
+ * Error thrown at a stage boundary once the client has gone away
+ * @returns {Error}
+ */
+function cancelledError() {
+  const err = new Error('Generation cancelled by client');
+  err.code = 'GENERATION_CANCELLED';
+  return err;
+}
+
+/**
+ * Start an SSE stream on `res` and return a progress reporter bound to it
+ * @param {Object} res - Express response
+ * @returns {{ progress: Object, send: Function, end: Function }}
+ */
+function createSseProgress(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  // res 'close' (not req 'close') — for POST bodies req closes as soon as the body is read
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const send = (data) => {
+    if (!closed) res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const progress = {
+    stage(stage, message, details = {}) {
+      send({ type: 'stage', stage, message, ...details });
+    },
+    tracks(tracks) {
+      send({ type: 'tracks', tracks: (tracks || []).map(summarizeTrack) });
+    },
+    throwIfCancelled() {
+      if (closed) throw cancelledError();
+    },
+    isCancelled: () => closed,
+  };
+
+  const end = () => {
+    if (!res.writableEnded) res.end();
+  };
+
+  return { progress, send, end };
+}
+
+/**
+ * Response stand-in handed to the generate-playlist handler when streaming.
+ * res.json() becomes the terminal `done` (2xx) or `error` (4xx/5xx) event.
+ * @param {Function} send - SSE writer from createSseProgress
+ * @param {Function} end - Closes the stream
+ * @returns {Object}
+ */
+function createSseResponse(send, end) {
+  return {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      if (this.statusCode >= 400) {
+        send({ type: 'error', status: this.statusCode, ...body });
+      } else {
+        send({ type: 'done', ...body });
+      }
+      end();
+      return this;
+    },
+  };
+}
+
+module.exports = {
+  NOOP_PROGRESS,
+  summarizeTrack,
+  createSseProgress,
+  createSseResponse,
+};
@@ -0,0 +1,90 @@
+/**
+ * Run one generation stage (or several, in order) against a JSON fixture with
+ * the fixture-replay LLM provider and a stubbed SoundCharts client — no network calls are made.
+ *
+ * Usage:
+ *   node generation/run-stage.js generation/fixtures/vibe-check.json
+ *   node generation/run-stage.js generation/fixtures/prompt.json age-to-era,escapism-override
+ *
+ * Fixture format:
+ * {
+ *   "stages": ["vibe-check"],           // default when no stage list is passed on the CLI
+ *   "input": { ... },                    // initial pipeline state
+ *   "llmResponses": ["{...}", ...],      // replayed in call order (or { "<task>": [...] } per LLM task)
+ *   "soundchartsResponses": [[...], ...],// returned in order by executeSoundChartsStrategy
+ *   "expect": { "selectedTracks.length": 3 } // optional dotted-path assertions on the output
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const generation = require('./index');
+const { createFixtureProvider, createLlmService, TASKS } = require('../services/llmService');
+
+// Every LLM task routed to the fixture provider
+const fixtureRouting = () =>
+  Object.fromEntries(Object.keys(TASKS).map(task => [task, { provider: 'fixture', model: 'fixture' }]));
+
+function createStubDeps(fixture) {
+  const fixtureProvider = createFixtureProvider({ responses: fixture.llmResponses || [] });
+  const scResponses = [...(fixture.soundchartsResponses || [])];
+  const calls = { llm: fixtureProvider.calls, soundcharts: [] };
+
+  const deps = {
+    llm: createLlmService({ providers: { fixture: fixtureProvider }, config: fixtureRouting() }),
+    buildSoundchartsQuery: (genreData) => ({
+      strategy: 'top_songs',
+      artists: [...(genreData.artistConstraints?.requestedArtists || [])],
+      seedArtists: [],
+      expandToSimilar: false,
+      soundchartsFilters: [],
+      ...(fixture.scQuery || {}),
+    }),
+    executeSoundChartsStrategy: fixture.soundchartsResponses
+      ? async (query, fetchCount) => {
+        calls.soundcharts.push({ query, fetchCount });
+        return scResponses.shift() || [];
+      }
+      : null,
+    filterArtistsByGender: async (artists) => artists,
+  };
+  return { deps, calls };
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+async function main() {
+  const [fixturePath, stageArg] = process.argv.slice(2);
+  if (!fixturePath) {
+    console.error('Usage: node generation/run-stage.js <fixture.json> [stage-a,stage-b]');
+    process.exit(1);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+  const stageNames = stageArg ? stageArg.split(',') : (fixture.stages || generation.DEFAULT_ORDER);
+  const { deps, calls } = createStubDeps(fixture);
+
+  const output = await generation.runPipeline(stageNames, fixture.input || {}, deps);
+
+  console.log(`\n✓ Ran [${stageNames.join(' → ')}] (${calls.llm.length} LLM call(s), ${calls.soundcharts.length} SoundCharts call(s))`);
+  console.log(JSON.stringify(output, null, 2));
+
+  let failed = 0;
+  for (const [key, expected] of Object.entries(fixture.expect || {})) {
+    const actual = getPath(output, key);
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      console.log(`✅ ${key} = ${JSON.stringify(expected)}`);
+    } else {
+      console.log(`❌ ${key}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      failed++;
+    }
+  }
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(err => {
+  console.error('Stage run failed:', err);
+  process.exit(1);
+});
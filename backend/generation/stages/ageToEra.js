@@ -0,0 +1,40 @@
+/**
+ * Stage: age-to-era
+ * Detects "I'm X, take me back to being Y" or "I was 16 in [year]" patterns
+ * and injects the computed year range into the prompt so Claude doesn't have
+ * to do the math (it often fails). Current year is used as reference.
+ *
+ * Input:  { prompt: string, currentYear?: number }
+ * Output: { prompt: string, eraHint: { min: number, max: number } | null }
+ */
+
+const AGE_TO_ERA_PATTERNS = [
+  /i(?:'m| am) (\d{1,2}).*?(?:take me back|reminds? me|when i was|back to being|feel like i(?:'m| was)|being) (\d{1,2})/i,
+  /(?:take me back|feel like i(?:'m| was)|back to being|when i was|reminds? me of being) (\d{1,2}).*?i(?:'m| am) (\d{1,2})/i,
+];
+
+async function run({ prompt, currentYear }) {
+  const _currentYear = currentYear || new Date().getFullYear();
+  let match = null;
+  for (const pattern of AGE_TO_ERA_PATTERNS) {
+    match = prompt.match(pattern);
+    if (match) break;
+  }
+  if (!match) return { prompt, eraHint: null };
+
+  const [, a, b] = match;
+  const currentAge = parseInt(a), targetAge = parseInt(b);
+  if (currentAge > targetAge && currentAge <= 100 && targetAge >= 5) {
+    const eraCenter = _currentYear - (currentAge - targetAge);
+    const eraMin = eraCenter - 2;
+    const eraMax = eraCenter + 3;
+    console.log(`🎂 Age-to-era: ${currentAge}yo → ${targetAge}yo = era ${eraMin}–${eraMax}`);
+    return {
+      prompt: `${prompt} [Era hint: user is ${currentAge} and wants to feel ${targetAge} again — that maps to approximately ${eraMin}–${eraMax}. Set yearRange.min=${eraMin}, yearRange.max=${eraMax}.]`,
+      eraHint: { min: eraMin, max: eraMax },
+    };
+  }
+  return { prompt, eraHint: null };
+}
+
+module.exports = { name: 'age-to-era', run };
@@ -0,0 +1,48 @@
+/**
+ * Stage: energy progression
+ * For "build from chill → hype" or "peak then wind down" prompts, asks Claude
+ * to reorder the final tracks by energy. Uses Haiku for speed. Skipped for
+ * multi-phase playlists — phase transition smoothing handles sequencing there.
+ *
+ * Input:  { selectedTracks: Array, genreData }
+ * Output: { selectedTracks: Array } (same tracks, possibly reordered)
+ * Deps:   llm
+ */
+
+const { getPhases } = require('../utils');
+
+async function run({ selectedTracks, genreData }, { llm }) {
+  if (!genreData.energyProgression || getPhases(genreData) || selectedTracks.length < 4) {
+    return { selectedTracks };
+  }
+
+  try {
+    const direction = genreData.energyProgression === 'ramp_up'
+      ? 'low to high energy (chill/mellow first, intense/hype last)'
+      : 'high to low energy (intense/hype first, chill/mellow last)';
+    const trackList = selectedTracks.map((t, i) => `${i + 1}. "${t.name}" by ${t.artist}`).join('\n');
+    const seqResponse = await llm.complete('energyProgression', {
+      maxTokens: 400,
+      temperature: 0,
+      prompt: `Reorder these playlist tracks from ${direction}. Return ONLY a JSON array of the 1-based original track numbers in the new order. No explanation.\n\n${trackList}`
+    });
+    const seqText = seqResponse.text.trim()
+      .replace(/^```json\n?/, '').replace(/\n?```$/, '');
+    const seqMatch = seqText.match(/\[[\d,\s]+\]/);
+    if (seqMatch) {
+      const order = JSON.parse(seqMatch[0]);
+      const reordered = order
+        .map(idx => selectedTracks[idx - 1])
+        .filter(Boolean);
+      if (reordered.length >= Math.ceil(selectedTracks.length * 0.8)) {
+        console.log(`🎚️ Sequenced tracks ${genreData.energyProgression}: ${direction}`);
+        return { selectedTracks: reordered };
+      }
+    }
+  } catch (seqErr) {
+    console.log('[SEQUENCING] Skipped due to error:', seqErr.message);
+  }
+  return { selectedTracks };
+}
+
+module.exports = { name: 'energy-progression', run };
@@ -0,0 +1,56 @@
+/**
+ * Stage: escapism override
+ * Detects "stated desired state + conflicting real-world context."
+ * Without this, the extraction step sees the real-world context word as a mood/energy signal
+ * and delivers music for where the user IS rather than where they WANT TO BE.
+ * Must run before genreData extraction so the override wins before mood inference starts.
+ * Each check: (stated desire pattern) + (conflicting context pattern) → inject an override hint.
+ * Only the first match fires; they're ordered by specificity.
+ *
+ * Input:  { prompt: string }
+ * Output: { prompt: string, escapismOverride: string | null } (id of the check that fired)
+ */
+
+const ESCAPISM_CHECKS = [
+  {
+    id: 'summer',
+    // Summer/warm escapism + cold/winter context
+    // e.g. "I need a summer playlist, it's freezing outside"
+    wants: p => /\b(summer|beach|warm|tropical|july|august)\b.{0,60}\b(playlist|music|songs|vibes|feel|energy)\b/i.test(p)
+      || /\b(playlist|music|songs|vibes)\b.{0,60}\b(summer|beach|warm|tropical)\b/i.test(p),
+    conflict: p => /\b(freez|freezing|cold|winter|snow|icy|chilly)\b/i.test(p),
+    hint: `User is requesting SUMMER ESCAPISM. The cold/winter/freezing detail explains WHY they want summer music — it is NOT a mood or genre signal. Set useCase: "summer", mood: "positive", atmosphere: ["carefree", "warm", "upbeat", "beachy"], suggestedSeedArtists to summery artists (Harry Styles, Doja Cat, Summer Salt, Bad Bunny, Outkast). Do NOT set any cold, melancholic, or wintry signals.`,
+    emoji: '☀️ ',
+  },
+  {
+    id: 'party',
+    // Party/high-energy escapism + tired/weekday/work context
+    // e.g. "it's Monday morning but I need a Friday night playlist"
+    // e.g. "I'm exhausted but need something to hype me up"
+    wants: p => /\b(party|hype|friday night|weekend energy|pregame|going out|bops|club|dance floor|high energy)\b/i.test(p),
+    conflict: p => /\b(tired|exhausted|monday|tuesday|wednesday|thursday|early morning|work day|at work|office|long day|drained)\b/i.test(p),
+    hint: `User wants HIGH ENERGY/PARTY music as escapism from tiredness or a weekday context. "Tired" / "Monday" / "work" explains WHY they need the energy boost — it is NOT an energy or mood signal. Set energyTarget: "high", mood: "positive", useCase: "party". Do NOT set low energy, melancholic, or study-mode signals.`,
+    emoji: '🎉',
+  },
+  {
+    id: 'outdoor',
+    // Outdoor/festival escapism + stuck inside/trapped context
+    // e.g. "I'm stuck inside but give me an outdoor festival vibe"
+    wants: p => /\b(outdoor|outside|festival|open air|windows down|fresh air|road trip)\b/i.test(p),
+    conflict: p => /\b(stuck inside|trapped|can'?t go out|indoors|at home|locked in|can'?t leave|inside all day)\b/i.test(p),
+    hint: `User wants OUTDOOR/FESTIVAL vibes as escapism from being stuck inside. The "stuck inside" detail explains WHY they want it — it is NOT a use-case or context signal. Deliver open, energetic, feel-good outdoor music. Do NOT set indoor, home, or ambient signals.`,
+    emoji: '🌲',
+  },
+];
+
+async function run({ prompt }) {
+  for (const check of ESCAPISM_CHECKS) {
+    if (check.wants(prompt) && check.conflict(prompt)) {
+      console.log(`${check.emoji} Escapism conflict detected — injecting override hint`);
+      return { prompt: `${prompt} [OVERRIDE: ${check.hint}]`, escapismOverride: check.id };
+    }
+  }
+  return { prompt, escapismOverride: null };
+}
+
+module.exports = { name: 'escapism-override', run, ESCAPISM_CHECKS };
@@ -0,0 +1,55 @@
+/**
+ * Stage: familiarity split
+ * Applies the extracted familiarity ratio (80% hits / 20% deep cuts, etc.) to the
+ * scored candidate pool. Hits = high popularity (≥65), deep cuts = lower popularity
+ * (<65); deep cuts are interleaved so they're spread through the playlist. Without
+ * a ratio, the top `selectionTarget` candidates are taken as-is.
+ *
+ * Multi-phase playlists select per phase instead and don't run this stage.
+ *
+ * Input:  { tracksForSelection: Array, genreData, songCount: number, selectionTarget: number, hasVibeRequirements?: boolean }
+ * Output: { selectedTracks: Array }
+ */
+
+const HIT_POPULARITY = 65;
+
+async function run({ tracksForSelection, genreData, songCount, selectionTarget, hasVibeRequirements }) {
+  const _famRatio = genreData.discoveryBalance?.familiarityRatio;
+  const _hitsFraction = _famRatio?.hits;
+  const _deepFraction = _famRatio?.deepCuts;
+
+  if (!(_hitsFraction && _deepFraction && (_hitsFraction + _deepFraction) >= 0.9)) {
+    const selectedTracks = tracksForSelection.slice(0, selectionTarget);
+    console.log(`📋 Using top ${selectedTracks.length} tracks (${hasVibeRequirements ? 'vibe check will run' : 'no vibe check needed'})`);
+    return { selectedTracks };
+  }
+
+  const hitsTarget = Math.round(songCount * _hitsFraction);
+  const deepTarget = Math.max(1, songCount - hitsTarget);
+  // Sort desc by popularity so we pick the most popular hits first
+  const hitPool = [...tracksForSelection].filter(t => (t.popularity ?? 50) >= HIT_POPULARITY)
+    .sort((a, b) => (b.popularity ?? 50) - (a.popularity ?? 50));
+  const deepPool = [...tracksForSelection].filter(t => (t.popularity ?? 50) < HIT_POPULARITY)
+    .sort((a, b) => (a.popularity ?? 50) - (b.popularity ?? 50)); // least popular first for discovery
+  const hitsSelected = hitPool.slice(0, hitsTarget);
+  const deepSelected = deepPool.slice(0, deepTarget);
+
+  // Interleave: roughly every Nth track is a deep cut so they're spread through the playlist
+  const selectedTracks = [];
+  const deepEveryN = Math.max(2, Math.round(songCount / Math.max(deepSelected.length, 1)));
+  let deepIdx = 0, hitIdx = 0, pos = 0;
+  while (selectedTracks.length < songCount) {
+    if (deepIdx < deepSelected.length && pos > 0 && pos % deepEveryN === 0) {
+      selectedTracks.push(deepSelected[deepIdx++]);
+    } else if (hitIdx < hitsSelected.length) {
+      selectedTracks.push(hitsSelected[hitIdx++]);
+    } else if (deepIdx < deepSelected.length) {
+      selectedTracks.push(deepSelected[deepIdx++]);
+    } else break;
+    pos++;
+  }
+  console.log(`🎯 Familiarity ratio ${Math.round(_hitsFraction*100)}/${Math.round(_deepFraction*100)}: ${hitsSelected.length} hits + ${deepSelected.length} deep cuts = ${selectedTracks.length} tracks`);
+  return { selectedTracks };
+}
+
+module.exports = { name: 'familiarity-split', run };
@@ -0,0 +1,566 @@
+/**
+ * Stage: genreData extraction
+ * Asks Claude to extract the genre, style, audio features, AND all refinement
+ * constraints from the prompt into a single genreData object. Every later stage
+ * reads from genreData, so a parse failure falls back to an all-null default
+ * rather than aborting generation.
+ *
+ * Input:  { prompt: string, currentYear?: number }
+ * Output: { genreData: Object }
+ * Deps:   llm
+ */
+
+const { stripJsonFences } = require('../utils');
+
+/**
+ * Build the extraction prompt sent to Claude
+ * @param {string} prompt - Normalized user prompt (after age-to-era / escapism hints)
+ * @param {number} currentYear - Reference year for relative era phrases ("past 5 years")
+ * @returns {string}
+ */
+function buildGenreExtractionPrompt(prompt, currentYear = new Date().getFullYear()) {
+  return `Extract ALL musical characteristics, constraints, and refinement preferences from this playlist prompt.
+
+IMPORTANT — when the prompt contains "Refinements: ...", treat those as ADDITIVE constraints that layer on top of the original request. Refinements ALWAYS preserve ALL original constraints (genre, mood, energy, artists, era, etc.). They only add or narrow — never replace or remove.
+Examples:
+- "sad late-night playlist. Refinements: I want R&B" → sad R&B (keep mood + energy, add genre)
+- "I want Drake songs. Refinements: sad songs" → sad Drake songs (keep requestedArtists: [Drake], add mood: melancholic)
+- "upbeat workout songs. Refinements: make it hip-hop" → upbeat hip-hop workout (keep energyTarget: high, add genre)
+- "chill indie music. Refinements: more acoustic" → chill acoustic indie (keep genre + mood, add production preference)
+- "80s rock. Refinements: more guitar-driven" → 80s guitar-driven rock (keep era + genre, add style detail)
+Never drop any constraint from the original request for any reason. If the user wants a completely different playlist, they start a new one.
+
+Prompt: "${prompt}"
+
+For "primaryGenre" and "subgenre", you MUST use exact slugs from these SoundCharts lists. Do not invent values.
+
+SC genres (use for primaryGenre when the request is broad): african, alternative, asian, blues, classical, country, electro, european, folk, hip hop, holiday, instrumental, jazz, kids, latin, mena, metal, others, pop, r&b, reggae, religious, rock, soundtrack, spoken, sports
+
+SC subgenres (use for primaryGenre or subgenre when the request is specific): acoustic blues, african, afrikaans, afrobeats, alternative, amapiano, anime, arabesque, arabic, asian, audiobooks, baile funk, banda/grupero, baroque, bluegrass, blues, bolero, bollywood, bossa, brasilian music, cantonese pop, chicago blues, children's music, chill out/trip-hop/lounge, christian, christmas, classical, classical period, comedy, contemporary r&b, contemporary soul, corridos, country, cumbia, dance, dancehall/ragga, dirty south, disco, dub, dubstep, east coast, electronic, electro pop/electro rock, film ost, flamenco, folk, forro, french chanson, french pop, french rap, french rock, german pop, gospel, grime, hard rock, hip-hop & rap, indian music, indie pop, indie pop/folk, indie rock, indie rock/pop rock, international folklore, international pop, jazz, jazz instrumental, jazz vocal, j-pop, k-pop, latin, mandarin pop, metal, middle eastern, musical theater, norteño, old school r&b, opera, ost, pop, pop in spanish, r&b, r&b, funk & soul, reggae, reggaeton, rock, rock & roll/rockabilly, salsa, singer/songwriter, ska, soul, spoken word, techno/house, trance, traditional mexicano, urbano latino, west coast, worldwide
+
+Rules:
+- If user says "rap" → primaryGenre: "hip-hop & rap" (subgenre)
+- If user says "hip hop" → primaryGenre: "hip hop" (genre)
+- If user says "k-pop" → primaryGenre: "k-pop" (subgenre)
+- If user says "techno" or "house" → primaryGenre: "techno/house" (subgenre)
+- If user says "r&b" → primaryGenre: "r&b" (genre)
+- If user says "soul" → primaryGenre: "soul" (subgenre)
+- If user says "trap" → primaryGenre: "hip-hop & rap" (subgenre), subgenre: null (trap is not a standalone SC slug)
+- Always prefer the most specific matching slug. Use a subgenre slug when it exists, genre slug as fallback.
+- ALWAYS set primaryGenre — even for genre-agnostic prompts. When the user doesn't name a genre, pick the genre that best matches the described mood, setting, and intent — NOT necessarily the largest catalog. A dinner party prompt should map to jazz or r&b, not pop. A cinematic prompt should map to soundtrack or classical, not alternative. Trust the context clues. Subgenres are smaller and more niche than their names suggest (e.g. "chill out/trip-hop/lounge" is 260K trip-hop songs, NOT generic chill; "dance" is 6.5M EDM, NOT general danceable music). Only set null if truly impossible to determine.
+- USE CASE → GENRE OVERRIDES (when user did NOT name a genre):
+  * useCase "workout" / "running" / "gym" → primaryGenre: "pop" — workout playlists need cross-genre energy (pop, hip hop, rock, electronic all have high-energy songs). The "pop" catalog is broadest (13M) and the energy/valence/danceability filters will select only high-energy tracks. Do NOT pick "electro" — it locks out hip hop bangers, rock anthems, and pop hits that are essential for running/gym playlists.
+  * useCase "focus" with "instrumental" / "no lyrics" → primaryGenre: "electro" — SC's "instrumental" genre (300K songs) is dominated by jazz with complex solos and rhythmic structures that are distracting, not focus-appropriate. Use "electro" (10.3M) with a high instrumentalness audio filter (≥0.8) to find ambient, neoclassical, and electronic instrumentals suited for deep work. Add secondaryGenres: ["classical", "instrumental"] so the mood/theme filters can still pull in neoclassical tracks.
+  * useCase "focus" WITHOUT "instrumental" / "no lyrics" → primaryGenre: "electro" — focus music is best found in the electronic catalog (lo-fi, ambient, neoclassical crossover) rather than "instrumental" or "classical" which skew jazz and orchestral.
+
+Respond ONLY with valid JSON in this format:
+{
+  "primaryGenre": "exact SC genre or subgenre slug, or null",
+  "subgenre": "exact SC subgenre slug for further specificity, or null",
+  "secondaryGenres": ["related genres"],
+  "keyCharacteristics": ["soulful", "upbeat", etc.],
+  "style": "overall vibe/style",
+  "atmosphere": ["mood tags"],
+  "era": {
+    "decade": "specific decade or null",
+    "yearRange": { "min": year or null, "max": year or null },
+    "descriptors": ["vintage", "modern", etc.]
+  },
+  "culturalContext": {
+    "region": "geographic region or null",
+    "movement": "cultural movement or null",
+    "scene": "music scene or null",
+    "language": { "prefer": ["list of preferred languages, e.g. 'Spanish', 'Korean'"], "exclude": ["list of excluded languages"] }
+  },
+  "contextClues": {
+    "useCase": "canonical activity/context — MUST be one of: party | workout | focus | chill | sleep | summer | heartbreak | background | morning | driving | rage | wedding | null. Never invent new values. Map semantically using these examples: party (pregame, hype, banger, bangers, turn up, turn up tonight, going out, we're going out, night out, club, dance, bar, tailgate, hard hitting, slaps, absolute banger) | workout (gym, run, running, exercise, training, cardio, lifting) | focus (study, deep work, coding, concentration, homework, productivity) | chill (relax, winding down, lazy, easy listening) | sleep (bedtime, falling asleep, wind down, nap, meditation) | summer (beach, sunny, warm, pool, tropical, vacation, july, august) | heartbreak (sad, breakup, crying, missing someone, emotional) | background (dinner, cooking, hosting, ambient, gathering, friends over) | morning (waking up, commute, getting ready, start the day) | driving (road trip, long drive, night drive, cruising, highway) | rage (angry, rage, furious, frustrated, pissed off, scream, aggressive workout) | wedding (wedding, reception, first dance, ceremony, bridal). If genuinely ambiguous between two categories, return null — falling through to genre/mood is better than a wrong useCase.",
+    "audience": ["christian", "family", "youth", "clean"] or [],
+    "avoidances": ["what NOT to include"]
+  },
+  "trackConstraints": {
+    "popularity": { "min": 0-100 or null, "max": 0-100 or null, "preference": "mainstream/underground/balanced" or null },
+    "duration": { "min": seconds or null, "max": seconds or null },
+    "excludeVersions": ["live", "remix", "acoustic", "cover", "instrumental", "edit", "remaster"] or [],
+    "albumDiversity": { "maxPerAlbum": number or null, "preferDeepCuts": boolean, "preferSingles": boolean },
+    "artistDiversity": { "maxPerArtist": number or null }
+  },
+  "artistConstraints": {
+    "vocalGender": "male/female/mixed/any" or null,
+    "artistType": "solo/band/any" or null,
+    "excludeFeatures": boolean,
+    "requestedArtists": ["exact artist names mentioned in prompt"] or [],
+    "excludedArtists": ["artist names the user explicitly wants excluded"] or [],
+    "exclusiveMode": boolean (true if user wants ONLY these specific artists, false for "similar vibe" mix)
+  },
+  "productionStyle": {
+    "preference": "acoustic/produced/lofi/polished/raw" or null,
+    "avoidAutoTune": boolean
+  },
+  "lyricalContent": {
+    "themes": ["love", "party", "introspective", etc.] or [],
+    "avoid": ["breakup", "political", "explicit", etc.] or []
+  },
+  "discoveryBalance": {
+    "preference": "cohesive/varied/unexpected" or null,
+    "familiarityRatio": { "hits": 0.0-1.0 or null, "deepCuts": 0.0-1.0 or null }
+  },
+  "songCount": integer (5-100) or null,
+  "referenceSongs": [{ "title": "song title", "artist": "artist name" }] or [],
+  "bpmConstraint": { "min": BPM integer or null, "max": BPM integer or null },
+  "mood": "positive" | "neutral" | "melancholic" | null,
+  "energyTarget": "low" | "medium" | "high" | null,
+  "energyProgression": "ramp_up" | "ramp_down" | null,
+  "phases": [{"label": "string", "energy": "low"|"medium"|"high", "mood": "positive"|"neutral"|"melancholic"|null, "fraction": 0.0-1.0}] or null,
+  "genreAccessibility": "newcomer" | "curious" | "enthusiast" | null,
+  "scMoods": ["calm", "reflective"],
+  "scThemes": ["escapism"],
+  "soundchartsFilters": [
+    { "type": "filterType", "data": {} }
+  ]
+}
+
+SC MOODS — pick 1-4 values from this exact list that best match the prompt's emotional tone:
+[aggressive, amusing, anxious, bittersweet, bizarre, boastful, bouncy, calm, cheerful, complex, confessional, confident, confrontational, controversial, conversational, critical, cynical, dark, desperate, devotional, dreamy, emotional, empowering, energetic, epic, euphoric, excited, frustrated, haunting, hopeful, inspirational, intense, introspective, joyful, melancholic, narrative, nostalgic, playful, poetic, reflective, romantic, sad, sensual, sentimental, serious, sincere, uplifting]
+Examples: workout → ["energetic", "empowering"], study/focus → ["calm", "introspective"], heartbreak → ["melancholic", "sad"], party → ["euphoric", "energetic"], chill/relax → ["calm", "dreamy"], sensual → ["sensual", "romantic"], sleep → ["calm", "dreamy"], nocturnal/dark city/noir scenes → ["dark", "haunting", "nostalgic"] (NOT "calm" or "dreamy" — those produce bedroom pop, not urban noir. Use "dark" for cinematic night atmospheres.)
+
+SC THEMES — pick 0-4 values from this exact list that match the prompt's subject matter:
+[acceptance, addiction, adventure, alcohol use, ambition, anger, beauty, betrayal, celebration, change, childhood, coming of age, commitment, communication, community, conflict, confusion, connection, control, controversy, criticism, cultural appropriation, dance and partying, danger, deception, dependency, depression, desire, despair, desperation, destiny, destruction, disappointment, distance, dreams and aspirations, drug use, education, empathy, empowerment, environmentalism, escapism, euphoria, excitement, existentialism, exploration, faith, fame, family, fear, forgiveness, freedom, friendship, frustration, gender roles, global issues, gratitude, greed, grief, happiness, healing, health, heartbreak, hedonism, hip-hop rivalry, history, home and belonging, hope, humor, identity, industry criticism, innocence, insecurity, inspiration, intimacy, jealousy, journey, justice, karma, liberation, life and existence, loneliness, longing, loss, love, loyalty, magic, materialism, media criticism, melancholy, memories, memory, mental health, money, moving on, music, mystery, nationalism, nature, nostalgia, obsession, oppression, overcoming adversity, pain, passion, patriotism, peace, perseverance, politics, poverty, power, pride, racism, rebellion, redemption, regret, relationships, religion, revenge, romantic disappointment, sacrifice, searching, seasons, secrets, self-discovery, self-expression, separation, sexuality, social change, spirituality, struggle, success, summer love, support, survival, technology, temptation, time, tradition, transformation, travel and adventure, trust, uncertainty, unity, urban life, violence, vulnerability, waiting, war, wealth, wealth inequality, work, worship, youth culture]
+Examples: heartbreak → ["heartbreak", "longing", "loss"], party → ["dance and partying", "celebration"], sensual → ["intimacy", "desire", "sexuality"], workout → ["ambition", "overcoming adversity"], studying/focus → ["escapism"], summer → ["summer love"]
+Leave empty [] if no specific thematic filter would help (e.g. generic genre requests).
+
+EXTRACTION GUIDELINES:
+For each field, reason about what the user is communicating, then map it to the appropriate value. The keyword examples below illustrate typical phrasings — they are not an exhaustive lookup table, and you should populate fields based on intent even when the user's exact words don't appear in any list.
+
+ERA & TIME:
+- CRITICAL: ONLY set yearRange.min/max for EXPLICIT year specifications. NEVER set yearRange.min/max for decade descriptors — only set the decade field.
+- "90s", "2000s", "2010s", "X classics", "[decade] vibes", "old school", "throwback": Set decade field ONLY — leave yearRange.min and yearRange.max as null
+- "past 5 years", "last 3 years", "recent": Set yearRange.min to ${currentYear - 5} (adjust N), yearRange.max to ${currentYear}
+- "from 2015 to 2020": Set min: 2015, max: 2020
+- "only 2020 songs": Set both min and max to 2020
+- "contemporary", "modern": Set min to ${currentYear - 5}, max to null
+
+POPULARITY:
+Apply popularity constraints only when the user is describing song recognizability, not genre aesthetics. "Indie" describes a sound and belongs to genre extraction — do NOT treat it as a popularity signal.
+- "mainstream hits", "popular songs", "songs everyone knows": min: 70
+- "underground", "deep cuts", "not the radio stuff": max: 40
+- "hidden gems", "lesser known": max: 50
+- "mix of popular and underground": preference: "balanced"
+
+SONG LENGTH (per-track duration only — NOT total playlist runtime):
+- ONLY use trackConstraints.duration when the user describes individual song length: "short songs", "under 3 minutes", "no songs over 4 minutes", "long tracks"
+- "short songs", "under 3 minutes": max: 180
+- "longer tracks", "over 5 minutes": min: 300
+- "no songs over 4 minutes": max: 240
+- Convert minutes to seconds
+- CRITICAL: "X minutes of music", "a 45-minute playlist", "an hour of music" → these describe TOTAL RUNTIME, not song length. Set songCount (e.g. 45 min → ~13 songs, 1 hour → ~15 songs, 2 hours → ~30 songs). Do NOT set trackConstraints.duration for total runtime requests.
+
+VERSION EXCLUSIONS:
+- "no live", "studio only": exclude ["live"]
+- "no remixes": exclude ["remix"]
+- "no covers": exclude ["cover"]
+- "original versions only": exclude ["live", "remix", "cover", "acoustic", "edit"]
+
+ALBUM DIVERSITY:
+- "no more than 2 per album": maxPerAlbum: 2
+- "album tracks", "deep cuts": preferDeepCuts: true
+- "singles only", "hits only": preferSingles: true
+
+ARTIST DIVERSITY:
+- "each song by different artist", "one song per artist", "no repeats by same artist", "every song different artist", "no artist twice": maxPerArtist: 1
+- "no repeats" (without mentioning artists) means no duplicate SONGS, NOT maxPerArtist — leave maxPerArtist: null
+- "no more than 2 songs per artist", "max 2 per artist": maxPerArtist: 2
+- "more diversity" (without specific artist count): maxPerArtist: 2
+
+VOCALS:
+- "female vocals", "female artists": vocalGender: "female"
+- "male vocals": vocalGender: "male"
+- "solo artists only": artistType: "solo"
+- "bands only": artistType: "band"
+- "no features", "no collaborations": excludeFeatures: true
+
+SPECIFIC ARTISTS:
+- "artists like [name]", "similar to [artist]", "songs from [artist]": Extract EXACT artist names to requestedArtists array
+- Be precise with artist names - do NOT confuse similar names (e.g., "C.LACY" is NOT "Steve Lacy")
+- Include ALL mentioned artists, even if they're indie/underground
+- EXCLUSIVE MODE DETECTION:
+  * exclusiveMode: true ONLY if user wants nothing but that artist: "only [artist]", "just [artist]", "exclusively [artist]"
+  * exclusiveMode: false for everything else including: "add [artist] songs", "add more [artist]", "include [artist]", "songs from [artist]", "like [artist]", "similar to [artist]", "vibes of [artist]"
+- Examples:
+  * "artists like C.LACY or Tyree Thomas" → requestedArtists: ["C.LACY", "Tyree Thomas"], exclusiveMode: false
+  * "i only want songs from drake" → requestedArtists: ["Drake"], exclusiveMode: true
+  * "just Taylor Swift songs" → requestedArtists: ["Taylor Swift"], exclusiveMode: true
+  * "add one direction songs" → requestedArtists: ["One Direction"], exclusiveMode: false
+  * "add more beyoncé" → requestedArtists: ["Beyoncé"], exclusiveMode: false
+  * "include some weeknd" → requestedArtists: ["The Weeknd"], exclusiveMode: false
+  * "songs like Need my baby by Reo Xander" → requestedArtists: ["Reo Xander"], exclusiveMode: false
+  * "Taylor Swift and Olivia Rodrigo vibes" → requestedArtists: ["Taylor Swift", "Olivia Rodrigo"], exclusiveMode: false
+
+PRODUCTION:
+- "acoustic", "unplugged", "stripped": preference: "acoustic"
+- "produced", "polished": preference: "polished"
+- "lo-fi", "bedroom pop": preference: "lofi"
+- "raw", "live feel": preference: "raw"
+- "no auto-tune": avoidAutoTune: true
+
+LYRICAL CONTENT:
+Use lyricalContent.themes and lyricalContent.avoid for explicit content/theme requests (love songs, party lyrics, etc.). Use contextClues.avoidances for everything else the user wants excluded that doesn't fit a structured field.
+- "uplifting lyrics": themes: ["uplifting"]
+- "love songs": themes: ["love", "romantic"]
+- "party themes": themes: ["party", "celebration"]
+- "no breakup songs": avoid: ["breakup"]
+- "no political": avoid: ["political"]
+
+DISCOVERY:
+- "cohesive", "similar sound": preference: "cohesive"
+- "variety", "eclectic": preference: "varied"
+- "surprise me", "unexpected picks": preference: "unexpected"
+- FAMILIARITY RATIO: When user specifies a split between hits and deep cuts, extract both fractions (must sum to 1.0):
+  * "80% hits, 20% deep cuts" → familiarityRatio: { hits: 0.8, deepCuts: 0.2 }
+  * "mostly popular songs with a few deep cuts" → familiarityRatio: { hits: 0.75, deepCuts: 0.25 }
+  * "half and half, half known half obscure" → familiarityRatio: { hits: 0.5, deepCuts: 0.5 }
+  * "mostly deep cuts with a few hits" → familiarityRatio: { hits: 0.25, deepCuts: 0.75 }
+  * If no ratio specified → familiarityRatio: { hits: null, deepCuts: null }
+
+SONG COUNT:
+- Explicit numbers: "50 songs", "25 tracks", "30 pop songs", "give me 40" → extract that number
+- Vague quantities: "a few songs" = 10, "a handful" = 10, "a couple" = 6, "a lot of songs" = 50, "loads of tracks" = 50, "a ton of music" = 60
+- Duration-based: "an hour of music" = 15, "a 30-minute playlist" = 8, "a 2-hour mix" = 30
+- Size descriptors: "short playlist" = 10, "quick playlist" = 10, "big playlist" = 50, "massive playlist" = 75, "full playlist" = 30
+- If no count is implied at all → null
+
+USE CASE DETECTION (ALWAYS extract — even when a genre is specified):
+Set contextClues.useCase whenever the intent is clear, regardless of whether the user also named a genre.
+- If the intent is sensual, intimate, or romantic — e.g. setting a mood for a partner, seduction, "baby making", "love making", bedroom/late-night vibes, slow burn, or any phrasing that implies physical or romantic intimacy — → useCase: "sensual"  ← ALWAYS set this, even if the user also said "r&b" or another genre
+- "pregame", "banger", "going out", "turn up", "night out", "hard hitting", "slap", "slaps" → useCase: "party"
+- "work out", "gym", "run", "running", "exercise", "lifting", "cardio" → useCase: "workout"
+- "study", "focus", "deep work", "coding", "concentration", "homework" → useCase: "focus"
+- "drive", "road trip", "long drive", "commute" → useCase: "chill"
+- "relax", "chill out", "wind down after work", "easy listening", "lazy Sunday" → useCase: "chill"
+- "sleep", "wind down before bed", "bedtime", "falling asleep" → useCase: "sleep"
+- "cooking", "making dinner", "in the kitchen" → useCase: "background"
+- "dinner party", "gathering", "friends over", "hosting" → useCase: "background"
+- "morning routine", "getting ready", "start the day", "waking up" → useCase: "morning"
+- "breakup", "heartbreak", "sad playlist", "crying", "missing someone", "feeling low" → useCase: "heartbreak"
+- "summer playlist", "beach music", "poolside", "feels like summer", "summer vibes" → useCase: "summer"
+
+USE CASE → GENRE/MOOD DEFAULTS (only when no explicit genre is given):
+When the user describes a task or activity with NO genre keywords, also infer mood/energy/atmosphere from the use case:
+- useCase "party" (clean my apartment, chores): mood: "positive", energyTarget: "medium", atmosphere: ["upbeat", "fun"], suggestedSeedArtists: ["Dua Lipa", "Lizzo", "Carly Rae Jepsen", "Paramore", "Katy Perry"]
+- useCase "party" (pregame/banger/going out): mood: "positive", energyTarget: "high", atmosphere: ["hype", "energetic"], suggestedSeedArtists: pick ONLY demonstrably high-energy artists — e.g. Travis Scott, Drake, Metro Boomin, 21 Savage, Calvin Harris (upbeat era), David Guetta, Cardi B, Megan Thee Stallion, Kendrick Lamar. DO NOT pick artists whose catalogs skew soft — no Ed Sheeran, no Sia, no Olly Alexander, no Sam Smith, no OneRepublic, no Swae Lee ballads, no Khalid.
+- useCase "workout" (general gym/lifting): mood: "positive", energyTarget: "high", atmosphere: ["workout", "energetic"], suggestedSeedArtists: pick ONLY demonstrably high-energy artists — e.g. Eminem, Kendrick Lamar, Travis Scott, The Prodigy, Rage Against the Machine, Calvin Harris, Lil Uzi Vert, 21 Savage, Ski Mask the Slump God, or genre-appropriate equivalents.
+- useCase "workout" (running/jogging/5K/10K/marathon/cardio): mood: "positive", energyTarget: "high", atmosphere: ["running", "energetic"], suggestedSeedArtists: pick ONLY artists with driving, rhythmic, high-BPM catalogs — e.g. Calvin Harris, Tiësto, David Guetta, Eminem, Kendrick Lamar, Marshmello, The Chainsmokers, Dua Lipa (upbeat era), or genre-appropriate equivalents. Running playlists need CONSISTENT rhythmic drive (140+ BPM feel) — not just "upbeat" songs. Classic rock sing-alongs (The Clash, Gloria Gaynor) and novelty hits do NOT work for running even if they feel energetic.
+- useCase "focus": mood: "neutral", energyTarget: "low"
+- useCase "chill" (drive/road trip): mood: "positive", energyTarget: "medium"
+- useCase "chill" (relax/wind down): mood: "positive", energyTarget: "low"
+- useCase "sleep": mood: "neutral", energyTarget: "low"
+- useCase "background": mood: "positive", energyTarget: "medium"
+- useCase "morning": mood: "positive", energyTarget: "medium"
+- useCase "heartbreak": mood: "melancholic", energyTarget: "low"
+- useCase "sensual": mood: "positive", energyTarget: "low", atmosphere: ["sensual", "intimate", "smooth"], suggestedSeedArtists: ["The Weeknd", "Jeremih", "Summer Walker", "Trey Songz", "Partynextdoor", "SZA", "dvsn", "Jhené Aiko"]
+- useCase "summer": mood: "positive", energyTarget: "medium", atmosphere: ["carefree", "warm", "upbeat", "beachy"], suggestedSeedArtists: ["Harry Styles", "Doja Cat", "Summer Salt", "Lizzo", "Kali Uchis", "Bad Bunny", "Outkast"]
+  NOTE: the summer seed cluster should cover multiple flavors — indie-summer (Harry Styles, Summer Salt), pop-summer (Doja Cat, Lizzo), latin-summer (Bad Bunny, J Balvin), throwback-summer (Outkast, Missy Elliott). Pick seeds that match any genre or era hints in the prompt; if no hints, spread across the flavors.
+NOTE: if the user says "I need a summer playlist, it's freezing outside" — they are requesting escapism. The "freezing" explains WHY they want summer music — it does NOT change the output. Deliver summer music.
+These mood/energy/atmosphere/suggestedSeedArtists defaults only apply when the user did NOT specify a genre. If the user said "r&b" or another genre, use that genre and skip these defaults — but ALWAYS keep the useCase value that was set above.
+
+SPECIAL ATMOSPHERE KEYWORDS (include these exact strings in the atmosphere array when applicable):
+- "running" — ALWAYS include when the prompt mentions running, jogging, 5K, 10K, marathon, or cardio. This triggers BPM and energy filters specific to running pace. Do NOT use generic "workout" for running — the two have different energy profiles.
+- "workout" — include for general gym, lifting, or exercise that is NOT running/cardio specific.
+- "sensual" — include for intimate, romantic, or bedroom contexts.
+
+LANGUAGE (culturalContext.language):
+- "I want Spanish songs", "Spanish music", "songs in Spanish" → prefer: ["Spanish"], exclude: []
+- "English songs only", "English only" → prefer: ["English"], exclude: []
+- "no English songs", "not in English" → prefer: [], exclude: ["English"]
+- "Korean pop", "K-pop" → prefer: ["Korean"], exclude: []
+- "French music" → prefer: ["French"], exclude: []
+- If ALL named/referenced artists perform primarily in English (e.g. Kendrick Lamar, Taylor Swift, Coldplay) → prefer: ["English"], exclude: []
+- If the named artists perform in DIFFERENT languages (e.g. Bad Bunny + Drake) → prefer: [], exclude: [] (mixed)
+- If no artists are named AND no language is implied AND the prompt is written in English → prefer: ["English"], exclude: []
+- If no artists are named AND no language is implied AND the prompt is written in a non-English language (e.g. Spanish, French, Korean) → prefer: [that language], exclude: []
+
+AUDIENCE / SAFETY (contextClues.audience):
+Also infer audience from contextual descriptions — e.g. "for a Sunday school class" implies ["christian", "clean"], "my 7-year-old's birthday party" implies ["family", "clean"], "playing at church" implies ["christian"]. Use context, not just listed keywords.
+- "christian", "church", "worship", "faith", "gospel": audience: ["christian"]
+- "youth retreat", "youth group", "youth event": audience: ["christian", "youth"]
+- "family", "kids", "children", "all ages", "family friendly", "family-friendly": audience: ["family"]
+- "clean", "no explicit", "safe for kids", "safe for work", "no bad words", "no curse words", "no swearing", "no profanity", "pg", "pg-13", "radio edit", "radio friendly", "radio-friendly": audience: ["clean"]
+- "youth", "teenagers": audience: ["youth"]
+- If multiple apply, include all. If none apply → []
+
+AVOIDANCES (contextClues.avoidances):
+Populate contextClues.avoidances with any free-form things the user wants excluded that don't fit a more structured field — moods, sounds, characteristics, thematic content, or production qualities. Examples: "nothing too heavy", "no long intros", "avoid anything depressing", "no slow songs", "nothing cheesy". This is a catch-all for exclusions that aren't artist names, lyrical themes, or version types. If none → []
+
+REFERENCE SONGS:
+If the user mentions a specific song title + artist (e.g. "songs like Take It Slow by Dante", "similar to Need My Baby by Reo Xander"), extract them into referenceSongs. These are used to confirm the correct artist identity.
+- "songs like Take It Slow by Dante" → referenceSongs: [{ "title": "Take It Slow", "artist": "Dante" }]
+- "songs similar to Need My Baby by Reo Xander" → referenceSongs: [{ "title": "Need My Baby", "artist": "Reo Xander" }]
+- "songs like Dante and Ansel King" (no specific song title) → referenceSongs: []
+- Only extract when the user clearly names BOTH a song title AND an artist.
+
+SEED ARTISTS (CRITICAL):
+These are used to find similar artists and build the playlist.
+- When the prompt includes "Current songs include: ...", "Reference tracks: ...", use those artists to inform genre/mood extraction and put the most representative ones into suggestedSeedArtists.
+- When the prompt includes "Key artists in this playlist: ...", use those artists ONLY to infer genre, mood, and vibe — do NOT put them into suggestedSeedArtists. They represent the current playlist contents, not the user's original intent. The user's original intent is in the prompt above.
+- When the user explicitly names artists ("artists like X", "similar to Y"), put them in requestedArtists.
+- When neither of the above apply, YOU MUST suggest 3-5 seed artists that exemplify the requested genre/mood.
+- REVEALED vs. STATED PREFERENCES: If the user states a self-label ("I only listen to rap", "I'm a country fan") BUT also names specific songs or artists that clearly contradict that label, trust the songs over the label. Example: "I only listen to rap but my favorites are Olivia Rodrigo, JVKE, and Taylor Swift" → the actual taste is bedroom pop/indie pop; set genre and seed artists based on the named songs, not the self-label. The songs don't lie.
+- EMOTIONAL STATE → SEED ARTISTS: When the user describes an emotional state with no genre keywords, infer appropriate artists. "Numb and empty after a breakup" → suggestedSeedArtists: ["Phoebe Bridgers", "The National", "Bon Iver", "Big Thief"]. "Need to clean my apartment, make time pass" → suggestedSeedArtists: ["Dua Lipa", "Lizzo", "Carly Rae Jepsen", "Paramore"] with mood: "positive", energyTarget: "medium".
+- WORKOUT / HIGH-ENERGY → SEED ARTISTS: When useCase is "workout" or energyTarget is "high", suggestedSeedArtists MUST be demonstrably high-energy artists. Use artists known ONLY for pump-up music: Eminem, Kendrick Lamar, Travis Scott, 21 Savage, Lil Baby, Meek Mill, Skrillex, The Prodigy, Chemical Brothers, Rage Against the Machine, Metallica, Imagine Dragons, Marshmello, Calvin Harris, Tiësto. NEVER use The Weeknd, SZA, Khalid, Post Malone, Dua Lipa, Ed Sheeran, Sam Smith, Lewis Capaldi, or any artist primarily known for slow/mid-tempo songs — even if they occasionally have an upbeat track, their depth-2 similar-artist graph will pull in slow contamination. If the user names a soft artist ("gym playlist with Post Malone"), still pick high-energy artists for suggestedSeedArtists and keep Post Malone only in requestedArtists.
+Examples (no reference tracks):
+- "top pop songs" → suggestedSeedArtists: ["Taylor Swift", "Dua Lipa", "The Weeknd", "Harry Styles"]
+- "r&b for when I'm in my feels" → suggestedSeedArtists: ["SZA", "Daniel Caesar", "H.E.R.", "Brent Faiyaz"]
+- "underground hip-hop" → suggestedSeedArtists: ["JID", "Denzel Curry", "Freddie Gibbs", "EARTHGANG"]
+- "chill lo-fi beats" → suggestedSeedArtists: ["Nujabes", "J Dilla", "Uyama Hiroto", "Fat Jon"]
+- "2000s rock hits" → suggestedSeedArtists: ["Linkin Park", "Green Day", "Fall Out Boy", "My Chemical Romance"]
+Choose artists that match the popularity level implied (mainstream vs underground).
+
+BPM CONSTRAINTS:
+- "over 150 BPM", "songs above 140 BPM", "fast tempo only": bpmConstraint.min = that number
+- "under 100 BPM", "slow songs only": bpmConstraint.max = that number
+- "between 120 and 140 BPM": bpmConstraint.min = 120, bpmConstraint.max = 140
+- If no explicit BPM number mentioned → bpmConstraint: { min: null, max: null }
+
+MOOD (emotional valence — separate from energy):
+Determine mood from the emotional valence the user wants the music to carry, not from whether they use these exact words. The keyword lists below are examples of typical phrasings, not an exhaustive lookup table — infer from what the person is communicating.
+- "happy", "uplifting", "feel-good", "positive", "welcoming", "café", "bright", "cheerful", "healing", "hopeful", "good vibes", "triumphant", "euphoric", "everything works out", "happy ending", "movie ending", "breakthrough", "cathartic release" → mood: "positive"
+- "emotional but uplifting", "bittersweet but hopeful", "emotional climax that resolves well" → mood: "positive"
+- "sad", "melancholic", "heartbreak", "crying", "heavy", "gloomy", "dark emotions", "heartache", "longing" → mood: "melancholic"
+- EMOTIONAL STATE INPUTS — treat the user's described emotional state as a genre/mood signal even with no genre keywords:
+  * "numb", "empty", "hollow", "disconnected", "zoned out", "numb and empty", "feeling nothing" → mood: "melancholic", energyTarget: "low", atmosphere: ["introspective", "quiet", "sparse"] — think Phoebe Bridgers, The National, Bon Iver, Big Thief
+  * "can't stop crying", "devastated", "broken", "wrecked" → mood: "melancholic", energyTarget: "low"
+  * "anxious", "nervous", "spiraling", "in my head" → mood: "neutral", energyTarget: "low", atmosphere: ["introspective", "calm"]
+  * "need to feel something", "processing", "healing" → mood: "neutral", atmosphere: ["introspective", "bittersweet"]
+  * "angry", "frustrated", "need to vent" → mood: "neutral", energyTarget: "high", atmosphere: ["cathartic", "driving"]
+  * "hyped", "energized", "pumped up", "unstoppable" → mood: "positive", energyTarget: "high"
+- IMPORTANT: "emotional" alone is NOT melancholic — it is intensity, not valence. Only use "melancholic" when the context is clearly sad/negative.
+- "chill", "background", "ambient", "focus", "study", "neutral", "calm" (without emotional context) → mood: "neutral"
+- "emotional" without clear positive/negative context → null (let atmosphere and genre determine the tone)
+- If genuinely ambiguous → null
+
+STATED REQUEST vs. CONTEXTUAL CLUES — ALWAYS honor the stated desire:
+When the user describes a desired mood, season, or context that conflicts with their real-world situation, deliver what they ASKED FOR — the real-world detail explains WHY, not WHAT.
+- "It's freezing but I need a summer playlist" → summer vibes (positive mood, warm, upbeat). "Freezing" is the motivation, not the instruction.
+- "I'm stressed, I just want something happy" → happy and uplifting, NOT stressed or anxious music
+- "Dark and rainy but I want to feel like it's summer" → bright, carefree, warm-weather energy
+- "Nothing like [current season] — give me [other season] vibes" → deliver the requested season
+STATED SEASON signal: when the user names a season as a DESIRED state, set mood/atmosphere accordingly:
+- "summer playlist", "summer vibes", "need summer music" → mood: "positive", energyTarget: "medium", atmosphere: ["carefree", "warm", "upbeat", "beachy"]
+- "cozy winter vibes" → mood: "neutral", energyTarget: "low", atmosphere: ["warm", "intimate", "introspective"]
+- "spring energy" → mood: "positive", energyTarget: "medium", atmosphere: ["fresh", "hopeful", "bright"]
+- "fall/autumn vibes" → mood: "neutral", energyTarget: "low", atmosphere: ["warm", "nostalgic", "cozy"]
+NEVER match music to the environmental context when the user is explicitly escaping it.
+
+EXCLUDED ARTISTS:
+- "no [artist name]", "nothing by [artist]", "avoid [artist]", "don't include [artist]", "[artist]-free" → excludedArtists: [artist names]
+- "no mainstream hits", "no chart toppers", "no radio songs", "avoid popular songs", "underground only", "deep cuts only", "no famous songs" → set trackConstraints.popularity.preference: "underground" AND trackConstraints.popularity.max: 60
+- "no [artist] but similar sound/vibe" → add [artist] to excludedArtists (include the artist names, not just the preference)
+- If multiple exclusions mentioned, include all artist names
+- ABBREVIATIONS & NICKNAMES: Resolve common abbreviations to full artist names. Examples: "TS" or "T.S." → "Taylor Swift", "TSwift" → "Taylor Swift", "Ye" → "Kanye West", "Bey" → "Beyoncé", "Jay" or "Hov" �� "Jay-Z", "Drizzy" → "Drake", "Weezy" → "Lil Wayne"
+- PRODUCER EXCLUSIONS: "no Jack Antonoff songs", "no Max Martin production" → add those names to excludedArtists (the filter will match on artist name; note this won't filter by producer but will log the intent)
+- CRITICAL: When the user says "no [name]", always try to resolve [name] to the most likely well-known artist before adding to excludedArtists
+- IMPLICIT EXCLUSION — "expand beyond" phrases: When the user signals they want to DISCOVER BEYOND a named artist (not get more of them), add that artist to both suggestedSeedArtists (for genre/taste anchoring) AND excludedArtists (to keep their songs out of the output).
+  TRIGGER — the exclusion fires ONLY when the phrasing signals escape/expansion, NOT when it signals "more of the same":
+  ✓ EXCLUDE: "what else", "what other X should I listen to", "I only listen to X, what else?", "besides X", "beyond X", "other than X", "expand beyond X", "I've only ever listened to X"
+  ✗ DO NOT EXCLUDE: "more like X", "give me more X", "similar to X", "songs like X", "I love X, give me more", "in the style of X", "X vibes", "artists like X"
+  The test: does the user want to hear LESS of the named artist (escape) or find MORE of the same style (seed)? Only exclude on escape phrasing.
+  * "I only listen to The Weeknd, what else is good?" → suggestedSeedArtists: ["The Weeknd", ...adjacent], excludedArtists: ["The Weeknd"] (escape)
+  * "massive Radiohead fan, what should I listen to?" → suggestedSeedArtists: ["Radiohead", ...], excludedArtists: ["Radiohead"] (escape)
+  * "I love The Weeknd, give me more like him" → requestedArtists: ["The Weeknd"], excludedArtists: [] (more-of, NO exclusion)
+  * "songs similar to The Weeknd" → requestedArtists: ["The Weeknd"], excludedArtists: [] (seed request, NO exclusion)
+
+ENERGY TARGET:
+Infer from what the person needs the music to DO for them — energize, help focus, help relax, etc. When signals appear to conflict, read the compound phrase as a single intent (the user is describing a specific point on the spectrum, not two poles). Use "medium" only when the overall description genuinely sits between low and high.
+- "low energy", "very chill", "mellow", "slow", "sleepy", "relaxing", "something that doesn't distract me" → energyTarget: "low"
+- "high energy", "hype", "intense", "loud", "fast", "pump up", "hard", "something to get me going" → energyTarget: "high"
+- "kinda hype but chill", "chill but energizing", "mid-energy", "not too slow not too fast", "background but engaging", "light energy", "something I can move to but not intense" → energyTarget: "medium"
+- If unclear → null
+
+ENERGY PROGRESSION (gradual ramps only — no hard split):
+- Use energyProgression ONLY when the energy change is described as GRADUAL (no distinct halves/sections): "gradually get more intense", "slowly builds up", "gradual energy increase", "gradually increasing", "pacing", "energy curve", "ramp up", "warm up then peak"
+- Running/workout context with "gradual", "build", "pacing", "warm up" → energyProgression: "ramp_up"
+- "high energy then gradually winds down", "starts hype slowly gets chill" → energyProgression: "ramp_down"
+- CRITICAL: Do NOT use energyProgression for "first half X, second half Y" or any prompt with clear halves/sections — those are phases (see below)
+- All other cases → null
+
+MULTI-PHASE DETECTION:
+Use phases whenever the prompt describes two or more DISTINCT, named segments — "first half / second half", "start with X then Y", "X → Y", "X followed by Y", "X then switch to Y", "first part / second part", time-of-day arcs, or event arcs.
+RULE: If the user is describing a SPLIT or TRANSITION between distinct moods/energies (even just two), use phases. energyProgression is only for smooth/gradual ramps with no clear division.
+- Each phase: label (short name), energy ("low"|"medium"|"high"), mood ("positive"|"neutral"|"melancholic"|null), fraction (share of total tracks — must sum to 1.0)
+- "first half chill, second half hype" → phases: [{"label":"chill","energy":"low","mood":"neutral","fraction":0.5},{"label":"hype","energy":"high","mood":"positive","fraction":0.5}]
+- "start chill then get hype" → phases: [{"label":"chill","energy":"low","mood":"neutral","fraction":0.4},{"label":"hype","energy":"high","mood":"positive","fraction":0.6}]
+- "chill then hype party" → phases: [{"label":"chill","energy":"low","mood":"neutral","fraction":0.4},{"label":"hype","energy":"high","mood":"positive","fraction":0.6}]
+- "morning warm-up → focus mode → evening wind-down" → phases: [{"label":"morning","energy":"medium","mood":"positive","fraction":0.33},{"label":"focus","energy":"low","mood":"neutral","fraction":0.34},{"label":"wind-down","energy":"low","mood":"melancholic","fraction":0.33}]
+- "build from chill to hype" (gradual, no clear split) → energyProgression: "ramp_up", phases: null
+- If no multi-phase pattern → phases: null
+
+GENRE ACCESSIBILITY (genreAccessibility):
+Infer from the user's expressed relationship to the genre — how long they've been listening, the vocabulary they use, whether they signal unfamiliarity or depth. The phrases below are examples, not the only valid triggers.
+- "just getting into X", "never listened to X", "ease me in", "good starting point for X", "where do I start with X", "I'm new to X", "jazz for beginners", "beginner [genre]", "never heard X before" → genreAccessibility: "newcomer"
+- "I've heard some X and want to explore more", "getting deeper into X", "I've listened to a bit of X", "know the basics but want more", "heard a few X artists and loved it", "getting into X lately" → genreAccessibility: "curious"
+- "deep cuts", "deep dive", "I know all the classics", "show me obscure", "advanced [genre]", "I've been listening for years", "non-obvious picks", "I know all the hits" → genreAccessibility: "enthusiast"
+- When genreAccessibility: "newcomer" — choose suggestedSeedArtists that are widely loved, melodic, and approachable for that SPECIFIC genre. "Accessible" means different things per genre:
+  * Jazz: Norah Jones, Chet Baker (vocal), Diana Krall, Kind of Blue-era Miles Davis, Melody Gardot — NOT bebop Charlie Parker, Oscar Peterson, or free jazz Coltrane
+  * Classical: Ludovico Einaudi, Max Richter, Hans Zimmer, Yann Tiersen — NOT 12-tone serialism, dense operas, or avant-garde works
+  * Metal: Linkin Park, Foo Fighters, System of a Down, Metallica's Black Album — NOT black metal, death metal, or grindcore
+  * Country: Kacey Musgraves, Chris Stapleton, Zac Brown Band — NOT deep honky-tonk or old-time fiddle country
+  * Electronic: Daft Punk, Bonobo, Caribou, Röyksopp — NOT techno, noise, or academic electroacoustic
+- When genreAccessibility: "curious" — mix well-known entry points with one tier deeper: non-obvious picks from the same artist, acclaimed albums the casual fan hasn't reached, and 2-3 artists who are one step more niche than the obvious names
+- When genreAccessibility: "enthusiast" — prefer deep cuts, obscure artists, and non-obvious picks that a long-time fan hasn't heard
+- If no accessibility signal → null
+
+SOUNDCHARTS DIRECT FILTERS (soundchartsFilters — CRITICAL):
+Use this field to directly output SoundCharts API filter objects that precisely match the prompt's intent.
+These are used VERBATIM in the SC song search — be accurate and specific.
+
+DO output filters for: energy, valence, danceability, acousticness, tempo, liveness, speechiness, instrumentalness
+DO NOT output filters for: songGenres, songSubGenres, languageCode, explicit, releaseDate, duration, artistCareerStages, emotionalIntensityScore, themes, moods (moods and themes are built server-side from atmosphere/useCase — do not output them here)
+
+FILTER SHAPES:
+- Numeric range: { "type": "energy", "data": { "min": 0.6 } }  — include only min, only max, or both
+- Theme list: { "type": "themes", "data": { "values": ["Heartbreak", "Love"], "operator": "in" } }
+
+VALID MOOD VALUES (exact strings only):
+Melancholic, Joyful, Euphoric, Sad, Happy, Calm, Energetic, Empowering, Aggressive, Dark, Romantic, Sensual, Spiritual, Peaceful, Nostalgic, Playful
+
+
+AUDIO FEATURE RANGES (all 0.0–1.0 except tempo in BPM and scores 1–10):
+- energy: activity/intensity. Sleep: max 0.30. Chill/relax: max 0.45. Focus/study: max 0.55. Medium: 0.38–0.68. Workout/gym: min 0.75. Hype/intense: min 0.80.
+- valence: musical positivity. Dark/sad/melancholic: max 0.45. Neutral: 0.35–0.65. Happy/upbeat: min 0.65. Joyful/euphoric: min 0.72.
+- danceability: rhythmic consistency. Groovy: min 0.65. Dance: min 0.72. Club/party: min 0.78.
+- acousticness: acoustic instrumentation likelihood. Slightly acoustic: min 0.40. Acoustic/unplugged: min 0.60. Fully acoustic: min 0.80.
+- tempo (BPM): Slow ballad: max 80. Slow: max 90. Mid-tempo: 90–120. Uptempo: min 120. Fast: min 140. EDM/rave: min 128.
+- liveness: live audience presence. Exclude live recordings: max 0.40.
+- speechiness: spoken word ratio. Rap-heavy: min 0.33. Exclude rap/spoken word: max 0.33.
+- instrumentalness: absence of vocals. Instrumental: min 0.55. Lo-fi/background: min 0.30.
+MAPPING EXAMPLES — think dynamically, these are not exhaustive:
+- "songs I can dance to", "danceable", "banger" → { type: "danceability", data: { min: 0.72 } }
+- "party anthems", "turn up" → { type: "danceability", data: { min: 0.75 } }, { type: "energy", data: { min: 0.70 } }, { type: "moods", data: { values: ["Euphoric", "Energetic"], operator: "in" } }
+- "sad songs", "heartbreak", "crying" → { type: "valence", data: { max: 0.45 } }, { type: "energy", data: { max: 0.55 } }
+- "happy/upbeat/feel-good" → { type: "valence", data: { min: 0.65 } }, { type: "energy", data: { min: 0.55 } }
+- "chill/relaxing/laid-back" → { type: "energy", data: { max: 0.45 } }, { type: "valence", data: { min: 0.35 } }
+- "gym/workout" → { type: "energy", data: { min: 0.75 } }, { type: "danceability", data: { min: 0.65 } }
+- "acoustic/unplugged" → { type: "acousticness", data: { min: 0.60 } }
+- "love songs/romantic" → { type: "valence", data: { min: 0.45 } }, { type: "tempo", data: { max: 100 } }
+- "dark/moody" → { type: "valence", data: { max: 0.45 } }
+- "nostalgic" → { type: "valence", data: { min: 0.35, max: 0.65 } }
+- "motivational/empowering" → { type: "energy", data: { min: 0.65 } }, { type: "valence", data: { min: 0.50 } }
+- "emotional/deeply emotional" → { type: "valence", data: { max: 0.45 } }
+- "slow jams" → { type: "tempo", data: { max: 95 } }, { type: "valence", data: { min: 0.40 } }
+- "lo-fi/study" → { type: "energy", data: { max: 0.50 } }, { type: "instrumentalness", data: { min: 0.30 } }
+- "euphoric/euphoria" → { type: "valence", data: { min: 0.70 } }, { type: "energy", data: { min: 0.65 } }
+- "sleep/meditation" → { type: "energy", data: { max: 0.30 } }, { type: "instrumentalness", data: { min: 0.20 } }
+- "aggressive/intense/metal" → { type: "energy", data: { min: 0.78 } }
+- "spiritual/worship" → { type: "valence", data: { min: 0.45 } }, { type: "energy", data: { max: 0.60 } }
+
+RULES:
+- Only include filters where you have HIGH CONFIDENCE in the mapping. Fewer accurate filters beat many uncertain ones.
+- Do NOT output conflicting filters for the same type (e.g. energy min 0.75 AND energy max 0.45). If signals conflict, omit that filter type.
+- Always output moods + valence together when the prompt is clearly sad or clearly happy.
+- CRITICAL: do NOT output moods or themes filters — they are built server-side from atmosphere and useCase. Use valence and energy to express mood intensity.
+- For ambiguous prompts like "vibes" or "good music" with no emotional descriptor, output [] (empty array).
+
+Use null, [], or false for any feature not mentioned.
+
+DO NOT include any text outside the JSON.`;
+}
+
+/**
+ * Empty genreData used when extraction fails to parse
+ * @returns {Object}
+ */
+function defaultGenreData() {
+  return {
+    primaryGenre: null,
+    subgenre: null,
+    secondaryGenres: [],
+    keyCharacteristics: [],
+    style: '',
+    atmosphere: [],
+    era: {
+      decade: null,
+      yearRange: { min: null, max: null },
+      descriptors: []
+    },
+    culturalContext: {
+      region: null,
+      movement: null,
+      scene: null,
+      language: { prefer: [], exclude: [] }
+    },
+    contextClues: {
+      useCase: null,
+      audience: [],
+      avoidances: []
+    },
+    trackConstraints: {
+      popularity: { min: null, max: null, preference: null },
+      duration: { min: null, max: null },
+      excludeVersions: [],
+      albumDiversity: { maxPerAlbum: null, preferDeepCuts: false, preferSingles: false },
+      artistDiversity: { maxPerArtist: null }
+    },
+    artistConstraints: {
+      vocalGender: null,
+      artistType: null,
+      excludeFeatures: false,
+      requestedArtists: [],
+      excludedArtists: [],
+      exclusiveMode: false
+    },
+    productionStyle: {
+      preference: null,
+      avoidAutoTune: false
+    },
+    lyricalContent: {
+      themes: [],
+      avoid: []
+    },
+    discoveryBalance: {
+      preference: null,
+      familiarityRatio: { hits: null, deepCuts: null }
+    },
+    songCount: null,
+    bpmConstraint: { min: null, max: null },
+    mood: null,
+    energyTarget: null,
+    energyProgression: null,
+    phases: null,
+    genreAccessibility: null,
+    soundchartsFilters: [],
+  };
+}
+
+/**
+ * Parse Claude's extraction response, falling back to the empty default
+ * @param {string} text - Raw model output
+ * @returns {Object} genreData
+ */
+function parseGenreData(text) {
+  try {
+    return JSON.parse(stripJsonFences(text));
+  } catch (parseError) {
+    console.log('Could not parse genre extraction:', parseError.message);
+    console.log('Raw response:', (text || '').substring(0, 200));
+    return defaultGenreData();
+  }
+}
+
+async function run({ prompt, currentYear }, { llm }) {
+  console.log('Generating playlist for prompt:', prompt);
+
+  // Step 0: Use Claude to extract the genre, style, audio features, AND all refinement constraints from the prompt
+  const genreExtractionResponse = await llm.complete('genreExtraction', {
+    maxTokens: 1200,
+    prompt: buildGenreExtractionPrompt(prompt, currentYear)
+  });
+  const genreData = parseGenreData(genreExtractionResponse.text);
+  return { genreData };
+}
+
+module.exports = {
+  name: 'genre-extraction',
+  run,
+  buildGenreExtractionPrompt,
+  defaultGenreData,
+  parseGenreData,
+};
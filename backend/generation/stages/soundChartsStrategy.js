@@ -0,0 +1,214 @@
+/**
+ * Stage: executeSoundChartsStrategy
+ * Discovers candidate songs via SoundCharts — a direct attribute-based query built
+ * from genreData (no similarity tree). Multi-phase playlists run one query per phase
+ * with phase-specific energy/mood; single-vibe playlists run one query, re-seeded
+ * from reference or existing-playlist artists when applicable, plus hybrid seeding
+ * from suggestedSeedArtists.
+ *
+ * Input:  { genreData, prompt, songCount, allowExplicit, confirmedArtistUuids, existingPlaylistData }
+ * Output: { soundChartsDiscoveredSongs: Array }
+ * Deps:   buildSoundchartsQuery, executeSoundChartsStrategy (null when SoundCharts is
+ *         not configured), filterArtistsByGender
+ */
+
+const { getPhases } = require('../utils');
+
+async function run(input, deps) {
+  const { genreData, prompt, songCount, allowExplicit, existingPlaylistData } = input;
+  const confirmedArtistUuids = input.confirmedArtistUuids || {};
+  const { buildSoundchartsQuery, executeSoundChartsStrategy, filterArtistsByGender } = deps;
+
+  let soundChartsDiscoveredSongs = [];
+  if (!executeSoundChartsStrategy) {
+    console.log('⚠️  SOUNDCHARTS_APP_ID not configured - skipping SoundCharts discovery');
+    return { soundChartsDiscoveredSongs };
+  }
+
+  const maxPerArtist = genreData.trackConstraints?.artistDiversity?.maxPerArtist;
+  const _phases = getPhases(genreData);
+
+  if (_phases) {
+    // ── Multi-phase: run a separate SC query per phase with phase-specific energy/mood ──
+    console.log(`🎭 Multi-phase playlist: ${_phases.map(p => `"${p.label}" (${p.energy})`).join(' → ')}`);
+    for (const phase of _phases) {
+      const phaseGenreData = {
+        ...genreData,
+        energyTarget: phase.energy || genreData.energyTarget,
+        mood: phase.mood !== undefined ? phase.mood : genreData.mood,
+        phases: null, // prevent recursion
+      };
+      // Remove contradictory label-based energy signals so energyTarget takes over
+      if (phase.energy) {
+        phaseGenreData.atmosphere = (genreData.atmosphere || []).filter(a => {
+          const a2 = a.toLowerCase();
+          if (phase.energy === 'high') return !['calm', 'peaceful', 'sleep', 'mellow', 'lofi', 'chill'].some(w => a2.includes(w));
+          if (phase.energy === 'low')  return !['hype', 'energetic', 'pump', 'intense', 'aggressive'].some(w => a2.includes(w));
+          return true;
+        });
+      }
+      const phaseQuery = buildSoundchartsQuery(phaseGenreData, allowExplicit);
+      const phaseTarget = Math.max(1, Math.round(songCount * phase.fraction));
+      const phaseFetch = Math.min(phaseTarget * 4, 120);
+      console.log(`  Phase "${phase.label}": fetching ${phaseFetch} candidates (target ${phaseTarget})`);
+      try {
+        const phaseSongs = await executeSoundChartsStrategy(phaseQuery, phaseFetch, confirmedArtistUuids, 0);
+        phaseSongs.forEach(s => { s._phaseLabel = phase.label; s._phaseIndex = _phases.indexOf(phase); });
+        soundChartsDiscoveredSongs.push(...phaseSongs);
+        console.log(`  ✓ Phase "${phase.label}": ${phaseSongs.length} songs`);
+      } catch (phaseErr) {
+        console.log(`  ⚠️  Phase "${phase.label}" SC query failed: ${phaseErr.message}`);
+      }
+    }
+    console.log(`✓ Multi-phase SoundCharts total: ${soundChartsDiscoveredSongs.length} songs`);
+  } else {
+    const scQuery = buildSoundchartsQuery(genreData, allowExplicit);
+    // Reference-song prompts ("find songs similar to X"): seed exclusively from the
+    // confirmed reference artists and let SC's similarity graph determine what else appears.
+    // Claude's suggestedSeedArtists (e.g. Michael Jackson injected for an R&B prompt) are
+    // intentionally ignored — they would add extra seeds whose SC graphs dilute the
+    // reference-artist-specific discovery. SC depth-1/depth-2 expansion from Dante/Keffer
+    // will naturally surface the right co-similar artists (lisseXX, MYRZ, etc.) without
+    // Claude steering the graph toward unrelated mainstream acts.
+    //
+    // Exception: when the user explicitly named artists (requestedArtists), those are kept
+    // because they are the user's direct ask, not Claude's inference.
+    const _hasReferenceSongs = (genreData.referenceSongs || []).length > 0;
+    const _hasRequestedArtists = (genreData.artistConstraints?.requestedArtists || []).length > 0;
+    if (_hasReferenceSongs && !_hasRequestedArtists) {
+      // Replace Claude's seeds entirely — use only the confirmed reference artists.
+      const refSeeds = [];
+      const refSeedsSeen = new Set();
+      for (const rs of genreData.referenceSongs) {
+        const lower = rs.artist.toLowerCase();
+        if (confirmedArtistUuids[lower] && !refSeedsSeen.has(lower)) {
+          refSeeds.push(rs.artist);
+          refSeedsSeen.add(lower);
+        }
+      }
+      if (refSeeds.length > 0) {
+        console.log(`🌱 Reference-song prompt: seeding SC graph exclusively from reference artists [${refSeeds.join(', ')}] — ignoring Claude's suggestedSeedArtists`);
+        scQuery.artists = refSeeds;
+        scQuery.seedArtists = refSeeds;
+        scQuery.expandToSimilar = true;
+        scQuery.strategy = 'artist_songs';
+      }
+    } else if (_hasReferenceSongs && _hasRequestedArtists) {
+      // User named artists explicitly — keep requested artists but also inject reference artists
+      // so their SC graph is traversed alongside the user's picks.
+      const existingLower = new Set(scQuery.artists.map(a => a.toLowerCase()));
+      for (const rs of genreData.referenceSongs) {
+        const lower = rs.artist.toLowerCase();
+        if (confirmedArtistUuids[lower] && !existingLower.has(lower)) {
+          scQuery.artists.push(rs.artist);
+          existingLower.add(lower);
+        }
+      }
+    }
+    // Refresh/auto-update seed anchor: replace Claude's inferred suggestedSeedArtists with
+    // the artists actually in the playlist. Claude sees the playlist name + 5 key artists
+    // and infers a much wider genre pool (e.g. suggesting Bad Bunny/Travis Scott for a
+    // CALLMEJB/elle. playlist). Locking seeds to playlist artists keeps the SC similarity
+    // graph anchored to what the playlist actually sounds like, not what Claude thinks
+    // the genre sounds like in general.
+    //
+    if (existingPlaylistData && scQuery.strategy === 'artist_songs' &&
+        existingPlaylistData.tracks?.length === 0 && !genreData.artistConstraints?.exclusiveMode) {
+      // 0-song playlist refresh: no artists to anchor to — fall back to top_songs so SC's
+      // genre/mood/energy filters drive discovery instead of an empty artist list.
+      scQuery.strategy = 'top_songs';
+      scQuery.expandToSimilar = false;
+      console.log(`⚡ Refresh: 0-song playlist — switching to top_songs (no anchor artists available)`);
+    } else if (existingPlaylistData?.tracks?.length > 0 && !genreData.artistConstraints?.exclusiveMode) {
+      // Only anchor to existing playlist artists if the user explicitly requested specific
+      // artists. If no artists were specified, let top_songs run with SC's own filters
+      // (genre + mood + era etc.) so refinements like "last 5 years" don't get trapped
+      // inside a stale artist pool.
+      const _hasRequestedArtists = (genreData.artistConstraints?.requestedArtists || []).length > 0;
+      if (_hasRequestedArtists) {
+        const _anchorArtists = [...new Set(
+          existingPlaylistData.tracks.map(t => t.artist).filter(Boolean)
+        )];
+        if (_anchorArtists.length > 0) {
+          const _artistFreq = {};
+          existingPlaylistData.tracks.forEach(t => {
+            if (t.artist) _artistFreq[t.artist] = (_artistFreq[t.artist] || 0) + 1;
+          });
+          const _cappedAnchor = _anchorArtists
+            .sort((a, b) => (_artistFreq[b] || 0) - (_artistFreq[a] || 0))
+            .slice(0, 8);
+          console.log(`🔒 Refresh: anchoring seeds to top ${_cappedAnchor.length} playlist artists [${_cappedAnchor.join(', ')}] — expanding to similar artists for variety`);
+          scQuery.artists = _cappedAnchor;
+          scQuery.expandToSimilar = true;
+          scQuery.strategy = 'artist_songs';
+        }
+      } else {
+        console.log(`🔄 Refresh: no artists specified — using top_songs with SC filters (not anchoring to playlist artists)`);
+      }
+    }
+    // Gender filter at seed selection — happens before the SC similarity graph expands.
+    // Filtering here prevents a male seed's graph from generating a pool of male candidates.
+    // The vibe check gender rule is a backstop for edge cases (mixed bands, guest features),
+    // not the primary enforcement mechanism.
+    {
+      const _gf = genreData.artistConstraints?.vocalGender;
+      if (_gf && _gf !== 'any' && scQuery.artists.length > 0) {
+        scQuery.artists = await filterArtistsByGender(scQuery.artists, _gf);
+      }
+    }
+    const fetchCount = Math.min(songCount * 3, 200);
+    // When maxPerArtist is set, ensure the artist pool is large enough to cover songCount unique artists
+    const minArtistsNeeded = maxPerArtist ? Math.min(Math.ceil(songCount / maxPerArtist * 1.5), 40) : 0;
+    console.log(`🎵 SoundCharts strategy: "${scQuery.strategy}" (fetching ${fetchCount} candidates for ${songCount} target${minArtistsNeeded ? `, min ${minArtistsNeeded} artists` : ''})`);
+    console.log(`   Filters: [${scQuery.soundchartsFilters.map(f => f.type).join(', ')}]`);
+    try {
+      soundChartsDiscoveredSongs = await executeSoundChartsStrategy({ ...scQuery, _prompt: prompt }, fetchCount, confirmedArtistUuids, minArtistsNeeded);
+      console.log(`✓ SoundCharts returned ${soundChartsDiscoveredSongs.length} songs`);
+
+      // ── Hybrid artist seeding: supplement top_songs with artist_songs from suggestedSeedArtists ──
+      // top_songs returns popularity-sorted songs matching genre+mood filters, but perfect deep
+      // cuts may sit beyond the 1000-song cap. suggestedSeedArtists (inferred by Claude from the
+      // prompt) let us pull songs directly from vibe-appropriate artists, bypassing the popularity
+      // ceiling. The two pools are deduped and merged before Sonnet curation picks the best fits.
+      const _seedArtists = (genreData.artistConstraints?.suggestedSeedArtists || []).filter(Boolean);
+      if (scQuery.strategy === 'top_songs' && _seedArtists.length > 0) {
+        try {
+          const _seedFetchCount = Math.min(songCount * 2, 100);
+          console.log(`🌱 Hybrid seeding: supplementing top_songs with artist_songs from [${_seedArtists.join(', ')}] (fetching ${_seedFetchCount})...`);
+          const _seedQuery = buildSoundchartsQuery(genreData, allowExplicit);
+          _seedQuery.strategy = 'artist_songs';
+          _seedQuery.artists = _seedArtists;
+          _seedQuery.expandToSimilar = true;
+          const _seedSongs = await executeSoundChartsStrategy(
+            { ..._seedQuery, _prompt: prompt },
+            _seedFetchCount, confirmedArtistUuids, 0
+          );
+          if (_seedSongs.length > 0) {
+            // Dedupe by lowercase "artist::track" key — prefer existing top_songs entries
+            const _existingKeys = new Set(
+              soundChartsDiscoveredSongs.map(s =>
+                `${(s.artistName || '').toLowerCase()}::${(s.name || '').toLowerCase()}`
+              )
+            );
+            const _newSongs = _seedSongs.filter(s => {
+              const key = `${(s.artistName || '').toLowerCase()}::${(s.name || '').toLowerCase()}`;
+              return !_existingKeys.has(key);
+            });
+            soundChartsDiscoveredSongs.push(..._newSongs);
+            console.log(`🌱 Hybrid seeding: +${_newSongs.length} unique songs from artist_songs (${_seedSongs.length} total, ${_seedSongs.length - _newSongs.length} dupes skipped)`);
+          } else {
+            console.log(`🌱 Hybrid seeding: artist_songs returned 0 songs`);
+          }
+        } catch (_seedErr) {
+          console.log(`⚠️  Hybrid seeding failed (non-fatal): ${_seedErr.message}`);
+        }
+      }
+    } catch (scErr) {
+      console.log(`⚠️  SoundCharts strategy failed: ${scErr.message}`);
+    }
+  }
+
+  return { soundChartsDiscoveredSongs };
+}
+
+module.exports = { name: 'soundcharts-strategy', run };
@@ -0,0 +1,290 @@
+/**
+ * Stage: vibe check
+ * Reviews the selected tracks for coherence. This addresses the #1 complaint:
+ * AI missing the "vibe" even when genres match. Use-case, mood, audience, BPM,
+ * gender and popularity constraints are turned into HARD RULES that Claude must
+ * enforce before judging the softer atmosphere fit.
+ *
+ * Skipped for multi-phase playlists — each phase was already fetched with
+ * phase-specific energy/mood filters, so a single-vibe check would incorrectly
+ * remove cross-phase tracks.
+ *
+ * Input:  { selectedTracks: Array, genreData, prompt: string, songCount: number, allowExplicit: boolean }
+ * Output: { selectedTracks: Array, vibeIssues: Array }
+ * Deps:   llm
+ */
+
+const { stripJsonFences, getPhases } = require('../utils');
+
+/**
+ * Whether genreData carries anything the vibe check can enforce
+ * @param {Object} genreData - Extracted genre data
+ * @returns {boolean}
+ */
+function hasVibeRequirements(genreData) {
+  return !!(genreData.atmosphere.length > 0 || genreData.contextClues.useCase || genreData.era.decade || genreData.subgenre || genreData.trackConstraints.popularity.preference === 'underground' || genreData.energyTarget || genreData.mood || (genreData.contextClues.avoidances || []).length > 0 || genreData.genreAccessibility === 'newcomer' || (genreData.artistConstraints?.vocalGender && genreData.artistConstraints.vocalGender !== 'any'));
+}
+
+/**
+ * Build use-case and audience hard constraint rules for the vibe check
+ * @param {Object} genreData - Extracted genre data
+ * @param {string} prompt - User prompt
+ * @param {boolean} allowExplicit - Whether explicit tracks are allowed
+ * @returns {string[]}
+ */
+function buildVibeHardRules(genreData, prompt, allowExplicit) {
+  const _popPref = genreData.trackConstraints?.popularity?.preference;
+  const _uc = (genreData.contextClues.useCase || '').toLowerCase();
+  const _audience = genreData.contextClues.audience || [];
+  const _promptLower = prompt.toLowerCase();
+  const _avoidances = genreData.contextClues.avoidances || [];
+  const _vibeHardRules = [];
+
+  // Use-case hard constraint rules — useCase values are canonical (see extraction schema)
+  if (_uc === 'workout') {
+    _vibeHardRules.push('WORKOUT — HARD RULE: REMOVE any slow, emotional, sad, mellow, or mid-tempo songs. Every track must feel pump-up and high energy. Think: does this make you want to sprint? If no, cut it. Examples to REMOVE: SZA "30 For 30" (slow emotional duet), SZA "20 Something" (introspective slow R&B), Khalid "8TEEN" (coming-of-age mid-tempo), Khalid "Young Dumb & Broke" (mid-tempo), The Weeknd "A Lesser Man" (slow R&B), The Weeknd "Call Out My Name" (slow ballad), Sia "3 Minutes \'Til New Years" (slow ballad), Dua Lipa "Anything For Love" (mid-tempo ballad), Camila Cabello "Am I Wrong" (slow pop), Akon "Mama Africa" (slow world pop), Lady Gaga "1000 Doves" (power ballad), 50 Cent "21 Questions" (slow R&B), benny blanco "Bad Decisions" (mid-tempo pop) — all WRONG for workout. Keep high-energy tracks like: Eminem "Till I Collapse", Macklemore "Ain\'t Gonna Die Tonight", Marshmello dance tracks, Imagine Dragons up-tempo rock.');
+  }
+  if (_uc === 'focus') {
+    _vibeHardRules.push('FOCUS/STUDY — HARD RULE: REMOVE any high-energy, hype, aggressive, or distracting songs. No heavy bass drops, intense rap verses, or anything that would pull attention away from deep work. Only calm, background-friendly music that blends into the background.');
+  }
+  if (_uc === 'sleep') {
+    _vibeHardRules.push('SLEEP — HARD RULE: REMOVE anything with a strong beat, energetic production, or that could keep someone awake. Only the most soothing, minimal, ultra-calm tracks.');
+  }
+  if (_uc === 'party') {
+    _vibeHardRules.push('PARTY/PREGAME — HARD RULE: REMOVE any track that is mid-tempo, emotional, melancholic, introspective, or would not work on a dancefloor — even if the artist is generally associated with upbeat music. The test is: would a DJ play this to keep a crowd dancing and hyped? If not, remove it. This means removing the slow/soft cuts from otherwise upbeat artists too — e.g. Sia "Elastic Heart" (mid-tempo emotional, WRONG), Dua Lipa "Bad Together" or "Anything For Love" (ballads, WRONG), Camila Cabello "All These Years" or "Am I Wrong" (slow, WRONG), Lin-Manuel Miranda charity/film cuts (WRONG), SZA slow R&B ("30 For 30", "2AM", "20 Something" — WRONG), Khalid ("8TEEN", "Young Dumb & Broke" — WRONG), The Weeknd R&B ballads ("A Lonely Night", "A Lesser Man" — WRONG), Rihanna ("Unfaithful", "Stay" — WRONG), slow Kanye ("30 Hours" — WRONG), benny blanco mid-tempo pop ("Bad Decisions" — WRONG). Every track must be something a DJ would play to keep a crowd moving.');
+  }
+  if (_uc === 'summer') {
+    _vibeHardRules.push('SUMMER VIBES — HARD RULE: This playlist is for warm, bright, carefree summer energy. REMOVE any track that is slow, mellow, low-energy, melancholic, anxious, or emotionally heavy — regardless of season. No breakup ballads, no late-night sad R&B, no emotionally heavy slow jams. "A Lonely Night" (The Weeknd), "30 For 30" (SZA), "All I Want" (Olivia Rodrigo), "Slut! (Taylor\'s Version)", "2AM" (SZA), "All This Madness" (Sam Smith) — all WRONG for this context. Every track should feel like it belongs on a beach or a summer road trip.');
+  }
+  // Explicit user avoidances
+  if (_avoidances.some(a => a.toLowerCase().includes('slow')) || _promptLower.includes('no slow')) {
+    _vibeHardRules.push('NO SLOW SONGS — HARD RULE: The user explicitly said no slow songs. REMOVE any track that is slow, mellow, or would be classified as a ballad.');
+  }
+  if (_avoidances.some(a => a.toLowerCase().includes('loud')) || _avoidances.some(a => a.toLowerCase().includes('distracting'))) {
+    _vibeHardRules.push('NO LOUD/DISTRACTING SONGS — HARD RULE: REMOVE any high-energy, heavy, or intense tracks.');
+  }
+
+  // Hard BPM constraint
+  const _bpmMin = genreData.bpmConstraint?.min;
+  const _bpmMax = genreData.bpmConstraint?.max;
+  if (_bpmMin || _bpmMax) {
+    const bpmDesc = _bpmMin && _bpmMax
+      ? `between ${_bpmMin} and ${_bpmMax} BPM`
+      : _bpmMin ? `above ${_bpmMin} BPM` : `below ${_bpmMax} BPM`;
+    _vibeHardRules.push(`BPM CONSTRAINT — HARD RULE: The user explicitly requested songs ${bpmDesc}. REMOVE any track that sounds significantly slower or faster than this range. Use your knowledge of typical BPM ranges per genre: EDM/techno ~128-150+, fast hip-hop ~90-100+, ballads ~60-80, etc.`);
+  }
+
+  // Explicit content
+  if (!allowExplicit) {
+    _vibeHardRules.push('CLEAN/EXPLICIT — HARD RULE: REMOVE any track with explicit language, profanity, or mature content. No exceptions — the user has requested clean music only.');
+  }
+
+  // Mood / valence constraints
+  const _mood = genreData.mood;
+  if (_mood === 'positive') {
+    _vibeHardRules.push('POSITIVE MOOD — HARD RULE: REMOVE sad, melancholic, gloomy, or somber tracks. This playlist should feel pleasant and uplifting. "Calm" does NOT mean "sad" — only keep tracks that feel warm, neutral-to-positive, or happy. Phoebe Bridgers, Sufjan Stevens, and similar artists known for sadness should be removed unless the specific song is clearly upbeat.');
+  } else if (_mood === 'melancholic') {
+    _vibeHardRules.push('MELANCHOLIC MOOD — HARD RULE: REMOVE hype, aggressive, or party-energy tracks. Keep emotionally resonant, introspective, or bittersweet songs. Avoid angry or toxic energy — sad and peaceful, not sad and hostile.');
+  }
+
+  // Excluded artists — vibe check reinforces the hard filter in validateAndAdd
+  const _excludedInVibe = genreData.artistConstraints?.excludedArtists || [];
+  if (_excludedInVibe.length > 0) {
+    _vibeHardRules.push(`EXCLUDED ARTISTS — HARD RULE: The user explicitly banned the following artists: ${_excludedInVibe.join(', ')}. REMOVE any track by these artists or any track that is directly associated with them (e.g. collab tracks, features). No exceptions.`);
+  }
+
+  // "No mainstream" / underground preference
+  const _maxPopForVibeRule = genreData.trackConstraints?.popularity?.max;
+  if (_popPref === 'underground' || (_maxPopForVibeRule !== null && _maxPopForVibeRule !== undefined && _maxPopForVibeRule <= 60)) {
+    _vibeHardRules.push('NO MAINSTREAM HITS — HARD RULE: The user explicitly requested underground/deep cuts only. REMOVE any artist with radio hits, chart success, major label backing, or household-name recognition. Travis Scott, Kanye West, Drake, The Weeknd, Rihanna, Ariana Grande, and similar mainstream acts must be REMOVED even if their sound matches the genre. Only keep artists who are genuinely underground, indie, or niche.');
+  }
+
+  // Gender constraint
+  const _vocalGender = genreData.artistConstraints?.vocalGender;
+  if (_vocalGender === 'female') {
+    _vibeHardRules.push('GENDER — HARD RULE: The user requested FEMALE artists only. REMOVE any track by a male solo artist, male rapper, or male-fronted band. Only female solo artists, female rappers, and female-fronted groups are allowed. If you don\'t recognize an artist and cannot determine their gender, REMOVE the track — err on the side of caution. Examples to REMOVE: The Weeknd, Drake, J. Cole, dvsn, Big Sean, James Blake, Metro Boomin, Kendrick Lamar — ALL must be removed. No exceptions even if the song sounds perfect for the vibe.');
+  } else if (_vocalGender === 'male') {
+    _vibeHardRules.push('GENDER — HARD RULE: The user requested MALE artists only. REMOVE any track by a female solo artist, female rapper, or female-fronted band. If you don\'t recognize an artist and cannot determine their gender, REMOVE the track — err on the side of caution. No exceptions.');
+  }
+
+  // Cohesion / smooth-transitions request
+  const _wantsCohesion = genreData.discoveryBalance?.preference === 'cohesive' ||
+    ['no skips', 'smooth transition', 'consistent vibe', 'walks away', 'walk away', 'background music', 'no jarring', 'no whiplash'].some(s => _promptLower.includes(s));
+  if (_wantsCohesion) {
+    _vibeHardRules.push('COHESION — HARD RULE: This playlist must feel like one continuous listening experience. REMOVE any track that would create an abrupt tonal shift — mismatched genres (e.g. industrial electronic next to indie-pop), extreme energy jumps (e.g. ambient drone then trap banger), or artists whose overall sonic identity is clearly out of place with the rest of the playlist. If a track belongs to a completely different sonic world than 80% of the others, cut it.');
+  }
+
+  // Audience safety constraints
+  const _isChristian = _audience.includes('christian') || _promptLower.includes('christian') || _promptLower.includes('church') || _promptLower.includes('worship') || _promptLower.includes('gospel');
+  const _isFamily    = _audience.includes('family') || _audience.includes('clean') || _promptLower.includes('family') || _promptLower.includes('kids') || _promptLower.includes('children');
+  const _isYouth     = _audience.includes('youth') || _promptLower.includes('youth retreat') || _promptLower.includes('youth group');
+  if (_isChristian) {
+    _vibeHardRules.push('CHRISTIAN/RELIGIOUS CONTEXT — HARD RULE: ONLY keep explicitly Christian, worship, gospel, or faith-based music. REMOVE all secular artists — even if the music sounds "positive" or "uplifting," secular pop/rock/hip-hop does NOT belong here. Artists like TobyMac, Crowder, Lauren Daigle, Chris Tomlin, Hillsong, Lecrae are appropriate. Artists like Three Days Grace, Falling In Reverse, Imagine Dragons, or any secular act must be REMOVED.');
+  } else if (_isFamily || _isYouth) {
+    _vibeHardRules.push('CLEAN/FAMILY/YOUTH CONTEXT — HARD RULE: REMOVE any songs or artists associated with dark themes, aggression, sexual content, explicit language, or inappropriate messaging. Keep it positive and safe for all ages.');
+  }
+
+  // Genre accessibility
+  if (genreData.genreAccessibility === 'newcomer') {
+    _vibeHardRules.push(`GENRE NEWCOMER — HARD RULE: The user is new to this genre and asked to be eased in. REMOVE any artist or track that requires genre expertise to appreciate: avant-garde works, dense bebop, free jazz, atonal classical, extreme metal subgenres, or anything that would intimidate a first-time listener. Keep only approachable, melodic, widely-loved entry-point tracks.`);
+  } else if (genreData.genreAccessibility === 'curious') {
+    _vibeHardRules.push(`GENRE CURIOUS — HARD RULE: The user already knows the obvious names in this genre and wants to explore deeper. REMOVE the most ubiquitous, overplayed tracks that appear on every introductory playlist — the user has already heard these. Keep acclaimed artists and tracks that are one tier deeper than the household names. A mix of recognizable-but-not-obvious and genuinely deeper picks is ideal.`);
+  } else if (genreData.genreAccessibility === 'enthusiast') {
+    _vibeHardRules.push(`GENRE ENTHUSIAST — HARD RULE: The user is a deep listener who knows the classics inside out. REMOVE any track that would appear on a "best of" or "introduction to" playlist for this genre. Prioritize deep cuts, lesser-known albums, and artists that only dedicated fans would recognize.`);
+  }
+
+  return _vibeHardRules;
+}
+
+/**
+ * Build the vibe check prompt sent to Claude
+ * @param {Object} genreData - Extracted genre data
+ * @param {string} prompt - User prompt
+ * @param {string[]} _vibeHardRules - Rules from buildVibeHardRules
+ * @param {Array} selectedTracks - Tracks under review
+ * @returns {string}
+ */
+function buildVibeCheckPrompt(genreData, prompt, _vibeHardRules, selectedTracks) {
+  return `You are reviewing a playlist to ensure it has a COHERENT VIBE and emotional atmosphere.
+
+Original user request: "${prompt}"
+
+REQUIRED VIBE/CONTEXT:
+- Target atmosphere: ${genreData.atmosphere.join(', ') || 'not specified'}
+- Use case: ${genreData.contextClues.useCase || 'not specified'}
+- Subgenre: ${genreData.subgenre || 'not specified'}
+- Era/decade: ${genreData.era.decade || 'not specified'}
+- Avoid: ${genreData.contextClues.avoidances.join('; ') || 'nothing'}
+- Popularity preference: ${genreData.trackConstraints.popularity.preference || 'not specified'}${genreData.trackConstraints.popularity.preference === 'underground' ? ' ← CRITICAL: STRICTLY remove ALL mainstream/radio/chart artists' : ''}
+- Genre accessibility: ${genreData.genreAccessibility || 'not specified'}
+${_vibeHardRules.length > 0 ? `
+⚠️  HARD CONSTRAINTS (non-negotiable — enforce these BEFORE anything else):
+${_vibeHardRules.map(r => `• ${r}`).join('\n')}
+` : ''}
+Selected tracks:
+${selectedTracks.map((t, i) => `${i + 1}. "${t.name}" by ${t.artist || 'Unknown Artist'}`).join('\n')}
+
+Review this track list and identify any songs that are TECHNICALLY correct (right genre/production style) but EMOTIONALLY OR LYRICALLY WRONG (don't fit the vibe/atmosphere/context). Use your knowledge of each song's actual lyrical content, not just its sound.
+
+For example:
+- If use case is "focus" or "study", songs that are too intense/distracting should be removed
+- If atmosphere is "melancholic" or "dreamy", upbeat party songs should be removed
+- If era is "90s", songs from 2020s should be removed
+- If subgenre is "neo-soul", trap songs should be removed even if both are R&B
+- If use case is "sensual" or "intimate", songs that are lyrically about heartbreak, breakups, nostalgia, or loss should be removed EVEN IF they sound smooth/mellow/slow — lyrical content overrides production style
+- If the user specified a brand/franchise/studio (e.g. "Disney classics", "Pixar songs", "Studio Ghibli"), remove any song that does NOT belong to that brand — a DreamWorks song in a Disney playlist is wrong, a Fox film song in a Pixar playlist is wrong, etc.
+- If popularity preference is "underground", BE EXTREMELY STRICT - remove ANY artist that:
+  * Has had radio hits or chart success (Top 40, Hot 100, etc.)
+  * Has millions of monthly listeners on streaming platforms
+  * Is signed to a major label (RCA, Columbia, Atlantic, Interscope, Def Jam, etc.)
+  * Has collaborated with mainstream artists (Drake, The Weeknd, Travis Scott, etc.)
+  * Is commonly known outside underground/indie circles
+  * Has any songs with 100M+ streams
+
+  Examples to REMOVE: SZA, Miguel, Khalid, Daniel Caesar, H.E.R., Summer Walker, Brent Faiyaz, Drake, The Weeknd, Jhené Aiko, Kehlani, Frank Ocean, Tyler the Creator, Steve Lacy, Kali Uchis, Tinashe, Normani, 6LACK, Giveon, Ari Lennox, Ella Mai, Snoh Aalegra, Michael Jackson, Usher, Chris Brown, Cassie, 112, Ginuwine, Ty Dolla $ign, Sonder, Jorja Smith, etc.
+
+  KEEP ONLY: True underground/indie artists with minimal mainstream recognition, like the requested artists in the prompt.
+
+Respond ONLY with valid JSON:
+{
+  "vibeIssues": [
+{"index": 1, "trackName": "Song Name", "reason": "why it doesn't fit the vibe"},
+...
+  ],
+  "keepIndices": [list of indices (1-based) of songs that DO fit the vibe and should be kept]
+}
+
+Be EXTREMELY strict about vibe coherence, especially for underground preference and any hard constraints listed above. When in doubt, REMOVE the track.
+
+DO NOT include any text outside the JSON.`;
+}
+
+/**
+ * Apply Claude's keepIndices to the selection, guarding against an over-aggressive check
+ * @param {Object} vibeCheckData - Parsed { vibeIssues, keepIndices }
+ * @param {Array} selectedTracks - Tracks that were reviewed
+ * @param {Object} genreData - Extracted genre data
+ * @param {number} songCount - Target playlist length
+ * @returns {Array} Tracks to keep
+ */
+function applyVibeCheck(vibeCheckData, selectedTracks, genreData, songCount) {
+  if (!vibeCheckData.vibeIssues || vibeCheckData.vibeIssues.length === 0) {
+    console.log('Vibe check passed - all tracks fit the intended atmosphere');
+    return selectedTracks;
+  }
+
+  console.log(`Vibe check found ${vibeCheckData.vibeIssues.length} tracks that don't fit the vibe:`);
+  vibeCheckData.vibeIssues.forEach(issue => {
+    const _issuedTrack = selectedTracks[issue.index - 1];
+    const _issueSrc = _issuedTrack?._source || 'unknown-source';
+    const _issueEnergy = _issuedTrack?._scEnergy != null ? ` energy: ${_issuedTrack._scEnergy.toFixed(2)}` : ' energy: n/a';
+    console.log(`  ❌ VIBE_CHECK removed: "${issue.trackName}" [source: ${_issueSrc},${_issueEnergy}] — ${issue.reason}`);
+  });
+
+  // Filter to only keep tracks that passed the vibe check
+  const tracksAfterVibeCheck = vibeCheckData.keepIndices
+    .map(index => selectedTracks[index - 1])
+    .filter(track => track !== undefined);
+
+  console.log(`After vibe check: ${tracksAfterVibeCheck.length} tracks remain (removed ${selectedTracks.length - tracksAfterVibeCheck.length} tracks)`);
+
+  // If vibe check was too aggressive (removed more than half), fall back to
+  // the pre-vibe-check selection so we don't end up with far too few songs.
+  // EXCEPTION: when a useCase is present, the vibe check is enforcing useCase rules
+  // (e.g. rejecting vocal tracks for a focus+instrumental request). Overriding it
+  // would produce completely wrong playlists (party pop in a focus playlist).
+  const _scUseCase = (genreData.contextClues?.useCase || '').toLowerCase();
+  const _vibeCheckTrustUseCase = !!_scUseCase;
+  if (tracksAfterVibeCheck.length < songCount / 2 && tracksAfterVibeCheck.length < selectedTracks.length && !_vibeCheckTrustUseCase) {
+    console.warn(`Vibe check too aggressive (${tracksAfterVibeCheck.length}/${songCount}), reverting to pre-vibe-check selection`);
+    return selectedTracks.slice(0, songCount);
+  } else if (tracksAfterVibeCheck.length < songCount / 2 && tracksAfterVibeCheck.length < selectedTracks.length && _vibeCheckTrustUseCase) {
+    console.log(`ℹ️  Vibe check strict (${tracksAfterVibeCheck.length}/${songCount}) but useCase="${_scUseCase}" — trusting vibe check`);
+    return tracksAfterVibeCheck;
+  } else if (tracksAfterVibeCheck.length > songCount) {
+    const trimmed = tracksAfterVibeCheck.slice(0, songCount);
+    console.log(`Trimmed to target count: ${trimmed.length} songs (${tracksAfterVibeCheck.length - trimmed.length} extra removed)`);
+    return trimmed;
+  } else if (tracksAfterVibeCheck.length < songCount) {
+    // Below target after vibe check — skip backfill from the same pool (it contains
+    // tracks the vibe check already deemed off-vibe). The supplement path downstream
+    // will re-query SC with proper genre filters to fill the gap with clean candidates.
+    console.log(`Below target count (${tracksAfterVibeCheck.length}/${songCount}) after vibe check — skipping backfill, supplement path will handle shortfall`);
+  }
+  return tracksAfterVibeCheck;
+}
+
+async function run({ selectedTracks, genreData, prompt, songCount, allowExplicit }, { llm }) {
+  if (!(selectedTracks.length > 0 && !getPhases(genreData) && hasVibeRequirements(genreData))) {
+    console.log('Skipping vibe check (no specific atmosphere/context requirements)');
+    return { selectedTracks, vibeIssues: [] };
+  }
+
+  console.log('Running vibe check on selected tracks...');
+  const vibeCheckPrompt = buildVibeCheckPrompt(genreData, prompt, buildVibeHardRules(genreData, prompt, allowExplicit), selectedTracks);
+
+  try {
+    const vibeCheckResponse = await llm.complete('vibeCheck', {
+      maxTokens: 4000,
+      prompt: vibeCheckPrompt
+    });
+    const vibeCheckData = JSON.parse(stripJsonFences(vibeCheckResponse.text));
+    return {
+      selectedTracks: applyVibeCheck(vibeCheckData, selectedTracks, genreData, songCount),
+      vibeIssues: vibeCheckData.vibeIssues || [],
+    };
+  } catch (vibeCheckError) {
+    // Continue with original selection if vibe check fails
+    console.log('Vibe check failed or could not parse, keeping original selection:', vibeCheckError.message);
+    return { selectedTracks, vibeIssues: [] };
+  }
+}
+
+module.exports = {
+  name: 'vibe-check',
+  run,
+  hasVibeRequirements,
+  buildVibeHardRules,
+  buildVibeCheckPrompt,
+  applyVibeCheck,
+};
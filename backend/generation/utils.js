@@ -0,0 +1,45 @@
+/**
+ * Shared helpers for generation stages
+ */
+
+/**
+ * Strip ```json / ``` fences that Claude sometimes wraps around JSON responses
+ * @param {string} text - Raw model output
+ * @returns {string} Unfenced text
+ */
+function stripJsonFences(text) {
+  let cleaned = (text || '').trim();
+  if (cleaned.startsWith('```json')) {
+    cleaned = cleaned.replace(/^```json\n?/, '').replace(/\n?```$/, '');
+  } else if (cleaned.startsWith('```')) {
+    cleaned = cleaned.replace(/^```\n?/, '').replace(/\n?```$/, '');
+  }
+  return cleaned;
+}
+
+/**
+ * Multi-phase playlists ("warm up → peak → cool down") need at least two phases
+ * @param {Object} genreData - Extracted genre data
+ * @returns {Array|null} Phases, or null for single-vibe playlists
+ */
+function getPhases(genreData) {
+  return Array.isArray(genreData?.phases) && genreData.phases.length >= 2 ? genreData.phases : null;
+}
+
+/**
+ * Coarse prompt category for usage reporting
+ * @param {Object} genreData - Extracted genre data
+ * @returns {string} 'reference-song' | 'artist' | 'genre' | 'mood'
+ */
+function classifyPromptType(genreData) {
+  if (genreData?.referenceSongs?.length > 0) return 'reference-song';
+  if (genreData?.artistConstraints?.requestedArtists?.length > 0) return 'artist';
+  if (genreData?.primaryGenre) return 'genre';
+  return 'mood';
+}
+
+module.exports = {
+  stripJsonFences,
+  getPhases,
+  classifyPromptType,
+};
@@ -0,0 +1,70 @@
+/**
+ * Encrypt stored platform tokens (one-shot, safe to re-run)
+ * Plaintext token columns from before encryption get encrypted, and values wrapped with
+ * an older key are re-wrapped with the active one — run it after adding a key to
+ * TOKEN_ENCRYPTION_KEYS and making it TOKEN_ENCRYPTION_KEY_ID, then drop the old key.
+ * See services/tokenEncryptionService.js.
+ *
+ *   node migrate-encrypt-tokens.js            # uses DATABASE_URL (PostgreSQL) when set, else SQLite
+ *   node migrate-encrypt-tokens.js --dry-run  # report what would change
+ */
+
+require('dotenv').config();
+const { tokenEncryption } = require('./services/tokenEncryptionService');
+
+const usePostgres = !!(process.env.DATABASE_URL || process.env.POSTGRES_URL);
+const db = usePostgres ? require('./database-postgres') : require('./database');
+const dryRun = process.argv.includes('--dry-run');
+
+const TOKEN_COLUMNS = ['access_token', 'refresh_token', 'developer_token', 'user_music_token'];
+
+async function migrate() {
+  if (!tokenEncryption.enabled) {
+    console.error('❌ TOKEN_ENCRYPTION_KEYS is not set — nothing to encrypt with');
+    process.exit(1);
+  }
+  console.log(`Encrypting tokens in ${usePostgres ? 'PostgreSQL' : 'SQLite'} with key "${tokenEncryption.activeKeyId}"${dryRun ? ' (dry run)' : ''}...\n`);
+
+  try {
+    if (usePostgres) await db.initialize();
+
+    const rows = await db.getStoredTokenRows();
+    let encrypted = 0;
+    let rewrapped = 0;
+    let failed = 0;
+
+    for (const row of rows) {
+      const stale = TOKEN_COLUMNS.filter(column => tokenEncryption.needsRewrap(row[column]));
+      if (stale.length === 0) continue;
+
+      try {
+        const updated = { ...row };
+        for (const column of stale) {
+          updated[column] = tokenEncryption.rewrap(row[column], { userId: row.user_id, column });
+        }
+        if (!dryRun) await db.updateStoredTokenRow(row.user_id, updated);
+        const wasEncrypted = stale.filter(column => tokenEncryption.isEncrypted(row[column])).length;
+        rewrapped += wasEncrypted;
+        encrypted += stale.length - wasEncrypted;
+      } catch (err) {
+        failed++;
+        console.error(`  Failed for ${row.user_id}:`, err.message);
+      }
+    }
+
+    console.log(`✓ Checked ${rows.length} token rows`);
+    console.log(`✓ ${dryRun ? 'Would encrypt' : 'Encrypted'} ${encrypted} plaintext values`);
+    console.log(`✓ ${dryRun ? 'Would re-wrap' : 'Re-wrapped'} ${rewrapped} values from older keys`);
+    if (failed > 0) {
+      console.log(`⚠️ ${failed} rows failed — their key is probably missing from TOKEN_ENCRYPTION_KEYS`);
+    }
+    console.log('\nThe legacy .tokens.json file is no longer read; delete it if it is still around.');
+  } finally {
+    if (usePostgres) await db.close();
+  }
+}
+
+migrate().catch(err => {
+  console.error('❌ Token encryption failed:', err);
+  process.exit(1);
+});
@@ -22,7 +22,8 @@ async function migrate() {
     let usersCount = 0;
     for (const user of users) {
       try {
-        await postgresDb.createUser(
+        // Copies the stored password hash as it is
+        await postgresDb.importUser(
           user.email,
           user.password,
           user.platform,
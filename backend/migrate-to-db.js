@@ -1,3 +1,4 @@
+require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const db = require('./database');
@@ -35,7 +36,8 @@ let usersCount = 0;
 for (const email in users) {
   const user = users[email];
   try {
-    db.createUser(
+    // Hashes a plaintext password from the JSON file, keeps one already hashed
+    db.importUser(
       email,
       user.password,
       user.platform,
@@ -74,6 +76,6 @@ console.log(`✓ Migrated ${tokensCount} tokens`);
 
 console.log('\n✓ Migration complete!');
 console.log('\nYou can now:');
-console.log('1. Backup your .users.json and .tokens.json files');
+console.log('1. Backup your .users.json file and delete .tokens.json (the tokens are now encrypted in the database)');
 console.log('2. Update server.js to use the database');
 console.log('3. Restart your server');
@@ -0,0 +1,93 @@
+/**
+ * Database schema migrations (see migrations/ and services/schemaMigrations.js)
+ * The server applies pending migrations when it starts; this runs them by hand.
+ *
+ *   node migrate.js                        # status: applied and pending migrations
+ *   node migrate.js up [--to=N]            # apply pending migrations (through version N)
+ *   node migrate.js down [--steps=N|--to=N] # roll back the last one (N of them, everything after N)
+ *   node migrate.js up --dry-run           # print the SQL instead of running it (down too)
+ *
+ * Uses DATABASE_URL (PostgreSQL) when set, else SQLite (SQLITE_PATH, default ./playlist-creator.db).
+ */
+
+require('dotenv').config();
+const path = require('path');
+const migrations = require('./services/schemaMigrations');
+
+const usePostgres = !!(process.env.DATABASE_URL || process.env.POSTGRES_URL);
+const dialect = usePostgres ? 'postgres' : 'sqlite';
+
+const args = process.argv.slice(2);
+const command = args.find(arg => !arg.startsWith('--')) || 'status';
+const dryRun = args.includes('--dry-run');
+const numberOption = (name) => {
+  const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+  if (!arg) return null;
+  const value = Number(arg.split('=')[1]);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`❌ --${name} must be a whole number`);
+    process.exit(1);
+  }
+  return value;
+};
+
+// The database is opened directly: requiring database.js would migrate it on load
+function openDatabase() {
+  if (usePostgres) {
+    const { Pool } = require('pg');
+    return new Pool({
+      connectionString: process.env.DATABASE_URL || process.env.POSTGRES_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+  }
+  const Database = require('better-sqlite3');
+  const db = new Database(process.env.SQLITE_PATH || path.join(__dirname, 'playlist-creator.db'));
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+async function printStatus(db) {
+  const rows = usePostgres ? await migrations.postgresStatus(db) : migrations.sqliteStatus(db);
+  const labels = rows.map(row => `${String(row.version).padStart(3, '0')}_${row.name}`);
+  const width = Math.max(0, ...labels.map(label => label.length));
+  rows.forEach((row, i) => {
+    const state = row.missing ? `applied ${row.appliedAt}, file missing` : row.appliedAt ? `applied ${row.appliedAt}` : 'pending';
+    console.log(`  ${labels[i].padEnd(width)}  ${state}`);
+  });
+  const pending = rows.filter(row => !row.appliedAt).length;
+  console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+}
+
+async function run() {
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.error(`❌ Unknown command "${command}" — use status, up or down`);
+    process.exit(1);
+  }
+  console.log(`Database migrations (${usePostgres ? 'PostgreSQL' : 'SQLite'})${dryRun ? ' — dry run' : ''}\n`);
+
+  const db = openDatabase();
+  try {
+    if (command === 'status') {
+      await printStatus(db);
+      return;
+    }
+
+    const options = { direction: command, to: numberOption('to'), steps: numberOption('steps'), dryRun };
+    const plan = usePostgres ? await migrations.migratePostgres(db, options) : migrations.migrateSqlite(db, options);
+    if (dryRun) {
+      console.log(migrations.describePlan(plan, dialect));
+    } else if (plan.length === 0) {
+      console.log('✓ Nothing to run');
+    } else {
+      console.log(`\n✓ ${command === 'up' ? 'Applied' : 'Rolled back'} ${plan.length} migration(s)`);
+    }
+  } finally {
+    if (usePostgres) await db.end();
+    else db.close();
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
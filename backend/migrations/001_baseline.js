@@ -0,0 +1,542 @@
+/**
+ * 001 Baseline
+ * The schema as it stood when versioned migrations were introduced: everything
+ * database.js and database-postgres.js used to create and alter on every start. Each
+ * statement is idempotent, so on a database created before migrations existed this brings
+ * it up to date instead of failing. Irreversible.
+ */
+
+// SQLite: the original tables, the columns added to them since, then the later tables
+const SQLITE_TABLES = `
+  CREATE TABLE IF NOT EXISTS users (
+    email TEXT PRIMARY KEY,
+    password TEXT NOT NULL,
+    platform TEXT,
+    user_id TEXT,
+    plan TEXT DEFAULT 'free',
+    weekly_generations INTEGER DEFAULT 0,
+    weekly_reset_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS connected_platforms (
+    email TEXT PRIMARY KEY,
+    spotify INTEGER DEFAULT 0,
+    apple INTEGER DEFAULT 0,
+    youtube INTEGER DEFAULT 0,
+    FOREIGN KEY (email) REFERENCES users(email) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS tokens (
+    user_id TEXT PRIMARY KEY,
+    access_token TEXT NOT NULL,
+    refresh_token TEXT,
+    developer_token TEXT,
+    platform TEXT,
+    email TEXT,
+    authorized_at TEXT,
+    updated_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    email TEXT PRIMARY KEY,
+    token TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (email) REFERENCES users(email) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS artist_recommendations_cache (
+    user_id TEXT PRIMARY KEY,
+    artists_json TEXT NOT NULL,
+    cached_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS trending_artists_cache (
+    user_id TEXT PRIMARY KEY,
+    genres_data TEXT NOT NULL,
+    cached_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS soundcharts_cache (
+    cache_key TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_soundcharts_cache_created ON soundcharts_cache(created_at);
+
+  CREATE TABLE IF NOT EXISTS platform_user_ids (
+    email TEXT PRIMARY KEY,
+    spotify_user_id TEXT,
+    apple_music_user_id TEXT,
+    youtube_user_id TEXT,
+    FOREIGN KEY (email) REFERENCES users(email) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id);
+  CREATE INDEX IF NOT EXISTS idx_tokens_email ON tokens(email);
+  CREATE INDEX IF NOT EXISTS idx_reset_tokens_token ON password_reset_tokens(token);
+  CREATE INDEX IF NOT EXISTS idx_artist_cache_expires ON artist_recommendations_cache(expires_at);
+`;
+
+// SQLite has no ADD COLUMN IF NOT EXISTS; the runner checks the table's columns instead
+const SQLITE_COLUMNS = [
+  'ALTER TABLE tokens ADD COLUMN IF NOT EXISTS user_music_token TEXT',
+  'ALTER TABLE tokens ADD COLUMN IF NOT EXISTS storefront TEXT',
+  'ALTER TABLE tokens ADD COLUMN IF NOT EXISTS expires_at TEXT',
+  'ALTER TABLE tokens ADD COLUMN IF NOT EXISTS market TEXT',
+  "ALTER TABLE tokens ADD COLUMN IF NOT EXISTS connection_status TEXT DEFAULT 'connected'",
+  'ALTER TABLE tokens ADD COLUMN IF NOT EXISTS connection_checked_at TEXT',
+  "ALTER TABLE users ADD COLUMN IF NOT EXISTS plan TEXT DEFAULT 'free'",
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS weekly_generations INTEGER DEFAULT 0',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS weekly_reset_at TEXT',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_customer_id TEXT',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_status TEXT',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_ends_at TEXT',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS trial_used INTEGER DEFAULT 0',
+  "ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'user'",
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TEXT',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_at TEXT',
+  'ALTER TABLE connected_platforms ADD COLUMN IF NOT EXISTS youtube INTEGER DEFAULT 0',
+  'ALTER TABLE platform_user_ids ADD COLUMN IF NOT EXISTS youtube_user_id TEXT',
+];
+
+const SQLITE_LATER_TABLES = `
+  CREATE TABLE IF NOT EXISTS artist_history (
+    user_id TEXT NOT NULL,
+    artist_name TEXT NOT NULL,
+    first_seen TEXT NOT NULL DEFAULT (datetime('now')),
+    last_seen TEXT NOT NULL DEFAULT (datetime('now')),
+    play_count INTEGER DEFAULT 1,
+    PRIMARY KEY (user_id, artist_name)
+  );
+  CREATE INDEX IF NOT EXISTS idx_artist_history_user_id ON artist_history(user_id);
+
+  CREATE TABLE IF NOT EXISTS update_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    playlist_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TEXT NOT NULL,
+    locked_by TEXT,
+    locked_until TEXT,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    finished_at TEXT
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_update_jobs_active_playlist ON update_jobs(playlist_id) WHERE status IN ('pending', 'running');
+  CREATE INDEX IF NOT EXISTS idx_update_jobs_due ON update_jobs(status, run_at);
+
+  CREATE TABLE IF NOT EXISTS playlist_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    playlist_id TEXT NOT NULL,
+    trigger_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    prompt TEXT,
+    tracks_added TEXT NOT NULL DEFAULT '[]',
+    tracks_removed TEXT NOT NULL DEFAULT '[]',
+    tracks_before TEXT NOT NULL DEFAULT '[]',
+    error TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_playlist_runs_playlist ON playlist_runs(playlist_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_hash TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_refresh_tokens_email ON refresh_tokens(email);
+
+  CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_email TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target_email TEXT,
+    details TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_email, id);
+  CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_update BEFORE UPDATE ON admin_audit_log
+  BEGIN SELECT RAISE(ABORT, 'admin_audit_log is append-only'); END;
+  CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_delete BEFORE DELETE ON admin_audit_log
+  BEGIN SELECT RAISE(ABORT, 'admin_audit_log is append-only'); END;
+
+  CREATE TABLE IF NOT EXISTS generation_usage (
+    generation_id TEXT PRIMARY KEY,
+    user_id TEXT,
+    email TEXT,
+    plan TEXT NOT NULL DEFAULT 'free',
+    prompt_type TEXT NOT NULL DEFAULT 'unknown',
+    trigger_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    llm_calls INTEGER NOT NULL DEFAULT 0,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    soundcharts_calls INTEGER NOT NULL DEFAULT 0,
+    platform_calls INTEGER NOT NULL DEFAULT 0,
+    cost_usd REAL NOT NULL DEFAULT 0,
+    details TEXT NOT NULL DEFAULT '{}',
+    started_at TEXT NOT NULL,
+    finished_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_generation_usage_started ON generation_usage(started_at);
+  CREATE INDEX IF NOT EXISTS idx_generation_usage_email ON generation_usage(email, started_at);
+
+  CREATE TABLE IF NOT EXISTS feedback (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT,
+    user_id TEXT,
+    rating INTEGER,
+    message TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_feedback_email ON feedback(email);
+`;
+
+// PostgreSQL: the tables, the columns added to them since, and admin_audit_log's
+// append-only trigger
+const POSTGRES_TABLES = `
+  CREATE TABLE IF NOT EXISTS users (
+    email TEXT PRIMARY KEY,
+    password TEXT NOT NULL,
+    platform TEXT,
+    user_id TEXT,
+    plan TEXT DEFAULT 'free',
+    weekly_generations INTEGER DEFAULT 0,
+    weekly_reset_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS connected_platforms (
+    email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
+    spotify BOOLEAN DEFAULT FALSE,
+    apple BOOLEAN DEFAULT FALSE,
+    youtube BOOLEAN DEFAULT FALSE
+  );
+
+  CREATE TABLE IF NOT EXISTS tokens (
+    user_id TEXT PRIMARY KEY,
+    access_token TEXT NOT NULL,
+    refresh_token TEXT,
+    developer_token TEXT,
+    platform TEXT,
+    email TEXT,
+    authorized_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
+    token TEXT NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS playlists (
+    user_id TEXT NOT NULL,
+    playlist_id TEXT NOT NULL,
+    playlist_data JSONB NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, playlist_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS artist_history (
+    user_id TEXT NOT NULL,
+    artist_name TEXT NOT NULL,
+    artist_id TEXT,
+    first_seen TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_seen TIMESTAMP NOT NULL DEFAULT NOW(),
+    play_count INTEGER DEFAULT 1,
+    PRIMARY KEY (user_id, artist_name)
+  );
+
+  CREATE TABLE IF NOT EXISTS artist_recommendations_cache (
+    user_id TEXT PRIMARY KEY,
+    artists_json JSONB NOT NULL,
+    cached_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS trending_artists_cache (
+    user_id TEXT PRIMARY KEY,
+    genres_data JSONB NOT NULL,
+    cached_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS soundcharts_cache (
+    cache_key TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_soundcharts_cache_created ON soundcharts_cache(created_at);
+
+  CREATE TABLE IF NOT EXISTS song_details (
+    uuid TEXT PRIMARY KEY,
+    name TEXT,
+    artist_name TEXT,
+    artist_uuid TEXT,
+    isrc TEXT,
+    release_date TEXT,
+    energy REAL,
+    valence REAL,
+    danceability REAL,
+    tempo REAL,
+    loudness REAL,
+    acousticness REAL,
+    instrumentalness REAL,
+    speechiness REAL,
+    liveness REAL,
+    key_signature SMALLINT,
+    mode SMALLINT,
+    time_signature SMALLINT,
+    moods TEXT[],
+    themes TEXT[],
+    genres TEXT[],
+    subgenres TEXT[],
+    fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_song_details_isrc ON song_details(isrc);
+  CREATE INDEX IF NOT EXISTS idx_song_details_artist_uuid ON song_details(artist_uuid);
+
+  CREATE TABLE IF NOT EXISTS artist_details (
+    uuid TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    name_lower TEXT NOT NULL,
+    career_stage TEXT,
+    spotify_id TEXT,
+    spotify_popularity SMALLINT,
+    spotify_genres TEXT[],
+    sc_genres TEXT[],
+    sc_subgenres TEXT[],
+    fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_artist_details_name_lower ON artist_details(name_lower);
+
+  CREATE TABLE IF NOT EXISTS artist_catalogs (
+    artist_uuid TEXT PRIMARY KEY,
+    artist_name TEXT NOT NULL,
+    genre TEXT,
+    song_count INTEGER,
+    latest_song_uuid TEXT,
+    cached_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS artist_songs (
+    id SERIAL PRIMARY KEY,
+    artist_uuid TEXT NOT NULL REFERENCES artist_catalogs(artist_uuid) ON DELETE CASCADE,
+    song_uuid TEXT,
+    song_name TEXT NOT NULL,
+    isrc TEXT,
+    release_date TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  ALTER TABLE artist_songs ADD COLUMN IF NOT EXISTS song_uuid TEXT;
+  CREATE INDEX IF NOT EXISTS idx_artist_songs_artist_uuid ON artist_songs(artist_uuid);
+  CREATE INDEX IF NOT EXISTS idx_artist_songs_isrc ON artist_songs(isrc);
+  CREATE INDEX IF NOT EXISTS idx_artist_songs_song_uuid ON artist_songs(song_uuid);
+  DO $$ BEGIN
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_constraint WHERE conname = 'artist_songs_song_uuid_key'
+    ) THEN
+      DELETE FROM artist_songs a USING artist_songs b
+        WHERE a.id > b.id AND a.song_uuid IS NOT DISTINCT FROM b.song_uuid AND a.song_uuid IS NOT NULL;
+      ALTER TABLE artist_songs ADD CONSTRAINT artist_songs_song_uuid_key UNIQUE (song_uuid);
+    END IF;
+  END $$;
+  CREATE INDEX IF NOT EXISTS idx_artist_catalogs_genre ON artist_catalogs(genre);
+
+  CREATE TABLE IF NOT EXISTS platform_user_ids (
+    email TEXT PRIMARY KEY REFERENCES users(email) ON DELETE CASCADE,
+    spotify_user_id TEXT,
+    apple_music_user_id TEXT,
+    youtube_user_id TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS update_jobs (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    playlist_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    locked_by TEXT,
+    locked_until TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    finished_at TIMESTAMP
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_update_jobs_active_playlist ON update_jobs(playlist_id) WHERE status IN ('pending', 'running');
+  CREATE INDEX IF NOT EXISTS idx_update_jobs_due ON update_jobs(status, run_at);
+
+  CREATE TABLE IF NOT EXISTS playlist_runs (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    playlist_id TEXT NOT NULL,
+    trigger_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    prompt TEXT,
+    tracks_added JSONB NOT NULL DEFAULT '[]',
+    tracks_removed JSONB NOT NULL DEFAULT '[]',
+    tracks_before JSONB NOT NULL DEFAULT '[]',
+    error TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_playlist_runs_playlist ON playlist_runs(playlist_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_hash TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_refresh_tokens_email ON refresh_tokens(email);
+
+  CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_email TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target_email TEXT,
+    details JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_email, id);
+
+  CREATE TABLE IF NOT EXISTS generation_usage (
+    generation_id TEXT PRIMARY KEY,
+    user_id TEXT,
+    email TEXT,
+    plan TEXT NOT NULL DEFAULT 'free',
+    prompt_type TEXT NOT NULL DEFAULT 'unknown',
+    trigger_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    llm_calls INTEGER NOT NULL DEFAULT 0,
+    input_tokens INTEGER NOT NULL DEFAULT 0,
+    output_tokens INTEGER NOT NULL DEFAULT 0,
+    soundcharts_calls INTEGER NOT NULL DEFAULT 0,
+    platform_calls INTEGER NOT NULL DEFAULT 0,
+    cost_usd DOUBLE PRECISION NOT NULL DEFAULT 0,
+    details JSONB NOT NULL DEFAULT '{}',
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_generation_usage_started ON generation_usage(started_at);
+  CREATE INDEX IF NOT EXISTS idx_generation_usage_email ON generation_usage(email, started_at);
+
+  CREATE TABLE IF NOT EXISTS feedback (
+    id SERIAL PRIMARY KEY,
+    email TEXT,
+    user_id TEXT,
+    rating INTEGER,
+    message TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS idx_feedback_email ON feedback(email);
+
+  CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    key TEXT PRIMARY KEY,
+    tokens DOUBLE PRECISION NOT NULL,
+    allowed BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at BIGINT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_users_user_id ON users(user_id);
+  CREATE INDEX IF NOT EXISTS idx_tokens_email ON tokens(email);
+  CREATE INDEX IF NOT EXISTS idx_reset_tokens_token ON password_reset_tokens(token);
+  CREATE INDEX IF NOT EXISTS idx_playlists_user_id ON playlists(user_id);
+  CREATE INDEX IF NOT EXISTS idx_playlists_updated_at ON playlists(updated_at);
+  CREATE INDEX IF NOT EXISTS idx_artist_history_user_id ON artist_history(user_id);
+  CREATE INDEX IF NOT EXISTS idx_artist_cache_expires ON artist_recommendations_cache(expires_at);
+`;
+
+const POSTGRES_COLUMNS = [
+  `
+  ALTER TABLE tokens
+  ADD COLUMN IF NOT EXISTS user_music_token TEXT,
+  ADD COLUMN IF NOT EXISTS storefront TEXT,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS market TEXT,
+  ADD COLUMN IF NOT EXISTS connection_status TEXT DEFAULT 'connected',
+  ADD COLUMN IF NOT EXISTS connection_checked_at TIMESTAMP
+  `,
+  `
+  ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS plan TEXT DEFAULT 'free',
+  ADD COLUMN IF NOT EXISTS weekly_generations INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS weekly_reset_at TIMESTAMP
+  `,
+  `
+  ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS stripe_customer_id TEXT,
+  ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT,
+  ADD COLUMN IF NOT EXISTS subscription_status TEXT,
+  ADD COLUMN IF NOT EXISTS subscription_ends_at TIMESTAMP
+  `,
+  `
+  ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS product_tour_completed BOOLEAN DEFAULT FALSE
+  `,
+  `
+  ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS allow_explicit BOOLEAN DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS dark_mode BOOLEAN DEFAULT FALSE
+  `,
+  `
+  ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS trial_used BOOLEAN DEFAULT FALSE
+  `,
+  `
+  ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'user'
+  `,
+  `
+  ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deletion_scheduled_at TIMESTAMP
+  `,
+  `
+  ALTER TABLE connected_platforms ADD COLUMN IF NOT EXISTS youtube BOOLEAN DEFAULT FALSE;
+  ALTER TABLE platform_user_ids ADD COLUMN IF NOT EXISTS youtube_user_id TEXT;
+  `,
+];
+
+const POSTGRES_AUDIT_LOG_TRIGGER = `
+  CREATE OR REPLACE FUNCTION reject_admin_audit_log_change() RETURNS trigger AS $$
+  BEGIN
+    RAISE EXCEPTION 'admin_audit_log is append-only';
+  END;
+  $$ LANGUAGE plpgsql;
+  DROP TRIGGER IF EXISTS admin_audit_log_append_only ON admin_audit_log;
+  CREATE TRIGGER admin_audit_log_append_only BEFORE UPDATE OR DELETE ON admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION reject_admin_audit_log_change();
+`;
+
+module.exports = {
+  up: {
+    sqlite: [SQLITE_TABLES, ...SQLITE_COLUMNS, SQLITE_LATER_TABLES],
+    postgres: [POSTGRES_TABLES, ...POSTGRES_COLUMNS, POSTGRES_AUDIT_LOG_TRIGGER],
+  },
+  down: null,
+};
@@ -0,0 +1,68 @@
+/**
+ * 002 Playlist tables
+ * Playlists (drafts included), playlist reactions and saved playlists as tables on both
+ * backends, read and written through services/playlistRepository.js. PostgreSQL already
+ * had playlists; SQLite kept all three in JSON files, which 004 imports.
+ * Rolling back drops the tables this added, with their rows.
+ */
+
+module.exports = {
+  up: {
+    sqlite: [`
+      CREATE TABLE IF NOT EXISTS playlists (
+        user_id TEXT NOT NULL,
+        playlist_id TEXT NOT NULL,
+        playlist_data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, playlist_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_playlists_user_id ON playlists(user_id);
+      CREATE INDEX IF NOT EXISTS idx_playlists_updated_at ON playlists(updated_at);
+
+      CREATE TABLE IF NOT EXISTS playlist_reactions (
+        playlist_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        reaction TEXT NOT NULL CHECK (reaction IN ('up', 'down')),
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (playlist_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_playlist_reactions_user_id ON playlist_reactions(user_id);
+
+      CREATE TABLE IF NOT EXISTS saved_playlists (
+        user_id TEXT NOT NULL,
+        playlist_id TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, playlist_id)
+      );
+    `],
+    postgres: [`
+      CREATE TABLE IF NOT EXISTS playlist_reactions (
+        playlist_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        reaction TEXT NOT NULL CHECK (reaction IN ('up', 'down')),
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (playlist_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_playlist_reactions_user_id ON playlist_reactions(user_id);
+
+      CREATE TABLE IF NOT EXISTS saved_playlists (
+        user_id TEXT NOT NULL,
+        playlist_id TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, playlist_id)
+      );
+    `],
+  },
+  down: {
+    sqlite: [`
+      DROP TABLE IF EXISTS saved_playlists;
+      DROP TABLE IF EXISTS playlist_reactions;
+      DROP TABLE IF EXISTS playlists;
+    `],
+    postgres: [`
+      DROP TABLE IF EXISTS saved_playlists;
+      DROP TABLE IF EXISTS playlist_reactions;
+    `],
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * 003 Hash plaintext passwords
+ * Accounts created before passwords were hashed still had them stored as typed; this
+ * hashes each one with scrypt (services/passwordService.js). Rows already holding a hash
+ * are left alone. Rolling back keeps the hashes: the plaintext can't be recovered, and a
+ * hashed password logs in all the same.
+ */
+
+const { isPasswordHash, hashPassword, hashPasswordSync } = require('../services/passwordService');
+
+function hashSqlitePasswords(db) {
+  const plaintextUsers = db.prepare('SELECT email, password FROM users').all()
+    .filter(user => user.password && !isPasswordHash(user.password));
+  const setPassword = db.prepare('UPDATE users SET password = ? WHERE email = ?');
+  for (const user of plaintextUsers) setPassword.run(hashPasswordSync(user.password), user.email);
+  if (plaintextUsers.length > 0) console.log(`✓ Hashed ${plaintextUsers.length} plaintext password(s)`);
+}
+
+async function hashPostgresPasswords(client) {
+  const { rows } = await client.query(`SELECT email, password FROM users WHERE password NOT LIKE 'scrypt$%'`);
+  const plaintextUsers = rows.filter(user => user.password && !isPasswordHash(user.password));
+  for (const user of plaintextUsers) {
+    await client.query('UPDATE users SET password = $1 WHERE email = $2', [await hashPassword(user.password), user.email]);
+  }
+  if (plaintextUsers.length > 0) console.log(`✓ Hashed ${plaintextUsers.length} plaintext password(s)`);
+}
+
+module.exports = {
+  up: {
+    sqlite: [hashSqlitePasswords],
+    postgres: [hashPostgresPasswords],
+  },
+  down: {
+    sqlite: [],
+    postgres: [],
+  },
+};
@@ -0,0 +1,93 @@
+/**
+ * 004 Import playlist files
+ * SQLite installs used to keep playlists, reactions and saved playlists in JSON files
+ * (.playlists.json, .reactions.json, .saved_playlists.json) next to the database file.
+ * This copies each into its table from 002 while that table is still empty; a table that
+ * already has rows keeps them and its file is skipped. The files are left where they are
+ * and schema_migrations records the import, so it happens once. An in-memory database has
+ * no files beside it and imports nothing. PostgreSQL always had its own tables.
+ * Rolling back leaves the imported rows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REACTIONS = { up: 'thumbsUp', down: 'thumbsDown' };
+
+const playlistFiles = {
+  // { userId: [playlist] }
+  playlists: {
+    file: '.playlists.json',
+    table: 'playlists',
+    importRows: (db, data, now) => {
+      const insert = db.prepare('INSERT OR IGNORE INTO playlists (user_id, playlist_id, playlist_data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)');
+      let rows = 0;
+      for (const [userId, playlists] of Object.entries(data)) {
+        for (const playlist of playlists || []) {
+          if (!playlist?.playlistId) continue;
+          rows += insert.run(userId, playlist.playlistId, JSON.stringify(playlist), now, now).changes;
+        }
+      }
+      return rows;
+    },
+  },
+  // { playlistId: { thumbsUp: [userId], thumbsDown: [userId] } }
+  reactions: {
+    file: '.reactions.json',
+    table: 'playlist_reactions',
+    importRows: (db, data, now) => {
+      const insert = db.prepare('INSERT OR REPLACE INTO playlist_reactions (playlist_id, user_id, reaction, created_at) VALUES (?, ?, ?, ?)');
+      let rows = 0;
+      for (const [playlistId, reactions] of Object.entries(data)) {
+        for (const [reaction, key] of Object.entries(REACTIONS)) {
+          for (const userId of reactions?.[key] || []) {
+            rows += insert.run(playlistId, userId, reaction, now).changes;
+          }
+        }
+      }
+      return rows;
+    },
+  },
+  // { userId: [playlistId] }
+  savedPlaylists: {
+    file: '.saved_playlists.json',
+    table: 'saved_playlists',
+    importRows: (db, data, now) => {
+      const insert = db.prepare('INSERT OR IGNORE INTO saved_playlists (user_id, playlist_id, created_at) VALUES (?, ?, ?)');
+      let rows = 0;
+      for (const [userId, playlistIds] of Object.entries(data)) {
+        for (const playlistId of playlistIds || []) {
+          rows += insert.run(userId, playlistId, now).changes;
+        }
+      }
+      return rows;
+    },
+  },
+};
+
+function importPlaylistFiles(db) {
+  if (db.memory) return;
+  const dir = path.dirname(path.resolve(db.name));
+  const now = new Date().toISOString();
+  for (const [kind, { file, table, importRows }] of Object.entries(playlistFiles)) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) continue;
+    if (db.prepare(`SELECT 1 FROM ${table} LIMIT 1`).get()) {
+      console.warn(`⚠️ [MIGRATIONS] Not importing ${filePath}: the database already has ${kind}`);
+      continue;
+    }
+    const rows = importRows(db, JSON.parse(fs.readFileSync(filePath, 'utf8')), now);
+    console.log(`📦 [MIGRATIONS] Imported ${rows} ${kind} row(s) from ${filePath}`);
+  }
+}
+
+module.exports = {
+  up: {
+    sqlite: [importPlaylistFiles],
+    postgres: [],
+  },
+  down: {
+    sqlite: [],
+    postgres: [],
+  },
+};
@@ -0,0 +1,53 @@
+/**
+ * Run the backend tests
+ * Runs every test-*.js file here in its own process, one after another, and exits 1 if
+ * any failed. Name files (or parts of names) to run just those.
+ *
+ *   npm test
+ *   npm test -- search playlist-import
+ *
+ * The scripts in MANUAL_SCRIPTS are left out: they need real platform credentials, a
+ * running server or a database to edit, and are run by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const MANUAL_SCRIPTS = new Set([
+  'test-apple-music.js',
+  'test-auto-update.js',
+  'test-endpoints.js',
+  'test-server-integration.js',
+]);
+
+// A test file that hangs is stopped and counted as failed
+const FILE_TIMEOUT_MS = 2 * 60 * 1000;
+
+const filters = process.argv.slice(2);
+const files = fs.readdirSync(__dirname)
+  .filter(file => /^test-.*\.js$/.test(file) && !MANUAL_SCRIPTS.has(file))
+  .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)))
+  .sort();
+
+if (files.length === 0) {
+  console.error(`No test files match: ${filters.join(', ')}`);
+  process.exit(1);
+}
+
+const failed = [];
+for (const file of files) {
+  console.log(`\n━━ ${file}`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, file)], {
+    cwd: __dirname,
+    stdio: 'inherit',
+    timeout: FILE_TIMEOUT_MS,
+  });
+  if (result.status !== 0) failed.push(result.signal ? `${file} (timed out)` : file);
+}
+
+console.log(`\n${files.length - failed.length}/${files.length} test files passed`);
+if (failed.length > 0) {
+  console.log(`❌ ${failed.join(', ')}`);
+  process.exit(1);
+}
@@ -3,7 +3,8 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 dotenv.config();
 
-const SpotifyWebApi = require('spotify-web-api-node');
+const usage = require('./services/usageService');
+const SpotifyWebApi = usage.instrumentPlatformClient(require('spotify-web-api-node'), 'spotify');
 const Anthropic = require('@anthropic-ai/sdk');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
@@ -20,13 +21,35 @@ const getStripe = () => {
   return require('stripe')(process.env.STRIPE_SECRET_KEY);
 };
 const { handleCriticalError } = require('./services/errorNotificationService');
+const authService = require('./services/authService');
+const { createAuthorization } = require('./services/authorizationService');
+const rateLimitService = require('./services/rateLimitService');
+const { createUpdateQueue } = require('./services/updateQueueService');
+const { createLlmServiceFromEnv } = require('./services/llmService');
+const playlistTransfer = require('./services/playlistTransferService');
+const playlistSync = require('./services/playlistSyncService');
+const playlistImport = require('./services/playlistImportService');
+const playlistExport = require('./services/playlistExportService');
+const accountData = require('./services/accountDataService');
+const regionAvailability = require('./services/regionAvailabilityService');
+const searchService = require('./services/searchService');
+const connectionHealth = require('./services/connectionHealthService');
+const { isReconnectRequired } = require('./services/platforms/reconnect');
+const { createPlaylistRepository } = require('./services/playlistRepository');
+const { spotifyTokens } = require('./services/spotifyTokenManager');
+const platformRegistry = require('./services/platforms');
+const YouTubeMusicService = require('./services/youtubeMusicService');
+const { verifyPassword } = require('./services/passwordService');
 const { SC_GENRES, SC_SUBGENRES } = require('./sc_filters_reference');
+const generation = require('./generation');
 
-// Admin users — get Pro for free (comma-separated emails in env var)
+// Admins have users.role = 'admin' (and get Pro for free). ADMIN_USERS (comma-separated
+// emails in env var) bootstraps the role at startup and signup; grant it to others via
+// /api/admin/set-role.
 const ADMIN_USERS = new Set(
   (process.env.ADMIN_USERS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean)
 );
-const isAdminUser = (email) => email && ADMIN_USERS.has(email.trim().toLowerCase());
+const isAdminUser = (user) => user?.role === 'admin';
 
 // Load services with error handling
 let AppleMusicService, PlatformService;
@@ -48,6 +71,9 @@ console.log(`Using ${usePostgres ? 'PostgreSQL' : 'SQLite'} database`);
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Proxies in front of the app (Railway's edge is one). req.ip — the rate-limit key for
+// signed-out requests — is taken from X-Forwarded-For only through that many hops.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0);
 
 // Per-user in-flight generation deduplication
 const inFlightGenerations = new Map(); // key: userId+prompt -> timestamp
@@ -93,6 +119,8 @@ app.use(cors({
 // Stripe webhook needs raw body — must be before express.json()
 app.use('/api/stripe/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' })); // Increase limit for Apple Music tokens
+// Derive req.user from the Bearer session token (anonymous requests pass through)
+app.use(authService.authenticate);
 
 // Normalise FRONTEND_URL once — ensures it always has a protocol so redirects
 // don't turn into relative paths (e.g. "tryfins.com" → "https://tryfins.com")
@@ -108,10 +136,12 @@ const spotifyApi = new SpotifyWebApi({
   redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
 });
 
-// Initialize Anthropic API
+// Initialize Anthropic API. Model calls go through the llm service (named tasks,
+// provider routing via LLM_PROVIDER / LLM_TASKS) rather than the client directly.
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
 });
+const llm = createLlmServiceFromEnv({ anthropic });
 
 // Cache: artist name (lowercase) → array of known aliases/side-projects/supergroups
 // Persists for the server lifetime so the same artist never hits Claude twice.
@@ -241,32 +271,8 @@ function generateAppleMusicToken() {
   }
 }
 
-// File path for persistent token storage
-const TOKENS_FILE = path.join(__dirname, '.tokens.json');
-const PLAYLISTS_FILE = path.join(__dirname, '.playlists.json');
+// File paths for persistent storage
 const USERS_FILE = path.join(__dirname, '.users.json');
-const REACTIONS_FILE = path.join(__dirname, '.reactions.json');
-const SAVED_PLAYLISTS_FILE = path.join(__dirname, '.saved_playlists.json');
-
-// Load tokens from file on startup
-function loadTokens() {
-  try {
-    if (fs.existsSync(TOKENS_FILE)) {
-      const data = fs.readFileSync(TOKENS_FILE, 'utf8');
-      const tokensObj = JSON.parse(data);
-      console.log('Loaded', Object.keys(tokensObj).length, 'user sessions from file');
-      return new Map(Object.entries(tokensObj));
-    }
-  } catch (error) {
-    console.error('Error loading tokens:', error);
-  }
-  return new Map();
-}
-
-// Save tokens to file - NO LONGER NEEDED (using database)
-function saveTokens() {
-  // Database auto-saves, this function is kept for compatibility
-}
 
 // Spotify Client Credentials token (for searching without user auth)
 let spotifyClientToken = null;
@@ -304,8 +310,9 @@ async function getSpotifyClientToken() {
   }
 }
 
-// Search Spotify for tracks using Client Credentials (no user auth needed)
-async function searchSpotifyWithClientCredentials(query, limit = 10) {
+// Search Spotify for tracks using Client Credentials (no user auth needed).
+// Pass the listener's market to get is_playable on each result.
+async function searchSpotifyWithClientCredentials(query, limit = 10, market = null) {
   const token = await getSpotifyClientToken();
 
   try {
@@ -314,7 +321,8 @@ async function searchSpotifyWithClientCredentials(query, limit = 10) {
       params: {
         q: query,
         type: 'track',
-        limit: limit
+        limit: limit,
+        ...(market && { market })
       }
     });
 
@@ -325,6 +333,11 @@ async function searchSpotifyWithClientCredentials(query, limit = 10) {
   }
 }
 
+// A catalog track that can't be played in the listener's region. Spotify only reports
+// is_playable when the lookup names a market, and a relinked track (another release of
+// the song that plays there) comes back playable; Apple Music tracks carry `playable`.
+const isUnplayableTrack = (track) => track?.is_playable === false || track?.playable === false;
+
 // Get recommendations from ReccoBeats API (no auth required)
 // Uses Spotify track IDs as seeds and returns similar tracks
 async function getReccoBeatsRecommendations(seedTrackIds = [], size = 60) {
@@ -531,13 +544,8 @@ async function resolvePlatformUserId(email, platform) {
       return null;
     }
 
-    if (platform === 'spotify') {
-      return platformIds.spotify_user_id;
-    } else if (platform === 'apple' || platform === 'apple_music') {
-      return platformIds.apple_music_user_id;
-    }
-
-    return null;
+    const registered = platformRegistry.getPlatform(platform);
+    return registered ? platformIds[registered.platformUserIdColumn] || null : null;
   } catch (error) {
     console.error(`Error resolving platform userId for ${email}:`, error);
     return null;
@@ -565,6 +573,7 @@ async function throttleSoundCharts() {
   const elapsed = now - soundChartsLastCallTime;
   if (elapsed < 300) await new Promise(r => setTimeout(r, 300 - elapsed));
   soundChartsLastCallTime = Date.now();
+  usage.recordSoundChartsCall();
 }
 
 // Helper function to search artist on SoundCharts
@@ -1422,8 +1431,8 @@ async function searchSoundChartsSong(title, artist, preferredGenres = null, spot
             try {
               const spotifyTrackId = await getSoundChartsSongPlatformId(m.songMatch.uuid, 'spotify');
               if (spotifyTrackId) {
-                const trackRes = await appSpotify.getTrack(spotifyTrackId);
-                const artistIdOnTrack = trackRes.body.artists?.[0]?.id;
+                const spotifyTrack = await appSpotify.getTrack(spotifyTrackId);
+                const artistIdOnTrack = spotifyTrack?.artists?.[0]?.id;
                 if (artistIdOnTrack === confirmedSpotifyArtistId) {
                   console.log(`✓ SoundCharts artist-fallback: Spotify ID match → "${m.candidate.name}" (${confirmedSpotifyArtistId}) — UUID ${m.candidate.uuid}`);
                   const result = { songUuid: m.songMatch.uuid, artistUuid: m.candidate.uuid, artistName: m.candidate.name, _confirmedStrong: true };
@@ -2296,12 +2305,9 @@ const SOUNDCHARTS_AUDIO_FEATURE_MAP = {
 async function filterArtistsByGender(artistNames, targetGender) {
   if (!targetGender || targetGender === 'any' || !artistNames || artistNames.length === 0) return artistNames;
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 300,
-      messages: [{
-        role: 'user',
-        content: `For each artist, classify them as "female", "male", or "mixed" (bands/groups with mixed gender membership).
+    const response = await llm.complete('genderFilter', {
+      maxTokens: 300,
+      prompt: `For each artist, classify them as "female", "male", or "mixed" (bands/groups with mixed gender membership).
 For an artist credit with a feature, classify by the PRIMARY artist only — ignore featured guests.
 Examples: "SZA featuring The Weeknd" → female. "The Weeknd featuring SZA" → male. "TLC" → female. "Maroon 5" → male.
 
@@ -2309,9 +2315,8 @@ Artists:
 ${artistNames.map((a, i) => `${i + 1}. ${a}`).join('\n')}
 
 Return ONLY a JSON object mapping 1-based index to classification: {"1": "female", "2": "male", ...}`
-      }]
     });
-    const text = response.content[0].text.trim()
+    const text = response.text.trim()
       .replace(/^```json\n?/, '').replace(/\n?```$/, '')
       .replace(/^```\n?/, '').replace(/\n?```$/, '');
     const classifications = JSON.parse(text);
@@ -3070,46 +3075,82 @@ async function getUserTokens(userId) {
     }
   }
 
+  const platformId = tokens && platformRegistry.platformForUserId(userId)?.id;
+  if (platformId === 'apple' && !tokens.storefront) {
+    tokens = await backfillAppleStorefront(userId, tokens);
+  } else if (platformId === 'spotify' && !tokens.market) {
+    tokens = await backfillSpotifyMarket(userId, tokens);
+  }
+
   return tokens;
 }
 
-// Load playlists from database (for PostgreSQL) or file (for SQLite)
-async function loadPlaylistsFromDB() {
-  if (usePostgres) {
-    try {
-      const playlistsByUser = await db.getAllPlaylists();
-      const userPlaylistsMap = new Map();
-      for (const [userId, playlists] of Object.entries(playlistsByUser)) {
-        userPlaylistsMap.set(userId, playlists);
-      }
-      console.log('Loaded playlists for', userPlaylistsMap.size, 'users from database');
-      return userPlaylistsMap;
-    } catch (error) {
-      console.error('Error loading playlists from database:', error);
-      return new Map();
-    }
-  } else {
-    // Fallback to file-based storage for SQLite
-    return loadPlaylistsFromFile();
+// Connections saved without their catalog region (older ones, or the lookup failed at
+// connect time) get it on first use, so catalog calls don't assume the US. A failed
+// lookup is retried at most hourly; until then Apple falls back to 'us' and Spotify
+// searches without a market.
+const STOREFRONT_RETRY_MS = 60 * 60 * 1000;
+const storefrontRetryAt = new Map();
+const canBackfillRegion = (userId, tokens) => !platformRegistry.getFakeMusicService()
+  && Boolean(tokens.access_token)
+  && (storefrontRetryAt.get(userId) || 0) <= Date.now();
+
+async function backfillAppleStorefront(userId, tokens) {
+  if (!canBackfillRegion(userId, tokens)) return tokens;
+  const developerToken = generateAppleMusicToken();
+  if (!developerToken) return tokens;
+  try {
+    const storefront = await new AppleMusicService(developerToken).getUserStorefront(tokens.access_token);
+    const updated = { ...tokens, storefront };
+    userTokens.set(userId, updated);
+    await db.setToken(userId, updated);
+    storefrontRetryAt.delete(userId);
+    console.log(`🌍 [STOREFRONT] Stored the ${storefront} storefront for ${userId}`);
+    return updated;
+  } catch (error) {
+    storefrontRetryAt.set(userId, Date.now() + STOREFRONT_RETRY_MS);
+    console.warn(`⚠️ [STOREFRONT] Couldn't fetch the storefront for ${userId}, using 'us' for now: ${error.message}`);
+    return tokens;
   }
 }
 
-// Load playlists from file (SQLite fallback)
-function loadPlaylistsFromFile() {
+async function backfillSpotifyMarket(userId, tokens) {
+  if (!canBackfillRegion(userId, tokens)) return tokens;
   try {
-    if (fs.existsSync(PLAYLISTS_FILE)) {
-      const data = fs.readFileSync(PLAYLISTS_FILE, 'utf8');
-      const playlistsObj = JSON.parse(data);
-      console.log('Loaded playlists for', Object.keys(playlistsObj).length, 'users from file');
-      return new Map(Object.entries(playlistsObj));
-    }
+    const spotifyApi = await openSpotifyClient(userId, tokens);
+    const { body } = await spotifyApi.getMe();
+    if (!body.country) throw new Error('profile has no country');
+    const updated = { ...tokens, market: body.country };
+    userTokens.set(userId, updated);
+    await db.setToken(userId, updated);
+    storefrontRetryAt.delete(userId);
+    console.log(`🌍 [STOREFRONT] Stored the ${body.country} market for ${userId}`);
+    return updated;
   } catch (error) {
-    console.error('Error loading playlists from file:', error);
+    storefrontRetryAt.set(userId, Date.now() + STOREFRONT_RETRY_MS);
+    console.warn(`⚠️ [STOREFRONT] Couldn't fetch the market for ${userId}, searching without one for now: ${error.message}`);
+    return tokens;
+  }
+}
+
+// Load playlists, reactions and saved playlists into the in-memory caches
+async function loadPlaylistData() {
+  try {
+    userPlaylists = await playlistStore.loadPlaylists();
+    console.log('Loaded playlists for', userPlaylists.size, 'users from database');
+  } catch (error) {
+    console.error('Error loading playlists from database:', error);
+  }
+  try {
+    playlistReactions = await playlistStore.loadReactions();
+    userSavedPlaylists = await playlistStore.loadSavedPlaylists();
+    console.log('Loaded reactions for', playlistReactions.size, 'playlists and saved playlists for', userSavedPlaylists.size, 'users');
+  } catch (error) {
+    console.error('Error loading reactions and saved playlists:', error);
   }
-  return new Map();
 }
 
-// Save playlist to database or file
+// Save playlist to the cache and the database
 async function savePlaylist(userId, playlistData) {
   // Always keep the in-memory map in sync (used by mutation routes like react-to-song)
   const userPlaylistsArray = userPlaylists.get(userId) || [];
@@ -3121,58 +3162,41 @@ async function savePlaylist(userId, playlistData) {
   }
   userPlaylists.set(userId, userPlaylistsArray);
 
-  if (usePostgres) {
-    try {
-      await db.savePlaylist(userId, playlistData.playlistId, playlistData);
-    } catch (error) {
-      console.error('Error saving playlist to database:', error);
-    }
+  try {
+    await playlistStore.savePlaylist(userId, playlistData);
+  } catch (error) {
+    console.error('Error saving playlist to database:', error);
+  }
 
-    // Record all artists from this playlist for history tracking
-    try {
-      const tracks = playlistData.tracks || [];
-      const artistNames = [...new Set(
-        tracks.map(t => t.artist).filter(Boolean)
-      )];
-      if (artistNames.length > 0) {
-        await db.trackArtists(userId, artistNames);
-      }
-    } catch (error) {
-      // Non-critical — don't fail the save
+  // Record all artists from this playlist for history tracking
+  try {
+    const tracks = playlistData.tracks || [];
+    const artistNames = [...new Set(
+      tracks.map(t => t.artist).filter(Boolean)
+    )];
+    if (artistNames.length > 0) {
+      await db.trackArtists(userId, artistNames);
     }
-  } else {
-    // Save to file
-    savePlaylistsToFile();
+  } catch (error) {
+    // Non-critical — don't fail the save
   }
 }
 
-// Delete playlist from database or file
+// Delete playlist from the cache and the database
 async function deletePlaylist(userId, playlistId) {
-  if (usePostgres) {
-    try {
-      await db.deletePlaylist(userId, playlistId);
-    } catch (error) {
-      console.error('Error deleting playlist from database:', error);
-    }
-  } else {
-    // Remove from in-memory map
-    const userPlaylistsArray = userPlaylists.get(userId) || [];
-    const filtered = userPlaylistsArray.filter(p => p.playlistId !== playlistId);
-    userPlaylists.set(userId, filtered);
-    // Save to file
-    savePlaylistsToFile();
+  const userPlaylistsArray = userPlaylists.get(userId) || [];
+  userPlaylists.set(userId, userPlaylistsArray.filter(p => p.playlistId !== playlistId));
+
+  try {
+    await playlistStore.deletePlaylist(userId, playlistId);
+  } catch (error) {
+    console.error('Error deleting playlist from database:', error);
   }
-}
 
-// Save all playlists to file (SQLite only)
-function savePlaylistsToFile() {
-  if (!usePostgres) {
-    try {
-      const playlistsObj = Object.fromEntries(userPlaylists);
-      fs.writeFileSync(PLAYLISTS_FILE, JSON.stringify(playlistsObj, null, 2));
-    } catch (error) {
-      console.error('Error saving playlists to file:', error);
-    }
+  try {
+    await db.deletePlaylistRuns(userId, playlistId);
+  } catch (error) {
+    console.error('Error deleting playlist run history:', error);
   }
 }
 
@@ -3196,56 +3220,6 @@ function saveUsers() {
   // Database auto-saves, this function is kept for compatibility
 }
 
-// Load reactions from file on startup
-function loadReactions() {
-  try {
-    if (fs.existsSync(REACTIONS_FILE)) {
-      const data = fs.readFileSync(REACTIONS_FILE, 'utf8');
-      const reactionsObj = JSON.parse(data);
-      console.log('Loaded reactions for', Object.keys(reactionsObj).length, 'playlists from file');
-      return new Map(Object.entries(reactionsObj));
-    }
-  } catch (error) {
-    console.error('Error loading reactions:', error);
-  }
-  return new Map();
-}
-
-// Save reactions to file
-function saveReactions() {
-  try {
-    const reactionsObj = Object.fromEntries(playlistReactions);
-    fs.writeFileSync(REACTIONS_FILE, JSON.stringify(reactionsObj, null, 2));
-  } catch (error) {
-    console.error('Error saving reactions:', error);
-  }
-}
-
-// Load saved playlists from file on startup
-function loadSavedPlaylists() {
-  try {
-    if (fs.existsSync(SAVED_PLAYLISTS_FILE)) {
-      const data = fs.readFileSync(SAVED_PLAYLISTS_FILE, 'utf8');
-      const savedObj = JSON.parse(data);
-      console.log('Loaded saved playlists for', Object.keys(savedObj).length, 'users from file');
-      return new Map(Object.entries(savedObj));
-    }
-  } catch (error) {
-    console.error('Error loading saved playlists:', error);
-  }
-  return new Map();
-}
-
-// Save saved playlists to file
-function saveSavedPlaylists() {
-  try {
-    const savedObj = Object.fromEntries(userSavedPlaylists);
-    fs.writeFileSync(SAVED_PLAYLISTS_FILE, JSON.stringify(savedObj, null, 2));
-  } catch (error) {
-    console.error('Error saving saved playlists:', error);
-  }
-}
-
 // Returns the UTC moment for the next 5 AM occurrence in the given timezone.
 // Uses Intl.DateTimeFormat.formatToParts throughout — no locale string parsing.
 function getNext5AM(timezone, now = new Date()) {
@@ -3349,18 +3323,19 @@ const registeredUsers = {
     const existing = db.getUser(email);
     if (existing) {
       // Only call updateUser if we have all required fields
-      if (userData.password && userData.platform && userData.userId) {
+      if (userData.platform && userData.userId) {
         db.updateUser(email, userData);
       }
       // Update individual fields as needed
-      if (userData.userId && (!userData.password || !userData.platform)) {
+      if (userData.userId && !userData.platform) {
         db.updateUserId(email, userData.userId);
       }
       if (userData.connectedPlatforms) {
         db.updatePlatforms(email, userData.connectedPlatforms);
       }
     } else {
-      db.createUser(email, userData.password, userData.platform, userData.userId);
+      // userData is a user read back from the database, so its password is the stored hash
+      db.importUser(email, userData.password, userData.platform, userData.userId);
       if (userData.connectedPlatforms) {
         db.setConnectedPlatforms(email, userData.connectedPlatforms.spotify, userData.connectedPlatforms.apple);
       }
@@ -3370,27 +3345,133 @@ const registeredUsers = {
   delete: (email) => db.deleteUser(email)
 };
 
-// Store user playlists (persisted to database in production, file in development)
+// In-memory caches of the playlist tables, loaded at startup by loadPlaylistData().
+// Writes go through playlistStore one row at a time.
+const playlistStore = createPlaylistRepository(db);
+
+// Store user playlists (drafts included)
 let userPlaylists = new Map();
 
-// Store playlist reactions (persisted to file)
+// Store playlist reactions
 // Format: { playlistId: { thumbsUp: [userId1, userId2], thumbsDown: [userId3] } }
-const playlistReactions = loadReactions();
+let playlistReactions = new Map();
 
-// Store user saved playlists (persisted to file)
+// Store user saved playlists
 // Format: { userId: [playlistId1, playlistId2, ...] }
-const userSavedPlaylists = loadSavedPlaylists();
+let userSavedPlaylists = new Map();
+
+// Every id the account's data may be keyed by: its email, stored userId and platform user ids
+async function accountUserIds(email) {
+  const [user, platformIds] = await Promise.all([db.getUser(email), db.getPlatformUserIds(email)]);
+  return [...new Set([
+    email,
+    user?.userId,
+    ...platformRegistry.listPlatforms().map(platform => platformIds?.[platform.platformUserIdColumn]),
+  ].filter(Boolean))];
+}
+
+// Ownership checks for routes that act on an account, playlist or draft.
+// requireOwner: every userId/email in the request belongs to the signed-in user.
+// requirePlaylistOwner(): the same, plus the playlist itself is theirs (403 otherwise).
+// requireAdmin: the signed-in user has the admin role.
+const { requireOwner, requirePlaylistOwner, requireAdmin } = createAuthorization({
+  getAccountUserIds: (email) => accountUserIds(email),
+  findPlaylistOwner: async (playlistId) => {
+    for (const [ownerId, playlists] of userPlaylists.entries()) {
+      if (playlists.some(p => p.playlistId === playlistId)) return ownerId;
+    }
+    return null;
+  },
+  getRole: async (email) => (await db.getUser(email))?.role,
+});
+
+// Token-bucket limits for expensive endpoints (budgets in services/rateLimitService.js).
+// Postgres shares buckets across instances; SQLite/dev keeps them in memory.
+const rateLimit = rateLimitService.createRateLimiter({
+  store: (process.env.RATE_LIMIT_STORE || (usePostgres ? 'postgres' : 'memory')) === 'postgres'
+    ? rateLimitService.createDatabaseStore(db)
+    : rateLimitService.createMemoryStore(),
+  getPlan: async (email) => {
+    const user = await db.getUser(email);
+    return user?.plan === 'paid' || isAdminUser(user) ? 'paid' : 'free';
+  },
+});
 
 // Routes
 
 // Check if email is already registered (used on signup form before showing password field)
-app.post('/api/check-email', async (req, res) => {
+app.post('/api/check-email', rateLimit('checkEmail'), async (req, res) => {
   const { email } = req.body;
   if (!email) return res.status(400).json({ error: 'Email is required' });
   const existing = await db.getUser(email.trim().toLowerCase());
   res.json({ exists: !!existing });
 });
 
+// Issue an access token + refresh token pair for an email account
+async function issueSession(email) {
+  const refresh = authService.createRefreshToken();
+  await db.createRefreshToken(email, refresh.tokenHash, refresh.expiresAt);
+  return {
+    token: authService.signAccessToken(email),
+    refreshToken: refresh.token,
+    expiresIn: authService.ACCESS_TOKEN_TTL,
+  };
+}
+
+// Exchange a refresh token for a new session. Refresh tokens are single-use (rotated);
+// presenting one that was already used revokes every session for that account.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokenHash = authService.hashRefreshToken(refreshToken);
+    const stored = await db.getRefreshToken(tokenHash);
+    if (!stored) {
+      return res.status(401).json({ error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' });
+    }
+    if (stored.revokedAt) {
+      console.warn(`🔐 [AUTH] Reused refresh token for ${stored.email} — revoking all sessions`);
+      await db.revokeRefreshTokensForUser(stored.email);
+      return res.status(401).json({ error: 'Session revoked', code: 'INVALID_REFRESH_TOKEN' });
+    }
+    if (new Date(stored.expiresAt) < new Date()) {
+      return res.status(401).json({ error: 'Session expired', code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const user = await db.getUser(stored.email);
+    if (!user) {
+      await db.revokeRefreshToken(tokenHash);
+      return res.status(401).json({ error: 'Account not found', code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    await db.revokeRefreshToken(tokenHash);
+    const session = await issueSession(stored.email);
+    res.json({ success: true, ...session, email: stored.email });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({ error: 'Failed to refresh session', details: error.message });
+  }
+});
+
+// Log out: revoke the refresh token (the short-lived access token simply expires)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+    if (allDevices && req.user) {
+      await db.revokeRefreshTokensForUser(req.user.email);
+    } else if (refreshToken) {
+      await db.revokeRefreshToken(authService.hashRefreshToken(refreshToken));
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out', details: error.message });
+  }
+});
+
 // User Signup
 app.post('/api/signup', async (req, res) => {
   console.log('📱 Signup request received:', { email: req.body.email, platform: req.body.platform });
@@ -3410,17 +3491,17 @@ app.post('/api/signup', async (req, res) => {
       return res.status(400).json({ error: 'An account with this email already exists' });
     }
 
-    // Create user in database
+    // Create user in database (password is hashed by the DB layer)
     await db.createUser(normalizedEmail, password, platform, normalizedEmail);
+    if (ADMIN_USERS.has(normalizedEmail)) await db.setUserRole(normalizedEmail, 'admin');
 
     saveUsers();
 
-    // Generate a simple auth token (in production, use JWT)
-    const token = Buffer.from(`${normalizedEmail}:${Date.now()}`).toString('base64');
+    const session = await issueSession(normalizedEmail);
 
     res.json({
       success: true,
-      token: token,
+      ...session,
       email: normalizedEmail,
       platform: platform,
       userId: normalizedEmail,
@@ -3453,20 +3534,19 @@ app.post('/api/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    if (user.password !== password) { // TODO: Use proper password hashing comparison
+    if (!(await verifyPassword(password, user.password))) {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
     // Update in-memory cache with latest user data
     registeredUsers.set(normalizedEmail, user);
 
-    // Generate auth token
-    const token = Buffer.from(`${normalizedEmail}:${Date.now()}`).toString('base64');
+    const session = await issueSession(normalizedEmail);
 
     // Return email as userId (platform-independent)
     res.json({
       success: true,
-      token: token,
+      ...session,
       email: normalizedEmail,
       platform: user.platform,
       userId: normalizedEmail, // Always use email as userId
@@ -3485,7 +3565,7 @@ app.post('/api/login', async (req, res) => {
 });
 
 // Request password reset
-app.post('/api/forgot-password', async (req, res) => {
+app.post('/api/forgot-password', rateLimit('forgotPassword'), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -3579,14 +3659,26 @@ app.get('/api/verify-reset-token/:token', async (req, res) => {
 // User feedback
 app.post('/api/feedback', async (req, res) => {
   try {
-    const { userId, email, rating, message } = req.body;
+    const { rating, message } = req.body;
     if (!message && !rating) {
       return res.status(400).json({ error: 'Message or rating required' });
     }
+    // Kept with the session's account so it shows up in data exports and goes with account
+    // deletion; without a session it's stored anonymously, whatever the body claims
+    const email = req.user?.email || null;
+    try {
+      await db.recordFeedback({
+        email,
+        rating: Number(rating) || null,
+        message: message || null,
+      });
+    } catch (error) {
+      console.error('Error storing feedback:', error);
+    }
     const stars = rating ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : 'No rating';
     const html = `
       <h2>New Feedback from Fins</h2>
-      <p><strong>User:</strong> ${email || userId || 'Anonymous'}</p>
+      <p><strong>User:</strong> ${email || 'Anonymous'}</p>
       <p><strong>Rating:</strong> ${stars} (${rating || 0}/5)</p>
       <p><strong>Message:</strong></p>
       <blockquote style="border-left:3px solid #ccc;padding-left:12px;color:#333">${(message || '').replace(/\n/g, '<br/>')}</blockquote>
@@ -3600,7 +3692,7 @@ app.post('/api/feedback', async (req, res) => {
       });
     } else {
       // No email provider in local dev — just log the feedback
-      console.log(`[FEEDBACK] ${email || userId || 'Anonymous'} (${rating}/5): ${message}`);
+      console.log(`[FEEDBACK] ${email || 'Anonymous'} (${rating}/5): ${message}`);
     }
     res.json({ success: true });
   } catch (error) {
@@ -3641,8 +3733,9 @@ app.post('/api/reset-password', async (req, res) => {
     // Update password
     await db.updatePassword(resetToken.email, newPassword);
 
-    // Delete the used reset token
+    // Delete the used reset token and sign out every existing session
     await db.deleteResetToken(resetToken.email);
+    await db.revokeRefreshTokensForUser(resetToken.email);
 
     // Update in-memory cache
     const user = await db.getUser(resetToken.email);
@@ -3660,41 +3753,69 @@ app.post('/api/reset-password', async (req, res) => {
   }
 });
 
-// Temporary admin: directly set plan for a user
-app.post('/api/admin/set-plan', async (req, res) => {
-  const adminKey = req.query.key;
-  if (!adminKey || adminKey !== process.env.ADMIN_KEY) {
-    return res.status(403).json({ error: 'Forbidden' });
+// Append an entry to the admin audit log. Best-effort: a logging failure is reported
+// but doesn't undo the admin action that already happened.
+async function auditAdminAction(req, action, targetEmail = null, details = {}) {
+  try {
+    await db.recordAdminAction(req.user.email, action, targetEmail, details);
+    console.log(`👑 [ADMIN] ${req.user.email} ${action}${targetEmail ? ` → ${targetEmail}` : ''}`);
+  } catch (error) {
+    console.error(`[ADMIN] Failed to record audit entry for ${action}:`, error.message);
   }
+}
+
+// Admin: directly set plan for a user
+app.post('/api/admin/set-plan', requireAdmin, async (req, res) => {
   try {
     const { email, plan } = req.body;
     if (!email || !plan) return res.status(400).json({ error: 'email and plan required' });
     const normalizedEmail = email.trim().toLowerCase();
+    const user = await db.getUser(normalizedEmail);
+    if (!user) return res.status(404).json({ error: 'User not found' });
     await db.updateSubscription(normalizedEmail, {
       subscriptionId: null,
       status: plan === 'paid' ? 'active' : null,
       endsAt: null,
       plan,
     });
+    await auditAdminAction(req, 'set-plan', normalizedEmail, { plan, previousPlan: user.plan });
     res.json({ success: true, email: normalizedEmail, plan });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Temporary admin diagnostic: find all users with their playlist counts and plan
-app.get('/api/admin/users', async (req, res) => {
-  const adminKey = req.query.key;
-  if (!adminKey || adminKey !== process.env.ADMIN_KEY) {
-    return res.status(403).json({ error: 'Forbidden' });
+// Admin: grant or revoke the admin role
+app.post('/api/admin/set-role', requireAdmin, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    if (!email || !['user', 'admin'].includes(role)) {
+      return res.status(400).json({ error: "email and role ('user' or 'admin') required" });
+    }
+    const normalizedEmail = email.trim().toLowerCase();
+    if (normalizedEmail === req.user.email && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+    const user = await db.getUser(normalizedEmail);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    await db.setUserRole(normalizedEmail, role);
+    await auditAdminAction(req, 'set-role', normalizedEmail, { role, previousRole: user.role });
+    res.json({ success: true, email: normalizedEmail, role });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
+
+// Admin diagnostic: find all users with their playlist counts and plan
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
   try {
     const users = await db.getAllUsers();
     const result = await Promise.all(users.map(async (u) => {
-      const playlists = await db.getUserPlaylists(u.email);
+      const playlists = await playlistStore.getUserPlaylists(u.email);
       return {
         email: u.email,
         plan: u.plan || 'free',
+        role: u.role || 'user',
         playlistCount: playlists ? playlists.length : 0,
         stripeCustomerId: u.stripeCustomerId || null,
         createdAt: u.createdAt,
@@ -3706,37 +3827,80 @@ app.get('/api/admin/users', async (req, res) => {
   }
 });
 
-// Temporary admin: copy plan + Stripe fields from one account to another
-app.post('/api/admin/transfer-plan', async (req, res) => {
-  const adminKey = req.query.key;
-  if (!adminKey || adminKey !== process.env.ADMIN_KEY) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+// Admin: copy plan + Stripe fields from one account to another
+app.post('/api/admin/transfer-plan', requireAdmin, async (req, res) => {
   try {
     const { fromEmail, toEmail } = req.body;
     if (!fromEmail || !toEmail) return res.status(400).json({ error: 'fromEmail and toEmail required' });
-    const fromUser = await db.getUser(fromEmail.trim().toLowerCase());
+    const normalizedFrom = fromEmail.trim().toLowerCase();
+    const normalizedTo = toEmail.trim().toLowerCase();
+    const fromUser = await db.getUser(normalizedFrom);
     if (!fromUser) return res.status(404).json({ error: 'Source user not found' });
-    await db.updateSubscription(toEmail.trim().toLowerCase(), {
+    const toUser = await db.getUser(normalizedTo);
+    if (!toUser) return res.status(404).json({ error: 'Target user not found' });
+    await db.updateSubscription(normalizedTo, {
       subscriptionId: fromUser.stripeSubscriptionId,
       status: fromUser.subscriptionStatus,
       endsAt: null,
       plan: fromUser.plan || 'paid',
     });
     if (fromUser.stripeCustomerId) {
-      await db.updateStripeCustomer(toEmail.trim().toLowerCase(), fromUser.stripeCustomerId);
+      await db.updateStripeCustomer(normalizedTo, fromUser.stripeCustomerId);
     }
+    await auditAdminAction(req, 'transfer-plan', normalizedTo, {
+      fromEmail: normalizedFrom,
+      plan: fromUser.plan || 'paid',
+      previousPlan: toUser.plan,
+      stripeCustomerId: fromUser.stripeCustomerId || null,
+    });
     res.json({ success: true, plan: fromUser.plan, stripeCustomerId: fromUser.stripeCustomerId });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get user account info
-// Temporary admin endpoint — remove after use
-app.get('/api/admin/clear-trending-cache', async (req, res) => {
-  const { secret } = req.query;
-  if (secret !== process.env.ADMIN_SECRET || !secret) return res.status(403).json({ error: 'Forbidden' });
+// Admin: page through the audit log, newest first.
+// ?before=<id of the last entry seen>&limit=50&email=<only entries targeting this user>
+app.get('/api/admin/audit-log', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const before = parseInt(req.query.before, 10) || null;
+    const targetEmail = req.query.email ? req.query.email.trim().toLowerCase() : null;
+    const entries = await db.getAdminAuditLog({ before, limit, targetEmail });
+    res.json({
+      entries,
+      nextBefore: entries.length === limit ? entries[entries.length - 1].id : null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: generation cost report, most expensive first.
+// ?groupBy=user|plan|promptType&days=30
+app.get('/api/admin/usage-report', requireAdmin, async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'user';
+    if (!['user', 'plan', 'promptType'].includes(groupBy)) {
+      return res.status(400).json({ error: 'groupBy must be one of user, plan, promptType' });
+    }
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const rows = await db.getUsageReport({ groupBy, since });
+    const totals = rows.reduce((sum, row) => ({
+      generations: sum.generations + row.generations,
+      inputTokens: sum.inputTokens + row.inputTokens,
+      outputTokens: sum.outputTokens + row.outputTokens,
+      costUsd: sum.costUsd + row.costUsd,
+    }), { generations: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    res.json({ groupBy, days, since: since.toISOString(), totals, rows });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: clear the trending-artists cache for all users
+app.get('/api/admin/clear-trending-cache', requireAdmin, async (req, res) => {
   try {
     if (usePostgres) {
       const { Pool } = require('pg');
@@ -3748,20 +3912,20 @@ app.get('/api/admin/clear-trending-cache', async (req, res) => {
       const localDb = new Database('./playlist-creator.db');
       localDb.prepare('DELETE FROM trending_artists_cache').run();
     }
+    await auditAdminAction(req, 'clear-trending-cache');
     res.json({ ok: true, message: 'Trending cache cleared for all users' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/admin/user-info', async (req, res) => {
-  const { email, secret } = req.query;
-  if (secret !== process.env.ADMIN_SECRET || !secret) return res.status(403).json({ error: 'Forbidden' });
+app.get('/api/admin/user-info', requireAdmin, async (req, res) => {
+  const { email } = req.query;
   if (!email) return res.status(400).json({ error: 'email required' });
   try {
     const user = await db.getUser(email.trim().toLowerCase());
     if (!user) return res.status(404).json({ error: 'User not found' });
-    const playlists = await db.getUserPlaylists(email.trim().toLowerCase());
+    const playlists = await playlistStore.getUserPlaylists(email.trim().toLowerCase());
     const allTracks = (playlists || []).flatMap(p => p.tracks || []);
     const artistCounts = {};
     allTracks.forEach(t => {
@@ -3777,7 +3941,7 @@ app.get('/api/admin/user-info', async (req, res) => {
   }
 });
 
-app.get('/api/account/:email', async (req, res) => {
+app.get('/api/account/:email', requireOwner, async (req, res) => {
   try {
     const { email } = req.params;
     const normalizedEmail = email.trim().toLowerCase();
@@ -3798,8 +3962,8 @@ app.get('/api/account/:email', async (req, res) => {
 
     // Stripe sync fallback — if user has a Stripe customer ID but plan is still 'free',
     // check Stripe directly in case webhooks were missed (e.g. webhook not configured yet).
-    let resolvedPlan = isAdminUser(normalizedEmail) ? 'paid' : (dbUser.plan || 'free');
-    if (resolvedPlan !== 'paid' && dbUser.stripeCustomerId && !isAdminUser(normalizedEmail)) {
+    let resolvedPlan = isAdminUser(dbUser) ? 'paid' : (dbUser.plan || 'free');
+    if (resolvedPlan !== 'paid' && dbUser.stripeCustomerId && !isAdminUser(dbUser)) {
       try {
         const stripe = getStripe();
         const subs = await stripe.subscriptions.list({
@@ -3837,12 +4001,14 @@ app.get('/api/account/:email', async (req, res) => {
       userId: memUser?.userId || dbUser.userId,
       spotifyUserId: platformUserIds?.spotify_user_id || memUser?.spotifyUserId,
       appleMusicUserId: platformUserIds?.apple_music_user_id || memUser?.appleMusicUserId,
+      youtubeUserId: platformUserIds?.youtube_user_id || null,
       plan: resolvedPlan,
-      isAdmin: isAdminUser(normalizedEmail),
+      isAdmin: isAdminUser(dbUser),
       trialUsed: dbUser.trialUsed || false,
       productTourCompleted: dbUser.productTourCompleted || false,
       allowExplicit: dbUser.allowExplicit !== false,
       darkMode: dbUser.darkMode || false,
+      deletionScheduledAt: dbUser.deletionScheduledAt || null,
     });
   } catch (error) {
     console.error('Get account error:', error);
@@ -3853,10 +4019,203 @@ app.get('/api/account/:email', async (req, res) => {
   }
 });
 
+// Stored playlist records (drafts included) under any of the account's ids, with their owner id
+async function accountPlaylists(userIds) {
+  const playlists = [];
+  for (const userId of userIds) {
+    const records = await playlistStore.getUserPlaylists(userId);
+    playlists.push(...records.filter(Boolean).map(playlist => ({ ownerId: userId, playlist })));
+  }
+  return playlists;
+}
+
+// Download my data: everything stored for the account as a .tar.gz (services/accountDataService.js)
+app.get('/api/account/:email/export', requireOwner, rateLimit('accountExport'), async (req, res) => {
+  try {
+    const normalizedEmail = req.params.email.trim().toLowerCase();
+    const user = await db.getUser(normalizedEmail);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const userIds = await accountUserIds(normalizedEmail);
+    const owned = await accountPlaylists(userIds);
+    const ids = new Set(userIds);
+
+    const playlistHistory = [];
+    const artistHistory = [];
+    for (const { ownerId, playlist } of owned) {
+      if (!playlist.isDraft) playlistHistory.push(...await db.getPlaylistRuns(ownerId, playlist.playlistId, { limit: 50 }));
+    }
+    for (const userId of userIds) {
+      artistHistory.push(...await db.getArtistHistory(userId));
+    }
+
+    const archive = accountData.buildAccountArchive({
+      user,
+      platformUserIds: await db.getPlatformUserIds(normalizedEmail),
+      playlists: owned.map(({ playlist }) => playlist),
+      playlistReactions: reactionsBy(ids),
+      savedPlaylists: [...new Set(userIds.flatMap(userId => userSavedPlaylists.get(userId) || []))],
+      artistHistory,
+      playlistHistory,
+      feedback: await db.getFeedback(normalizedEmail, userIds),
+    });
+
+    console.log(`📦 [ACCOUNT-EXPORT] ${normalizedEmail}: ${owned.length} playlist(s), ${archive.body.length} bytes`);
+    res.setHeader('Content-Type', archive.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${archive.filename}"`);
+    res.send(archive.body);
+  } catch (error) {
+    console.error('Account export error:', error);
+    res.status(500).json({ error: 'Failed to export account data' });
+  }
+});
+
+// Playlist thumbs left by any of the given ids
+function reactionsBy(ids) {
+  const reactions = [];
+  for (const [playlistId, { thumbsUp = [], thumbsDown = [] }] of playlistReactions.entries()) {
+    if (thumbsUp.some(id => ids.has(id))) reactions.push({ playlistId, reaction: 'thumbsUp' });
+    if (thumbsDown.some(id => ids.has(id))) reactions.push({ playlistId, reaction: 'thumbsDown' });
+  }
+  return reactions;
+}
+
+// Delete account: ends every session, drops the platform tokens and cancels the
+// subscription now; purgeDeletedAccounts() removes the rest once the grace period is over
+app.post('/api/account/:email/delete', requireOwner, async (req, res) => {
+  try {
+    const normalizedEmail = req.params.email.trim().toLowerCase();
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    const user = await db.getUser(normalizedEmail);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await verifyPassword(password, user.password))) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    // Stop billing before anything else — a failed cancel leaves the account untouched
+    if (user.stripeSubscriptionId) {
+      try {
+        await getStripe().subscriptions.cancel(user.stripeSubscriptionId);
+        await db.updateSubscription(normalizedEmail, { subscriptionId: null, status: 'canceled', endsAt: null, plan: 'free' });
+        console.log(`✓ Stripe: canceled ${normalizedEmail}'s subscription for account deletion`);
+      } catch (stripeErr) {
+        console.error(`Stripe cancel for account deletion failed for ${normalizedEmail}:`, stripeErr.message);
+        return res.status(502).json({ error: 'Could not cancel your subscription. Please try again or contact support.' });
+      }
+    }
+
+    // Platform user ids stay until the purge, which needs them to find rows keyed by them
+    for (const userId of await accountUserIds(normalizedEmail)) {
+      await db.deleteToken(userId);
+    }
+    await db.updatePlatforms(normalizedEmail, { spotify: false, apple: false, youtube: false });
+    await db.revokeRefreshTokensForUser(normalizedEmail);
+
+    const deletionScheduledAt = accountData.deletionDate();
+    await db.scheduleUserDeletion(normalizedEmail, deletionScheduledAt);
+    console.log(`🗑️ [ACCOUNT-DELETION] ${normalizedEmail} scheduled for deletion on ${deletionScheduledAt.toISOString()}`);
+
+    res.json({ success: true, deletionScheduledAt: deletionScheduledAt.toISOString() });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Keep the account: only possible during the grace period
+app.post('/api/account/:email/cancel-deletion', requireOwner, async (req, res) => {
+  try {
+    const normalizedEmail = req.params.email.trim().toLowerCase();
+    if (!(await db.cancelUserDeletion(normalizedEmail))) {
+      return res.status(404).json({ error: 'This account is not scheduled for deletion' });
+    }
+    console.log(`🗑️ [ACCOUNT-DELETION] ${normalizedEmail} canceled their account deletion`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
+  }
+});
+
+// Health of each connected platform (services/connectionHealthService.js): the status the
+// last check recorded, and an on-demand check against the platforms themselves
+app.get('/api/account/:email/connections', requireOwner, async (req, res) => {
+  try {
+    const connections = await openConnections(req.params.email.trim().toLowerCase());
+    res.json({ connections: connections.map(({ platform, tokens }) => connectionHealth.describeConnection(platform, tokens)) });
+  } catch (error) {
+    console.error('Connection status error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to load connection status' });
+  }
+});
+
+app.post('/api/account/:email/connections/check', requireOwner, rateLimit('connectionCheck'), async (req, res) => {
+  try {
+    const connections = await openConnections(req.params.email.trim().toLowerCase());
+    res.json({ connections: await connectionHealth.checkConnections(connections, db) });
+  } catch (error) {
+    console.error('Connection check error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to check connections' });
+  }
+});
+
+// Purge accounts whose grace period is over: the cached playlists, reactions and saved
+// playlists, reactions others left on the account's playlists, the Stripe customer, then
+// every database row
+async function purgeDeletedAccounts() {
+  const due = await db.getUsersDueForDeletion();
+  for (const email of due) {
+    try {
+      const user = await db.getUser(email);
+      const userIds = await accountUserIds(email);
+      const ids = new Set(userIds);
+      const playlistIds = new Set((await accountPlaylists(userIds)).map(({ playlist }) => playlist.playlistId));
+
+      for (const userId of userIds) {
+        userPlaylists.delete(userId);
+        userSavedPlaylists.delete(userId);
+      }
+      for (const [playlistId, reactions] of playlistReactions.entries()) {
+        if (playlistIds.has(playlistId)) {
+          playlistReactions.delete(playlistId);
+          continue;
+        }
+        reactions.thumbsUp = (reactions.thumbsUp || []).filter(id => !ids.has(id));
+        reactions.thumbsDown = (reactions.thumbsDown || []).filter(id => !ids.has(id));
+      }
+      for (const playlistId of playlistIds) {
+        await playlistStore.deleteReactions(playlistId);
+      }
+
+      if (user?.stripeCustomerId && process.env.STRIPE_SECRET_KEY) {
+        try {
+          await getStripe().customers.del(user.stripeCustomerId);
+        } catch (stripeErr) {
+          console.error(`Stripe customer delete failed for ${email}:`, stripeErr.message);
+        }
+      }
+
+      await db.purgeUserData(email, userIds);
+      console.log(`🗑️ [ACCOUNT-DELETION] Purged ${email} (${playlistIds.size} playlist(s))`);
+    } catch (error) {
+      console.error(`❌ [ACCOUNT-DELETION] Failed to purge ${email}:`, error.message);
+    }
+  }
+}
+
 // Update user email
-app.put('/api/account/email', async (req, res) => {
+app.put('/api/account/email', requireOwner, async (req, res) => {
   try {
-    const { currentEmail, newEmail, password, authToken, userId } = req.body;
+    const { currentEmail, newEmail, password, userId } = req.body;
+    const sessionEmail = req.user?.email || null;
 
     if (!currentEmail || !newEmail || !password) {
       return res.status(400).json({ error: 'Current email, new email, and password are required' });
@@ -3871,21 +4230,15 @@ app.put('/api/account/email', async (req, res) => {
     let user = await db.getUser(normalizedCurrentEmail);
     console.log('[updateEmail] DB lookup by currentEmail result:', user ? 'found' : 'not found');
 
-    // Fallback 1: decode the auth token to find the real DB email
-    if (!user && authToken) {
-      try {
-        const decoded = Buffer.from(authToken, 'base64').toString('utf8');
-        const tokenEmail = decoded.split(':')[0].trim().toLowerCase();
-        console.log('[updateEmail] Trying authToken fallback email:', tokenEmail);
-        if (tokenEmail && tokenEmail !== normalizedCurrentEmail) {
-          const tokenUser = await db.getUser(tokenEmail);
-          console.log('[updateEmail] authToken fallback result:', tokenUser ? 'found' : 'not found');
-          if (tokenUser) {
-            user = tokenUser;
-            normalizedCurrentEmail = tokenEmail;
-          }
-        }
-      } catch (e) { console.error('[updateEmail] authToken decode error:', e.message); }
+    // Fallback 1: the signed-in session's email (the real DB email)
+    if (!user && sessionEmail && sessionEmail !== normalizedCurrentEmail) {
+      console.log('[updateEmail] Trying session fallback email:', sessionEmail);
+      const sessionUser = await db.getUser(sessionEmail);
+      console.log('[updateEmail] session fallback result:', sessionUser ? 'found' : 'not found');
+      if (sessionUser) {
+        user = sessionUser;
+        normalizedCurrentEmail = sessionEmail;
+      }
     }
 
     // Fallback 2: look up by userId (also the email for email-based accounts)
@@ -3903,18 +4256,14 @@ app.put('/api/account/email', async (req, res) => {
     }
 
     // Fallback 3: account missing from DB (e.g. SQLite→Postgres migration, data loss).
-    // Re-create it using the authToken email + the password the user just provided.
-    if (!user && authToken) {
+    // Re-create it using the signed-in session's email + the password the user just provided.
+    if (!user && sessionEmail) {
       try {
-        const decoded = Buffer.from(authToken, 'base64').toString('utf8');
-        const tokenEmail = decoded.split(':')[0].trim().toLowerCase();
-        if (tokenEmail && tokenEmail.includes('@')) {
-          console.log('[updateEmail] Account not in DB — recovering account for:', tokenEmail);
-          await db.createUser(tokenEmail, password, 'none', tokenEmail);
-          user = await db.getUser(tokenEmail);
-          normalizedCurrentEmail = tokenEmail;
-          console.log('[updateEmail] Account recovered:', user ? 'success' : 'failed');
-        }
+        console.log('[updateEmail] Account not in DB — recovering account for:', sessionEmail);
+        await db.createUser(sessionEmail, password, 'none', sessionEmail);
+        user = await db.getUser(sessionEmail);
+        normalizedCurrentEmail = sessionEmail;
+        console.log('[updateEmail] Account recovered:', user ? 'success' : 'failed');
       } catch (e) {
         console.error('[updateEmail] Account recovery error:', e.message);
       }
@@ -3926,7 +4275,7 @@ app.put('/api/account/email', async (req, res) => {
     }
 
     // Verify password
-    if (user.password !== password) {
+    if (!(await verifyPassword(password, user.password))) {
       return res.status(401).json({ error: 'Invalid password' });
     }
 
@@ -3945,13 +4294,24 @@ app.put('/api/account/email', async (req, res) => {
     registeredUsers.delete(normalizedCurrentEmail);
     user.email = normalizedNewEmail;
     registeredUsers.set(normalizedNewEmail, user);
+    for (const cache of [userPlaylists, userSavedPlaylists]) {
+      if (cache.has(normalizedCurrentEmail)) {
+        cache.set(normalizedNewEmail, cache.get(normalizedCurrentEmail));
+        cache.delete(normalizedCurrentEmail);
+      }
+    }
+    for (const reactions of playlistReactions.values()) {
+      reactions.thumbsUp = reactions.thumbsUp.map(id => id === normalizedCurrentEmail ? normalizedNewEmail : id);
+      reactions.thumbsDown = reactions.thumbsDown.map(id => id === normalizedCurrentEmail ? normalizedNewEmail : id);
+    }
 
-    // Generate new auth token
-    const token = Buffer.from(`${normalizedNewEmail}:${Date.now()}`).toString('base64');
+    // Sessions are keyed by email — end the old ones and start one for the new address
+    await db.revokeRefreshTokensForUser(normalizedCurrentEmail);
+    const session = await issueSession(normalizedNewEmail);
 
     res.json({
       success: true,
-      token: token,
+      ...session,
       email: normalizedNewEmail,
       message: 'Email updated successfully'
     });
@@ -3965,7 +4325,7 @@ app.put('/api/account/email', async (req, res) => {
 });
 
 // Update user password
-app.put('/api/account/password', async (req, res) => {
+app.put('/api/account/password', requireOwner, async (req, res) => {
   try {
     const { email, currentPassword, newPassword } = req.body;
 
@@ -3986,17 +4346,20 @@ app.put('/api/account/password', async (req, res) => {
     }
 
     // Verify current password
-    if (user.password !== currentPassword) {
+    if (!(await verifyPassword(currentPassword, user.password))) {
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
-    // Update password in DB and cache
-    user.password = newPassword;
-    registeredUsers.set(normalizedEmail, user);
-    saveUsers();
+    // Update password in DB (hashed by the DB layer)
+    await db.updatePassword(normalizedEmail, newPassword);
+
+    // Sign out other devices; this one gets a fresh session
+    await db.revokeRefreshTokensForUser(normalizedEmail);
+    const session = await issueSession(normalizedEmail);
 
     res.json({
       success: true,
+      ...session,
       message: 'Password updated successfully'
     });
   } catch (error) {
@@ -4009,7 +4372,7 @@ app.put('/api/account/password', async (req, res) => {
 });
 
 // Update user music platform
-app.put('/api/account/platform', async (req, res) => {
+app.put('/api/account/platform', requireOwner, async (req, res) => {
   try {
     const { email, platform } = req.body;
 
@@ -4048,7 +4411,7 @@ app.put('/api/account/platform', async (req, res) => {
 });
 
 // Update multiple music platforms
-app.get('/api/account/platforms', async (req, res) => {
+app.get('/api/account/platforms', requireOwner, async (req, res) => {
   try {
     const { email } = req.query;
     console.log('Get platforms request - Email:', email);
@@ -4075,7 +4438,7 @@ app.get('/api/account/platforms', async (req, res) => {
   }
 });
 
-app.put('/api/account/platforms', async (req, res) => {
+app.put('/api/account/platforms', requireOwner, async (req, res) => {
   try {
     const { email, platforms } = req.body;
     console.log('Update platforms request - Email:', email, 'Platforms:', platforms, 'Body:', req.body);
@@ -4135,7 +4498,7 @@ app.put('/api/account/platforms', async (req, res) => {
 });
 
 // Create user account (for users who skip platform selection)
-app.post('/api/account/create', async (req, res) => {
+app.post('/api/account/create', requireOwner, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -4174,7 +4537,7 @@ app.post('/api/account/create', async (req, res) => {
 });
 
 // Update user settings (allowExplicit, darkMode)
-app.put('/api/account/settings', async (req, res) => {
+app.put('/api/account/settings', requireOwner, async (req, res) => {
   try {
     const { email, allowExplicit, darkMode } = req.body;
     if (!email) return res.status(400).json({ error: 'Email is required' });
@@ -4187,7 +4550,7 @@ app.put('/api/account/settings', async (req, res) => {
 });
 
 // Mark product tour as completed
-app.post('/api/account/tour-completed', async (req, res) => {
+app.post('/api/account/tour-completed', requireOwner, async (req, res) => {
   try {
     const { email } = req.body;
     if (!email) return res.status(400).json({ error: 'Email is required' });
@@ -4243,7 +4606,7 @@ app.get('/callback', async (req, res) => {
     }
 
     const data = await spotifyApi.authorizationCodeGrant(code);
-    const { access_token, refresh_token } = data.body;
+    const { access_token, refresh_token, expires_in } = data.body;
 
     // Create temporary API instance to get user info
     const tempApi = new SpotifyWebApi({
@@ -4260,7 +4623,13 @@ app.get('/callback', async (req, res) => {
 
     // Create platform-specific userId for token storage
     const spotifyPlatformUserId = `spotify_${spotifyUserId}`;
-    const tokenData = { access_token, refresh_token };
+    // The account's country is the market its searches and track lookups are made in
+    const tokenData = {
+      access_token,
+      refresh_token,
+      expires_at: new Date(Date.now() + expires_in * 1000).toISOString(),
+      market: meData.body.country || null,
+    };
     userTokens.set(spotifyPlatformUserId, tokenData);
 
     // Save tokens to database (keyed by platform userId for API calls)
@@ -4389,12 +4758,13 @@ app.all('/apple-callback', async (req, res) => {
     // Get user's storefront using the developer token and user music token
     const appleMusicApi = new AppleMusicService(appleMusicDevToken);
 
-    let storefront = 'us'; // Default
+    // Left unset when the lookup fails, so getUserTokens retries it instead of pinning 'us'
+    let storefront = null;
     try {
       storefront = await appleMusicApi.getUserStorefront(userMusicToken);
       console.log('User storefront:', storefront);
     } catch (storefrontError) {
-      console.warn('Could not fetch storefront, using default (us):', storefrontError.message);
+      console.warn('Could not fetch storefront, will retry on next use:', storefrontError.message);
     }
 
     // Create a unique user ID for this Apple Music connection
@@ -4465,12 +4835,76 @@ app.all('/apple-callback', async (req, res) => {
   }
 });
 
-// ============================================================================
-// MusicKit JS Endpoints (New Apple Music authentication flow)
-// ============================================================================
+// Get YouTube Music (Google OAuth) authorization URL
+app.get('/api/auth/youtube', (req, res) => {
+  const { email } = req.query;
 
-// Get Apple Music developer token for MusicKit JS
-app.get('/api/apple-music/developer-token', (req, res) => {
+  if (!email) {
+    return res.status(400).json({ error: 'Email parameter is required for YouTube Music authentication' });
+  }
+  if (!process.env.YOUTUBE_CLIENT_ID || !process.env.YOUTUBE_CLIENT_SECRET) {
+    return res.status(400).json({ error: 'YouTube Music integration not configured' });
+  }
+
+  console.log('YouTube Music auth URL requested for email:', email);
+  res.json({ url: new YouTubeMusicService().getAuthUrl(email) });
+});
+
+// YouTube Music callback. Unlike Spotify / Apple Music, connecting YouTube Music keeps
+// the user's other platform connected — it's an extra playlist destination.
+app.get('/youtube-callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  if (error) {
+    console.error('YouTube OAuth error:', error);
+    return res.redirect(`${FRONTEND_URL}?error=youtube_auth_failed`);
+  }
+  if (!code) {
+    return res.redirect(`${FRONTEND_URL}?error=missing_code`);
+  }
+
+  try {
+    const userEmail = state || '';
+    const youtubeApi = new YouTubeMusicService();
+    const tokenData = await youtubeApi.exchangeCode(code);
+    const channel = await youtubeApi.getChannel(tokenData.access_token);
+
+    const youtubePlatformUserId = `youtube_${channel.id}`;
+    userTokens.set(youtubePlatformUserId, tokenData);
+    await db.setToken(youtubePlatformUserId, {
+      access_token: tokenData.access_token,
+      refresh_token: tokenData.refresh_token,
+      expires_at: tokenData.expires_at,
+      platform: 'youtube',
+      email: userEmail
+    });
+    console.log('YouTube Music tokens saved to database:', youtubePlatformUserId);
+
+    if (userEmail && registeredUsers.has(userEmail)) {
+      const user = registeredUsers.get(userEmail);
+      user.connectedPlatforms = { ...(user.connectedPlatforms || {}), youtube: true };
+      registeredUsers.set(userEmail, user);
+      saveUsers();
+
+      await db.setPlatformUserId(userEmail, 'youtube', youtubePlatformUserId);
+      await db.updatePlatforms(userEmail, user.connectedPlatforms);
+      console.log('Linked YouTube Music channel', channel.id, 'to', userEmail);
+    } else if (userEmail) {
+      console.warn('User email from YouTube callback not found in registered users:', userEmail);
+    }
+
+    res.redirect(`${FRONTEND_URL}?userId=${userEmail}&youtubeUserId=${youtubePlatformUserId}&email=${encodeURIComponent(userEmail)}&success=true&youtube=connected`);
+  } catch (callbackError) {
+    console.error('Error in YouTube Music callback:', callbackError);
+    res.redirect(`${FRONTEND_URL}?error=youtube_auth_failed&message=${encodeURIComponent(callbackError.message)}`);
+  }
+});
+
+// ============================================================================
+// MusicKit JS Endpoints (New Apple Music authentication flow)
+// ============================================================================
+
+// Get Apple Music developer token for MusicKit JS
+app.get('/api/apple-music/developer-token', (req, res) => {
   try {
     const developerToken = generateAppleMusicToken();
 
@@ -4487,7 +4921,7 @@ app.get('/api/apple-music/developer-token', (req, res) => {
 });
 
 // Get shareable Apple Music URL for a library playlist (resolves pl.u-xxx from p.xxx)
-app.post('/api/apple-music/playlist-url', async (req, res) => {
+app.post('/api/apple-music/playlist-url', requireOwner, async (req, res) => {
   const { userId, playlistId, playlistName } = req.body;
   if (!userId || !playlistId) return res.status(400).json({ error: 'Missing userId or playlistId' });
 
@@ -4515,7 +4949,7 @@ app.post('/api/apple-music/playlist-url', async (req, res) => {
 });
 
 // Connect Apple Music with user music token from MusicKit JS
-app.post('/api/apple-music/connect', async (req, res) => {
+app.post('/api/apple-music/connect', requireOwner, async (req, res) => {
   console.log('🔵 Apple Music connect endpoint HIT - request received');
   console.log('Request body keys:', Object.keys(req.body));
 
@@ -4572,14 +5006,14 @@ app.post('/api/apple-music/connect', async (req, res) => {
       return res.status(500).json({ error: 'Failed to create Apple Music service', details: serviceError.message });
     }
 
-    let storefront = 'us'; // Default
+    // Left unset when the lookup fails, so getUserTokens retries it instead of pinning 'us'
+    let storefront = null;
     try {
       console.log('Step 3: Getting user storefront...');
       storefront = await appleMusicApi.getUserStorefront(userMusicToken);
       console.log('User storefront:', storefront);
     } catch (storefrontError) {
-      console.warn('Could not fetch storefront, using default (us):', storefrontError.message);
-      // Continue with default storefront
+      console.warn('Could not fetch storefront, will retry on next use:', storefrontError.message);
     }
 
     // Create platform-specific user ID for Apple Music
@@ -4693,99 +5127,26 @@ app.post('/api/apple-music/connect', async (req, res) => {
 });
 
 // Get user's top artists
-app.get('/api/top-artists/:userId', async (req, res) => {
+app.get('/api/top-artists/:userId', requireOwner, async (req, res) => {
   try {
-    let { userId } = req.params;
+    const { userId } = req.params;
 
-    // If userId is email-based, resolve to platform userId (try Spotify first, then Apple Music)
-    let platformUserId = userId;
+    // Email-based userIds use Spotify when connected (listening history), then Apple Music
     let platform = null;
-
     if (isEmailBasedUserId(userId)) {
-      // Try Spotify first
-      platformUserId = await resolvePlatformUserId(userId, 'spotify');
-      if (platformUserId) {
-        platform = 'spotify';
-        console.log(`Resolved email ${userId} to Spotify userId: ${platformUserId}`);
-      } else {
-        // Try Apple Music if Spotify not connected
-        platformUserId = await resolvePlatformUserId(userId, 'apple');
-        if (platformUserId) {
-          platform = 'apple';
-          console.log(`Resolved email ${userId} to Apple Music userId: ${platformUserId}`);
-        } else {
-          // No platform connected
-          console.log('No platform userId found for email:', userId, '- returning empty artists array');
-          return res.json({ artists: [] });
-        }
-      }
-    } else {
-      // Detect platform from userId prefix
-      if (platformUserId.startsWith('spotify_')) {
-        platform = 'spotify';
-      } else if (platformUserId.startsWith('apple_music_')) {
-        platform = 'apple';
-      }
+      platform = await resolvePlatformUserId(userId, 'spotify') ? 'spotify' : 'apple';
     }
 
-    const tokens = await getUserTokens(platformUserId);
-    if (!tokens) {
-      console.log('No tokens found for userId:', platformUserId, '- returning empty artists array');
+    let connection;
+    try {
+      connection = await openPlatformAdapter(userId, platform);
+    } catch (connectError) {
+      console.log(`No top artists for ${userId}: ${connectError.message}`);
       return res.json({ artists: [] });
     }
 
-    let topArtists = [];
-
-    if (platform === 'spotify') {
-      // Spotify: Use listening history API
-      const userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-        redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-      });
-      userSpotifyApi.setAccessToken(tokens.access_token);
-      userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-      // Refresh token if needed
-      try {
-        const refreshData = await userSpotifyApi.refreshAccessToken();
-        const newAccessToken = refreshData.body.access_token;
-        userSpotifyApi.setAccessToken(newAccessToken);
-        tokens.access_token = newAccessToken;
-        userTokens.set(platformUserId, tokens);
-        await db.updateAccessToken(platformUserId, newAccessToken);
-      } catch (refreshError) {
-        console.log('Token refresh failed or not needed:', refreshError.message);
-      }
-
-      // Get top 10 artists from the last 4 weeks
-      const topArtistsData = await userSpotifyApi.getMyTopArtists({ limit: 10, time_range: 'short_term' });
-
-      topArtists = topArtistsData.body.items.map(artist => ({
-        id: artist.id,
-        name: artist.name,
-        image: artist.images[0]?.url,
-        genres: artist.genres,
-        popularity: artist.popularity,
-        uri: artist.uri,
-        platform: 'spotify'
-      }));
-    } else if (platform === 'apple') {
-      // Apple Music: Analyze library playlists
-      if (!AppleMusicService) {
-        console.error('AppleMusicService not available');
-        return res.json({ artists: [] });
-      }
-
-      const appleMusicDevToken = generateAppleMusicToken();
-      if (!appleMusicDevToken) {
-        console.error('Failed to generate Apple Music developer token');
-        return res.json({ artists: [] });
-      }
-
-      const appleMusicApi = new AppleMusicService(appleMusicDevToken);
-      topArtists = await appleMusicApi.getTopArtistsFromLibrary(tokens.access_token, 10);
-    }
+    // Spotify: last 4 weeks of listening history. Apple Music: counted from library playlists.
+    const topArtists = await connection.adapter.getTopArtists({ limit: 10, timeRange: 'short_term' });
 
     res.json({ artists: topArtists });
   } catch (error) {
@@ -4800,6 +5161,7 @@ app.get('/api/top-artists/:userId', async (req, res) => {
       });
     }
 
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to fetch top artists',
       details: error.message
@@ -4808,7 +5170,7 @@ app.get('/api/top-artists/:userId', async (req, res) => {
 });
 
 // Get new artist recommendations based on listening history
-app.get('/api/new-artists/:userId', async (req, res) => {
+app.get('/api/new-artists/:userId', requireOwner, async (req, res) => {
   console.log('=== NEW ARTISTS ENDPOINT CALLED ===');
   console.log('UserId:', req.params.userId);
   try {
@@ -4900,24 +5262,7 @@ app.get('/api/new-artists/:userId', async (req, res) => {
     }
 
     // Spotify: Use existing AI-based recommendation logic
-    const userSpotifyApi = new SpotifyWebApi({
-      clientId: process.env.SPOTIFY_CLIENT_ID,
-      clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-      redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-    });
-    userSpotifyApi.setAccessToken(tokens.access_token);
-    userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-    // Refresh token if needed
-    try {
-      const refreshData = await userSpotifyApi.refreshAccessToken();
-      userSpotifyApi.setAccessToken(refreshData.body.access_token);
-      tokens.access_token = refreshData.body.access_token;
-      userTokens.set(platformUserId, tokens);
-      await db.updateAccessToken(platformUserId, refreshData.body.access_token);
-    } catch (refreshError) {
-      console.log('Token refresh failed or not needed:', refreshError.message);
-    }
+    const userSpotifyApi = await openSpotifyClient(platformUserId, tokens);
 
     // Get top 10 artists — try short_term (4 weeks) first, fall back to medium_term (6 months)
     let topArtistsData = await userSpotifyApi.getMyTopArtists({ limit: 10, time_range: 'short_term' });
@@ -5040,21 +5385,7 @@ app.get('/api/new-artists/:userId', async (req, res) => {
     if (tokens && tokens.platform !== 'apple_music') {
       // User has Spotify - fetch artist images from Spotify
       console.log('Fetching artist images from Spotify for', filteredArtists.length, 'artists...');
-      const userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-        redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-      });
-      userSpotifyApi.setAccessToken(tokens.access_token);
-      userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-      // Refresh token if needed
-      try {
-        const refreshData = await userSpotifyApi.refreshAccessToken();
-        userSpotifyApi.setAccessToken(refreshData.body.access_token);
-      } catch (refreshError) {
-        console.log('Token refresh failed or not needed:', refreshError.message);
-      }
+      const userSpotifyApi = await openSpotifyClient(platformUserId, tokens);
 
       const seenArtistIds = new Set();
       const seenArtistNames = new Set();
@@ -5255,6 +5586,7 @@ app.get('/api/new-artists/:userId', async (req, res) => {
       });
     }
 
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to fetch new artists',
       details: error.message
@@ -5263,7 +5595,7 @@ app.get('/api/new-artists/:userId', async (req, res) => {
 });
 
 // Clear artist cache for a user (development/admin endpoint)
-app.delete('/api/new-artists/cache/:userId', async (req, res) => {
+app.delete('/api/new-artists/cache/:userId', requireOwner, async (req, res) => {
   try {
     const { userId } = req.params;
     await db.deleteCachedArtists(userId);
@@ -5325,7 +5657,7 @@ function getNextSunday3AM() {
 }
 
 // Get trending artists by genre for the home page
-app.get('/api/trending-artists/:userId', async (req, res) => {
+app.get('/api/trending-artists/:userId', requireOwner, async (req, res) => {
   console.log('=== TRENDING ARTISTS ENDPOINT CALLED ===');
   try {
     let { userId } = req.params;
@@ -5391,17 +5723,7 @@ app.get('/api/trending-artists/:userId', async (req, res) => {
       const tokens = await getUserTokens(platformUserId);
       if (!tokens) return res.json({ sections: [] });
 
-      const userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-        redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-      });
-      userSpotifyApi.setAccessToken(tokens.access_token);
-      userSpotifyApi.setRefreshToken(tokens.refresh_token);
-      try {
-        const refreshData = await userSpotifyApi.refreshAccessToken();
-        userSpotifyApi.setAccessToken(refreshData.body.access_token);
-      } catch (e) {}
+      const userSpotifyApi = await openSpotifyClient(platformUserId, tokens);
 
       const topArtistsData = await userSpotifyApi.getMyTopArtists({ limit: 20, time_range: 'medium_term' });
       const topArtistsList = topArtistsData.body.items || [];
@@ -5497,12 +5819,13 @@ app.get('/api/trending-artists/:userId', async (req, res) => {
     res.json({ sections });
   } catch (error) {
     console.error('Error fetching trending artists:', error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({ error: 'Failed to fetch trending artists' });
   }
 });
 
 // Get user profile
-app.get('/api/user-profile/:userId', async (req, res) => {
+app.get('/api/user-profile/:userId', requireOwner, async (req, res) => {
   try {
     let { userId } = req.params;
 
@@ -5556,25 +5879,7 @@ app.get('/api/user-profile/:userId', async (req, res) => {
 
     if (platform === 'spotify') {
       // Fetch Spotify profile
-      const userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-        redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-      });
-      userSpotifyApi.setAccessToken(tokens.access_token);
-      userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-      // Refresh token if needed
-      try {
-        const refreshData = await userSpotifyApi.refreshAccessToken();
-        const newAccessToken = refreshData.body.access_token;
-        userSpotifyApi.setAccessToken(newAccessToken);
-        tokens.access_token = newAccessToken;
-        userTokens.set(platformUserId, tokens);
-        await db.updateAccessToken(platformUserId, newAccessToken);
-      } catch (refreshError) {
-        console.log('Token refresh failed or not needed:', refreshError.message);
-      }
+      const userSpotifyApi = await openSpotifyClient(platformUserId, tokens);
 
       // Get user profile
       const userData = await userSpotifyApi.getMe();
@@ -5601,6 +5906,7 @@ app.get('/api/user-profile/:userId', async (req, res) => {
 
   } catch (error) {
     console.error('Error fetching user profile:', error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to fetch user profile',
       details: error.message
@@ -5608,66 +5914,21 @@ app.get('/api/user-profile/:userId', async (req, res) => {
   }
 });
 
-// Search Spotify for tracks and artists
-// Platform-agnostic search endpoint (supports both Spotify and Apple Music)
-app.post('/api/search', async (req, res) => {
+// Search tracks, artists and albums on every platform the user has connected, one page
+// at a time (see services/searchService.js). Body: { query, userId, types?, limit?, offset? }
+app.post('/api/search', requireOwner, rateLimit('search'), async (req, res) => {
   try {
-    let { query, userId } = req.body;
-
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
-    }
-
-    // Check if PlatformService loaded successfully
-    if (!PlatformService) {
-      console.error('PlatformService not available - service failed to load at startup');
-      return res.status(500).json({
-        error: 'Platform service is not available',
-        details: 'The service failed to load. Please contact support.'
-      });
-    }
-
-    // If userId is email-based, resolve to platform userId
-    let platformUserId = userId;
-    if (isEmailBasedUserId(userId)) {
-      // Try Spotify first
-      platformUserId = await resolvePlatformUserId(userId, 'spotify');
-      if (!platformUserId) {
-        // Try Apple Music if Spotify not connected
-        platformUserId = await resolvePlatformUserId(userId, 'apple');
-        if (!platformUserId) {
-          return res.status(401).json({ error: 'No music platform connected' });
-        }
-      }
+    const request = searchService.parseSearchRequest(req.body);
+    const adapters = await openConnectedAdapters(req.body.userId);
+    if (adapters.length === 0) {
+      return res.status(401).json({ error: 'No music platform connected' });
     }
-
-    const tokens = await getUserTokens(platformUserId);
-    if (!tokens) {
-      return res.status(401).json({ error: 'User not authenticated' });
-    }
-
-    const platformService = new PlatformService();
-
-    // Get user's storefront (for Apple Music)
-    const storefront = tokens?.storefront || 'us';
-
-    // Search using platform service
-    const trackResults = await platformService.searchTracks(platformUserId, query, tokens, storefront, 5);
-
-    // Format results for frontend (tracks only for now)
-    const results = trackResults.map(track => ({
-      id: track.id,
-      type: 'track',
-      name: track.name,
-      artist: track.artists[0].name,
-      album: track.album.name,
-      image: track.album.images?.[0]?.url || null,
-      uri: track.uri,
-      platform: track.platform
-    }));
-
-    res.json(results);
+    res.json(await searchService.searchPlatforms(adapters, request));
   } catch (error) {
+    if (sendReconnectRequired(res, error)) return;
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error searching:', error);
     res.status(500).json({
       error: 'Failed to search',
@@ -5709,12 +5970,9 @@ async function parseMixTracklist(videoTitle, description, log = console.log) {
   }
 
   try {
-    const resp = await anthropic.messages.create({
-      model: 'claude-haiku-4-5-20251001',
-      max_tokens: 2000,
-      messages: [{
-        role: 'user',
-        content: `Analyze this DJ mix description and extract:
+    const resp = await llm.complete('tracklistParsing', {
+      maxTokens: 2000,
+      prompt: `Analyze this DJ mix description and extract:
 1. "tracks": a JSON array of {"title","artist"} for each song. Use "" for artist if unknown.
 2. "contextArtist": if the description, title, or credits make clear that all or most songs are by one artist (e.g. "All tracks by X", "X Official", channel name = artist, etc.), set this to that artist name. Otherwise null.
 
@@ -5722,9 +5980,8 @@ Return ONLY valid JSON in this shape:
 {"tracks":[{"title":"...","artist":"..."}],"contextArtist":"Artist Name or null"}
 
 ${combined.slice(0, 7000)}`
-      }]
     });
-    const raw = resp.content[0].text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/,'');
+    const raw = resp.text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/,'');
     log(`tracklist parsed: ${raw.slice(0, 400).replace(/\n/g, ' ')}`);
     const parsed = JSON.parse(raw);
     const tracks = Array.isArray(parsed.tracks) ? parsed.tracks.filter(t => t.title) : [];
@@ -5739,7 +5996,7 @@ ${combined.slice(0, 7000)}`
 
 
 // GET /api/analyze-mix — SSE endpoint; streams identified tracks back as they're found
-app.get('/api/analyze-mix', async (req, res) => {
+app.get('/api/analyze-mix', authService.authenticateEventStream, requireOwner, rateLimit('analyzeMix'), async (req, res) => {
   const { youtubeUrl, userId, platform = 'spotify' } = req.query;
 
   res.setHeader('Content-Type', 'text/event-stream');
@@ -6004,96 +6261,41 @@ app.get('/api/analyze-mix', async (req, res) => {
   }
 });
 
-// Legacy Spotify search endpoint (kept for backwards compatibility)
-app.post('/api/search-spotify', async (req, res) => {
-  try {
-    let { query, userId } = req.body;
-
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
-    }
-
-    // If userId is email-based, resolve to Spotify platform userId
-    let platformUserId = userId;
-    if (isEmailBasedUserId(userId)) {
-      platformUserId = await resolvePlatformUserId(userId, 'spotify');
-      if (!platformUserId) {
-        return res.status(404).json({ error: 'Spotify not connected' });
-      }
-    }
-
-    const tokens = await getUserTokens(platformUserId);
-    if (!tokens) {
-      return res.status(401).json({ error: 'User not authenticated' });
-    }
-
-    const userSpotifyApi = new SpotifyWebApi({
-      clientId: process.env.SPOTIFY_CLIENT_ID,
-      clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-      redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-    });
-    userSpotifyApi.setAccessToken(tokens.access_token);
-    userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-    // Refresh token if needed
-    try {
-      const refreshData = await userSpotifyApi.refreshAccessToken();
-      const newAccessToken = refreshData.body.access_token;
-      userSpotifyApi.setAccessToken(newAccessToken);
-      tokens.access_token = newAccessToken;
-      userTokens.set(platformUserId, tokens);
-      await db.updateAccessToken(platformUserId, newAccessToken);
-    } catch (refreshError) {
-      console.log('Token refresh failed or not needed:', refreshError.message);
-    }
-
-    // Search for both tracks and artists
-    const searchResult = await userSpotifyApi.search(query, ['track', 'artist'], { limit: 5 });
-
-    const results = [];
-
-    // Add artists
-    if (searchResult.body.artists && searchResult.body.artists.items) {
-      searchResult.body.artists.items.forEach(artist => {
-        results.push({
-          id: artist.id,
-          type: 'artist',
-          name: artist.name,
-          image: artist.images[0]?.url,
-          uri: artist.uri
-        });
-      });
-    }
-
-    // Add tracks
-    if (searchResult.body.tracks && searchResult.body.tracks.items) {
-      searchResult.body.tracks.items.forEach(track => {
-        results.push({
-          id: track.id,
-          type: 'track',
-          name: track.name,
-          artist: track.artists[0].name,
-          album: track.album.name,
-          image: track.album.images[0]?.url,
-          uri: track.uri
-        });
-      });
-    }
+// Generate playlist using AI
+// req.generationProgress is set by the /stream route; plain JSON requests report nowhere.
+// Each run is metered: model tokens, SoundCharts and platform API calls are stored in
+// generation_usage against a generation ID once the response has been sent.
+// internalCall is only ever passed in-process (generatePlaylistInProcess, for auto-updates):
+// it skips the weekly limit and the manual-refresh bookkeeping, so it never comes from req.body.
+async function generatePlaylistHandler(req, res, { internalCall = false } = {}) {
+  const { userId } = req.body;
+  const meter = usage.createMeter({
+    generationId: crypto.randomUUID(),
+    userId,
+    trigger: internalCall ? 'auto-update' : 'user',
+  });
+  await usage.runWithMeter(meter, () => runPlaylistGeneration(req, res, { internalCall }));
+  if (!usage.hasUsage(meter)) return;
+
+  const progress = req.generationProgress || generation.NOOP_PROGRESS;
+  const status = progress.isCancelled() ? 'cancelled' : (res.statusCode >= 400 ? 'failed' : 'completed');
+  recordGenerationUsage(meter, req.user?.email, status).catch(error =>
+    console.error(`[USAGE] Failed to record usage for generation ${meter.generationId}:`, error.message));
+}
 
-    res.json(results);
-  } catch (error) {
-    console.error('Error searching Spotify:', error);
-    res.status(500).json({
-      error: 'Failed to search',
-      details: error.message
-    });
-  }
-});
+async function recordGenerationUsage(meter, sessionEmail, status) {
+  const email = sessionEmail ||
+    (isEmailBasedUserId(meter.userId) ? meter.userId : await getEmailUserIdFromPlatform(meter.userId));
+  const user = email ? await db.getUser(email) : null;
+  const row = usage.summarizeMeter(meter, { email, plan: user?.plan, status });
+  await db.recordGenerationUsage(row);
+  console.log(`💰 [USAGE] ${row.generationId} (${row.promptType}, ${status}): ${row.llmCalls} LLM calls, ${row.inputTokens}+${row.outputTokens} tokens, ${row.soundchartsCalls} SoundCharts, ${row.platformCalls} platform calls — $${row.costUsd.toFixed(4)}`);
+}
 
-// Generate playlist using AI
-app.post('/api/generate-playlist', async (req, res) => {
+async function runPlaylistGeneration(req, res, { internalCall = false } = {}) {
+  const progress = req.generationProgress || generation.NOOP_PROGRESS;
   try {
-    let { prompt, userId, platform = 'spotify', allowExplicit = true, songCount = 30, excludeTrackUris = [], playlistId = null, internalCall = false } = req.body;
+    let { prompt, userId, platform = 'spotify', allowExplicit = true, songCount = 30, excludeTrackUris = [], playlistId = null } = req.body;
 
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
@@ -6104,7 +6306,7 @@ app.post('/api/generate-playlist', async (req, res) => {
       const requestEmail = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
       if (requestEmail) {
         const userRecord = await db.getUser(requestEmail);
-        if (userRecord && userRecord.plan !== 'paid' && !isAdminUser(requestEmail)) {
+        if (userRecord && userRecord.plan !== 'paid' && !isAdminUser(userRecord)) {
           const now = new Date();
           const resetAt = userRecord.weeklyResetAt ? new Date(userRecord.weeklyResetAt) : null;
           const sevenDaysMs = 7 * 24 * 60 * 60 * 1000;
@@ -6160,48 +6362,22 @@ app.post('/api/generate-playlist', async (req, res) => {
     if (!tokens && platform === 'spotify' && !isManualSpotify) {
       return res.status(401).json({ error: 'User not authenticated' });
     }
+    // Spotify lookups are made in the account's market, so tracks that can't play there
+    // are passed over for the next candidate instead of landing in the playlist
+    const spotifyMarket = (platform === 'spotify' && tokens?.market) || null;
+    // Artist top tracks always need a market; Apple Music listeners get their storefront's
+    const topTracksMarket = spotifyMarket || (tokens?.storefront || 'us').toUpperCase();
 
-    // Create a new instance for this user to avoid conflicts
-    let userSpotifyApi;
-    if (platform === 'spotify' && !isManualSpotify) {
-      userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-        redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-      });
-      userSpotifyApi.setAccessToken(tokens.access_token);
-      userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-      // Try to refresh the access token if it's expired
-      try {
-        const refreshData = await userSpotifyApi.refreshAccessToken();
-        const newAccessToken = refreshData.body.access_token;
-        userSpotifyApi.setAccessToken(newAccessToken);
-
-        // Update stored tokens
-        tokens.access_token = newAccessToken;
-        userTokens.set(platformUserId, tokens);
-        saveTokens(); // Persist to file
-
-        console.log('Access token refreshed for generate playlist');
-      } catch (refreshError) {
-        console.log('Token refresh failed or not needed:', refreshError.message);
-        // Continue anyway - token might still be valid
-      }
-    } else if (isManualSpotify) {
-      // Use client credentials — no user OAuth needed, no user cap
-      userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-      });
-      try {
-        const ccData = await userSpotifyApi.clientCredentialsGrant();
-        userSpotifyApi.setAccessToken(ccData.body.access_token);
-        console.log('Using Spotify client credentials for manual mode');
-      } catch (ccErr) {
-        console.error('Failed to get client credentials:', ccErr.message);
-        return res.status(500).json({ error: 'Failed to connect to Spotify' });
-      }
+    // The catalog every track lookup below goes through (services/platforms), so
+    // PLATFORM_ADAPTER=fake serves generation too. Manual mode searches Spotify with
+    // client credentials — no user OAuth needed, no user cap.
+    let catalog = null;
+    if (isManualSpotify) {
+      catalog = await openAppCatalog();
+      if (!catalog) return res.status(500).json({ error: 'Failed to connect to Spotify' });
+      console.log('Using Spotify client credentials for manual mode');
+    } else if (tokens) {
+      catalog = await openListenerCatalog(platformUserId, platform, tokens);
     }
 
     // Existing tracks from the stored playlist — used later in the vibe check as concrete
@@ -6216,9 +6392,9 @@ app.post('/api/generate-playlist', async (req, res) => {
     if (playlistId && userId) {
       let userPlaylistsArray = userPlaylists.get(userId) || [];
       let storedPlaylist = userPlaylistsArray.find(p => p.playlistId === playlistId);
-      // DB fallback: in-memory map is empty after server restart; load from Postgres
-      if (!storedPlaylist && usePostgres) {
-        const dbPlaylists = await db.getUserPlaylists(userId);
+      // DB fallback: the in-memory cache may be missing the playlist; load from the database
+      if (!storedPlaylist) {
+        const dbPlaylists = await playlistStore.getUserPlaylists(userId);
         userPlaylists.set(userId, dbPlaylists);
         userPlaylistsArray = dbPlaylists;
         storedPlaylist = dbPlaylists.find(p => p.playlistId === playlistId);
@@ -6244,14 +6420,14 @@ app.post('/api/generate-playlist', async (req, res) => {
         let desc = (storedPlaylist.description || '').trim();
 
         // If stored description is empty, re-fetch live from Spotify and persist it
-        if (!desc && platform === 'spotify' && userSpotifyApi && playlistId) {
+        if (!desc && platform === 'spotify' && catalog && playlistId) {
           try {
-            const livePlaylist = await userSpotifyApi.getPlaylist(playlistId, { fields: 'description' });
-            const liveDesc = (livePlaylist.body.description || '').trim();
+            const livePlaylist = await catalog.getPlaylist(playlistId);
+            const liveDesc = (livePlaylist.description || '').trim();
             if (liveDesc) {
               desc = liveDesc;
               storedPlaylist.description = liveDesc;
-              db.savePlaylist(userId, storedPlaylist.playlistId, storedPlaylist).catch(() => {});
+              playlistStore.savePlaylist(userId, storedPlaylist).catch(() => {});
               console.log(`[REFRESH] Fetched live Spotify description for "${storedPlaylist.playlistName}": "${liveDesc}"`);
             }
           } catch (descErr) {
@@ -6324,595 +6500,24 @@ app.post('/api/generate-playlist', async (req, res) => {
       }
     }
 
-    // ── Age-to-era preprocessing ─────���──────────────────��─────────────────────
-    // Detect "I'm X, take me back to being Y" or "I was 16 in [year]" patterns
-    // and inject the computed year range into the prompt so Claude doesn't have
-    // to do the math (it often fails). Current year is used as reference.
-    const _currentYear = new Date().getFullYear();
-    const _ageToEraMatch = prompt.match(/i(?:'m| am) (\d{1,2}).*?(?:take me back|reminds? me|when i was|back to being|feel like i(?:'m| was)|being) (\d{1,2})/i)
-      || prompt.match(/(?:take me back|feel like i(?:'m| was)|back to being|when i was|reminds? me of being) (\d{1,2}).*?i(?:'m| am) (\d{1,2})/i);
-    if (_ageToEraMatch) {
-      const [, a, b] = _ageToEraMatch;
-      const currentAge = parseInt(a), targetAge = parseInt(b);
-      if (currentAge > targetAge && currentAge <= 100 && targetAge >= 5) {
-        const eraCenter = _currentYear - (currentAge - targetAge);
-        const eraMin = eraCenter - 2;
-        const eraMax = eraCenter + 3;
-        prompt += ` [Era hint: user is ${currentAge} and wants to feel ${targetAge} again — that maps to approximately ${eraMin}–${eraMax}. Set yearRange.min=${eraMin}, yearRange.max=${eraMax}.]`;
-        console.log(`🎂 Age-to-era: ${currentAge}yo → ${targetAge}yo = era ${eraMin}–${eraMax}`);
-      }
-    }
-
-    // Escapism pre-processing: detect "stated desired state + conflicting real-world context."
-    // Without this, the extraction step sees the real-world context word as a mood/energy signal
-    // and delivers music for where the user IS rather than where they WANT TO BE.
-    // The fix must run here — before extraction — so the override wins before mood inference starts.
-    // Each check: (stated desire pattern) + (conflicting context pattern) → inject an override hint.
-    // Only the first match fires; they're ordered by specificity.
-    const _escapismChecks = [
-      {
-        // Summer/warm escapism + cold/winter context
-        // e.g. "I need a summer playlist, it's freezing outside"
-        wants: () => /\b(summer|beach|warm|tropical|july|august)\b.{0,60}\b(playlist|music|songs|vibes|feel|energy)\b/i.test(prompt)
-          || /\b(playlist|music|songs|vibes)\b.{0,60}\b(summer|beach|warm|tropical)\b/i.test(prompt),
-        conflict: () => /\b(freez|freezing|cold|winter|snow|icy|chilly)\b/i.test(prompt),
-        hint: `User is requesting SUMMER ESCAPISM. The cold/winter/freezing detail explains WHY they want summer music — it is NOT a mood or genre signal. Set useCase: "summer", mood: "positive", atmosphere: ["carefree", "warm", "upbeat", "beachy"], suggestedSeedArtists to summery artists (Harry Styles, Doja Cat, Summer Salt, Bad Bunny, Outkast). Do NOT set any cold, melancholic, or wintry signals.`,
-        emoji: '☀️ ',
-      },
-      {
-        // Party/high-energy escapism + tired/weekday/work context
-        // e.g. "it's Monday morning but I need a Friday night playlist"
-        // e.g. "I'm exhausted but need something to hype me up"
-        wants: () => /\b(party|hype|friday night|weekend energy|pregame|going out|bops|club|dance floor|high energy)\b/i.test(prompt),
-        conflict: () => /\b(tired|exhausted|monday|tuesday|wednesday|thursday|early morning|work day|at work|office|long day|drained)\b/i.test(prompt),
-        hint: `User wants HIGH ENERGY/PARTY music as escapism from tiredness or a weekday context. "Tired" / "Monday" / "work" explains WHY they need the energy boost — it is NOT an energy or mood signal. Set energyTarget: "high", mood: "positive", useCase: "party". Do NOT set low energy, melancholic, or study-mode signals.`,
-        emoji: '🎉',
-      },
-      {
-        // Outdoor/festival escapism + stuck inside/trapped context
-        // e.g. "I'm stuck inside but give me an outdoor festival vibe"
-        wants: () => /\b(outdoor|outside|festival|open air|windows down|fresh air|road trip)\b/i.test(prompt),
-        conflict: () => /\b(stuck inside|trapped|can'?t go out|indoors|at home|locked in|can'?t leave|inside all day)\b/i.test(prompt),
-        hint: `User wants OUTDOOR/FESTIVAL vibes as escapism from being stuck inside. The "stuck inside" detail explains WHY they want it — it is NOT a use-case or context signal. Deliver open, energetic, feel-good outdoor music. Do NOT set indoor, home, or ambient signals.`,
-        emoji: '🌲',
-      },
-    ];
-    for (const check of _escapismChecks) {
-      if (check.wants() && check.conflict()) {
-        prompt += ` [OVERRIDE: ${check.hint}]`;
-        console.log(`${check.emoji} Escapism conflict detected — injecting override hint`);
-        break;
-      }
-    }
-
-    console.log('Generating playlist for prompt:', prompt);
-
-    // Step 0: Use Claude to extract the genre, style, audio features, AND all refinement constraints from the prompt
-    const genreExtractionResponse = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1200,
-      messages: [{
-        role: 'user',
-        content: `Extract ALL musical characteristics, constraints, and refinement preferences from this playlist prompt.
-
-IMPORTANT — when the prompt contains "Refinements: ...", treat those as ADDITIVE constraints that layer on top of the original request. Refinements ALWAYS preserve ALL original constraints (genre, mood, energy, artists, era, etc.). They only add or narrow — never replace or remove.
-Examples:
-- "sad late-night playlist. Refinements: I want R&B" → sad R&B (keep mood + energy, add genre)
-- "I want Drake songs. Refinements: sad songs" → sad Drake songs (keep requestedArtists: [Drake], add mood: melancholic)
-- "upbeat workout songs. Refinements: make it hip-hop" → upbeat hip-hop workout (keep energyTarget: high, add genre)
-- "chill indie music. Refinements: more acoustic" → chill acoustic indie (keep genre + mood, add production preference)
-- "80s rock. Refinements: more guitar-driven" → 80s guitar-driven rock (keep era + genre, add style detail)
-Never drop any constraint from the original request for any reason. If the user wants a completely different playlist, they start a new one.
-
-Prompt: "${prompt}"
-
-For "primaryGenre" and "subgenre", you MUST use exact slugs from these SoundCharts lists. Do not invent values.
-
-SC genres (use for primaryGenre when the request is broad): african, alternative, asian, blues, classical, country, electro, european, folk, hip hop, holiday, instrumental, jazz, kids, latin, mena, metal, others, pop, r&b, reggae, religious, rock, soundtrack, spoken, sports
-
-SC subgenres (use for primaryGenre or subgenre when the request is specific): acoustic blues, african, afrikaans, afrobeats, alternative, amapiano, anime, arabesque, arabic, asian, audiobooks, baile funk, banda/grupero, baroque, bluegrass, blues, bolero, bollywood, bossa, brasilian music, cantonese pop, chicago blues, children's music, chill out/trip-hop/lounge, christian, christmas, classical, classical period, comedy, contemporary r&b, contemporary soul, corridos, country, cumbia, dance, dancehall/ragga, dirty south, disco, dub, dubstep, east coast, electronic, electro pop/electro rock, film ost, flamenco, folk, forro, french chanson, french pop, french rap, french rock, german pop, gospel, grime, hard rock, hip-hop & rap, indian music, indie pop, indie pop/folk, indie rock, indie rock/pop rock, international folklore, international pop, jazz, jazz instrumental, jazz vocal, j-pop, k-pop, latin, mandarin pop, metal, middle eastern, musical theater, norteño, old school r&b, opera, ost, pop, pop in spanish, r&b, r&b, funk & soul, reggae, reggaeton, rock, rock & roll/rockabilly, salsa, singer/songwriter, ska, soul, spoken word, techno/house, trance, traditional mexicano, urbano latino, west coast, worldwide
-
-Rules:
-- If user says "rap" → primaryGenre: "hip-hop & rap" (subgenre)
-- If user says "hip hop" → primaryGenre: "hip hop" (genre)
-- If user says "k-pop" → primaryGenre: "k-pop" (subgenre)
-- If user says "techno" or "house" → primaryGenre: "techno/house" (subgenre)
-- If user says "r&b" → primaryGenre: "r&b" (genre)
-- If user says "soul" → primaryGenre: "soul" (subgenre)
-- If user says "trap" → primaryGenre: "hip-hop & rap" (subgenre), subgenre: null (trap is not a standalone SC slug)
-- Always prefer the most specific matching slug. Use a subgenre slug when it exists, genre slug as fallback.
-- ALWAYS set primaryGenre — even for genre-agnostic prompts. When the user doesn't name a genre, pick the genre that best matches the described mood, setting, and intent — NOT necessarily the largest catalog. A dinner party prompt should map to jazz or r&b, not pop. A cinematic prompt should map to soundtrack or classical, not alternative. Trust the context clues. Subgenres are smaller and more niche than their names suggest (e.g. "chill out/trip-hop/lounge" is 260K trip-hop songs, NOT generic chill; "dance" is 6.5M EDM, NOT general danceable music). Only set null if truly impossible to determine.
-- USE CASE → GENRE OVERRIDES (when user did NOT name a genre):
-  * useCase "workout" / "running" / "gym" → primaryGenre: "pop" — workout playlists need cross-genre energy (pop, hip hop, rock, electronic all have high-energy songs). The "pop" catalog is broadest (13M) and the energy/valence/danceability filters will select only high-energy tracks. Do NOT pick "electro" — it locks out hip hop bangers, rock anthems, and pop hits that are essential for running/gym playlists.
-  * useCase "focus" with "instrumental" / "no lyrics" → primaryGenre: "electro" — SC's "instrumental" genre (300K songs) is dominated by jazz with complex solos and rhythmic structures that are distracting, not focus-appropriate. Use "electro" (10.3M) with a high instrumentalness audio filter (≥0.8) to find ambient, neoclassical, and electronic instrumentals suited for deep work. Add secondaryGenres: ["classical", "instrumental"] so the mood/theme filters can still pull in neoclassical tracks.
-  * useCase "focus" WITHOUT "instrumental" / "no lyrics" → primaryGenre: "electro" — focus music is best found in the electronic catalog (lo-fi, ambient, neoclassical crossover) rather than "instrumental" or "classical" which skew jazz and orchestral.
-
-Respond ONLY with valid JSON in this format:
-{
-  "primaryGenre": "exact SC genre or subgenre slug, or null",
-  "subgenre": "exact SC subgenre slug for further specificity, or null",
-  "secondaryGenres": ["related genres"],
-  "keyCharacteristics": ["soulful", "upbeat", etc.],
-  "style": "overall vibe/style",
-  "atmosphere": ["mood tags"],
-  "era": {
-    "decade": "specific decade or null",
-    "yearRange": { "min": year or null, "max": year or null },
-    "descriptors": ["vintage", "modern", etc.]
-  },
-  "culturalContext": {
-    "region": "geographic region or null",
-    "movement": "cultural movement or null",
-    "scene": "music scene or null",
-    "language": { "prefer": ["list of preferred languages, e.g. 'Spanish', 'Korean'"], "exclude": ["list of excluded languages"] }
-  },
-  "contextClues": {
-    "useCase": "canonical activity/context — MUST be one of: party | workout | focus | chill | sleep | summer | heartbreak | background | morning | driving | rage | wedding | null. Never invent new values. Map semantically using these examples: party (pregame, hype, banger, bangers, turn up, turn up tonight, going out, we're going out, night out, club, dance, bar, tailgate, hard hitting, slaps, absolute banger) | workout (gym, run, running, exercise, training, cardio, lifting) | focus (study, deep work, coding, concentration, homework, productivity) | chill (relax, winding down, lazy, easy listening) | sleep (bedtime, falling asleep, wind down, nap, meditation) | summer (beach, sunny, warm, pool, tropical, vacation, july, august) | heartbreak (sad, breakup, crying, missing someone, emotional) | background (dinner, cooking, hosting, ambient, gathering, friends over) | morning (waking up, commute, getting ready, start the day) | driving (road trip, long drive, night drive, cruising, highway) | rage (angry, rage, furious, frustrated, pissed off, scream, aggressive workout) | wedding (wedding, reception, first dance, ceremony, bridal). If genuinely ambiguous between two categories, return null — falling through to genre/mood is better than a wrong useCase.",
-    "audience": ["christian", "family", "youth", "clean"] or [],
-    "avoidances": ["what NOT to include"]
-  },
-  "trackConstraints": {
-    "popularity": { "min": 0-100 or null, "max": 0-100 or null, "preference": "mainstream/underground/balanced" or null },
-    "duration": { "min": seconds or null, "max": seconds or null },
-    "excludeVersions": ["live", "remix", "acoustic", "cover", "instrumental", "edit", "remaster"] or [],
-    "albumDiversity": { "maxPerAlbum": number or null, "preferDeepCuts": boolean, "preferSingles": boolean },
-    "artistDiversity": { "maxPerArtist": number or null }
-  },
-  "artistConstraints": {
-    "vocalGender": "male/female/mixed/any" or null,
-    "artistType": "solo/band/any" or null,
-    "excludeFeatures": boolean,
-    "requestedArtists": ["exact artist names mentioned in prompt"] or [],
-    "excludedArtists": ["artist names the user explicitly wants excluded"] or [],
-    "exclusiveMode": boolean (true if user wants ONLY these specific artists, false for "similar vibe" mix)
-  },
-  "productionStyle": {
-    "preference": "acoustic/produced/lofi/polished/raw" or null,
-    "avoidAutoTune": boolean
-  },
-  "lyricalContent": {
-    "themes": ["love", "party", "introspective", etc.] or [],
-    "avoid": ["breakup", "political", "explicit", etc.] or []
-  },
-  "discoveryBalance": {
-    "preference": "cohesive/varied/unexpected" or null,
-    "familiarityRatio": { "hits": 0.0-1.0 or null, "deepCuts": 0.0-1.0 or null }
-  },
-  "songCount": integer (5-100) or null,
-  "referenceSongs": [{ "title": "song title", "artist": "artist name" }] or [],
-  "bpmConstraint": { "min": BPM integer or null, "max": BPM integer or null },
-  "mood": "positive" | "neutral" | "melancholic" | null,
-  "energyTarget": "low" | "medium" | "high" | null,
-  "energyProgression": "ramp_up" | "ramp_down" | null,
-  "phases": [{"label": "string", "energy": "low"|"medium"|"high", "mood": "positive"|"neutral"|"melancholic"|null, "fraction": 0.0-1.0}] or null,
-  "genreAccessibility": "newcomer" | "curious" | "enthusiast" | null,
-  "scMoods": ["calm", "reflective"],
-  "scThemes": ["escapism"],
-  "soundchartsFilters": [
-    { "type": "filterType", "data": {} }
-  ]
-}
-
-SC MOODS — pick 1-4 values from this exact list that best match the prompt's emotional tone:
-[aggressive, amusing, anxious, bittersweet, bizarre, boastful, bouncy, calm, cheerful, complex, confessional, confident, confrontational, controversial, conversational, critical, cynical, dark, desperate, devotional, dreamy, emotional, empowering, energetic, epic, euphoric, excited, frustrated, haunting, hopeful, inspirational, intense, introspective, joyful, melancholic, narrative, nostalgic, playful, poetic, reflective, romantic, sad, sensual, sentimental, serious, sincere, uplifting]
-Examples: workout → ["energetic", "empowering"], study/focus → ["calm", "introspective"], heartbreak → ["melancholic", "sad"], party → ["euphoric", "energetic"], chill/relax → ["calm", "dreamy"], sensual → ["sensual", "romantic"], sleep → ["calm", "dreamy"], nocturnal/dark city/noir scenes → ["dark", "haunting", "nostalgic"] (NOT "calm" or "dreamy" — those produce bedroom pop, not urban noir. Use "dark" for cinematic night atmospheres.)
-
-SC THEMES — pick 0-4 values from this exact list that match the prompt's subject matter:
-[acceptance, addiction, adventure, alcohol use, ambition, anger, beauty, betrayal, celebration, change, childhood, coming of age, commitment, communication, community, conflict, confusion, connection, control, controversy, criticism, cultural appropriation, dance and partying, danger, deception, dependency, depression, desire, despair, desperation, destiny, destruction, disappointment, distance, dreams and aspirations, drug use, education, empathy, empowerment, environmentalism, escapism, euphoria, excitement, existentialism, exploration, faith, fame, family, fear, forgiveness, freedom, friendship, frustration, gender roles, global issues, gratitude, greed, grief, happiness, healing, health, heartbreak, hedonism, hip-hop rivalry, history, home and belonging, hope, humor, identity, industry criticism, innocence, insecurity, inspiration, intimacy, jealousy, journey, justice, karma, liberation, life and existence, loneliness, longing, loss, love, loyalty, magic, materialism, media criticism, melancholy, memories, memory, mental health, money, moving on, music, mystery, nationalism, nature, nostalgia, obsession, oppression, overcoming adversity, pain, passion, patriotism, peace, perseverance, politics, poverty, power, pride, racism, rebellion, redemption, regret, relationships, religion, revenge, romantic disappointment, sacrifice, searching, seasons, secrets, self-discovery, self-expression, separation, sexuality, social change, spirituality, struggle, success, summer love, support, survival, technology, temptation, time, tradition, transformation, travel and adventure, trust, uncertainty, unity, urban life, violence, vulnerability, waiting, war, wealth, wealth inequality, work, worship, youth culture]
-Examples: heartbreak → ["heartbreak", "longing", "loss"], party → ["dance and partying", "celebration"], sensual → ["intimacy", "desire", "sexuality"], workout → ["ambition", "overcoming adversity"], studying/focus → ["escapism"], summer → ["summer love"]
-Leave empty [] if no specific thematic filter would help (e.g. generic genre requests).
-
-EXTRACTION GUIDELINES:
-For each field, reason about what the user is communicating, then map it to the appropriate value. The keyword examples below illustrate typical phrasings — they are not an exhaustive lookup table, and you should populate fields based on intent even when the user's exact words don't appear in any list.
-
-ERA & TIME:
-- CRITICAL: ONLY set yearRange.min/max for EXPLICIT year specifications. NEVER set yearRange.min/max for decade descriptors — only set the decade field.
-- "90s", "2000s", "2010s", "X classics", "[decade] vibes", "old school", "throwback": Set decade field ONLY — leave yearRange.min and yearRange.max as null
-- "past 5 years", "last 3 years", "recent": Set yearRange.min to ${new Date().getFullYear() - 5} (adjust N), yearRange.max to ${new Date().getFullYear()}
-- "from 2015 to 2020": Set min: 2015, max: 2020
-- "only 2020 songs": Set both min and max to 2020
-- "contemporary", "modern": Set min to ${new Date().getFullYear() - 5}, max to null
-
-POPULARITY:
-Apply popularity constraints only when the user is describing song recognizability, not genre aesthetics. "Indie" describes a sound and belongs to genre extraction — do NOT treat it as a popularity signal.
-- "mainstream hits", "popular songs", "songs everyone knows": min: 70
-- "underground", "deep cuts", "not the radio stuff": max: 40
-- "hidden gems", "lesser known": max: 50
-- "mix of popular and underground": preference: "balanced"
-
-SONG LENGTH (per-track duration only — NOT total playlist runtime):
-- ONLY use trackConstraints.duration when the user describes individual song length: "short songs", "under 3 minutes", "no songs over 4 minutes", "long tracks"
-- "short songs", "under 3 minutes": max: 180
-- "longer tracks", "over 5 minutes": min: 300
-- "no songs over 4 minutes": max: 240
-- Convert minutes to seconds
-- CRITICAL: "X minutes of music", "a 45-minute playlist", "an hour of music" → these describe TOTAL RUNTIME, not song length. Set songCount (e.g. 45 min → ~13 songs, 1 hour → ~15 songs, 2 hours → ~30 songs). Do NOT set trackConstraints.duration for total runtime requests.
-
-VERSION EXCLUSIONS:
-- "no live", "studio only": exclude ["live"]
-- "no remixes": exclude ["remix"]
-- "no covers": exclude ["cover"]
-- "original versions only": exclude ["live", "remix", "cover", "acoustic", "edit"]
-
-ALBUM DIVERSITY:
-- "no more than 2 per album": maxPerAlbum: 2
-- "album tracks", "deep cuts": preferDeepCuts: true
-- "singles only", "hits only": preferSingles: true
-
-ARTIST DIVERSITY:
-- "each song by different artist", "one song per artist", "no repeats by same artist", "every song different artist", "no artist twice": maxPerArtist: 1
-- "no repeats" (without mentioning artists) means no duplicate SONGS, NOT maxPerArtist — leave maxPerArtist: null
-- "no more than 2 songs per artist", "max 2 per artist": maxPerArtist: 2
-- "more diversity" (without specific artist count): maxPerArtist: 2
-
-VOCALS:
-- "female vocals", "female artists": vocalGender: "female"
-- "male vocals": vocalGender: "male"
-- "solo artists only": artistType: "solo"
-- "bands only": artistType: "band"
-- "no features", "no collaborations": excludeFeatures: true
-
-SPECIFIC ARTISTS:
-- "artists like [name]", "similar to [artist]", "songs from [artist]": Extract EXACT artist names to requestedArtists array
-- Be precise with artist names - do NOT confuse similar names (e.g., "C.LACY" is NOT "Steve Lacy")
-- Include ALL mentioned artists, even if they're indie/underground
-- EXCLUSIVE MODE DETECTION:
-  * exclusiveMode: true ONLY if user wants nothing but that artist: "only [artist]", "just [artist]", "exclusively [artist]"
-  * exclusiveMode: false for everything else including: "add [artist] songs", "add more [artist]", "include [artist]", "songs from [artist]", "like [artist]", "similar to [artist]", "vibes of [artist]"
-- Examples:
-  * "artists like C.LACY or Tyree Thomas" → requestedArtists: ["C.LACY", "Tyree Thomas"], exclusiveMode: false
-  * "i only want songs from drake" → requestedArtists: ["Drake"], exclusiveMode: true
-  * "just Taylor Swift songs" → requestedArtists: ["Taylor Swift"], exclusiveMode: true
-  * "add one direction songs" → requestedArtists: ["One Direction"], exclusiveMode: false
-  * "add more beyoncé" → requestedArtists: ["Beyoncé"], exclusiveMode: false
-  * "include some weeknd" → requestedArtists: ["The Weeknd"], exclusiveMode: false
-  * "songs like Need my baby by Reo Xander" → requestedArtists: ["Reo Xander"], exclusiveMode: false
-  * "Taylor Swift and Olivia Rodrigo vibes" → requestedArtists: ["Taylor Swift", "Olivia Rodrigo"], exclusiveMode: false
-
-PRODUCTION:
-- "acoustic", "unplugged", "stripped": preference: "acoustic"
-- "produced", "polished": preference: "polished"
-- "lo-fi", "bedroom pop": preference: "lofi"
-- "raw", "live feel": preference: "raw"
-- "no auto-tune": avoidAutoTune: true
-
-LYRICAL CONTENT:
-Use lyricalContent.themes and lyricalContent.avoid for explicit content/theme requests (love songs, party lyrics, etc.). Use contextClues.avoidances for everything else the user wants excluded that doesn't fit a structured field.
-- "uplifting lyrics": themes: ["uplifting"]
-- "love songs": themes: ["love", "romantic"]
-- "party themes": themes: ["party", "celebration"]
-- "no breakup songs": avoid: ["breakup"]
-- "no political": avoid: ["political"]
-
-DISCOVERY:
-- "cohesive", "similar sound": preference: "cohesive"
-- "variety", "eclectic": preference: "varied"
-- "surprise me", "unexpected picks": preference: "unexpected"
-- FAMILIARITY RATIO: When user specifies a split between hits and deep cuts, extract both fractions (must sum to 1.0):
-  * "80% hits, 20% deep cuts" → familiarityRatio: { hits: 0.8, deepCuts: 0.2 }
-  * "mostly popular songs with a few deep cuts" → familiarityRatio: { hits: 0.75, deepCuts: 0.25 }
-  * "half and half, half known half obscure" → familiarityRatio: { hits: 0.5, deepCuts: 0.5 }
-  * "mostly deep cuts with a few hits" → familiarityRatio: { hits: 0.25, deepCuts: 0.75 }
-  * If no ratio specified → familiarityRatio: { hits: null, deepCuts: null }
-
-SONG COUNT:
-- Explicit numbers: "50 songs", "25 tracks", "30 pop songs", "give me 40" → extract that number
-- Vague quantities: "a few songs" = 10, "a handful" = 10, "a couple" = 6, "a lot of songs" = 50, "loads of tracks" = 50, "a ton of music" = 60
-- Duration-based: "an hour of music" = 15, "a 30-minute playlist" = 8, "a 2-hour mix" = 30
-- Size descriptors: "short playlist" = 10, "quick playlist" = 10, "big playlist" = 50, "massive playlist" = 75, "full playlist" = 30
-- If no count is implied at all → null
-
-USE CASE DETECTION (ALWAYS extract — even when a genre is specified):
-Set contextClues.useCase whenever the intent is clear, regardless of whether the user also named a genre.
-- If the intent is sensual, intimate, or romantic — e.g. setting a mood for a partner, seduction, "baby making", "love making", bedroom/late-night vibes, slow burn, or any phrasing that implies physical or romantic intimacy — → useCase: "sensual"  ← ALWAYS set this, even if the user also said "r&b" or another genre
-- "pregame", "banger", "going out", "turn up", "night out", "hard hitting", "slap", "slaps" → useCase: "party"
-- "work out", "gym", "run", "running", "exercise", "lifting", "cardio" → useCase: "workout"
-- "study", "focus", "deep work", "coding", "concentration", "homework" → useCase: "focus"
-- "drive", "road trip", "long drive", "commute" → useCase: "chill"
-- "relax", "chill out", "wind down after work", "easy listening", "lazy Sunday" → useCase: "chill"
-- "sleep", "wind down before bed", "bedtime", "falling asleep" → useCase: "sleep"
-- "cooking", "making dinner", "in the kitchen" → useCase: "background"
-- "dinner party", "gathering", "friends over", "hosting" → useCase: "background"
-- "morning routine", "getting ready", "start the day", "waking up" → useCase: "morning"
-- "breakup", "heartbreak", "sad playlist", "crying", "missing someone", "feeling low" → useCase: "heartbreak"
-- "summer playlist", "beach music", "poolside", "feels like summer", "summer vibes" → useCase: "summer"
-
-USE CASE → GENRE/MOOD DEFAULTS (only when no explicit genre is given):
-When the user describes a task or activity with NO genre keywords, also infer mood/energy/atmosphere from the use case:
-- useCase "party" (clean my apartment, chores): mood: "positive", energyTarget: "medium", atmosphere: ["upbeat", "fun"], suggestedSeedArtists: ["Dua Lipa", "Lizzo", "Carly Rae Jepsen", "Paramore", "Katy Perry"]
-- useCase "party" (pregame/banger/going out): mood: "positive", energyTarget: "high", atmosphere: ["hype", "energetic"], suggestedSeedArtists: pick ONLY demonstrably high-energy artists — e.g. Travis Scott, Drake, Metro Boomin, 21 Savage, Calvin Harris (upbeat era), David Guetta, Cardi B, Megan Thee Stallion, Kendrick Lamar. DO NOT pick artists whose catalogs skew soft — no Ed Sheeran, no Sia, no Olly Alexander, no Sam Smith, no OneRepublic, no Swae Lee ballads, no Khalid.
-- useCase "workout" (general gym/lifting): mood: "positive", energyTarget: "high", atmosphere: ["workout", "energetic"], suggestedSeedArtists: pick ONLY demonstrably high-energy artists — e.g. Eminem, Kendrick Lamar, Travis Scott, The Prodigy, Rage Against the Machine, Calvin Harris, Lil Uzi Vert, 21 Savage, Ski Mask the Slump God, or genre-appropriate equivalents.
-- useCase "workout" (running/jogging/5K/10K/marathon/cardio): mood: "positive", energyTarget: "high", atmosphere: ["running", "energetic"], suggestedSeedArtists: pick ONLY artists with driving, rhythmic, high-BPM catalogs — e.g. Calvin Harris, Tiësto, David Guetta, Eminem, Kendrick Lamar, Marshmello, The Chainsmokers, Dua Lipa (upbeat era), or genre-appropriate equivalents. Running playlists need CONSISTENT rhythmic drive (140+ BPM feel) — not just "upbeat" songs. Classic rock sing-alongs (The Clash, Gloria Gaynor) and novelty hits do NOT work for running even if they feel energetic.
-- useCase "focus": mood: "neutral", energyTarget: "low"
-- useCase "chill" (drive/road trip): mood: "positive", energyTarget: "medium"
-- useCase "chill" (relax/wind down): mood: "positive", energyTarget: "low"
-- useCase "sleep": mood: "neutral", energyTarget: "low"
-- useCase "background": mood: "positive", energyTarget: "medium"
-- useCase "morning": mood: "positive", energyTarget: "medium"
-- useCase "heartbreak": mood: "melancholic", energyTarget: "low"
-- useCase "sensual": mood: "positive", energyTarget: "low", atmosphere: ["sensual", "intimate", "smooth"], suggestedSeedArtists: ["The Weeknd", "Jeremih", "Summer Walker", "Trey Songz", "Partynextdoor", "SZA", "dvsn", "Jhené Aiko"]
-- useCase "summer": mood: "positive", energyTarget: "medium", atmosphere: ["carefree", "warm", "upbeat", "beachy"], suggestedSeedArtists: ["Harry Styles", "Doja Cat", "Summer Salt", "Lizzo", "Kali Uchis", "Bad Bunny", "Outkast"]
-  NOTE: the summer seed cluster should cover multiple flavors — indie-summer (Harry Styles, Summer Salt), pop-summer (Doja Cat, Lizzo), latin-summer (Bad Bunny, J Balvin), throwback-summer (Outkast, Missy Elliott). Pick seeds that match any genre or era hints in the prompt; if no hints, spread across the flavors.
-NOTE: if the user says "I need a summer playlist, it's freezing outside" — they are requesting escapism. The "freezing" explains WHY they want summer music — it does NOT change the output. Deliver summer music.
-These mood/energy/atmosphere/suggestedSeedArtists defaults only apply when the user did NOT specify a genre. If the user said "r&b" or another genre, use that genre and skip these defaults — but ALWAYS keep the useCase value that was set above.
-
-SPECIAL ATMOSPHERE KEYWORDS (include these exact strings in the atmosphere array when applicable):
-- "running" — ALWAYS include when the prompt mentions running, jogging, 5K, 10K, marathon, or cardio. This triggers BPM and energy filters specific to running pace. Do NOT use generic "workout" for running — the two have different energy profiles.
-- "workout" — include for general gym, lifting, or exercise that is NOT running/cardio specific.
-- "sensual" — include for intimate, romantic, or bedroom contexts.
-
-LANGUAGE (culturalContext.language):
-- "I want Spanish songs", "Spanish music", "songs in Spanish" → prefer: ["Spanish"], exclude: []
-- "English songs only", "English only" → prefer: ["English"], exclude: []
-- "no English songs", "not in English" → prefer: [], exclude: ["English"]
-- "Korean pop", "K-pop" → prefer: ["Korean"], exclude: []
-- "French music" → prefer: ["French"], exclude: []
-- If ALL named/referenced artists perform primarily in English (e.g. Kendrick Lamar, Taylor Swift, Coldplay) → prefer: ["English"], exclude: []
-- If the named artists perform in DIFFERENT languages (e.g. Bad Bunny + Drake) → prefer: [], exclude: [] (mixed)
-- If no artists are named AND no language is implied AND the prompt is written in English → prefer: ["English"], exclude: []
-- If no artists are named AND no language is implied AND the prompt is written in a non-English language (e.g. Spanish, French, Korean) → prefer: [that language], exclude: []
-
-AUDIENCE / SAFETY (contextClues.audience):
-Also infer audience from contextual descriptions — e.g. "for a Sunday school class" implies ["christian", "clean"], "my 7-year-old's birthday party" implies ["family", "clean"], "playing at church" implies ["christian"]. Use context, not just listed keywords.
-- "christian", "church", "worship", "faith", "gospel": audience: ["christian"]
-- "youth retreat", "youth group", "youth event": audience: ["christian", "youth"]
-- "family", "kids", "children", "all ages", "family friendly", "family-friendly": audience: ["family"]
-- "clean", "no explicit", "safe for kids", "safe for work", "no bad words", "no curse words", "no swearing", "no profanity", "pg", "pg-13", "radio edit", "radio friendly", "radio-friendly": audience: ["clean"]
-- "youth", "teenagers": audience: ["youth"]
-- If multiple apply, include all. If none apply → []
-
-AVOIDANCES (contextClues.avoidances):
-Populate contextClues.avoidances with any free-form things the user wants excluded that don't fit a more structured field — moods, sounds, characteristics, thematic content, or production qualities. Examples: "nothing too heavy", "no long intros", "avoid anything depressing", "no slow songs", "nothing cheesy". This is a catch-all for exclusions that aren't artist names, lyrical themes, or version types. If none → []
-
-REFERENCE SONGS:
-If the user mentions a specific song title + artist (e.g. "songs like Take It Slow by Dante", "similar to Need My Baby by Reo Xander"), extract them into referenceSongs. These are used to confirm the correct artist identity.
-- "songs like Take It Slow by Dante" → referenceSongs: [{ "title": "Take It Slow", "artist": "Dante" }]
-- "songs similar to Need My Baby by Reo Xander" → referenceSongs: [{ "title": "Need My Baby", "artist": "Reo Xander" }]
-- "songs like Dante and Ansel King" (no specific song title) → referenceSongs: []
-- Only extract when the user clearly names BOTH a song title AND an artist.
-
-SEED ARTISTS (CRITICAL):
-These are used to find similar artists and build the playlist.
-- When the prompt includes "Current songs include: ...", "Reference tracks: ...", use those artists to inform genre/mood extraction and put the most representative ones into suggestedSeedArtists.
-- When the prompt includes "Key artists in this playlist: ...", use those artists ONLY to infer genre, mood, and vibe — do NOT put them into suggestedSeedArtists. They represent the current playlist contents, not the user's original intent. The user's original intent is in the prompt above.
-- When the user explicitly names artists ("artists like X", "similar to Y"), put them in requestedArtists.
-- When neither of the above apply, YOU MUST suggest 3-5 seed artists that exemplify the requested genre/mood.
-- REVEALED vs. STATED PREFERENCES: If the user states a self-label ("I only listen to rap", "I'm a country fan") BUT also names specific songs or artists that clearly contradict that label, trust the songs over the label. Example: "I only listen to rap but my favorites are Olivia Rodrigo, JVKE, and Taylor Swift" → the actual taste is bedroom pop/indie pop; set genre and seed artists based on the named songs, not the self-label. The songs don't lie.
-- EMOTIONAL STATE → SEED ARTISTS: When the user describes an emotional state with no genre keywords, infer appropriate artists. "Numb and empty after a breakup" → suggestedSeedArtists: ["Phoebe Bridgers", "The National", "Bon Iver", "Big Thief"]. "Need to clean my apartment, make time pass" → suggestedSeedArtists: ["Dua Lipa", "Lizzo", "Carly Rae Jepsen", "Paramore"] with mood: "positive", energyTarget: "medium".
-- WORKOUT / HIGH-ENERGY → SEED ARTISTS: When useCase is "workout" or energyTarget is "high", suggestedSeedArtists MUST be demonstrably high-energy artists. Use artists known ONLY for pump-up music: Eminem, Kendrick Lamar, Travis Scott, 21 Savage, Lil Baby, Meek Mill, Skrillex, The Prodigy, Chemical Brothers, Rage Against the Machine, Metallica, Imagine Dragons, Marshmello, Calvin Harris, Tiësto. NEVER use The Weeknd, SZA, Khalid, Post Malone, Dua Lipa, Ed Sheeran, Sam Smith, Lewis Capaldi, or any artist primarily known for slow/mid-tempo songs — even if they occasionally have an upbeat track, their depth-2 similar-artist graph will pull in slow contamination. If the user names a soft artist ("gym playlist with Post Malone"), still pick high-energy artists for suggestedSeedArtists and keep Post Malone only in requestedArtists.
-Examples (no reference tracks):
-- "top pop songs" → suggestedSeedArtists: ["Taylor Swift", "Dua Lipa", "The Weeknd", "Harry Styles"]
-- "r&b for when I'm in my feels" → suggestedSeedArtists: ["SZA", "Daniel Caesar", "H.E.R.", "Brent Faiyaz"]
-- "underground hip-hop" → suggestedSeedArtists: ["JID", "Denzel Curry", "Freddie Gibbs", "EARTHGANG"]
-- "chill lo-fi beats" → suggestedSeedArtists: ["Nujabes", "J Dilla", "Uyama Hiroto", "Fat Jon"]
-- "2000s rock hits" → suggestedSeedArtists: ["Linkin Park", "Green Day", "Fall Out Boy", "My Chemical Romance"]
-Choose artists that match the popularity level implied (mainstream vs underground).
-
-BPM CONSTRAINTS:
-- "over 150 BPM", "songs above 140 BPM", "fast tempo only": bpmConstraint.min = that number
-- "under 100 BPM", "slow songs only": bpmConstraint.max = that number
-- "between 120 and 140 BPM": bpmConstraint.min = 120, bpmConstraint.max = 140
-- If no explicit BPM number mentioned → bpmConstraint: { min: null, max: null }
-
-MOOD (emotional valence — separate from energy):
-Determine mood from the emotional valence the user wants the music to carry, not from whether they use these exact words. The keyword lists below are examples of typical phrasings, not an exhaustive lookup table — infer from what the person is communicating.
-- "happy", "uplifting", "feel-good", "positive", "welcoming", "café", "bright", "cheerful", "healing", "hopeful", "good vibes", "triumphant", "euphoric", "everything works out", "happy ending", "movie ending", "breakthrough", "cathartic release" → mood: "positive"
-- "emotional but uplifting", "bittersweet but hopeful", "emotional climax that resolves well" → mood: "positive"
-- "sad", "melancholic", "heartbreak", "crying", "heavy", "gloomy", "dark emotions", "heartache", "longing" → mood: "melancholic"
-- EMOTIONAL STATE INPUTS — treat the user's described emotional state as a genre/mood signal even with no genre keywords:
-  * "numb", "empty", "hollow", "disconnected", "zoned out", "numb and empty", "feeling nothing" → mood: "melancholic", energyTarget: "low", atmosphere: ["introspective", "quiet", "sparse"] — think Phoebe Bridgers, The National, Bon Iver, Big Thief
-  * "can't stop crying", "devastated", "broken", "wrecked" → mood: "melancholic", energyTarget: "low"
-  * "anxious", "nervous", "spiraling", "in my head" → mood: "neutral", energyTarget: "low", atmosphere: ["introspective", "calm"]
-  * "need to feel something", "processing", "healing" → mood: "neutral", atmosphere: ["introspective", "bittersweet"]
-  * "angry", "frustrated", "need to vent" → mood: "neutral", energyTarget: "high", atmosphere: ["cathartic", "driving"]
-  * "hyped", "energized", "pumped up", "unstoppable" → mood: "positive", energyTarget: "high"
-- IMPORTANT: "emotional" alone is NOT melancholic — it is intensity, not valence. Only use "melancholic" when the context is clearly sad/negative.
-- "chill", "background", "ambient", "focus", "study", "neutral", "calm" (without emotional context) → mood: "neutral"
-- "emotional" without clear positive/negative context → null (let atmosphere and genre determine the tone)
-- If genuinely ambiguous → null
-
-STATED REQUEST vs. CONTEXTUAL CLUES — ALWAYS honor the stated desire:
-When the user describes a desired mood, season, or context that conflicts with their real-world situation, deliver what they ASKED FOR — the real-world detail explains WHY, not WHAT.
-- "It's freezing but I need a summer playlist" → summer vibes (positive mood, warm, upbeat). "Freezing" is the motivation, not the instruction.
-- "I'm stressed, I just want something happy" → happy and uplifting, NOT stressed or anxious music
-- "Dark and rainy but I want to feel like it's summer" → bright, carefree, warm-weather energy
-- "Nothing like [current season] — give me [other season] vibes" → deliver the requested season
-STATED SEASON signal: when the user names a season as a DESIRED state, set mood/atmosphere accordingly:
-- "summer playlist", "summer vibes", "need summer music" → mood: "positive", energyTarget: "medium", atmosphere: ["carefree", "warm", "upbeat", "beachy"]
-- "cozy winter vibes" → mood: "neutral", energyTarget: "low", atmosphere: ["warm", "intimate", "introspective"]
-- "spring energy" → mood: "positive", energyTarget: "medium", atmosphere: ["fresh", "hopeful", "bright"]
-- "fall/autumn vibes" → mood: "neutral", energyTarget: "low", atmosphere: ["warm", "nostalgic", "cozy"]
-NEVER match music to the environmental context when the user is explicitly escaping it.
-
-EXCLUDED ARTISTS:
-- "no [artist name]", "nothing by [artist]", "avoid [artist]", "don't include [artist]", "[artist]-free" → excludedArtists: [artist names]
-- "no mainstream hits", "no chart toppers", "no radio songs", "avoid popular songs", "underground only", "deep cuts only", "no famous songs" → set trackConstraints.popularity.preference: "underground" AND trackConstraints.popularity.max: 60
-- "no [artist] but similar sound/vibe" → add [artist] to excludedArtists (include the artist names, not just the preference)
-- If multiple exclusions mentioned, include all artist names
-- ABBREVIATIONS & NICKNAMES: Resolve common abbreviations to full artist names. Examples: "TS" or "T.S." → "Taylor Swift", "TSwift" → "Taylor Swift", "Ye" → "Kanye West", "Bey" → "Beyoncé", "Jay" or "Hov" �� "Jay-Z", "Drizzy" → "Drake", "Weezy" → "Lil Wayne"
-- PRODUCER EXCLUSIONS: "no Jack Antonoff songs", "no Max Martin production" → add those names to excludedArtists (the filter will match on artist name; note this won't filter by producer but will log the intent)
-- CRITICAL: When the user says "no [name]", always try to resolve [name] to the most likely well-known artist before adding to excludedArtists
-- IMPLICIT EXCLUSION — "expand beyond" phrases: When the user signals they want to DISCOVER BEYOND a named artist (not get more of them), add that artist to both suggestedSeedArtists (for genre/taste anchoring) AND excludedArtists (to keep their songs out of the output).
-  TRIGGER — the exclusion fires ONLY when the phrasing signals escape/expansion, NOT when it signals "more of the same":
-  ✓ EXCLUDE: "what else", "what other X should I listen to", "I only listen to X, what else?", "besides X", "beyond X", "other than X", "expand beyond X", "I've only ever listened to X"
-  ✗ DO NOT EXCLUDE: "more like X", "give me more X", "similar to X", "songs like X", "I love X, give me more", "in the style of X", "X vibes", "artists like X"
-  The test: does the user want to hear LESS of the named artist (escape) or find MORE of the same style (seed)? Only exclude on escape phrasing.
-  * "I only listen to The Weeknd, what else is good?" → suggestedSeedArtists: ["The Weeknd", ...adjacent], excludedArtists: ["The Weeknd"] (escape)
-  * "massive Radiohead fan, what should I listen to?" → suggestedSeedArtists: ["Radiohead", ...], excludedArtists: ["Radiohead"] (escape)
-  * "I love The Weeknd, give me more like him" → requestedArtists: ["The Weeknd"], excludedArtists: [] (more-of, NO exclusion)
-  * "songs similar to The Weeknd" → requestedArtists: ["The Weeknd"], excludedArtists: [] (seed request, NO exclusion)
-
-ENERGY TARGET:
-Infer from what the person needs the music to DO for them — energize, help focus, help relax, etc. When signals appear to conflict, read the compound phrase as a single intent (the user is describing a specific point on the spectrum, not two poles). Use "medium" only when the overall description genuinely sits between low and high.
-- "low energy", "very chill", "mellow", "slow", "sleepy", "relaxing", "something that doesn't distract me" → energyTarget: "low"
-- "high energy", "hype", "intense", "loud", "fast", "pump up", "hard", "something to get me going" → energyTarget: "high"
-- "kinda hype but chill", "chill but energizing", "mid-energy", "not too slow not too fast", "background but engaging", "light energy", "something I can move to but not intense" → energyTarget: "medium"
-- If unclear → null
-
-ENERGY PROGRESSION (gradual ramps only — no hard split):
-- Use energyProgression ONLY when the energy change is described as GRADUAL (no distinct halves/sections): "gradually get more intense", "slowly builds up", "gradual energy increase", "gradually increasing", "pacing", "energy curve", "ramp up", "warm up then peak"
-- Running/workout context with "gradual", "build", "pacing", "warm up" → energyProgression: "ramp_up"
-- "high energy then gradually winds down", "starts hype slowly gets chill" → energyProgression: "ramp_down"
-- CRITICAL: Do NOT use energyProgression for "first half X, second half Y" or any prompt with clear halves/sections — those are phases (see below)
-- All other cases → null
-
-MULTI-PHASE DETECTION:
-Use phases whenever the prompt describes two or more DISTINCT, named segments — "first half / second half", "start with X then Y", "X → Y", "X followed by Y", "X then switch to Y", "first part / second part", time-of-day arcs, or event arcs.
-RULE: If the user is describing a SPLIT or TRANSITION between distinct moods/energies (even just two), use phases. energyProgression is only for smooth/gradual ramps with no clear division.
-- Each phase: label (short name), energy ("low"|"medium"|"high"), mood ("positive"|"neutral"|"melancholic"|null), fraction (share of total tracks — must sum to 1.0)
-- "first half chill, second half hype" → phases: [{"label":"chill","energy":"low","mood":"neutral","fraction":0.5},{"label":"hype","energy":"high","mood":"positive","fraction":0.5}]
-- "start chill then get hype" → phases: [{"label":"chill","energy":"low","mood":"neutral","fraction":0.4},{"label":"hype","energy":"high","mood":"positive","fraction":0.6}]
-- "chill then hype party" → phases: [{"label":"chill","energy":"low","mood":"neutral","fraction":0.4},{"label":"hype","energy":"high","mood":"positive","fraction":0.6}]
-- "morning warm-up → focus mode → evening wind-down" → phases: [{"label":"morning","energy":"medium","mood":"positive","fraction":0.33},{"label":"focus","energy":"low","mood":"neutral","fraction":0.34},{"label":"wind-down","energy":"low","mood":"melancholic","fraction":0.33}]
-- "build from chill to hype" (gradual, no clear split) → energyProgression: "ramp_up", phases: null
-- If no multi-phase pattern → phases: null
-
-GENRE ACCESSIBILITY (genreAccessibility):
-Infer from the user's expressed relationship to the genre — how long they've been listening, the vocabulary they use, whether they signal unfamiliarity or depth. The phrases below are examples, not the only valid triggers.
-- "just getting into X", "never listened to X", "ease me in", "good starting point for X", "where do I start with X", "I'm new to X", "jazz for beginners", "beginner [genre]", "never heard X before" → genreAccessibility: "newcomer"
-- "I've heard some X and want to explore more", "getting deeper into X", "I've listened to a bit of X", "know the basics but want more", "heard a few X artists and loved it", "getting into X lately" → genreAccessibility: "curious"
-- "deep cuts", "deep dive", "I know all the classics", "show me obscure", "advanced [genre]", "I've been listening for years", "non-obvious picks", "I know all the hits" → genreAccessibility: "enthusiast"
-- When genreAccessibility: "newcomer" — choose suggestedSeedArtists that are widely loved, melodic, and approachable for that SPECIFIC genre. "Accessible" means different things per genre:
-  * Jazz: Norah Jones, Chet Baker (vocal), Diana Krall, Kind of Blue-era Miles Davis, Melody Gardot — NOT bebop Charlie Parker, Oscar Peterson, or free jazz Coltrane
-  * Classical: Ludovico Einaudi, Max Richter, Hans Zimmer, Yann Tiersen — NOT 12-tone serialism, dense operas, or avant-garde works
-  * Metal: Linkin Park, Foo Fighters, System of a Down, Metallica's Black Album — NOT black metal, death metal, or grindcore
-  * Country: Kacey Musgraves, Chris Stapleton, Zac Brown Band — NOT deep honky-tonk or old-time fiddle country
-  * Electronic: Daft Punk, Bonobo, Caribou, Röyksopp — NOT techno, noise, or academic electroacoustic
-- When genreAccessibility: "curious" — mix well-known entry points with one tier deeper: non-obvious picks from the same artist, acclaimed albums the casual fan hasn't reached, and 2-3 artists who are one step more niche than the obvious names
-- When genreAccessibility: "enthusiast" — prefer deep cuts, obscure artists, and non-obvious picks that a long-time fan hasn't heard
-- If no accessibility signal → null
-
-SOUNDCHARTS DIRECT FILTERS (soundchartsFilters — CRITICAL):
-Use this field to directly output SoundCharts API filter objects that precisely match the prompt's intent.
-These are used VERBATIM in the SC song search — be accurate and specific.
-
-DO output filters for: energy, valence, danceability, acousticness, tempo, liveness, speechiness, instrumentalness
-DO NOT output filters for: songGenres, songSubGenres, languageCode, explicit, releaseDate, duration, artistCareerStages, emotionalIntensityScore, themes, moods (moods and themes are built server-side from atmosphere/useCase — do not output them here)
-
-FILTER SHAPES:
-- Numeric range: { "type": "energy", "data": { "min": 0.6 } }  — include only min, only max, or both
-- Theme list: { "type": "themes", "data": { "values": ["Heartbreak", "Love"], "operator": "in" } }
-
-VALID MOOD VALUES (exact strings only):
-Melancholic, Joyful, Euphoric, Sad, Happy, Calm, Energetic, Empowering, Aggressive, Dark, Romantic, Sensual, Spiritual, Peaceful, Nostalgic, Playful
-
-
-AUDIO FEATURE RANGES (all 0.0–1.0 except tempo in BPM and scores 1–10):
-- energy: activity/intensity. Sleep: max 0.30. Chill/relax: max 0.45. Focus/study: max 0.55. Medium: 0.38–0.68. Workout/gym: min 0.75. Hype/intense: min 0.80.
-- valence: musical positivity. Dark/sad/melancholic: max 0.45. Neutral: 0.35–0.65. Happy/upbeat: min 0.65. Joyful/euphoric: min 0.72.
-- danceability: rhythmic consistency. Groovy: min 0.65. Dance: min 0.72. Club/party: min 0.78.
-- acousticness: acoustic instrumentation likelihood. Slightly acoustic: min 0.40. Acoustic/unplugged: min 0.60. Fully acoustic: min 0.80.
-- tempo (BPM): Slow ballad: max 80. Slow: max 90. Mid-tempo: 90–120. Uptempo: min 120. Fast: min 140. EDM/rave: min 128.
-- liveness: live audience presence. Exclude live recordings: max 0.40.
-- speechiness: spoken word ratio. Rap-heavy: min 0.33. Exclude rap/spoken word: max 0.33.
-- instrumentalness: absence of vocals. Instrumental: min 0.55. Lo-fi/background: min 0.30.
-MAPPING EXAMPLES — think dynamically, these are not exhaustive:
-- "songs I can dance to", "danceable", "banger" → { type: "danceability", data: { min: 0.72 } }
-- "party anthems", "turn up" → { type: "danceability", data: { min: 0.75 } }, { type: "energy", data: { min: 0.70 } }, { type: "moods", data: { values: ["Euphoric", "Energetic"], operator: "in" } }
-- "sad songs", "heartbreak", "crying" → { type: "valence", data: { max: 0.45 } }, { type: "energy", data: { max: 0.55 } }
-- "happy/upbeat/feel-good" → { type: "valence", data: { min: 0.65 } }, { type: "energy", data: { min: 0.55 } }
-- "chill/relaxing/laid-back" → { type: "energy", data: { max: 0.45 } }, { type: "valence", data: { min: 0.35 } }
-- "gym/workout" → { type: "energy", data: { min: 0.75 } }, { type: "danceability", data: { min: 0.65 } }
-- "acoustic/unplugged" → { type: "acousticness", data: { min: 0.60 } }
-- "love songs/romantic" → { type: "valence", data: { min: 0.45 } }, { type: "tempo", data: { max: 100 } }
-- "dark/moody" → { type: "valence", data: { max: 0.45 } }
-- "nostalgic" → { type: "valence", data: { min: 0.35, max: 0.65 } }
-- "motivational/empowering" → { type: "energy", data: { min: 0.65 } }, { type: "valence", data: { min: 0.50 } }
-- "emotional/deeply emotional" → { type: "valence", data: { max: 0.45 } }
-- "slow jams" → { type: "tempo", data: { max: 95 } }, { type: "valence", data: { min: 0.40 } }
-- "lo-fi/study" → { type: "energy", data: { max: 0.50 } }, { type: "instrumentalness", data: { min: 0.30 } }
-- "euphoric/euphoria" → { type: "valence", data: { min: 0.70 } }, { type: "energy", data: { min: 0.65 } }
-- "sleep/meditation" → { type: "energy", data: { max: 0.30 } }, { type: "instrumentalness", data: { min: 0.20 } }
-- "aggressive/intense/metal" → { type: "energy", data: { min: 0.78 } }
-- "spiritual/worship" → { type: "valence", data: { min: 0.45 } }, { type: "energy", data: { max: 0.60 } }
-
-RULES:
-- Only include filters where you have HIGH CONFIDENCE in the mapping. Fewer accurate filters beat many uncertain ones.
-- Do NOT output conflicting filters for the same type (e.g. energy min 0.75 AND energy max 0.45). If signals conflict, omit that filter type.
-- Always output moods + valence together when the prompt is clearly sad or clearly happy.
-- CRITICAL: do NOT output moods or themes filters — they are built server-side from atmosphere and useCase. Use valence and energy to express mood intensity.
-- For ambiguous prompts like "vibes" or "good music" with no emotional descriptor, output [] (empty array).
-
-Use null, [], or false for any feature not mentioned.
-
-DO NOT include any text outside the JSON.`
-      }]
-    });
-
-    let genreData = {
-      primaryGenre: null,
-      subgenre: null,
-      secondaryGenres: [],
-      keyCharacteristics: [],
-      style: '',
-      atmosphere: [],
-      era: {
-        decade: null,
-        yearRange: { min: null, max: null },
-        descriptors: []
-      },
-      culturalContext: {
-        region: null,
-        movement: null,
-        scene: null,
-        language: { prefer: [], exclude: [] }
-      },
-      contextClues: {
-        useCase: null,
-        audience: [],
-        avoidances: []
-      },
-      trackConstraints: {
-        popularity: { min: null, max: null, preference: null },
-        duration: { min: null, max: null },
-        excludeVersions: [],
-        albumDiversity: { maxPerAlbum: null, preferDeepCuts: false, preferSingles: false },
-        artistDiversity: { maxPerArtist: null }
-      },
-      artistConstraints: {
-        vocalGender: null,
-        artistType: null,
-        excludeFeatures: false,
-        requestedArtists: [],
-        excludedArtists: [],
-        exclusiveMode: false
-      },
-      productionStyle: {
-        preference: null,
-        avoidAutoTune: false
-      },
-      lyricalContent: {
-        themes: [],
-        avoid: []
-      },
-      discoveryBalance: {
-        preference: null,
-        familiarityRatio: { hits: null, deepCuts: null }
-      },
-      songCount: null,
-      bpmConstraint: { min: null, max: null },
-      mood: null,
-      energyTarget: null,
-      energyProgression: null,
-      phases: null,
-      genreAccessibility: null,
-      soundchartsFilters: [],
+    // ── Prompt preprocessing + genreData extraction ─────────────────────────────
+    // age-to-era → escapism override → genreData extraction (see generation/).
+    const generationDeps = {
+      llm,
+      buildSoundchartsQuery,
+      executeSoundChartsStrategy: process.env.SOUNDCHARTS_APP_ID ? executeSoundChartsStrategy : null,
+      filterArtistsByGender,
     };
-    try {
-      let genreText = genreExtractionResponse.content[0].text.trim();
-      // Handle markdown code blocks
-      if (genreText.startsWith('```json')) {
-        genreText = genreText.replace(/^```json\n?/, '').replace(/\n?```$/, '');
-      } else if (genreText.startsWith('```')) {
-        genreText = genreText.replace(/^```\n?/, '').replace(/\n?```$/, '');
-      }
-      genreData = JSON.parse(genreText);
-    } catch (parseError) {
-      console.log('Could not parse genre extraction:', parseError.message);
-      console.log('Raw response:', genreExtractionResponse.content[0].text.substring(0, 200));
-    }
+    const _promptStage = await generation.runPipeline(generation.PROMPT_STAGES, { prompt }, generationDeps);
+    prompt = _promptStage.prompt;
+    let genreData = _promptStage.genreData;
+    usage.setPromptType(generation.classifyPromptType(genreData));
 
     console.log('Extracted genre data:', genreData);
+    progress.stage('genre', `Looking for ${[genreData.subgenre || genreData.primaryGenre, genreData.mood].filter(Boolean).join(', ') || 'songs that fit your request'}`, {
+      primaryGenre: genreData.primaryGenre, subgenre: genreData.subgenre, mood: genreData.mood, energyTarget: genreData.energyTarget,
+    });
+    progress.throwIfCancelled();
 
     // ── Enforce reference song artists into requestedArtists ─────────────────
     // Claude sometimes puts reference song artists into suggestedSeedArtists
@@ -7140,15 +6745,11 @@ DO NOT include any text outside the JSON.`
       const _toExpand = _rawExcluded.filter(a => !_artistAliasCache.has(a.toLowerCase()));
       if (_toExpand.length > 0) {
         try {
-          const _aliasResp = await anthropic.messages.create({
-            model: 'claude-haiku-4-5-20251001',
-            max_tokens: 512,
-            messages: [{
-              role: 'user',
-              content: `For each artist below, list all known aliases, stage names, side projects, and supergroups they are a primary member of. Do NOT include album titles, EP titles, mixtape titles, or song titles — only names the artist actually performs under. Return ONLY a JSON object mapping each artist name to an array of strings. Include the original name as the first element. If none exist, return an empty array for that key.\n\nArtists: ${JSON.stringify(_toExpand)}\n\nDO NOT include any text outside the JSON.`
-            }]
+          const _aliasResp = await llm.complete('artistAliases', {
+            maxTokens: 512,
+            prompt: `For each artist below, list all known aliases, stage names, side projects, and supergroups they are a primary member of. Do NOT include album titles, EP titles, mixtape titles, or song titles — only names the artist actually performs under. Return ONLY a JSON object mapping each artist name to an array of strings. Include the original name as the first element. If none exist, return an empty array for that key.\n\nArtists: ${JSON.stringify(_toExpand)}\n\nDO NOT include any text outside the JSON.`
           });
-          let _aliasText = _aliasResp.content[0].text.trim();
+          let _aliasText = _aliasResp.text.trim();
           if (_aliasText.startsWith('```')) _aliasText = _aliasText.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
           const _aliasMap = JSON.parse(_aliasText);
           for (const artist of _toExpand) {
@@ -7188,16 +6789,9 @@ DO NOT include any text outside the JSON.`
     const confirmedSpotifyArtistIds = {}; // { artistNameLower: spotifyArtistId }
     const confirmedArtistUuidsStrong = new Set(); // artists confirmed via ISRC/Spotify-ID match (right artist for sure)
 
-    // Get app-level Spotify token once — used for both reference-song ID lookup and genre validation.
+    // App-level Spotify catalog, opened once — used for both reference-song ID lookup and genre validation.
     // App credentials work for all platforms (no user auth needed).
-    let appSpotify = null;
-    try {
-      const ccData = await spotifyApi.clientCredentialsGrant();
-      appSpotify = new SpotifyWebApi({ clientId: process.env.SPOTIFY_CLIENT_ID, clientSecret: process.env.SPOTIFY_CLIENT_SECRET });
-      appSpotify.setAccessToken(ccData.body.access_token);
-    } catch (err) {
-      console.log(`⚠️  Could not get Spotify app token: ${err.message}`);
-    }
+    const appSpotify = await openAppCatalog();
 
     const referenceSongs0 = genreData.referenceSongs || [];
     if (referenceSongs0.length > 0 && process.env.SOUNDCHARTS_APP_ID) {
@@ -7214,8 +6808,7 @@ DO NOT include any text outside the JSON.`
         if (appSpotify) {
           try {
             const q = `track:${refSong.title.replace(/'/g, '')} artist:${refSong.artist}`;
-            const searchRes = await appSpotify.searchTracks(q, { limit: 5 });
-            const tracks = searchRes.body.tracks?.items || [];
+            const tracks = await appSpotify.searchTracks(q, { limit: 5 });
             const artistNorm = refSong.artist.toLowerCase().replace(/[^a-z0-9]/g, '');
             const match = tracks.find(t =>
               (t.artists?.[0]?.name || '').toLowerCase().replace(/[^a-z0-9]/g, '') === artistNorm
@@ -7226,8 +6819,8 @@ DO NOT include any text outside the JSON.`
                 confirmedSpotifyArtistIds[refSong.artist.toLowerCase()] = refSpotifyArtistId;
                 console.log(`✓ Confirmed Spotify artist ID for "${refSong.artist}": ${refSpotifyArtistId}`);
               }
-              if (match.external_ids?.isrc) {
-                refSpotifyIsrc = match.external_ids.isrc;
+              if (match.isrc) {
+                refSpotifyIsrc = match.isrc;
                 console.log(`✓ Spotify ISRC for "${refSong.title}": ${refSpotifyIsrc}`);
               }
             }
@@ -7315,8 +6908,8 @@ DO NOT include any text outside the JSON.`
           try {
             const scSpotifyTrackId = await getSoundChartsSongPlatformId(scSongUuid, 'spotify');
             if (scSpotifyTrackId) {
-              const trackRes = await appSpotify.getTrack(scSpotifyTrackId);
-              const scMappedSpotifyArtistId = trackRes.body.artists?.[0]?.id;
+              const scSpotifyTrack = await appSpotify.getTrack(scSpotifyTrackId);
+              const scMappedSpotifyArtistId = scSpotifyTrack?.artists?.[0]?.id;
               if (scMappedSpotifyArtistId && scMappedSpotifyArtistId !== refSpotifyArtistId) {
                 console.log(`⚠️  SC/Spotify artist mismatch for "${refSong.artist}": SC song maps to Spotify artist ${scMappedSpotifyArtistId} but reference song is by ${refSpotifyArtistId} — marking NOSIMILAR to skip wrong similar artists`);
                 const existing = confirmedArtistUuids[refSong.artist.toLowerCase()];
@@ -7399,8 +6992,7 @@ DO NOT include any text outside the JSON.`
           for (const artistName of genreData.artistConstraints.requestedArtists) {
             if (confirmedSpotifyArtistIds[artistName.toLowerCase()]) continue; // already have it from reference songs
             try {
-              const searchRes = await appSpotify.searchArtists(artistName, { limit: 5 });
-              const items = searchRes.body.artists?.items || [];
+              const { artists: { items } } = await appSpotify.searchCatalog(artistName, { types: ['artists'], limit: 5 });
               // Prefer exact name match; for short/ambiguous names, also match genres
               const exactMatches = items.filter(a => a.name.toLowerCase() === artistName.toLowerCase());
               let bestMatch = null;
@@ -7482,8 +7074,8 @@ DO NOT include any text outside the JSON.`
               let spotifyGenres = [];
               const confirmedSpotifyId = confirmedSpotifyArtistIds[artistName.toLowerCase()];
               if (confirmedSpotifyId) {
-                const artistRes = await appSpotify.getArtist(confirmedSpotifyId);
-                spotifyGenres = (artistRes.body.genres || []).map(g => g.toLowerCase());
+                const spotifyArtist = await appSpotify.getArtist(confirmedSpotifyId);
+                spotifyGenres = (spotifyArtist?.genres || []).map(g => g.toLowerCase());
               }
 
               // Determine genre families for each source
@@ -7593,16 +7185,12 @@ Respond ONLY with valid JSON:
           throw new Error('No SoundCharts genre data available - skipping genre inference');
         }
 
-        const artistGenreResponse = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 800,
-          messages: [{
-            role: 'user',
-            content: claudePrompt
-          }]
+        const artistGenreResponse = await llm.complete('artistGenres', {
+          maxTokens: 800,
+          prompt: claudePrompt
         });
 
-        let artistGenreText = artistGenreResponse.content[0].text.trim();
+        let artistGenreText = artistGenreResponse.text.trim();
         if (artistGenreText.startsWith('```json')) {
           artistGenreText = artistGenreText.replace(/^```json\n?/, '').replace(/\n?```$/, '');
         } else if (artistGenreText.startsWith('```')) {
@@ -7648,9 +7236,9 @@ Respond ONLY with valid JSON:
       console.log(`🔍 Looking up existing playlist: ${playlistId} for user ${userId}`);
       const userPlaylistsArray = userPlaylists.get(userId) || [];
       existingPlaylistData = userPlaylistsArray.find(p => p.playlistId === playlistId);
-      // DB fallback: in-memory map is empty after server restart; load from Postgres
-      if (!existingPlaylistData && usePostgres) {
-        const dbPlaylists = await db.getUserPlaylists(userId);
+      // DB fallback: the in-memory cache may be missing the playlist; load from the database
+      if (!existingPlaylistData) {
+        const dbPlaylists = await playlistStore.getUserPlaylists(userId);
         userPlaylists.set(userId, dbPlaylists);
         existingPlaylistData = dbPlaylists.find(p => p.playlistId === playlistId);
       }
@@ -7702,193 +7290,13 @@ Respond ONLY with valid JSON:
     }
 
     // Discover songs via SoundCharts — direct attribute-based query (no similarity tree)
-    let soundChartsDiscoveredSongs = [];
     const maxPerArtist = genreData.trackConstraints?.artistDiversity?.maxPerArtist;
-    const _phases = Array.isArray(genreData.phases) && genreData.phases.length >= 2 ? genreData.phases : null;
-
-    if (process.env.SOUNDCHARTS_APP_ID) {
-      if (_phases) {
-        // ── Multi-phase: run a separate SC query per phase with phase-specific energy/mood ──
-        console.log(`🎭 Multi-phase playlist: ${_phases.map(p => `"${p.label}" (${p.energy})`).join(' → ')}`);
-        for (const phase of _phases) {
-          const phaseGenreData = {
-            ...genreData,
-            energyTarget: phase.energy || genreData.energyTarget,
-            mood: phase.mood !== undefined ? phase.mood : genreData.mood,
-            phases: null, // prevent recursion
-          };
-          // Remove contradictory label-based energy signals so energyTarget takes over
-          if (phase.energy) {
-            phaseGenreData.atmosphere = (genreData.atmosphere || []).filter(a => {
-              const a2 = a.toLowerCase();
-              if (phase.energy === 'high') return !['calm', 'peaceful', 'sleep', 'mellow', 'lofi', 'chill'].some(w => a2.includes(w));
-              if (phase.energy === 'low')  return !['hype', 'energetic', 'pump', 'intense', 'aggressive'].some(w => a2.includes(w));
-              return true;
-            });
-          }
-          const phaseQuery = buildSoundchartsQuery(phaseGenreData, allowExplicit);
-          const phaseTarget = Math.max(1, Math.round(songCount * phase.fraction));
-          const phaseFetch = Math.min(phaseTarget * 4, 120);
-          console.log(`  Phase "${phase.label}": fetching ${phaseFetch} candidates (target ${phaseTarget})`);
-          try {
-            const phaseSongs = await executeSoundChartsStrategy(phaseQuery, phaseFetch, confirmedArtistUuids, 0);
-            phaseSongs.forEach(s => { s._phaseLabel = phase.label; s._phaseIndex = _phases.indexOf(phase); });
-            soundChartsDiscoveredSongs.push(...phaseSongs);
-            console.log(`  ✓ Phase "${phase.label}": ${phaseSongs.length} songs`);
-          } catch (phaseErr) {
-            console.log(`  ⚠️  Phase "${phase.label}" SC query failed: ${phaseErr.message}`);
-          }
-        }
-        console.log(`✓ Multi-phase SoundCharts total: ${soundChartsDiscoveredSongs.length} songs`);
-      } else {
-        const scQuery = buildSoundchartsQuery(genreData, allowExplicit);
-        // Reference-song prompts ("find songs similar to X"): seed exclusively from the
-        // confirmed reference artists and let SC's similarity graph determine what else appears.
-        // Claude's suggestedSeedArtists (e.g. Michael Jackson injected for an R&B prompt) are
-        // intentionally ignored — they would add extra seeds whose SC graphs dilute the
-        // reference-artist-specific discovery. SC depth-1/depth-2 expansion from Dante/Keffer
-        // will naturally surface the right co-similar artists (lisseXX, MYRZ, etc.) without
-        // Claude steering the graph toward unrelated mainstream acts.
-        //
-        // Exception: when the user explicitly named artists (requestedArtists), those are kept
-        // because they are the user's direct ask, not Claude's inference.
-        const _hasReferenceSongs = (genreData.referenceSongs || []).length > 0;
-        const _hasRequestedArtists = (genreData.artistConstraints?.requestedArtists || []).length > 0;
-        if (_hasReferenceSongs && !_hasRequestedArtists) {
-          // Replace Claude's seeds entirely — use only the confirmed reference artists.
-          const refSeeds = [];
-          const refSeedsSeen = new Set();
-          for (const rs of genreData.referenceSongs) {
-            const lower = rs.artist.toLowerCase();
-            if (confirmedArtistUuids[lower] && !refSeedsSeen.has(lower)) {
-              refSeeds.push(rs.artist);
-              refSeedsSeen.add(lower);
-            }
-          }
-          if (refSeeds.length > 0) {
-            console.log(`🌱 Reference-song prompt: seeding SC graph exclusively from reference artists [${refSeeds.join(', ')}] — ignoring Claude's suggestedSeedArtists`);
-            scQuery.artists = refSeeds;
-            scQuery.seedArtists = refSeeds;
-            scQuery.expandToSimilar = true;
-            scQuery.strategy = 'artist_songs';
-          }
-        } else if (_hasReferenceSongs && _hasRequestedArtists) {
-          // User named artists explicitly — keep requested artists but also inject reference artists
-          // so their SC graph is traversed alongside the user's picks.
-          const existingLower = new Set(scQuery.artists.map(a => a.toLowerCase()));
-          for (const rs of genreData.referenceSongs) {
-            const lower = rs.artist.toLowerCase();
-            if (confirmedArtistUuids[lower] && !existingLower.has(lower)) {
-              scQuery.artists.push(rs.artist);
-              existingLower.add(lower);
-            }
-          }
-        }
-        // Refresh/auto-update seed anchor: replace Claude's inferred suggestedSeedArtists with
-        // the artists actually in the playlist. Claude sees the playlist name + 5 key artists
-        // and infers a much wider genre pool (e.g. suggesting Bad Bunny/Travis Scott for a
-        // CALLMEJB/elle. playlist). Locking seeds to playlist artists keeps the SC similarity
-        // graph anchored to what the playlist actually sounds like, not what Claude thinks
-        // the genre sounds like in general.
-        //
-        if (existingPlaylistData && scQuery.strategy === 'artist_songs' &&
-            existingPlaylistData.tracks?.length === 0 && !genreData.artistConstraints?.exclusiveMode) {
-          // 0-song playlist refresh: no artists to anchor to — fall back to top_songs so SC's
-          // genre/mood/energy filters drive discovery instead of an empty artist list.
-          scQuery.strategy = 'top_songs';
-          scQuery.expandToSimilar = false;
-          console.log(`⚡ Refresh: 0-song playlist — switching to top_songs (no anchor artists available)`);
-        } else if (existingPlaylistData?.tracks?.length > 0 && !genreData.artistConstraints?.exclusiveMode) {
-          // Only anchor to existing playlist artists if the user explicitly requested specific
-          // artists. If no artists were specified, let top_songs run with SC's own filters
-          // (genre + mood + era etc.) so refinements like "last 5 years" don't get trapped
-          // inside a stale artist pool.
-          const _hasRequestedArtists = (genreData.artistConstraints?.requestedArtists || []).length > 0;
-          if (_hasRequestedArtists) {
-            const _anchorArtists = [...new Set(
-              existingPlaylistData.tracks.map(t => t.artist).filter(Boolean)
-            )];
-            if (_anchorArtists.length > 0) {
-              const _artistFreq = {};
-              existingPlaylistData.tracks.forEach(t => {
-                if (t.artist) _artistFreq[t.artist] = (_artistFreq[t.artist] || 0) + 1;
-              });
-              const _cappedAnchor = _anchorArtists
-                .sort((a, b) => (_artistFreq[b] || 0) - (_artistFreq[a] || 0))
-                .slice(0, 8);
-              console.log(`🔒 Refresh: anchoring seeds to top ${_cappedAnchor.length} playlist artists [${_cappedAnchor.join(', ')}] — expanding to similar artists for variety`);
-              scQuery.artists = _cappedAnchor;
-              scQuery.expandToSimilar = true;
-              scQuery.strategy = 'artist_songs';
-            }
-          } else {
-            console.log(`🔄 Refresh: no artists specified — using top_songs with SC filters (not anchoring to playlist artists)`);
-          }
-        }
-        // Gender filter at seed selection — happens before the SC similarity graph expands.
-        // Filtering here prevents a male seed's graph from generating a pool of male candidates.
-        // The vibe check gender rule is a backstop for edge cases (mixed bands, guest features),
-        // not the primary enforcement mechanism.
-        {
-          const _gf = genreData.artistConstraints?.vocalGender;
-          if (_gf && _gf !== 'any' && scQuery.artists.length > 0) {
-            scQuery.artists = await filterArtistsByGender(scQuery.artists, _gf);
-          }
-        }
-        const fetchCount = Math.min(songCount * 3, 200);
-        // When maxPerArtist is set, ensure the artist pool is large enough to cover songCount unique artists
-        const minArtistsNeeded = maxPerArtist ? Math.min(Math.ceil(songCount / maxPerArtist * 1.5), 40) : 0;
-        console.log(`🎵 SoundCharts strategy: "${scQuery.strategy}" (fetching ${fetchCount} candidates for ${songCount} target${minArtistsNeeded ? `, min ${minArtistsNeeded} artists` : ''})`);
-        console.log(`   Filters: [${scQuery.soundchartsFilters.map(f => f.type).join(', ')}]`);
-        try {
-          soundChartsDiscoveredSongs = await executeSoundChartsStrategy({ ...scQuery, _prompt: prompt }, fetchCount, confirmedArtistUuids, minArtistsNeeded);
-          console.log(`✓ SoundCharts returned ${soundChartsDiscoveredSongs.length} songs`);
-
-          // ── Hybrid artist seeding: supplement top_songs with artist_songs from suggestedSeedArtists ──
-          // top_songs returns popularity-sorted songs matching genre+mood filters, but perfect deep
-          // cuts may sit beyond the 1000-song cap. suggestedSeedArtists (inferred by Claude from the
-          // prompt) let us pull songs directly from vibe-appropriate artists, bypassing the popularity
-          // ceiling. The two pools are deduped and merged before Sonnet curation picks the best fits.
-          const _seedArtists = (genreData.artistConstraints?.suggestedSeedArtists || []).filter(Boolean);
-          if (scQuery.strategy === 'top_songs' && _seedArtists.length > 0) {
-            try {
-              const _seedFetchCount = Math.min(songCount * 2, 100);
-              console.log(`🌱 Hybrid seeding: supplementing top_songs with artist_songs from [${_seedArtists.join(', ')}] (fetching ${_seedFetchCount})...`);
-              const _seedQuery = buildSoundchartsQuery(genreData, allowExplicit);
-              _seedQuery.strategy = 'artist_songs';
-              _seedQuery.artists = _seedArtists;
-              _seedQuery.expandToSimilar = true;
-              const _seedSongs = await executeSoundChartsStrategy(
-                { ..._seedQuery, _prompt: prompt },
-                _seedFetchCount, confirmedArtistUuids, 0
-              );
-              if (_seedSongs.length > 0) {
-                // Dedupe by lowercase "artist::track" key — prefer existing top_songs entries
-                const _existingKeys = new Set(
-                  soundChartsDiscoveredSongs.map(s =>
-                    `${(s.artistName || '').toLowerCase()}::${(s.name || '').toLowerCase()}`
-                  )
-                );
-                const _newSongs = _seedSongs.filter(s => {
-                  const key = `${(s.artistName || '').toLowerCase()}::${(s.name || '').toLowerCase()}`;
-                  return !_existingKeys.has(key);
-                });
-                soundChartsDiscoveredSongs.push(..._newSongs);
-                console.log(`🌱 Hybrid seeding: +${_newSongs.length} unique songs from artist_songs (${_seedSongs.length} total, ${_seedSongs.length - _newSongs.length} dupes skipped)`);
-              } else {
-                console.log(`🌱 Hybrid seeding: artist_songs returned 0 songs`);
-              }
-            } catch (_seedErr) {
-              console.log(`⚠️  Hybrid seeding failed (non-fatal): ${_seedErr.message}`);
-            }
-          }
-        } catch (scErr) {
-          console.log(`⚠️  SoundCharts strategy failed: ${scErr.message}`);
-        }
-      }
-    } else {
-      console.log('⚠️  SOUNDCHARTS_APP_ID not configured - skipping SoundCharts discovery');
-    }
+    const _phases = generation.getPhases(genreData);
+    const { soundChartsDiscoveredSongs } = await generation.runStage('soundcharts-strategy', {
+      genreData, prompt, songCount, allowExplicit, confirmedArtistUuids, existingPlaylistData,
+    }, generationDeps);
+    progress.stage('soundcharts', `Found ${soundChartsDiscoveredSongs.length} candidate songs`, { poolSize: soundChartsDiscoveredSongs.length });
+    progress.throwIfCancelled();
 
     // Artists that need Spotify-direct injection fall into two categories:
     // 1. No SC UUID at all (!scUuid) — SC couldn't find them.
@@ -7993,12 +7401,9 @@ Respond ONLY with valid JSON:
     var claudePlaylistName = null;
     var claudePlaylistDescription = null;
     try {
-      const nameResponse = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 300,
-        messages: [{
-          role: 'user',
-          content: `Generate a creative playlist name and short description for this playlist request:
+      const nameResponse = await llm.complete('playlistNaming', {
+        maxTokens: 300,
+        prompt: `Generate a creative playlist name and short description for this playlist request:
 
 User's request: "${prompt}"
 Genre: ${genreData.primaryGenre || 'mixed'}
@@ -8008,9 +7413,8 @@ ${genreData.atmosphere.length > 0 ? `Vibe: ${genreData.atmosphere.join(', ')}` :
 
 Return ONLY valid JSON:
 {"playlistName": "Creative Name Here", "description": "Brief 1-2 sentence description of the playlist vibe"}`
-        }]
       });
-      const nameText = nameResponse.content[0].text.trim()
+      const nameText = nameResponse.text.trim()
         .replace(/^```json\n?/, '').replace(/\n?```$/, '')
         .replace(/^```\n?/, '').replace(/\n?```$/, '');
       const nameData = JSON.parse(nameText);
@@ -8038,8 +7442,8 @@ Return ONLY valid JSON:
     if (playlistId && userId) {
       let userPlaylistsArray = userPlaylists.get(userId) || [];
       let refreshPlaylist = userPlaylistsArray.find(p => p.playlistId === playlistId);
-      if (!refreshPlaylist && usePostgres) {
-        const dbPlaylists = await db.getUserPlaylists(userId);
+      if (!refreshPlaylist) {
+        const dbPlaylists = await playlistStore.getUserPlaylists(userId);
         userPlaylists.set(userId, dbPlaylists);
         refreshPlaylist = dbPlaylists.find(p => p.playlistId === playlistId);
       }
@@ -8169,10 +7573,10 @@ Return ONLY valid JSON:
     // ── Shared platform track finder — used by main, supplement, and fallback loops ──
     // Defined here (outside the recommendedTracks>0 guard) so the top-songs fallback
     // can also use it even when the main SC artist pool returned 0 songs.
-    // Tries (1) ISRC, (2) pre-fetched platform ID, (3) text search.
+    // Tries (1) ISRC, (2) pre-fetched platform ID, (3) text search, all on the listener's catalog.
     // Returns { track, usedExact } or null. Safe to run in parallel (read-only).
     const findTrackOnPlatform = async (song, opts = {}) => {
-      const { storefront = 'us', appleMusicApi = null, platformSvc = null } = opts;
+      if (!catalog) return null;
       const artistName = song.artistName || song.artist || '';
 
       const fLabel = `"${song.name || song.track}" by ${artistName}`;
@@ -8180,11 +7584,15 @@ Return ONLY valid JSON:
       if (platform === 'spotify') {
         // 1. ISRC
         if (song.isrc) {
-          const r = await Promise.race([
-            userSpotifyApi.searchTracks(`isrc:${song.isrc}`, { limit: 5 }),
+          const found = await Promise.race([
+            catalog.searchTracks(`isrc:${song.isrc}`, { limit: 5 }),
             new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 5000))
           ]);
-          const items = r.body.tracks.items;
+          // Only releases that play in the user's market
+          const items = found.filter(t => !isUnplayableTrack(t));
+          if (items.length < found.length) {
+            console.log(`🌍 [REGION] ${fLabel} — ${found.length - items.length} ISRC release(s) not playable in ${spotifyMarket}`);
+          }
           if (items.length > 0) {
             // Divergence check: reject if SC source artist is not the Spotify primary
             // (e.g. ISRC for "Bon Appétit" resolves to Katy Perry ft. Migos when SC source is Migos)
@@ -8220,13 +7628,15 @@ Return ONLY valid JSON:
         }
         // 2. SC platform ID (pre-fetched)
         if (song.platformId) {
-          const r = await Promise.race([
-            userSpotifyApi.getTrack(song.platformId),
+          const track = await Promise.race([
+            catalog.getTrack(song.platformId),
             new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 5000))
           ]);
-          if (r.body?.id) {
+          if (isUnplayableTrack(track)) {
+            console.log(`🌍 [REGION] ${fLabel} — ${song.platformId} not playable in ${spotifyMarket}, trying text search`);
+          } else if (track?.id) {
             console.log(`🎯 [SC-ID] ${fLabel} → ${song.platformId}`);
-            return { track: r.body, usedExact: true };
+            return { track, usedExact: true };
           }
         }
         // 3. Text search — three attempts with progressively looser queries
@@ -8262,13 +7672,13 @@ Return ONLY valid JSON:
         ].filter(Boolean);
 
         for (const query of textAttempts) {
-          const r = await Promise.race([
-            userSpotifyApi.searchTracks(query, { limit: 5 }),
+          const items = await Promise.race([
+            catalog.searchTracks(query, { limit: 5 }),
             new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), 5000))
           ]);
-          const items = r.body.tracks.items;
           if (items.length === 0) continue;
           for (const t of items) {
+            if (isUnplayableTrack(t)) continue;
             if (checkArtistMatch(t)) {
               const usedClean = query !== textAttempts[0];
               console.log(`🔍 [TEXT${usedClean ? '-LOOSE' : ''}] ${fLabel}`);
@@ -8276,16 +7686,16 @@ Return ONLY valid JSON:
             }
           }
         }
-        const lastItems = await userSpotifyApi.searchTracks(textAttempts[textAttempts.length - 1], { limit: 3 }).then(r => r.body.tracks.items).catch(() => []);
+        const lastItems = await catalog.searchTracks(textAttempts[textAttempts.length - 1], { limit: 3 }).catch(() => []);
         const topResults = lastItems.slice(0, 3).map(t => `"${t.name}" by ${t.artists?.[0]?.name}`).join(', ');
         console.log(`❌ [TEXT-MISS] ${fLabel}${topResults ? ` — top results: ${topResults}` : ' — 0 results'}`);
         return null;
 
       } else if (platform === 'apple') {
         // 1. ISRC
-        if (song.isrc && appleMusicApi) {
+        if (song.isrc) {
           try {
-            const result = await appleMusicApi.lookupByIsrc(song.isrc, storefront);
+            const result = await catalog.lookupByIsrc(song.isrc);
             if (result) {
               console.log(`🔑 [ISRC] ${fLabel}`);
               return { track: result, usedExact: true };
@@ -8294,9 +7704,9 @@ Return ONLY valid JSON:
           } catch (_) { /* fall through */ }
         }
         // 2. SC platform ID (pre-fetched)
-        if (song.platformId && appleMusicApi) {
+        if (song.platformId) {
           try {
-            const result = await appleMusicApi.getTrack(song.platformId, storefront);
+            const result = await catalog.getTrack(song.platformId);
             if (result) {
               console.log(`🎯 [SC-ID] ${fLabel} → ${song.platformId}`);
               return { track: result, usedExact: true };
@@ -8304,25 +7714,23 @@ Return ONLY valid JSON:
           } catch (_) { /* fall through */ }
         }
         // 3. Text search
-        if (platformSvc) {
-          const results = await platformSvc.searchTracks(platformUserId, `${song.name} ${artistName}`, tokens, storefront, 5);
-          const norm = (s) => (s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-          const reqNorm = norm(artistName);
-          for (const t of (results || [])) {
-            const nameLower = (t.name || '').toLowerCase();
-            if (nameLower.includes(' / ') || /\[slowed|\(slowed|karaoke|orchestra version|\(mixed\)/i.test(t.name)) continue;
-            // Check all artists (primary + featured) — some platforms list the featured artist as the credited artist
-            const artistNames = t.artists?.length ? t.artists.map(a => a.name) : [t.artist];
-            const artistMatch = artistNames.some(name => { const fn = norm(name); return reqNorm.length < 6 ? fn === reqNorm : fn === reqNorm || fn.startsWith(reqNorm) || reqNorm.startsWith(fn); });
-            if (artistMatch) {
-              console.log(`🔍 [TEXT] ${fLabel}`);
-              return { track: t, usedExact: false };
-            }
+        const results = await catalog.searchTracks(`${song.name} ${artistName}`, { limit: 5 });
+        const norm = (s) => (s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const reqNorm = norm(artistName);
+        for (const t of (results || [])) {
+          const nameLower = (t.name || '').toLowerCase();
+          if (nameLower.includes(' / ') || /\[slowed|\(slowed|karaoke|orchestra version|\(mixed\)/i.test(t.name)) continue;
+          // Check all artists (primary + featured) — some platforms list the featured artist as the credited artist
+          const artistNames = t.artists?.length ? t.artists.map(a => a.name) : [t.artist];
+          const artistMatch = artistNames.some(name => { const fn = norm(name); return reqNorm.length < 6 ? fn === reqNorm : fn === reqNorm || fn.startsWith(reqNorm) || reqNorm.startsWith(fn); });
+          if (artistMatch) {
+            console.log(`🔍 [TEXT] ${fLabel}`);
+            return { track: t, usedExact: false };
           }
-          const topResults = (results || []).slice(0, 3).map(t => `"${t.name}" by ${t.artists?.[0]?.name || t.artist}`).join(', ');
-          if (topResults) console.log(`❌ [TEXT-MISMATCH] ${fLabel} — top Apple Music results: ${topResults}`);
-          else console.log(`❌ [TEXT-EMPTY] ${fLabel} — Apple Music returned 0 results`);
         }
+        const topResults = (results || []).slice(0, 3).map(t => `"${t.name}" by ${t.artists?.[0]?.name || t.artist}`).join(', ');
+        if (topResults) console.log(`❌ [TEXT-MISMATCH] ${fLabel} — top Apple Music results: ${topResults}`);
+        else console.log(`❌ [TEXT-EMPTY] ${fLabel} — Apple Music returned 0 results`);
         return null;
       }
       return null;
@@ -8451,12 +7859,9 @@ When the user's request references a specific brand, franchise, studio, or unive
               ? `IMPORTANT — Your USE CASE rules above are the HIGHEST priority filter. A song that violates the use-case rules MUST be rejected regardless of genre match, popularity, or how many songs you have left. Quality over quantity: it is better to return ${Math.ceil(pageTargetCount * 0.3)} excellent picks than ${pageTargetCount} mediocre ones. After enforcing use-case rules, aim to select close to ${pageTargetCount} songs from the remaining candidates — but NEVER pad by including tracks that violate the use case.`
               : `IMPORTANT — You MUST select close to ${pageTargetCount} songs. Do not drastically undershoot. If most candidates are already the correct genre, be generous with inclusion — only reject clear mismatches. When in doubt, include rather than exclude.`;
 
-            const _curationCall = async () => anthropic.messages.create({
-              model: 'claude-sonnet-4-6',
-              max_tokens: 800,
-              messages: [{
-                role: 'user',
-                content: `You are curating a playlist. From the candidates below, select the ${pageTargetCount} songs that best match the user's request. Use your own knowledge of each song — sound, era, vibe, context, and lyrical content — to make the best picks.
+            const _curationCall = async () => llm.complete('curation', {
+              maxTokens: 800,
+              prompt: `You are curating a playlist. From the candidates below, select the ${pageTargetCount} songs that best match the user's request. Use your own knowledge of each song — sound, era, vibe, context, and lyrical content — to make the best picks.
 
 Target genre/style: ${_curationGenre}${_curationStyle ? ` — ${_curationStyle}` : ''}${_curationSecondary ? ` (related: ${_curationSecondary})` : ''}
 ${_curationContextBlock}
@@ -8472,7 +7877,6 @@ Candidates:
 ${_trackLines.join('\n')}
 
 Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no commentary — just the array. Example: [1, 3, 5, ...]`
-              }]
             });
 
             // Retry with exponential backoff on overloaded errors
@@ -8482,7 +7886,7 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
                 _resp = await _curationCall();
                 break;
               } catch (_retryErr) {
-                if (_retryErr.error?.type === 'overloaded_error' && _retry < 2) {
+                if (_retryErr.code === 'LLM_OVERLOADED' && _retry < 2) {
                   const _delay = Math.pow(2, _retry) * 1000;
                   console.log(`⏳ SC curation overloaded, retrying in ${_delay / 1000}s (attempt ${_retry + 2}/3)...`);
                   await new Promise(r => setTimeout(r, _delay));
@@ -8492,7 +7896,7 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
               }
             }
 
-            const _content = _resp.content[0].text.trim()
+            const _content = _resp.text.trim()
               .replace(/^```json\n?/, '').replace(/\n?```$/, '')
               .replace(/^```\n?/, '').replace(/\n?```$/, '');
             const _allMatches = [..._content.matchAll(/\[[\d,\s\n\r]*\]/g)];
@@ -8509,7 +7913,7 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
             console.warn(`⚠️  SC curation response didn't parse as JSON array, retrying once... Response: ${_content.substring(0, 200)}`);
             try {
               const _retryResp = await _curationCall();
-              const _retryContent = _retryResp.content[0].text.trim()
+              const _retryContent = _retryResp.text.trim()
                 .replace(/^```json\n?/, '').replace(/\n?```$/, '')
                 .replace(/^```\n?/, '').replace(/\n?```$/, '');
               const _retryMatches = [..._retryContent.matchAll(/\[[\d,\s\n\r]*\]/g)];
@@ -8541,6 +7945,7 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
             const _pageResults = await _runCurationPage(_pagePool, _stillNeeded);
             vibePassedTracks.push(..._pageResults);
             console.log(`✂️  SC pool curation page ${_page + 1}: ${_pagePool.length} → ${_pageResults.length} tracks selected (${vibePassedTracks.length} total so far)`);
+            progress.stage('curation', `Curating batch ${_page + 1}: ${vibePassedTracks.length} songs picked so far`, { batch: _page + 1, selected: vibePassedTracks.length });
 
             if (vibePassedTracks.length >= _targetCount) {
               // Got enough — stop paginating
@@ -8569,15 +7974,11 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
         const _uniqueArtists = [...new Set(vibePassedTracks.map(t => t.artist))];
         if (_uniqueArtists.length > 0) {
           try {
-            const _genderResp = await anthropic.messages.create({
-              model: 'claude-sonnet-4-6',
-              max_tokens: 1024,
-              messages: [{
-                role: 'user',
-                content: `Classify each artist below as "male", "female", or "unknown" based on the lead vocalist's gender. For bands, use the lead singer's gender. Return ONLY a JSON object mapping each artist name to "male", "female", or "unknown". No explanation.\n\nArtists: ${JSON.stringify(_uniqueArtists)}`
-              }]
+            const _genderResp = await llm.complete('genderVerification', {
+              maxTokens: 1024,
+              prompt: `Classify each artist below as "male", "female", or "unknown" based on the lead vocalist's gender. For bands, use the lead singer's gender. Return ONLY a JSON object mapping each artist name to "male", "female", or "unknown". No explanation.\n\nArtists: ${JSON.stringify(_uniqueArtists)}`
             });
-            let _genderText = _genderResp.content[0].text.trim();
+            let _genderText = _genderResp.text.trim();
             if (_genderText.startsWith('```')) _genderText = _genderText.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
             const _genderMap = JSON.parse(_genderText);
             const _wrongGender = _postCurationGender === 'female' ? 'male' : 'female';
@@ -8687,6 +8088,10 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
           console.log(`Skipping "${track.name}" by ${track.artists?.[0]?.name || track.artist} (already in playlist)`);
           return false;
         }
+        if (isUnplayableTrack(track)) {
+          console.log(`🌍 [REGION] Skipping "${track.name}" by ${track.artists?.[0]?.name || track.artist} (not playable in the listener's region)`);
+          return false;
+        }
         if (playlistSongHistory.size > 0) {
           const historyKey = `${normalizeTrackName(track.name)}|||${(track.artists?.[0]?.name || track.artist || '').toLowerCase()}`;
           if (playlistSongHistory.has(historyKey)) {
@@ -8805,7 +8210,7 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
       // Use app-level Spotify credentials for top tracks lookup — works for ALL platforms
       // (Apple Music, manual mode, Spotify) since we just need to discover the songs,
       // not add them to a user's library.
-      const spotifyForTopTracks = appSpotify || userSpotifyApi;
+      const spotifyForTopTracks = appSpotify || (platform === 'spotify' ? catalog : null);
       if (nosimilarWithSpotify.size > 0 && spotifyForTopTracks) {
         // In refresh context, reference artists (e.g. Keffer) are style hints, not playlist members.
         // Only inject their top tracks if they're actually in the playlist being refreshed.
@@ -8814,15 +8219,8 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
           ? new Set(existingPlaylistData.tracks.map(t => (t.artist || '').toLowerCase()))
           : null;
 
-        // When platform is Apple Music, set up Apple Music API once for ISRC lookups
-        // so Spotify direct injection tracks get converted to Apple Music format.
-        let appleMusicApiForDirect = null;
-        let storefrontForDirect = 'us';
-        if (platform === 'apple') {
-          const devToken = generateAppleMusicToken();
-          if (devToken) appleMusicApiForDirect = new AppleMusicService(devToken);
-          storefrontForDirect = tokens?.storefront || 'us';
-        }
+        // When platform is Apple Music, Spotify direct injection tracks are converted to
+        // Apple Music format through the listener's catalog (ISRC, then text search).
 
         for (const artistLower of nosimilarWithSpotify) {
           if (_isRefreshContext && _playlistArtistSet && !_playlistArtistSet.has(artistLower)) {
@@ -8834,32 +8232,31 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
           const artistDisplay = referenceSongs0.find(r => r.artist.toLowerCase() === artistLower)?.artist || artistLower;
           try {
             console.log(`🎵 [SPOTIFY-DIRECT] Fetching top tracks for "${artistDisplay}" (${spotifyArtistId})...`);
-            const topTracksRes = await spotifyForTopTracks.getArtistTopTracks(spotifyArtistId, 'US');
-            const topTracks = (topTracksRes.body.tracks || []).slice(0, 5); // cap at 5 to preserve pool diversity
+            const topTracks = (await spotifyForTopTracks.getArtistTopTracks(spotifyArtistId, { market: topTracksMarket })).slice(0, 5); // cap at 5 to preserve pool diversity
             console.log(`  → using ${topTracks.length} top tracks for "${artistDisplay}"`);
 
             for (const t of topTracks) {
-              const isrc = t.external_ids?.isrc || null;
+              const isrc = t.isrc || null;
               const syntheticSong = {
                 track: t.name, artist: artistDisplay,
                 isrc,
                 releaseDate: t.album?.release_date || null,
               };
 
-              if (platform === 'apple' && appleMusicApiForDirect) {
+              if (platform === 'apple' && catalog) {
                 // Convert Spotify track to Apple Music track via ISRC
                 let appleTrack = null;
                 if (isrc) {
                   try {
-                    appleTrack = await appleMusicApiForDirect.lookupByIsrc(isrc, storefrontForDirect);
+                    appleTrack = await catalog.lookupByIsrc(isrc);
                   } catch (e) {
                     console.log(`⚠️  [SPOTIFY-DIRECT] ISRC lookup failed for "${t.name}" (${isrc}): ${e.message}`);
                   }
                 }
-                if (!appleTrack && appleMusicApiForDirect) {
+                if (!appleTrack) {
                   // Fallback: text search on Apple Music
                   try {
-                    const items = await appleMusicApiForDirect.searchTracks(`${t.name} ${artistDisplay}`, storefrontForDirect, 5);
+                    const items = await catalog.searchTracks(`${t.name} ${artistDisplay}`, { limit: 5 });
                     if (items?.length > 0) {
                       const artistNorm = artistDisplay.toLowerCase().replace(/[^a-z0-9]/g, '');
                       appleTrack = items.find(item => {
@@ -8929,23 +8326,29 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
 
           // 1st: direct Spotify ID from SC identifiers (pre-fetched in Phase A) — most reliable
           if (recommendedSong.platformId) {
-            const result = await Promise.race([
-              userSpotifyApi.getTrack(recommendedSong.platformId),
+            const track = await Promise.race([
+              catalog.getTrack(recommendedSong.platformId),
               new Promise((_, reject) => setTimeout(() => reject(new Error('Track lookup timeout')), 5000))
             ]);
-            if (result.body?.id) {
+            if (isUnplayableTrack(track)) {
+              console.log(`🌍 [REGION] ${label} — ${recommendedSong.platformId} not playable in ${spotifyMarket}, trying ISRC`);
+            } else if (track?.id) {
               console.log(`🎯 [SC-ID] ${label} → ${recommendedSong.platformId}`);
-              return { track: result.body, usedExact: true };
+              return { track, usedExact: true };
             }
           }
 
           // 2nd: ISRC exact match
           if (recommendedSong.isrc) {
-            const result = await Promise.race([
-              userSpotifyApi.searchTracks(`isrc:${recommendedSong.isrc}`, { limit: 5 }),
+            const found = await Promise.race([
+              catalog.searchTracks(`isrc:${recommendedSong.isrc}`, { limit: 5 }),
               new Promise((_, reject) => setTimeout(() => reject(new Error('Search timeout')), 5000))
             ]);
-            const items = result.body.tracks.items;
+            // Only releases that play in the user's market
+            const items = found.filter(t => !isUnplayableTrack(t));
+            if (items.length < found.length) {
+              console.log(`🌍 [REGION] ${label} — ${found.length - items.length} ISRC release(s) not playable in ${spotifyMarket}`);
+            }
             if (items.length > 0) {
               // Divergence check: if SC source artist is not the Spotify primary, this ISRC
               // resolved to a feature version (e.g. "Bon Appétit" ISRC → Katy Perry ft. Migos
@@ -8982,11 +8385,10 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
           }
 
           // 3rd: text search fallback
-          const result = await Promise.race([
-            userSpotifyApi.searchTracks(`track:${recommendedSong.track} artist:${recommendedSong.artist}`, { limit: 5 }),
+          const items = await Promise.race([
+            catalog.searchTracks(`track:${recommendedSong.track} artist:${recommendedSong.artist}`, { limit: 5 }),
             new Promise((_, reject) => setTimeout(() => reject(new Error('Search timeout')), 5000))
           ]);
-          const items = result.body.tracks.items;
           if (items.length === 0) {
             console.log(`❌ [TEXT-EMPTY] ${label} — Spotify returned 0 results`);
             return null;
@@ -8996,6 +8398,7 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
           // otherwise fall back to primary-artist name token check.
           const _phBKnownId = _uuidToSpotifyId.get(recommendedSong.artistUuid) || null;
           for (const t of items) {
+            if (isUnplayableTrack(t)) continue;
             if (_phBKnownId) {
               // ID-based: require primary artist Spotify ID to match — definitive, no false positives
               if (t.artists?.[0]?.id !== _phBKnownId) continue;
@@ -9054,20 +8457,17 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
             if (!await validateAndAdd(track, recommendedSong, 'spotify')) continue;
             if (allTracks.length >= _earlyStopTarget) { console.log(`🎯 Early stop: reached ${_earlyStopTarget} matched Spotify tracks`); break; }
           }
+          progress.tracks(allTracks);
         }
 
       } else if (platform === 'apple') {
-        const platformService = new PlatformService();
-        const storefront = tokens?.storefront || 'us';
-        const appleMusicDevTokenForSearch = generateAppleMusicToken();
-        const appleMusicApiForSearch = appleMusicDevTokenForSearch ? new AppleMusicService(appleMusicDevTokenForSearch) : null;
-
         // Per-song Apple Music lookup (runs in parallel within each batch)
         const findAppleTrack = async (recommendedSong) => {
+          if (!catalog) return null;
           // 1st: direct Apple Music ID from SC identifiers (pre-fetched in Phase A) — most reliable
-          if (recommendedSong.platformId && appleMusicApiForSearch) {
+          if (recommendedSong.platformId) {
             try {
-              const result = await appleMusicApiForSearch.getTrack(recommendedSong.platformId, storefront);
+              const result = await catalog.getTrack(recommendedSong.platformId);
               if (result) {
                 console.log(`🎯 [SC-ID] "${recommendedSong.track}" by ${recommendedSong.artist} → ${recommendedSong.platformId}`);
                 return { track: result, usedExact: true };
@@ -9078,9 +8478,9 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
           }
 
           // 2nd: ISRC exact match
-          if (recommendedSong.isrc && appleMusicApiForSearch) {
+          if (recommendedSong.isrc) {
             try {
-              const result = await appleMusicApiForSearch.lookupByIsrc(recommendedSong.isrc, storefront);
+              const result = await catalog.lookupByIsrc(recommendedSong.isrc);
               if (result) return { track: result, usedExact: true };
             } catch (isrcErr) {
               console.log(`ISRC lookup failed for ${recommendedSong.isrc}, falling back`);
@@ -9089,7 +8489,7 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
 
           // 3rd: text search fallback
           const searchQuery = `${recommendedSong.track} ${recommendedSong.artist}`;
-          const items = await platformService.searchTracks(platformUserId, searchQuery, tokens, storefront, 5);
+          const items = await catalog.searchTracks(searchQuery, { limit: 5 });
           if (!items || items.length === 0) return null;
 
           const requestedArtistNorm = recommendedSong.artist.toLowerCase().replace(/[^a-z0-9]/g, '');
@@ -9127,10 +8527,12 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
             if (!await validateAndAdd(found.track, recommendedSong, 'apple')) continue;
             if (allTracks.length >= _earlyStopTarget) { console.log(`🎯 Early stop: reached ${_earlyStopTarget} matched Apple Music tracks`); break; }
           }
+          progress.tracks(allTracks);
         }
       }
 
       console.log(`📊 Matched ${allTracks.length}/${vibePassedTracks.length} vibe-passed songs on ${platform} (${recommendedTracks.length} total SC pool)`);
+      progress.stage('matching', `Found ${allTracks.length} songs on ${platform === 'apple' ? 'Apple Music' : 'Spotify'}`, { matched: allTracks.length });
 
       if (allTracks.length >= 5) {
         let selectedTracks = [...allTracks];
@@ -9171,16 +8573,11 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
               .sort((a, b) => (a._scEnergy != null ? 0 : 1) - (b._scEnergy != null ? 0 : 1));
             console.log(`🔄 Pool continuation: need ${_contNeeded} more, ${_contPool.length} songs remaining in SC pool`);
 
-            const _contAppleDevToken = platform === 'apple' ? generateAppleMusicToken() : null;
-            const _contAppleApi = _contAppleDevToken ? new AppleMusicService(_contAppleDevToken) : null;
-            const _contStorefront = tokens?.storefront || 'us';
-            const _contPlatformSvc = platform === 'apple' ? new PlatformService() : null;
-
             for (let ci = 0; ci < _contPool.length && selectedTracks.length < _earlyStopTarget; ci += BATCH_SIZE) {
               const batch = _contPool.slice(ci, ci + BATCH_SIZE).filter(song => song.name?.trim());
               const batchResults = await Promise.all(batch.map(song =>
                 withSearchRetry(
-                  () => findTrackOnPlatform(song, { storefront: _contStorefront, appleMusicApi: _contAppleApi, platformSvc: _contPlatformSvc, uuidSpotifyIdMap: _uuidToSpotifyId }),
+                  () => findTrackOnPlatform(song, { uuidSpotifyIdMap: _uuidToSpotifyId }),
                   song.name || song.track,
                   2
                 ).then(result => ({ song, result }))
@@ -9290,12 +8687,6 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
               }
               await prefetchPlatformIds(supplementPool, platform === 'spotify' ? 'spotify' : 'applemusic');
 
-              // Set up Apple Music instances once (reused across all batches)
-              const suppStorefront = tokens?.storefront || 'us';
-              const suppAppleDevToken = platform === 'apple' ? generateAppleMusicToken() : null;
-              const suppAppleApi = suppAppleDevToken ? new AppleMusicService(suppAppleDevToken) : null;
-              const suppPlatformSvc = platform === 'apple' ? new PlatformService() : null;
-
               // Phase B: parallel batches of 10
               for (let si = 0; si < supplementPool.length && selectedTracks.length < _earlyStopTarget; si += BATCH_SIZE) {
                 const batch = supplementPool.slice(si, si + BATCH_SIZE).filter(song => {
@@ -9303,7 +8694,7 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
                   return true;
                 });
                 const batchResults = await Promise.all(batch.map(song =>
-                  findTrackOnPlatform(song, { storefront: suppStorefront, appleMusicApi: suppAppleApi, platformSvc: suppPlatformSvc, uuidSpotifyIdMap: _uuidToSpotifyId })
+                  findTrackOnPlatform(song, { uuidSpotifyIdMap: _uuidToSpotifyId })
                     .then(result => ({ song, result }))
                     .catch(() => ({ song, result: null }))
                 ));
@@ -9456,21 +8847,17 @@ Return ONLY a JSON array of 1-based indices. No explanation, no reasoning, no co
               const suppNewTracks = selectedTracks.slice(_preSupplementCount);
               console.log(`🔍 Post-supplement filter: checking ${suppNewTracks.length} new tracks (${_suppConstraintRules.length} rules)...`);
               try {
-                const _suppFilterResp = await anthropic.messages.create({
-                  model: 'claude-haiku-4-5-20251001',
-                  max_tokens: 300,
-                  messages: [{
-                    role: 'user',
-                    content: `Rules (ALL must be enforced):\n${_suppConstraintRules.map((r, i) => `${i + 1}. ${r}`).join('\n')}
+                const _suppFilterResp = await llm.complete('constraintFilter', {
+                  maxTokens: 300,
+                  prompt: `Rules (ALL must be enforced):\n${_suppConstraintRules.map((r, i) => `${i + 1}. ${r}`).join('\n')}
 
 Tracks to check:
 ${suppNewTracks.map((t, i) => `${i + 1}. "${t.name}" by ${t.artist}`).join('\n')}
 
 List the NUMBER of every track that violates ANY rule. If all tracks pass, respond "NONE".
 IMPORTANT: Output ONLY comma-separated numbers or "NONE". No explanations, no track names, no reasoning. Examples of valid responses: "NONE" or "2" or "1, 3, 4".`
-                  }]
                 });
-                const _suppFilterText = _suppFilterResp.content[0]?.text?.trim() || 'NONE';
+                const _suppFilterText = _suppFilterResp.text?.trim() || 'NONE';
                 console.log(`��� Post-supplement filter: ${_suppFilterText}`);
                 if (_suppFilterText.toUpperCase() !== 'NONE') {
                   // Use regex to extract standalone numbers — avoids picking up list markers like "1." or "2."
@@ -9528,15 +8915,10 @@ IMPORTANT: Output ONLY comma-separated numbers or "NONE". No explanations, no tr
 
               await prefetchPlatformIds(gapPool, platform === 'spotify' ? 'spotify' : 'applemusic');
 
-              const gfStorefront = tokens?.storefront || 'us';
-              const gfAppleDevToken = platform === 'apple' ? generateAppleMusicToken() : null;
-              const gfAppleApi = gfAppleDevToken ? new AppleMusicService(gfAppleDevToken) : null;
-              const gfPlatformSvc = platform === 'apple' ? new PlatformService() : null;
-
               for (let gi = 0; gi < gapPool.length && selectedTracks.length < _earlyStopTarget; gi += BATCH_SIZE) {
                 const batch = gapPool.slice(gi, gi + BATCH_SIZE).filter(s => s.name?.trim());
                 const results = await Promise.all(batch.map(song =>
-                  findTrackOnPlatform(song, { storefront: gfStorefront, appleMusicApi: gfAppleApi, platformSvc: gfPlatformSvc, uuidSpotifyIdMap: _uuidToSpotifyId })
+                  findTrackOnPlatform(song, { uuidSpotifyIdMap: _uuidToSpotifyId })
                     .then(r => ({ song, result: r }))
                     .catch(() => ({ song, result: null }))
                 ));
@@ -9625,21 +9007,17 @@ IMPORTANT: Output ONLY comma-separated numbers or "NONE". No explanations, no tr
               const gfNewTracks = selectedTracks.slice(_preGapFillCount);
               console.log(`🔍 Post-gap-fill filter: checking ${gfNewTracks.length} new tracks (${_gfConstraintRules.length} rules)...`);
               try {
-                const _gfFilterResp = await anthropic.messages.create({
-                  model: 'claude-haiku-4-5-20251001',
-                  max_tokens: 300,
-                  messages: [{
-                    role: 'user',
-                    content: `Rules (ALL must be enforced):\n${_gfConstraintRules.map((r, i) => `${i + 1}. ${r}`).join('\n')}
+                const _gfFilterResp = await llm.complete('constraintFilter', {
+                  maxTokens: 300,
+                  prompt: `Rules (ALL must be enforced):\n${_gfConstraintRules.map((r, i) => `${i + 1}. ${r}`).join('\n')}
 
 Tracks to check:
 ${gfNewTracks.map((t, i) => `${i + 1}. "${t.name}" by ${t.artist}`).join('\n')}
 
 List the NUMBER of every track that violates ANY rule. If all tracks pass, respond "NONE".
 IMPORTANT: Output ONLY comma-separated numbers or "NONE". No explanations, no track names, no reasoning. Examples of valid responses: "NONE" or "2" or "1, 3, 4".`
-                  }]
                 });
-                const _gfFilterText = _gfFilterResp.content[0]?.text?.trim() || 'NONE';
+                const _gfFilterText = _gfFilterResp.text?.trim() || 'NONE';
                 console.log(`🔍 Post-gap-fill filter: ${_gfFilterText}`);
                 if (_gfFilterText.toUpperCase() !== 'NONE') {
                   // Use regex to extract standalone numbers — avoids picking up list markers like "1." or "2."
@@ -9753,38 +9131,28 @@ IMPORTANT: Output ONLY comma-separated numbers or "NONE". No explanations, no tr
     // inside the recommendedTracks>0 block was skipped. Run it here so the requested artist's
     // songs get added before the fallback check.
     if (allTracks.length === 0 && nosimilarWithSpotify.size > 0) {
-      const spotifyForTopTracks = appSpotify || userSpotifyApi;
+      const spotifyForTopTracks = appSpotify || (platform === 'spotify' ? catalog : null);
       if (spotifyForTopTracks) {
-        // Apple Music conversion setup
-        let appleMusicApiForDirect = null;
-        let storefrontForDirect = 'us';
-        if (platform === 'apple') {
-          const devToken = generateAppleMusicToken();
-          if (devToken) appleMusicApiForDirect = new AppleMusicService(devToken);
-          storefrontForDirect = tokens?.storefront || 'us';
-        }
-
         for (const artistLower of nosimilarWithSpotify) {
           const spotifyArtistId = confirmedSpotifyArtistIds[artistLower];
           if (!spotifyArtistId) continue;
           const artistDisplay = referenceSongs0.find(r => r.artist.toLowerCase() === artistLower)?.artist || artistLower;
           try {
             console.log(`🎵 [SPOTIFY-DIRECT-FB] Fetching top tracks for "${artistDisplay}" (${spotifyArtistId})...`);
-            const topTracksRes = await spotifyForTopTracks.getArtistTopTracks(spotifyArtistId, 'US');
-            const topTracks = (topTracksRes.body.tracks || []).slice(0, 5);
+            const topTracks = (await spotifyForTopTracks.getArtistTopTracks(spotifyArtistId, { market: topTracksMarket })).slice(0, 5);
             console.log(`  → using ${topTracks.length} top tracks for "${artistDisplay}"`);
             for (const t of topTracks) {
-              const isrc = t.external_ids?.isrc || null;
+              const isrc = t.isrc || null;
               let trackToAdd = t;
               // Convert Spotify track to Apple Music format when needed
-              if (platform === 'apple' && appleMusicApiForDirect) {
+              if (platform === 'apple' && catalog) {
                 let appleTrack = null;
                 if (isrc) {
-                  try { appleTrack = await appleMusicApiForDirect.lookupByIsrc(isrc, storefrontForDirect); } catch (_) {}
+                  try { appleTrack = await catalog.lookupByIsrc(isrc); } catch (_) {}
                 }
-                if (!appleTrack && appleMusicApiForDirect) {
+                if (!appleTrack) {
                   try {
-                    const items = await appleMusicApiForDirect.searchTracks(`${t.name} ${artistDisplay}`, storefrontForDirect, 5);
+                    const items = await catalog.searchTracks(`${t.name} ${artistDisplay}`, { limit: 5 });
                     if (items?.length > 0) {
                       const norm = artistDisplay.toLowerCase().replace(/[^a-z0-9]/g, '');
                       appleTrack = items.find(item => {
@@ -9801,7 +9169,7 @@ IMPORTANT: Output ONLY comma-separated numbers or "NONE". No explanations, no tr
                 trackToAdd = appleTrack;
               }
               // Simplified validateAndAdd — just dedup and push
-              if (seenTrackIds.has(trackToAdd.id)) continue;
+              if (seenTrackIds.has(trackToAdd.id) || isUnplayableTrack(trackToAdd)) continue;
               seenTrackIds.add(trackToAdd.id);
               const externalUrl = trackToAdd.url || trackToAdd.external_urls?.spotify ||
                 (platform === 'apple' ? `https://music.apple.com/us/song/${trackToAdd.id}` : null);
@@ -9933,12 +9301,9 @@ KEEP only:
             };
             const _fbRule = _fbUseCaseRules[_scUseCase] || '';
             console.log(`🎵 Fallback pool curation: Sonnet selecting ~${_fbTargetCount} from ${topSongs.length} candidates...`);
-            const _fbCurationCall = async () => anthropic.messages.create({
-              model: 'claude-sonnet-4-6',
-              max_tokens: 2000,
-              messages: [{
-                role: 'user',
-                content: `You are curating a playlist. From the candidates below, select ONLY the songs that match the user's request. Be strict — it is better to return fewer high-quality picks than to include songs that don't belong.
+            const _fbCurationCall = async () => llm.complete('curation', {
+              maxTokens: 2000,
+              prompt: `You are curating a playlist. From the candidates below, select ONLY the songs that match the user's request. Be strict — it is better to return fewer high-quality picks than to include songs that don't belong.
 
 ${_fbRule}
 
@@ -9950,7 +9315,6 @@ ${_fbTrackLines.join('\n')}
 Select up to ${_fbTargetCount} songs. Quality over quantity — reject anything that doesn't clearly belong.
 
 Return ONLY a JSON array of 1-based indices, nothing else. Example: [1, 3, 5, ...]`
-              }]
             });
             // Retry with exponential backoff on overloaded errors
             let _fbCurationResp;
@@ -9959,7 +9323,7 @@ Return ONLY a JSON array of 1-based indices, nothing else. Example: [1, 3, 5, ..
                 _fbCurationResp = await _fbCurationCall();
                 break;
               } catch (_retryErr) {
-                if (_retryErr.error?.type === 'overloaded_error' && _retry < 2) {
+                if (_retryErr.code === 'LLM_OVERLOADED' && _retry < 2) {
                   const _delay = Math.pow(2, _retry) * 1000;
                   console.log(`⏳ Fallback curation overloaded, retrying in ${_delay / 1000}s (attempt ${_retry + 2}/3)...`);
                   await new Promise(r => setTimeout(r, _delay));
@@ -9968,7 +9332,7 @@ Return ONLY a JSON array of 1-based indices, nothing else. Example: [1, 3, 5, ..
                 }
               }
             }
-            const _fbCurationText = _fbCurationResp.content[0].text.trim()
+            const _fbCurationText = _fbCurationResp.text.trim()
               .replace(/^```json\n?/, '').replace(/\n?```$/, '')
               .replace(/^```\n?/, '').replace(/\n?```$/, '');
             const _fbKeepMatch = _fbCurationText.match(/\[[\d,\s]*\]/);
@@ -9992,17 +9356,11 @@ Return ONLY a JSON array of 1-based indices, nothing else. Example: [1, 3, 5, ..
         // Phase A: pre-fetch SC platform IDs for songs missing ISRC
         await prefetchPlatformIds(topSongs, platform === 'spotify' ? 'spotify' : 'applemusic');
 
-        // Set up Apple Music instances once (reused across all batches)
-        const fbStorefront = tokens?.storefront || 'us';
-        const fbAppleDevToken = platform === 'apple' ? generateAppleMusicToken() : null;
-        const fbAppleApi = fbAppleDevToken ? new AppleMusicService(fbAppleDevToken) : null;
-        const fbPlatformSvc = platform === 'apple' ? new PlatformService() : null;
-
         // Phase B: parallel batches of 10
         for (let fi = 0; fi < topSongs.length && allTracks.length < songCount * 3; fi += BATCH_SIZE) {
           const batch = topSongs.slice(fi, fi + BATCH_SIZE).filter(s => s.name?.trim());
           const batchResults = await Promise.all(batch.map(song =>
-            findTrackOnPlatform(song, { storefront: fbStorefront, appleMusicApi: fbAppleApi, platformSvc: fbPlatformSvc, uuidSpotifyIdMap: _uuidToSpotifyId })
+            findTrackOnPlatform(song, { uuidSpotifyIdMap: _uuidToSpotifyId })
               .then(result => ({ song, result }))
               .catch(() => ({ song, result: null }))
           ));
@@ -10010,7 +9368,7 @@ Return ONLY a JSON array of 1-based indices, nothing else. Example: [1, 3, 5, ..
             if (allTracks.length >= songCount * 3) break;
             if (!result) continue;
             const { track } = result;
-            if (seenTrackIds.has(track.id)) continue;
+            if (seenTrackIds.has(track.id) || isUnplayableTrack(track)) continue;
             seenTrackIds.add(track.id);
             allTracks.push({
               id: track.id, name: track.name,
@@ -10039,6 +9397,7 @@ Return ONLY a JSON array of 1-based indices, nothing else. Example: [1, 3, 5, ..
 
 
     console.log(`Found ${allTracks.length} unique tracks before audio features filtering`);
+    progress.throwIfCancelled();
     console.log('DEBUG: About to define normalizeArtistForComparison, genreData exists:', typeof genreData !== 'undefined');
 
     // Helper function to normalize artist names (handles accents like GIVĒON -> GIVEON)
@@ -10222,7 +9581,7 @@ Return ONLY a JSON array of 1-based indices, nothing else. Example: [1, 3, 5, ..
 
     // SoundCharts already ranked songs by streams — take the top N directly.
     // Request 20% more if vibe check will run (it may trim some tracks).
-    const hasVibeRequirements = genreData.atmosphere.length > 0 || genreData.contextClues.useCase || genreData.era.decade || genreData.subgenre || genreData.trackConstraints.popularity.preference === 'underground' || genreData.energyTarget || genreData.mood || (genreData.contextClues.avoidances || []).length > 0 || genreData.genreAccessibility === 'newcomer' || (genreData.artistConstraints?.vocalGender && genreData.artistConstraints.vocalGender !== 'any');
+    const hasVibeRequirements = generation.hasVibeRequirements(genreData);
     const selectionTarget = hasVibeRequirements && !_phases ? Math.ceil(songCount * 1.2) : songCount;
 
     // Multi-phase: select proportionally from each phase's track pool
@@ -10241,40 +9600,8 @@ Return ONLY a JSON array of 1-based indices, nothing else. Example: [1, 3, 5, ..
       }
       console.log(`📋 Multi-phase total: ${selectedTracks.length} tracks across ${_phases.length} phases`);
     } else {
-      // ── Familiarity ratio split (80% hits / 20% deep cuts, etc.) ���────────────
-      const _famRatio = genreData.discoveryBalance?.familiarityRatio;
-      const _hitsFraction = _famRatio?.hits;
-      const _deepFraction = _famRatio?.deepCuts;
-      if (_hitsFraction && _deepFraction && (_hitsFraction + _deepFraction) >= 0.9) {
-        const hitsTarget = Math.round(songCount * _hitsFraction);
-        const deepTarget = Math.max(1, songCount - hitsTarget);
-        // Hits = high popularity (≥65), deep cuts = lower popularity (<65)
-        // Sort desc by popularity so we pick the most popular hits first
-        const hitPool = [...tracksForSelection].filter(t => (t.popularity ?? 50) >= 65)
-          .sort((a, b) => (b.popularity ?? 50) - (a.popularity ?? 50));
-        const deepPool = [...tracksForSelection].filter(t => (t.popularity ?? 50) < 65)
-          .sort((a, b) => (a.popularity ?? 50) - (b.popularity ?? 50)); // least popular first for discovery
-        const hitsSelected = hitPool.slice(0, hitsTarget);
-        const deepSelected = deepPool.slice(0, deepTarget);
-        // Interleave: roughly every Nth track is a deep cut so they're spread through the playlist
-        selectedTracks = [];
-        const deepEveryN = Math.max(2, Math.round(songCount / Math.max(deepSelected.length, 1)));
-        let deepIdx = 0, hitIdx = 0, pos = 0;
-        while (selectedTracks.length < songCount) {
-          if (deepIdx < deepSelected.length && pos > 0 && pos % deepEveryN === 0) {
-            selectedTracks.push(deepSelected[deepIdx++]);
-          } else if (hitIdx < hitsSelected.length) {
-            selectedTracks.push(hitsSelected[hitIdx++]);
-          } else if (deepIdx < deepSelected.length) {
-            selectedTracks.push(deepSelected[deepIdx++]);
-          } else break;
-          pos++;
-        }
-        console.log(`🎯 Familiarity ratio ${Math.round(_hitsFraction*100)}/${Math.round(_deepFraction*100)}: ${hitsSelected.length} hits + ${deepSelected.length} deep cuts = ${selectedTracks.length} tracks`);
-      } else {
-        selectedTracks = tracksForSelection.slice(0, selectionTarget);
-        console.log(`📋 Using top ${selectedTracks.length} tracks (${hasVibeRequirements ? 'vibe check will run' : 'no vibe check needed'})`);
-      }
+      // ── Familiarity ratio split (80% hits / 20% deep cuts, etc.) ──
+      ({ selectedTracks } = await generation.runStage('familiarity-split', { tracksForSelection, genreData, songCount, selectionTarget, hasVibeRequirements }, generationDeps));
     }
 
     // Step 3.5: Catalog context overrides — deterministic filter for known false positives.
@@ -10304,259 +9631,30 @@ Return ONLY a JSON array of 1-based indices, nothing else. Example: [1, 3, 5, ..
       }
     }
 
-    // Step 4: VIBE CHECK - Review the selected tracks for coherence
-    // This addresses the #1 complaint: AI missing the "vibe" even when genres match
-    // Also filters out mainstream artists when underground preference is detected
-    // Skipped for multi-phase playlists — each phase was already fetched with phase-specific
-    // energy/mood filters, so a single-vibe check would incorrectly remove cross-phase tracks.
-    if (selectedTracks.length > 0 && !_phases && hasVibeRequirements) {
-      console.log('Running vibe check on selected tracks...');
-
-      // Build use-case and audience hard constraint rules for the vibe check
-      const _uc = (genreData.contextClues.useCase || '').toLowerCase();
-      const _audience = genreData.contextClues.audience || [];
-      const _promptLower = prompt.toLowerCase();
-      const _avoidances = genreData.contextClues.avoidances || [];
-      const _vibeHardRules = [];
-
-      // Use-case hard constraint rules — useCase values are canonical (see extraction schema)
-      if (_uc === 'workout') {
-        _vibeHardRules.push('WORKOUT — HARD RULE: REMOVE any slow, emotional, sad, mellow, or mid-tempo songs. Every track must feel pump-up and high energy. Think: does this make you want to sprint? If no, cut it. Examples to REMOVE: SZA "30 For 30" (slow emotional duet), SZA "20 Something" (introspective slow R&B), Khalid "8TEEN" (coming-of-age mid-tempo), Khalid "Young Dumb & Broke" (mid-tempo), The Weeknd "A Lesser Man" (slow R&B), The Weeknd "Call Out My Name" (slow ballad), Sia "3 Minutes \'Til New Years" (slow ballad), Dua Lipa "Anything For Love" (mid-tempo ballad), Camila Cabello "Am I Wrong" (slow pop), Akon "Mama Africa" (slow world pop), Lady Gaga "1000 Doves" (power ballad), 50 Cent "21 Questions" (slow R&B), benny blanco "Bad Decisions" (mid-tempo pop) — all WRONG for workout. Keep high-energy tracks like: Eminem "Till I Collapse", Macklemore "Ain\'t Gonna Die Tonight", Marshmello dance tracks, Imagine Dragons up-tempo rock.');
-      }
-      if (_uc === 'focus') {
-        _vibeHardRules.push('FOCUS/STUDY — HARD RULE: REMOVE any high-energy, hype, aggressive, or distracting songs. No heavy bass drops, intense rap verses, or anything that would pull attention away from deep work. Only calm, background-friendly music that blends into the background.');
-      }
-      if (_uc === 'sleep') {
-        _vibeHardRules.push('SLEEP — HARD RULE: REMOVE anything with a strong beat, energetic production, or that could keep someone awake. Only the most soothing, minimal, ultra-calm tracks.');
-      }
-      if (_uc === 'party') {
-        _vibeHardRules.push('PARTY/PREGAME — HARD RULE: REMOVE any track that is mid-tempo, emotional, melancholic, introspective, or would not work on a dancefloor — even if the artist is generally associated with upbeat music. The test is: would a DJ play this to keep a crowd dancing and hyped? If not, remove it. This means removing the slow/soft cuts from otherwise upbeat artists too — e.g. Sia "Elastic Heart" (mid-tempo emotional, WRONG), Dua Lipa "Bad Together" or "Anything For Love" (ballads, WRONG), Camila Cabello "All These Years" or "Am I Wrong" (slow, WRONG), Lin-Manuel Miranda charity/film cuts (WRONG), SZA slow R&B ("30 For 30", "2AM", "20 Something" — WRONG), Khalid ("8TEEN", "Young Dumb & Broke" — WRONG), The Weeknd R&B ballads ("A Lonely Night", "A Lesser Man" — WRONG), Rihanna ("Unfaithful", "Stay" — WRONG), slow Kanye ("30 Hours" — WRONG), benny blanco mid-tempo pop ("Bad Decisions" — WRONG). Every track must be something a DJ would play to keep a crowd moving.');
-      }
-      if (_uc === 'summer') {
-        _vibeHardRules.push('SUMMER VIBES — HARD RULE: This playlist is for warm, bright, carefree summer energy. REMOVE any track that is slow, mellow, low-energy, melancholic, anxious, or emotionally heavy — regardless of season. No breakup ballads, no late-night sad R&B, no emotionally heavy slow jams. "A Lonely Night" (The Weeknd), "30 For 30" (SZA), "All I Want" (Olivia Rodrigo), "Slut! (Taylor\'s Version)", "2AM" (SZA), "All This Madness" (Sam Smith) — all WRONG for this context. Every track should feel like it belongs on a beach or a summer road trip.');
-      }
-      // Explicit user avoidances
-      if (_avoidances.some(a => a.toLowerCase().includes('slow')) || _promptLower.includes('no slow')) {
-        _vibeHardRules.push('NO SLOW SONGS — HARD RULE: The user explicitly said no slow songs. REMOVE any track that is slow, mellow, or would be classified as a ballad.');
-      }
-      if (_avoidances.some(a => a.toLowerCase().includes('loud')) || _avoidances.some(a => a.toLowerCase().includes('distracting'))) {
-        _vibeHardRules.push('NO LOUD/DISTRACTING SONGS — HARD RULE: REMOVE any high-energy, heavy, or intense tracks.');
-      }
-
-      // Hard BPM constraint
-      const _bpmMin = genreData.bpmConstraint?.min;
-      const _bpmMax = genreData.bpmConstraint?.max;
-      if (_bpmMin || _bpmMax) {
-        const bpmDesc = _bpmMin && _bpmMax
-          ? `between ${_bpmMin} and ${_bpmMax} BPM`
-          : _bpmMin ? `above ${_bpmMin} BPM` : `below ${_bpmMax} BPM`;
-        _vibeHardRules.push(`BPM CONSTRAINT — HARD RULE: The user explicitly requested songs ${bpmDesc}. REMOVE any track that sounds significantly slower or faster than this range. Use your knowledge of typical BPM ranges per genre: EDM/techno ~128-150+, fast hip-hop ~90-100+, ballads ~60-80, etc.`);
-      }
-
-      // Explicit content
-      if (!allowExplicit) {
-        _vibeHardRules.push('CLEAN/EXPLICIT — HARD RULE: REMOVE any track with explicit language, profanity, or mature content. No exceptions — the user has requested clean music only.');
-      }
-
-      // Mood / valence constraints
-      const _mood = genreData.mood;
-      if (_mood === 'positive') {
-        _vibeHardRules.push('POSITIVE MOOD — HARD RULE: REMOVE sad, melancholic, gloomy, or somber tracks. This playlist should feel pleasant and uplifting. "Calm" does NOT mean "sad" — only keep tracks that feel warm, neutral-to-positive, or happy. Phoebe Bridgers, Sufjan Stevens, and similar artists known for sadness should be removed unless the specific song is clearly upbeat.');
-      } else if (_mood === 'melancholic') {
-        _vibeHardRules.push('MELANCHOLIC MOOD — HARD RULE: REMOVE hype, aggressive, or party-energy tracks. Keep emotionally resonant, introspective, or bittersweet songs. Avoid angry or toxic energy — sad and peaceful, not sad and hostile.');
-      }
-
-      // Excluded artists — vibe check reinforces the hard filter in validateAndAdd
-      const _excludedInVibe = genreData.artistConstraints?.excludedArtists || [];
-      if (_excludedInVibe.length > 0) {
-        _vibeHardRules.push(`EXCLUDED ARTISTS — HARD RULE: The user explicitly banned the following artists: ${_excludedInVibe.join(', ')}. REMOVE any track by these artists or any track that is directly associated with them (e.g. collab tracks, features). No exceptions.`);
-      }
-
-      // "No mainstream" / underground preference
-      const _maxPopForVibeRule = genreData.trackConstraints?.popularity?.max;
-      if (_popPref === 'underground' || (_maxPopForVibeRule !== null && _maxPopForVibeRule !== undefined && _maxPopForVibeRule <= 60)) {
-        _vibeHardRules.push('NO MAINSTREAM HITS — HARD RULE: The user explicitly requested underground/deep cuts only. REMOVE any artist with radio hits, chart success, major label backing, or household-name recognition. Travis Scott, Kanye West, Drake, The Weeknd, Rihanna, Ariana Grande, and similar mainstream acts must be REMOVED even if their sound matches the genre. Only keep artists who are genuinely underground, indie, or niche.');
-      }
-
-      // Gender constraint
-      const _vocalGender = genreData.artistConstraints?.vocalGender;
-      if (_vocalGender === 'female') {
-        _vibeHardRules.push('GENDER — HARD RULE: The user requested FEMALE artists only. REMOVE any track by a male solo artist, male rapper, or male-fronted band. Only female solo artists, female rappers, and female-fronted groups are allowed. If you don\'t recognize an artist and cannot determine their gender, REMOVE the track — err on the side of caution. Examples to REMOVE: The Weeknd, Drake, J. Cole, dvsn, Big Sean, James Blake, Metro Boomin, Kendrick Lamar — ALL must be removed. No exceptions even if the song sounds perfect for the vibe.');
-      } else if (_vocalGender === 'male') {
-        _vibeHardRules.push('GENDER — HARD RULE: The user requested MALE artists only. REMOVE any track by a female solo artist, female rapper, or female-fronted band. If you don\'t recognize an artist and cannot determine their gender, REMOVE the track — err on the side of caution. No exceptions.');
-      }
-
-      // Cohesion / smooth-transitions request
-      const _wantsCohesion = genreData.discoveryBalance?.preference === 'cohesive' ||
-        ['no skips', 'smooth transition', 'consistent vibe', 'walks away', 'walk away', 'background music', 'no jarring', 'no whiplash'].some(s => _promptLower.includes(s));
-      if (_wantsCohesion) {
-        _vibeHardRules.push('COHESION — HARD RULE: This playlist must feel like one continuous listening experience. REMOVE any track that would create an abrupt tonal shift — mismatched genres (e.g. industrial electronic next to indie-pop), extreme energy jumps (e.g. ambient drone then trap banger), or artists whose overall sonic identity is clearly out of place with the rest of the playlist. If a track belongs to a completely different sonic world than 80% of the others, cut it.');
-      }
-
-      // Audience safety constraints
-      const _isChristian = _audience.includes('christian') || _promptLower.includes('christian') || _promptLower.includes('church') || _promptLower.includes('worship') || _promptLower.includes('gospel');
-      const _isFamily    = _audience.includes('family') || _audience.includes('clean') || _promptLower.includes('family') || _promptLower.includes('kids') || _promptLower.includes('children');
-      const _isYouth     = _audience.includes('youth') || _promptLower.includes('youth retreat') || _promptLower.includes('youth group');
-      if (_isChristian) {
-        _vibeHardRules.push('CHRISTIAN/RELIGIOUS CONTEXT — HARD RULE: ONLY keep explicitly Christian, worship, gospel, or faith-based music. REMOVE all secular artists — even if the music sounds "positive" or "uplifting," secular pop/rock/hip-hop does NOT belong here. Artists like TobyMac, Crowder, Lauren Daigle, Chris Tomlin, Hillsong, Lecrae are appropriate. Artists like Three Days Grace, Falling In Reverse, Imagine Dragons, or any secular act must be REMOVED.');
-      } else if (_isFamily || _isYouth) {
-        _vibeHardRules.push('CLEAN/FAMILY/YOUTH CONTEXT — HARD RULE: REMOVE any songs or artists associated with dark themes, aggression, sexual content, explicit language, or inappropriate messaging. Keep it positive and safe for all ages.');
-      }
-
-      // Genre accessibility
-      if (genreData.genreAccessibility === 'newcomer') {
-        _vibeHardRules.push(`GENRE NEWCOMER — HARD RULE: The user is new to this genre and asked to be eased in. REMOVE any artist or track that requires genre expertise to appreciate: avant-garde works, dense bebop, free jazz, atonal classical, extreme metal subgenres, or anything that would intimidate a first-time listener. Keep only approachable, melodic, widely-loved entry-point tracks.`);
-      } else if (genreData.genreAccessibility === 'curious') {
-        _vibeHardRules.push(`GENRE CURIOUS — HARD RULE: The user already knows the obvious names in this genre and wants to explore deeper. REMOVE the most ubiquitous, overplayed tracks that appear on every introductory playlist — the user has already heard these. Keep acclaimed artists and tracks that are one tier deeper than the household names. A mix of recognizable-but-not-obvious and genuinely deeper picks is ideal.`);
-      } else if (genreData.genreAccessibility === 'enthusiast') {
-        _vibeHardRules.push(`GENRE ENTHUSIAST — HARD RULE: The user is a deep listener who knows the classics inside out. REMOVE any track that would appear on a "best of" or "introduction to" playlist for this genre. Prioritize deep cuts, lesser-known albums, and artists that only dedicated fans would recognize.`);
-      }
-
-      const vibeCheckPrompt = `You are reviewing a playlist to ensure it has a COHERENT VIBE and emotional atmosphere.
-
-Original user request: "${prompt}"
-
-REQUIRED VIBE/CONTEXT:
-- Target atmosphere: ${genreData.atmosphere.join(', ') || 'not specified'}
-- Use case: ${genreData.contextClues.useCase || 'not specified'}
-- Subgenre: ${genreData.subgenre || 'not specified'}
-- Era/decade: ${genreData.era.decade || 'not specified'}
-- Avoid: ${genreData.contextClues.avoidances.join('; ') || 'nothing'}
-- Popularity preference: ${genreData.trackConstraints.popularity.preference || 'not specified'}${genreData.trackConstraints.popularity.preference === 'underground' ? ' ← CRITICAL: STRICTLY remove ALL mainstream/radio/chart artists' : ''}
-- Genre accessibility: ${genreData.genreAccessibility || 'not specified'}
-${_vibeHardRules.length > 0 ? `
-⚠️  HARD CONSTRAINTS (non-negotiable — enforce these BEFORE anything else):
-${_vibeHardRules.map(r => `• ${r}`).join('\n')}
-` : ''}
-Selected tracks:
-${selectedTracks.map((t, i) => `${i + 1}. "${t.name}" by ${t.artist || 'Unknown Artist'}`).join('\n')}
-
-Review this track list and identify any songs that are TECHNICALLY correct (right genre/production style) but EMOTIONALLY OR LYRICALLY WRONG (don't fit the vibe/atmosphere/context). Use your knowledge of each song's actual lyrical content, not just its sound.
-
-For example:
-- If use case is "focus" or "study", songs that are too intense/distracting should be removed
-- If atmosphere is "melancholic" or "dreamy", upbeat party songs should be removed
-- If era is "90s", songs from 2020s should be removed
-- If subgenre is "neo-soul", trap songs should be removed even if both are R&B
-- If use case is "sensual" or "intimate", songs that are lyrically about heartbreak, breakups, nostalgia, or loss should be removed EVEN IF they sound smooth/mellow/slow — lyrical content overrides production style
-- If the user specified a brand/franchise/studio (e.g. "Disney classics", "Pixar songs", "Studio Ghibli"), remove any song that does NOT belong to that brand — a DreamWorks song in a Disney playlist is wrong, a Fox film song in a Pixar playlist is wrong, etc.
-- If popularity preference is "underground", BE EXTREMELY STRICT - remove ANY artist that:
-  * Has had radio hits or chart success (Top 40, Hot 100, etc.)
-  * Has millions of monthly listeners on streaming platforms
-  * Is signed to a major label (RCA, Columbia, Atlantic, Interscope, Def Jam, etc.)
-  * Has collaborated with mainstream artists (Drake, The Weeknd, Travis Scott, etc.)
-  * Is commonly known outside underground/indie circles
-  * Has any songs with 100M+ streams
-
-  Examples to REMOVE: SZA, Miguel, Khalid, Daniel Caesar, H.E.R., Summer Walker, Brent Faiyaz, Drake, The Weeknd, Jhené Aiko, Kehlani, Frank Ocean, Tyler the Creator, Steve Lacy, Kali Uchis, Tinashe, Normani, 6LACK, Giveon, Ari Lennox, Ella Mai, Snoh Aalegra, Michael Jackson, Usher, Chris Brown, Cassie, 112, Ginuwine, Ty Dolla $ign, Sonder, Jorja Smith, etc.
-
-  KEEP ONLY: True underground/indie artists with minimal mainstream recognition, like the requested artists in the prompt.
-
-Respond ONLY with valid JSON:
-{
-  "vibeIssues": [
-    {"index": 1, "trackName": "Song Name", "reason": "why it doesn't fit the vibe"},
-    ...
-  ],
-  "keepIndices": [list of indices (1-based) of songs that DO fit the vibe and should be kept]
-}
-
-Be EXTREMELY strict about vibe coherence, especially for underground preference and any hard constraints listed above. When in doubt, REMOVE the track.
-
-DO NOT include any text outside the JSON.`;
-
-      try {
-        const vibeCheckResponse = await anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 4000,
-          messages: [{
-            role: 'user',
-            content: vibeCheckPrompt
-          }]
-        });
-
-        let vibeCheckText = vibeCheckResponse.content[0].text.trim();
-        // Handle markdown code blocks
-        if (vibeCheckText.startsWith('```json')) {
-          vibeCheckText = vibeCheckText.replace(/^```json\n?/, '').replace(/\n?```$/, '');
-        } else if (vibeCheckText.startsWith('```')) {
-          vibeCheckText = vibeCheckText.replace(/^```\n?/, '').replace(/\n?```$/, '');
-        }
-        const vibeCheckData = JSON.parse(vibeCheckText);
-
-        if (vibeCheckData.vibeIssues && vibeCheckData.vibeIssues.length > 0) {
-          console.log(`Vibe check found ${vibeCheckData.vibeIssues.length} tracks that don't fit the vibe:`);
-          vibeCheckData.vibeIssues.forEach(issue => {
-            const _issuedTrack = selectedTracks[issue.index - 1];
-            const _issueSrc = _issuedTrack?._source || 'unknown-source';
-            const _issueEnergy = _issuedTrack?._scEnergy != null ? ` energy: ${_issuedTrack._scEnergy.toFixed(2)}` : ' energy: n/a';
-            console.log(`  ❌ VIBE_CHECK removed: "${issue.trackName}" [source: ${_issueSrc},${_issueEnergy}] — ${issue.reason}`);
-          });
-
-          // Filter to only keep tracks that passed the vibe check
-          const tracksAfterVibeCheck = vibeCheckData.keepIndices
-            .map(index => selectedTracks[index - 1])
-            .filter(track => track !== undefined);
-
-          console.log(`After vibe check: ${tracksAfterVibeCheck.length} tracks remain (removed ${selectedTracks.length - tracksAfterVibeCheck.length} tracks)`);
-
-          // If vibe check was too aggressive (removed more than half), fall back to
-          // the pre-vibe-check selection so we don't end up with far too few songs.
-          // EXCEPTION: when a useCase is present, the vibe check is enforcing useCase rules
-          // (e.g. rejecting vocal tracks for a focus+instrumental request). Overriding it
-          // would produce completely wrong playlists (party pop in a focus playlist).
-          const _vibeCheckTrustUseCase = !!_scUseCase;
-          if (tracksAfterVibeCheck.length < songCount / 2 && tracksAfterVibeCheck.length < selectedTracks.length && !_vibeCheckTrustUseCase) {
-            console.warn(`Vibe check too aggressive (${tracksAfterVibeCheck.length}/${songCount}), reverting to pre-vibe-check selection`);
-            selectedTracks = selectedTracks.slice(0, songCount);
-          } else if (tracksAfterVibeCheck.length < songCount / 2 && tracksAfterVibeCheck.length < selectedTracks.length && _vibeCheckTrustUseCase) {
-            console.log(`ℹ️  Vibe check strict (${tracksAfterVibeCheck.length}/${songCount}) but useCase="${_scUseCase}" — trusting vibe check`);
-            selectedTracks = tracksAfterVibeCheck;
-          } else if (tracksAfterVibeCheck.length > songCount) {
-            selectedTracks = tracksAfterVibeCheck.slice(0, songCount);
-            console.log(`Trimmed to target count: ${selectedTracks.length} songs (${tracksAfterVibeCheck.length - selectedTracks.length} extra removed)`);
-          } else if (tracksAfterVibeCheck.length < songCount) {
-            // Below target after vibe check — skip backfill from the same pool (it contains
-            // tracks the vibe check already deemed off-vibe). The supplement path downstream
-            // will re-query SC with proper genre filters to fill the gap with clean candidates.
-            console.log(`Below target count (${tracksAfterVibeCheck.length}/${songCount}) after vibe check — skipping backfill, supplement path will handle shortfall`);
-            selectedTracks = tracksAfterVibeCheck;
-          } else {
-            // Exactly at target
-            selectedTracks = tracksAfterVibeCheck;
-          }
-        } else {
-          console.log('Vibe check passed - all tracks fit the intended atmosphere');
-        }
-      } catch (vibeCheckError) {
-        console.log('Vibe check failed or could not parse, keeping original selection:', vibeCheckError.message);
-        // Continue with original selection if vibe check fails
-      }
-    } else {
-      console.log('Skipping vibe check (no specific atmosphere/context requirements)');
+    // Step 4: VIBE CHECK - Review the selected tracks for coherence (see generation/stages/vibeCheck.js)
+    const _vibeStage = await generation.runStage('vibe-check', { selectedTracks, genreData, prompt, songCount, allowExplicit }, generationDeps);
+    selectedTracks = _vibeStage.selectedTracks;
+    if (_vibeStage.vibeIssues.length > 0) {
+      progress.stage('vibe-check', `Vibe check flagged ${_vibeStage.vibeIssues.length} song${_vibeStage.vibeIssues.length === 1 ? '' : 's'} that didn't fit`, {
+        flagged: _vibeStage.vibeIssues.map(issue => ({ trackName: issue.trackName, reason: issue.reason })),
+      });
+      progress.tracks(selectedTracks);
     }
+    progress.throwIfCancelled();
 
     // ── Fix 2: Force-include 1-2 songs from each explicitly requested artist ──
     // If the user named specific artists in their prompt but none of their songs
     // survived the pool/vibe-check pipeline, inject them now.
-    // Platform-aware: uses Spotify catalog for Spotify users, Apple Music catalog for Apple users.
+    // Platform-aware: searches the listener's catalog (Spotify or Apple Music).
     try {
       const requestedArtists = (genreData.artistConstraints?.requestedArtists || [])
         .filter(a => a && typeof a === 'string');
 
-      const canForceInclude = requestedArtists.length > 0 &&
-        (platform !== 'apple' ? !!appSpotify : !!AppleMusicService);
+      const canForceInclude = requestedArtists.length > 0 && !!catalog;
 
       if (canForceInclude) {
         const normalizeArtist = (s) => s.toLowerCase().replace(/[^a-z0-9]/g, '');
 
-        // Apple Music search service (only needed for apple platform)
-        let appleMusicApiForForce = null;
-        if (platform === 'apple') {
-          const devToken = generateAppleMusicToken();
-          if (devToken) appleMusicApiForForce = new AppleMusicService(devToken);
-        }
-
         // Build a set of artist names already in the playlist
         const presentArtists = new Set(
           selectedTracks.map(t => normalizeArtist(t.artist || ''))
@@ -10571,29 +9669,15 @@ DO NOT include any text outside the JSON.`;
 
           console.log(`[FORCE-INCLUDE] "${artistName}" not in playlist — searching for top track`);
           try {
-            let match = null;
-
-            if (platform === 'apple' && appleMusicApiForForce) {
-              // Apple Music: search by artist name, pick first result that matches artist
-              const storefront = tokens?.storefront || 'us';
-              const candidates = await appleMusicApiForForce.searchTracks(`${artistName}`, storefront, 10);
-              match = candidates.find(track => {
-                const primaryArtist = normalizeArtist(track.artists?.[0]?.name || '');
-                return primaryArtist === normName ||
-                  primaryArtist.includes(normName) ||
-                  normName.includes(primaryArtist);
-              });
-            } else if (appSpotify) {
-              // Spotify: use artist: filter for precision
-              const searchResult = await appSpotify.searchTracks(`artist:${artistName}`, { limit: 10, market: 'US' });
-              const candidates = searchResult?.tracks?.items || [];
-              match = candidates.find(track => {
-                const primaryArtist = normalizeArtist(track.artists?.[0]?.name || '');
-                return primaryArtist === normName ||
-                  primaryArtist.includes(normName) ||
-                  normName.includes(primaryArtist);
-              });
-            }
+            // Search by artist name (Spotify: artist: filter for precision), pick first result that matches artist
+            const candidates = await catalog.searchTracks(platform === 'apple' ? artistName : `artist:${artistName}`, { limit: 10 });
+            let match = candidates.find(track => {
+              if (isUnplayableTrack(track)) return false;
+              const primaryArtist = normalizeArtist(track.artists?.[0]?.name || '');
+              return primaryArtist === normName ||
+                primaryArtist.includes(normName) ||
+                normName.includes(primaryArtist);
+            });
 
             // Skip explicit tracks if user wants clean content
             if (match && !allowExplicit && match.explicit) {
@@ -10670,16 +9754,12 @@ DO NOT include any text outside the JSON.`;
         const trackList = selectedTracks.map((t, i) =>
           `${i + 1}. "${t.name}" by ${t.artist} [phase: ${t._phaseLabel || 'unknown'}]`
         ).join('\n');
-        const smoothRes = await anthropic.messages.create({
-          model: 'claude-haiku-4-5-20251001',
-          max_tokens: 600,
+        const smoothRes = await llm.complete('phaseSmoothing', {
+          maxTokens: 600,
           temperature: 0,
-          messages: [{
-            role: 'user',
-            content: `Multi-phase playlist: ${phaseDesc}\n\nTrack list:\n${trackList}\n\nReorder to smooth energy transitions between phases:\n- Keep all same-phase tracks grouped together (never mix phases)\n- At each phase boundary, reorder the last 2 tracks of the outgoing phase and first 2 tracks of the incoming phase so energy shifts gradually (bridge tracks at end of phase A blend toward phase B energy, entry tracks at start of phase B start softer)\n\nReturn ONLY a JSON array of 1-based track numbers in the new order.`
-          }]
+          prompt: `Multi-phase playlist: ${phaseDesc}\n\nTrack list:\n${trackList}\n\nReorder to smooth energy transitions between phases:\n- Keep all same-phase tracks grouped together (never mix phases)\n- At each phase boundary, reorder the last 2 tracks of the outgoing phase and first 2 tracks of the incoming phase so energy shifts gradually (bridge tracks at end of phase A blend toward phase B energy, entry tracks at start of phase B start softer)\n\nReturn ONLY a JSON array of 1-based track numbers in the new order.`
         });
-        const smoothText = smoothRes.content[0].text.trim()
+        const smoothText = smoothRes.text.trim()
           .replace(/^```json\n?/, '').replace(/\n?```$/, '');
         const smoothMatch = smoothText.match(/\[[\d,\s]+\]/);
         if (smoothMatch) {
@@ -10695,42 +9775,8 @@ DO NOT include any text outside the JSON.`;
       }
     }
 
-    // ── Energy progression sequencing ──────────────────────────────────────────
-    // For "build from chill → hype" or "peak then wind down" prompts, ask Claude
-    // to reorder the final tracks by energy. Uses Haiku for speed.
-    // Skipped for multi-phase — transition smoothing above handles sequencing.
-    if (genreData.energyProgression && !_phases && selectedTracks.length >= 4) {
-      try {
-        const direction = genreData.energyProgression === 'ramp_up'
-          ? 'low to high energy (chill/mellow first, intense/hype last)'
-          : 'high to low energy (intense/hype first, chill/mellow last)';
-        const trackList = selectedTracks.map((t, i) => `${i + 1}. "${t.name}" by ${t.artist}`).join('\n');
-        const seqResponse = await anthropic.messages.create({
-          model: 'claude-haiku-4-5-20251001',
-          max_tokens: 400,
-          temperature: 0,
-          messages: [{
-            role: 'user',
-            content: `Reorder these playlist tracks from ${direction}. Return ONLY a JSON array of the 1-based original track numbers in the new order. No explanation.\n\n${trackList}`
-          }]
-        });
-        const seqText = seqResponse.content[0].text.trim()
-          .replace(/^```json\n?/, '').replace(/\n?```$/, '');
-        const seqMatch = seqText.match(/\[[\d,\s]+\]/);
-        if (seqMatch) {
-          const order = JSON.parse(seqMatch[0]);
-          const reordered = order
-            .map(idx => selectedTracks[idx - 1])
-            .filter(Boolean);
-          if (reordered.length >= Math.ceil(selectedTracks.length * 0.8)) {
-            selectedTracks = reordered;
-            console.log(`🎚️ Sequenced tracks ${genreData.energyProgression}: ${direction}`);
-          }
-        }
-      } catch (seqErr) {
-        console.log('[SEQUENCING] Skipped due to error:', seqErr.message);
-      }
-    }
+    // ── Energy progression sequencing (see generation/stages/energyProgression.js) ──
+    ({ selectedTracks } = await generation.runStage('energy-progression', { selectedTracks, genreData }, generationDeps));
 
     // Track artists from generated playlist to database for future filtering
     if (platformUserId && selectedTracks.length > 0) {
@@ -10783,16 +9829,88 @@ DO NOT include any text outside the JSON.`;
       trackCount: selectedTracks.length
     });
   } catch (error) {
+    if (error.code === 'GENERATION_CANCELLED') {
+      console.log(`[GENERATE] ${error.message} — generation stopped`);
+      return;
+    }
     console.error('Error generating playlist:', error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({ 
       error: 'Failed to generate playlist',
       details: error.message 
     });
   }
+}
+
+app.post('/api/generate-playlist', requirePlaylistOwner(req => req.body.playlistId), (req, res) => generatePlaylistHandler(req, res));
+
+// Streaming variant: same pipeline, but stage events and partial track lists are
+// pushed over text/event-stream as they happen. Closing the connection cancels
+// generation at the next stage boundary.
+app.post('/api/generate-playlist/stream', requirePlaylistOwner(req => req.body.playlistId), async (req, res) => {
+  const { progress, send, end } = generation.createSseProgress(res);
+  req.generationProgress = progress;
+  await generatePlaylistHandler(req, generation.createSseResponse(send, end));
+  end();
 });
 
+// In-process call into the generate-playlist handler (used by the auto-update worker
+// instead of a loopback HTTP request). Resolves with the JSON body; rejects on 4xx/5xx.
+// Runs past IN_PROCESS_GENERATION_TIMEOUT_MS reject with a 504 and are cancelled at the
+// next stage boundary, the way the old request's axios timeout cut them off.
+const IN_PROCESS_GENERATION_TIMEOUT_MS = 3 * 60 * 1000;
+
+async function generatePlaylistInProcess(body, { timeoutMs = IN_PROCESS_GENERATION_TIMEOUT_MS } = {}) {
+  let payload = null;
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { payload = data; return this; },
+  };
+
+  let timedOut = false;
+  let timer = null;
+  const generationProgress = {
+    ...generation.NOOP_PROGRESS,
+    throwIfCancelled() {
+      if (!timedOut) return;
+      const err = new Error(`Generation timed out after ${timeoutMs / 1000}s`);
+      err.code = 'GENERATION_CANCELLED';
+      throw err;
+    },
+    isCancelled: () => timedOut,
+  };
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      const err = new Error(`generate-playlist timed out after ${timeoutMs / 1000}s`);
+      err.status = 504;
+      reject(err);
+    }, timeoutMs);
+  });
+  try {
+    await Promise.race([
+      generatePlaylistHandler({ body, generationProgress }, res, { internalCall: true }),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (res.statusCode >= 400 || !payload) {
+    const err = new Error(payload?.details || payload?.error || `generate-playlist returned ${res.statusCode}`);
+    err.status = res.statusCode;
+    // PLATFORM_RECONNECT_REQUIRED, so callers can tell a revoked connection apart
+    if (payload?.code) {
+      err.code = payload.code;
+      err.platform = payload.platform;
+    }
+    throw err;
+  }
+  return payload;
+}
+
 // Create playlist on Spotify
-app.post('/api/create-playlist', async (req, res) => {
+app.post('/api/create-playlist', requireOwner, async (req, res) => {
   try {
     let { userId, playlistName, description, trackUris, updateFrequency, updateMode, isPublic, prompt, chatMessages, excludedSongs, genreData, tracks } = req.body;
 
@@ -10866,51 +9984,22 @@ app.post('/api/create-playlist', async (req, res) => {
       });
     }
 
-    if (isEmailBasedUserId(userId)) {
-      // Check which platform is actively connected
-      const user = await db.getUser(userId);
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      // Use the actively connected platform (check Apple Music first for consistency with other endpoints)
-      if (user.connectedPlatforms?.apple) {
-        platformUserId = await resolvePlatformUserId(userId, 'apple');
-        platform = 'apple';
-        console.log('Creating playlist on Apple Music for user:', platformUserId);
-      } else if (user.connectedPlatforms?.spotify) {
-        platformUserId = await resolvePlatformUserId(userId, 'spotify');
-        platform = 'spotify';
-        console.log('Creating playlist on Spotify for user:', platformUserId);
-      }
-
-      if (!platformUserId) {
-        return res.status(404).json({ error: 'No music platform connected' });
-      }
-    } else {
-      // For old platform-specific userIds, detect platform from prefix
-      const platformService = new PlatformService();
-      platform = platformService.getPlatform(platformUserId);
-    }
-
-    const tokens = await getUserTokens(platformUserId);
-    if (!tokens) {
-      console.error('No tokens found for platformUserId:', platformUserId);
-      return res.status(401).json({ error: 'User not authenticated' });
+    // Email-based userIds create on the actively connected platform
+    // (Apple Music first, for consistency with other endpoints)
+    let connection;
+    try {
+      connection = await openPlatformAdapter(userId, isEmailBasedUserId(userId) ? await activePlatformFor(userId) : null);
+    } catch (connectError) {
+      console.error(`Can't create playlist for ${userId}: ${connectError.message}`);
+      return res.status(connectError.status || 500).json({ error: connectError.message, ...(connectError.code && { code: connectError.code }) });
     }
+    ({ platform, platformUserId } = connection);
 
-    console.log(`Creating playlist on ${platform}...`);
+    const regionCheck = await regionAvailability.filterPlayableTracks(connection.adapter, trackUris, tracks);
+    trackUris = regionCheck.trackUris;
 
-    // Create playlist using platform service
-    const platformService = new PlatformService();
-    const playlistResult = await platformService.createPlaylist(
-      platformUserId,
-      playlistName,
-      description,
-      trackUris,
-      tokens,
-      isPublic
-    );
+    console.log(`Creating playlist on ${platform} for user:`, platformUserId);
+    const playlistResult = await connection.adapter.createPlaylist(playlistName, description, trackUris, isPublic);
 
     console.log('Playlist created successfully!', playlistResult);
 
@@ -10937,7 +10026,8 @@ app.post('/api/create-playlist', async (req, res) => {
       excludedArtists: [],
       lastUpdated: null,
       nextUpdate: updateFrequency && updateFrequency !== 'never' ? calculateNextUpdate(updateFrequency, playlistResult.id) : null,
-      tracks: []
+      tracks: [],
+      regionReport: regionCheck.report
     };
 
     // Save playlist to database (use email userId for user-facing data)
@@ -10952,7 +10042,8 @@ app.post('/api/create-playlist', async (req, res) => {
       success: true,
       playlistUrl: playlistResult.url,
       playlistId: playlistResult.id,
-      platform: platform
+      platform: platform,
+      regionBlocked: regionCheck.report?.blocked || []
     });
 
   } catch (error) {
@@ -10961,6 +10052,7 @@ app.post('/api/create-playlist', async (req, res) => {
       message: error.message,
       status: error.status
     });
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to create playlist',
       details: error.message
@@ -10969,7 +10061,7 @@ app.post('/api/create-playlist', async (req, res) => {
 });
 
 // Save draft playlist (auto-save before creating in Spotify)
-app.post('/api/drafts/:userId', async (req, res) => {
+app.post('/api/drafts/:userId', requirePlaylistOwner(req => req.body.draftData?.draftId), async (req, res) => {
   try {
     const { userId } = req.params;
     const { draftData } = req.body;
@@ -11007,21 +10099,14 @@ app.post('/api/drafts/:userId', async (req, res) => {
 });
 
 // Get user's draft playlists
-app.get('/api/drafts/:userId', async (req, res) => {
+app.get('/api/drafts/:userId', requireOwner, async (req, res) => {
   try {
     const { userId } = req.params;
 
     console.log(`[DRAFTS] Loading drafts for user ${userId}`);
 
-    let allPlaylists;
-
-    if (usePostgres) {
-      // PostgreSQL: Load from database to ensure cross-device sync
-      allPlaylists = await db.getUserPlaylists(userId);
-    } else {
-      // SQLite: Load from in-memory Map
-      allPlaylists = userPlaylists.get(userId) || [];
-    }
+    // Load from the database to ensure cross-device sync
+    const allPlaylists = await playlistStore.getUserPlaylists(userId);
 
     console.log(`[DRAFTS] Retrieved ${allPlaylists.length} total playlists`);
 
@@ -11043,7 +10128,7 @@ app.get('/api/drafts/:userId', async (req, res) => {
 });
 
 // Delete draft playlist
-app.delete('/api/drafts/:userId/:draftId', async (req, res) => {
+app.delete('/api/drafts/:userId/:draftId', requirePlaylistOwner(req => req.params.draftId), async (req, res) => {
   try {
     const { userId, draftId } = req.params;
 
@@ -11059,7 +10144,7 @@ app.delete('/api/drafts/:userId/:draftId', async (req, res) => {
     userPlaylists.set(userId, updatedPlaylists);
 
     // Also delete from database
-    await db.deletePlaylist(userId, draftId);
+    await playlistStore.deletePlaylist(userId, draftId);
 
     console.log(`Deleted draft ${draftId} for user ${userId}`);
 
@@ -11074,21 +10159,13 @@ app.delete('/api/drafts/:userId/:draftId', async (req, res) => {
 });
 
 // Get user's playlist history
-app.get('/api/playlists/:userId', async (req, res) => {
+app.get('/api/playlists/:userId', requireOwner, async (req, res) => {
   try {
     let { userId } = req.params;
 
-    let allPlaylists;
-
-    if (usePostgres) {
-      // PostgreSQL: Load from database to ensure cross-device sync
-      allPlaylists = await db.getUserPlaylists(userId);
-      console.log(`Loaded ${allPlaylists.length} playlists from database for user: ${userId}`);
-    } else {
-      // SQLite: Load from in-memory Map
-      allPlaylists = userPlaylists.get(userId) || [];
-      console.log(`Loaded ${allPlaylists.length} playlists from memory for user: ${userId}`);
-    }
+    // Load from the database to ensure cross-device sync
+    const allPlaylists = await playlistStore.getUserPlaylists(userId);
+    console.log(`Loaded ${allPlaylists.length} playlists from database for user: ${userId}`);
 
     // Filter out drafts - only return playlists that have been published to platform
     const userPlaylistHistory = allPlaylists.filter(p => p && p.isDraft !== true);
@@ -11136,211 +10213,93 @@ app.get('/api/playlists/:userId', async (req, res) => {
       }
     }
 
-    // Get user tokens
-    const tokens = await getUserTokens(platformUserId);
-    if (!tokens) {
-      return res.status(401).json({ error: 'User not authenticated' });
-    }
-
-    let playlistsWithDetails;
-
-    if (platform === 'spotify') {
-      // Spotify: Fetch playlists using Spotify API
-      const userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-        redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-      });
-      userSpotifyApi.setAccessToken(tokens.access_token);
-      userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-      // Refresh token if needed
-      try {
-        const refreshData = await userSpotifyApi.refreshAccessToken();
-        const newAccessToken = refreshData.body.access_token;
-        userSpotifyApi.setAccessToken(newAccessToken);
-        tokens.access_token = newAccessToken;
-        userTokens.set(platformUserId, tokens);
-        // Save updated token to database
-        await db.updateAccessToken(platformUserId, newAccessToken);
-      } catch (refreshError) {
-        console.log('Token refresh failed or not needed:', refreshError.message);
-      }
-
-      // Fetch detailed track info for each playlist
-      playlistsWithDetails = await Promise.all(
-        userPlaylistHistory.map(async (playlist) => {
-          // Check if this playlist matches the active platform
-          if (playlist.platform && playlist.platform !== 'spotify') {
-            // This is a playlist from a different platform (e.g., Apple Music)
-            // Return it in read-only mode with stored information
-            console.log(`Playlist ${playlist.playlistId} is from ${playlist.platform}, showing in read-only mode`);
-            return {
-              ...playlist,
-              tracks: [],
-              trackCount: playlist.trackCount || 0,
-              isReadOnly: true,
-              readOnlyReason: `This playlist is from ${playlist.platform === 'apple' ? 'Apple Music' : playlist.platform}. Connect to ${playlist.platform === 'apple' ? 'Apple Music' : playlist.platform} to view details.`
-            };
-          }
-
-          try {
-            // Get playlist details from Spotify
-            const playlistDetails = await userSpotifyApi.getPlaylist(playlist.playlistId);
-
-            // Create maps for quick lookup of reactions
-            const likedSongsMap = new Map((playlist.likedSongs || []).map(s => [s.id, s]));
-            const dislikedSongsMap = new Map((playlist.dislikedSongs || []).map(s => [s.id, s]));
-
-            // Build excluded set (minus-button removes + dislikes) as safety net in case Spotify API removal failed
-            const excludedSongsSet = new Set([
-              ...(playlist.excludedSongs || []).map(s => s.id || s),
-              ...Array.from(dislikedSongsMap.keys()),
-            ]);
-
-            const tracks = playlistDetails.body.tracks.items
-              .filter(item => item.track && !excludedSongsSet.has(item.track.id))
-              .map(item => {
-                const trackId = item.track.id;
-                const reaction = likedSongsMap.has(trackId) ? 'thumbsUp' : null;
-
-                return {
-                  id: trackId,
-                  name: item.track.name,
-                  artist: item.track.artists[0].name,
-                  uri: item.track.uri,
-                  album: item.track.album.name,
-                  image: item.track.album.images[0]?.url,
-                  externalUrl: item.track.external_urls.spotify,
-                  explicit: item.track.explicit,
-                  platform: 'spotify',
-                  reaction: reaction
-                };
-              });
-
-            return {
-              ...playlist,
-              tracks: tracks,
-              trackCount: tracks.length,
-              image: playlistDetails.body.images?.length > 0 ? playlistDetails.body.images[0].url : playlist.image
-            };
-          } catch (error) {
-            console.error(`Error fetching Spotify playlist ${playlist.playlistId}:`, error.message);
-            // Return playlist without detailed tracks if fetch fails
-            return {
-              ...playlist,
-              tracks: [],
-              error: 'Could not fetch current tracks',
-              fetchError: error.message
-            };
-          }
-        })
-      );
-    } else if (platform === 'apple') {
-      // Apple Music: Fetch playlists using Apple Music API
-      if (!AppleMusicService) {
-        console.error('Apple Music service not available');
-        return res.status(500).json({ error: 'Apple Music service not available' });
-      }
-
-      const appleMusicDevToken = generateAppleMusicToken();
-      if (!appleMusicDevToken) {
-        console.error('Failed to generate Apple Music developer token');
-        return res.status(500).json({ error: 'Apple Music service unavailable' });
+    let adapter;
+    try {
+      ({ adapter } = await openPlatformAdapter(platformUserId, platform));
+    } catch (connectError) {
+      if (connectError.status === 401) {
+        return res.status(401).json({ error: 'User not authenticated' });
       }
+      throw connectError;
+    }
+    platform = adapter.platform;
+
+    // Fetch detailed track info for each playlist
+    const playlistsWithDetails = await Promise.all(
+      userPlaylistHistory.map(async (playlist) => {
+        // Check if this playlist matches the active platform
+        if (playlist.platform && playlist.platform !== platform) {
+          // This is a playlist from a different platform
+          // Return it in read-only mode with stored information
+          console.log(`Playlist ${playlist.playlistId} is from ${playlist.platform}, showing in read-only mode`);
+          return {
+            ...playlist,
+            tracks: [],
+            trackCount: playlist.trackCount || 0,
+            isReadOnly: true,
+            readOnlyReason: `This playlist is from ${platformDisplayName(playlist.platform)}. Connect to ${platformDisplayName(playlist.platform)} to view details.`
+          };
+        }
 
-      const appleMusicApi = new AppleMusicService(appleMusicDevToken);
+        try {
+          const playlistDetails = await adapter.getPlaylist(playlist.playlistId);
 
-      // Fetch detailed track info for each Apple Music playlist
-      playlistsWithDetails = await Promise.all(
-        userPlaylistHistory.map(async (playlist) => {
-          // Check if this playlist matches the active platform
-          if (playlist.platform && playlist.platform !== 'apple') {
-            // This is a playlist from a different platform (e.g., Spotify)
-            // Return it in read-only mode with stored information
-            console.log(`Playlist ${playlist.playlistId} is from ${playlist.platform}, showing in read-only mode`);
-            return {
-              ...playlist,
-              tracks: [],
-              trackCount: playlist.trackCount || 0,
-              isReadOnly: true,
-              readOnlyReason: `This playlist is from ${playlist.platform === 'spotify' ? 'Spotify' : playlist.platform}. Connect to ${playlist.platform === 'spotify' ? 'Spotify' : playlist.platform} to view details.`
-            };
+          // Keep the artwork on the stored playlist for when the platform can't be reached
+          const playlistImage = playlistDetails.image || playlist.image || null;
+          if (playlistImage && !playlist.image) {
+            playlist.image = playlistImage;
+            await savePlaylist(userId, playlist);
           }
 
-          try {
-            // If playlist doesn't have an image, fetch playlist details to get it
-            let playlistImage = playlist.image;
-            if (!playlistImage) {
-              try {
-                const playlistDetails = await appleMusicApi.getPlaylist(tokens.access_token, playlist.playlistId);
-                playlistImage = playlistDetails.image;
-                // Update the stored playlist with the image
-                if (playlistImage) {
-                  playlist.image = playlistImage;
-                  await savePlaylist(userId, playlist);
-                }
-              } catch (imageError) {
-                console.log(`Could not fetch image for playlist ${playlist.playlistId}:`, imageError.message);
-              }
-            }
-
-            // Get playlist tracks from Apple Music
-            const tracks = await appleMusicApi.getPlaylistTracks(tokens.access_token, playlist.playlistId);
-
-            // Create maps for quick lookup of reactions
-            const likedSongsMap = new Map((playlist.likedSongs || []).map(s => [s.id, s]));
-            const dislikedSongsMap = new Map((playlist.dislikedSongs || []).map(s => [s.id, s]));
+          // Create maps for quick lookup of reactions
+          const likedSongsMap = new Map((playlist.likedSongs || []).map(s => [s.id, s]));
+          const dislikedSongsMap = new Map((playlist.dislikedSongs || []).map(s => [s.id, s]));
 
-            // Build excluded songs set (from both minus-button removes and dislike)
-            const excludedSongsSet = new Set([
-              ...(playlist.excludedSongs || []).map(s => s.id || s),
-              ...Array.from(dislikedSongsMap.keys()),
-            ]);
-
-            const tracksWithDetails = tracks
-              .filter(track => !excludedSongsSet.has(track.id)) // hide disliked/removed songs (can't remove via API)
-              .map(track => {
-                const trackId = track.id;
-                const reaction = likedSongsMap.has(trackId) ? 'thumbsUp' : null;
-
-                return {
-                  id: trackId,
-                  name: track.name,
-                  artist: track.artists[0].name,
-                  uri: track.uri,
-                  album: track.album.name,
-                  image: track.album.images?.[0]?.url || null,
-                  externalUrl: track.url || null,
-                  explicit: track.explicit,
-                  platform: 'apple',
-                  reaction: reaction
-                };
-              });
+          // Build excluded set (minus-button removes + dislikes): a safety net when a removal
+          // failed, and the only way to hide songs on Apple Music (no removal API)
+          const excludedSongsSet = new Set([
+            ...(playlist.excludedSongs || []).map(s => s.id || s),
+            ...Array.from(dislikedSongsMap.keys()),
+          ]);
 
-            return {
-              ...playlist,
-              tracks: tracksWithDetails,
-              trackCount: tracksWithDetails.length,
-              image: playlistImage || null
-            };
-          } catch (error) {
-            console.error(`Error fetching Apple Music playlist ${playlist.playlistId}:`, error.message);
-            // Return playlist without detailed tracks if fetch fails
-            return {
-              ...playlist,
-              tracks: [],
-              error: 'Could not fetch current tracks',
-              fetchError: error.message
-            };
-          }
-        })
-      );
-    }
+          const tracks = playlistDetails.tracks
+            .filter(track => !excludedSongsSet.has(track.id))
+            .map(track => ({
+              id: track.id,
+              name: track.name,
+              artist: track.artists[0]?.name,
+              uri: track.uri,
+              album: track.album?.name,
+              image: track.album?.images?.[0]?.url || null,
+              externalUrl: track.url || null,
+              explicit: track.explicit,
+              platform,
+              reaction: likedSongsMap.has(track.id) ? 'thumbsUp' : null
+            }));
+
+          return {
+            ...playlist,
+            tracks: tracks,
+            trackCount: tracks.length,
+            image: playlistImage
+          };
+        } catch (error) {
+          console.error(`Error fetching ${platformDisplayName(platform)} playlist ${playlist.playlistId}:`, error.message);
+          // Return playlist without detailed tracks if fetch fails
+          return {
+            ...playlist,
+            tracks: [],
+            error: 'Could not fetch current tracks',
+            fetchError: error.message
+          };
+        }
+      })
+    );
 
     res.json({ playlists: playlistsWithDetails });
   } catch (error) {
     console.error('Error fetching playlists:', error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to fetch playlists',
       details: error.message
@@ -11350,7 +10309,7 @@ app.get('/api/playlists/:userId', async (req, res) => {
 
 // Get user's Spotify playlists for import
 // Platform-agnostic get playlists from music service
-app.get('/api/platform-playlists/:userId', async (req, res) => {
+app.get('/api/platform-playlists/:userId', requireOwner, async (req, res) => {
   try {
     let { userId } = req.params;
 
@@ -11363,43 +10322,25 @@ app.get('/api/platform-playlists/:userId', async (req, res) => {
       });
     }
 
-    // If userId is email-based, resolve to platform userId based on which platform is actively connected
-    let platformUserId = userId;
-    if (isEmailBasedUserId(userId)) {
-      // Check which platform is actively connected
-      const user = await db.getUser(userId);
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      // Use the actively connected platform
-      if (user.connectedPlatforms?.apple) {
-        platformUserId = await resolvePlatformUserId(userId, 'apple');
-        console.log('User has Apple Music active, resolved to:', platformUserId);
-      } else if (user.connectedPlatforms?.spotify) {
-        platformUserId = await resolvePlatformUserId(userId, 'spotify');
-        console.log('User has Spotify active, resolved to:', platformUserId);
-      }
-
-      if (!platformUserId) {
-        return res.status(404).json({ error: 'No music platform connected' });
-      }
+    // Email-based userIds use the actively connected platform
+    const platform = isEmailBasedUserId(userId) ? await activePlatformFor(userId) : null;
+    if (isEmailBasedUserId(userId) && !platform) {
+      return res.status(404).json({ error: 'No music platform connected' });
     }
 
-    const tokens = await getUserTokens(platformUserId);
-    if (!tokens) {
-      return res.status(401).json({ error: 'User not authenticated' });
+    let connection;
+    try {
+      connection = await openPlatformAdapter(userId, platform);
+    } catch (connectError) {
+      return res.status(connectError.status || 500).json({ error: connectError.message, ...(connectError.code && { code: connectError.code }) });
     }
 
-    const platformService = new PlatformService();
-    const platform = platformService.getPlatform(platformUserId);
-
-    // Get playlists using platform service
-    const playlists = await platformService.getPlaylists(platformUserId, tokens);
+    const playlists = await connection.adapter.getPlaylists();
 
-    res.json({ playlists, platform });
+    res.json({ playlists, platform: connection.platform });
   } catch (error) {
     console.error('Error fetching playlists:', error.message || error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to fetch playlists',
       details: error.message || 'Unknown error'
@@ -11408,61 +10349,33 @@ app.get('/api/platform-playlists/:userId', async (req, res) => {
 });
 
 // Legacy Spotify playlists endpoint (kept for backwards compatibility)
-app.get('/api/spotify-playlists/:userId', async (req, res) => {
+app.get('/api/spotify-playlists/:userId', requireOwner, async (req, res) => {
   try {
     let { userId } = req.params;
 
-    // If userId is email-based, resolve to Spotify platform userId
-    let platformUserId = userId;
-    if (isEmailBasedUserId(userId)) {
-      platformUserId = await resolvePlatformUserId(userId, 'spotify');
-      if (!platformUserId) {
-        return res.status(404).json({ error: 'Spotify not connected' });
-      }
-    }
-
-    const tokens = await getUserTokens(platformUserId);
-    if (!tokens) {
-      return res.status(401).json({ error: 'User not authenticated' });
-    }
-
-    const userSpotifyApi = new SpotifyWebApi({
-      clientId: process.env.SPOTIFY_CLIENT_ID,
-      clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-      redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-    });
-    userSpotifyApi.setAccessToken(tokens.access_token);
-    userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-    // Refresh token if needed
+    let connection;
     try {
-      const refreshData = await userSpotifyApi.refreshAccessToken();
-      const newAccessToken = refreshData.body.access_token;
-      userSpotifyApi.setAccessToken(newAccessToken);
-      tokens.access_token = newAccessToken;
-      userTokens.set(platformUserId, tokens);
-      await db.updateAccessToken(platformUserId, newAccessToken);
-    } catch (refreshError) {
-      console.log('Token refresh failed or not needed:', refreshError.message);
+      connection = await openPlatformAdapter(userId, 'spotify');
+    } catch (connectError) {
+      return res.status(connectError.status || 500).json({ error: connectError.message, ...(connectError.code && { code: connectError.code }) });
     }
 
-    // Get user's playlists from Spotify
-    const playlistsData = await userSpotifyApi.getUserPlaylists({ limit: 50 });
-
-    const playlists = playlistsData.body.items.map(playlist => ({
+    const spotifyAccountId = connection.platformUserId.replace('spotify_', '');
+    const playlists = (await connection.adapter.getPlaylists()).map(playlist => ({
       id: playlist.id,
       name: playlist.name,
       description: playlist.description,
-      trackCount: playlist.tracks.total,
-      image: playlist.images?.length > 0 ? playlist.images[0].url : null,
-      spotifyUrl: playlist.external_urls.spotify,
-      owner: playlist.owner.display_name,
-      isOwner: playlist.owner.id === platformUserId.replace('spotify_', '')
+      trackCount: playlist.trackCount,
+      image: playlist.image,
+      spotifyUrl: playlist.url,
+      owner: playlist.owner,
+      isOwner: playlist.ownerId === spotifyAccountId
     }));
 
     res.json({ playlists });
   } catch (error) {
     console.error('Error fetching Spotify playlists:', error.message || error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to fetch Spotify playlists',
       details: error.message || 'Unknown error'
@@ -11470,164 +10383,218 @@ app.get('/api/spotify-playlists/:userId', async (req, res) => {
   }
 });
 
-// Import a Spotify playlist
-app.post('/api/import-playlist', async (req, res) => {
-  try {
-    let { userId, playlistId } = req.body;
+// Adapter for a platform's public catalog and playlists with app-only credentials
+// (Spotify client credentials, the Apple Music developer token) — no user connection needed
+async function openAppOnlyAdapter(platform, storefront) {
+  if (platformRegistry.getFakeMusicService()) {
+    return platformRegistry.createAdapter(platform, {});
+  }
+  if (platform === 'spotify') {
+    return platformRegistry.createAdapter('spotify', { access_token: await getSpotifyClientToken() });
+  }
+  const developerToken = generateAppleMusicToken();
+  if (!developerToken) {
+    const err = new Error('Apple Music service unavailable');
+    err.status = 500;
+    throw err;
+  }
+  return platformRegistry.createAdapter('apple', {}, { developerToken, storefront });
+}
 
-    // Determine which platform the user is connected to
-    let platformUserId = userId;
-    let platform = null;
+// Platform connection playlists are imported into — email-based userIds use the actively connected platform
+async function openImportTarget(userId) {
+  const platform = isEmailBasedUserId(userId) ? await activePlatformFor(userId) : null;
+  if (isEmailBasedUserId(userId) && !platform) {
+    const err = new Error('No music platform connected');
+    err.status = 404;
+    throw err;
+  }
+  return openPlatformAdapter(userId, platform);
+}
 
-    if (isEmailBasedUserId(userId)) {
-      // Check which platform is actively connected
-      const user = await db.getUser(userId);
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
+// Import a playlist from the user's music library
+app.post('/api/import-playlist', requireOwner, async (req, res) => {
+  try {
+    const { userId, playlistId } = req.body;
 
-      // Use the actively connected platform
-      if (user.connectedPlatforms?.apple) {
-        platformUserId = await resolvePlatformUserId(userId, 'apple');
-        platform = 'apple';
-        console.log('Importing from Apple Music for user:', platformUserId);
-      } else if (user.connectedPlatforms?.spotify) {
-        platformUserId = await resolvePlatformUserId(userId, 'spotify');
-        platform = 'spotify';
-        console.log('Importing from Spotify for user:', platformUserId);
-      }
+    let connection;
+    try {
+      connection = await openImportTarget(userId);
+    } catch (connectError) {
+      return res.status(connectError.status || 500).json({ error: connectError.message, ...(connectError.code && { code: connectError.code }) });
+    }
+    console.log(`Importing from ${platformDisplayName(connection.platform)} for user:`, connection.platformUserId);
 
-      if (!platformUserId) {
-        return res.status(404).json({ error: 'No music platform connected' });
+    const playlistRecord = await playlistSync.importPlaylist(connection.adapter, playlistId);
+
+    const userPlaylistHistory = userPlaylists.get(userId) || [];
+
+    // Check if already imported
+    const alreadyImported = userPlaylistHistory.some(p => p.playlistId === playlistId);
+    if (alreadyImported) {
+      return res.status(400).json({ error: 'Playlist already imported' });
+    }
+
+    userPlaylistHistory.push(playlistRecord);
+    userPlaylists.set(userId, userPlaylistHistory);
+    await savePlaylist(userId, playlistRecord);
+
+    console.log(`${platformDisplayName(connection.platform)} playlist imported:`, playlistId);
+
+    res.json({ success: true, playlist: playlistRecord });
+  } catch (error) {
+    console.error('Error importing playlist:', error);
+    if (sendReconnectRequired(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to import playlist',
+      details: error.message
+    });
+  }
+});
+
+// Preview importing a public playlist link or an exported playlist file (M3U/M3U8, XSPF, CSV):
+// tracks are matched on the user's platform and nothing is created until /confirm
+app.post('/api/import-playlist/preview', requireOwner, rateLimit('importPreview'), async (req, res) => {
+  try {
+    const { userId, url, file } = req.body;
+
+    if (!url && !file) {
+      return res.status(400).json({ error: 'A playlist link or file is required' });
+    }
+
+    let source;
+    try {
+      if (url) {
+        const { platform, playlistId, storefront } = playlistImport.parsePlaylistUrl(url);
+        const publicAdapter = await openAppOnlyAdapter(platform, storefront);
+        const playlist = await publicAdapter.getPublicPlaylist(playlistId);
+        source = {
+          name: playlist.name,
+          description: playlist.description || '',
+          tracks: playlist.tracks.slice(0, playlistImport.MAX_IMPORT_TRACKS),
+          skipped: Math.max(0, playlist.tracks.length - playlistImport.MAX_IMPORT_TRACKS),
+          origin: { type: 'url', platform, url: playlist.url || url.trim() }
+        };
+      } else {
+        const parsed = playlistImport.parsePlaylistFile(file.name, file.content);
+        source = {
+          name: parsed.name,
+          description: '',
+          tracks: parsed.tracks,
+          skipped: parsed.skipped,
+          origin: { type: 'file', format: parsed.format, filename: file.name }
+        };
       }
-    } else {
-      // Direct platform userId
-      if (userId.startsWith('spotify_')) {
-        platform = 'spotify';
-      } else if (userId.startsWith('apple_music_')) {
-        platform = 'apple';
+    } catch (sourceError) {
+      const status = sourceError.status || sourceError.statusCode;
+      if (status === 404) {
+        return res.status(404).json({ error: 'Playlist not found. Make sure it is public.' });
+      }
+      // Unreadable links and files; platform auth failures stay server errors
+      if (status === 400 || status === 413) {
+        return res.status(status).json({ error: sourceError.message });
       }
+      throw sourceError;
     }
 
-    const tokens = await getUserTokens(platformUserId);
-    if (!tokens) {
-      return res.status(401).json({ error: 'User not authenticated' });
+    let connection;
+    try {
+      connection = await openImportTarget(userId);
+    } catch (connectError) {
+      return res.status(connectError.status || 500).json({ error: connectError.message, ...(connectError.code && { code: connectError.code }) });
     }
+    console.log(`📥 [IMPORT] Matching ${source.tracks.length} tracks from ${source.origin.type === 'url' ? platformDisplayName(source.origin.platform) : source.origin.format.toUpperCase()} on ${platformDisplayName(connection.platform)}`);
 
-    let playlistRecord;
+    const catalog = playlistTransfer.createAdapterCatalog(connection.adapter);
+    const { matched, fuzzy, unmatched } = await playlistImport.previewImport(source.tracks, catalog);
 
-    if (platform === 'spotify') {
-      // Spotify import
-      const userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-        redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-      });
-      userSpotifyApi.setAccessToken(tokens.access_token);
-      userSpotifyApi.setRefreshToken(tokens.refresh_token);
+    console.log(`📥 [IMPORT] ${matched.length} matched, ${fuzzy.length} fuzzy, ${unmatched.length} unmatched`);
 
-      // Refresh token if needed
-      try {
-        const refreshData = await userSpotifyApi.refreshAccessToken();
-        const newAccessToken = refreshData.body.access_token;
-        userSpotifyApi.setAccessToken(newAccessToken);
-        tokens.access_token = newAccessToken;
-        userTokens.set(platformUserId, tokens);
-        await db.updateAccessToken(platformUserId, newAccessToken);
-      } catch (refreshError) {
-        console.log('Token refresh failed or not needed:', refreshError.message);
-      }
-
-      // Get playlist details from Spotify
-      const playlistDetails = await userSpotifyApi.getPlaylist(playlistId);
-      const importedTracks = playlistDetails.body.tracks.items
-        .filter(item => item.track && item.track.id)
-        .map(item => ({
-          id: item.track.id,
-          name: item.track.name,
-          artist: item.track.artists[0]?.name || 'Unknown',
-          uri: item.track.uri,
-          album: item.track.album?.name || '',
-          image: item.track.album?.images?.[0]?.url || null,
-          externalUrl: item.track.external_urls?.spotify || null,
-          explicit: item.track.explicit || false
-        }));
-      const trackUris = importedTracks.map(t => t.uri);
-
-      playlistRecord = {
-        playlistId: playlistId,
-        playlistName: playlistDetails.body.name,
-        description: playlistDetails.body.description || '',
-        image: playlistDetails.body.images?.length > 0 ? playlistDetails.body.images[0].url : null,
-        tracks: importedTracks,
-        trackUris: trackUris,
-        trackCount: trackUris.length,
-        createdAt: new Date().toISOString(),
-        spotifyUrl: playlistDetails.body.external_urls.spotify,
-        platform: 'spotify',
-        imported: true
-      };
-    } else if (platform === 'apple') {
-      // Apple Music import
-      if (!AppleMusicService) {
-        console.error('Apple Music service not available');
-        return res.status(500).json({ error: 'Apple Music service not available' });
-      }
-
-      const appleMusicDevToken = generateAppleMusicToken();
-      if (!appleMusicDevToken) {
-        console.error('Failed to generate Apple Music developer token');
-        return res.status(500).json({ error: 'Apple Music service unavailable' });
-      }
+    res.json({
+      source: {
+        name: source.name,
+        description: source.description,
+        origin: source.origin,
+        trackCount: source.tracks.length,
+        skipped: source.skipped
+      },
+      platform: connection.platform,
+      matched,
+      fuzzy,
+      unmatched
+    });
+  } catch (error) {
+    console.error('Error previewing playlist import:', error);
+    if (sendReconnectRequired(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to read playlist',
+      details: error.message
+    });
+  }
+});
 
-      const appleMusicApi = new AppleMusicService(appleMusicDevToken);
+// Create the playlist the user reviewed in the import preview, with the tracks they kept
+app.post('/api/import-playlist/confirm', requireOwner, async (req, res) => {
+  try {
+    const { userId, name, description, trackUris, tracks, origin } = req.body;
 
-      // Get playlist details and tracks from Apple Music
-      const playlistDetails = await appleMusicApi.getPlaylist(tokens.access_token, playlistId);
-      const tracks = await appleMusicApi.getPlaylistTracks(tokens.access_token, playlistId);
-      const trackUris = tracks.map(track => track.uri);
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Playlist name is required' });
+    }
+    if (!Array.isArray(trackUris) || trackUris.length === 0) {
+      return res.status(400).json({ error: 'Pick at least one track to import' });
+    }
+    if (trackUris.length > playlistImport.MAX_IMPORT_TRACKS) {
+      return res.status(400).json({ error: `At most ${playlistImport.MAX_IMPORT_TRACKS} tracks can be imported at once` });
+    }
 
-      playlistRecord = {
-        playlistId: playlistId,
-        playlistName: playlistDetails.name,
-        description: playlistDetails.description || '',
-        image: playlistDetails.image || null,
-        tracks: tracks,
-        trackUris: trackUris,
-        trackCount: trackUris.length,
-        createdAt: new Date().toISOString(),
-        appleMusicUrl: null,
-        platform: 'apple',
-        imported: true
-      };
+    let connection;
+    try {
+      connection = await openImportTarget(userId);
+    } catch (connectError) {
+      return res.status(connectError.status || 500).json({ error: connectError.message, ...(connectError.code && { code: connectError.code }) });
     }
 
-    const userPlaylistHistory = userPlaylists.get(userId) || [];
+    const { uriPrefix } = platformRegistry.getPlatform(connection.platform);
+    if (trackUris.some(uri => typeof uri !== 'string' || !uri.startsWith(uriPrefix))) {
+      return res.status(400).json({ error: `Tracks must be ${platformDisplayName(connection.platform)} tracks` });
+    }
 
-    // Check if already imported
-    const alreadyImported = userPlaylistHistory.some(p => p.playlistId === playlistId);
-    if (alreadyImported) {
-      return res.status(400).json({ error: 'Playlist already imported' });
+    const regionCheck = await regionAvailability.filterPlayableTracks(connection.adapter, [...new Set(trackUris)], Array.isArray(tracks) ? tracks : []);
+    if (regionCheck.trackUris.length === 0) {
+      return res.status(422).json({
+        error: `None of these songs can be played in your region on ${platformDisplayName(connection.platform)}`,
+        regionBlocked: regionCheck.report.blocked
+      });
     }
 
+    const created = await connection.adapter.createPlaylist(name.trim(), description || '', regionCheck.trackUris);
+    const playlistRecord = await playlistSync.importPlaylist(connection.adapter, created.id);
+    playlistRecord.regionReport = regionCheck.report;
+    playlistRecord.importedFrom = origin?.type === 'url'
+      ? { type: 'url', platform: origin.platform, url: origin.url }
+      : { type: 'file', format: origin?.format || null };
+
+    const userPlaylistHistory = userPlaylists.get(userId) || [];
     userPlaylistHistory.push(playlistRecord);
     userPlaylists.set(userId, userPlaylistHistory);
     await savePlaylist(userId, playlistRecord);
 
-    console.log(`${platform === 'apple' ? 'Apple Music' : 'Spotify'} playlist imported:`, playlistId);
+    console.log(`📥 [IMPORT] Created ${platformDisplayName(connection.platform)} playlist ${created.id} with ${playlistRecord.trackCount} tracks`);
 
-    res.json({ success: true, playlist: playlistRecord });
+    res.json({ success: true, playlist: playlistRecord, regionBlocked: regionCheck.report?.blocked || [] });
   } catch (error) {
-    console.error('Error importing playlist:', error);
+    console.error('Error confirming playlist import:', error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
-      error: 'Failed to import playlist',
+      error: 'Failed to create imported playlist',
       details: error.message
     });
   }
 });
 
 // Get current tracks for a playlist from Spotify
-app.get('/api/playlists/:playlistId/tracks', async (req, res) => {
+app.get('/api/playlists/:playlistId/tracks', requireOwner, async (req, res) => {
   try {
     const { playlistId } = req.params;
     let { userId } = req.query;
@@ -11636,57 +10603,19 @@ app.get('/api/playlists/:playlistId/tracks', async (req, res) => {
       return res.status(400).json({ error: 'userId is required' });
     }
 
-    // If userId is email-based, resolve to Spotify platform userId
-    let platformUserId = userId;
-    if (isEmailBasedUserId(userId)) {
-      platformUserId = await resolvePlatformUserId(userId, 'spotify');
-      if (!platformUserId) {
-        return res.status(404).json({ error: 'Spotify not connected' });
-      }
+    let connection;
+    try {
+      connection = await openPlatformAdapter(userId, 'spotify');
+    } catch (connectError) {
+      return res.status(connectError.status || 500).json({ error: connectError.message, ...(connectError.code && { code: connectError.code }) });
     }
 
-    const tokens = await getUserTokens(platformUserId);
-    if (!tokens) {
-      return res.status(401).json({ error: 'User not authenticated' });
-    }
-
-    const userSpotifyApi = new SpotifyWebApi({
-      clientId: process.env.SPOTIFY_CLIENT_ID,
-      clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-      redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-    });
-    userSpotifyApi.setAccessToken(tokens.access_token);
-    userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-    // Refresh token if needed
-    try {
-      const refreshData = await userSpotifyApi.refreshAccessToken();
-      const newAccessToken = refreshData.body.access_token;
-      userSpotifyApi.setAccessToken(newAccessToken);
-      tokens.access_token = newAccessToken;
-      userTokens.set(platformUserId, tokens);
-      // Save updated token to database
-      await db.updateAccessToken(platformUserId, newAccessToken);
-    } catch (refreshError) {
-      console.log('Token refresh failed or not needed:', refreshError.message);
-    }
-
-    // Get playlist details from Spotify
-    const playlistDetails = await userSpotifyApi.getPlaylist(playlistId);
-    const tracks = playlistDetails.body.tracks.items.map(item => ({
-      id: item.track.id,
-      name: item.track.name,
-      artist: item.track.artists[0].name,
-      uri: item.track.uri,
-      album: item.track.album.name,
-      image: item.track.album.images[0]?.url,
-      externalUrl: item.track.external_urls.spotify,
-      explicit: item.track.explicit
-    }));
+    const tracks = (await connection.adapter.getPlaylistTracks(playlistId)).map(playlistSync.toStoredTrack);
 
     res.json({ tracks });
   } catch (error) {
     console.error('Error fetching playlist tracks:', error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to fetch playlist tracks',
       details: error.message
@@ -11695,10 +10624,13 @@ app.get('/api/playlists/:playlistId/tracks', async (req, res) => {
 });
 
 // Update playlist (add/remove tracks)
-app.post('/api/playlists/:playlistId/update', async (req, res) => {
+app.post('/api/playlists/:playlistId/update', requirePlaylistOwner(), async (req, res) => {
   try {
     const { playlistId } = req.params;
-    let { userId, tracksToAdd, tracksToRemove } = req.body;
+    // `refresh` ({ prompt, newTracks }) is sent by manual refresh so the run can be recorded
+    // in the playlist's history; plain add/remove edits omit it. The run's track lists come
+    // from the stored record and the URIs actually pushed — newTracks only supplies details.
+    let { userId, tracksToAdd, tracksToRemove, refresh } = req.body;
 
     console.log('Update playlist endpoint:', {
       playlistId,
@@ -11710,154 +10642,106 @@ app.post('/api/playlists/:playlistId/update', async (req, res) => {
 
     // Determine the playlist's platform
     const emailUserId = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
-    const playlistRecord = emailUserId ? await db.getPlaylist(emailUserId, playlistId) : null;
+    const ownerId = emailUserId || userId;
+    const playlistRecord = emailUserId ? await playlistStore.getPlaylist(emailUserId, playlistId) : null;
     const playlistPlatform = playlistRecord?.platform || 'spotify';
+    const tracksBefore = playlistRecord?.tracks || [];
 
-    if (playlistPlatform === 'apple') {
-      // ── Apple Music update ──────────────────────────────────────
-      let applePlatformUserId = userId;
-      if (isEmailBasedUserId(userId)) {
-        applePlatformUserId = await resolvePlatformUserId(userId, 'apple');
-        if (!applePlatformUserId) {
-          return res.status(404).json({ error: 'Apple Music not connected' });
-        }
-      }
-      const appleTokens = await getUserTokens(applePlatformUserId);
-      if (!appleTokens) {
-        return res.status(401).json({ error: 'Apple Music not authenticated' });
-      }
-      const appleMusicDevToken = generateAppleMusicToken();
-      if (!appleMusicDevToken) {
-        return res.status(500).json({ error: 'Apple Music service unavailable' });
-      }
-      const appleMusicApiInstance = new AppleMusicService(appleMusicDevToken);
-
-      // Guard: never destructively remove tracks when there are no new tracks to add.
-      if ((!tracksToAdd || tracksToAdd.length === 0) && tracksToRemove && tracksToRemove.length > 0) {
-        console.log(`⚠️  [UPDATE-GUARD] Skipping removal of ${tracksToRemove.length} tracks (Apple Music) — no new tracks to add. Aborting update.`);
-        return res.json({ success: true, skipped: true, reason: 'no_tracks_to_add' });
-      }
-
-      if (tracksToRemove && tracksToRemove.length > 0) {
-        const urisToRemove = tracksToRemove.map(t => t.uri || t);
-        await appleMusicApiInstance.deleteTracksFromPlaylist(appleTokens.access_token, playlistId, urisToRemove);
-        console.log(`Removed ${tracksToRemove.length} track(s) from Apple Music playlist ${playlistId}`);
+    const platformName = platformDisplayName(playlistPlatform);
+    let connection;
+    try {
+      connection = await openPlatformAdapter(userId, playlistPlatform);
+    } catch (connectError) {
+      return res.status(connectError.status || 500).json({ error: connectError.message, ...(connectError.code && { code: connectError.code }) });
+    }
+    const { adapter } = connection;
+
+    // Guard: never destructively remove tracks when there are no new tracks to add.
+    // This prevents a bad auto-update from wiping a playlist when 0 songs were generated.
+    if ((!tracksToAdd || tracksToAdd.length === 0) && tracksToRemove && tracksToRemove.length > 0) {
+      console.log(`⚠️  [UPDATE-GUARD] Skipping removal of ${tracksToRemove.length} tracks (${platformName}) — no new tracks to add. Aborting update.`);
+      if (refresh) {
+        await recordPlaylistRun(ownerId, playlistId, {
+          trigger: 'manual', status: 'skipped', prompt: refresh.prompt || null, tracksBefore,
+        });
       }
+      return res.json({ success: true, skipped: true, reason: 'no_tracks_to_add' });
+    }
 
-      if (tracksToAdd && tracksToAdd.length > 0) {
-        // Convert apple:track:ID URIs to plain IDs
-        const trackIds = tracksToAdd.map(uri =>
-          typeof uri === 'string' && uri.startsWith('apple:track:') ? uri.replace('apple:track:', '') : uri
-        ).filter(Boolean);
-        if (trackIds.length > 0) {
-          await appleMusicApiInstance.addTracksToPlaylist(appleTokens.access_token, playlistId, trackIds);
-          console.log(`Added ${trackIds.length} tracks to Apple Music playlist ${playlistId}`);
-        }
-      }
-    } else {
-      // ── Spotify update ──────────────────────────────────────────
-      let platformUserId = userId;
-      if (isEmailBasedUserId(userId)) {
-        platformUserId = await resolvePlatformUserId(userId, 'spotify');
-        if (!platformUserId) {
-          return res.status(404).json({ error: 'Spotify not connected' });
-        }
-      }
+    // Spotify rejects a whole request over one malformed URI, so those are dropped up front
+    const isValidUri = playlistPlatform === 'spotify' ? isValidSpotifyTrackUri : Boolean;
+    const urisToRemove = (tracksToRemove || []).map(t => t.uri || t).filter(isValidUri);
+    const regionCheck = await regionAvailability.filterPlayableTracks(adapter, (tracksToAdd || []).filter(isValidUri), refresh?.newTracks || []);
+    const urisToAdd = regionCheck.trackUris;
 
-      const tokens = await getUserTokens(platformUserId);
-      if (!tokens) {
-        return res.status(401).json({ error: 'User not authenticated' });
+    // Same guard when every new track turned out to be unplayable in the user's region
+    if (urisToAdd.length === 0 && urisToRemove.length > 0) {
+      console.log(`⚠️  [UPDATE-GUARD] Skipping removal of ${urisToRemove.length} tracks (${platformName}) — none of the new tracks play in ${regionCheck.report?.region}. Aborting update.`);
+      if (refresh) {
+        await recordPlaylistRun(ownerId, playlistId, {
+          trigger: 'manual', status: 'skipped', prompt: refresh.prompt || null, tracksBefore,
+        });
       }
+      return res.json({ success: true, skipped: true, reason: 'no_playable_tracks', regionBlocked: regionCheck.report?.blocked || [] });
+    }
 
-      const userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-        redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-      });
-      userSpotifyApi.setAccessToken(tokens.access_token);
-      userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-      // Refresh token if needed
-      try {
-        const refreshData = await userSpotifyApi.refreshAccessToken();
-        const newAccessToken = refreshData.body.access_token;
-        userSpotifyApi.setAccessToken(newAccessToken);
-        tokens.access_token = newAccessToken;
-        userTokens.set(platformUserId, tokens);
-        await db.updateAccessToken(platformUserId, newAccessToken);
-      } catch (refreshError) {
-        console.log('Token refresh failed or not needed:', refreshError.message);
-      }
-
-      // Guard: never destructively remove tracks when there are no new tracks to add.
-      // This prevents a bad auto-update from wiping a playlist when 0 songs were generated.
-      if ((!tracksToAdd || tracksToAdd.length === 0) && tracksToRemove && tracksToRemove.length > 0) {
-        console.log(`⚠️  [UPDATE-GUARD] Skipping removal of ${tracksToRemove.length} tracks — no new tracks to add. Aborting update.`);
-        return res.json({ success: true, skipped: true, reason: 'no_tracks_to_add' });
-      }
-
-      // If we're both removing and adding tracks, use replace API for better performance
-      if (tracksToRemove && tracksToRemove.length > 0 && tracksToAdd && tracksToAdd.length > 0) {
-        const validTracksToAdd = tracksToAdd.filter(isValidSpotifyTrackUri);
-        if (validTracksToAdd.length > 0) {
-          console.log(`Replacing all tracks in playlist ${playlistId} with ${validTracksToAdd.length} new tracks`);
-          try {
-            await userSpotifyApi.replaceTracksInPlaylist(playlistId, validTracksToAdd);
-            console.log(`Successfully replaced tracks in playlist ${playlistId}`);
-          } catch (replaceErr) {
-            console.error(`Error replacing tracks: ${replaceErr.message}`);
-            throw replaceErr;
-          }
-        }
-      } else {
-        // Separate remove and add operations
-        if (tracksToRemove && tracksToRemove.length > 0) {
-          const validTracksToRemove = tracksToRemove.filter(track =>
-            track && track.uri && isValidSpotifyTrackUri(track.uri)
-          );
-          if (validTracksToRemove.length > 0) {
-            console.log(`Removing ${validTracksToRemove.length} tracks from playlist ${playlistId}`);
-            try {
-              await userSpotifyApi.removeTracksFromPlaylist(playlistId, validTracksToRemove);
-              console.log(`Removed ${validTracksToRemove.length} tracks from playlist ${playlistId}`);
-            } catch (removeErr) {
-              console.error(`Error removing tracks: ${removeErr.message}`);
-              throw removeErr;
-            }
-          }
-        }
-
-        if (tracksToAdd && tracksToAdd.length > 0) {
-          const validTracksToAdd = tracksToAdd.filter(isValidSpotifyTrackUri);
-          if (validTracksToAdd.length > 0) {
-            try {
-              await userSpotifyApi.addTracksToPlaylist(playlistId, validTracksToAdd);
-              console.log(`Added ${validTracksToAdd.length} tracks to playlist ${playlistId}`);
-            } catch (addErr) {
-              console.error(`Error adding tracks: ${addErr.message}`);
-              throw addErr;
-            }
-          }
-        }
-      }
+    if (urisToRemove.length > 0) {
+      await adapter.removeTracksFromPlaylist(playlistId, urisToRemove);
+      console.log(`Removed ${urisToRemove.length} track(s) from ${platformName} playlist ${playlistId}`);
+    }
+    if (urisToAdd.length > 0) {
+      await adapter.addTracksToPlaylist(playlistId, urisToAdd);
+      console.log(`Added ${urisToAdd.length} track(s) to ${platformName} playlist ${playlistId}`);
     }
 
     // Update the updatedAt and lastUpdated timestamps in playlists data
     // Setting lastUpdated creates a 24-hour cooldown for auto-updates
-    const userPlaylistsArray = userPlaylists.get(userId) || [];
+    const userPlaylistsArray = userPlaylists.get(ownerId) || [];
     const playlistIndex = userPlaylistsArray.findIndex(p => p.playlistId === playlistId);
     if (playlistIndex !== -1) {
       const now = new Date().toISOString();
       userPlaylistsArray[playlistIndex].updatedAt = now;
       userPlaylistsArray[playlistIndex].lastUpdated = now;
-      userPlaylists.set(userId, userPlaylistsArray);
-      await savePlaylist(userId, userPlaylistsArray[playlistIndex]);
+      userPlaylistsArray[playlistIndex].regionReport = regionAvailability.mergeRegionReport(userPlaylistsArray[playlistIndex].regionReport, regionCheck.report);
+      userPlaylists.set(ownerId, userPlaylistsArray);
+      await savePlaylist(ownerId, userPlaylistsArray[playlistIndex]);
       console.log(`Updated timestamp for playlist ${playlistId} - 24hr cooldown started`);
     }
 
-    res.json({ success: true });
+    if (refresh) {
+      const removedUris = new Set(urisToRemove);
+      const newTrackDetails = new Map((refresh.newTracks || []).map(t => [t.uri, t]));
+      const tracksAfter = [
+        ...tracksBefore.filter(t => !removedUris.has(t.uri)),
+        ...urisToAdd.map(uri => newTrackDetails.get(uri) || { uri }),
+      ];
+      await recordPlaylistRun(ownerId, playlistId, {
+        trigger: 'manual', status: 'succeeded', prompt: refresh.prompt || null, tracksBefore, tracksAfter,
+      });
+      // Keep the stored track list in step with the platform so the next run's snapshot is accurate
+      if (playlistIndex !== -1) {
+        const record = userPlaylistsArray[playlistIndex];
+        record.tracks = tracksAfter.map(snapshotTrack);
+        record.trackUris = tracksAfter.map(t => t.uri);
+        record.trackCount = tracksAfter.length;
+        await savePlaylist(ownerId, record);
+      }
+    }
+
+    const mirrorReport = emailUserId ? await syncStoredPlaylistMirror(emailUserId, playlistId) : null;
+    res.json({ success: true, regionBlocked: regionCheck.report?.blocked || [], ...(mirrorReport && { mirror: mirrorReport }) });
   } catch (error) {
     console.error('Error updating playlist:', error);
+    const { userId, refresh } = req.body || {};
+    if (refresh && userId) {
+      const emailUserId = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
+      const playlistRecord = emailUserId ? await playlistStore.getPlaylist(emailUserId, req.params.playlistId) : null;
+      await recordPlaylistRun(emailUserId || userId, req.params.playlistId, {
+        trigger: 'manual', status: 'failed', prompt: refresh.prompt || null,
+        tracksBefore: playlistRecord?.tracks || [], error: error.message,
+      });
+    }
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to update playlist',
       details: error.message
@@ -11868,7 +10752,7 @@ app.post('/api/playlists/:playlistId/update', async (req, res) => {
 // Apply a refinement result to an existing playlist:
 // replaces Spotify/Apple tracks in-place and updates the stored record.
 // Called when the user refines an existing playlist from MyPlaylists and clicks "Create".
-app.post('/api/playlists/:playlistId/apply-refinement', async (req, res) => {
+app.post('/api/playlists/:playlistId/apply-refinement', requirePlaylistOwner(), async (req, res) => {
   try {
     const { playlistId } = req.params;
     let { userId, tracks, trackUris, chatMessages, excludedSongs, draftId } = req.body;
@@ -11887,52 +10771,28 @@ app.post('/api/playlists/:playlistId/apply-refinement', async (req, res) => {
     const platform = storedPlaylist?.platform || 'spotify';
     const isApple = platform === 'apple';
 
-    if (isApple) {
-      let applePlatformUserId = userId;
-      if (isEmailBasedUserId(userId)) {
-        applePlatformUserId = await resolvePlatformUserId(userId, 'apple');
-        if (!applePlatformUserId) return res.status(404).json({ error: 'Apple Music not connected' });
-      }
-      const appleTokens = await getUserTokens(applePlatformUserId);
-      if (!appleTokens) return res.status(401).json({ error: 'Apple Music not authenticated' });
-      const appleMusicDevToken = generateAppleMusicToken();
-      if (!appleMusicDevToken) return res.status(500).json({ error: 'Apple Music service unavailable' });
-      const appleMusicApiInstance = new AppleMusicService(appleMusicDevToken);
-      // Apple Music doesn't support track removal — add new tracks to playlist
-      const trackIds = trackUris
-        .map(uri => typeof uri === 'string' && uri.startsWith('apple:track:') ? uri.replace('apple:track:', '') : uri)
-        .filter(Boolean);
-      if (trackIds.length > 0) {
-        await appleMusicApiInstance.addTracksToPlaylist(appleTokens.access_token, playlistId, trackIds);
-        console.log(`[APPLY-REFINEMENT] Added ${trackIds.length} tracks to Apple Music playlist`);
-      }
-    } else {
-      // Spotify: replace all tracks
-      let platformUserId = userId;
-      if (isEmailBasedUserId(userId)) {
-        platformUserId = await resolvePlatformUserId(userId, 'spotify');
-        if (!platformUserId) return res.status(404).json({ error: 'Spotify not connected' });
-      }
-      const tokens = await getUserTokens(platformUserId);
-      if (!tokens) return res.status(401).json({ error: 'Spotify not authenticated' });
-
-      const userSpotifyApi = new SpotifyWebApi({
-        clientId: process.env.SPOTIFY_CLIENT_ID,
-        clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-        redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback',
-      });
-      userSpotifyApi.setAccessToken(tokens.access_token);
-      userSpotifyApi.setRefreshToken(tokens.refresh_token);
-      try {
-        const data = await userSpotifyApi.refreshAccessToken();
-        userSpotifyApi.setAccessToken(data.body.access_token);
-      } catch (_) {}
+    let connection;
+    try {
+      connection = await openPlatformAdapter(userId, platform);
+    } catch (connectError) {
+      return res.status(connectError.status || 500).json({ error: connectError.message, ...(connectError.code && { code: connectError.code }) });
+    }
 
-      const validUris = trackUris.filter(isValidSpotifyTrackUri);
-      if (validUris.length > 0) {
-        await userSpotifyApi.replaceTracksInPlaylist(playlistId, validUris);
-        console.log(`[APPLY-REFINEMENT] Replaced tracks in Spotify playlist — ${validUris.length} tracks`);
-      }
+    const isValidUri = platform === 'spotify' ? isValidSpotifyTrackUri : Boolean;
+    const regionCheck = await regionAvailability.filterPlayableTracks(connection.adapter, trackUris.filter(isValidUri), tracks);
+    const validUris = regionCheck.trackUris;
+    if (regionCheck.report?.blocked.length > 0) {
+      const blockedUris = new Set(regionCheck.report.blocked.map(track => track.uri));
+      tracks = tracks.filter(track => !blockedUris.has(track.uri));
+      trackUris = trackUris.filter(uri => !blockedUris.has(uri));
+    }
+    if (validUris.length > 0 && isApple) {
+      // Apple Music doesn't support track removal — add new tracks to playlist
+      await connection.adapter.addTracksToPlaylist(playlistId, validUris);
+      console.log(`[APPLY-REFINEMENT] Added ${validUris.length} tracks to Apple Music playlist`);
+    } else if (validUris.length > 0) {
+      await connection.adapter.replacePlaylistTracks(playlistId, validUris);
+      console.log(`[APPLY-REFINEMENT] Replaced tracks in ${platformDisplayName(platform)} playlist — ${validUris.length} tracks`);
     }
 
     // Update the stored playlist record with new track data, chat messages, etc.
@@ -11941,6 +10801,14 @@ app.post('/api/playlists/:playlistId/apply-refinement', async (req, res) => {
     const idx = upa.findIndex(p => p.playlistId === playlistId);
     if (idx !== -1) {
       const now = new Date().toISOString();
+      await recordPlaylistRun(resolvedUserId, playlistId, {
+        trigger: 'refine',
+        status: 'succeeded',
+        prompt: (chatMessages || []).filter(m => m.role === 'user').map(m => m.content).pop() || null,
+        tracksBefore: upa[idx].tracks || [],
+        // Apple Music can't remove tracks, so the new tracks were appended
+        tracksAfter: isApple ? [...(upa[idx].tracks || []), ...tracks] : tracks,
+      });
       upa[idx] = {
         ...upa[idx],
         tracks: tracks,
@@ -11948,6 +10816,7 @@ app.post('/api/playlists/:playlistId/apply-refinement', async (req, res) => {
         trackCount: tracks.length,
         chatMessages: chatMessages || upa[idx].chatMessages || [],
         excludedSongs: excludedSongs || upa[idx].excludedSongs || [],
+        regionReport: regionAvailability.mergeRegionReport(upa[idx].regionReport, regionCheck.report),
         updatedAt: now,
         lastUpdated: now,
       };
@@ -11965,22 +10834,222 @@ app.post('/api/playlists/:playlistId/apply-refinement', async (req, res) => {
         const upa2 = userPlaylists.get(resolvedId) || [];
         const filtered = upa2.filter(p => p.playlistId !== draftId);
         userPlaylists.set(resolvedId, filtered);
-        await db.deletePlaylist(resolvedId, draftId);
+        await playlistStore.deletePlaylist(resolvedId, draftId);
         console.log(`[APPLY-REFINEMENT] Deleted draft ${draftId}`);
       } catch (draftErr) {
         console.warn(`[APPLY-REFINEMENT] Failed to delete draft ${draftId}: ${draftErr.message}`);
       }
     }
 
-    res.json({ success: true, platform, playlistName: storedPlaylist?.playlistName });
+    const mirrorReport = await syncStoredPlaylistMirror(resolvedUserId, playlistId);
+    res.json({ success: true, platform, playlistName: storedPlaylist?.playlistName, regionBlocked: regionCheck.report?.blocked || [], ...(mirrorReport && { mirror: mirrorReport }) });
   } catch (error) {
     console.error('[APPLY-REFINEMENT] Error:', error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({ error: 'Failed to apply refinement', details: error.message });
   }
 });
 
+// ── Playlist run history ──────────────────────────────────────────────────────
+// Every auto-update, manual refresh, refinement and restore records a row in playlist_runs:
+// what was added/removed plus the full track list beforehand, so any run can be undone.
+
+// Compact track shape stored in run history
+function snapshotTrack(track) {
+  return {
+    id: track.id || null,
+    uri: track.uri,
+    name: track.name,
+    artist: track.artist || 'Unknown',
+    album: typeof track.album === 'string' ? track.album : (track.album?.name || ''),
+    image: track.image || null,
+    externalUrl: track.externalUrl || null,
+    explicit: track.explicit || false,
+  };
+}
+
+// Record a run. Non-critical — a history write must never fail the update itself.
+async function recordPlaylistRun(userId, playlistId, { trigger, status, prompt = null, tracksBefore = [], tracksAfter = null, error = null }) {
+  try {
+    const after = tracksAfter || tracksBefore;
+    const beforeUris = new Set(tracksBefore.map(t => t.uri));
+    const afterUris = new Set(after.map(t => t.uri));
+    const run = await db.recordPlaylistRun(userId, playlistId, {
+      trigger,
+      status,
+      prompt,
+      tracksAdded: after.filter(t => !beforeUris.has(t.uri)).map(snapshotTrack),
+      tracksRemoved: tracksBefore.filter(t => !afterUris.has(t.uri)).map(snapshotTrack),
+      tracksBefore: tracksBefore.map(snapshotTrack),
+      error,
+    });
+    console.log(`[HISTORY] Recorded ${trigger} run for ${playlistId}: ${status} (+${run.tracksAdded.length} / -${run.tracksRemoved.length})`);
+    return run;
+  } catch (err) {
+    console.error(`[HISTORY] Failed to record ${trigger} run for ${playlistId}:`, err.message);
+    return null;
+  }
+}
+
+// Replace every track in a platform playlist with `trackUris` (used by restore and mirror
+// sync), leaving out tracks that don't play in the user's region. Returns the region check
+// ({ trackUris written, report }). Throws an Error with .status for connection/auth
+// problems (see openPlatformAdapter).
+async function replacePlatformPlaylistTracks(userId, playlist, trackUris, tracks = []) {
+  const platform = playlist.platform || 'spotify';
+  const { adapter } = await openPlatformAdapter(userId, platform);
+  const isValidUri = platform === 'spotify' ? isValidSpotifyTrackUri : Boolean;
+  const regionCheck = await regionAvailability.filterPlayableTracks(adapter, trackUris.filter(isValidUri), tracks);
+  await adapter.replacePlaylistTracks(playlist.playlistId, regionCheck.trackUris);
+  return regionCheck;
+}
+
+// Run history for one playlist ("what changed this week")
+app.get('/api/playlists/:playlistId/history', requirePlaylistOwner(), async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    const { userId, days, limit } = req.query;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const emailUserId = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
+    const ownerId = emailUserId || userId;
+    const playlist = (userPlaylists.get(ownerId) || []).find(p => p.playlistId === playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const since = days ? new Date(Date.now() - parseInt(days, 10) * 24 * 60 * 60 * 1000) : null;
+    const runs = await db.getPlaylistRuns(ownerId, playlistId, { since, limit: Math.min(parseInt(limit, 10) || 50, 50) });
+
+    // The full pre-run snapshot is only needed server-side for restore
+    res.json({
+      runs: runs.map(({ tracksBefore, ...run }) => ({
+        ...run,
+        trackCountBefore: tracksBefore.length,
+        canRestore: tracksBefore.length > 0,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching playlist history:', error);
+    res.status(500).json({ error: 'Failed to fetch playlist history', details: error.message });
+  }
+});
+
+// Live tracks of a stored playlist for an export, with ISRCs. Drafts, and playlists whose
+// platform can't be reached, export the tracks stored on the record.
+async function fetchExportTracks(userId, playlist) {
+  if (playlist.isDraft) return playlist.tracks || [];
+  try {
+    const connection = await openPlatformAdapter(userId, playlist.platform || 'spotify');
+    const { tracks } = await connection.adapter.getPlaylist(playlist.playlistId);
+    if (connection.platform !== 'apple' || platformRegistry.getFakeMusicService()) return tracks;
+    const appleMusicApi = new AppleMusicService(generateAppleMusicToken());
+    return await addAppleCatalogIsrcs(appleMusicApi, connection.tokens.storefront || 'us', tracks);
+  } catch (error) {
+    console.log(`⚠️ [EXPORT] Using stored tracks for "${playlist.playlistName}": ${error.message}`);
+    return playlist.tracks || [];
+  }
+}
+
+// Download a playlist as M3U8, XSPF, CSV or the full JSON document
+// (?format=m3u8|xspf|csv|json, default json)
+app.get('/api/playlists/:playlistId/export', requirePlaylistOwner(), async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    const { userId, format = 'json' } = req.query;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    if (!playlistExport.EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(playlistExport.EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const emailUserId = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
+    const ownerId = emailUserId || userId;
+    const playlist = (userPlaylists.get(ownerId) || []).find(p => p.playlistId === playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const tracks = await fetchExportTracks(ownerId, playlist);
+    const document = playlistExport.buildPlaylistDocument(playlist, tracks, { reactions: playlistReactions.get(playlistId) });
+    const { filename, contentType, body } = playlistExport.renderExport(document, format, { platformName: platformDisplayName });
+
+    console.log(`📤 [EXPORT] "${playlist.playlistName}" as ${format} (${document.tracks.length} tracks)`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/"/g, '')}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.send(body);
+  } catch (error) {
+    console.error('Error exporting playlist:', error);
+    res.status(500).json({ error: 'Failed to export playlist', details: error.message });
+  }
+});
+
+// Restore a playlist to how it was right before the given run
+app.post('/api/playlists/:playlistId/history/:runId/restore', requirePlaylistOwner(), async (req, res) => {
+  try {
+    const { playlistId, runId } = req.params;
+    const { userId } = req.body;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+
+    const emailUserId = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
+    const ownerId = emailUserId || userId;
+    const playlist = (userPlaylists.get(ownerId) || []).find(p => p.playlistId === playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const run = await db.getPlaylistRun(ownerId, parseInt(runId, 10));
+    if (!run || run.playlistId !== playlistId) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    if (run.tracksBefore.length === 0) {
+      return res.status(400).json({ error: 'Nothing to restore — the playlist was empty before this run' });
+    }
+
+    let restoredTracks = run.tracksBefore;
+    let restoredUris = restoredTracks.map(t => t.uri).filter(Boolean);
+    const tracksBefore = playlist.tracks || [];
+
+    try {
+      const regionCheck = await replacePlatformPlaylistTracks(userId, playlist, restoredUris, restoredTracks);
+      if (regionCheck.report?.blocked.length > 0) {
+        const written = new Set(regionCheck.trackUris);
+        restoredTracks = restoredTracks.filter(t => written.has(t.uri));
+        restoredUris = restoredUris.filter(uri => written.has(uri));
+      }
+      playlist.regionReport = regionAvailability.mergeRegionReport(playlist.regionReport, regionCheck.report);
+    } catch (pushError) {
+      await recordPlaylistRun(ownerId, playlistId, {
+        trigger: 'restore', status: 'failed', tracksBefore, error: pushError.message,
+      });
+      return res.status(pushError.status || 500).json({ error: 'Failed to restore playlist', details: pushError.message });
+    }
+
+    playlist.tracks = restoredTracks;
+    playlist.trackUris = restoredUris;
+    playlist.trackCount = restoredTracks.length;
+    playlist.updatedAt = new Date().toISOString();
+    await savePlaylist(ownerId, playlist);
+
+    const restoreRun = await recordPlaylistRun(ownerId, playlistId, {
+      trigger: 'restore', status: 'succeeded', tracksBefore, tracksAfter: restoredTracks,
+    });
+    console.log(`[HISTORY] Restored ${playlist.playlistName} to before run ${run.id} (${restoredTracks.length} tracks)`);
+    const mirrorReport = await syncStoredPlaylistMirror(ownerId, playlistId);
+    res.json({ success: true, trackCount: restoredTracks.length, runId: restoreRun?.id || null, ...(mirrorReport && { mirror: mirrorReport }) });
+  } catch (error) {
+    console.error('Error restoring playlist:', error);
+    res.status(500).json({ error: 'Failed to restore playlist', details: error.message });
+  }
+});
+
 // Update playlist settings (auto-update frequency, mode, and privacy)
-app.put('/api/playlists/:playlistId/settings', async (req, res) => {
+app.put('/api/playlists/:playlistId/settings', requirePlaylistOwner(), async (req, res) => {
   try {
     const { playlistId } = req.params;
     let { userId, updateFrequency, updateMode, isPublic, updateTime, songCount } = req.body;
@@ -12017,84 +11086,571 @@ app.put('/api/playlists/:playlistId/settings', async (req, res) => {
 
         const tokens = await getUserTokens(platformUserId);
         if (tokens) {
-          const userSpotifyApi = new SpotifyWebApi({
-            clientId: process.env.SPOTIFY_CLIENT_ID,
-            clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-            redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-          });
-          userSpotifyApi.setAccessToken(tokens.access_token);
-          userSpotifyApi.setRefreshToken(tokens.refresh_token);
+          const userSpotifyApi = await openSpotifyClient(platformUserId, tokens);
 
           try {
-            // Refresh token if needed
-            const refreshData = await userSpotifyApi.refreshAccessToken();
-            const newAccessToken = refreshData.body.access_token;
-            userSpotifyApi.setAccessToken(newAccessToken);
-            tokens.access_token = newAccessToken;
-            userTokens.set(platformUserId, tokens);
-            saveTokens();
-          } catch (refreshError) {
-            console.log('Token refresh failed or not needed:', refreshError.message);
+            // Update playlist privacy on Spotify
+            await userSpotifyApi.changePlaylistDetails(playlistId, {
+              public: isPublic
+            });
+            console.log('Updated playlist privacy on Spotify to:', isPublic ? 'public' : 'private');
+          } catch (spotifyError) {
+            console.error('Failed to update playlist privacy on Spotify:', spotifyError);
+            // Continue anyway - we'll still update our local record
           }
+        }
+      }
+    }
+
+    // Detect user's timezone from their IP for scheduling
+    const detectedTimezone = getTimezoneFromRequest(req);
+    console.log(`[SCHEDULE] Detected timezone from IP: ${detectedTimezone}`);
+
+    // Update the playlist settings
+    userPlaylistHistory[playlistIndex].updateFrequency = updateFrequency || 'never';
+    userPlaylistHistory[playlistIndex].updateMode = 'replace';
+    if (songCount && songCount >= 5 && songCount <= 50) {
+      userPlaylistHistory[playlistIndex].requestedSongCount = songCount;
+      userPlaylistHistory[playlistIndex].trackCount = songCount;
+    }
+    if (isPublic !== undefined) {
+      userPlaylistHistory[playlistIndex].isPublic = isPublic;
+    }
+    // Store detected timezone so scheduler can use it for future recalculations
+    userPlaylistHistory[playlistIndex].updateTime = updateFrequency && updateFrequency !== 'never'
+      ? { timezone: detectedTimezone }
+      : null;
+    userPlaylistHistory[playlistIndex].lastUpdated = null;
+    userPlaylistHistory[playlistIndex].nextUpdate = updateFrequency && updateFrequency !== 'never'
+      ? calculateNextUpdate(updateFrequency, playlistId, { timezone: detectedTimezone })
+      : null;
+
+    // Save updated playlists
+    userPlaylists.set(userId, userPlaylistHistory);
+    await savePlaylist(userId, userPlaylistHistory[playlistIndex]);
+
+    console.log('Playlist settings updated successfully');
+
+    res.json({
+      success: true,
+      playlist: userPlaylistHistory[playlistIndex]
+    });
+  } catch (error) {
+    console.error('Error updating playlist settings:', error);
+    if (sendReconnectRequired(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to update playlist settings',
+      details: error.message
+    });
+  }
+});
+
+const platformDisplayName = (platform) => platformRegistry.getPlatform(platform)?.name || platform;
+
+/**
+ * Connections for matching one of the user's playlists onto their other platform
+ * (used by transfer and mirror). Throws an Error with .status, plus .code
+ * SOURCE_NOT_CONNECTED / TARGET_NOT_CONNECTED when a side isn't connected.
+ * @param {string} userId - Account email
+ * @param {string} sourcePlatform - 'spotify' | 'apple'
+ * @param {string} action - Verb for connection errors ('transfer' | 'mirror')
+ * @param {string} [targetPlatform] - Any registered platform; defaults to the other of Spotify / Apple Music
+ */
+async function openCrossPlatformLink(userId, sourcePlatform, action, targetPlatform = sourcePlatform === 'spotify' ? 'apple' : 'spotify') {
+  const connect = async (platform, verb, code) => {
+    const platformUserId = await resolvePlatformUserId(userId, platform);
+    const tokens = platformUserId ? await getUserTokens(platformUserId) : null;
+    if (!tokens) {
+      const err = new Error(`${verb} ${platformDisplayName(platform)} to ${action} this playlist`);
+      err.status = 400;
+      err.code = code;
+      throw err;
+    }
+    return { platform, platformUserId, tokens };
+  };
+  const source = await connect(sourcePlatform, 'Reconnect', 'SOURCE_NOT_CONNECTED');
+  const target = await connect(targetPlatform, 'Connect', 'TARGET_NOT_CONNECTED');
+
+  const link = { source, target, appleMusicApi: null, storefront: 'us', platformService: createPlatformService() };
+  const apple = [source, target].find(side => side.platform === 'apple');
+  if (apple && !platformRegistry.getFakeMusicService()) {
+    const appleMusicDevToken = generateAppleMusicToken();
+    if (!appleMusicDevToken) {
+      const err = new Error('Apple Music service unavailable');
+      err.status = 500;
+      throw err;
+    }
+    // PlatformService's Apple calls read the developer token off the token record
+    apple.tokens = { ...apple.tokens, developer_token: appleMusicDevToken };
+    link.appleMusicApi = new AppleMusicService(appleMusicDevToken);
+    link.storefront = apple.tokens.storefront || 'us';
+  }
+  return link;
+}
+
+// Persist a refreshed access token with its expiry ({ expiresAt, refreshToken })
+const saveRefreshedToken = (platformUserId, accessToken, details) => db.updateAccessToken(platformUserId, accessToken, details);
+
+// PlatformService whose adapters save refreshed access tokens
+function createPlatformService() {
+  return new PlatformService({ onTokenRefresh: saveRefreshedToken });
+}
+
+/**
+ * Spotify client for a user's tokens. The token manager refreshes the access token
+ * only when it's about to expire; a revoked grant throws a 401 with code
+ * PLATFORM_RECONNECT_REQUIRED (see sendReconnectRequired).
+ * @param {string} platformUserId - spotify_xxx
+ * @param {Object} tokens - The user's stored tokens (updated in place on refresh)
+ */
+async function openSpotifyClient(platformUserId, tokens) {
+  await spotifyTokens.ensureFresh(platformUserId, tokens, (accessToken, details) => saveRefreshedToken(platformUserId, accessToken, details));
+  const userSpotifyApi = new SpotifyWebApi({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
+  });
+  userSpotifyApi.setAccessToken(tokens.access_token);
+  userSpotifyApi.setRefreshToken(tokens.refresh_token);
+  return userSpotifyApi;
+}
+
+// Answer a revoked platform grant with the 401 the frontend turns into a reconnect
+// prompt. Returns false (and sends nothing) for any other error.
+function sendReconnectRequired(res, error) {
+  if (error?.code !== 'PLATFORM_RECONNECT_REQUIRED') return false;
+  res.status(401).json({ error: error.message, code: error.code, platform: error.platform });
+  return true;
+}
+
+// Platform an account email generates and imports on: Apple Music when it's the active
+// connection, otherwise Spotify. Null when neither is connected.
+async function activePlatformFor(email) {
+  const user = await db.getUser(email);
+  if (user?.connectedPlatforms?.apple) return 'apple';
+  if (user?.connectedPlatforms?.spotify) return 'spotify';
+  return null;
+}
+
+/**
+ * A user's adapter for one platform (see services/platforms). Throws an Error with
+ * .status when it can't be opened: 404 when no account is linked, 401 (code
+ * PLATFORM_NOT_CONNECTED) when there are no tokens, 500 when Apple Music is unavailable.
+ * @param {string} userId - Account email or platform userId
+ * @param {string} [platform] - Platform id; defaults to the one a platform userId belongs to
+ * @returns {Promise<{ platform, platformUserId, tokens, adapter }>}
+ */
+async function openPlatformAdapter(userId, platform) {
+  const registered = platformRegistry.getPlatform(platform) || platformRegistry.platformForUserId(userId);
+  if (!registered) {
+    const err = new Error('No music platform connected');
+    err.status = 404;
+    throw err;
+  }
+  const platformUserId = isEmailBasedUserId(userId) ? await resolvePlatformUserId(userId, registered.id) : userId;
+  if (!platformUserId) {
+    const err = new Error(`${registered.name} not connected`);
+    err.status = 404;
+    throw err;
+  }
+  const tokens = await getUserTokens(platformUserId);
+  if (!tokens) {
+    const err = new Error(`${registered.name} not authenticated`);
+    err.status = 401;
+    err.code = 'PLATFORM_NOT_CONNECTED';
+    throw err;
+  }
+
+  const adapter = createPlatformService().getAdapter(platformUserId, tokens, adapterOptions(registered.id));
+  return { platform: registered.id, platformUserId, tokens, adapter };
+}
+
+// Options an adapter is opened with: Apple Music needs the developer token (the fake
+// music service does without). Throws a 500 when it can't be generated.
+function adapterOptions(platform) {
+  if (platform !== 'apple' || platformRegistry.getFakeMusicService()) return {};
+  const developerToken = generateAppleMusicToken();
+  if (!developerToken) {
+    const err = new Error('Apple Music service unavailable');
+    err.status = 500;
+    throw err;
+  }
+  return { developerToken };
+}
+
+/**
+ * The catalog generation searches for a listener: their adapter, opened from tokens
+ * already loaded. Spotify tokens are refreshed up front, so a revoked grant stops the
+ * run with PLATFORM_RECONNECT_REQUIRED rather than failing every lookup.
+ * @param {string} platformUserId
+ * @param {string} platform - 'spotify' | 'apple'
+ * @param {Object} tokens - The user's stored tokens
+ */
+async function openListenerCatalog(platformUserId, platform, tokens) {
+  if (platform === 'spotify') {
+    await spotifyTokens.ensureFresh(platformUserId, tokens, (accessToken, details) => saveRefreshedToken(platformUserId, accessToken, details));
+  }
+  return createPlatformService().getAdapter(platformUserId, tokens, adapterOptions(platform));
+}
+
+/**
+ * App-only Spotify adapter (client credentials) for catalog reads no user is needed for:
+ * manual-mode generation and the reference-artist checks. Null when Spotify won't issue
+ * an app token.
+ */
+async function openAppCatalog() {
+  if (platformRegistry.getFakeMusicService()) return platformRegistry.createAdapter('spotify', {});
+  try {
+    const ccData = await spotifyApi.clientCredentialsGrant();
+    return platformRegistry.createAdapter('spotify', { access_token: ccData.body.access_token });
+  } catch (err) {
+    console.log(`⚠️  Could not get Spotify app token: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Every platform the account has connected, opened as by openPlatformAdapter; a platform
+ * userId opens just its own. Platforms the account hasn't linked, or has no tokens for,
+ * are skipped.
+ * @param {string} userId - Account email or platform userId
+ * @returns {Promise<Array<{ platform, platformUserId, tokens, adapter }>>}
+ */
+async function openConnections(userId) {
+  if (!isEmailBasedUserId(userId)) {
+    return [await openPlatformAdapter(userId)];
+  }
+  const opened = await Promise.all(platformRegistry.listPlatforms().map(platform =>
+    openPlatformAdapter(userId, platform.id).catch(error => {
+      if (error.status === 404 || error.code === 'PLATFORM_NOT_CONNECTED') return null;
+      throw error;
+    })
+  ));
+  return opened.filter(Boolean);
+}
+
+// Adapters for every platform the account has connected (see openConnections)
+async function openConnectedAdapters(userId) {
+  return (await openConnections(userId)).map(({ adapter }) => adapter);
+}
+
+// Periodic connection health check over every stored connection. Connections already
+// waiting on a reconnect are skipped — only new tokens can fix them.
+async function checkAllConnections() {
+  const connections = [];
+  for (const [platformUserId, tokens] of Object.entries(await db.getAllTokens())) {
+    if (!platformRegistry.platformForUserId(platformUserId) || tokens.connection_status === connectionHealth.NEEDS_REAUTH) continue;
+    try {
+      connections.push(await openPlatformAdapter(platformUserId));
+    } catch (error) {
+      console.warn(`⚠️ [CONNECTIONS] Couldn't open ${platformUserId}: ${error.message}`);
+    }
+  }
+  const results = await connectionHealth.checkConnections(connections, db);
+  const needsReauth = results.filter(result => result.status === connectionHealth.NEEDS_REAUTH).length;
+  console.log(`🔌 [CONNECTIONS] Checked ${results.length} connection(s), ${needsReauth} need a reconnect`);
+}
+
+// Whether auto-updates for a user's playlists on `platform` are paused waiting on a reconnect
+async function connectionNeedsReauth(userId, platform) {
+  const platformUserId = isEmailBasedUserId(userId) ? await resolvePlatformUserId(userId, platform) : userId;
+  if (!platformUserId) return false;
+  const tokens = await db.getToken(platformUserId);
+  return tokens?.connection_status === connectionHealth.NEEDS_REAUTH;
+}
+
+// Apple library tracks with the ISRCs of their catalog songs (library tracks don't carry them)
+async function addAppleCatalogIsrcs(appleMusicApi, storefront, tracks) {
+  const catalogIds = tracks.map(t => t.catalogId).filter(Boolean);
+  const catalogSongs = catalogIds.length > 0 ? await appleMusicApi.getCatalogSongs(catalogIds, storefront) : [];
+  const isrcByCatalogId = new Map(catalogSongs.map(song => [song.id, song.isrc]));
+  return tracks.map(t => ({ ...t, isrc: t.isrc || isrcByCatalogId.get(t.catalogId) || null }));
+}
+
+// Tracks of a playlist on the link's source platform, with ISRCs
+async function fetchLinkSourceTracks(link, playlistId) {
+  const { source, platformService, appleMusicApi, storefront } = link;
+  const tracks = await platformService.getPlaylistTracks(source.platformUserId, playlistId, source.tokens);
+  if (source.platform !== 'apple') return tracks;
+  return addAppleCatalogIsrcs(appleMusicApi, storefront, tracks);
+}
+
+// Search catalog on the link's target platform
+function openLinkTargetCatalog(link) {
+  const { target, platformService } = link;
+  return playlistTransfer.createAdapterCatalog(platformService.getAdapter(target.platformUserId, target.tokens));
+}
+
+/**
+ * Push a mirrored playlist's current tracks to its mirror on the other platform.
+ * The primary platform playlist is the source of truth: its live tracks are matched
+ * (reusing earlier matches) and replace the mirror's tracks. The outcome is stored on
+ * playlist.mirror and returned as the per-platform report; failures are recorded
+ * there rather than thrown, so a mirror problem never fails the primary change.
+ * @param {string} userId - Account email
+ * @param {Object} playlist - Stored playlist record (saved by the caller)
+ * @returns {Promise<Object|null>} { platform, playlistId, matchedCount, totalCount, unmatched, regionBlocked, error } or null when not mirrored
+ */
+async function syncPlaylistMirror(userId, playlist) {
+  const mirror = playlist.mirror;
+  if (!mirror?.playlistId) return null;
+  const report = { platform: mirror.platform, playlistId: mirror.playlistId, matchedCount: 0, totalCount: 0, unmatched: [], regionBlocked: [], error: null };
+  try {
+    const link = await openCrossPlatformLink(userId, playlist.platform || 'spotify', 'mirror');
+    const sourceTracks = await fetchLinkSourceTracks(link, playlist.playlistId);
+    const catalog = openLinkTargetCatalog(link);
+    const known = new Map(Object.entries(mirror.matches || {}));
+    const { matched, unmatched } = await playlistTransfer.matchTracks(sourceTracks, catalog, { known });
+
+    const regionCheck = await replacePlatformPlaylistTracks(userId, { platform: mirror.platform, playlistId: mirror.playlistId }, matched.map(m => m.target.uri), matched.map(m => m.target));
+    const written = new Set(regionCheck.trackUris);
+    const synced = matched.filter(m => written.has(m.target.uri));
+
+    mirror.matches = Object.fromEntries(matched.map(m => [m.source.uri, { target: m.target, matchedBy: m.matchedBy }]));
+    mirror.regionReport = regionAvailability.mergeRegionReport(mirror.regionReport, regionCheck.report);
+    Object.assign(report, { matchedCount: synced.length, totalCount: sourceTracks.length, unmatched, regionBlocked: regionCheck.report?.blocked || [] });
+    console.log(`🪞 [MIRROR] "${playlist.playlistName}" → ${mirror.platform} ${mirror.playlistId}: ${synced.length}/${sourceTracks.length} matched`);
+  } catch (error) {
+    console.error(`⚠️  [MIRROR] Sync failed for "${playlist.playlistName}" → ${mirror.platform}:`, error.message);
+    report.error = error.message;
+  }
+  mirror.lastSync = { ...report, at: new Date().toISOString() };
+  return report;
+}
+
+// Sync and save the mirror of one of the user's stored playlists, if it has one
+async function syncStoredPlaylistMirror(userId, playlistId) {
+  const playlist = (userPlaylists.get(userId) || []).find(p => p.playlistId === playlistId);
+  if (!playlist?.mirror?.playlistId) return null;
+  const report = await syncPlaylistMirror(userId, playlist);
+  await savePlaylist(userId, playlist);
+  return report;
+}
+
+// Recreate a saved playlist on another platform — by default the user's other one of
+// Spotify / Apple Music, or any registered platform passed as targetPlatform.
+// Tracks are matched by ISRC, then name + artist; unmatched tracks come back with
+// candidate suggestions. The copy takes over the source's auto-update schedule unless
+// the target is destination-only (playlists can be copied there but not generated).
+app.post('/api/playlists/:playlistId/transfer', requirePlaylistOwner(), async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    const { userId, targetPlatform: requestedTarget } = req.body;
+
+    if (!PlatformService) {
+      return res.status(500).json({ error: 'Platform service is not available' });
+    }
+    if (!isEmailBasedUserId(userId)) {
+      return res.status(400).json({ error: 'Transfers need an account email userId' });
+    }
 
-          try {
-            // Update playlist privacy on Spotify
-            await userSpotifyApi.changePlaylistDetails(playlistId, {
-              public: isPublic
-            });
-            console.log('Updated playlist privacy on Spotify to:', isPublic ? 'public' : 'private');
-          } catch (spotifyError) {
-            console.error('Failed to update playlist privacy on Spotify:', spotifyError);
-            // Continue anyway - we'll still update our local record
-          }
-        }
-      }
+    const source = (userPlaylists.get(userId) || []).find(p => p.playlistId === playlistId);
+    if (!source || source.isDraft) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    const sourcePlatform = source.platform || 'spotify';
+    if (sourcePlatform !== 'spotify' && sourcePlatform !== 'apple') {
+      return res.status(400).json({ error: 'Only Spotify and Apple Music playlists can be transferred' });
+    }
+    if (requestedTarget !== undefined && (!platformRegistry.getPlatform(requestedTarget) || requestedTarget === sourcePlatform)) {
+      return res.status(400).json({ error: `Can't transfer a ${platformDisplayName(sourcePlatform)} playlist to "${requestedTarget}"` });
     }
 
-    // Detect user's timezone from their IP for scheduling
-    const detectedTimezone = getTimezoneFromRequest(req);
-    console.log(`[SCHEDULE] Detected timezone from IP: ${detectedTimezone}`);
+    let link;
+    try {
+      link = await openCrossPlatformLink(userId, sourcePlatform, 'transfer', requestedTarget);
+    } catch (linkError) {
+      return res.status(linkError.status || 500).json({ error: linkError.message, ...(linkError.code && { code: linkError.code }) });
+    }
+    const { target } = link;
+    const targetPlatform = target.platform;
 
-    // Update the playlist settings
-    userPlaylistHistory[playlistIndex].updateFrequency = updateFrequency || 'never';
-    userPlaylistHistory[playlistIndex].updateMode = 'replace';
-    if (songCount && songCount >= 5 && songCount <= 50) {
-      userPlaylistHistory[playlistIndex].requestedSongCount = songCount;
-      userPlaylistHistory[playlistIndex].trackCount = songCount;
+    const sourceTracks = await fetchLinkSourceTracks(link, playlistId);
+    if (sourceTracks.length === 0) {
+      return res.status(400).json({ error: 'This playlist has no tracks to transfer' });
     }
-    if (isPublic !== undefined) {
-      userPlaylistHistory[playlistIndex].isPublic = isPublic;
+    const catalog = openLinkTargetCatalog(link);
+
+    console.log(`🔁 [TRANSFER] ${userId}: "${source.playlistName}" ${sourcePlatform} → ${targetPlatform} (${sourceTracks.length} tracks)`);
+    const { matched: found, unmatched } = await playlistTransfer.matchTracks(sourceTracks, catalog);
+    if (found.length === 0) {
+      return res.status(422).json({ error: `None of these songs could be found on ${platformDisplayName(targetPlatform)}`, unmatched });
     }
-    // Store detected timezone so scheduler can use it for future recalculations
-    userPlaylistHistory[playlistIndex].updateTime = updateFrequency && updateFrequency !== 'never'
-      ? { timezone: detectedTimezone }
-      : null;
-    userPlaylistHistory[playlistIndex].lastUpdated = null;
-    userPlaylistHistory[playlistIndex].nextUpdate = updateFrequency && updateFrequency !== 'never'
-      ? calculateNextUpdate(updateFrequency, playlistId, { timezone: detectedTimezone })
-      : null;
 
-    // Save updated playlists
-    userPlaylists.set(userId, userPlaylistHistory);
-    await savePlaylist(userId, userPlaylistHistory[playlistIndex]);
+    // Matches the user can't play in their region on the target are left out and reported
+    const regionCheck = await regionAvailability.filterPlayableTracks(
+      link.platformService.getAdapter(target.platformUserId, target.tokens),
+      found.map(m => m.target.uri),
+      found.map(m => m.target)
+    );
+    const playable = new Set(regionCheck.trackUris);
+    const matched = found.filter(m => playable.has(m.target.uri));
+    const regionBlocked = regionCheck.report?.blocked || [];
+    if (matched.length === 0) {
+      return res.status(422).json({ error: `None of these songs can be played in your region on ${platformDisplayName(targetPlatform)}`, unmatched, regionBlocked });
+    }
+
+    const trackUris = matched.map(m => m.target.uri);
+    const isPublic = targetPlatform === 'apple' ? false : source.isPublic !== false;
+    const created = await link.platformService.createPlaylist(
+      target.platformUserId,
+      source.playlistName,
+      source.description || '',
+      trackUris,
+      target.tokens,
+      isPublic
+    );
 
-    console.log('Playlist settings updated successfully');
+    // The copy inherits the playlist's generation context and auto-update schedule;
+    // the source stops auto-updating so the same prompt doesn't run twice
+    const takesOverSchedule = !platformRegistry.getPlatform(targetPlatform).destinationOnly;
+    const updateFrequency = takesOverSchedule ? source.updateFrequency || 'never' : 'never';
+    const copy = {
+      ...source,
+      playlistId: created.id,
+      playlistName: created.name || source.playlistName,
+      trackUris,
+      trackCount: trackUris.length,
+      createdAt: new Date().toISOString(),
+      spotifyUrl: targetPlatform === 'spotify' ? created.url : null,
+      appleMusicUrl: targetPlatform === 'apple' ? created.url : null,
+      youtubeUrl: targetPlatform === 'youtube' ? created.url : null,
+      platform: targetPlatform,
+      image: null,
+      isPublic,
+      updateFrequency,
+      tracks: matched.map(m => m.target),
+      lockedTracks: [],
+      lastUpdated: null,
+      nextUpdate: updateFrequency !== 'never' ? calculateNextUpdate(updateFrequency, created.id, source.updateTime) : null,
+      transferredFrom: { platform: sourcePlatform, playlistId, at: new Date().toISOString() },
+      mirror: null,
+      regionReport: regionCheck.report,
+    };
+    await savePlaylist(userId, copy);
 
+    const sourcePaused = updateFrequency !== 'never';
+    if (sourcePaused) {
+      await savePlaylist(userId, { ...source, updateFrequency: 'never', nextUpdate: null });
+    }
+
+    console.log(`✓ [TRANSFER] Created ${targetPlatform} playlist ${created.id}: ${matched.length} matched (${matched.filter(m => m.matchedBy === 'isrc').length} by ISRC), ${unmatched.length} unmatched`);
     res.json({
       success: true,
-      playlist: userPlaylistHistory[playlistIndex]
+      playlistId: created.id,
+      playlistUrl: created.url,
+      platform: targetPlatform,
+      matchedCount: matched.length,
+      totalCount: sourceTracks.length,
+      matched,
+      unmatched,
+      regionBlocked,
+      sourceAutoUpdatePaused: sourcePaused,
     });
   } catch (error) {
-    console.error('Error updating playlist settings:', error);
+    console.error('Error transferring playlist:', error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
-      error: 'Failed to update playlist settings',
+      error: 'Failed to transfer playlist',
+      details: error.message
+    });
+  }
+});
+
+// Mirror a saved playlist onto the user's other platform: the record keeps its primary
+// playlist and also owns a copy on the other platform, which every later change
+// (auto-update, refresh, track removal, refinement) is pushed to.
+app.post('/api/playlists/:playlistId/mirror', requirePlaylistOwner(), async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    const { userId } = req.body;
+
+    if (!PlatformService) {
+      return res.status(500).json({ error: 'Platform service is not available' });
+    }
+    if (!isEmailBasedUserId(userId)) {
+      return res.status(400).json({ error: 'Mirroring needs an account email userId' });
+    }
+
+    const playlist = (userPlaylists.get(userId) || []).find(p => p.playlistId === playlistId);
+    if (!playlist || playlist.isDraft) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    const primaryPlatform = playlist.platform || 'spotify';
+    if (primaryPlatform !== 'spotify' && primaryPlatform !== 'apple') {
+      return res.status(400).json({ error: 'Only Spotify and Apple Music playlists can be mirrored' });
+    }
+    if (playlist.mirror?.playlistId) {
+      return res.status(409).json({ error: 'This playlist is already mirrored', code: 'ALREADY_MIRRORED', mirror: playlist.mirror });
+    }
+
+    let link;
+    try {
+      link = await openCrossPlatformLink(userId, primaryPlatform, 'mirror');
+    } catch (linkError) {
+      return res.status(linkError.status || 500).json({ error: linkError.message, ...(linkError.code && { code: linkError.code }) });
+    }
+    const { target } = link;
+
+    // Create an empty counterpart, then let the regular sync fill it
+    const created = await link.platformService.createPlaylist(
+      target.platformUserId,
+      playlist.playlistName,
+      playlist.description || '',
+      [],
+      target.tokens,
+      target.platform === 'apple' ? false : playlist.isPublic !== false
+    );
+    playlist.mirror = {
+      platform: target.platform,
+      playlistId: created.id,
+      url: created.url,
+      createdAt: new Date().toISOString(),
+      matches: {},
+    };
+    const report = await syncPlaylistMirror(userId, playlist);
+    await savePlaylist(userId, playlist);
+
+    console.log(`🪞 [MIRROR] ${userId}: "${playlist.playlistName}" now mirrored to ${target.platform} ${created.id}`);
+    res.json({ success: true, mirror: report, playlistUrl: created.url });
+  } catch (error) {
+    console.error('Error mirroring playlist:', error);
+    if (sendReconnectRequired(res, error)) return;
+    res.status(500).json({
+      error: 'Failed to mirror playlist',
+      details: error.message
+    });
+  }
+});
+
+// Stop mirroring. The copy stays in the user's library on the other platform but no
+// longer receives changes.
+app.delete('/api/playlists/:playlistId/mirror', requirePlaylistOwner(), async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+    const { userId } = req.query;
+
+    const playlist = (userPlaylists.get(userId) || []).find(p => p.playlistId === playlistId);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    if (playlist.mirror?.playlistId) {
+      console.log(`🪞 [MIRROR] ${userId}: stopped mirroring "${playlist.playlistName}" to ${playlist.mirror.platform} ${playlist.mirror.playlistId}`);
+    }
+    playlist.mirror = null;
+    await savePlaylist(userId, playlist);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing playlist mirror:', error);
+    res.status(500).json({
+      error: 'Failed to stop mirroring playlist',
       details: error.message
     });
   }
 });
 
 // Add or remove refinement instructions for a playlist
-app.post('/api/playlists/:playlistId/refine', async (req, res) => {
+app.post('/api/playlists/:playlistId/refine', requirePlaylistOwner(), async (req, res) => {
   try {
     const { playlistId } = req.params;
     const { userId, instruction, action } = req.body;
@@ -12157,7 +11713,7 @@ app.post('/api/playlists/:playlistId/refine', async (req, res) => {
 });
 
 // Toggle lock on a track (locked tracks survive auto-update and manual refresh)
-app.post('/api/playlists/:playlistId/toggle-lock', async (req, res) => {
+app.post('/api/playlists/:playlistId/toggle-lock', requirePlaylistOwner(), async (req, res) => {
   try {
     const { playlistId } = req.params;
     const { userId, trackId } = req.body;
@@ -12188,7 +11744,7 @@ app.post('/api/playlists/:playlistId/toggle-lock', async (req, res) => {
 });
 
 // Exclude a song from playlist (immediate removal + learning)
-app.post('/api/playlists/:playlistId/exclude-song', async (req, res) => {
+app.post('/api/playlists/:playlistId/exclude-song', requirePlaylistOwner(), async (req, res) => {
   try {
     const { playlistId } = req.params;
     const { userId, trackId, trackUri, artistName } = req.body;
@@ -12201,9 +11757,9 @@ app.post('/api/playlists/:playlistId/exclude-song', async (req, res) => {
     let userPlaylistsArray = userPlaylists.get(userId) || [];
     let playlist = userPlaylistsArray.find(p => p.playlistId === playlistId);
 
-    if (!playlist && usePostgres) {
+    if (!playlist) {
       console.log(`[EXCLUDE-SONG] Not in memory, loading from DB for userId=${userId}`);
-      const dbPlaylists = await db.getUserPlaylists(userId);
+      const dbPlaylists = await playlistStore.getUserPlaylists(userId);
       userPlaylists.set(userId, dbPlaylists);
       userPlaylistsArray = dbPlaylists;
       playlist = userPlaylistsArray.find(p => p.playlistId === playlistId);
@@ -12293,24 +11849,7 @@ app.post('/api/playlists/:playlistId/exclude-song', async (req, res) => {
       const tokens = await getUserTokens(platformUserId);
       if (tokens && trackUri) {
         if (excludePlatform === 'spotify') {
-          const userSpotifyApi = new SpotifyWebApi({
-            clientId: process.env.SPOTIFY_CLIENT_ID,
-            clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-            redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-          });
-          userSpotifyApi.setAccessToken(tokens.access_token);
-          userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
-          // Refresh token if needed
-          try {
-            const refreshData = await userSpotifyApi.refreshAccessToken();
-            userSpotifyApi.setAccessToken(refreshData.body.access_token);
-            tokens.access_token = refreshData.body.access_token;
-            userTokens.set(platformUserId, tokens);
-            await db.updateAccessToken(platformUserId, refreshData.body.access_token);
-          } catch (refreshError) {
-            console.log('Token refresh not needed:', refreshError.message);
-          }
+          const userSpotifyApi = await openSpotifyClient(platformUserId, tokens);
 
           // Remove track from Spotify playlist
           await userSpotifyApi.removeTracksFromPlaylist(playlistId, [{ uri: trackUri }]);
@@ -12344,7 +11883,7 @@ app.post('/api/playlists/:playlistId/exclude-song', async (req, res) => {
 });
 
 // React to a song (thumbs up/down for feedback)
-app.post('/api/playlists/:playlistId/react-to-song', async (req, res) => {
+app.post('/api/playlists/:playlistId/react-to-song', requirePlaylistOwner(), async (req, res) => {
   try {
     const { playlistId } = req.params;
     const { userId, trackId, trackUri, trackName, artistName, reaction, image } = req.body;
@@ -12364,9 +11903,9 @@ app.post('/api/playlists/:playlistId/react-to-song', async (req, res) => {
     let userPlaylistsArray = userPlaylists.get(userId) || [];
     let playlist = userPlaylistsArray.find(p => p.playlistId === playlistId);
 
-    if (!playlist && usePostgres) {
+    if (!playlist) {
       // In-memory cache may be stale after server restart — reload from DB
-      const dbPlaylists = await db.getUserPlaylists(userId);
+      const dbPlaylists = await playlistStore.getUserPlaylists(userId);
       userPlaylists.set(userId, dbPlaylists);
       userPlaylistsArray = dbPlaylists;
       playlist = userPlaylistsArray.find(p => p.playlistId === playlistId);
@@ -12474,7 +12013,7 @@ app.post('/api/playlists/:playlistId/react-to-song', async (req, res) => {
 });
 
 // Remove a track from a playlist without disliking it
-app.post('/api/playlists/:playlistId/remove-track', async (req, res) => {
+app.post('/api/playlists/:playlistId/remove-track', requirePlaylistOwner(), async (req, res) => {
   try {
     const { playlistId } = req.params;
     const { userId, trackId, trackUri } = req.body;
@@ -12489,9 +12028,9 @@ app.post('/api/playlists/:playlistId/remove-track', async (req, res) => {
     let userPlaylistsArray = userPlaylists.get(userId) || [];
     let playlist = userPlaylistsArray.find(p => p.playlistId === playlistId);
 
-    if (!playlist && usePostgres) {
+    if (!playlist) {
       console.log(`[REMOVE-TRACK] Not in memory, loading from DB for userId=${userId}`);
-      const dbPlaylists = await db.getUserPlaylists(userId);
+      const dbPlaylists = await playlistStore.getUserPlaylists(userId);
       userPlaylists.set(userId, dbPlaylists);
       userPlaylistsArray = dbPlaylists;
       playlist = userPlaylistsArray.find(p => p.playlistId === playlistId);
@@ -12540,36 +12079,19 @@ app.post('/api/playlists/:playlistId/remove-track', async (req, res) => {
     await savePlaylist(userId, playlist);
     console.log(`[REMOVE-TRACK] Saved successfully for playlist ${playlistId}`);
 
-    // Remove from platform playlist — resolve email to platform userId for token lookup
+    // Remove from the platform playlist
     if (trackUri) {
       try {
-        let removePlatformUserId = userId;
-        const removePlatform = playlist.platform || 'spotify';
-        if (isEmailBasedUserId(userId)) {
-          removePlatformUserId = await resolvePlatformUserId(userId, removePlatform);
-          if (!removePlatformUserId && removePlatform === 'spotify') {
-            removePlatformUserId = await resolvePlatformUserId(userId, 'apple');
-          }
-        }
-        if (removePlatformUserId) {
-          const removeTokens = await db.getToken(removePlatformUserId);
-          if (removeTokens) {
-            const platformService = new PlatformService();
-            if (removePlatform === 'apple') {
-              const appleMusicApiRemove = platformService.getAppleMusicApi(removeTokens);
-              await appleMusicApiRemove.deleteTracksFromPlaylist(removeTokens.access_token, playlist.playlistId, [trackUri]);
-            } else {
-              await platformService.removeTracksFromPlaylist(removePlatformUserId, playlist.playlistId, [trackUri], removeTokens);
-            }
-            console.log(`[REMOVE-TRACK] Removed track ${trackId} from platform playlist ${playlistId}`);
-          }
-        }
+        const { adapter } = await openPlatformAdapter(userId, playlist.platform || 'spotify');
+        await adapter.removeTracksFromPlaylist(playlist.playlistId, [trackUri]);
+        console.log(`[REMOVE-TRACK] Removed track ${trackId} from platform playlist ${playlistId}`);
       } catch (removeErr) {
         console.log(`[REMOVE-TRACK] Could not remove from platform playlist: ${removeErr.message}`);
       }
     }
 
-    res.json({ success: true });
+    const mirrorReport = isEmailBasedUserId(userId) ? await syncStoredPlaylistMirror(userId, playlistId) : null;
+    res.json({ success: true, ...(mirrorReport && { mirror: mirrorReport }) });
   } catch (error) {
     console.error('Error removing track:', error);
     res.status(500).json({ error: 'Failed to remove track', details: error.message });
@@ -12577,14 +12099,14 @@ app.post('/api/playlists/:playlistId/remove-track', async (req, res) => {
 });
 
 // Get all liked/disliked songs across all playlists for a user
-app.get('/api/reactions/:userId', async (req, res) => {
+app.get('/api/reactions/:userId', requireOwner, async (req, res) => {
   try {
     const { userId } = req.params;
     if (!userId) return res.status(400).json({ error: 'Missing userId' });
 
     let userPlaylistsArray = userPlaylists.get(userId) || [];
-    if (userPlaylistsArray.length === 0 && usePostgres) {
-      userPlaylistsArray = await db.getUserPlaylists(userId);
+    if (userPlaylistsArray.length === 0) {
+      userPlaylistsArray = await playlistStore.getUserPlaylists(userId);
       userPlaylists.set(userId, userPlaylistsArray);
     }
 
@@ -12620,11 +12142,7 @@ app.get('/api/reactions/:userId', async (req, res) => {
         if (platformUserId) {
           const tokens = await getUserTokens(platformUserId);
           if (tokens) {
-            const userSpotifyApi = new SpotifyWebApi({
-              clientId: process.env.SPOTIFY_CLIENT_ID,
-              clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-            });
-            userSpotifyApi.setAccessToken(tokens.access_token);
+            const userSpotifyApi = await openSpotifyClient(platformUserId, tokens);
 
             // Spotify getTracks supports up to 50 IDs at once
             const uniqueIds = [...new Set(songsWithoutImages.map(s => s.id))].slice(0, 50);
@@ -12658,83 +12176,8 @@ app.get('/api/reactions/:userId', async (req, res) => {
   }
 });
 
-// Search for users and playlists
-app.post('/api/search', async (req, res) => {
-  try {
-    const { query, userId } = req.body;
-
-    if (!query || !query.trim()) {
-      return res.status(400).json({ error: 'Search query is required' });
-    }
-
-    const searchQuery = query.toLowerCase().trim();
-    const results = {
-      users: [],
-      playlists: []
-    };
-
-    // Search through all users
-    const userProfileData = loadUserProfiles();
-    for (const [uid, profile] of userProfileData.entries()) {
-      if (uid === userId) continue; // Skip current user
-
-      const displayName = (profile.displayName || '').toLowerCase();
-      if (displayName.includes(searchQuery)) {
-        // Count public playlists for this user
-        const playlists = userPlaylists.get(uid) || [];
-        const publicPlaylists = playlists.filter(p => p.isPublic !== false);
-
-        results.users.push({
-          userId: uid,
-          displayName: profile.displayName,
-          image: profile.image,
-          playlistCount: publicPlaylists.length
-        });
-      }
-    }
-
-    // Search through all public playlists
-    for (const [uid, playlists] of userPlaylists.entries()) {
-      const userProfile = userProfileData.get(uid);
-      const creatorName = userProfile?.displayName || 'Unknown User';
-
-      for (const playlist of playlists) {
-        // Only include public playlists
-        if (playlist.isPublic === false) continue;
-
-        const playlistName = (playlist.playlistName || '').toLowerCase();
-        const description = (playlist.description || '').toLowerCase();
-
-        if (playlistName.includes(searchQuery) || description.includes(searchQuery)) {
-          results.playlists.push({
-            playlistId: playlist.playlistId,
-            playlistName: playlist.playlistName,
-            description: playlist.description,
-            trackCount: playlist.trackCount,
-            spotifyUrl: playlist.spotifyUrl,
-            creatorId: uid,
-            creatorName: creatorName
-          });
-        }
-      }
-    }
-
-    // Limit results
-    results.users = results.users.slice(0, 10);
-    results.playlists = results.playlists.slice(0, 20);
-
-    res.json(results);
-  } catch (error) {
-    console.error('Search error:', error);
-    res.status(500).json({
-      error: 'Failed to perform search',
-      details: error.message
-    });
-  }
-});
-
 // React to playlist (thumbs up/down)
-app.post('/api/playlists/:playlistId/react', async (req, res) => {
+app.post('/api/playlists/:playlistId/react', requireOwner, async (req, res) => {
   try {
     const { playlistId } = req.params;
     const { userId, reaction } = req.body; // reaction: 'up' or 'down'
@@ -12761,8 +12204,8 @@ app.post('/api/playlists/:playlistId/react', async (req, res) => {
       reactions.thumbsDown.push(userId);
     }
 
+    await playlistStore.setReaction(playlistId, userId, reaction);
     playlistReactions.set(playlistId, reactions);
-    saveReactions();
 
     res.json({
       success: true,
@@ -12782,7 +12225,7 @@ app.post('/api/playlists/:playlistId/react', async (req, res) => {
 });
 
 // Remove reaction from playlist
-app.delete('/api/playlists/:playlistId/react', async (req, res) => {
+app.delete('/api/playlists/:playlistId/react', requireOwner, async (req, res) => {
   try {
     const { playlistId} = req.params;
     const { userId } = req.body;
@@ -12797,8 +12240,8 @@ app.delete('/api/playlists/:playlistId/react', async (req, res) => {
     reactions.thumbsUp = reactions.thumbsUp.filter(id => id !== userId);
     reactions.thumbsDown = reactions.thumbsDown.filter(id => id !== userId);
 
+    await playlistStore.setReaction(playlistId, userId, null);
     playlistReactions.set(playlistId, reactions);
-    saveReactions();
 
     res.json({
       success: true,
@@ -12818,7 +12261,7 @@ app.delete('/api/playlists/:playlistId/react', async (req, res) => {
 });
 
 // Save playlist
-app.post('/api/playlists/:playlistId/save', async (req, res) => {
+app.post('/api/playlists/:playlistId/save', requireOwner, async (req, res) => {
   try {
     const { playlistId } = req.params;
     const { userId } = req.body;
@@ -12836,9 +12279,9 @@ app.post('/api/playlists/:playlistId/save', async (req, res) => {
     }
 
     // Add to saved playlists
+    await playlistStore.addSavedPlaylist(userId, playlistId);
     savedPlaylists.push(playlistId);
     userSavedPlaylists.set(userId, savedPlaylists);
-    saveSavedPlaylists();
 
     res.json({
       success: true,
@@ -12854,7 +12297,7 @@ app.post('/api/playlists/:playlistId/save', async (req, res) => {
 });
 
 // Unsave playlist
-app.delete('/api/playlists/:playlistId/save', async (req, res) => {
+app.delete('/api/playlists/:playlistId/save', requireOwner, async (req, res) => {
   try {
     const { playlistId } = req.params;
     const { userId } = req.body;
@@ -12867,9 +12310,9 @@ app.delete('/api/playlists/:playlistId/save', async (req, res) => {
     let savedPlaylists = userSavedPlaylists.get(userId) || [];
 
     // Remove from saved playlists
+    await playlistStore.removeSavedPlaylist(userId, playlistId);
     savedPlaylists = savedPlaylists.filter(id => id !== playlistId);
     userSavedPlaylists.set(userId, savedPlaylists);
-    saveSavedPlaylists();
 
     res.json({
       success: true,
@@ -12884,30 +12327,6 @@ app.delete('/api/playlists/:playlistId/save', async (req, res) => {
   }
 });
 
-// Get artist images using client credentials (no user auth needed — for product tour)
-app.get('/api/artist-images', async (req, res) => {
-  const { names } = req.query; // comma-separated artist names
-  if (!names) return res.json({ images: {} });
-  const artistNames = names.split(',').map(n => n.trim()).filter(Boolean);
-  try {
-    const token = await getSpotifyClientToken();
-    const images = {};
-    await Promise.all(artistNames.map(async (name) => {
-      try {
-        const resp = await axios.get('https://api.spotify.com/v1/search', {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { q: name, type: 'artist', limit: 1 }
-        });
-        const artist = resp.data.artists?.items?.[0];
-        images[name] = artist?.images?.[0]?.url || null;
-      } catch { images[name] = null; }
-    }));
-    res.json({ images });
-  } catch (err) {
-    res.json({ images: {} });
-  }
-});
-
 // Get track album art using client credentials (no user auth needed — for product tour)
 app.get('/api/track-images', async (req, res) => {
   const { tracks } = req.query; // "TrackName|Artist,TrackName2|Artist2"
@@ -12933,22 +12352,18 @@ app.get('/api/track-images', async (req, res) => {
   }
 });
 
-// Get artist images using client credentials (no user auth needed — for product tour)
+// Artist photos by name from an app-only catalog search (no user auth needed — for product tour)
 app.get('/api/artist-images', async (req, res) => {
   const { artists } = req.query; // "Kendrick Lamar,SZA,Drake,Rihanna"
   if (!artists) return res.json({ images: {} });
   const artistList = artists.split(',').map(a => a.trim()).filter(Boolean);
   try {
-    const token = await getSpotifyClientToken();
+    const adapter = await openAppOnlyAdapter('spotify');
     const images = {};
     await Promise.all(artistList.map(async (name) => {
       try {
-        const resp = await axios.get('https://api.spotify.com/v1/search', {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { q: `artist:${name}`, type: 'artist', limit: 1 }
-        });
-        const artist = resp.data.artists?.items?.[0];
-        images[name] = artist?.images?.[0]?.url || null;
+        const results = await searchService.searchPlatforms([adapter], { query: `artist:${name}`, types: ['artists'], limit: 1, offset: 0 });
+        images[name] = results.artists[0]?.image || null;
       } catch { images[name] = null; }
     }));
     res.json({ images });
@@ -13029,7 +12444,7 @@ app.get('/api/trending', async (req, res) => {
 });
 
 // Delete a playlist
-app.delete('/api/playlists/:playlistId', async (req, res) => {
+app.delete('/api/playlists/:playlistId', requirePlaylistOwner(req => decodeURIComponent(req.params.playlistId)), async (req, res) => {
   try {
     const playlistId = decodeURIComponent(req.params.playlistId);
     const { userId } = req.query;
@@ -13058,62 +12473,27 @@ app.delete('/api/playlists/:playlistId', async (req, res) => {
     userPlaylists.set(userId, userPlaylistHistory);
     await deletePlaylist(userId, playlistId);
 
-    // Also delete from the platform if it exists there
-    if (deletedPlaylist.platform === 'apple') {
-      try {
-        const emailUserId = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
-        const applePlatformUserId = emailUserId ? await resolvePlatformUserId(emailUserId, 'apple') : null;
-        const appleTokens = applePlatformUserId ? await getUserTokens(applePlatformUserId) : null;
-        const appleMusicDevToken = generateAppleMusicToken();
-        if (appleTokens && appleMusicDevToken) {
-          const appleMusicApiInstance = new AppleMusicService(appleMusicDevToken);
-          await appleMusicApiInstance.deletePlaylist(appleTokens.access_token, playlistId);
-          console.log(`Deleted Apple Music playlist ${playlistId} from user's library`);
-        }
-      } catch (platformErr) {
-        // Non-critical — playlist is already removed from Fins
-        console.log(`Could not delete Apple Music playlist from library: ${platformErr.message}`);
-      }
-    } else if (deletedPlaylist.platform === 'spotify' || !deletedPlaylist.platform) {
-      try {
-        const platformUserId = isEmailBasedUserId(userId)
-          ? await resolvePlatformUserId(userId, 'spotify')
-          : userId;
-        console.log(`[DELETE] Spotify unfollow — userId=${userId}, platformUserId=${platformUserId}, playlistId=${playlistId}`);
-        const tokens = platformUserId ? await getUserTokens(platformUserId) : null;
-        if (tokens) {
-          const userSpotifyApi = new SpotifyWebApi({
-            clientId: process.env.SPOTIFY_CLIENT_ID,
-            clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-            redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-          });
-          userSpotifyApi.setAccessToken(tokens.access_token);
-          userSpotifyApi.setRefreshToken(tokens.refresh_token);
-          try {
-            const refreshData = await userSpotifyApi.refreshAccessToken();
-            userSpotifyApi.setAccessToken(refreshData.body.access_token);
-          } catch (refreshErr) {
-            console.warn(`[DELETE] Token refresh failed, using existing token: ${refreshErr.message}`);
-          }
-          await userSpotifyApi.unfollowPlaylist(playlistId);
-          console.log(`[DELETE] Unfollowed Spotify playlist ${playlistId}`);
-        } else {
-          console.warn(`[DELETE] No tokens found for platformUserId=${platformUserId} — Spotify unfollow skipped`);
-        }
-      } catch (platformErr) {
-        console.error(`[DELETE] Could not unfollow Spotify playlist ${playlistId}: ${platformErr.message}`);
-      }
+    // Also delete from the platform if it exists there (Spotify unfollows it)
+    const platform = deletedPlaylist.platform || 'spotify';
+    try {
+      const emailUserId = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
+      const { adapter } = await openPlatformAdapter(emailUserId || userId, platform);
+      await adapter.deletePlaylist(playlistId);
+      console.log(`[DELETE] Deleted ${platformDisplayName(platform)} playlist ${playlistId} from user's library`);
+    } catch (platformErr) {
+      // Non-critical — playlist is already removed from Fins
+      console.log(`[DELETE] Could not delete ${platformDisplayName(platform)} playlist ${playlistId} from library: ${platformErr.message}`);
     }
 
     // Also remove from saved playlists if it exists there
+    await playlistStore.removeSavedPlaylist(userId, playlistId);
     let savedPlaylists = userSavedPlaylists.get(userId) || [];
     savedPlaylists = savedPlaylists.filter(id => id !== playlistId);
     userSavedPlaylists.set(userId, savedPlaylists);
-    saveSavedPlaylists();
 
     // Also remove any reactions to this playlist
+    await playlistStore.deleteReactions(playlistId);
     playlistReactions.delete(playlistId);
-    saveReactions();
 
     console.log(`Playlist ${playlistId} deleted by user ${userId}`);
 
@@ -13123,6 +12503,7 @@ app.delete('/api/playlists/:playlistId', async (req, res) => {
     });
   } catch (error) {
     console.error('Delete playlist error:', error);
+    if (sendReconnectRequired(res, error)) return;
     res.status(500).json({
       error: 'Failed to delete playlist',
       details: error.message
@@ -13135,21 +12516,16 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Manual enrichment trigger — POST /api/admin/enrich-cache?secret=<ADMIN_SECRET>
+// Manual enrichment trigger — POST /api/admin/enrich-cache (admin session)
 // Kicks off the top-artists cache warmup job without requiring a redeploy.
-app.post('/api/admin/enrich-cache', (req, res) => {
-  const secret = req.query.secret || req.body?.secret;
-  if (!secret || secret !== process.env.ADMIN_SECRET) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+app.post('/api/admin/enrich-cache', requireAdmin, async (req, res) => {
+  await auditAdminAction(req, 'enrich-cache');
   res.json({ message: 'Enrichment started', timestamp: new Date().toISOString() });
   setImmediate(() => enrichTopArtistsCache());
 });
 
 // Test endpoint — fetch a single SC song by UUID and return raw response + song_details row
-app.get('/api/admin/test-song/:uuid', async (req, res) => {
-  const secret = req.query.secret;
-  if (!secret || secret !== process.env.ADMIN_SECRET) return res.status(401).json({ error: 'Unauthorized' });
+app.get('/api/admin/test-song/:uuid', requireAdmin, async (req, res) => {
   const { uuid } = req.params;
   const appId = process.env.SOUNDCHARTS_APP_ID;
   const apiKey = process.env.SOUNDCHARTS_API_KEY;
@@ -13318,14 +12694,29 @@ app.get('/api/featured-artists', async (req, res) => {
 });
 
 // ── Auto-update queue ─────────────────────────────────────────────────────────
-// Playlists due for update are enqueued here and processed MAX_CONCURRENT at a time,
-// so a burst of 500 simultaneous schedules doesn't hammer APIs all at once.
-const autoUpdateQueue = []; // { userId, playlist }
-const MAX_CONCURRENT_UPDATES = 5;
-let activeUpdateCount = 0;
+// Playlists due for update are queued in update_jobs and run a few at a time, leased so
+// a restart resumes them and retried with backoff (services/updateQueueService.js)
+const updateQueue = createUpdateQueue({
+  db,
+  findPlaylist: (userId, playlistId) => (userPlaylists.get(userId) || []).find(p => p.playlistId === playlistId),
+  processUpdate: (userId, playlist) => processPlaylistUpdate(userId, playlist),
+});
+// Playlists already logged as paused for a reconnect, so each pause is logged once
+const pausedAutoUpdates = new Set();
+
+// Failures that retrying can't fix (e.g. the platform was disconnected) skip the backoff
+function permanentUpdateError(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
 
 async function processPlaylistUpdate(userId, playlist) {
   console.log(`[AUTO-UPDATE] Updating playlist: ${playlist.playlistName} (${playlist.playlistId})`);
+  const tracksBefore = [...(playlist.tracks || [])];
+  const playlistPlatform = playlist.platform || 'spotify';
+  let platformUserId = userId;
+  let prompt = null;
   try {
     // Prompt is rebuilt from originalPrompt + stored refinements inside generate-playlist
     // (same pre-flight logic as manual refresh). For imported playlists with no originalPrompt,
@@ -13335,7 +12726,6 @@ async function processPlaylistUpdate(userId, playlist) {
     // endpoint will also do this rebuild, but including it here ensures the correct
     // playlist name surfaces in logs and any pre-flight checks.
     const autoDesc = (playlist.description || '').trim();
-    let prompt;
     if (playlist.originalPrompt) {
       prompt = playlist.originalPrompt;
     } else if (autoDesc) {
@@ -13355,13 +12745,11 @@ async function processPlaylistUpdate(userId, playlist) {
     if (!playlist.tracks) playlist.tracks = [];
 
     // Resolve platform user ID
-    const playlistPlatform = playlist.platform || 'spotify';
-    let platformUserId = userId;
     if (isEmailBasedUserId(userId)) {
       platformUserId = await resolvePlatformUserId(userId, playlistPlatform);
       if (!platformUserId) {
         console.log(`[AUTO-UPDATE] No ${playlistPlatform} connection for user ${userId}, skipping ${playlist.playlistName}`);
-        return;
+        throw permanentUpdateError(`No ${playlistPlatform} connection for user`);
       }
     }
 
@@ -13371,9 +12759,8 @@ async function processPlaylistUpdate(userId, playlist) {
     let returnedTracksData = [];
     try {
       console.log(`[AUTO-UPDATE] Calling generate-playlist for ${playlist.playlistName}...`);
-      const PORT = process.env.PORT || 3001;
       const isReplaceMode = playlist.updateMode === 'replace';
-      const genResult = await axios.post(`http://localhost:${PORT}/api/generate-playlist`, {
+      const genResult = await generatePlaylistInProcess({
         prompt,
         userId,
         platform: playlistPlatform,
@@ -13389,18 +12776,23 @@ async function processPlaylistUpdate(userId, playlist) {
               ...(playlist.excludedSongs || []).map(s => s.uri || s).filter(Boolean),
             ],
         playlistId: playlist.playlistId,
-        internalCall: true,
-      }, { timeout: 180000 });
+      });
 
-      returnedTracksData = genResult.data.tracks || [];
+      returnedTracksData = genResult.tracks || [];
       newTrackUris = returnedTracksData.map(t => t.uri).filter(Boolean);
       tracksForHistory = returnedTracksData.map(t => ({ name: t.name, artist: t.artist }));
       console.log(`[AUTO-UPDATE] Generated ${newTrackUris.length} tracks for ${playlist.playlistName}`);
     } catch (generationError) {
       console.error(`[AUTO-UPDATE] Track generation failed for ${playlist.playlistName}:`, generationError.message);
+      if (isReconnectRequired(generationError)) throw generationError;
+      // 4xx = the request itself can't succeed (e.g. 422 no songs found); 5xx/unknown = worth retrying
+      if (generationError.status >= 400 && generationError.status < 500) {
+        throw permanentUpdateError(`Track generation failed: ${generationError.message}`);
+      }
+      throw new Error(`Track generation failed: ${generationError.message}`);
     }
 
-    // Push tracks to platform (Spotify or Apple Music)
+    // Push tracks to the playlist's platform
     let tracksWereAdded = false;
 
     // Shared: sync DB record and song history after a successful push
@@ -13433,109 +12825,44 @@ async function processPlaylistUpdate(userId, playlist) {
       }
     };
 
-    if (playlistPlatform === 'apple') {
-      // ── Apple Music ──────────────────────────────────────────────
-      const appleTokens = await getUserTokens(platformUserId);
-      const appleMusicDevToken = generateAppleMusicToken();
-      if (appleTokens && appleMusicDevToken && newTrackUris.length > 0) {
-        const appleMusicApiInstance = new AppleMusicService(appleMusicDevToken);
-        // Apple Music URIs are "apple:track:{id}" — extract the raw ID
-        const trackIds = newTrackUris
-          .map(uri => (typeof uri === 'string' && uri.startsWith('apple:track:') ? uri.replace('apple:track:', '') : uri))
-          .filter(Boolean);
-        try {
-          if (playlist.updateMode === 'replace') {
-            console.log(`[AUTO-UPDATE] Apple replace mode: replacing all tracks in ${playlist.playlistName}`);
-            await appleMusicApiInstance.replacePlaylistTracks(appleTokens.access_token, playlist.playlistId, trackIds);
-            console.log(`[AUTO-UPDATE] Successfully replaced tracks in Apple Music playlist ${playlist.playlistName}`);
-            tracksWereAdded = true;
-          } else {
-            // Apple Music append mode in auto-update is intentionally skipped to prevent unbounded
-            // accumulation of tracks. Users can explicitly add songs via manual refresh ("Add Songs").
-            console.log(`[AUTO-UPDATE] Apple Music: skipping auto-append for ${playlist.playlistName} — use manual refresh to add songs`);
-          }
-          const newTracksForRecord = returnedTracksData.map(t => ({
-            id: t.id || null,
-            name: t.name,
-            artist: t.artist || 'Unknown',
-            uri: t.uri,
-            album: t.album || '',
-            image: t.image || null,
-            externalUrl: t.externalUrl || null,
-            explicit: t.explicit || false
-          }));
-          syncAfterPush(newTracksForRecord, newTrackUris);
-        } catch (updateError) {
-          console.error(`[AUTO-UPDATE] Failed to update Apple Music playlist ${playlist.playlistName}:`, updateError.message);
-        }
-      } else {
-        console.log(`[AUTO-UPDATE] Apple Music: missing tokens or dev token for ${playlist.playlistName}, skipping push`);
+    let connection = null;
+    if (newTrackUris.length > 0) {
+      try {
+        connection = await openPlatformAdapter(platformUserId, playlistPlatform);
+      } catch (connectError) {
+        console.log(`[AUTO-UPDATE] ${connectError.message} for ${playlist.playlistName}, skipping push`);
       }
-    } else {
-      // ── Spotify ──────────────────────────────────────────────────
-      const tokens = await getUserTokens(platformUserId);
-      if (tokens && newTrackUris.length > 0) {
-        const userSpotifyApi = new SpotifyWebApi({
-          clientId: process.env.SPOTIFY_CLIENT_ID,
-          clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-          redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
-        });
-        userSpotifyApi.setAccessToken(tokens.access_token);
-        userSpotifyApi.setRefreshToken(tokens.refresh_token);
-
+    }
+    if (connection) {
+      const mode = playlist.updateMode === 'replace' ? 'replace' : 'append';
+      if (mode === 'append' && playlistPlatform === 'apple') {
+        // Apple Music append mode in auto-update is intentionally skipped to prevent unbounded
+        // accumulation of tracks. Users can explicitly add songs via manual refresh ("Add Songs").
+        console.log(`[AUTO-UPDATE] Apple Music: skipping auto-append for ${playlist.playlistName} — use manual refresh to add songs`);
+      } else {
+        // Blocked tracks stay in tracksForHistory, so later runs don't pick them again
+        const regionCheck = await regionAvailability.filterPlayableTracks(connection.adapter, newTrackUris, returnedTracksData);
+        if (regionCheck.report?.blocked.length > 0) {
+          const playable = new Set(regionCheck.trackUris);
+          newTrackUris = regionCheck.trackUris;
+          returnedTracksData = returnedTracksData.filter(track => playable.has(track.uri));
+        }
+        playlist.regionReport = regionAvailability.mergeRegionReport(playlist.regionReport, regionCheck.report);
+        if (newTrackUris.length === 0) {
+          throw permanentUpdateError(`None of the new tracks can be played in ${regionCheck.report.region}`);
+        }
         try {
-          if (playlist.updateMode === 'replace') {
-            console.log(`[AUTO-UPDATE] Replace mode: Getting current tracks for ${playlist.playlistName}`);
-            const currentPlaylistData = await userSpotifyApi.getPlaylist(playlist.playlistId);
-            const validUriRegex = /^spotify:track:[0-9a-zA-Z]{22}$/;
-            const allTrackItems = currentPlaylistData.body.tracks.items;
-            const invalidTracks = allTrackItems.filter(item => !item.track || !item.track.uri || !validUriRegex.test(item.track.uri));
-            if (invalidTracks.length > 0) {
-              console.log(`[AUTO-UPDATE] Warning: Found ${invalidTracks.length} invalid/null tracks in playlist, skipping them`);
-              invalidTracks.forEach((item, idx) => {
-                console.log(`[AUTO-UPDATE]   ${idx + 1}. "${item.track?.name || 'Unknown'}" - URI: ${item.track?.uri || 'null'}`);
-              });
-            }
-            const lockedUris = new Set(
-              (playlist.lockedTracks || [])
-                .map(id => (playlist.tracks || []).find(t => t.id === id)?.uri)
-                .filter(Boolean)
-            );
-            const currentTrackUris = allTrackItems
-              .filter(item => item.track && item.track.uri && validUriRegex.test(item.track.uri) && !lockedUris.has(item.track.uri))
-              .map(item => item.track.uri);
-            if (lockedUris.size > 0) console.log(`[AUTO-UPDATE] Keeping ${lockedUris.size} locked tracks in ${playlist.playlistName}`);
-            console.log(`[AUTO-UPDATE] Removing ${currentTrackUris.length} valid tracks from ${playlist.playlistName}`);
-            if (currentTrackUris.length > 0) {
-              try {
-                await userSpotifyApi.removeTracksFromPlaylist(playlist.playlistId, currentTrackUris.map(uri => ({ uri })));
-              } catch (removeError) {
-                console.error(`[AUTO-UPDATE] Error removing tracks:`, removeError.message);
-                throw removeError;
-              }
-            }
-            await userSpotifyApi.addTracksToPlaylist(playlist.playlistId, newTrackUris);
-            console.log(`[AUTO-UPDATE] Successfully replaced all tracks in ${playlist.playlistName} with ${newTrackUris.length} new tracks`);
-          } else {
-            await userSpotifyApi.addTracksToPlaylist(playlist.playlistId, newTrackUris);
-            console.log(`[AUTO-UPDATE] Successfully appended ${newTrackUris.length} tracks to ${playlist.playlistName}`);
-          }
+          const { keptUris } = await playlistSync.pushTracks(connection.adapter, playlist, newTrackUris, { mode });
+          if (keptUris.length > 0) console.log(`[AUTO-UPDATE] Kept ${keptUris.length} locked tracks in ${playlist.playlistName}`);
+          console.log(`[AUTO-UPDATE] Successfully ${mode === 'replace' ? 'replaced all tracks in' : 'appended tracks to'} ${playlist.playlistName} (${newTrackUris.length} new tracks)`);
           tracksWereAdded = true;
-          const newTracksForRecord = returnedTracksData.map(t => ({
-            id: t.id || null,
-            name: t.name,
-            artist: t.artist || 'Unknown',
-            uri: t.uri,
-            album: t.album || '',
-            image: t.image || null,
-            externalUrl: t.externalUrl || null,
-            explicit: t.explicit || false
-          }));
-          syncAfterPush(newTracksForRecord, newTrackUris);
         } catch (updateError) {
           console.error(`[AUTO-UPDATE] Failed to update ${playlist.playlistName}:`, updateError.message);
+          if (isReconnectRequired(updateError)) throw updateError;
+          throw new Error(`${platformDisplayName(playlistPlatform)} update failed: ${updateError.message}`);
         }
       }
+      syncAfterPush(returnedTracksData.map(playlistSync.toStoredTrack), newTrackUris);
     }
 
     const nowIso = new Date().toISOString();
@@ -13545,34 +12872,38 @@ async function processPlaylistUpdate(userId, playlist) {
     } else {
       console.log(`[AUTO-UPDATE] No tracks added to ${playlist.playlistName} — skipping lastUpdated to avoid false cooldown`);
     }
+    if (tracksWereAdded && playlist.mirror?.playlistId) {
+      // Mirror problems are recorded on playlist.mirror.lastSync, not retried as a failed update
+      await syncPlaylistMirror(userId, playlist);
+    }
     await savePlaylist(userId, playlist);
+    await recordPlaylistRun(userId, playlist.playlistId, {
+      trigger: 'auto',
+      status: tracksWereAdded ? 'succeeded' : 'skipped',
+      prompt,
+      tracksBefore,
+      tracksAfter: tracksWereAdded ? playlist.tracks : tracksBefore,
+    });
   } catch (err) {
+    // A revoked connection pauses the playlist instead of failing it: the connection is
+    // marked needs_reauth, which checkDuePlaylists skips until the user reconnects, and
+    // the update stays due so it runs on the first tick after they do
+    if (isReconnectRequired(err)) {
+      console.log(`⏸️ [AUTO-UPDATE] ${platformDisplayName(playlistPlatform)} needs a reconnect — pausing ${playlist.playlistName}`);
+      await db.setConnectionStatus(platformUserId, connectionHealth.NEEDS_REAUTH);
+      playlist.nextUpdate = new Date().toISOString();
+      await savePlaylist(userId, playlist);
+      await recordPlaylistRun(userId, playlist.playlistId, {
+        trigger: 'auto', status: 'paused', prompt, tracksBefore, error: err.message,
+      });
+      return;
+    }
     console.error(`[AUTO-UPDATE] Error updating playlist ${playlist.playlistName}:`, err.message);
     await savePlaylist(userId, playlist);
-  }
-}
-
-function enqueuePlaylistUpdate(userId, playlist) {
-  // Avoid duplicate entries for the same playlist
-  if (autoUpdateQueue.some(item => item.playlist.playlistId === playlist.playlistId)) {
-    console.log(`[QUEUE] "${playlist.playlistName}" already queued, skipping`);
-    return;
-  }
-  autoUpdateQueue.push({ userId, playlist });
-  console.log(`[QUEUE] Enqueued "${playlist.playlistName}" (queue depth: ${autoUpdateQueue.length})`);
-}
-
-function drainUpdateQueue() {
-  while (autoUpdateQueue.length > 0 && activeUpdateCount < MAX_CONCURRENT_UPDATES) {
-    const item = autoUpdateQueue.shift();
-    activeUpdateCount++;
-    console.log(`[QUEUE] Starting "${item.playlist.playlistName}" (active: ${activeUpdateCount}/${MAX_CONCURRENT_UPDATES}, remaining: ${autoUpdateQueue.length})`);
-    processPlaylistUpdate(item.userId, item.playlist)
-      .catch(err => console.error(`[QUEUE] Unhandled error for "${item.playlist.playlistName}":`, err.message))
-      .finally(() => {
-        activeUpdateCount--;
-        drainUpdateQueue(); // pick up the next item as soon as a slot opens
-      });
+    await recordPlaylistRun(userId, playlist.playlistId, {
+      trigger: 'auto', status: 'failed', prompt, tracksBefore, error: err.message,
+    });
+    throw err; // surfaces on the update_jobs row (status/last_error) and drives retries
   }
 }
 
@@ -13778,14 +13109,16 @@ async function enrichTopArtistsCache() {
 // Uses setInterval instead of node-cron to avoid spurious "missed execution" warnings
 // on shared Railway infrastructure.
 const scheduleAutoUpdates = () => {
-  // Drain the queue every 10 seconds (picks up items when all slots were busy)
-  setInterval(drainUpdateQueue, 10000);
+  // Drain the queue every 10 seconds (picks up jobs when all slots were busy, retries
+  // whose backoff has elapsed, and jobs left behind by a crashed/restarted instance)
+  setInterval(updateQueue.drain, 10000);
 
   const checkDuePlaylists = async () => {
     try {
       const allUsers = Array.from(userPlaylists.entries());
       const now = new Date();
       const savePromises = [];
+      let enqueuedCount = 0;
 
       for (const [userId, playlists] of allUsers) {
         const autoUpdatePlaylists = playlists.filter(p =>
@@ -13797,7 +13130,9 @@ const scheduleAutoUpdates = () => {
         const _email = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
         if (_email) {
           const _user = await db.getUser(_email.trim().toLowerCase());
-          const _isPaid = _user?.plan === 'paid' || isAdminUser(_email);
+          // Accounts waiting to be purged keep their settings but never update
+          if (_user?.deletionScheduledAt) continue;
+          const _isPaid = _user?.plan === 'paid' || isAdminUser(_user);
           if (!_isPaid) {
             console.log(`[AUTO-UPDATE] User ${_email} is no longer on Pro — disabling auto-updates for ${autoUpdatePlaylists.length} playlist(s)`);
             for (const p of autoUpdatePlaylists) {
@@ -13812,6 +13147,17 @@ const scheduleAutoUpdates = () => {
         for (const playlist of autoUpdatePlaylists) {
           if (now < new Date(playlist.nextUpdate)) continue;
 
+          // Paused while the playlist's platform waits on a reconnect. nextUpdate stays in
+          // the past, so the update runs on the first tick after the user reconnects.
+          if (await connectionNeedsReauth(userId, playlist.platform || 'spotify')) {
+            if (!pausedAutoUpdates.has(playlist.playlistId)) {
+              pausedAutoUpdates.add(playlist.playlistId);
+              console.log(`⏸️ [AUTO-UPDATE] "${playlist.playlistName}" is paused until ${platformDisplayName(playlist.platform || 'spotify')} is reconnected`);
+            }
+            continue;
+          }
+          pausedAutoUpdates.delete(playlist.playlistId);
+
           // Advance nextUpdate immediately so the next tick doesn't re-enqueue this playlist.
           // For weekly/monthly: add exactly 7 days/1 month to the stored nextUpdate to prevent
           // day-of-week drift (recalculating from "now" after 5AM fires on day D gives day D+1 + offset).
@@ -13836,7 +13182,7 @@ const scheduleAutoUpdates = () => {
           }
           savePromises.push(savePlaylist(userId, playlist));
 
-          enqueuePlaylistUpdate(userId, playlist);
+          if (await updateQueue.enqueue(userId, playlist)) enqueuedCount++;
         }
       }
 
@@ -13844,9 +13190,9 @@ const scheduleAutoUpdates = () => {
         Promise.all(savePromises).catch(err => console.error('[AUTO-UPDATE] Save error:', err.message));
       }
 
-      if (autoUpdateQueue.length > 0) {
-        console.log(`[QUEUE] ${autoUpdateQueue.length} playlist(s) queued, ${activeUpdateCount}/${MAX_CONCURRENT_UPDATES} slots active`);
-        drainUpdateQueue();
+      if (enqueuedCount > 0) {
+        console.log(`[QUEUE] ${enqueuedCount} playlist(s) queued, ${updateQueue.activeCount()}/${updateQueue.maxConcurrent} slots active`);
+        updateQueue.drain();
       }
     } catch (error) {
       console.error('[AUTO-UPDATE] Scheduler error:', error);
@@ -13857,11 +13203,14 @@ const scheduleAutoUpdates = () => {
 };
 
 // Debug endpoint: check auto-update status for a user's playlists
-app.get('/api/debug/auto-update/:userId', async (req, res) => {
+app.get('/api/debug/auto-update/:userId', requireOwner, async (req, res) => {
   const { userId } = req.params;
   const userPlaylistsArray = userPlaylists.get(userId) || [];
   const now = new Date();
-  const summary = userPlaylistsArray.map(p => ({
+  const lastJobs = await Promise.all(userPlaylistsArray.map(p =>
+    db.getUpdateJobs({ playlistId: p.playlistId, limit: 1 }).then(jobs => jobs[0] || null)
+  ));
+  const summary = userPlaylistsArray.map((p, i) => ({
     name: p.playlistName,
     playlistId: p.playlistId,
     updateFrequency: p.updateFrequency || 'never',
@@ -13871,6 +13220,13 @@ app.get('/api/debug/auto-update/:userId', async (req, res) => {
     lastUpdated: p.lastUpdated || null,
     isDue: p.nextUpdate ? now >= new Date(p.nextUpdate) : false,
     songHistoryCount: (p.songHistory || []).length,
+    lastJob: lastJobs[i] ? {
+      id: lastJobs[i].id,
+      status: lastJobs[i].status,
+      attempts: lastJobs[i].attempts,
+      runAt: lastJobs[i].runAt,
+      lastError: lastJobs[i].lastError,
+    } : null,
     genreData: p.genreData ? { primaryGenre: p.genreData.primaryGenre, seedArtists: p.genreData.artistConstraints?.suggestedSeedArtists } : null,
   }));
   res.json({ now: now.toISOString(), userId, playlists: summary });
@@ -13898,7 +13254,7 @@ app.post('/api/log-error', async (req, res) => {
 // ─── Stripe Endpoints ────────────────────────────────────────────────────���───
 
 // POST /api/stripe/create-checkout-session
-app.post('/api/stripe/create-checkout-session', async (req, res) => {
+app.post('/api/stripe/create-checkout-session', requireOwner, async (req, res) => {
   try {
     const { userId, billingPeriod, trial } = req.body;
     if (!userId) return res.status(400).json({ error: 'Missing userId' });
@@ -13968,7 +13324,7 @@ app.get('/api/stripe/config', (req, res) => {
 });
 
 // POST /api/stripe/create-subscription — embedded checkout session
-app.post('/api/stripe/create-subscription', async (req, res) => {
+app.post('/api/stripe/create-subscription', requireOwner, async (req, res) => {
   try {
     const { userId, billingPeriod, trial } = req.body;
     if (!userId) return res.status(400).json({ error: 'Missing userId' });
@@ -14098,7 +13454,7 @@ app.post('/api/stripe/webhook', async (req, res) => {
 });
 
 // GET /api/stripe/subscription/:userId — get subscription details for in-app billing page
-app.get('/api/stripe/subscription/:userId', async (req, res) => {
+app.get('/api/stripe/subscription/:userId', requireOwner, async (req, res) => {
   try {
     const { userId } = req.params;
     const email = isEmailBasedUserId(userId) ? userId : await getEmailUserIdFromPlatform(userId);
@@ -14151,7 +13507,7 @@ app.get('/api/stripe/subscription/:userId', async (req, res) => {
 });
 
 // POST /api/stripe/cancel-subscription — cancel at period end
-app.post('/api/stripe/cancel-subscription', async (req, res) => {
+app.post('/api/stripe/cancel-subscription', requireOwner, async (req, res) => {
   try {
     const { userId } = req.body;
     if (!userId) return res.status(400).json({ error: 'Missing userId' });
@@ -14178,7 +13534,7 @@ app.post('/api/stripe/cancel-subscription', async (req, res) => {
 });
 
 // POST /api/stripe/resume-subscription — undo cancel-at-period-end
-app.post('/api/stripe/resume-subscription', async (req, res) => {
+app.post('/api/stripe/resume-subscription', requireOwner, async (req, res) => {
   try {
     const { userId } = req.body;
     if (!userId) return res.status(400).json({ error: 'Missing userId' });
@@ -14205,7 +13561,7 @@ app.post('/api/stripe/resume-subscription', async (req, res) => {
 });
 
 // POST /api/stripe/update-payment-method — create SetupIntent for card update
-app.post('/api/stripe/update-payment-method', async (req, res) => {
+app.post('/api/stripe/update-payment-method', requireOwner, async (req, res) => {
   try {
     const { userId } = req.body;
     if (!userId) return res.status(400).json({ error: 'Missing userId' });
@@ -14233,7 +13589,7 @@ app.post('/api/stripe/update-payment-method', async (req, res) => {
 });
 
 // POST /api/stripe/confirm-payment-method — after SetupIntent confirms, attach to subscription
-app.post('/api/stripe/confirm-payment-method', async (req, res) => {
+app.post('/api/stripe/confirm-payment-method', requireOwner, async (req, res) => {
   try {
     const { userId, setupIntentId } = req.body;
     if (!userId || !setupIntentId) return res.status(400).json({ error: 'Missing required fields' });
@@ -14267,7 +13623,7 @@ app.post('/api/stripe/confirm-payment-method', async (req, res) => {
 });
 
 // GET /api/stripe/billing-portal/:userId (kept for backward compatibility)
-app.get('/api/stripe/billing-portal/:userId', async (req, res) => {
+app.get('/api/stripe/billing-portal/:userId', requireOwner, async (req, res) => {
   try {
     const { userId } = req.params;
     console.log(`[BILLING-PORTAL] Request for userId: ${userId}`);
@@ -14325,19 +13681,29 @@ app.get('/api/stripe/billing-portal/:userId', async (req, res) => {
 // ──────────────────��──────────��────────��──────────────────────────────────────
 
 // Initialize database and start server
+// Set up the database and load the in-memory caches; the app can serve requests after this
+async function prepareServer() {
+  // Initialize PostgreSQL if using it
+  if (usePostgres) {
+    console.log('Initializing PostgreSQL database...');
+    await db.initialize();
+    console.log('✓ PostgreSQL database initialized');
+  }
+
+  // Bootstrap admin roles from ADMIN_USERS
+  for (const email of ADMIN_USERS) {
+    if (await db.setUserRole(email, 'admin')) console.log(`👑 [ADMIN] ${email} has the admin role`);
+  }
+
+  // Load playlists, reactions and saved playlists
+  console.log('Loading playlists...');
+  await loadPlaylistData();
+  console.log('✓ Playlists loaded');
+}
+
 async function startServer() {
   try {
-    // Initialize PostgreSQL if using it
-    if (usePostgres) {
-      console.log('Initializing PostgreSQL database...');
-      await db.initialize();
-      console.log('✓ PostgreSQL database initialized');
-    }
-
-    // Load playlists from database or file
-    console.log('Loading playlists...');
-    userPlaylists = await loadPlaylistsFromDB();
-    console.log('✓ Playlists loaded');
+    await prepareServer();
 
     app.listen(PORT, () => {
       console.log(`🎵 AI Playlist Creator Backend running on port ${PORT}`);
@@ -14347,6 +13713,15 @@ async function startServer() {
       scheduleAutoUpdates();
       console.log(`⏰ Auto-update scheduler started`);
 
+      // Find revoked platform connections before a generation or auto-update runs into them
+      const connectionCheckHours = Number(process.env.CONNECTION_CHECK_INTERVAL_HOURS || 6);
+      if (connectionCheckHours > 0) {
+        setInterval(() => {
+          checkAllConnections().catch(error => console.error('❌ [CONNECTIONS] Health check failed:', error.message));
+        }, connectionCheckHours * 60 * 60 * 1000);
+        console.log(`🔌 Connection health check scheduled (every ${connectionCheckHours}h)`);
+      }
+
       // Proactive cache warm — triggered manually via POST /api/admin/enrich-cache
       // or automatically daily at 3 AM when ENRICH_TOP_ARTISTS=true in env.
       if (process.env.ENRICH_TOP_ARTISTS === 'true') {
@@ -14364,6 +13739,25 @@ async function startServer() {
         }
       }, 60 * 60 * 1000); // Run every hour
       console.log(`🧹 Artist cache cleanup scheduler started (runs hourly)`);
+
+      // Drop finished update jobs after 30 days (pending/running jobs are never pruned),
+      // expired session refresh tokens and idle rate limit buckets
+      setInterval(async () => {
+        try {
+          const pruned = await db.pruneUpdateJobs(30);
+          if (pruned > 0) console.log(`🧹 Pruned ${pruned} old auto-update job(s)`);
+          await db.cleanExpiredRefreshTokens();
+          if (usePostgres) await db.pruneRateLimitBuckets();
+        } catch (error) {
+          console.error('Error pruning update jobs / refresh tokens / rate limit buckets:', error.message);
+        }
+      }, 60 * 60 * 1000);
+
+      // Purge deleted accounts once their grace period is over
+      setInterval(() => {
+        purgeDeletedAccounts().catch(error => console.error('❌ [ACCOUNT-DELETION] Purge error:', error.message));
+      }, 60 * 60 * 1000);
+      console.log(`🗑️ Account deletion purge scheduled (hourly, ${accountData.ACCOUNT_DELETION_GRACE_DAYS}-day grace period)`);
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -14371,13 +13765,23 @@ async function startServer() {
   }
 }
 
-startServer();
+// `node server.js` starts the server; tests require() the app and serve it themselves
+// (testing/server.js), without the schedulers, and run auto-updates through updateQueue
+if (require.main === module) {
+  startServer();
 
-// Prevent unhandled rejections/exceptions from crashing the process
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Promise Rejection:', reason);
-});
+  // Prevent unhandled rejections/exceptions from crashing the process
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Promise Rejection:', reason);
+  });
 
-process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
-});
+  process.on('uncaughtException', (err) => {
+    console.error('Uncaught Exception:', err);
+  });
+}
+
+module.exports = {
+  app,
+  prepareServer,
+  updateQueue,
+};
@@ -0,0 +1,187 @@
+/**
+ * Account Data Service
+ * "Download my data" archives and the account deletion grace period.
+ *
+ * The archive is a .tar.gz with one JSON file per kind of data we hold about the user:
+ *   account.json, playlists.json, drafts.json, reactions.json, saved-playlists.json,
+ *   artist-history.json, playlist-history.json, feedback.json, plus a README.txt.
+ * Platform tokens and the password hash are never included.
+ *
+ * Deleting an account signs it out everywhere and disconnects its platforms right away;
+ * the remaining rows are purged once the grace period (ACCOUNT_DELETION_GRACE_DAYS,
+ * default 30) has passed, until then the user can cancel.
+ */
+
+const zlib = require('zlib');
+
+const DEFAULT_GRACE_DAYS = 30;
+
+function parseGraceDays(value) {
+  if (value === undefined || value === '') return DEFAULT_GRACE_DAYS;
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0) {
+    console.warn(`⚠️ [ACCOUNT-DELETION] Ignoring ACCOUNT_DELETION_GRACE_DAYS=${value}, using ${DEFAULT_GRACE_DAYS}`);
+    return DEFAULT_GRACE_DAYS;
+  }
+  return days;
+}
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseGraceDays(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+
+/**
+ * When an account deleted now gets purged
+ * @param {Date} [now]
+ * @param {number} [graceDays]
+ * @returns {Date}
+ */
+function deletionDate(now = new Date(), graceDays = ACCOUNT_DELETION_GRACE_DAYS) {
+  return new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000);
+}
+
+// --- tar (ustar) ---
+
+const BLOCK = 512;
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, '0'), offset, length - 1);
+}
+
+function tarHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > 100) throw new Error(`Archive entry name too long: ${name}`);
+  const header = Buffer.alloc(BLOCK);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  header.write('0', 156);
+  writeString(header, 'ustar\u0000', 257, 6);
+  writeString(header, '00', 263, 2);
+
+  // Checksum: byte sum of the header with the checksum field read as spaces
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeString(header, `${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8);
+  return header;
+}
+
+function createTar(files, mtime) {
+  const blocks = [];
+  for (const { name, content } of files) {
+    const body = Buffer.from(content, 'utf8');
+    blocks.push(tarHeader(name, body.length, mtime), body);
+    const padding = (BLOCK - (body.length % BLOCK)) % BLOCK;
+    if (padding > 0) blocks.push(Buffer.alloc(padding));
+  }
+  // End of archive: two empty blocks
+  blocks.push(Buffer.alloc(BLOCK * 2));
+  return Buffer.concat(blocks);
+}
+
+// --- archive contents ---
+
+const json = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+function accountFile(user, platformUserIds) {
+  const account = { ...user, platformUserIds: {} };
+  delete account.password;
+  for (const [column, id] of Object.entries(platformUserIds || {})) {
+    if (column !== 'email' && id) account.platformUserIds[column] = id;
+  }
+  return account;
+}
+
+// Playlist-level thumbs and the song reactions stored on each playlist
+function reactionsFile(playlists, playlistReactions) {
+  return {
+    playlists: playlistReactions,
+    songs: playlists.flatMap(playlist => [
+      ...(playlist.likedSongs || []).map(song => ({ playlistId: playlist.playlistId, reaction: 'thumbsUp', ...song })),
+      ...(playlist.dislikedSongs || []).map(song => ({ playlistId: playlist.playlistId, reaction: 'thumbsDown', ...song })),
+    ]),
+  };
+}
+
+function readme(user, now, counts) {
+  const lines = [
+    'Fins — your data',
+    `Exported ${now.toISOString()} for ${user.email}`,
+    '',
+    'account.json          Your account: plan, subscription status, connected platforms and their user ids',
+    `playlists.json        Playlists Fins created or imported for you, with prompts, chat and song reactions (${counts.playlists})`,
+    `drafts.json           Playlists you generated but did not save (${counts.drafts})`,
+    'reactions.json        Thumbs up / down on playlists and songs',
+    'saved-playlists.json  Playlists you saved',
+    `artist-history.json   Artists that have appeared in your playlists (${counts.artists})`,
+    'playlist-history.json Every auto-update and refresh of your playlists: songs added and removed',
+    `feedback.json         Feedback you sent us (${counts.feedback})`,
+    '',
+    'Platform access tokens and your password are never exported.',
+  ];
+  if (user.deletionScheduledAt) {
+    lines.push('', `This account is scheduled for deletion on ${new Date(user.deletionScheduledAt).toISOString()}.`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Everything stored about an account, as a .tar.gz download
+ * @param {Object} data
+ * @param {Object} data.user - db.getUser() result
+ * @param {Object} [data.platformUserIds] - db.getPlatformUserIds() row
+ * @param {Array} [data.playlists] - Stored playlist records, drafts included
+ * @param {Array} [data.playlistReactions] - [{ playlistId, reaction }]
+ * @param {Array} [data.savedPlaylists] - Saved playlist ids
+ * @param {Array} [data.artistHistory]
+ * @param {Array} [data.playlistHistory] - Playlist runs
+ * @param {Array} [data.feedback]
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {{ filename: string, contentType: string, body: Buffer }}
+ */
+function buildAccountArchive(data, { now = new Date() } = {}) {
+  const {
+    user,
+    platformUserIds = null,
+    playlists = [],
+    playlistReactions = [],
+    savedPlaylists = [],
+    artistHistory = [],
+    playlistHistory = [],
+    feedback = [],
+  } = data;
+
+  const saved = playlists.filter(playlist => playlist && playlist.isDraft !== true);
+  const drafts = playlists.filter(playlist => playlist && playlist.isDraft === true);
+  const root = `fins-data-${now.toISOString().slice(0, 10)}`;
+
+  const files = [
+    ['README.txt', readme(user, now, { playlists: saved.length, drafts: drafts.length, artists: artistHistory.length, feedback: feedback.length })],
+    ['account.json', json(accountFile(user, platformUserIds))],
+    ['playlists.json', json(saved)],
+    ['drafts.json', json(drafts)],
+    ['reactions.json', json(reactionsFile(playlists, playlistReactions))],
+    ['saved-playlists.json', json(savedPlaylists)],
+    ['artist-history.json', json(artistHistory)],
+    ['playlist-history.json', json(playlistHistory)],
+    ['feedback.json', json(feedback)],
+  ].map(([name, content]) => ({ name: `${root}/${name}`, content }));
+
+  return {
+    filename: `${root}.tar.gz`,
+    contentType: 'application/gzip',
+    body: zlib.gzipSync(createTar(files, now)),
+  };
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  deletionDate,
+  buildAccountArchive,
+};
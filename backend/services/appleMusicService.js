@@ -1,4 +1,60 @@
 const axios = require('axios');
+const { recordPlatformCall } = require('./usageService');
+
+// Artwork URLs are templates ({w}x{h}bb.jpg)
+const artworkUrl = (artwork, size = 640) => artwork
+  ? artwork.url.replace('{w}', String(size)).replace('{h}', String(size))
+  : null;
+
+// Catalog song → the normalized (Spotify-shaped) track every adapter returns
+const normalizeCatalogSong = (track, storefront) => ({
+  id: track.id,
+  name: track.attributes.name,
+  uri: `apple:track:${track.id}`,
+  artists: [{
+    name: track.attributes.artistName
+  }],
+  album: {
+    name: track.attributes.albumName,
+    images: track.attributes.artwork ? [{ url: artworkUrl(track.attributes.artwork) }] : []
+  },
+  duration_ms: track.attributes.durationInMillis,
+  preview_url: track.attributes.previews?.[0]?.url || null,
+  explicit: track.attributes.contentRating === 'explicit',
+  platform: 'apple',
+  isrc: track.attributes.isrc,
+  releaseDate: track.attributes.releaseDate || null,
+  // Songs the storefront lists but can't stream there come without playParams
+  playable: Boolean(track.attributes.playParams),
+  url: track.attributes.url || `https://music.apple.com/${storefront}/song/${track.id}`
+});
+
+const normalizeCatalogArtist = (artist, storefront) => ({
+  id: artist.id,
+  name: artist.attributes.name,
+  image: artworkUrl(artist.attributes.artwork),
+  genres: artist.attributes.genreNames || [],
+  url: artist.attributes.url || `https://music.apple.com/${storefront}/artist/${artist.id}`,
+  platform: 'apple'
+});
+
+const normalizeCatalogAlbum = (album, storefront) => ({
+  id: album.id,
+  name: album.attributes.name,
+  artists: [{ name: album.attributes.artistName }],
+  image: artworkUrl(album.attributes.artwork),
+  releaseDate: album.attributes.releaseDate || null,
+  trackCount: album.attributes.trackCount ?? null,
+  url: album.attributes.url || `https://music.apple.com/${storefront}/album/${album.id}`,
+  platform: 'apple'
+});
+
+// Our search types → Apple Music's resource types
+const CATALOG_SEARCH_TYPES = {
+  tracks: { resource: 'songs', normalize: normalizeCatalogSong },
+  artists: { resource: 'artists', normalize: normalizeCatalogArtist },
+  albums: { resource: 'albums', normalize: normalizeCatalogAlbum },
+};
 
 /**
  * Apple Music API Service
@@ -26,6 +82,7 @@ class AppleMusicService {
     }
 
     try {
+      recordPlatformCall('apple');
       const response = await axios({
         method: options.method || 'GET',
         url: `${this.baseUrl}${endpoint}`,
@@ -81,29 +138,37 @@ class AppleMusicService {
       return [];
     }
 
-    // Normalize to match Spotify format
-    return data.results.songs.data.map(track => ({
-      id: track.id,
-      name: track.attributes.name,
-      uri: `apple:track:${track.id}`,
-      artists: [{
-        name: track.attributes.artistName
-      }],
-      album: {
-        name: track.attributes.albumName,
-        images: track.attributes.artwork ? [{
-          url: track.attributes.artwork.url
-            .replace('{w}', '640')
-            .replace('{h}', '640')
-        }] : []
-      },
-      duration_ms: track.attributes.durationInMillis,
-      preview_url: track.attributes.previews?.[0]?.url || null,
-      explicit: track.attributes.contentRating === 'explicit',
-      platform: 'apple',
-      isrc: track.attributes.isrc,
-      releaseDate: track.attributes.releaseDate || null,
-      url: track.attributes.url || `https://music.apple.com/us/song/${track.id}`
+    return data.results.songs.data.map(track => normalizeCatalogSong(track, storefront));
+  }
+
+  /**
+   * One page of catalog songs, artists and albums, normalized like the other adapters'
+   * (searchCatalog returns Apple's raw results)
+   * @param {string} query - Search query
+   * @param {string} storefront - Country code (e.g., 'us')
+   * @param {Object} [options]
+   * @param {Array<string>} [options.types] - Any of 'tracks', 'artists', 'albums'
+   * @param {number} [options.limit] - Results per type (Apple allows at most 25)
+   * @param {number} [options.offset] - Results to skip per type
+   * @returns {Promise<Object>} { tracks: { items, hasMore }, ... } for each requested type
+   */
+  async searchCatalogPage(query, storefront, { types = Object.keys(CATALOG_SEARCH_TYPES), limit = 20, offset = 0 } = {}) {
+    const data = await this.request(`/catalog/${storefront}/search`, null, {
+      params: {
+        term: query,
+        types: types.map(type => CATALOG_SEARCH_TYPES[type].resource).join(','),
+        limit: Math.min(limit, 25),
+        offset
+      }
+    });
+
+    return Object.fromEntries(types.map(type => {
+      const { resource, normalize } = CATALOG_SEARCH_TYPES[type];
+      const page = data.results?.[resource];
+      return [type, {
+        items: (page?.data || []).map(item => normalize(item, storefront)),
+        hasMore: Boolean(page?.next),
+      }];
     }));
   }
 
@@ -526,10 +591,118 @@ class AppleMusicService {
         }] : []
       },
       duration_ms: track.attributes.durationInMillis,
+      playable: Boolean(track.attributes.playParams),
       platform: 'apple'
     };
   }
 
+  /**
+   * Check which catalog songs can be played in a storefront. Songs the storefront doesn't
+   * carry are missing from the response; ones it lists without playParams can't be streamed.
+   * @param {Array<string>} ids - Catalog song IDs
+   * @param {string} storefront - Country code
+   * @returns {Map<string, string|null>} id → null when playable, else 'not_in_storefront' or 'not_playable'
+   */
+  async getCatalogAvailability(ids, storefront) {
+    const availability = new Map(ids.map(id => [id, 'not_in_storefront']));
+    // Apple Music accepts at most 300 ids per request
+    for (let i = 0; i < ids.length; i += 300) {
+      const data = await this.request(`/catalog/${storefront}/songs`, null, {
+        params: { ids: ids.slice(i, i + 300).join(',') }
+      });
+      for (const track of data.data || []) {
+        availability.set(track.id, track.attributes?.playParams ? null : 'not_playable');
+      }
+    }
+    return availability;
+  }
+
+  /**
+   * Look up catalog songs by ID, e.g. to get ISRCs for library tracks (via their catalogId)
+   * @param {Array<string>} ids - Catalog song IDs
+   * @param {string} storefront - Country code
+   * @returns {Array<{ id, name, artist, isrc }>}
+   */
+  async getCatalogSongs(ids, storefront) {
+    const songs = [];
+    // Apple Music accepts at most 300 ids per request
+    for (let i = 0; i < ids.length; i += 300) {
+      const data = await this.request(`/catalog/${storefront}/songs`, null, {
+        params: { ids: ids.slice(i, i + 300).join(',') }
+      });
+      for (const track of data.data || []) {
+        songs.push({
+          id: track.id,
+          name: track.attributes.name,
+          artist: track.attributes.artistName,
+          isrc: track.attributes.isrc || null
+        });
+      }
+    }
+    return songs;
+  }
+
+  /**
+   * Get a public catalog playlist (music.apple.com/{storefront}/playlist/...) with its songs
+   * @param {string} playlistId - Catalog playlist ID (pl.xxx)
+   * @param {string} storefront - Country code
+   * @returns {{ id, name, description, image, url, platform, tracks }}
+   */
+  async getCatalogPlaylist(playlistId, storefront) {
+    const data = await this.request(`/catalog/${storefront}/playlists/${playlistId}`, null, {
+      params: { include: 'tracks' }
+    });
+
+    const playlist = data.data?.[0];
+    if (!playlist) {
+      throw { status: 404, message: 'Playlist not found' };
+    }
+
+    // The first 100 songs come with the playlist; the rest are paged via `next`
+    const songs = [...(playlist.relationships?.tracks?.data || [])];
+    let next = playlist.relationships?.tracks?.next;
+    while (next) {
+      const page = await this.request(next.replace(/^\/v1/, ''), null);
+      songs.push(...(page.data || []));
+      next = page.next;
+    }
+
+    return {
+      id: playlist.id,
+      name: playlist.attributes.name,
+      description: playlist.attributes.description?.standard || '',
+      image: playlist.attributes.artwork
+        ? playlist.attributes.artwork.url.replace('{w}', '300').replace('{h}', '300')
+        : null,
+      url: playlist.attributes.url || null,
+      platform: 'apple',
+      tracks: songs
+        .filter(track => track.type === 'songs' && track.attributes)
+        .map(track => ({
+          id: track.id,
+          name: track.attributes.name,
+          uri: `apple:track:${track.id}`,
+          artists: [{
+            name: track.attributes.artistName
+          }],
+          album: {
+            name: track.attributes.albumName,
+            images: track.attributes.artwork ? [{
+              url: track.attributes.artwork.url
+                .replace('{w}', '640')
+                .replace('{h}', '640')
+            }] : []
+          },
+          duration_ms: track.attributes.durationInMillis,
+          explicit: track.attributes.contentRating === 'explicit',
+          platform: 'apple',
+          isrc: track.attributes.isrc || null,
+          playable: Boolean(track.attributes.playParams),
+          url: track.attributes.url || null
+        }))
+    };
+  }
+
   /**
    * Search for a track by name and artist (used for Spotify -> Apple Music conversion)
    * @param {string} trackName - Track name
@@ -777,7 +950,8 @@ class AppleMusicService {
         platform: 'apple',
         isrc: track.attributes.isrc,
         releaseDate: track.attributes.releaseDate || null,
-        url: track.attributes.url || `https://music.apple.com/us/song/${track.id}`
+        playable: Boolean(track.attributes.playParams),
+        url: track.attributes.url || `https://music.apple.com/${storefront}/song/${track.id}`
       };
     } catch (error) {
       console.error(`Error looking up ISRC ${isrc}:`, error);
@@ -0,0 +1,107 @@
+/**
+ * Auth Service
+ * Session tokens for email accounts:
+ *  - access token: short-lived HS256 JWT ({ sub: email, type: 'access' }) sent as
+ *    `Authorization: Bearer <token>` on every API request
+ *  - refresh token: long-lived opaque random string; only its SHA-256 is stored
+ *    (refresh_tokens table) so it can be rotated on use and revoked on logout
+ *
+ * The DB bookkeeping for refresh tokens lives in server.js; this module is stateless.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  // Local dev convenience only — sessions won't survive a restart
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  JWT_SECRET not set — using an ephemeral secret (all sessions end on restart)');
+}
+
+// Sign a short-lived access token for an email account
+const signAccessToken = (email) =>
+  jwt.sign({ sub: email, type: 'access' }, jwtSecret, { algorithm: 'HS256', expiresIn: ACCESS_TOKEN_TTL });
+
+// Verify an access token; returns the email or throws (err.name === 'TokenExpiredError' when expired)
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, jwtSecret, { algorithms: ['HS256'] });
+  if (payload.type !== 'access' || !payload.sub) {
+    throw new jwt.JsonWebTokenError('Not an access token');
+  }
+  return payload.sub;
+};
+
+// New opaque refresh token plus the hash/expiry to persist
+const createRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return {
+    token,
+    tokenHash: hashRefreshToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  };
+};
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// The Bearer header's token, if any
+const tokenFromRequest = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Set req.user from `token`, or answer 401 when it's bad or expired; no token → anonymous
+const authenticateToken = (token, req, res, next) => {
+  if (!token) return next();
+
+  try {
+    req.user = { email: verifyAccessToken(token) };
+    next();
+  } catch (err) {
+    const expired = err.name === 'TokenExpiredError';
+    res.status(401).json({
+      error: expired ? 'Session expired' : 'Invalid session token',
+      code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
+    });
+  }
+};
+
+/**
+ * Express middleware: derive req.user from the access token in the Authorization header.
+ * No token → continue anonymously (req.user stays undefined); routes that need a
+ * signed-in user add requireAuth. A bad or expired token is rejected with 401 so the
+ * client knows to refresh rather than silently acting as a guest.
+ */
+const authenticate = (req, res, next) => authenticateToken(tokenFromRequest(req), req, res, next);
+
+/**
+ * Express middleware for EventSource streams only: EventSource can't set headers, so the
+ * token may come as ?access_token= instead. Query strings end up in logs and browser
+ * history, so no other route reads it.
+ */
+const authenticateEventStream = (req, res, next) => {
+  if (req.user) return next();
+  authenticateToken(typeof req.query?.access_token === 'string' ? req.query.access_token : null, req, res, next);
+};
+
+// Express middleware: 401 unless authenticate() found a valid token
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+  }
+  next();
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  verifyAccessToken,
+  createRefreshToken,
+  hashRefreshToken,
+  authenticate,
+  authenticateEventStream,
+  requireAuth,
+};
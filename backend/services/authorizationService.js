@@ -0,0 +1,126 @@
+/**
+ * Authorization Service
+ * Ownership checks layered on top of authService.authenticate: a request that names
+ * an account (userId / email) or a playlist must come from the signed-in user who owns it.
+ *
+ * An account owns its email plus every platform userId linked to it (spotify_user_id,
+ * apple_music_user_id and users.user_id), so legacy clients that still send
+ * `spotify_xxx` / `apple_music_xxx` userIds keep working.
+ *
+ * Admin routes use requireAdmin, which checks users.role for the session's account.
+ *
+ * Lookups are injected by server.js so this module stays independent of the DB backend
+ * and of the in-memory playlist store.
+ */
+
+const { requireAuth } = require('./authService');
+
+// Request fields that name the account being acted on (checked in params, body and query)
+const IDENTITY_FIELDS = ['userId', 'email', 'currentEmail'];
+
+const normalizeId = (id) => {
+  const value = String(id).trim();
+  return value.includes('@') ? value.toLowerCase() : value;
+};
+
+const forbidden = (res) =>
+  res.status(403).json({ error: 'You do not have access to this resource', code: 'FORBIDDEN' });
+
+// Every non-empty identity value the request names, deduplicated
+const claimedIdentities = (req) => {
+  const claimed = new Set();
+  for (const source of [req.params, req.body, req.query]) {
+    if (!source || typeof source !== 'object') continue;
+    for (const field of IDENTITY_FIELDS) {
+      const value = source[field];
+      if (typeof value === 'string' && value.trim()) claimed.add(normalizeId(value));
+    }
+  }
+  return [...claimed];
+};
+
+/**
+ * @param {Object} deps
+ * @param {Function} deps.getAccountUserIds - async (email) => array of userIds linked to the account
+ * @param {Function} deps.findPlaylistOwner - async (playlistId) => owning userId, or null if unknown
+ * @param {Function} deps.getRole - async (email) => the account's role ('user' | 'admin')
+ */
+function createAuthorization({ getAccountUserIds, findPlaylistOwner, getRole }) {
+  // The principal's owned ids, resolved once per request
+  const ownedIds = async (req) => {
+    if (!req.user.ownedIds) {
+      const linked = await getAccountUserIds(req.user.email);
+      req.user.ownedIds = new Set([req.user.email, ...(linked || [])].filter(Boolean).map(normalizeId));
+    }
+    return req.user.ownedIds;
+  };
+
+  const ownsUserId = async (req, userId) => (await ownedIds(req)).has(normalizeId(userId));
+
+  const checkIdentities = async (req) => {
+    for (const id of claimedIdentities(req)) {
+      if (!(await ownsUserId(req, id))) {
+        console.warn(`🚫 [AUTHZ] ${req.user.email} denied ${req.method} ${req.path} (names ${id})`);
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // Middleware: signed-in user must own every userId / email the request names
+  const requireOwner = async (req, res, next) => {
+    if (!req.user) return requireAuth(req, res, next);
+    try {
+      if (!(await checkIdentities(req))) return forbidden(res);
+      next();
+    } catch (error) {
+      console.error('[AUTHZ] Ownership check failed:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+
+  /**
+   * Middleware factory: requireOwner plus ownership of the playlist (or draft) the route
+   * acts on. Unknown playlist ids pass through so the route can answer 404 itself.
+   * @param {Function} getPlaylistId - (req) => playlist id; defaults to req.params.playlistId
+   */
+  const requirePlaylistOwner = (getPlaylistId = (req) => req.params.playlistId) => async (req, res, next) => {
+    if (!req.user) return requireAuth(req, res, next);
+    try {
+      if (!(await checkIdentities(req))) return forbidden(res);
+
+      const playlistId = getPlaylistId(req);
+      const ownerId = playlistId ? await findPlaylistOwner(playlistId) : null;
+      if (ownerId && !(await ownsUserId(req, ownerId))) {
+        console.warn(`🚫 [AUTHZ] ${req.user.email} denied ${req.method} ${req.path} (playlist owned by ${ownerId})`);
+        return forbidden(res);
+      }
+      next();
+    } catch (error) {
+      console.error('[AUTHZ] Playlist ownership check failed:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+
+  // Middleware: signed-in user must have the admin role
+  const requireAdmin = async (req, res, next) => {
+    if (!req.user) return requireAuth(req, res, next);
+    try {
+      if ((await getRole(req.user.email)) !== 'admin') {
+        console.warn(`🚫 [AUTHZ] ${req.user.email} denied ${req.method} ${req.path} (not an admin)`);
+        return forbidden(res);
+      }
+      next();
+    } catch (error) {
+      console.error('[AUTHZ] Role check failed:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+
+  return { ownsUserId, requireOwner, requirePlaylistOwner, requireAdmin };
+}
+
+module.exports = {
+  IDENTITY_FIELDS,
+  createAuthorization,
+};
@@ -0,0 +1,77 @@
+/**
+ * Connection Health Service
+ * Checks that the platforms a user connected still accept their credentials, so a revoked
+ * grant shows up as a reconnect banner instead of as 401s in the middle of a generation
+ * or an auto-update.
+ *
+ * A check asks the platform adapter's checkConnection (see ./platforms/index.js) and
+ * records the outcome on the connection's token row:
+ *   'connected'     the platform answered with the user's credentials
+ *   'needs_reauth'  the platform rejected them for good (PLATFORM_RECONNECT_REQUIRED);
+ *                   auto-updates on that platform pause until the user reconnects, which
+ *                   stores new tokens and marks the connection 'connected' again
+ * Any other failure (the platform is down, rate limiting) says nothing about the
+ * credentials, so the stored status is kept and the error is only reported.
+ */
+
+const { isReconnectRequired } = require('./platforms/reconnect');
+
+const CONNECTED = 'connected';
+const NEEDS_REAUTH = 'needs_reauth';
+
+/**
+ * A connection's last recorded health
+ * @param {string} platform - Platform id
+ * @param {Object} tokens - The connection's token record
+ * @returns {{ platform: string, status: string, checkedAt: string|null }}
+ */
+const describeConnection = (platform, tokens) => ({
+  platform,
+  status: tokens?.connection_status || CONNECTED,
+  checkedAt: tokens?.connection_checked_at || null,
+});
+
+/**
+ * Check connections one at a time and record each outcome
+ * @param {Array<{ platform, platformUserId, tokens, adapter }>} connections - Opened adapters
+ * @param {Object} store - { setConnectionStatus(platformUserId, status) } (the database)
+ * @returns {Promise<Array<{ platform, status, checkedAt, error }>>} error is set when the
+ *   check failed, with the stored status kept unless the credentials were rejected
+ */
+async function checkConnections(connections, store) {
+  const results = [];
+  for (const { platform, platformUserId, tokens, adapter } of connections) {
+    let status = null;
+    let error = null;
+    if (typeof adapter.checkConnection !== 'function') {
+      error = 'This platform has no connection check';
+    } else {
+      try {
+        await adapter.checkConnection();
+        status = CONNECTED;
+      } catch (checkError) {
+        error = checkError?.message || 'Connection check failed';
+        if (isReconnectRequired(checkError)) status = NEEDS_REAUTH;
+      }
+    }
+
+    if (!status) {
+      console.warn(`⚠️ [CONNECTIONS] Couldn't check ${platform} for ${platformUserId}: ${error}`);
+      results.push({ ...describeConnection(platform, tokens), error });
+      continue;
+    }
+    if (status === NEEDS_REAUTH && tokens?.connection_status !== NEEDS_REAUTH) {
+      console.log(`🔌 [CONNECTIONS] ${platformUserId} needs to reconnect ${platform}: ${error}`);
+    }
+    await store.setConnectionStatus(platformUserId, status);
+    results.push({ platform, status, checkedAt: new Date().toISOString(), error });
+  }
+  return results;
+}
+
+module.exports = {
+  CONNECTED,
+  NEEDS_REAUTH,
+  describeConnection,
+  checkConnections,
+};
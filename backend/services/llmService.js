@@ -0,0 +1,267 @@
+/**
+ * LLM Service
+ * Every model call in the app goes through a named task instead of calling a
+ * provider SDK directly:
+ *
+ *   const { text } = await llm.complete('curation', { prompt, maxTokens: 800 });
+ *
+ * A task picks its provider and model from TASKS, with env overrides:
+ *   LLM_PROVIDER          — default provider for every task ('anthropic' | 'gemini' | 'fixture')
+ *   LLM_FALLBACK_PROVIDER — provider a task is retried on once when its own throws
+ *   LLM_TASKS             — JSON per-task overrides, e.g.
+ *                           {"curation": {"provider": "gemini", "model": "gemini-2.5-pro", "fallback": "anthropic"}}
+ * When a task runs on a provider it has no pinned model for, the provider's model
+ * for the task's tier ('fast' | 'smart') is used. A fallback that isn't configured
+ * (e.g. gemini without GEMINI_API_KEY) is skipped.
+ *
+ * Providers implement complete({ model, prompt, system, maxTokens, temperature, task })
+ * → { text, usage: { inputTokens, outputTokens } }. Errors from an overloaded
+ * provider are rethrown with code LLM_OVERLOADED so callers can back off.
+ *
+ * The fixture provider replays canned responses (LLM_FIXTURES points at a JSON file)
+ * so the generation flow can run offline and deterministically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { recordModelCall } = require('./usageService');
+
+const TASKS = {
+  genreExtraction: { tier: 'smart', models: { anthropic: 'claude-sonnet-4-20250514' } },
+  artistGenres: { tier: 'smart', models: { anthropic: 'claude-sonnet-4-20250514' } },
+  artistAliases: { tier: 'fast', models: { anthropic: 'claude-haiku-4-5-20251001' } },
+  curation: { tier: 'smart', models: { anthropic: 'claude-sonnet-4-6' } },
+  vibeCheck: { tier: 'smart', models: { anthropic: 'claude-sonnet-4-20250514' } },
+  // Seed artists, before the SoundCharts graph expands
+  genderFilter: { tier: 'fast', models: { anthropic: 'claude-haiku-4-5-20251001' } },
+  // Curated tracks, after vibe check
+  genderVerification: { tier: 'smart', models: { anthropic: 'claude-sonnet-4-6' } },
+  // Rule check on tracks added by supplement / gap-fill passes
+  constraintFilter: { tier: 'fast', models: { anthropic: 'claude-haiku-4-5-20251001' } },
+  playlistNaming: { tier: 'smart', models: { anthropic: 'claude-sonnet-4-20250514' } },
+  energyProgression: { tier: 'fast', models: { anthropic: 'claude-haiku-4-5-20251001' } },
+  phaseSmoothing: { tier: 'fast', models: { anthropic: 'claude-haiku-4-5-20251001' } },
+  tracklistParsing: { tier: 'fast', models: { anthropic: 'claude-haiku-4-5-20251001' } },
+};
+
+// Per-task { provider, model, fallback } with LLM_PROVIDER / LLM_FALLBACK_PROVIDER / LLM_TASKS applied
+function loadTaskConfig({
+  defaultProvider = process.env.LLM_PROVIDER || 'anthropic',
+  defaultFallback = process.env.LLM_FALLBACK_PROVIDER || null,
+  overridesJson = process.env.LLM_TASKS,
+} = {}) {
+  let overrides = {};
+  if (overridesJson) {
+    try {
+      overrides = JSON.parse(overridesJson);
+    } catch (error) {
+      console.error('⚠️  Ignoring invalid LLM_TASKS env var:', error.message);
+    }
+  }
+  const config = {};
+  for (const name of Object.keys(TASKS)) {
+    const override = overrides[name] || {};
+    const provider = override.provider || defaultProvider;
+    const fallback = override.fallback || defaultFallback;
+    config[name] = {
+      provider,
+      model: override.model || TASKS[name].models[provider] || null,
+      fallback: fallback && fallback !== provider ? fallback : null,
+    };
+  }
+  return config;
+}
+
+const overloaded = (error) => {
+  const err = new Error(error.message);
+  err.code = 'LLM_OVERLOADED';
+  err.cause = error;
+  return err;
+};
+
+function createAnthropicProvider(client) {
+  return {
+    name: 'anthropic',
+    models: { fast: 'claude-haiku-4-5-20251001', smart: 'claude-sonnet-4-6' },
+    async complete({ model, prompt, system, maxTokens, temperature }) {
+      try {
+        const response = await client.messages.create({
+          model,
+          max_tokens: maxTokens,
+          ...(temperature !== undefined && { temperature }),
+          ...(system && { system }),
+          messages: [{ role: 'user', content: prompt }],
+        });
+        const usage = response.usage || {};
+        return {
+          text: response.content?.[0]?.text || '',
+          usage: {
+            inputTokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0),
+            outputTokens: usage.output_tokens || 0,
+          },
+        };
+      } catch (error) {
+        if (error.error?.type === 'overloaded_error' || error.status === 529) throw overloaded(error);
+        throw error;
+      }
+    },
+  };
+}
+
+function createGeminiProvider(apiKey) {
+  const { GoogleGenerativeAI } = require('@google/generative-ai');
+  const genAI = new GoogleGenerativeAI(apiKey);
+  return {
+    name: 'gemini',
+    models: { fast: 'gemini-2.5-flash', smart: 'gemini-2.5-pro' },
+    async complete({ model, prompt, system, maxTokens, temperature }) {
+      try {
+        const generativeModel = genAI.getGenerativeModel({ model, ...(system && { systemInstruction: system }) });
+        const result = await generativeModel.generateContent({
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: { maxOutputTokens: maxTokens, ...(temperature !== undefined && { temperature }) },
+        });
+        const usage = result.response.usageMetadata || {};
+        return {
+          text: result.response.text(),
+          usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+        };
+      } catch (error) {
+        if (error.status === 503 || error.status === 429) throw overloaded(error);
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Replays canned responses instead of calling a model.
+ * @param {Object} fixtures
+ * @param {Array|Object} fixtures.responses - Either one array served in call order
+ *   regardless of task, or { [task]: [...] } served in order per task. Non-string
+ *   entries are JSON-encoded.
+ * @param {boolean} [fixtures.cycle] - Start a queue over once it runs out (for a server
+ *   answering many requests) instead of throwing
+ * @returns provider; provider.calls records every request for assertions
+ */
+function createFixtureProvider({ responses = [], cycle = false } = {}) {
+  const queues = Array.isArray(responses) ? { '*': responses } : responses;
+  const positions = {};
+  const calls = [];
+  return {
+    name: 'fixture',
+    models: { fast: 'fixture', smart: 'fixture' },
+    calls,
+    async complete(request) {
+      calls.push(request);
+      const key = queues[request.task] ? request.task : '*';
+      const queue = queues[key] || [];
+      let position = positions[key] || 0;
+      if (position >= queue.length && cycle) position = 0;
+      if (position >= queue.length) {
+        throw new Error(`No fixture response left for LLM task ${request.task}`);
+      }
+      positions[key] = position + 1;
+      const next = queue[position];
+      return { text: typeof next === 'string' ? next : JSON.stringify(next), usage: { inputTokens: 0, outputTokens: 0 } };
+    },
+  };
+}
+
+// Fixture provider from the JSON file at LLM_FIXTURES ({ "responses": ... }); queues cycle
+// so every generation the server runs replays the same answers
+function loadFixtureProvider(fixturePath = process.env.LLM_FIXTURES) {
+  if (!fixturePath) return createFixtureProvider();
+  const fixture = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+  return createFixtureProvider({ responses: fixture.responses || [], cycle: true });
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object<string, Object>} deps.providers - Providers keyed by name
+ * @param {Object} [deps.config] - Task routing; defaults to loadTaskConfig()
+ * @returns {{ complete: Function, routeFor: Function }}
+ */
+function createLlmService({ providers, config = loadTaskConfig() }) {
+  // { provider, model, fallback: { provider, model } | null }
+  const routeFor = (task) => {
+    const route = config[task];
+    if (!route) throw new Error(`Unknown LLM task: ${task}`);
+    const provider = providers[route.provider];
+    if (!provider) throw new Error(`LLM provider "${route.provider}" is not configured (task ${task})`);
+    const fallbackProvider = route.fallback ? providers[route.fallback] : null;
+    return {
+      provider,
+      model: route.model || provider.models[TASKS[task].tier],
+      fallback: fallbackProvider
+        ? { provider: fallbackProvider, model: TASKS[task].models[route.fallback] || fallbackProvider.models[TASKS[task].tier] }
+        : null,
+    };
+  };
+
+  const completeOn = async (task, { provider, model }, request) => {
+    const result = await provider.complete({ task, model, ...request });
+    recordModelCall(model, result.usage);
+    return { text: result.text, model, provider: provider.name };
+  };
+
+  /**
+   * Run a task's single-turn prompt, on the task's fallback provider if its own throws.
+   * When both fail, the fallback's error is thrown.
+   * @param {string} task - Key of TASKS
+   * @param {Object} request
+   * @param {string} request.prompt - User message
+   * @param {number} request.maxTokens
+   * @param {number} [request.temperature]
+   * @param {string} [request.system]
+   * @returns {Promise<{ text: string, model: string, provider: string }>}
+   */
+  async function complete(task, { prompt, system, maxTokens, temperature }) {
+    const route = routeFor(task);
+    const request = { prompt, system, maxTokens, temperature };
+    try {
+      return await completeOn(task, route, request);
+    } catch (error) {
+      if (!route.fallback) throw error;
+      console.warn(`⚠️ [LLM] ${task} failed on ${route.provider.name} (${error.message}) — retrying on ${route.fallback.provider.name}`);
+      return completeOn(task, route.fallback, request);
+    }
+  }
+
+  return { complete, routeFor };
+}
+
+/**
+ * Service wired from env: Anthropic always, Gemini when GEMINI_API_KEY is set,
+ * fixture replay when LLM_FIXTURES is set or any task is routed (or falls back) to it.
+ * @param {Object} clients
+ * @param {Object} clients.anthropic - Anthropic SDK client
+ */
+function createLlmServiceFromEnv({ anthropic }) {
+  const config = loadTaskConfig();
+  const providers = { anthropic: createAnthropicProvider(anthropic) };
+  if (process.env.GEMINI_API_KEY) {
+    providers.gemini = createGeminiProvider(process.env.GEMINI_API_KEY);
+  }
+  if (process.env.LLM_FIXTURES || Object.values(config).some(route => route.provider === 'fixture' || route.fallback === 'fixture')) {
+    providers.fixture = loadFixtureProvider();
+  }
+  const routed = [...new Set(Object.values(config).map(route => route.provider))];
+  console.log(`🤖 [LLM] Providers: ${Object.keys(providers).join(', ')} (tasks routed to ${routed.join(', ')})`);
+  const missingFallbacks = [...new Set(Object.values(config).map(route => route.fallback).filter(name => name && !providers[name]))];
+  if (missingFallbacks.length > 0) {
+    console.warn(`⚠️ [LLM] Fallback provider ${missingFallbacks.join(', ')} is not configured — tasks won't fall back`);
+  }
+  return createLlmService({ providers, config });
+}
+
+module.exports = {
+  TASKS,
+  loadTaskConfig,
+  createAnthropicProvider,
+  createGeminiProvider,
+  createFixtureProvider,
+  loadFixtureProvider,
+  createLlmService,
+  createLlmServiceFromEnv,
+};
@@ -0,0 +1,61 @@
+/**
+ * Password Service
+ * scrypt password hashing (Node's built-in crypto — no native dependency).
+ * Stored format: scrypt$N$r$p$<salt base64>$<hash base64>
+ *
+ * Both database backends hash whatever password createUser()/updatePassword() are given,
+ * so callers pass the plaintext and never need to know the storage format. Only
+ * importUser(), which copies an existing users row, keeps a stored hash as it is.
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_PREFIX = 'scrypt$';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const isPasswordHash = (value) => typeof value === 'string' && value.startsWith(SCRYPT_PREFIX);
+
+const formatHash = (salt, derivedKey, { N, r, p }) =>
+  `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${derivedKey.toString('base64')}`;
+
+// Hash a plaintext password
+const hashPassword = (password) => new Promise((resolve, reject) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  crypto.scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS, (err, derivedKey) => {
+    if (err) return reject(err);
+    resolve(formatHash(salt, derivedKey, SCRYPT_PARAMS));
+  });
+});
+
+// Synchronous variant for the SQLite backend, whose methods are all synchronous
+const hashPasswordSync = (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  return formatHash(salt, crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT_PARAMS), SCRYPT_PARAMS);
+};
+
+// Check a plaintext password against a stored hash. Non-hash values never match.
+const verifyPassword = (password, stored) => new Promise((resolve) => {
+  if (!password || !isPasswordHash(stored)) return resolve(false);
+  const [, N, r, p, saltB64, hashB64] = stored.split('$');
+  const expected = Buffer.from(hashB64, 'base64');
+  crypto.scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, { N: +N, r: +r, p: +p }, (err, derivedKey) => {
+    if (err) return resolve(false);
+    resolve(crypto.timingSafeEqual(derivedKey, expected));
+  });
+});
+
+// users.password copied from an existing row (importUser only): a hash is kept, and a
+// plaintext password from before hashing is hashed. Never for a password someone typed.
+const copyStoredPassword = async (stored) => (isPasswordHash(stored) ? stored : hashPassword(stored));
+const copyStoredPasswordSync = (stored) => (isPasswordHash(stored) ? stored : hashPasswordSync(stored));
+
+module.exports = {
+  isPasswordHash,
+  hashPassword,
+  hashPasswordSync,
+  verifyPassword,
+  copyStoredPassword,
+  copyStoredPasswordSync,
+};
@@ -1,36 +1,46 @@
-const SpotifyWebApi = require('spotify-web-api-node');
 const AppleMusicService = require('./appleMusicService');
+const spotify = require('./platforms/spotify');
+const { createAdapter, platformForUserId } = require('./platforms');
 
 /**
- * Platform Service - Unified abstraction for Spotify and Apple Music
- * Routes API calls to the appropriate platform based on userId prefix
+ * Platform Service - Unified abstraction over the registered music platforms
+ * Routes API calls to the platform's adapter based on userId prefix (see services/platforms)
  */
 class PlatformService {
-  constructor() {
-    this.spotifyClientId = process.env.SPOTIFY_CLIENT_ID;
-    this.spotifyClientSecret = process.env.SPOTIFY_CLIENT_SECRET;
-    this.spotifyRedirectUri = process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback';
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onTokenRefresh] - (platformUserId, newAccessToken, { expiresAt, refreshToken }) => persist it; called when an adapter refreshes
+   */
+  constructor({ onTokenRefresh } = {}) {
+    this.onTokenRefresh = onTokenRefresh;
   }
 
   /**
    * Detect platform from userId
-   * @param {string} userId - User ID (spotify_xxx or apple_music_xxx)
-   * @returns {string} 'spotify' or 'apple'
+   * @param {string} userId - User ID (spotify_xxx, apple_music_xxx or youtube_xxx)
+   * @returns {string} Registered platform id ('spotify' | 'apple' | 'youtube')
    */
   getPlatform(userId) {
     if (!userId) {
       throw new Error('userId is required');
     }
 
-    if (userId.startsWith('spotify_')) {
-      return 'spotify';
-    }
-
-    if (userId.startsWith('apple_music_')) {
-      return 'apple';
+    const platform = platformForUserId(userId);
+    if (!platform) {
+      throw new Error(`Unknown platform for userId: ${userId}`);
     }
+    return platform.id;
+  }
 
-    throw new Error(`Unknown platform for userId: ${userId}`);
+  /**
+   * Adapter for the platform a userId belongs to (see services/platforms)
+   * @param {string} userId - Platform userId
+   * @param {Object} tokens - User's tokens for that platform
+   * @param {Object} [options] - Adapter options (e.g. Apple Music storefront)
+   */
+  getAdapter(userId, tokens, options = {}) {
+    const onTokenRefresh = this.onTokenRefresh && ((accessToken, details) => this.onTokenRefresh(userId, accessToken, details));
+    return createAdapter(this.getPlatform(userId), tokens, { onTokenRefresh, userId, ...options });
   }
 
   /**
@@ -39,18 +49,7 @@ class PlatformService {
    * @returns {SpotifyWebApi}
    */
   getSpotifyApi(tokens) {
-    const spotifyApi = new SpotifyWebApi({
-      clientId: this.spotifyClientId,
-      clientSecret: this.spotifyClientSecret,
-      redirectUri: this.spotifyRedirectUri
-    });
-
-    spotifyApi.setAccessToken(tokens.access_token);
-    if (tokens.refresh_token) {
-      spotifyApi.setRefreshToken(tokens.refresh_token);
-    }
-
-    return spotifyApi;
+    return spotify.getSpotifyApi(tokens);
   }
 
   /**
@@ -63,73 +62,26 @@ class PlatformService {
   }
 
   /**
-   * Refresh Spotify access token
-   * @param {SpotifyWebApi} spotifyApi - Spotify API instance
+   * Search for tracks
+   * @param {string} userId - User ID
+   * @param {string} query - Search query
    * @param {Object} tokens - User's tokens
-   * @param {Function} updateTokens - Callback to update stored tokens
+   * @param {string} storefront - Apple Music storefront (optional)
+   * @param {number} limit - Number of results
    */
-  async refreshSpotifyToken(spotifyApi, tokens, updateTokens) {
-    try {
-      const refreshData = await spotifyApi.refreshAccessToken();
-      const newAccessToken = refreshData.body.access_token;
-      spotifyApi.setAccessToken(newAccessToken);
-
-      // Update tokens
-      tokens.access_token = newAccessToken;
-      if (updateTokens) {
-        await updateTokens(newAccessToken);
-      }
-
-      return true;
-    } catch (error) {
-      console.log('Spotify token refresh failed:', error.message);
-      return false;
-    }
+  searchTracks(userId, query, tokens, storefront = 'us', limit = 25) {
+    return this.getAdapter(userId, tokens, { storefront }).searchTracks(query, { limit });
   }
 
   /**
-   * Search for tracks
+   * Find a track by ISRC on the user's platform
    * @param {string} userId - User ID
-   * @param {string} query - Search query
+   * @param {string} isrc - International Standard Recording Code
    * @param {Object} tokens - User's tokens
    * @param {string} storefront - Apple Music storefront (optional)
-   * @param {number} limit - Number of results
    */
-  async searchTracks(userId, query, tokens, storefront = 'us', limit = 25) {
-    const platform = this.getPlatform(userId);
-
-    if (platform === 'spotify') {
-      const spotifyApi = this.getSpotifyApi(tokens);
-      await this.refreshSpotifyToken(spotifyApi, tokens);
-
-      const data = await spotifyApi.searchTracks(query, { limit });
-
-      return data.body.tracks.items.map(track => ({
-        id: track.id,
-        name: track.name,
-        uri: track.uri,
-        artists: track.artists.map(artist => ({
-          name: artist.name,
-          id: artist.id
-        })),
-        album: {
-          name: track.album.name,
-          images: track.album.images
-        },
-        duration_ms: track.duration_ms,
-        preview_url: track.preview_url,
-        explicit: track.explicit,
-        platform: 'spotify',
-        external_urls: track.external_urls
-      }));
-    }
-
-    if (platform === 'apple') {
-      const appleMusicApi = this.getAppleMusicApi(tokens);
-      const userStorefront = storefront || tokens.storefront || 'us';
-
-      return await appleMusicApi.searchTracks(query, userStorefront, limit);
-    }
+  lookupByIsrc(userId, isrc, tokens, storefront = 'us') {
+    return this.getAdapter(userId, tokens, { storefront }).lookupByIsrc(isrc);
   }
 
   /**
@@ -139,76 +91,10 @@ class PlatformService {
    * @param {string} description - Playlist description
    * @param {Array<string>} trackUris - Array of track URIs
    * @param {Object} tokens - User's tokens
-   * @param {boolean} isPublic - Whether playlist is public (Spotify only)
+   * @param {boolean} isPublic - Whether playlist is public (ignored by Apple Music)
    */
-  async createPlaylist(userId, name, description, trackUris, tokens, isPublic = true) {
-    const platform = this.getPlatform(userId);
-
-    if (platform === 'spotify') {
-      const spotifyApi = this.getSpotifyApi(tokens);
-      await this.refreshSpotifyToken(spotifyApi, tokens);
-
-      // Get Spotify user ID
-      const meData = await spotifyApi.getMe();
-      const spotifyUserId = meData.body.id;
-
-      // Create playlist
-      const playlistData = await spotifyApi.createPlaylist(name, {
-        description,
-        public: isPublic
-      });
-
-      const playlistId = playlistData.body.id;
-
-      // Add tracks
-      if (trackUris && trackUris.length > 0) {
-        await spotifyApi.addTracksToPlaylist(playlistId, trackUris);
-      }
-
-      return {
-        id: playlistId,
-        name: playlistData.body.name,
-        description: playlistData.body.description,
-        url: playlistData.body.external_urls.spotify,
-        platform: 'spotify',
-        trackCount: trackUris.length
-      };
-    }
-
-    if (platform === 'apple') {
-      const appleMusicApi = this.getAppleMusicApi(tokens);
-
-      // Create playlist
-      const playlist = await appleMusicApi.createPlaylist(
-        tokens.access_token, // user music token
-        name,
-        description
-      );
-
-      // Add tracks
-      if (trackUris && trackUris.length > 0) {
-        const trackIds = trackUris.map(uri =>
-          uri.replace('apple:track:', '')
-        );
-
-        await appleMusicApi.addTracksToPlaylist(
-          tokens.access_token,
-          playlist.id,
-          trackIds
-        );
-      }
-
-      const resolvedUrl = playlist.url || `https://music.apple.com/library/playlist/${playlist.id}`;
-      console.log(`Apple Music playlist URL stored: ${resolvedUrl} (from API: ${playlist.url})`);
-      return {
-        id: playlist.id,
-        name: playlist.name,
-        description,
-        url: resolvedUrl,
-        platform: 'apple',
-        trackCount: trackUris.length
-      };
-    }
+  createPlaylist(userId, name, description, trackUris, tokens, isPublic = true) {
+    return this.getAdapter(userId, tokens).createPlaylist(name, description, trackUris, isPublic);
   }
 
   /**
@@ -216,32 +102,38 @@ class PlatformService {
    * @param {string} userId - User ID
    * @param {Object} tokens - User's tokens
    */
-  async getPlaylists(userId, tokens) {
-    const platform = this.getPlatform(userId);
-
-    if (platform === 'spotify') {
-      const spotifyApi = this.getSpotifyApi(tokens);
-      await this.refreshSpotifyToken(spotifyApi, tokens);
-
-      const data = await spotifyApi.getUserPlaylists({ limit: 50 });
+  getPlaylists(userId, tokens) {
+    return this.getAdapter(userId, tokens).getPlaylists();
+  }
 
-      return data.body.items.map(playlist => ({
-        id: playlist.id,
-        name: playlist.name,
-        description: playlist.description,
-        trackCount: playlist.tracks.total,
-        image: playlist.images?.[0]?.url || null,
-        platform: 'spotify',
-        url: playlist.external_urls.spotify,
-        owner: playlist.owner.display_name,
-      }));
-    }
+  /**
+   * Get a playlist with its tracks
+   * @param {string} userId - User ID
+   * @param {string} playlistId - Playlist ID
+   * @param {Object} tokens - User's tokens
+   */
+  getPlaylist(userId, playlistId, tokens) {
+    return this.getAdapter(userId, tokens).getPlaylist(playlistId);
+  }
 
-    if (platform === 'apple') {
-      const appleMusicApi = this.getAppleMusicApi(tokens);
+  /**
+   * Delete a playlist (Spotify unfollows it)
+   * @param {string} userId - User ID
+   * @param {string} playlistId - Playlist ID
+   * @param {Object} tokens - User's tokens
+   */
+  deletePlaylist(userId, playlistId, tokens) {
+    return this.getAdapter(userId, tokens).deletePlaylist(playlistId);
+  }
 
-      return await appleMusicApi.getPlaylists(tokens.access_token);
-    }
+  /**
+   * Get the user's top artists ([] on platforms without listening history)
+   * @param {string} userId - User ID
+   * @param {Object} tokens - User's tokens
+   * @param {number} limit - Number of artists
+   */
+  getTopArtists(userId, tokens, limit = 10) {
+    return this.getAdapter(userId, tokens).getTopArtists({ limit });
   }
 
   /**
@@ -250,36 +142,8 @@ class PlatformService {
    * @param {string} playlistId - Playlist ID
    * @param {Object} tokens - User's tokens
    */
-  async getPlaylistTracks(userId, playlistId, tokens) {
-    const platform = this.getPlatform(userId);
-
-    if (platform === 'spotify') {
-      const spotifyApi = this.getSpotifyApi(tokens);
-      await this.refreshSpotifyToken(spotifyApi, tokens);
-
-      const data = await spotifyApi.getPlaylistTracks(playlistId);
-
-      return data.body.items.map(item => ({
-        id: item.track.id,
-        name: item.track.name,
-        uri: item.track.uri,
-        artists: item.track.artists.map(artist => ({
-          name: artist.name
-        })),
-        album: {
-          name: item.track.album.name
-        },
-        duration_ms: item.track.duration_ms,
-        platform: 'spotify',
-        added_at: item.added_at
-      }));
-    }
-
-    if (platform === 'apple') {
-      const appleMusicApi = this.getAppleMusicApi(tokens);
-
-      return await appleMusicApi.getPlaylistTracks(tokens.access_token, playlistId);
-    }
+  getPlaylistTracks(userId, playlistId, tokens) {
+    return this.getAdapter(userId, tokens).getPlaylistTracks(playlistId);
   }
 
   /**
@@ -289,54 +153,19 @@ class PlatformService {
    * @param {Array<string>} trackUris - Array of track URIs
    * @param {Object} tokens - User's tokens
    */
-  async addTracksToPlaylist(userId, playlistId, trackUris, tokens) {
-    const platform = this.getPlatform(userId);
-
-    if (platform === 'spotify') {
-      const spotifyApi = this.getSpotifyApi(tokens);
-      await this.refreshSpotifyToken(spotifyApi, tokens);
-
-      await spotifyApi.addTracksToPlaylist(playlistId, trackUris);
-
-      return { success: true };
-    }
-
-    if (platform === 'apple') {
-      const appleMusicApi = this.getAppleMusicApi(tokens);
-
-      const trackIds = trackUris.map(uri =>
-        uri.replace('apple:track:', '')
-      );
-
-      await appleMusicApi.addTracksToPlaylist(
-        tokens.access_token,
-        playlistId,
-        trackIds
-      );
-
-      return { success: true };
-    }
+  addTracksToPlaylist(userId, playlistId, trackUris, tokens) {
+    return this.getAdapter(userId, tokens).addTracksToPlaylist(playlistId, trackUris);
   }
 
   /**
-   * Replace all tracks in a playlist (Apple Music only — PUT replaces the full list)
-   * For Spotify, use removeTracksFromPlaylist instead.
+   * Replace all tracks in a playlist
    * @param {string} userId - User ID
    * @param {string} playlistId - Playlist ID
-   * @param {Array<string>} trackUris - Array of track URIs that should remain
+   * @param {Array<string>} trackUris - The playlist's new track list
    * @param {Object} tokens - User's tokens
    */
-  async replacePlaylistTracks(userId, playlistId, trackUris, tokens) {
-    const platform = this.getPlatform(userId);
-
-    if (platform === 'spotify') {
-      throw new Error('replacePlaylistTracks is not supported for Spotify. Use removeTracksFromPlaylist instead.');
-    }
-
-    if (platform === 'apple') {
-      const appleMusicApi = this.getAppleMusicApi(tokens);
-      return await appleMusicApi.replacePlaylistTracks(tokens.access_token, playlistId, trackUris);
-    }
+  replacePlaylistTracks(userId, playlistId, trackUris, tokens) {
+    return this.getAdapter(userId, tokens).replacePlaylistTracks(playlistId, trackUris);
   }
 
   /**
@@ -346,23 +175,8 @@ class PlatformService {
    * @param {Array<string>} trackUris - Array of track URIs
    * @param {Object} tokens - User's tokens
    */
-  async removeTracksFromPlaylist(userId, playlistId, trackUris, tokens) {
-    const platform = this.getPlatform(userId);
-
-    if (platform === 'spotify') {
-      const spotifyApi = this.getSpotifyApi(tokens);
-      await this.refreshSpotifyToken(spotifyApi, tokens);
-
-      await spotifyApi.removeTracksFromPlaylist(playlistId, trackUris.map(uri => ({ uri })));
-
-      return { success: true };
-    }
-
-    if (platform === 'apple') {
-      // Apple Music doesn't support direct track removal
-      // Would need to implement workaround
-      throw new Error('Remove tracks not yet supported for Apple Music');
-    }
+  removeTracksFromPlaylist(userId, playlistId, trackUris, tokens) {
+    return this.getAdapter(userId, tokens).removeTracksFromPlaylist(playlistId, trackUris);
   }
 
   /**
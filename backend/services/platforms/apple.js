@@ -0,0 +1,116 @@
+const AppleMusicService = require('../appleMusicService');
+const { reconnectRequiredError } = require('./reconnect');
+
+// Apple Music calls need the developer token (JWT) plus the user's music token.
+// Library playlists are always private, so isPublic is ignored.
+function createAdapter(tokens, { storefront, developerToken } = {}) {
+  const appleMusicApi = new AppleMusicService(developerToken || tokens.developer_token);
+  const userToken = tokens.access_token;
+  const catalogStorefront = storefront || tokens.storefront || 'us';
+
+  return {
+    platform: 'apple',
+
+    // Apple answers 403 when the music user token has expired or been revoked (a 401
+    // is the developer token, which reconnecting can't fix)
+    async checkConnection() {
+      try {
+        await appleMusicApi.getUserStorefront(userToken);
+      } catch (error) {
+        if (error.status === 403) throw reconnectRequiredError('apple', 'Apple Music');
+        throw error;
+      }
+    },
+
+    searchTracks(query, { limit = 25 } = {}) {
+      return appleMusicApi.searchTracks(query, catalogStorefront, limit);
+    },
+
+    searchCatalog: (query, options) => appleMusicApi.searchCatalogPage(query, catalogStorefront, options),
+
+    lookupByIsrc: (isrc) => appleMusicApi.lookupByIsrc(isrc, catalogStorefront),
+    getTrack: (trackId) => appleMusicApi.getTrack(trackId, catalogStorefront),
+
+    async createPlaylist(name, description, trackUris) {
+      const playlist = await appleMusicApi.createPlaylist(userToken, name, description);
+
+      if (trackUris && trackUris.length > 0) {
+        await appleMusicApi.addTracksToPlaylist(userToken, playlist.id, trackUris);
+      }
+
+      const resolvedUrl = playlist.url || `https://music.apple.com/library/playlist/${playlist.id}`;
+      console.log(`Apple Music playlist URL stored: ${resolvedUrl} (from API: ${playlist.url})`);
+      return {
+        id: playlist.id,
+        name: playlist.name,
+        description,
+        url: resolvedUrl,
+        platform: 'apple',
+        trackCount: trackUris.length
+      };
+    },
+
+    async getPlaylist(playlistId) {
+      const [details, tracks] = await Promise.all([
+        appleMusicApi.getPlaylist(userToken, playlistId),
+        appleMusicApi.getPlaylistTracks(userToken, playlistId),
+      ]);
+      return {
+        id: details.id,
+        name: details.name,
+        description: details.description || '',
+        image: details.image || null,
+        // Library playlists have no public URL
+        url: null,
+        platform: 'apple',
+        tracks,
+      };
+    },
+
+    // Public catalog playlist — only needs the developer token
+    getPublicPlaylist: (playlistId) => appleMusicApi.getCatalogPlaylist(playlistId, catalogStorefront),
+
+    deletePlaylist: (playlistId) => appleMusicApi.deletePlaylist(userToken, playlistId),
+    getPlaylists: () => appleMusicApi.getPlaylists(userToken),
+    getPlaylistTracks: (playlistId) => appleMusicApi.getPlaylistTracks(userToken, playlistId),
+    // No listening-history API — top artists are counted from the library playlists
+    getTopArtists: ({ limit = 10 } = {}) => appleMusicApi.getTopArtistsFromLibrary(userToken, limit),
+
+    async addTracksToPlaylist(playlistId, trackUris) {
+      await appleMusicApi.addTracksToPlaylist(userToken, playlistId, trackUris);
+      return { success: true };
+    },
+
+    // Catalog songs the user's storefront doesn't carry, or lists without playback. Library
+    // ids (i.xxx) are already in the user's library, so they always pass.
+    async filterPlayable(trackUris) {
+      const catalogIds = [...new Set(trackUris
+        .map(uri => uri.replace(/^apple:track:/, ''))
+        .filter(id => id && !id.startsWith('i.')))];
+      const availability = catalogIds.length > 0
+        ? await appleMusicApi.getCatalogAvailability(catalogIds, catalogStorefront)
+        : new Map();
+      const playable = [];
+      const blocked = [];
+      for (const uri of trackUris) {
+        const reason = availability.get(uri.replace(/^apple:track:/, ''));
+        if (reason) blocked.push({ uri, reason });
+        else playable.push(uri);
+      }
+      return { region: catalogStorefront, playable, blocked };
+    },
+
+    replacePlaylistTracks: (playlistId, trackUris) => appleMusicApi.replacePlaylistTracks(userToken, playlistId, trackUris),
+    removeTracksFromPlaylist: (playlistId, trackUris) => appleMusicApi.deleteTracksFromPlaylist(userToken, playlistId, trackUris),
+  };
+}
+
+module.exports = {
+  id: 'apple',
+  name: 'Apple Music',
+  userIdPrefix: 'apple_music_',
+  platformUserIdColumn: 'apple_music_user_id',
+  uriPrefix: 'apple:track:',
+  aliases: ['apple_music'],
+  createAdapter,
+};
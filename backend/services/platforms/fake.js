@@ -0,0 +1,264 @@
+/**
+ * Fake music service
+ * An in-memory stand-in for the platform APIs, so playlist flows (generation publishing,
+ * import, auto-update, transfer) can run with no network. It holds a seeded catalog and
+ * the library playlists created through it, and hands out adapters with the same contract
+ * as the real ones (see ./index.js):
+ *
+ *   const music = createFakeMusicService(require('../../fixtures/fake-music-catalog.json'));
+ *   const adapter = music.createAdapter(getPlatform('spotify'));
+ *
+ * Catalog tracks are platform-neutral ({ id, name, artists, album, isrc, explicit }) and
+ * take the platform's URI prefix when served, so one catalog backs every platform and an
+ * ISRC resolves to the same song on each. A track with `unavailableIn: ['gb', ...]` is
+ * still served by search (like a song matched in another storefront) but filterPlayable
+ * blocks it for adapters opened in those regions (the storefront or market from the
+ * options or token record, default 'us'). A track with `platforms: ['apple', ...]` is
+ * only in those platforms' catalogs. `music.revokeToken(accessToken)` makes every
+ * adapter opened with that token fail like a revoked grant (PLATFORM_RECONNECT_REQUIRED).
+ * `music.calls` records every adapter call ({ platform, method, args }) for assertions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { reconnectRequiredError } = require('./reconnect');
+
+const words = (value) => (value || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+const slug = (name) => words(name).join('-');
+// Artists have no ids of their own in the catalog; their name stands in
+const artistId = (name) => `fake-artist-${slug(name)}`;
+
+const clientError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * @param {Object} [seed]
+ * @param {Array} [seed.catalog] - Tracks: { id, name, artists: [{ name }] | artist, album, image, isrc, explicit, duration_ms, unavailableIn, platforms }
+ * @param {Array} [seed.topArtists] - Artist names (or { name, genres, image }) in rank order
+ * @param {Array} [seed.playlists] - Library playlists: { id, platform, name, description, trackIds }
+ */
+function createFakeMusicService({ catalog = [], topArtists = [], playlists = [] } = {}) {
+  const tracks = new Map(catalog.map(track => [String(track.id), {
+    ...track,
+    id: String(track.id),
+    artists: track.artists || [{ name: track.artist }],
+    album: typeof track.album === 'object' && track.album ? track.album : { name: track.album || '', images: track.image ? [{ url: track.image }] : [] },
+  }]));
+  const library = new Map(playlists.map(playlist => [playlist.id, { description: '', isPublic: true, ...playlist, trackIds: [...(playlist.trackIds || [])] }]));
+  const calls = [];
+  const revokedTokens = new Set();
+  let nextPlaylistId = library.size + 1;
+
+  function createAdapter(platform, tokens = {}, options = {}) {
+    const region = (options.storefront || options.market || tokens?.storefront || tokens?.market || 'us').toLowerCase();
+    // The catalog as this platform has it
+    const onPlatform = new Map([...tracks].filter(([, track]) => !track.platforms || track.platforms.includes(platform.id)));
+
+    const serve = (track) => ({
+      id: track.id,
+      name: track.name,
+      uri: `${platform.uriPrefix}${track.id}`,
+      artists: track.artists.map(artist => ({ id: artistId(artist.name), name: artist.name })),
+      album: { name: track.album.name, images: track.album.images || [] },
+      duration_ms: track.duration_ms || null,
+      explicit: track.explicit || false,
+      isrc: track.isrc || null,
+      platform: platform.id,
+      url: `https://fake.music/${platform.id}/track/${track.id}`,
+    });
+
+    const trackIdFromUri = (uri) => {
+      const id = typeof uri === 'string' && uri.startsWith(platform.uriPrefix) ? uri.slice(platform.uriPrefix.length) : null;
+      if (!id || !onPlatform.has(id)) throw clientError(`Unknown ${platform.id} track: ${uri}`, 400);
+      return id;
+    };
+
+    const ownPlaylist = (playlistId) => {
+      const playlist = library.get(playlistId);
+      if (!playlist || playlist.platform !== platform.id) throw clientError(`Playlist not found: ${playlistId}`, 404);
+      return playlist;
+    };
+
+    const describe = (playlist) => ({
+      id: playlist.id,
+      name: playlist.name,
+      description: playlist.description,
+      image: playlist.image || null,
+      url: `https://fake.music/${platform.id}/playlist/${playlist.id}`,
+      platform: platform.id,
+    });
+
+    // Every query word must appear in the given text. Spotify-style field filters
+    // ("track:… artist:…") are read as plain words.
+    const matches = (query, text) => {
+      const haystack = new Set(words(text));
+      const needles = words(query.replace(/\b(track|artist|album):/gi, ' '));
+      return needles.length > 0 && needles.every(word => haystack.has(word));
+    };
+    const trackText = (track) => `${track.name} ${track.artists.map(a => a.name).join(' ')} ${track.album.name}`;
+
+    // Tracks match on title, artists or album; "isrc:…" matches exactly
+    const search = (query, limit) => {
+      const isrc = /^isrc:(\S+)$/i.exec((query || '').trim());
+      const found = isrc
+        ? [...onPlatform.values()].filter(track => track.isrc === isrc[1])
+        : [...onPlatform.values()].filter(track => matches(query, trackText(track)));
+      return found.slice(0, limit).map(serve);
+    };
+
+    // Artists and albums are the distinct ones the catalog's tracks credit
+    const catalogArtists = () => [...new Map([...onPlatform.values()]
+      .flatMap(track => track.artists)
+      .map(artist => [artist.name.toLowerCase(), artist.name])).values()];
+    const catalogAlbums = () => [...new Map([...onPlatform.values()]
+      .filter(track => track.album.name)
+      .map(track => [track.album.name.toLowerCase(), track])).values()];
+    const describeArtist = (name) => ({
+      id: artistId(name),
+      name,
+      image: null,
+      genres: [],
+      url: `https://fake.music/${platform.id}/artist/${slug(name)}`,
+      platform: platform.id,
+    });
+
+    const searchTypes = {
+      tracks: (query) => [...onPlatform.values()].filter(track => matches(query, trackText(track))).map(serve),
+      artists: (query) => catalogArtists().filter(name => matches(query, name)).map(describeArtist),
+      albums: (query) => catalogAlbums().filter(track => matches(query, `${track.album.name} ${track.artists[0].name}`)).map(track => ({
+        id: `fake-album-${slug(track.album.name)}`,
+        name: track.album.name,
+        artists: [{ name: track.artists[0].name }],
+        image: track.album.images?.[0]?.url || null,
+        releaseDate: null,
+        trackCount: [...onPlatform.values()].filter(other => other.album.name === track.album.name).length,
+        url: `https://fake.music/${platform.id}/album/${slug(track.album.name)}`,
+        platform: platform.id,
+      })),
+    };
+
+    const methods = {
+      // Reached only while the token is good
+      checkConnection: () => {},
+
+      searchTracks: (query, { limit = 25 } = {}) => search(query, limit),
+
+      searchCatalog: (query, { types = Object.keys(searchTypes), limit = 20, offset = 0 } = {}) =>
+        Object.fromEntries(types.map(type => {
+          const found = searchTypes[type](query);
+          return [type, { items: found.slice(offset, offset + limit), hasMore: found.length > offset + limit }];
+        })),
+      lookupByIsrc: (isrc) => search(`isrc:${isrc}`, 1)[0] || null,
+      getTrack: (trackId) => (onPlatform.has(String(trackId)) ? serve(onPlatform.get(String(trackId))) : null),
+
+      getArtist: (id) => {
+        const name = catalogArtists().find(candidate => artistId(candidate) === id);
+        return name ? describeArtist(name) : null;
+      },
+
+      // The catalog's tracks led by the artist, in catalog order
+      getArtistTopTracks: (id) => [...onPlatform.values()]
+        .filter(track => artistId(track.artists[0].name) === id)
+        .slice(0, 10)
+        .map(serve),
+
+      createPlaylist(name, description, trackUris, isPublic = true) {
+        const trackIds = (trackUris || []).map(trackIdFromUri);
+        const playlist = { id: `fake-playlist-${nextPlaylistId++}`, platform: platform.id, name, description: description || '', isPublic, trackIds };
+        library.set(playlist.id, playlist);
+        return { ...describe(playlist), trackCount: trackIds.length };
+      },
+
+      getPlaylist(playlistId) {
+        const playlist = ownPlaylist(playlistId);
+        return { ...describe(playlist), tracks: playlist.trackIds.map(id => serve(onPlatform.get(id))) };
+      },
+
+      // Every fake playlist is public
+      getPublicPlaylist(playlistId) {
+        return methods.getPlaylist(playlistId);
+      },
+
+      deletePlaylist(playlistId) {
+        ownPlaylist(playlistId);
+        library.delete(playlistId);
+        return { success: true };
+      },
+
+      getPlaylists: () => [...library.values()]
+        .filter(playlist => playlist.platform === platform.id)
+        .map(playlist => ({ ...describe(playlist), trackCount: playlist.trackIds.length })),
+
+      getPlaylistTracks: (playlistId) => ownPlaylist(playlistId).trackIds.map(id => serve(onPlatform.get(id))),
+
+      getTopArtists: ({ limit = 10 } = {}) => topArtists.slice(0, limit).map((artist, index) => {
+        const { name, genres = [], image = null } = typeof artist === 'string' ? { name: artist } : artist;
+        return { id: `fake-artist-${index + 1}`, name, image, genres, popularity: null, uri: null, platform: platform.id };
+      }),
+
+      addTracksToPlaylist(playlistId, trackUris) {
+        const playlist = ownPlaylist(playlistId);
+        playlist.trackIds.push(...trackUris.map(trackIdFromUri));
+        return { success: true };
+      },
+
+      replacePlaylistTracks(playlistId, trackUris) {
+        ownPlaylist(playlistId).trackIds = trackUris.map(trackIdFromUri);
+        return { success: true };
+      },
+
+      filterPlayable(trackUris) {
+        const playable = [];
+        const blocked = [];
+        for (const uri of trackUris) {
+          const track = onPlatform.get(trackIdFromUri(uri));
+          if ((track.unavailableIn || []).includes(region)) blocked.push({ uri, reason: 'not_in_storefront' });
+          else playable.push(uri);
+        }
+        return { region, playable, blocked };
+      },
+
+      removeTracksFromPlaylist(playlistId, trackUris) {
+        const playlist = ownPlaylist(playlistId);
+        const removed = new Set(trackUris.map(uri => (typeof uri === 'string' ? uri.slice(platform.uriPrefix.length) : uri)));
+        playlist.trackIds = playlist.trackIds.filter(id => !removed.has(id));
+        return { success: true };
+      },
+    };
+
+    // Async like the real adapters, and recorded
+    const adapter = { platform: platform.id };
+    for (const [method, fn] of Object.entries(methods)) {
+      adapter[method] = async (...args) => {
+        calls.push({ platform: platform.id, method, args });
+        if (tokens?.access_token && revokedTokens.has(tokens.access_token)) {
+          throw reconnectRequiredError(platform.id, platform.name || platform.id);
+        }
+        return fn(...args);
+      };
+    }
+    return adapter;
+  }
+
+  return {
+    createAdapter,
+    calls,
+    revokeToken: (accessToken) => { revokedTokens.add(accessToken); },
+    // Library playlists as stored, for assertions: { id, platform, name, description, isPublic, trackIds }
+    getLibraryPlaylist: (playlistId) => library.get(playlistId) || null,
+  };
+}
+
+// Fake service seeded from a JSON file ({ catalog, topArtists, playlists })
+function loadFakeMusicService(fixturePath) {
+  if (!fixturePath) return createFakeMusicService();
+  return createFakeMusicService(JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8')));
+}
+
+module.exports = {
+  createFakeMusicService,
+  loadFakeMusicService,
+};
@@ -0,0 +1,125 @@
+/**
+ * Platform registry
+ * Every music platform a playlist can live on registers a descriptor here, so routing
+ * code asks the registry instead of branching on 'spotify' / 'apple':
+ *
+ *   {
+ *     id, name,                 // 'youtube', 'YouTube Music'
+ *     userIdPrefix,             // platform userIds look like `${userIdPrefix}${accountId}`
+ *     uriPrefix,                // track URIs look like `${uriPrefix}${trackId}`
+ *     platformUserIdColumn,     // platform_user_ids column linking an account email to the platform userId
+ *     aliases,                  // other ids the platform has been stored under (optional)
+ *     destinationOnly,          // playlists can be copied here but not generated here (optional)
+ *     createAdapter(tokens, options) → adapter
+ *   }
+ *
+ * Adapters wrap one user's connection behind the same contract, and routes talk to a
+ * platform only through it, generation and auto-update included. The exceptions use
+ * Spotify's own API on purpose: the OAuth callback's profile lookup, and the app-level
+ * editorial reads behind the trending and featured artist sections.
+ *   searchTracks(query, { limit })                          → normalized tracks
+ *   searchCatalog(query, { types, limit, offset })          → { tracks|artists|albums: { items, hasMore } } for the
+ *                                                             requested types (optional: catalogs that list artists
+ *                                                             and albums; see searchService)
+ *   lookupByIsrc(isrc)                                      → normalized track or null
+ *   getTrack(trackId)                                       → normalized track or null (platforms generation runs on)
+ *   getArtist(artistId)                                     → artist or null (optional: Spotify, which generation
+ *                                                             checks artist identity and genres against)
+ *   getArtistTopTracks(artistId, { market })                → normalized tracks (optional, as getArtist)
+ *   createPlaylist(name, description, trackUris, isPublic)  → { id, name, description, url, platform, trackCount }
+ *   getPlaylist(playlistId)                                 → { id, name, description, image, url, platform, tracks }
+ *   getPublicPlaylist(playlistId)                           → same, for any public playlist (Spotify, Apple Music;
+ *                                                             works with app-only tokens — see playlistImportService)
+ *   deletePlaylist(playlistId)                              → { success }
+ *   getPlaylists()                                          → library playlists ({ id, name, trackCount, image, url, ... })
+ *   getPlaylistTracks(playlistId)                           → normalized tracks
+ *   getTopArtists({ limit })                                → [{ id, name, image, genres, platform }] ([] when the platform has none)
+ *   addTracksToPlaylist / replacePlaylistTracks / removeTracksFromPlaylist(playlistId, trackUris)
+ *   filterPlayable(trackUris)                               → { region, playable: [uri], blocked: [{ uri, reason }] }
+ *                                                             (optional: only platforms whose catalog varies by
+ *                                                             region — the Apple Music storefront, the Spotify
+ *                                                             market; reason is 'not_in_storefront' or 'not_playable')
+ *   checkConnection()                                       → resolves while the platform accepts the user's
+ *                                                             credentials; throws PLATFORM_RECONNECT_REQUIRED
+ *                                                             (./reconnect) once it rejects them for good
+ * Normalized tracks follow Spotify's shape: { id, name, uri, artists: [{ id, name }], album: { name, images, release_date },
+ * isrc, popularity, platform }; fields a platform doesn't have are left out.
+ * Artists are { id, name, image, genres, url, platform }; albums { id, name, artists: [{ name }], image,
+ * releaseDate, trackCount, url, platform }.
+ *
+ * With PLATFORM_ADAPTER=fake every platform is served by an in-memory fake (./fake.js)
+ * seeded from the PLATFORM_FIXTURES catalog, so the app runs with no network.
+ */
+
+const { loadFakeMusicService } = require('./fake');
+
+const platforms = new Map();
+
+function registerPlatform(descriptor) {
+  platforms.set(descriptor.id, descriptor);
+  return descriptor;
+}
+
+/**
+ * @param {string} id - Platform id or alias ('apple_music' → apple)
+ * @returns {Object|null} descriptor
+ */
+function getPlatform(id) {
+  if (!id) return null;
+  if (platforms.has(id)) return platforms.get(id);
+  return listPlatforms().find(platform => (platform.aliases || []).includes(id)) || null;
+}
+
+const listPlatforms = () => [...platforms.values()];
+
+// Platform a platform-specific userId (spotify_xxx, apple_music_xxx, youtube_xxx) belongs to
+const platformForUserId = (userId) =>
+  (userId && listPlatforms().find(platform => userId.startsWith(platform.userIdPrefix))) || null;
+
+// Platform a track URI (spotify:track:xxx, apple:track:xxx, youtube:track:xxx) belongs to
+const platformForUri = (uri) =>
+  (typeof uri === 'string' && listPlatforms().find(platform => uri.startsWith(platform.uriPrefix))) || null;
+
+/**
+ * Route every platform's adapters to a fake music service (see ./fake.js), or back to
+ * the real APIs with null
+ */
+let fakeMusicService = null;
+function useFakeMusicService(service) {
+  fakeMusicService = service;
+  return service;
+}
+
+const getFakeMusicService = () => fakeMusicService;
+
+/**
+ * Adapter for one user's connection to a platform
+ * @param {string} id - Platform id or alias
+ * @param {Object} tokens - The user's tokens for that platform
+ * @param {Object} [options] - Adapter options (onTokenRefresh, storefront, market, developerToken, ...)
+ */
+function createAdapter(id, tokens, options = {}) {
+  const platform = getPlatform(id);
+  if (!platform) throw new Error(`Unknown platform: ${id}`);
+  return fakeMusicService ? fakeMusicService.createAdapter(platform, tokens, options) : platform.createAdapter(tokens, options);
+}
+
+registerPlatform(require('./spotify'));
+registerPlatform(require('./apple'));
+registerPlatform(require('./youtube'));
+
+if (process.env.PLATFORM_ADAPTER === 'fake') {
+  useFakeMusicService(loadFakeMusicService(process.env.PLATFORM_FIXTURES));
+  console.log(`🧪 [PLATFORMS] Using the fake music service${process.env.PLATFORM_FIXTURES ? ` (${process.env.PLATFORM_FIXTURES})` : ''}`);
+}
+
+module.exports = {
+  registerPlatform,
+  getPlatform,
+  listPlatforms,
+  platformForUserId,
+  platformForUri,
+  createAdapter,
+  useFakeMusicService,
+  getFakeMusicService,
+};
@@ -0,0 +1,28 @@
+/**
+ * Reconnect-required errors
+ * Thrown when a platform rejects a user's credentials for good (revoked grant, expired
+ * music user token) — no retry can help until the user connects the platform again.
+ * The server answers them with a 401 PLATFORM_RECONNECT_REQUIRED, which the frontend
+ * turns into a reconnect prompt, and the connection health check records them as
+ * needs_reauth (see ../connectionHealthService).
+ */
+
+/**
+ * @param {string} platform - Platform id ('spotify')
+ * @param {string} name - Display name ('Spotify')
+ * @returns {Error} with .status 401, .code PLATFORM_RECONNECT_REQUIRED and .platform
+ */
+function reconnectRequiredError(platform, name) {
+  const err = new Error(`${name} access was revoked. Reconnect ${name} to keep using it.`);
+  err.status = 401;
+  err.code = 'PLATFORM_RECONNECT_REQUIRED';
+  err.platform = platform;
+  return err;
+}
+
+const isReconnectRequired = (error) => error?.code === 'PLATFORM_RECONNECT_REQUIRED';
+
+module.exports = {
+  reconnectRequiredError,
+  isReconnectRequired,
+};
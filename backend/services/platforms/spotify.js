@@ -0,0 +1,325 @@
+const { instrumentPlatformClient } = require('../usageService');
+const SpotifyWebApi = instrumentPlatformClient(require('spotify-web-api-node'), 'spotify');
+const { spotifyTokens } = require('../spotifyTokenManager');
+const { reconnectRequiredError } = require('./reconnect');
+
+/**
+ * Spotify API instance configured for a user
+ * @param {Object} tokens - User's Spotify tokens
+ * @returns {SpotifyWebApi}
+ */
+function getSpotifyApi(tokens) {
+  const spotifyApi = new SpotifyWebApi({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+    redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://127.0.0.1:3001/callback'
+  });
+
+  spotifyApi.setAccessToken(tokens.access_token);
+  if (tokens.refresh_token) {
+    spotifyApi.setRefreshToken(tokens.refresh_token);
+  }
+
+  return spotifyApi;
+}
+
+const normalizeTrack = (track) => ({
+  id: track.id,
+  name: track.name,
+  uri: track.uri,
+  artists: track.artists.map(artist => ({
+    name: artist.name,
+    id: artist.id
+  })),
+  album: {
+    name: track.album.name,
+    images: track.album.images,
+    release_date: track.album.release_date,
+    album_type: track.album.album_type
+  },
+  duration_ms: track.duration_ms,
+  popularity: track.popularity,
+  preview_url: track.preview_url,
+  explicit: track.explicit,
+  isrc: track.external_ids?.isrc || null,
+  // Only reported when the request named a market; relinked tracks come back playable
+  playable: track.is_playable !== false,
+  platform: 'spotify',
+  url: track.external_urls?.spotify || null,
+  external_urls: track.external_urls
+});
+
+const normalizeArtist = (artist) => ({
+  id: artist.id,
+  name: artist.name,
+  image: artist.images?.[0]?.url || null,
+  genres: artist.genres || [],
+  popularity: artist.popularity,
+  uri: artist.uri,
+  url: artist.external_urls?.spotify || null,
+  platform: 'spotify'
+});
+
+const normalizeAlbum = (album) => ({
+  id: album.id,
+  name: album.name,
+  uri: album.uri,
+  artists: album.artists.map(artist => ({ name: artist.name, id: artist.id })),
+  image: album.images?.[0]?.url || null,
+  releaseDate: album.release_date || null,
+  trackCount: album.total_tracks ?? null,
+  url: album.external_urls?.spotify || null,
+  platform: 'spotify'
+});
+
+// Playlist items that still point at a track (removed / local tracks come back as null)
+const playableTracks = (items) => items
+  .filter(item => item.track && item.track.id)
+  .map(item => ({ ...normalizeTrack(item.track), added_at: item.added_at }));
+
+// Spotify access tokens only last an hour — every call goes through the token manager,
+// which refreshes shortly before expiry (userId keys the shared refresh). App-only
+// (client-credentials) tokens have no refresh token; whoever passes one keeps it fresh.
+// Catalog calls use the account's country (tokens.market) so results say whether they
+// play there; without one, Spotify answers for no market in particular.
+function createAdapter(tokens, { onTokenRefresh, userId, market } = {}) {
+  const catalogMarket = market || tokens.market || null;
+  const marketOption = catalogMarket ? { market: catalogMarket } : {};
+
+  const connect = async () => {
+    if (tokens.refresh_token) {
+      await spotifyTokens.ensureFresh(userId, tokens, onTokenRefresh);
+    }
+    return getSpotifyApi(tokens);
+  };
+
+  // Rest of a playlist's items after the first page (100 items per page)
+  const remainingItems = async (spotifyApi, playlistId, offset, total) => {
+    const items = [];
+    while (offset < total) {
+      const data = await spotifyApi.getPlaylistTracks(playlistId, { offset, limit: 100 });
+      if (data.body.items.length === 0) break;
+      items.push(...data.body.items);
+      offset += data.body.items.length;
+    }
+    return items;
+  };
+
+  const getPlaylist = async (playlistId) => {
+    const spotifyApi = await connect();
+    const { body } = await spotifyApi.getPlaylist(playlistId);
+    const items = [
+      ...body.tracks.items,
+      ...await remainingItems(spotifyApi, playlistId, body.tracks.items.length, body.tracks.total),
+    ];
+    return {
+      id: body.id,
+      name: body.name,
+      description: body.description || '',
+      image: body.images?.[0]?.url || null,
+      url: body.external_urls.spotify,
+      platform: 'spotify',
+      tracks: playableTracks(items),
+    };
+  };
+
+  return {
+    platform: 'spotify',
+
+    // A revoked grant fails the refresh in connect(); an access token Spotify no longer
+    // takes answers the profile call with 401
+    async checkConnection() {
+      const spotifyApi = await connect();
+      try {
+        await spotifyApi.getMe();
+      } catch (error) {
+        if (error.statusCode === 401) throw reconnectRequiredError('spotify', 'Spotify');
+        throw error;
+      }
+    },
+
+    async searchTracks(query, { limit = 25 } = {}) {
+      const spotifyApi = await connect();
+      const data = await spotifyApi.searchTracks(query, { limit, ...marketOption });
+      return data.body.tracks.items.map(normalizeTrack);
+    },
+
+    // One request covers every type; Spotify pages each type separately by the same offset
+    async searchCatalog(query, { types = ['tracks', 'artists', 'albums'], limit = 20, offset = 0 } = {}) {
+      const spotifyApi = await connect();
+      const { body } = await spotifyApi.search(query, types.map(type => type.slice(0, -1)), { limit, offset, ...marketOption });
+      const normalize = { tracks: normalizeTrack, artists: normalizeArtist, albums: normalizeAlbum };
+      return Object.fromEntries(types.map(type => [type, {
+        // Spotify occasionally pads a page with null entries
+        items: (body[type]?.items || []).filter(Boolean).map(normalize[type]),
+        hasMore: Boolean(body[type]?.next),
+      }]));
+    },
+
+    // Null when Spotify has no track (or a malformed id) under trackId
+    async getTrack(trackId) {
+      const spotifyApi = await connect();
+      try {
+        const { body } = await spotifyApi.getTrack(trackId, marketOption);
+        return normalizeTrack(body);
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 400) return null;
+        throw error;
+      }
+    },
+
+    async getArtist(artistId) {
+      const spotifyApi = await connect();
+      try {
+        const { body } = await spotifyApi.getArtist(artistId);
+        return normalizeArtist(body);
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 400) return null;
+        throw error;
+      }
+    },
+
+    // Top tracks always need a market; without one the account's (or US) is used
+    async getArtistTopTracks(artistId, { market } = {}) {
+      const spotifyApi = await connect();
+      const { body } = await spotifyApi.getArtistTopTracks(artistId, market || catalogMarket || 'US');
+      return (body.tracks || []).map(normalizeTrack);
+    },
+
+    async lookupByIsrc(isrc) {
+      const spotifyApi = await connect();
+      const data = await spotifyApi.searchTracks(`isrc:${isrc}`, { limit: 5, ...marketOption });
+      const { items } = data.body.tracks;
+      // The same recording can be released more than once; prefer a release that plays here
+      const track = items.find(item => item.is_playable !== false) || items[0];
+      return track ? normalizeTrack(track) : null;
+    },
+
+    async createPlaylist(name, description, trackUris, isPublic = true) {
+      const spotifyApi = await connect();
+
+      const playlistData = await spotifyApi.createPlaylist(name, {
+        description,
+        public: isPublic
+      });
+
+      const playlistId = playlistData.body.id;
+
+      // Add tracks (Spotify accepts at most 100 per request)
+      for (let i = 0; i < (trackUris || []).length; i += 100) {
+        await spotifyApi.addTracksToPlaylist(playlistId, trackUris.slice(i, i + 100));
+      }
+
+      return {
+        id: playlistId,
+        name: playlistData.body.name,
+        description: playlistData.body.description,
+        url: playlistData.body.external_urls.spotify,
+        platform: 'spotify',
+        trackCount: trackUris.length
+      };
+    },
+
+    getPlaylist,
+    // Any public playlist reads the same way, also with an app-only token
+    getPublicPlaylist: getPlaylist,
+
+    async deletePlaylist(playlistId) {
+      // Spotify has no delete — unfollowing removes it from the user's library
+      const spotifyApi = await connect();
+      await spotifyApi.unfollowPlaylist(playlistId);
+      return { success: true };
+    },
+
+    async getPlaylists() {
+      const spotifyApi = await connect();
+      const data = await spotifyApi.getUserPlaylists({ limit: 50 });
+
+      return data.body.items.map(playlist => ({
+        id: playlist.id,
+        name: playlist.name,
+        description: playlist.description,
+        trackCount: playlist.tracks.total,
+        image: playlist.images?.[0]?.url || null,
+        platform: 'spotify',
+        url: playlist.external_urls.spotify,
+        owner: playlist.owner.display_name,
+        ownerId: playlist.owner.id,
+      }));
+    },
+
+    async getPlaylistTracks(playlistId) {
+      const spotifyApi = await connect();
+      return playableTracks(await remainingItems(spotifyApi, playlistId, 0, Infinity));
+    },
+
+    async getTopArtists({ limit = 10, timeRange = 'short_term' } = {}) {
+      const spotifyApi = await connect();
+      const data = await spotifyApi.getMyTopArtists({ limit, time_range: timeRange });
+      return data.body.items.map(normalizeArtist);
+    },
+
+    async addTracksToPlaylist(playlistId, trackUris) {
+      const spotifyApi = await connect();
+      for (let i = 0; i < trackUris.length; i += 100) {
+        await spotifyApi.addTracksToPlaylist(playlistId, trackUris.slice(i, i + 100));
+      }
+      return { success: true };
+    },
+
+    async replacePlaylistTracks(playlistId, trackUris) {
+      const spotifyApi = await connect();
+      await spotifyApi.replaceTracksInPlaylist(playlistId, trackUris.slice(0, 100));
+      for (let i = 100; i < trackUris.length; i += 100) {
+        await spotifyApi.addTracksToPlaylist(playlistId, trackUris.slice(i, i + 100));
+      }
+      return { success: true };
+    },
+
+    // Tracks the user's market can't play. A relinked track (another release of the song
+    // that plays there) counts as playable — the app swaps it in — so its URI is kept.
+    ...(catalogMarket && {
+      async filterPlayable(trackUris) {
+        const spotifyApi = await connect();
+        const ids = [...new Set(trackUris.map(uri => uri.replace(/^spotify:track:/, '')))];
+        const availability = new Map();
+        // Spotify looks up at most 50 tracks per request, answering in request order
+        for (let i = 0; i < ids.length; i += 50) {
+          const batch = ids.slice(i, i + 50);
+          const { body } = await spotifyApi.getTracks(batch, marketOption);
+          batch.forEach((id, index) => {
+            const track = body.tracks[index];
+            availability.set(id, !track ? 'not_in_storefront' : track.is_playable === false ? 'not_playable' : null);
+          });
+        }
+        const playable = [];
+        const blocked = [];
+        for (const uri of trackUris) {
+          const reason = availability.get(uri.replace(/^spotify:track:/, ''));
+          if (reason) blocked.push({ uri, reason });
+          else playable.push(uri);
+        }
+        return { region: catalogMarket.toLowerCase(), playable, blocked };
+      },
+    }),
+
+    async removeTracksFromPlaylist(playlistId, trackUris) {
+      const spotifyApi = await connect();
+      // Spotify caps removals at 100 tracks per request too
+      for (let i = 0; i < trackUris.length; i += 100) {
+        await spotifyApi.removeTracksFromPlaylist(playlistId, trackUris.slice(i, i + 100).map(uri => ({ uri })));
+      }
+      return { success: true };
+    },
+  };
+}
+
+module.exports = {
+  id: 'spotify',
+  name: 'Spotify',
+  userIdPrefix: 'spotify_',
+  platformUserIdColumn: 'spotify_user_id',
+  uriPrefix: 'spotify:track:',
+  createAdapter,
+  getSpotifyApi,
+};
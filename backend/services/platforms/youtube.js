@@ -0,0 +1,68 @@
+const YouTubeMusicService = require('../youtubeMusicService');
+const { reconnectRequiredError } = require('./reconnect');
+
+// Google access tokens last an hour; rather than tracking the expiry up front, a call
+// that comes back 401 refreshes the token once and retries.
+function createAdapter(tokens, { onTokenRefresh, http } = {}) {
+  const youtubeApi = new YouTubeMusicService(http ? { http } : undefined);
+
+  const withToken = async (call) => {
+    try {
+      return await call(tokens.access_token);
+    } catch (error) {
+      if (error.status !== 401 || !tokens.refresh_token) throw error;
+      const refreshed = await youtubeApi.refreshAccessToken(tokens.refresh_token);
+      tokens.access_token = refreshed.access_token;
+      tokens.expires_at = refreshed.expires_at;
+      if (onTokenRefresh) await onTokenRefresh(refreshed.access_token, { expiresAt: refreshed.expires_at });
+      return call(tokens.access_token);
+    }
+  };
+
+  return {
+    platform: 'youtube',
+    // Still 401 after a refresh, or Google refusing the refresh token (invalid_grant),
+    // means the user revoked access
+    async checkConnection() {
+      try {
+        await withToken(token => youtubeApi.getChannel(token));
+      } catch (error) {
+        if (error.status === 401 || error.response?.data?.error === 'invalid_grant') {
+          throw reconnectRequiredError('youtube', 'YouTube Music');
+        }
+        throw error;
+      }
+    },
+    searchTracks: (query, { limit = 25 } = {}) => withToken(token => youtubeApi.searchTracks(query, token, limit)),
+    // Videos carry no ISRC, so matching onto YouTube always goes by name + artist
+    lookupByIsrc: async () => null,
+    async createPlaylist(name, description, trackUris, isPublic = false) {
+      const playlist = await withToken(token => youtubeApi.createPlaylist(token, name, description, isPublic));
+      if (trackUris && trackUris.length > 0) {
+        await withToken(token => youtubeApi.addTracksToPlaylist(token, playlist.id, trackUris));
+      }
+      return { ...playlist, description, trackCount: (trackUris || []).length };
+    },
+    getPlaylist: (playlistId) => withToken(token => youtubeApi.getPlaylist(token, playlistId)),
+    deletePlaylist: (playlistId) => withToken(token => youtubeApi.deletePlaylist(token, playlistId)),
+    getPlaylists: () => withToken(token => youtubeApi.getPlaylists(token)),
+    // The Data API exposes no listening history
+    getTopArtists: async () => [],
+    getPlaylistTracks: (playlistId) => withToken(token => youtubeApi.getPlaylistTracks(token, playlistId)),
+    addTracksToPlaylist: (playlistId, trackUris) => withToken(token => youtubeApi.addTracksToPlaylist(token, playlistId, trackUris)),
+    replacePlaylistTracks: (playlistId, trackUris) => withToken(token => youtubeApi.replacePlaylistTracks(token, playlistId, trackUris)),
+    removeTracksFromPlaylist: (playlistId, trackUris) => withToken(token => youtubeApi.removeTracksFromPlaylist(token, playlistId, trackUris)),
+  };
+}
+
+module.exports = {
+  id: 'youtube',
+  name: 'YouTube Music',
+  userIdPrefix: 'youtube_',
+  platformUserIdColumn: 'youtube_user_id',
+  uriPrefix: 'youtube:track:',
+  // Generation searches the Spotify / Apple Music catalogs, so playlists can be copied
+  // here but not generated or auto-updated here
+  destinationOnly: true,
+  createAdapter,
+};
@@ -0,0 +1,213 @@
+/**
+ * Playlist Export Service
+ * Writes a stored playlist out as a file for archiving or DJ software:
+ *   json — the full document: tracks (ISRC, URIs on every platform the playlist lives on),
+ *          the original prompt, refinements, chat, excluded songs and reactions
+ *   m3u8 — #EXTINF "Artist - Title" entries pointing at the track's platform URL
+ *   xspf — XSPF 1, with ISRCs and URIs as <identifier>s
+ *   csv  — Title, Artist, Album, ISRC, Duration (ms), one URI column per platform, URL
+ *
+ * The playlist formats are the ones playlistImportService reads, so an export can be
+ * imported again (onto any platform, matched by ISRC).
+ */
+
+const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  m3u8: { extension: 'm3u8', contentType: 'audio/x-mpegurl; charset=utf-8' },
+  xspf: { extension: 'xspf', contentType: 'application/xspf+xml; charset=utf-8' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+};
+
+const DOCUMENT_VERSION = 1;
+
+const artistNames = (track) => (track.artists
+  ? track.artists.map(artist => artist.name).filter(Boolean)
+  : [track.artist].filter(Boolean));
+
+/**
+ * Full export document for a playlist
+ * @param {Object} playlist - Stored playlist record
+ * @param {Array} tracks - The playlist's tracks, normalized ({ artists, album: { name }, isrc })
+ *   or stored ({ artist, album }); excluded and disliked songs are left out
+ * @param {Object} [options]
+ * @param {Object} [options.reactions] - Playlist reactions ({ thumbsUp: [], thumbsDown: [] })
+ * @param {Date} [options.now]
+ */
+function buildPlaylistDocument(playlist, tracks, { reactions = null, now = new Date() } = {}) {
+  const platform = playlist.platform || 'spotify';
+  const disliked = new Set((playlist.dislikedSongs || []).map(song => song.id));
+  const excluded = new Set((playlist.excludedSongs || []).map(song => song.id || song));
+  const liked = new Set((playlist.likedSongs || []).map(song => song.id));
+  // Mirrored playlists keep the match for every track on the other platform
+  const mirror = playlist.mirror?.playlistId ? playlist.mirror : null;
+
+  const exportedTracks = tracks
+    .filter(track => !excluded.has(track.id) && !disliked.has(track.id))
+    .map((track, index) => {
+      const mirrored = mirror && mirror.matches?.[track.uri]?.target;
+      return {
+        position: index + 1,
+        name: track.name,
+        artists: artistNames(track),
+        album: (typeof track.album === 'string' ? track.album : track.album?.name) || null,
+        isrc: track.isrc || null,
+        durationMs: track.duration_ms || null,
+        explicit: !!track.explicit,
+        uris: {
+          [platform]: track.uri,
+          ...(mirrored && { [mirror.platform]: mirrored.uri }),
+        },
+        url: track.url || track.externalUrl || null,
+        reaction: liked.has(track.id) ? 'thumbsUp' : null,
+      };
+    });
+
+  return {
+    format: 'fins-playlist',
+    version: DOCUMENT_VERSION,
+    exportedAt: now.toISOString(),
+    playlist: {
+      id: playlist.playlistId,
+      name: playlist.playlistName,
+      description: playlist.description || '',
+      platform,
+      url: playlist.spotifyUrl || playlist.appleMusicUrl || playlist.youtubeUrl || null,
+      mirror: mirror ? { platform: mirror.platform, playlistId: mirror.playlistId, url: mirror.url || null } : null,
+      createdAt: playlist.createdAt || null,
+      lastUpdated: playlist.lastUpdated || null,
+      updateFrequency: playlist.updateFrequency || 'never',
+      updateMode: playlist.updateMode || null,
+      imported: !!playlist.imported,
+      importedFrom: playlist.importedFrom || null,
+      transferredFrom: playlist.transferredFrom || null,
+    },
+    prompt: playlist.originalPrompt || null,
+    refinements: playlist.refinementInstructions || [],
+    chatMessages: playlist.chatMessages || [],
+    excludedSongs: playlist.excludedSongs || [],
+    excludedArtists: playlist.excludedArtists || [],
+    reactions: {
+      liked: playlist.likedSongs || [],
+      disliked: playlist.dislikedSongs || [],
+      playlist: {
+        thumbsUp: reactions?.thumbsUp?.length || 0,
+        thumbsDown: reactions?.thumbsDown?.length || 0,
+      },
+    },
+    tracks: exportedTracks,
+  };
+}
+
+const trackLocation = (track) => track.url || Object.values(track.uris).find(Boolean) || '';
+
+function toM3u(document) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${document.playlist.name}`];
+  for (const track of document.tracks) {
+    const seconds = track.durationMs ? Math.round(track.durationMs / 1000) : -1;
+    const title = track.artists.length > 0 ? `${track.artists.join(', ')} - ${track.name}` : track.name;
+    lines.push(`#EXTINF:${seconds},${title}`, trackLocation(track));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlElement = (tag, value) => (value === null || value === undefined || value === '' ? [] : [`<${tag}>${escapeXml(value)}</${tag}>`]);
+
+function toXspf(document) {
+  const tracks = document.tracks.map(track => [
+    '    <track>',
+    ...[
+      ...xmlElement('location', trackLocation(track)),
+      ...xmlElement('identifier', track.isrc && `isrc:${track.isrc}`),
+      ...Object.values(track.uris).filter(Boolean).flatMap(uri => xmlElement('identifier', uri)),
+      ...xmlElement('title', track.name),
+      ...xmlElement('creator', track.artists.join(', ')),
+      ...xmlElement('album', track.album),
+      ...xmlElement('trackNum', track.position),
+      ...xmlElement('duration', track.durationMs),
+    ].map(line => `      ${line}`),
+    '    </track>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    ...[
+      ...xmlElement('title', document.playlist.name),
+      ...xmlElement('annotation', document.playlist.description),
+      ...xmlElement('location', document.playlist.url),
+      ...xmlElement('date', document.exportedAt),
+    ].map(line => `  ${line}`),
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    '',
+  ].join('\n');
+}
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(document, { platformName = (id) => id } = {}) {
+  const platforms = [...new Set(document.tracks.flatMap(track => Object.keys(track.uris)))];
+  const header = ['Title', 'Artist', 'Album', 'ISRC', 'Duration (ms)', ...platforms.map(id => `${platformName(id)} URI`), 'URL'];
+  const rows = document.tracks.map(track => [
+    track.name,
+    track.artists.join(', '),
+    track.album,
+    track.isrc,
+    track.durationMs,
+    ...platforms.map(id => track.uris[id]),
+    track.url,
+  ]);
+  return `${[header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+// Name the download after the playlist, without characters file systems refuse
+const exportFilename = (name, extension) =>
+  `${(name || 'playlist').replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100) || 'playlist'}.${extension}`;
+
+/**
+ * Playlist document rendered in one of EXPORT_FORMATS
+ * @param {Object} document - buildPlaylistDocument() result
+ * @param {string} format - 'json' | 'm3u8' | 'xspf' | 'csv'
+ * @param {Object} [options]
+ * @param {Function} [options.platformName] - Platform id → display name (CSV column headers)
+ * @returns {{ filename: string, contentType: string, body: string }}
+ */
+function renderExport(document, format, options = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    const err = new Error(`Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const render = {
+    json: () => `${JSON.stringify(document, null, 2)}\n`,
+    m3u8: () => toM3u(document),
+    xspf: () => toXspf(document),
+    csv: () => toCsv(document, options),
+  }[format];
+
+  return {
+    filename: exportFilename(document.playlist.name, spec.extension),
+    contentType: spec.contentType,
+    body: render(),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildPlaylistDocument,
+  renderExport,
+};
@@ -0,0 +1,312 @@
+/**
+ * Playlist Import Service
+ * Turns a playlist from outside the user's library into tracks the transfer matcher can
+ * resolve on the user's platform:
+ *   - public playlist links: open.spotify.com/playlist/…, spotify:playlist:…,
+ *     music.apple.com/{storefront}/playlist/{slug}/pl.… (read with adapter.getPublicPlaylist)
+ *   - exported files: M3U / M3U8, XSPF and CSV (title, artist, ISRC columns)
+ *
+ * previewImport() runs the usual ISRC-then-search match (playlistTransferService) and
+ * splits the result three ways so the user reviews it before anything is created:
+ *   matched   — same ISRC, or same title and artist
+ *   fuzzy     — no exact match, but the closest result is by the same artist (remasters,
+ *               live versions, "feat." titles); suggested, the user confirms
+ *   unmatched — nothing close; the user may pick one of the candidates
+ */
+
+const path = require('path');
+const { artistMatches, matchTracks, summarizeTrack } = require('./playlistTransferService');
+
+const MAX_IMPORT_TRACKS = 250;
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+
+const importError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const normalizeIsrc = (value) => {
+  const isrc = (value || '').replace(/[\s-]/g, '').toUpperCase();
+  return ISRC_PATTERN.test(isrc) ? isrc : null;
+};
+
+// Track in the normalized shape the matcher reads
+const importedTrack = ({ name, artist, album, isrc, durationMs }) => ({
+  name: name.trim(),
+  artists: artist ? [{ name: artist.trim() }] : [],
+  album: { name: (album || '').trim(), images: [] },
+  isrc: normalizeIsrc(isrc),
+  duration_ms: Number.isFinite(durationMs) && durationMs > 0 ? durationMs : null,
+});
+
+/**
+ * Where a pasted playlist link points
+ * @param {string} url - Playlist URL or Spotify URI
+ * @returns {{ platform: string, playlistId: string, storefront: string|null }}
+ */
+function parsePlaylistUrl(url) {
+  const value = (url || '').trim();
+
+  const spotifyUri = /^spotify:playlist:([A-Za-z0-9]+)$/.exec(value);
+  if (spotifyUri) return { platform: 'spotify', playlistId: spotifyUri[1], storefront: null };
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    throw importError('Paste a Spotify or Apple Music playlist link');
+  }
+  const segments = parsed.pathname.split('/').filter(Boolean);
+
+  if (parsed.hostname === 'open.spotify.com') {
+    // Localized links carry a leading intl-xx segment
+    const [kind, playlistId] = segments[0]?.startsWith('intl-') ? segments.slice(1) : segments;
+    if (kind === 'playlist' && /^[A-Za-z0-9]+$/.test(playlistId || '')) {
+      return { platform: 'spotify', playlistId, storefront: null };
+    }
+  }
+
+  if (parsed.hostname === 'music.apple.com') {
+    const [storefront, kind] = segments;
+    const playlistId = segments[segments.length - 1];
+    if (kind === 'playlist' && /^pl\.[A-Za-z0-9-]+$/.test(playlistId)) {
+      return { platform: 'apple', playlistId, storefront: storefront.toLowerCase() };
+    }
+    if (kind === 'library' || /^p\./.test(playlistId || '')) {
+      throw importError('That is a private library playlist. Share it publicly on Apple Music and paste the share link.');
+    }
+  }
+
+  throw importError('Only public Spotify and Apple Music playlist links can be imported');
+}
+
+// File name of an M3U entry, without folders, extension or a leading track number
+function entryTitle(location) {
+  let file = path.basename(location.replace(/\\/g, '/'));
+  try {
+    file = decodeURIComponent(file);
+  } catch {
+    // Not URL-encoded after all
+  }
+  return file.replace(/\.[^.]+$/, '').replace(/^\d+\s*[-.]?\s+/, '');
+}
+
+// "Artist - Title" (the M3U convention); no separator means it's all title
+function splitArtistTitle(text) {
+  const separator = text.indexOf(' - ');
+  if (separator === -1) return { artist: '', name: text };
+  return { artist: text.slice(0, separator), name: text.slice(separator + 3) };
+}
+
+function parseM3u(content) {
+  let name = null;
+  let pending = null;
+  const tracks = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice('#PLAYLIST:'.length).trim() || name;
+    } else if (line.startsWith('#EXTINF:')) {
+      const info = line.slice('#EXTINF:'.length);
+      const comma = info.indexOf(',');
+      const seconds = parseInt(info, 10);
+      pending = {
+        ...splitArtistTitle(comma === -1 ? '' : info.slice(comma + 1).trim()),
+        durationMs: seconds > 0 ? seconds * 1000 : null,
+      };
+    } else if (!line.startsWith('#')) {
+      // Entries without #EXTINF only have the file name: "Artist - Title.mp3", maybe numbered
+      const entry = pending?.name
+        ? pending
+        : splitArtistTitle(entryTitle(line));
+      if (entry.name) tracks.push(importedTrack(entry));
+      pending = null;
+    }
+  }
+  return { name, tracks };
+}
+
+const decodeXml = (text) => text
+  .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&')
+  .trim();
+
+const xmlValues = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => decodeXml(match[1]));
+
+function parseXspf(content) {
+  if (!/<playlist[\s>]/.test(content)) throw importError('Not an XSPF playlist');
+
+  const trackList = /<trackList>([\s\S]*?)<\/trackList>/.exec(content)?.[1] || '';
+  const header = content.replace(/<trackList>[\s\S]*?<\/trackList>/, '');
+  const tracks = [...trackList.matchAll(/<track>([\s\S]*?)<\/track>/g)]
+    .map(([, xml]) => ({
+      name: xmlValues(xml, 'title')[0] || '',
+      artist: xmlValues(xml, 'creator')[0] || '',
+      album: xmlValues(xml, 'album')[0] || '',
+      // ISRCs ride along as <identifier>isrc:…</identifier> (or a bare code)
+      isrc: xmlValues(xml, 'identifier').map(id => normalizeIsrc(id.replace(/^(urn:)?isrc:/i, ''))).find(Boolean),
+      durationMs: parseInt(xmlValues(xml, 'duration')[0], 10),
+    }))
+    .filter(track => track.name)
+    .map(importedTrack);
+
+  return { name: xmlValues(header, 'title')[0] || null, tracks };
+}
+
+// RFC 4180 rows: quoted fields may hold commas, quotes ("") and line breaks
+function csvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Header names seen in Spotify/Apple exports and spreadsheets
+const CSV_COLUMNS = {
+  name: ['title', 'name', 'track', 'track name', 'song', 'song name'],
+  artist: ['artist', 'artists', 'artist name', 'artist name(s)', 'artist name (s)', 'creator'],
+  album: ['album', 'album name'],
+  isrc: ['isrc'],
+  durationMs: ['duration (ms)', 'duration_ms', 'duration ms'],
+};
+
+function parseCsv(content) {
+  const rows = csvRows(content);
+  if (rows.length === 0) return { name: null, tracks: [] };
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const columns = {};
+  for (const [key, names] of Object.entries(CSV_COLUMNS)) {
+    const index = header.findIndex(cell => names.includes(cell));
+    if (index !== -1) columns[key] = index;
+  }
+
+  // Without a recognizable header the columns are title, artist, ISRC
+  const hasHeader = columns.name !== undefined;
+  if (!hasHeader) Object.assign(columns, { name: 0, artist: 1, isrc: 2 });
+
+  const tracks = rows.slice(hasHeader ? 1 : 0)
+    .map(cells => ({
+      name: cells[columns.name] || '',
+      artist: cells[columns.artist] || '',
+      album: cells[columns.album] || '',
+      isrc: cells[columns.isrc] || '',
+      durationMs: parseInt(cells[columns.durationMs], 10),
+    }))
+    .filter(track => track.name.trim())
+    .map(importedTrack);
+
+  return { name: null, tracks };
+}
+
+const FILE_PARSERS = {
+  '.m3u': parseM3u,
+  '.m3u8': parseM3u,
+  '.xspf': parseXspf,
+  '.csv': parseCsv,
+};
+
+/**
+ * Tracks listed in an exported playlist file
+ * @param {string} filename - Original file name (the extension picks the format)
+ * @param {string} content - File contents
+ * @returns {{ name: string, format: string, tracks: Array, skipped: number }}
+ *   skipped: tracks past MAX_IMPORT_TRACKS
+ */
+function parsePlaylistFile(filename, content) {
+  const extension = path.extname(filename || '').toLowerCase();
+  const parse = FILE_PARSERS[extension];
+  if (!parse) throw importError('Upload an M3U, M3U8, XSPF or CSV playlist file');
+  if (typeof content !== 'string' || !content.trim()) throw importError('The playlist file is empty');
+  if (Buffer.byteLength(content) > MAX_FILE_BYTES) throw importError('Playlist files can be at most 2 MB', 413);
+
+  const parsed = parse(content.replace(/^\uFEFF/, ''));
+  if (parsed.tracks.length === 0) throw importError('No tracks found in the playlist file');
+
+  return {
+    name: parsed.name || path.basename(filename, path.extname(filename)),
+    format: extension.slice(1),
+    tracks: parsed.tracks.slice(0, MAX_IMPORT_TRACKS),
+    skipped: Math.max(0, parsed.tracks.length - MAX_IMPORT_TRACKS),
+  };
+}
+
+/**
+ * Match imported tracks on the user's platform for review
+ * @param {Array} tracks - Normalized source tracks
+ * @param {Object} catalog - Target catalog (playlistTransferService)
+ * @returns {Promise<{ matched: Array, fuzzy: Array, unmatched: Array }>}
+ *   matched:   [{ source, target, matchedBy }]
+ *   fuzzy:     [{ source, target, candidates }] — target is the suggested candidate
+ *   unmatched: [{ source, candidates }]
+ */
+async function previewImport(tracks, catalog) {
+  // Tracks already on the target platform (a Spotify link imported into Spotify) need no lookup
+  const known = new Map(tracks
+    .filter(track => track.uri && track.platform === catalog.platform)
+    .map(track => [track.uri, { target: summarizeTrack(track), matchedBy: 'source' }]));
+
+  const { matched, unmatched } = await matchTracks(tracks, catalog, { known });
+
+  const fuzzy = [];
+  const rest = [];
+  for (const item of unmatched) {
+    const [closest] = item.candidates;
+    if (closest && artistMatches(closest.artist, item.source.artist)) {
+      fuzzy.push({ source: item.source, target: closest, candidates: item.candidates });
+    } else {
+      rest.push(item);
+    }
+  }
+  return { matched, fuzzy, unmatched: rest };
+}
+
+module.exports = {
+  MAX_IMPORT_TRACKS,
+  parsePlaylistUrl,
+  parsePlaylistFile,
+  previewImport,
+};
@@ -0,0 +1,82 @@
+/**
+ * Playlist Repository
+ * Playlists (drafts included), playlist reactions and saved playlists, stored in the same
+ * tables by both database backends (database.js for SQLite, database-postgres.js for
+ * PostgreSQL). Every method is async whichever backend is underneath, and every write
+ * touches one row, so two requests saving at once can't overwrite each other's changes.
+ *
+ * The server keeps the loaded maps as its in-memory cache:
+ *   playlists       Map userId → [playlist]
+ *   reactions       Map playlistId → { thumbsUp: [userId], thumbsDown: [userId] }
+ *   savedPlaylists  Map userId → [playlistId]
+ *
+ * SQLite installs used to keep all three in JSON files; migrations/004_import_playlist_files.js
+ * moves them into the database once.
+ */
+
+/**
+ * @param {Object} db - database.js or database-postgres.js
+ */
+function createPlaylistRepository(db) {
+  return {
+    // Playlists
+    async loadPlaylists() {
+      return new Map(Object.entries(await db.getAllPlaylists()));
+    },
+
+    async getUserPlaylists(userId) {
+      return db.getUserPlaylists(userId);
+    },
+
+    async getPlaylist(userId, playlistId) {
+      return db.getPlaylist(userId, playlistId);
+    },
+
+    async savePlaylist(userId, playlist) {
+      await db.savePlaylist(userId, playlist.playlistId, playlist);
+    },
+
+    async deletePlaylist(userId, playlistId) {
+      await db.deletePlaylist(userId, playlistId);
+    },
+
+    // Reactions
+    async loadReactions() {
+      return new Map(Object.entries(await db.getAllPlaylistReactions()));
+    },
+
+    /**
+     * @param {string} playlistId
+     * @param {string} userId
+     * @param {'up'|'down'|null} reaction - null removes the user's reaction
+     */
+    async setReaction(playlistId, userId, reaction) {
+      if (reaction) {
+        await db.setPlaylistReaction(playlistId, userId, reaction);
+      } else {
+        await db.removePlaylistReaction(playlistId, userId);
+      }
+    },
+
+    async deleteReactions(playlistId) {
+      await db.deletePlaylistReactions(playlistId);
+    },
+
+    // Saved playlists
+    async loadSavedPlaylists() {
+      return new Map(Object.entries(await db.getAllSavedPlaylists()));
+    },
+
+    async addSavedPlaylist(userId, playlistId) {
+      await db.addSavedPlaylist(userId, playlistId);
+    },
+
+    async removeSavedPlaylist(userId, playlistId) {
+      await db.removeSavedPlaylist(userId, playlistId);
+    },
+  };
+}
+
+module.exports = {
+  createPlaylistRepository,
+};
@@ -0,0 +1,89 @@
+/**
+ * Playlist Sync Service
+ * Moves tracks between stored playlist records and the platform playlists they point at,
+ * through a platform adapter (services/platforms), so import and auto-update work the
+ * same on every platform — and against the fake music service in tests.
+ */
+
+/**
+ * Track in the flat shape playlist records store
+ * @param {Object} track - Normalized platform track ({ artists, album: { name, images }, url })
+ *   or a generated track that's already flat ({ artist, album, image, externalUrl })
+ */
+function toStoredTrack(track) {
+  return {
+    id: track.id || null,
+    name: track.name,
+    artist: track.artist || track.artists?.[0]?.name || 'Unknown',
+    uri: track.uri,
+    album: typeof track.album === 'string' ? track.album : (track.album?.name || ''),
+    image: track.image || track.album?.images?.[0]?.url || null,
+    externalUrl: track.externalUrl || track.url || null,
+    explicit: track.explicit || false,
+  };
+}
+
+/**
+ * Record for a playlist imported from the user's library (the caller saves it)
+ * @param {Object} adapter - Platform adapter
+ * @param {string} playlistId - Platform playlist id
+ */
+async function importPlaylist(adapter, playlistId) {
+  const details = await adapter.getPlaylist(playlistId);
+  const tracks = details.tracks.map(toStoredTrack);
+  const trackUris = tracks.map(track => track.uri);
+  return {
+    playlistId,
+    playlistName: details.name,
+    description: details.description || '',
+    image: details.image || null,
+    tracks,
+    trackUris,
+    trackCount: trackUris.length,
+    createdAt: new Date().toISOString(),
+    // Stored records keep the playlist link under a per-platform field
+    spotifyUrl: adapter.platform === 'spotify' ? details.url : null,
+    appleMusicUrl: adapter.platform === 'apple' ? details.url : null,
+    youtubeUrl: adapter.platform === 'youtube' ? details.url : null,
+    platform: adapter.platform,
+    imported: true,
+  };
+}
+
+// URIs of the tracks the user locked (playlist.lockedTracks holds track ids)
+const lockedTrackUris = (playlist) => new Set(
+  (playlist.lockedTracks || [])
+    .map(id => (playlist.tracks || []).find(track => track.id === id)?.uri)
+    .filter(Boolean)
+);
+
+/**
+ * Push new tracks to a stored playlist's platform playlist
+ *   replace: the playlist becomes its locked tracks followed by `trackUris`
+ *   append:  `trackUris` go after the current tracks
+ * @param {Object} adapter - Platform adapter
+ * @param {Object} playlist - Stored playlist record ({ playlistId, tracks, lockedTracks })
+ * @param {Array<string>} trackUris - New track URIs
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'replace' | 'append'
+ * @returns {Promise<{ keptUris: Array<string> }>} Locked tracks that stayed
+ */
+async function pushTracks(adapter, playlist, trackUris, { mode = 'append' } = {}) {
+  if (mode !== 'replace') {
+    await adapter.addTracksToPlaylist(playlist.playlistId, trackUris);
+    return { keptUris: [] };
+  }
+
+  const locked = lockedTrackUris(playlist);
+  const current = locked.size > 0 ? await adapter.getPlaylistTracks(playlist.playlistId) : [];
+  const keptUris = current.map(track => track.uri).filter(uri => locked.has(uri));
+  const kept = new Set(keptUris);
+  await adapter.replacePlaylistTracks(playlist.playlistId, [...keptUris, ...trackUris.filter(uri => !kept.has(uri))]);
+  return { keptUris };
+}
+
+module.exports = {
+  toStoredTrack,
+  importPlaylist,
+  pushTracks,
+};
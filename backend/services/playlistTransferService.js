@@ -0,0 +1,188 @@
+/**
+ * Playlist Transfer Service
+ * Recreates a playlist from one platform on the other (Spotify ⇄ Apple Music).
+ *
+ * Every source track is matched on the target catalog by ISRC first, then by a
+ * name + artist search. A name match only counts when the artist agrees; anything
+ * else is reported as unmatched along with the closest search results, so the user
+ * can pick a replacement by hand.
+ *
+ * Mirrored playlists re-run the match on every sync, passing the previous results as
+ * `known` so only new tracks hit the target catalog.
+ *
+ * Catalogs wrap one platform's search API (createAdapterCatalog covers any registered
+ * platform adapter):
+ *   { platform, lookupByIsrc(isrc), findTrackByNameAndArtist(name, artist), search(query, limit) }
+ * and resolve to tracks in the normalized { id, uri, name, artists: [{ name }], album } shape.
+ */
+
+// Parallel lookups per transfer — enough to keep a 50-track playlist quick without tripping rate limits
+const MATCH_CONCURRENCY = 4;
+const CANDIDATE_LIMIT = 3;
+
+const normalize = (value) => (value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\(.*?\)|\[.*?\]/g, '')
+  .replace(/\s-\s.*$/, '')
+  .replace(/[^a-z0-9]/g, '');
+
+const primaryArtist = (track) => track.artists?.[0]?.name || track.artist || '';
+
+// Loose artist comparison: "Beyoncé" vs "Beyonce", "Jay-Z" vs "JAY Z", "The Weeknd" vs "The Weeknd & Daft Punk"
+function artistMatches(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (!left || !right) return false;
+  return left === right || left.includes(right) || right.includes(left);
+}
+
+function summarizeTrack(track) {
+  return {
+    id: track.id,
+    uri: track.uri,
+    name: track.name,
+    artist: primaryArtist(track),
+    album: track.album?.name || null,
+    image: track.album?.images?.[0]?.url || null,
+  };
+}
+
+function createSpotifyCatalog(spotifyApi) {
+  const normalizeSpotifyTrack = (track) => ({
+    id: track.id,
+    uri: track.uri,
+    name: track.name,
+    artists: track.artists.map(artist => ({ name: artist.name })),
+    album: { name: track.album?.name, images: track.album?.images || [] },
+    isrc: track.external_ids?.isrc || null,
+  });
+  const search = async (query, limit) => {
+    const data = await spotifyApi.searchTracks(query, { limit });
+    return (data.body.tracks?.items || []).map(normalizeSpotifyTrack);
+  };
+
+  return {
+    platform: 'spotify',
+    async lookupByIsrc(isrc) {
+      const [track] = await search(`isrc:${isrc}`, 1);
+      return track || null;
+    },
+    async findTrackByNameAndArtist(name, artist) {
+      const [track] = await search(`track:${name} artist:${artist}`, 5);
+      return track || null;
+    },
+    search,
+  };
+}
+
+function createAppleCatalog(appleMusicApi, storefront) {
+  return {
+    platform: 'apple',
+    lookupByIsrc: (isrc) => appleMusicApi.lookupByIsrc(isrc, storefront),
+    findTrackByNameAndArtist: (name, artist) => appleMusicApi.findTrackByNameAndArtist(name, artist, storefront),
+    search: (query, limit) => appleMusicApi.searchTracks(query, storefront, limit),
+  };
+}
+
+// Catalog over any registered platform adapter (services/platforms)
+function createAdapterCatalog(adapter) {
+  const search = (query, limit) => adapter.searchTracks(query, { limit });
+  return {
+    platform: adapter.platform,
+    lookupByIsrc: (isrc) => adapter.lookupByIsrc(isrc),
+    async findTrackByNameAndArtist(name, artist) {
+      const results = await search(`${name} ${artist}`, 5);
+      return results.find(track => artistMatches(primaryArtist(track), artist)) || null;
+    },
+    search,
+  };
+}
+
+/**
+ * Find one source track on the target catalog
+ * @param {Object} track - Source track ({ name, artists, isrc })
+ * @param {Object} catalog - Target catalog
+ * @returns {Promise<{ match: Object|null, matchedBy: string|null, candidates: Array }>}
+ */
+async function matchTrack(track, catalog) {
+  const artist = primaryArtist(track);
+
+  if (track.isrc) {
+    try {
+      const byIsrc = await catalog.lookupByIsrc(track.isrc);
+      if (byIsrc) return { match: byIsrc, matchedBy: 'isrc', candidates: [] };
+    } catch (error) {
+      console.log(`⚠️  [TRANSFER] ISRC lookup failed for "${track.name}" (${track.isrc}): ${error.message}`);
+    }
+  }
+
+  try {
+    const byName = await catalog.findTrackByNameAndArtist(track.name, artist);
+    if (byName && artistMatches(primaryArtist(byName), artist) && normalize(byName.name) === normalize(track.name)) {
+      return { match: byName, matchedBy: 'name', candidates: [] };
+    }
+  } catch (error) {
+    console.log(`⚠️  [TRANSFER] Name search failed for "${track.name}" by ${artist}: ${error.message}`);
+  }
+
+  let candidates = [];
+  try {
+    candidates = (await catalog.search(`${track.name} ${artist}`, CANDIDATE_LIMIT)).map(summarizeTrack);
+  } catch (error) {
+    console.log(`⚠️  [TRANSFER] Candidate search failed for "${track.name}": ${error.message}`);
+  }
+  return { match: null, matchedBy: null, candidates };
+}
+
+/**
+ * Match every source track against the target catalog, keeping playlist order
+ * @param {Array} tracks - Source tracks
+ * @param {Object} catalog - Target catalog
+ * @param {Object} [options]
+ * @param {Map<string, Object>} [options.known] - Earlier matches by source uri ({ target, matchedBy }),
+ *   reused without a lookup
+ * @returns {Promise<{ matched: Array, unmatched: Array }>}
+ *   matched:   [{ source, target, matchedBy }] in source order, duplicates dropped
+ *   unmatched: [{ source, candidates }]
+ */
+async function matchTracks(tracks, catalog, { known = new Map() } = {}) {
+  const results = new Array(tracks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tracks.length) {
+      const index = next++;
+      const previous = known.get(tracks[index].uri);
+      results[index] = previous
+        ? { target: previous.target, matchedBy: previous.matchedBy }
+        : await matchTrack(tracks[index], catalog);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(MATCH_CONCURRENCY, tracks.length) }, worker));
+
+  const matched = [];
+  const unmatched = [];
+  const seenUris = new Set();
+  results.forEach((result, index) => {
+    const source = summarizeTrack(tracks[index]);
+    const target = result.target || (result.match && summarizeTrack(result.match));
+    if (!target) {
+      unmatched.push({ source, candidates: result.candidates });
+    } else if (!seenUris.has(target.uri)) {
+      seenUris.add(target.uri);
+      matched.push({ source, target, matchedBy: result.matchedBy });
+    }
+  });
+  return { matched, unmatched };
+}
+
+module.exports = {
+  artistMatches,
+  createSpotifyCatalog,
+  createAppleCatalog,
+  createAdapterCatalog,
+  matchTrack,
+  matchTracks,
+  summarizeTrack,
+};
@@ -0,0 +1,178 @@
+/**
+ * Rate Limit Service
+ * Token-bucket limiter for expensive or abuse-prone endpoints.
+ *
+ * Each route has a named budget with separate free/paid limits:
+ *   capacity      — burst size (bucket starts full)
+ *   refillPerHour — tokens added back per hour, continuously
+ * Requests are keyed by the signed-in account when there is one, otherwise by client IP
+ * (req.ip, so X-Forwarded-For counts only as far as Express's 'trust proxy' allows).
+ * Budgets can be overridden without a deploy via the RATE_LIMITS env var (JSON with the
+ * same shape as DEFAULT_BUDGETS, merged per budget/plan).
+ *
+ * Stores implement take(key, { capacity, refillPerMs, cost }) → { allowed, remaining, retryAfterMs }.
+ * createMemoryStore() keeps buckets in-process; createDatabaseStore(db) delegates to
+ * db.takeRateLimitToken() so limits hold across instances (Postgres).
+ */
+
+const DEFAULT_BUDGETS = {
+  // Spawns yt-dlp and calls Claude for every request
+  analyzeMix: {
+    free: { capacity: 2, refillPerHour: 4 },
+    paid: { capacity: 5, refillPerHour: 20 },
+  },
+  search: {
+    free: { capacity: 30, refillPerHour: 600 },
+    paid: { capacity: 60, refillPerHour: 1800 },
+  },
+  // Sends an email — keep tight regardless of plan
+  forgotPassword: {
+    free: { capacity: 3, refillPerHour: 5 },
+    paid: { capacity: 3, refillPerHour: 5 },
+  },
+  // Reveals whether an email is registered
+  checkEmail: {
+    free: { capacity: 10, refillPerHour: 60 },
+    paid: { capacity: 10, refillPerHour: 60 },
+  },
+  // Up to 250 catalog lookups per preview
+  importPreview: {
+    free: { capacity: 3, refillPerHour: 10 },
+    paid: { capacity: 10, refillPerHour: 40 },
+  },
+  // Reads every row stored for the account
+  accountExport: {
+    free: { capacity: 3, refillPerHour: 6 },
+    paid: { capacity: 3, refillPerHour: 6 },
+  },
+  // One platform API call per connected platform
+  connectionCheck: {
+    free: { capacity: 5, refillPerHour: 30 },
+    paid: { capacity: 5, refillPerHour: 30 },
+  },
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// DEFAULT_BUDGETS with any RATE_LIMITS env overrides applied
+function loadBudgets(overridesJson = process.env.RATE_LIMITS) {
+  const budgets = JSON.parse(JSON.stringify(DEFAULT_BUDGETS));
+  if (!overridesJson) return budgets;
+  try {
+    const overrides = JSON.parse(overridesJson);
+    for (const [name, plans] of Object.entries(overrides)) {
+      budgets[name] = budgets[name] || {};
+      for (const [plan, limit] of Object.entries(plans)) {
+        budgets[name][plan] = { ...budgets[name][plan], ...limit };
+      }
+    }
+  } catch (error) {
+    console.error('⚠️  Ignoring invalid RATE_LIMITS env var:', error.message);
+  }
+  return budgets;
+}
+
+/**
+ * Refill a bucket to `now` and try to take `cost` tokens from it
+ * @returns {{ tokens: number, allowed: boolean, retryAfterMs: number }}
+ */
+function takeFromBucket(bucket, { capacity, refillPerMs, cost }, now) {
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+  const available = bucket ? Math.min(capacity, bucket.tokens + elapsed * refillPerMs) : capacity;
+  if (available >= cost) {
+    return { tokens: available - cost, allowed: true, retryAfterMs: 0 };
+  }
+  return { tokens: available, allowed: false, retryAfterMs: Math.ceil((cost - available) / refillPerMs) };
+}
+
+// In-process buckets. Idle buckets are dropped once they would have refilled completely.
+function createMemoryStore({ sweepIntervalMs = 10 * 60 * 1000 } = {}) {
+  const buckets = new Map(); // key -> { tokens, updatedAt, fullAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.fullAt <= now) buckets.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    async take(key, limit) {
+      const now = Date.now();
+      const result = takeFromBucket(buckets.get(key), limit, now);
+      buckets.set(key, {
+        tokens: result.tokens,
+        updatedAt: now,
+        fullAt: now + (limit.capacity - result.tokens) / limit.refillPerMs,
+      });
+      return { allowed: result.allowed, remaining: Math.floor(result.tokens), retryAfterMs: result.retryAfterMs };
+    },
+  };
+}
+
+// Buckets in the database (see takeRateLimitToken in database-postgres.js)
+function createDatabaseStore(db) {
+  return {
+    take: (key, limit) => db.takeRateLimitToken(key, limit),
+  };
+}
+
+// The address the request came from, IPv4-mapped IPv6 shortened to plain IPv4
+function clientIp(req) {
+  return req.ip?.replace(/^::ffff:/, '') || 'unknown';
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.store - createMemoryStore() or createDatabaseStore(db)
+ * @param {Function} deps.getPlan - async (email) => 'free' | 'paid'
+ * @param {Function} [deps.getClientIp] - (req) => client IP; defaults to clientIp()
+ * @param {Object} [deps.budgets] - defaults to loadBudgets()
+ * @returns {Function} rateLimit(budgetName, { cost }) → Express middleware
+ */
+function createRateLimiter({ store, getPlan, getClientIp = clientIp, budgets = loadBudgets() }) {
+  return function rateLimit(budgetName, { cost = 1 } = {}) {
+    const budget = budgets[budgetName];
+    if (!budget) throw new Error(`Unknown rate limit budget: ${budgetName}`);
+
+    return async (req, res, next) => {
+      try {
+        const email = req.user?.email;
+        const plan = email ? await getPlan(email) : 'free';
+        const { capacity, refillPerHour } = budget[plan] || budget.free;
+        const key = `${budgetName}:${email ? `user:${email}` : `ip:${getClientIp(req)}`}`;
+
+        const result = await store.take(key, { capacity, refillPerMs: refillPerHour / HOUR_MS, cost });
+        res.setHeader('RateLimit-Limit', capacity);
+        res.setHeader('RateLimit-Remaining', Math.max(0, result.remaining));
+
+        if (!result.allowed) {
+          const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+          res.setHeader('Retry-After', retryAfter);
+          console.warn(`⏳ [RATE-LIMIT] ${key} over ${plan} budget (retry in ${retryAfter}s)`);
+          return res.status(429).json({
+            error: 'Too many requests. Please wait a moment and try again.',
+            code: 'RATE_LIMITED',
+            retryAfter,
+          });
+        }
+        next();
+      } catch (error) {
+        // Fail open — a store outage shouldn't take the endpoints down with it
+        console.error(`[RATE-LIMIT] ${budgetName} check failed, allowing request:`, error.message);
+        next();
+      }
+    };
+  };
+}
+
+module.exports = {
+  DEFAULT_BUDGETS,
+  loadBudgets,
+  takeFromBucket,
+  createMemoryStore,
+  createDatabaseStore,
+  clientIp,
+  createRateLimiter,
+};
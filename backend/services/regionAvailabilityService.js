@@ -0,0 +1,79 @@
+/**
+ * Region Availability Service
+ * Keeps tracks the listener can't play in their region out of their playlists.
+ *
+ * Catalogs differ by country (an Apple Music storefront, a Spotify market): a song matched by ISRC, picked
+ * from a chart or copied from another platform can be missing from the user's storefront,
+ * or listed there without playback. Before tracks are written to a playlist they go
+ * through the adapter's filterPlayable (see ./platforms/index.js); platforms without one
+ * pass everything through.
+ *
+ * What was left out is kept on the playlist record as its region report:
+ *   playlist.regionReport = { region, checkedAt, blocked: [{ uri, name, artist, reason }] }
+ */
+
+const MAX_REPORTED_TRACKS = 100;
+
+/**
+ * Drop region-blocked tracks before a playlist write. A failed availability check lets
+ * every track through rather than failing the write.
+ * @param {Object} adapter - Platform adapter the tracks are about to be written with
+ * @param {Array<string>} trackUris
+ * @param {Array<Object>} [tracks] - Track details by uri, so the report can name what was left out
+ * @returns {Promise<{ trackUris: Array<string>, report: Object|null }>} report is null when nothing was checked
+ */
+async function filterPlayableTracks(adapter, trackUris, tracks = []) {
+  if (typeof adapter.filterPlayable !== 'function' || !trackUris || trackUris.length === 0) {
+    return { trackUris: trackUris || [], report: null };
+  }
+
+  let result;
+  try {
+    result = await adapter.filterPlayable(trackUris);
+  } catch (error) {
+    console.warn(`⚠️ [REGION] Couldn't check ${adapter.platform} availability, keeping all ${trackUris.length} tracks: ${error.message}`);
+    return { trackUris, report: null };
+  }
+
+  const byUri = new Map(tracks.filter(track => track && track.uri).map(track => [track.uri, track]));
+  const blocked = result.blocked.map(({ uri, reason }) => {
+    const track = byUri.get(uri);
+    return {
+      uri,
+      name: track?.name || null,
+      artist: track?.artist || track?.artists?.[0]?.name || null,
+      reason,
+    };
+  });
+  if (blocked.length > 0) {
+    console.log(`🌍 [REGION] Left out ${blocked.length} of ${trackUris.length} tracks unavailable in ${result.region}`);
+  }
+
+  return {
+    trackUris: result.playable,
+    report: { region: result.region, checkedAt: new Date().toISOString(), blocked },
+  };
+}
+
+/**
+ * Add a write's report to the playlist's running one: newest first, one entry per track.
+ * Entries from another region are dropped (the user's storefront changed).
+ * @param {Object|null} existing - playlist.regionReport
+ * @param {Object|null} report - From filterPlayableTracks
+ * @returns {Object|null}
+ */
+function mergeRegionReport(existing, report) {
+  if (!report) return existing || null;
+  const fresh = new Set(report.blocked.map(track => track.uri));
+  const earlier = existing?.region === report.region ? existing.blocked.filter(track => !fresh.has(track.uri)) : [];
+  return {
+    region: report.region,
+    checkedAt: report.checkedAt,
+    blocked: [...report.blocked, ...earlier].slice(0, MAX_REPORTED_TRACKS),
+  };
+}
+
+module.exports = {
+  filterPlayableTracks,
+  mergeRegionReport,
+};
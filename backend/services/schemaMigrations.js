@@ -0,0 +1,297 @@
+/**
+ * Schema Migrations
+ * Numbered migrations in backend/migrations, applied in order to SQLite (database.js) and
+ * PostgreSQL (database-postgres.js) alike and tracked in a schema_migrations table.
+ *
+ * A migration is a file named <version>_<name>.js exporting the SQL for each backend:
+ *   module.exports = {
+ *     up:   { sqlite: [sql, ...], postgres: [sql, ...] },
+ *     down: { sqlite: [sql, ...], postgres: [sql, ...] },   // or null: can't be rolled back
+ *   };
+ * Each string may hold several statements. SQLite has no ADD COLUMN IF NOT EXISTS, so an
+ * `ALTER TABLE t ADD COLUMN IF NOT EXISTS c ...` string (one statement on its own) is run
+ * only when the column is missing. A data change SQL can't express is a named function in
+ * place of a string: (db) => {} on SQLite (better-sqlite3, synchronous) and
+ * async (client) => {} on PostgreSQL. A migration runs in one transaction with its
+ * schema_migrations row.
+ *
+ * Both backends apply pending migrations when they start (MIGRATE_ON_STARTUP=false makes
+ * pending migrations stop startup instead); `node migrate.js` shows status, applies, rolls
+ * back and, with --dry-run, prints the SQL it would run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const DIALECTS = ['sqlite', 'postgres'];
+const MIGRATE_ON_STARTUP = process.env.MIGRATE_ON_STARTUP !== 'false';
+
+// Held while PostgreSQL migrates, so instances starting together take turns
+const POSTGRES_LOCK_KEY = 720250001;
+
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+const ADD_COLUMN_IF_NOT_EXISTS = /^\s*ALTER\s+TABLE\s+(\w+)\s+ADD\s+COLUMN\s+IF\s+NOT\s+EXISTS\s+(\w+)\b/i;
+
+const migrationError = (message) => {
+  const err = new Error(message);
+  err.code = 'MIGRATION_ERROR';
+  return err;
+};
+
+const label = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+function checkStatements(file, direction, statements) {
+  for (const dialect of DIALECTS) {
+    if (!Array.isArray(statements?.[dialect]) || statements[dialect].some(sql => typeof sql !== 'string' && typeof sql !== 'function')) {
+      throw migrationError(`${file}: ${direction}.${dialect} must be an array of SQL strings or functions`);
+    }
+  }
+}
+
+/**
+ * Read the migrations in `dir`, oldest first
+ * @param {string} [dir]
+ * @returns {Array<{ version: number, name: string, up: Object, down: Object|null }>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+    const { up, down = null } = require(path.join(dir, file));
+    checkStatements(file, 'up', up);
+    if (down !== null) checkStatements(file, 'down', down);
+    const version = Number(match[1]);
+    if (migrations.some(migration => migration.version === version)) {
+      throw migrationError(`${file}: version ${version} is used twice`);
+    }
+    migrations.push({ version, name: match[2], up, down });
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * The migrations to run, in the order to run them
+ * @param {Array} migrations - From loadMigrations
+ * @param {Array<{ version: number }>} applied - schema_migrations rows
+ * @param {Object} [options]
+ * @param {'up'|'down'} [options.direction] - 'up' applies pending ones, 'down' rolls back
+ * @param {number} [options.to] - up: apply through this version; down: roll back everything after it
+ * @param {number} [options.steps] - Only this many (down defaults to 1)
+ * @returns {Array<{ version, name, direction, migration }>}
+ */
+function planMigrations(migrations, applied, { direction = 'up', to = null, steps = null } = {}) {
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  if (direction === 'up') {
+    const pending = migrations.filter(migration => !appliedVersions.has(migration.version) && (to === null || migration.version <= to));
+    return pending.slice(0, steps ?? pending.length)
+      .map(migration => ({ version: migration.version, name: migration.name, direction, migration }));
+  }
+  if (direction !== 'down') throw migrationError(`Unknown direction "${direction}"`);
+
+  const rollback = [...appliedVersions].sort((a, b) => b - a).filter(version => to === null || version > to);
+  return rollback.slice(0, to === null ? (steps ?? 1) : (steps ?? rollback.length)).map(version => {
+    const migration = migrations.find(candidate => candidate.version === version);
+    if (!migration) throw migrationError(`Migration ${version} is applied but its file is missing`);
+    if (!migration.down) throw migrationError(`Migration ${label(migration)} can't be rolled back`);
+    return { version, name: migration.name, direction, migration };
+  });
+}
+
+const statementsFor = (step, dialect) => step.migration[step.direction][dialect];
+
+// A statement for printing: blank edges and the template literal's indentation removed
+function formatStatement(sql) {
+  if (typeof sql === 'function') return `-- ${sql.name || 'data step'}() (JavaScript)`;
+  const lines = sql.replace(/^\s*\n|\s+$/g, '').split('\n');
+  const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^ */)[0].length));
+  const text = lines.map(line => line.slice(indent)).join('\n');
+  return text.endsWith(';') ? text : `${text};`;
+}
+
+/**
+ * A plan as readable text: each migration with the SQL it runs
+ * @param {Array} plan - From planMigrations
+ * @param {string} dialect - 'sqlite' | 'postgres'
+ * @returns {string}
+ */
+function describePlan(plan, dialect) {
+  if (plan.length === 0) return 'Nothing to run';
+  return plan.map(step => {
+    const sql = statementsFor(step, dialect).map(formatStatement).join('\n\n');
+    return `${step.direction === 'up' ? '↑' : '↓'} ${label(step)}\n\n${sql}\n`;
+  }).join('\n');
+}
+
+/**
+ * Every migration, local or applied, with when it was applied
+ * @returns {Array<{ version, name, appliedAt: string|null, missing: boolean }>}
+ */
+function migrationStatus(migrations, applied) {
+  const rows = migrations.map(({ version, name }) => {
+    const row = applied.find(candidate => candidate.version === version);
+    return { version, name, appliedAt: row ? new Date(row.applied_at).toISOString() : null, missing: false };
+  });
+  for (const row of applied) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      rows.push({ version: row.version, name: row.name, appliedAt: new Date(row.applied_at).toISOString(), missing: true });
+    }
+  }
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+const pendingError = (plan) => migrationError(
+  `${plan.length} pending database migration(s) (${plan.map(label).join(', ')}) — run \`npm run migrate\``
+);
+
+const logStep = (step, dialect) => {
+  console.log(`🗄️ [MIGRATIONS] ${step.direction === 'up' ? 'Applied' : 'Rolled back'} ${label(step)} (${dialect})`);
+};
+
+// SQLite (better-sqlite3 is synchronous, so database.js can migrate before preparing statements)
+
+function readSqliteApplied(db) {
+  const exists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='schema_migrations'").get();
+  if (!exists) return [];
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+function runSqliteStatement(db, sql) {
+  if (typeof sql === 'function') {
+    sql(db);
+    return;
+  }
+  const match = sql.match(ADD_COLUMN_IF_NOT_EXISTS);
+  if (!match) {
+    db.exec(sql);
+    return;
+  }
+  const [, table, column] = match;
+  if (db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column)) return;
+  db.exec(sql.replace(/\s+IF\s+NOT\s+EXISTS/i, ''));
+}
+
+/**
+ * Apply (or roll back) migrations on a better-sqlite3 database
+ * @param {Object} db - better-sqlite3 Database
+ * @param {Object} [options] - planMigrations options, plus:
+ * @param {boolean} [options.dryRun] - Only plan; the database is left untouched
+ * @param {boolean} [options.checkOnly] - Throw if anything is pending instead of applying it
+ * @param {Array} [options.migrations] - Defaults to loadMigrations()
+ * @returns {Array} The plan that was (or, for a dry run, would be) run
+ */
+function migrateSqlite(db, { dryRun = false, checkOnly = false, migrations = loadMigrations(), ...planOptions } = {}) {
+  const plan = planMigrations(migrations, readSqliteApplied(db), planOptions);
+  if (checkOnly && plan.length > 0) throw pendingError(plan);
+  if (dryRun || plan.length === 0) return plan;
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );
+  `);
+  for (const step of plan) {
+    try {
+      db.transaction(() => {
+        for (const sql of statementsFor(step, 'sqlite')) runSqliteStatement(db, sql);
+        if (step.direction === 'up') {
+          db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+            .run(step.version, step.name, new Date().toISOString());
+        } else {
+          db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(step.version);
+        }
+      })();
+    } catch (err) {
+      err.message = `${label(step)} (${step.direction}): ${err.message}`;
+      throw err;
+    }
+    logStep(step, 'sqlite');
+  }
+  return plan;
+}
+
+function sqliteStatus(db, migrations = loadMigrations()) {
+  return migrationStatus(migrations, readSqliteApplied(db));
+}
+
+// PostgreSQL (pg pool)
+
+async function readPostgresApplied(client) {
+  const { rows: [table] } = await client.query("SELECT to_regclass('schema_migrations') AS name");
+  if (!table?.name) return [];
+  const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+}
+
+/**
+ * Apply (or roll back) migrations on PostgreSQL; same options as migrateSqlite
+ * @param {Object} pool - pg Pool
+ * @returns {Promise<Array>} The plan that was (or would be) run
+ */
+async function migratePostgres(pool, { dryRun = false, checkOnly = false, migrations = loadMigrations(), ...planOptions } = {}) {
+  const client = await pool.connect();
+  const locked = !dryRun && !checkOnly;
+  try {
+    if (locked) await client.query('SELECT pg_advisory_lock($1)', [POSTGRES_LOCK_KEY]);
+    const plan = planMigrations(migrations, await readPostgresApplied(client), planOptions);
+    if (checkOnly && plan.length > 0) throw pendingError(plan);
+    if (dryRun || plan.length === 0) return plan;
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+      )
+    `);
+    for (const step of plan) {
+      try {
+        await client.query('BEGIN');
+        for (const sql of statementsFor(step, 'postgres')) {
+          if (typeof sql === 'function') await sql(client);
+          else await client.query(sql);
+        }
+        if (step.direction === 'up') {
+          await client.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, NOW())', [step.version, step.name]);
+        } else {
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [step.version]);
+        }
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `${label(step)} (${step.direction}): ${err.message}`;
+        throw err;
+      }
+      logStep(step, 'postgres');
+    }
+    return plan;
+  } finally {
+    if (locked) await client.query('SELECT pg_advisory_unlock($1)', [POSTGRES_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function postgresStatus(pool, migrations = loadMigrations()) {
+  const client = await pool.connect();
+  try {
+    return migrationStatus(migrations, await readPostgresApplied(client));
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  MIGRATE_ON_STARTUP,
+  loadMigrations,
+  planMigrations,
+  describePlan,
+  migrationStatus,
+  migrateSqlite,
+  sqliteStatus,
+  migratePostgres,
+  postgresStatus,
+};
@@ -0,0 +1,164 @@
+/**
+ * Search Service
+ * Searches tracks, artists and albums on every platform the user has connected, in one call.
+ *
+ * Each platform adapter's searchCatalog (see ./platforms/index.js) answers one page per
+ * type. Pages from several platforms are interleaved, so one catalog doesn't push the
+ * other's results off the page, and every result comes back in one shape:
+ *   track  { type, id, uri, name, artist, artists, album, image, url, durationMs, explicit, playable, platform }
+ *   artist { type, id, name, image, genres, url, platform }
+ *   album  { type, id, name, artist, image, releaseDate, trackCount, url, platform }
+ *
+ * Pages are offset-based: each platform is asked for `limit` results per type from the
+ * same offset, and `nextOffset` (null on the last page) is the offset to ask for next.
+ * Adapters without searchCatalog (YouTube — its catalog is videos) are left out.
+ */
+
+const SEARCH_TYPES = ['tracks', 'artists', 'albums'];
+const DEFAULT_LIMIT = 10;
+// Apple Music answers at most 25 results per type
+const MAX_LIMIT = 25;
+// Spotify stops paging search results at 1000
+const MAX_OFFSET = 975;
+
+const searchError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Validate a search request
+ * @param {Object} params - Request body or query: { query, types, limit, offset }
+ * @param {string|Array<string>} [params.types] - Any of SEARCH_TYPES, as an array or comma-separated (default: all)
+ * @returns {{ query: string, types: Array<string>, limit: number, offset: number }}
+ */
+function parseSearchRequest({ query, types, limit, offset } = {}) {
+  const term = typeof query === 'string' ? query.trim() : '';
+  if (!term) throw searchError('Query is required');
+
+  const requested = types == null || types === ''
+    ? SEARCH_TYPES
+    : [...new Set((Array.isArray(types) ? types : String(types).split(',')).map(type => String(type).trim()))];
+  const unknown = requested.filter(type => !SEARCH_TYPES.includes(type));
+  if (unknown.length > 0 || requested.length === 0) {
+    throw searchError(`Search types must be any of: ${SEARCH_TYPES.join(', ')}`);
+  }
+
+  const pageSize = limit == null || limit === '' ? DEFAULT_LIMIT : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+    throw searchError(`Limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  const start = offset == null || offset === '' ? 0 : Number(offset);
+  if (!Number.isInteger(start) || start < 0 || start > MAX_OFFSET) {
+    throw searchError(`Offset must be a whole number from 0 to ${MAX_OFFSET}`);
+  }
+
+  return { query: term, types: SEARCH_TYPES.filter(type => requested.includes(type)), limit: pageSize, offset: start };
+}
+
+const artistNames = (artists) => (artists || []).map(artist => artist.name).filter(Boolean).join(', ') || null;
+
+const toResult = {
+  tracks: (track) => ({
+    type: 'track',
+    id: track.id,
+    uri: track.uri,
+    name: track.name,
+    artist: artistNames(track.artists),
+    artists: (track.artists || []).map(artist => ({ id: artist.id || null, name: artist.name })),
+    album: track.album?.name || null,
+    image: track.album?.images?.[0]?.url || null,
+    url: track.url || null,
+    durationMs: track.duration_ms ?? null,
+    explicit: Boolean(track.explicit),
+    playable: track.playable !== false,
+    platform: track.platform,
+  }),
+  artists: (artist) => ({
+    type: 'artist',
+    id: artist.id,
+    name: artist.name,
+    image: artist.image || null,
+    genres: artist.genres || [],
+    url: artist.url || null,
+    platform: artist.platform,
+  }),
+  albums: (album) => ({
+    type: 'album',
+    id: album.id,
+    name: album.name,
+    artist: artistNames(album.artists),
+    image: album.image || null,
+    releaseDate: album.releaseDate || null,
+    trackCount: album.trackCount ?? null,
+    url: album.url || null,
+    platform: album.platform,
+  }),
+};
+
+// First result of each list, then the second of each, ...
+function interleave(lists) {
+  const merged = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let i = 0; i < longest; i++) {
+    for (const list of lists) {
+      if (i < list.length) merged.push(list[i]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Search every given platform at once. A platform whose search fails is reported in
+ * `failed` and the others still answer; it only throws when every platform failed.
+ * @param {Array<Object>} adapters - Platform adapters for the user's connections
+ * @param {Object} request - parseSearchRequest() result
+ * @returns {Promise<Object>} { query, types, limit, offset, nextOffset, platforms, failed, tracks, artists, albums }
+ *   with a result list for each requested type
+ */
+async function searchPlatforms(adapters, { query, types, limit, offset }) {
+  const searchable = adapters.filter(adapter => typeof adapter.searchCatalog === 'function');
+  if (searchable.length === 0) {
+    throw searchError('No connected platform supports search', 409);
+  }
+
+  const settled = await Promise.allSettled(searchable.map(adapter => adapter.searchCatalog(query, { types, limit, offset })));
+  const answered = [];
+  const failed = [];
+  settled.forEach((outcome, index) => {
+    const platform = searchable[index].platform;
+    if (outcome.status === 'fulfilled') {
+      answered.push({ platform, pages: outcome.value });
+    } else {
+      console.warn(`⚠️ [SEARCH] ${platform} search failed for "${query}": ${outcome.reason?.message}`);
+      failed.push({ platform, error: outcome.reason?.message || 'Search failed' });
+    }
+  });
+  // Nothing to show: surface the (first) platform's own error, e.g. a revoked connection
+  if (answered.length === 0) throw settled[0].reason;
+
+  const hasMore = answered.some(({ pages }) => types.some(type => pages[type]?.hasMore));
+  const nextOffset = hasMore && offset + limit <= MAX_OFFSET ? offset + limit : null;
+
+  return {
+    query,
+    types,
+    limit,
+    offset,
+    nextOffset,
+    platforms: answered.map(({ platform }) => platform),
+    failed,
+    ...Object.fromEntries(types.map(type => [
+      type,
+      interleave(answered.map(({ pages }) => (pages[type]?.items || []).map(toResult[type]))),
+    ])),
+  };
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  MAX_LIMIT,
+  parseSearchRequest,
+  searchPlatforms,
+};
@@ -0,0 +1,124 @@
+/**
+ * Spotify Token Manager
+ * Keeps a user's Spotify access token usable without refreshing on every request:
+ * the token is refreshed only when it has no recorded expiry or expires within the
+ * margin, concurrent requests for the same user share one refresh, and the new token
+ * (with its expiry, and the refresh token when Spotify rotates it) goes to the
+ * caller's onRefresh to persist — the server passes db.updateAccessToken.
+ *
+ * When Spotify rejects the refresh token (invalid_grant — the user revoked access or
+ * the grant expired) no retry can help, so ensureFresh throws a 401 with code
+ * PLATFORM_RECONNECT_REQUIRED, which the frontend turns into a reconnect prompt.
+ */
+
+const { instrumentPlatformClient } = require('./usageService');
+const SpotifyWebApi = instrumentPlatformClient(require('spotify-web-api-node'), 'spotify');
+const { reconnectRequiredError } = require('./platforms/reconnect');
+
+// Refresh this long before expiry so a token doesn't lapse mid-request
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Exchange a refresh token for a new access token ({ access_token, expires_in, refresh_token? })
+async function requestSpotifyRefresh(refreshToken) {
+  const spotifyApi = new SpotifyWebApi({
+    clientId: process.env.SPOTIFY_CLIENT_ID,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET
+  });
+  spotifyApi.setRefreshToken(refreshToken);
+  const { body } = await spotifyApi.refreshAccessToken();
+  return body;
+}
+
+const isRevokedGrant = (error) =>
+  error?.body?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.refreshAccessToken] - (refreshToken) => { access_token, expires_in, refresh_token? }
+ * @param {Function} [options.now] - Clock, in ms
+ * @param {number} [options.refreshMarginMs] - Refresh when the token expires within this
+ */
+function createSpotifyTokenManager({
+  refreshAccessToken = requestSpotifyRefresh,
+  now = Date.now,
+  refreshMarginMs = REFRESH_MARGIN_MS
+} = {}) {
+  // userId -> pending refresh, so concurrent requests wait on the same one
+  const inFlight = new Map();
+
+  const expiresAtMs = (tokens) => (tokens.expires_at ? Date.parse(tokens.expires_at) : NaN);
+
+  const needsRefresh = (tokens) => {
+    const expiresAt = expiresAtMs(tokens);
+    return Number.isNaN(expiresAt) || expiresAt - now() <= refreshMarginMs;
+  };
+
+  async function refresh(userId, tokens, onRefresh) {
+    let body;
+    try {
+      body = await refreshAccessToken(tokens.refresh_token);
+    } catch (error) {
+      if (isRevokedGrant(error)) {
+        console.log(`🔒 [SPOTIFY-TOKENS] Refresh token revoked for ${userId}`);
+        throw reconnectRequiredError('spotify', 'Spotify');
+      }
+      // Spotify being unreachable shouldn't fail a request the current token can still serve
+      if (!(expiresAtMs(tokens) <= now())) {
+        console.log(`⚠️ [SPOTIFY-TOKENS] Refresh failed for ${userId}, using the current token:`, error.message);
+        return null;
+      }
+      throw error;
+    }
+
+    const refreshed = {
+      access_token: body.access_token,
+      expires_at: new Date(now() + (body.expires_in || 3600) * 1000).toISOString(),
+      refresh_token: body.refresh_token || null
+    };
+    if (onRefresh) {
+      await onRefresh(refreshed.access_token, { expiresAt: refreshed.expires_at, refreshToken: refreshed.refresh_token });
+    }
+    return refreshed;
+  }
+
+  /**
+   * Make sure `tokens` holds a usable access token, refreshing it if it's about to expire.
+   * `tokens` is updated in place.
+   * @param {string} userId - Platform user id (refreshes are shared per user)
+   * @param {Object} tokens - { access_token, refresh_token, expires_at }
+   * @param {Function} [onRefresh] - (accessToken, { expiresAt, refreshToken }) => persist it
+   * @returns {Promise<Object>} tokens
+   */
+  async function ensureFresh(userId, tokens, onRefresh) {
+    if (!tokens.refresh_token || !needsRefresh(tokens)) return tokens;
+
+    let pending = userId ? inFlight.get(userId) : null;
+    if (!pending) {
+      pending = refresh(userId, tokens, onRefresh);
+      if (userId) {
+        inFlight.set(userId, pending);
+        pending.then(() => inFlight.delete(userId), () => inFlight.delete(userId));
+      }
+    }
+
+    const refreshed = await pending;
+    if (refreshed) {
+      tokens.access_token = refreshed.access_token;
+      tokens.expires_at = refreshed.expires_at;
+      if (refreshed.refresh_token) tokens.refresh_token = refreshed.refresh_token;
+    }
+    return tokens;
+  }
+
+  return { ensureFresh, needsRefresh };
+}
+
+// Shared by the Spotify adapter and the server's own Spotify clients
+const spotifyTokens = createSpotifyTokenManager();
+
+module.exports = {
+  createSpotifyTokenManager,
+  spotifyTokens,
+  isRevokedGrant,
+  REFRESH_MARGIN_MS,
+};
@@ -0,0 +1,155 @@
+/**
+ * Token Encryption Service
+ * Envelope encryption for the platform OAuth tokens the database stores. Every value is
+ * encrypted (AES-256-GCM) with its own random data key, and the data key is stored
+ * wrapped by a key-encryption key from the environment:
+ *
+ *   TOKEN_ENCRYPTION_KEYS={"2026-10":"<base64, 32 bytes>","2025-01":"<base64, 32 bytes>"}
+ *   TOKEN_ENCRYPTION_KEY_ID=2026-10   # wraps new values; defaults to the first key listed
+ *
+ * Stored values read `enc:v1:<keyId>:<wrapped data key>:<ciphertext>`. The ciphertext is
+ * bound (as GCM associated data) to the user id and column it is stored under, so a value
+ * copied into another user's row, or from refresh_token to access_token, fails to decrypt
+ * instead of handing one account another's token. Rotating keys is
+ * adding a new key, making it active and re-wrapping the data keys (rewrap() — the token
+ * ciphertext itself doesn't change); the old key can go once nothing is wrapped with it.
+ * Values without the prefix are plaintext from before encryption and read back as they
+ * are, so existing rows keep working until `node migrate-encrypt-tokens.js` converts them.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const keyError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+// iv | tag | ciphertext, base64url
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, sealed, aad) {
+  const bytes = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, bytes.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(bytes.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(bytes.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+// Associated data for a token: where it is stored, e.g. `enc:v1:tokens.refresh_token:apple_music_x`
+function tokenAad(context) {
+  if (!context || !context.userId || !context.column) {
+    throw keyError('Token encryption needs the user id and column the value is stored under', 'TOKEN_CONTEXT_MISSING');
+  }
+  return `${PREFIX}tokens.${context.column}:${context.userId}`;
+}
+
+/**
+ * Every method that seals or opens a token takes `context` — `{ userId, column }`, the
+ * tokens row and column the value is stored in.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.keys] - keyId -> base64 32-byte key-encryption key
+ * @param {string} [options.activeKeyId] - Key new values are wrapped with (default: first key)
+ */
+function createTokenEncryption({ keys = {}, activeKeyId } = {}) {
+  const keyring = new Map(Object.entries(keys).map(([id, encoded]) => {
+    if (id.includes(':')) throw keyError(`Token encryption key id "${id}" can't contain ":"`, 'TOKEN_KEY_INVALID');
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== 32) throw keyError(`Token encryption key "${id}" must be 32 bytes (base64)`, 'TOKEN_KEY_INVALID');
+    return [id, key];
+  }));
+  const activeId = activeKeyId || keyring.keys().next().value || null;
+  if (activeId && !keyring.has(activeId)) {
+    throw keyError(`Active token encryption key "${activeId}" isn't in TOKEN_ENCRYPTION_KEYS`, 'TOKEN_KEY_INVALID');
+  }
+
+  const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+  const parse = (value) => {
+    const [keyId, wrappedKey, ciphertext] = value.slice(PREFIX.length).split(':');
+    const kek = keyring.get(keyId);
+    if (!kek) throw keyError(`Token was encrypted with key "${keyId}", which isn't configured`, 'TOKEN_KEY_MISSING');
+    return { keyId, dataKey: open(kek, wrappedKey, keyId), ciphertext };
+  };
+
+  const format = (keyId, dataKey, ciphertext) =>
+    `${PREFIX}${keyId}:${seal(keyring.get(keyId), dataKey, keyId)}:${ciphertext}`;
+
+  return {
+    enabled: !!activeId,
+    activeKeyId: activeId,
+    isEncrypted,
+
+    // Encrypt a token for storage (null/undefined, and everything when no key is configured, pass through)
+    encrypt(value, context) {
+      if (value === null || value === undefined || !activeId || isEncrypted(value)) return value;
+      const dataKey = crypto.randomBytes(32);
+      return format(activeId, dataKey, seal(dataKey, String(value), tokenAad(context)));
+    },
+
+    // Stored value back to the token (plaintext values pass through)
+    // A value moved to another row or column throws
+    decrypt(value, context) {
+      if (!isEncrypted(value)) return value;
+      const { dataKey, ciphertext } = parse(value);
+      try {
+        return open(dataKey, ciphertext, tokenAad(context)).toString('utf8');
+      } catch (error) {
+        if (error.code === 'TOKEN_CONTEXT_MISSING') throw error;
+        throw keyError(`Stored ${context.column} for ${context.userId} doesn't decrypt — it was altered or encrypted for another row`, 'TOKEN_DECRYPT_FAILED');
+      }
+    },
+
+    // Whether a stored value is plaintext or wrapped with a key other than the active one
+    needsRewrap(value) {
+      if (value === null || value === undefined || !activeId) return false;
+      return !isEncrypted(value) || value.slice(PREFIX.length).split(':')[0] !== activeId;
+    },
+
+    // Stored value under the active key: plaintext is encrypted, other keys' data keys re-wrapped
+    rewrap(value, context) {
+      if (!isEncrypted(value)) return this.encrypt(value, context);
+      const { keyId, dataKey, ciphertext } = parse(value);
+      return keyId === activeId ? value : format(activeId, dataKey, ciphertext);
+    },
+  };
+}
+
+function createTokenEncryptionFromEnv(env = process.env) {
+  let keys = {};
+  if (env.TOKEN_ENCRYPTION_KEYS) {
+    try {
+      keys = JSON.parse(env.TOKEN_ENCRYPTION_KEYS);
+    } catch (error) {
+      throw keyError(`TOKEN_ENCRYPTION_KEYS isn't valid JSON: ${error.message}`, 'TOKEN_KEY_INVALID');
+    }
+  }
+  const encryption = createTokenEncryption({ keys, activeKeyId: env.TOKEN_ENCRYPTION_KEY_ID });
+  if (encryption.enabled) {
+    console.log(`🔐 [TOKENS] Encrypting platform tokens with key "${encryption.activeKeyId}"`);
+  } else {
+    console.warn('⚠️ [TOKENS] TOKEN_ENCRYPTION_KEYS is not set — platform tokens are stored unencrypted');
+  }
+  return encryption;
+}
+
+// Shared by database.js and database-postgres.js
+const tokenEncryption = createTokenEncryptionFromEnv();
+
+module.exports = {
+  createTokenEncryption,
+  createTokenEncryptionFromEnv,
+  tokenEncryption,
+};
@@ -0,0 +1,117 @@
+/**
+ * Update Queue Service
+ * The auto-update queue. Playlists due for an update are enqueued as rows in update_jobs
+ * and processed maxConcurrent at a time, so a burst of 500 simultaneous schedules doesn't
+ * hammer the APIs all at once. Jobs are leased (locked_by/locked_until) so a restart
+ * resumes them and a second instance never double-processes one; failures retry with
+ * exponential backoff until maxAttempts, then the job is marked failed.
+ *
+ * update_jobs allows one pending/running job per playlist, so enqueueing a playlist that
+ * is already queued is a no-op.
+ */
+
+const crypto = require('crypto');
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * @param {Object} options
+ * @param {Object} options.db - database.js or database-postgres.js
+ * @param {Function} options.findPlaylist - (userId, playlistId) → playlist, or undefined once it's gone
+ * @param {Function} options.processUpdate - async (userId, playlist); a throw fails the attempt,
+ *   and an error with retryable === false fails the job without retrying
+ * @param {string} [options.workerId] - Written to locked_by; unique per process
+ * @param {number} [options.maxConcurrent] - Jobs this process runs at once
+ * @param {number} [options.leaseMs] - How long a job stays leased before another worker may take it
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.backoffBaseMs] - First retry delay, doubled each attempt, capped at 1 hour
+ */
+function createUpdateQueue({
+  db,
+  findPlaylist,
+  processUpdate,
+  workerId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`,
+  maxConcurrent = 5,
+  leaseMs = 10 * 60 * 1000, // generation is cut off at 3 min (IN_PROCESS_GENERATION_TIMEOUT_MS); leave room for the platform push
+  maxAttempts = 3,
+  backoffBaseMs = 2 * 60 * 1000, // 2 min, 4 min, 8 min...
+}) {
+  let activeCount = 0;
+  let draining = false;
+
+  async function enqueue(userId, playlist) {
+    const job = await db.enqueueUpdateJob(userId, playlist.playlistId, { maxAttempts });
+    if (!job) {
+      console.log(`[QUEUE] "${playlist.playlistName}" already queued, skipping`);
+      return null;
+    }
+    console.log(`[QUEUE] Enqueued "${playlist.playlistName}" (job ${job.id})`);
+    return job;
+  }
+
+  // Run one leased job and record the outcome on its update_jobs row
+  async function runJob(job) {
+    const playlist = findPlaylist(job.userId, job.playlistId);
+    if (!playlist) {
+      await db.failUpdateJob(job.id, workerId, 'Playlist no longer exists');
+      console.log(`[QUEUE] Job ${job.id}: playlist ${job.playlistId} no longer exists — marked failed`);
+      return;
+    }
+
+    console.log(`[QUEUE] Starting "${playlist.playlistName}" (job ${job.id}, attempt ${job.attempts}/${job.maxAttempts}, active: ${activeCount}/${maxConcurrent})`);
+    try {
+      await processUpdate(job.userId, playlist);
+      await db.completeUpdateJob(job.id, workerId);
+      console.log(`[QUEUE] Job ${job.id} succeeded for "${playlist.playlistName}"`);
+    } catch (err) {
+      const canRetry = err.retryable !== false && job.attempts < job.maxAttempts;
+      const retryAt = canRetry
+        ? new Date(Date.now() + Math.min(backoffBaseMs * Math.pow(2, job.attempts - 1), MAX_BACKOFF_MS))
+        : null;
+      await db.failUpdateJob(job.id, workerId, err.message, retryAt);
+      if (retryAt) {
+        console.log(`[QUEUE] Job ${job.id} failed for "${playlist.playlistName}" — retrying at ${retryAt.toISOString()}: ${err.message}`);
+      } else {
+        console.error(`[QUEUE] Job ${job.id} failed permanently for "${playlist.playlistName}": ${err.message}`);
+      }
+    }
+  }
+
+  // Lease as many due jobs as there are free slots and start them
+  async function drain() {
+    // Single drainer per process so concurrent callers can't over-lease past maxConcurrent
+    if (draining) return;
+    draining = true;
+    try {
+      const slots = maxConcurrent - activeCount;
+      if (slots <= 0) return;
+      const jobs = await db.leaseUpdateJobs(workerId, slots, leaseMs);
+      for (const job of jobs) {
+        activeCount++;
+        runJob(job)
+          .catch(err => console.error(`[QUEUE] Unhandled error for job ${job.id}:`, err.message))
+          .finally(() => {
+            activeCount--;
+            drain(); // pick up the next job as soon as a slot opens
+          });
+      }
+    } catch (err) {
+      console.error('[QUEUE] Failed to lease update jobs:', err.message);
+    } finally {
+      draining = false;
+    }
+  }
+
+  return {
+    workerId,
+    maxConcurrent,
+    enqueue,
+    runJob,
+    drain,
+    activeCount: () => activeCount,
+  };
+}
+
+module.exports = {
+  createUpdateQueue,
+};
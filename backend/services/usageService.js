@@ -0,0 +1,171 @@
+/**
+ * Usage Service
+ * Per-generation cost accounting. A generation runs inside a usage meter
+ * (AsyncLocalStorage), and instrumented clients report into whichever meter is
+ * active when they're called — so the generation code itself doesn't have to thread
+ * anything through:
+ *   - recordModelCall(model, usage)        → token counts, called by llmService for every task
+ *   - recordSoundChartsCall()              → called from throttleSoundCharts
+ *   - instrumentPlatformClient(Class, 'spotify') / recordPlatformCall('apple')
+ *
+ * Calls made outside a meter (chat refinement, analyze-mix, ...) are not attributed.
+ * summarizeMeter() turns a finished meter into the row stored in generation_usage.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// USD per million tokens
+const MODEL_PRICING = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-sonnet-4-6': { input: 3, output: 15 },
+  'claude-haiku-4-5-20251001': { input: 1, output: 5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'fixture': { input: 0, output: 0 },
+};
+const FALLBACK_PRICING = { input: 3, output: 15 };
+
+// SoundCharts bills per request; set SOUNDCHARTS_COST_PER_CALL (USD) to include it in costs
+const soundChartsCostPerCall = () => Number(process.env.SOUNDCHARTS_COST_PER_CALL) || 0;
+
+const modelCallCost = (model, inputTokens, outputTokens) => {
+  const pricing = MODEL_PRICING[model] || FALLBACK_PRICING;
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+};
+
+/**
+ * @param {Object} fields
+ * @param {string} fields.generationId
+ * @param {string} fields.userId - userId as sent by the client (email or platform id)
+ * @param {string} fields.trigger - 'user' | 'auto-update'
+ * @returns {Object} meter
+ */
+function createMeter({ generationId, userId, trigger }) {
+  return {
+    generationId,
+    userId,
+    trigger,
+    promptType: null,
+    modelCalls: [],
+    soundchartsCalls: 0,
+    platformCalls: {},
+    startedAt: new Date(),
+  };
+}
+
+// Run fn with `meter` as the active meter for everything it awaits
+const runWithMeter = (meter, fn) => storage.run(meter, fn);
+const currentMeter = () => storage.getStore();
+
+function recordModelCall(model, usage) {
+  const meter = currentMeter();
+  if (!meter) return;
+  meter.modelCalls.push({
+    model,
+    inputTokens: usage?.inputTokens || 0,
+    outputTokens: usage?.outputTokens || 0,
+  });
+}
+
+function recordSoundChartsCall() {
+  const meter = currentMeter();
+  if (meter) meter.soundchartsCalls++;
+}
+
+function recordPlatformCall(platform) {
+  const meter = currentMeter();
+  if (meter) meter.platformCalls[platform] = (meter.platformCalls[platform] || 0) + 1;
+}
+
+function setPromptType(promptType) {
+  const meter = currentMeter();
+  if (meter) meter.promptType = promptType;
+}
+
+/**
+ * Subclass of an API client class whose promise-returning methods count as one
+ * platform call each (e.g. every SpotifyWebApi request method).
+ */
+function instrumentPlatformClient(Client, platform) {
+  return class extends Client {
+    constructor(...args) {
+      super(...args);
+      return new Proxy(this, {
+        get(target, prop, receiver) {
+          const value = Reflect.get(target, prop, receiver);
+          if (typeof value !== 'function' || prop === 'constructor') return value;
+          return (...callArgs) => {
+            const result = value.apply(target, callArgs);
+            if (result && typeof result.then === 'function') recordPlatformCall(platform);
+            return result;
+          };
+        },
+      });
+    }
+  };
+}
+
+/**
+ * Totals and cost for a finished meter
+ * @param {Object} meter
+ * @param {Object} fields - { email, plan, status } resolved by the caller
+ * @returns {Object} generation_usage row (camelCase)
+ */
+function summarizeMeter(meter, { email, plan, status }) {
+  const models = {};
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let llmCost = 0;
+  for (const call of meter.modelCalls) {
+    const cost = modelCallCost(call.model, call.inputTokens, call.outputTokens);
+    const entry = models[call.model] || (models[call.model] = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    entry.calls++;
+    entry.inputTokens += call.inputTokens;
+    entry.outputTokens += call.outputTokens;
+    entry.costUsd += cost;
+    inputTokens += call.inputTokens;
+    outputTokens += call.outputTokens;
+    llmCost += cost;
+  }
+  const soundchartsCost = meter.soundchartsCalls * soundChartsCostPerCall();
+  const platformCalls = Object.values(meter.platformCalls).reduce((sum, n) => sum + n, 0);
+
+  return {
+    generationId: meter.generationId,
+    userId: meter.userId || null,
+    email: email || null,
+    plan: plan || 'free',
+    promptType: meter.promptType || 'unknown',
+    trigger: meter.trigger,
+    status,
+    llmCalls: meter.modelCalls.length,
+    inputTokens,
+    outputTokens,
+    soundchartsCalls: meter.soundchartsCalls,
+    platformCalls,
+    costUsd: llmCost + soundchartsCost,
+    details: { models, modelCalls: meter.modelCalls, platformCalls: meter.platformCalls, soundchartsCostUsd: soundchartsCost },
+    startedAt: meter.startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+  };
+}
+
+// Whether the meter saw any billable or external work worth storing
+const hasUsage = (meter) =>
+  meter.modelCalls.length > 0 || meter.soundchartsCalls > 0 || Object.keys(meter.platformCalls).length > 0;
+
+module.exports = {
+  MODEL_PRICING,
+  createMeter,
+  runWithMeter,
+  currentMeter,
+  recordModelCall,
+  recordSoundChartsCall,
+  recordPlatformCall,
+  setPromptType,
+  instrumentPlatformClient,
+  summarizeMeter,
+  hasUsage,
+};
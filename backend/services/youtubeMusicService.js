@@ -0,0 +1,312 @@
+const axios = require('axios');
+const { recordPlatformCall } = require('./usageService');
+
+const API_BASE_URL = 'https://www.googleapis.com/youtube/v3';
+const AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const OAUTH_SCOPE = 'https://www.googleapis.com/auth/youtube';
+// YouTube's "Music" video category — keeps searches to songs rather than covers, vlogs and reactions
+const MUSIC_CATEGORY_ID = '10';
+const PAGE_SIZE = 50;
+
+// Auto-generated "Artist - Topic" channels and VEVO channels carry the artist name
+const artistFromChannel = (channelTitle) => (channelTitle || '')
+  .replace(/\s+-\s+Topic$/i, '')
+  .replace(/VEVO$/i, '')
+  .trim();
+
+// "Artist - Song (Official Video)" → "Song (Official Video)" when the channel is the artist's
+const titleWithoutArtist = (title, artist) => {
+  const prefix = `${artist} - `;
+  return artist && title.toLowerCase().startsWith(prefix.toLowerCase()) ? title.slice(prefix.length) : title;
+};
+
+const videoIdFromUri = (uri) => (typeof uri === 'string' && uri.startsWith('youtube:track:') ? uri.replace('youtube:track:', '') : uri);
+
+const bestThumbnail = (thumbnails = {}) =>
+  (thumbnails.high || thumbnails.medium || thumbnails.default || null)?.url || null;
+
+/**
+ * YouTube Music Service
+ * YouTube Music playlists are YouTube playlists, so this talks to the YouTube Data API v3
+ * with the user's Google OAuth access token. Tracks are videos, referenced as
+ * "youtube:track:{videoId}" to line up with the Spotify / Apple Music URI formats.
+ *
+ * `http` defaults to axios; tests pass a stub that replays recorded responses.
+ */
+class YouTubeMusicService {
+  constructor({ http = axios } = {}) {
+    this.http = http;
+    this.clientId = process.env.YOUTUBE_CLIENT_ID;
+    this.clientSecret = process.env.YOUTUBE_CLIENT_SECRET;
+    this.redirectUri = process.env.YOUTUBE_REDIRECT_URI || 'http://127.0.0.1:3001/youtube-callback';
+  }
+
+  /**
+   * Make authenticated request to the YouTube Data API
+   */
+  async request(endpoint, accessToken, options = {}) {
+    try {
+      recordPlatformCall('youtube');
+      const response = await this.http({
+        method: options.method || 'GET',
+        url: `${API_BASE_URL}${endpoint}`,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        data: options.data,
+        params: options.params
+      });
+      return response.data;
+    } catch (error) {
+      console.error('YouTube API Error Details:', {
+        status: error.response?.status,
+        data: error.response?.data,
+        message: error.message,
+        endpoint,
+        method: options.method || 'GET'
+      });
+      const err = new Error(error.response?.data?.error?.message || error.message);
+      err.status = error.response?.status;
+      err.code = error.response?.data?.error?.errors?.[0]?.reason;
+      throw err;
+    }
+  }
+
+  // ── OAuth ──────────────────────────────────────────────────────
+
+  /**
+   * Google consent screen URL; `state` comes back on the callback
+   */
+  getAuthUrl(state) {
+    return `${AUTH_URL}?${new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      response_type: 'code',
+      scope: OAUTH_SCOPE,
+      access_type: 'offline',
+      prompt: 'consent',
+      state
+    }).toString()}`;
+  }
+
+  async tokenRequest(fields) {
+    const response = await this.http({
+      method: 'POST',
+      url: TOKEN_URL,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      data: new URLSearchParams({ client_id: this.clientId, client_secret: this.clientSecret, ...fields }).toString()
+    });
+    const { access_token, refresh_token, expires_in } = response.data;
+    return {
+      access_token,
+      refresh_token: refresh_token || fields.refresh_token || null,
+      expires_at: new Date(Date.now() + (expires_in || 3600) * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @returns {Promise<{ access_token, refresh_token, expires_at }>}
+   */
+  exchangeCode(code) {
+    return this.tokenRequest({ code, redirect_uri: this.redirectUri, grant_type: 'authorization_code' });
+  }
+
+  /**
+   * @returns {Promise<{ access_token, refresh_token, expires_at }>}
+   */
+  refreshAccessToken(refreshToken) {
+    return this.tokenRequest({ refresh_token: refreshToken, grant_type: 'refresh_token' });
+  }
+
+  /**
+   * The signed-in user's channel ({ id, title }) — the stable id for the connection
+   */
+  async getChannel(accessToken) {
+    const data = await this.request('/channels', accessToken, { params: { part: 'id,snippet', mine: true } });
+    const channel = data.items?.[0];
+    if (!channel) throw new Error('This Google account has no YouTube channel');
+    return { id: channel.id, title: channel.snippet?.title || '' };
+  }
+
+  // ── Catalog ────────────────────────────────────────────────────
+
+  /**
+   * Search music videos
+   * @param {string} query
+   * @param {string} accessToken
+   * @param {number} limit
+   */
+  async searchTracks(query, accessToken, limit = 25) {
+    const data = await this.request('/search', accessToken, {
+      params: { part: 'snippet', type: 'video', videoCategoryId: MUSIC_CATEGORY_ID, q: query, maxResults: Math.min(limit, PAGE_SIZE) }
+    });
+
+    // Normalize to match Spotify format
+    return (data.items || []).filter(item => item.id?.videoId).map(item => ({
+      id: item.id.videoId,
+      name: titleWithoutArtist(item.snippet.title, artistFromChannel(item.snippet.channelTitle)),
+      uri: `youtube:track:${item.id.videoId}`,
+      artists: [{ name: artistFromChannel(item.snippet.channelTitle) }],
+      album: {
+        name: null,
+        images: bestThumbnail(item.snippet.thumbnails) ? [{ url: bestThumbnail(item.snippet.thumbnails) }] : []
+      },
+      platform: 'youtube',
+      url: `https://music.youtube.com/watch?v=${item.id.videoId}`
+    }));
+  }
+
+  /**
+   * First search result whose channel matches the artist, or null
+   */
+  async findTrackByNameAndArtist(trackName, artistName, accessToken) {
+    const results = await this.searchTracks(`${trackName} ${artistName}`, accessToken, 5);
+    const artist = (artistName || '').toLowerCase();
+    return results.find(track => track.artists[0].name.toLowerCase().includes(artist)) || null;
+  }
+
+  // ── Playlists ──────────────────────────────────────────────────
+
+  // Follow nextPageToken until the list is exhausted
+  async listAll(endpoint, accessToken, params) {
+    const items = [];
+    let pageToken;
+    do {
+      const data = await this.request(endpoint, accessToken, { params: { ...params, maxResults: PAGE_SIZE, pageToken } });
+      items.push(...(data.items || []));
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+    return items;
+  }
+
+  async getPlaylists(accessToken) {
+    const playlists = await this.listAll('/playlists', accessToken, { part: 'snippet,contentDetails', mine: true });
+    return playlists.map(playlist => ({
+      id: playlist.id,
+      name: playlist.snippet.title,
+      description: playlist.snippet.description || '',
+      trackCount: playlist.contentDetails?.itemCount || 0,
+      image: bestThumbnail(playlist.snippet.thumbnails),
+      platform: 'youtube',
+      url: `https://music.youtube.com/playlist?list=${playlist.id}`
+    }));
+  }
+
+  /**
+   * Playlist details with its tracks
+   */
+  async getPlaylist(accessToken, playlistId) {
+    const data = await this.request('/playlists', accessToken, { params: { part: 'snippet', id: playlistId } });
+    const playlist = data.items?.[0];
+    if (!playlist) {
+      const err = new Error('Playlist not found');
+      err.status = 404;
+      throw err;
+    }
+    return {
+      id: playlist.id,
+      name: playlist.snippet.title,
+      description: playlist.snippet.description || '',
+      image: bestThumbnail(playlist.snippet.thumbnails),
+      url: `https://music.youtube.com/playlist?list=${playlist.id}`,
+      platform: 'youtube',
+      tracks: await this.getPlaylistTracks(accessToken, playlistId)
+    };
+  }
+
+  async deletePlaylist(accessToken, playlistId) {
+    await this.request('/playlists', accessToken, { method: 'DELETE', params: { id: playlistId } });
+    console.log(`✓ Deleted YouTube playlist ${playlistId}`);
+    return { success: true };
+  }
+
+  /**
+   * Raw playlist items — each has its own id (needed to delete it) besides the video id
+   */
+  getPlaylistItems(accessToken, playlistId) {
+    return this.listAll('/playlistItems', accessToken, { part: 'snippet', playlistId });
+  }
+
+  async getPlaylistTracks(accessToken, playlistId) {
+    const items = await this.getPlaylistItems(accessToken, playlistId);
+    return items.filter(item => item.snippet?.resourceId?.videoId).map(item => ({
+      id: item.snippet.resourceId.videoId,
+      name: item.snippet.title,
+      uri: `youtube:track:${item.snippet.resourceId.videoId}`,
+      artists: [{ name: artistFromChannel(item.snippet.videoOwnerChannelTitle) }],
+      album: {
+        name: null,
+        images: bestThumbnail(item.snippet.thumbnails) ? [{ url: bestThumbnail(item.snippet.thumbnails) }] : []
+      },
+      platform: 'youtube',
+      url: `https://music.youtube.com/watch?v=${item.snippet.resourceId.videoId}`
+    }));
+  }
+
+  /**
+   * @param {string} accessToken
+   * @param {string} name
+   * @param {string} description
+   * @param {boolean} isPublic
+   */
+  async createPlaylist(accessToken, name, description = '', isPublic = false) {
+    const data = await this.request('/playlists', accessToken, {
+      method: 'POST',
+      params: { part: 'snippet,status' },
+      data: {
+        snippet: { title: name, description },
+        status: { privacyStatus: isPublic ? 'public' : 'private' }
+      }
+    });
+    return {
+      id: data.id,
+      name: data.snippet?.title || name,
+      url: `https://music.youtube.com/playlist?list=${data.id}`,
+      platform: 'youtube'
+    };
+  }
+
+  /**
+   * Append videos in order. The API inserts one item per request.
+   * @param {Array<string>} trackUris - youtube:track: URIs or raw video ids
+   */
+  async addTracksToPlaylist(accessToken, playlistId, trackUris) {
+    const videoIds = trackUris.map(videoIdFromUri).filter(Boolean);
+    for (const videoId of videoIds) {
+      await this.request('/playlistItems', accessToken, {
+        method: 'POST',
+        params: { part: 'snippet' },
+        data: { snippet: { playlistId, resourceId: { kind: 'youtube#video', videoId } } }
+      });
+    }
+    console.log(`✓ Added ${videoIds.length} track(s) to YouTube playlist ${playlistId}`);
+    return { success: true, added: videoIds.length };
+  }
+
+  async removeTracksFromPlaylist(accessToken, playlistId, trackUris) {
+    const videoIds = new Set(trackUris.map(videoIdFromUri));
+    const items = await this.getPlaylistItems(accessToken, playlistId);
+    const toDelete = items.filter(item => videoIds.has(item.snippet?.resourceId?.videoId));
+    for (const item of toDelete) {
+      await this.request('/playlistItems', accessToken, { method: 'DELETE', params: { id: item.id } });
+    }
+    console.log(`✓ Removed ${toDelete.length} track(s) from YouTube playlist ${playlistId}`);
+    return { success: true, removed: toDelete.length };
+  }
+
+  // The API has no bulk replace: clear the playlist, then add the new list
+  async replacePlaylistTracks(accessToken, playlistId, trackUris) {
+    const items = await this.getPlaylistItems(accessToken, playlistId);
+    for (const item of items) {
+      await this.request('/playlistItems', accessToken, { method: 'DELETE', params: { id: item.id } });
+    }
+    await this.addTracksToPlaylist(accessToken, playlistId, trackUris);
+    console.log(`✓ Replaced YouTube playlist ${playlistId} with ${trackUris.length} tracks`);
+    return { success: true };
+  }
+}
+
+module.exports = YouTubeMusicService;
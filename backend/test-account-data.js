@@ -0,0 +1,131 @@
+/**
+ * Test the "download my data" archive and the deletion grace period
+ * Builds an archive from an in-memory account, then reads the .tar.gz back
+ * (gunzip, ustar headers and checksums) and checks what each file holds. No database.
+ *
+ *   node test-account-data.js
+ */
+
+const assert = require('assert');
+const zlib = require('zlib');
+const { buildAccountArchive, deletionDate } = require('./services/accountDataService');
+const { test, run } = require('./testing/suite');
+
+const now = new Date('2026-10-18T12:00:00Z');
+
+const user = {
+  email: 'sam@example.com',
+  password: '$scrypt$secret-hash',
+  platform: 'spotify',
+  userId: 'sam@example.com',
+  plan: 'paid',
+  stripeCustomerId: 'cus_123',
+  deletionScheduledAt: null,
+  createdAt: '2025-01-02T03:04:05.000Z',
+  connectedPlatforms: { spotify: true, apple: false, youtube: false },
+};
+
+const playlists = [
+  {
+    playlistId: 'sp-1',
+    playlistName: 'Night Drive',
+    originalPrompt: 'synthwave for driving at night',
+    tracks: [{ id: 'fk0001', name: 'Midnight City', artist: 'M83' }],
+    likedSongs: [{ id: 'fk0001', name: 'Midnight City', artist: 'M83' }],
+    dislikedSongs: [{ id: 'fk0005', name: 'Redbone', artist: 'Childish Gambino' }],
+  },
+  { playlistId: 'draft-1', playlistName: 'Untitled', isDraft: true, tracks: [] },
+];
+
+// Minimal ustar reader: { name: content } for every regular file
+function readTarGz(buffer) {
+  const tar = zlib.gunzipSync(buffer);
+  const files = {};
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+    assert.strictEqual(field(257, 5), 'ustar');
+    const expected = parseInt(field(148, 8), 8);
+    let sum = 0;
+    header.forEach((byte, i) => { sum += i >= 148 && i < 156 ? 32 : byte; });
+    assert.strictEqual(sum, expected, `checksum of ${field(0, 100)}`);
+
+    const size = parseInt(field(124, 12), 8);
+    files[field(0, 100)] = tar.subarray(offset + 512, offset + 512 + size).toString('utf8');
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+const archive = buildAccountArchive({
+  user,
+  platformUserIds: { email: 'sam@example.com', spotify_user_id: 'spotify_sam', apple_music_user_id: null },
+  playlists,
+  playlistReactions: [{ playlistId: 'someone-elses', reaction: 'thumbsUp' }],
+  savedPlaylists: ['someone-elses'],
+  artistHistory: [{ artistName: 'M83', playCount: 3 }],
+  playlistHistory: [{ id: 7, playlistId: 'sp-1', trigger: 'auto', status: 'completed', tracksAdded: [] }],
+  feedback: [{ rating: 5, message: 'Love it', createdAt: '2026-09-01T00:00:00.000Z' }],
+}, { now });
+const files = readTarGz(archive.body);
+const read = (name) => JSON.parse(files[`fins-data-2026-10-18/${name}`]);
+
+test('the archive is a gzipped tar with one file per kind of data', () => {
+  assert.strictEqual(archive.filename, 'fins-data-2026-10-18.tar.gz');
+  assert.strictEqual(archive.contentType, 'application/gzip');
+  assert.deepStrictEqual(Object.keys(files), [
+    'README.txt',
+    'account.json',
+    'playlists.json',
+    'drafts.json',
+    'reactions.json',
+    'saved-playlists.json',
+    'artist-history.json',
+    'playlist-history.json',
+    'feedback.json',
+  ].map(name => `fins-data-2026-10-18/${name}`));
+  assert.ok(files['fins-data-2026-10-18/README.txt'].includes('Exported 2026-10-18T12:00:00.000Z for sam@example.com'));
+});
+
+test('the account file leaves out the password and lists platform user ids', () => {
+  const account = read('account.json');
+  assert.strictEqual(account.password, undefined);
+  assert.ok(!Object.values(files).some(content => content.includes('secret-hash')));
+  assert.strictEqual(account.plan, 'paid');
+  assert.deepStrictEqual(account.platformUserIds, { spotify_user_id: 'spotify_sam' });
+});
+
+test('playlists, drafts and reactions are split out', () => {
+  assert.deepStrictEqual(read('playlists.json').map(playlist => playlist.playlistId), ['sp-1']);
+  assert.strictEqual(read('playlists.json')[0].originalPrompt, 'synthwave for driving at night');
+  assert.deepStrictEqual(read('drafts.json').map(playlist => playlist.playlistId), ['draft-1']);
+
+  const reactions = read('reactions.json');
+  assert.deepStrictEqual(reactions.playlists, [{ playlistId: 'someone-elses', reaction: 'thumbsUp' }]);
+  assert.deepStrictEqual(reactions.songs.map(song => [song.playlistId, song.id, song.reaction]), [
+    ['sp-1', 'fk0001', 'thumbsUp'],
+    ['sp-1', 'fk0005', 'thumbsDown'],
+  ]);
+  assert.deepStrictEqual(read('saved-playlists.json'), ['someone-elses']);
+});
+
+test('history and feedback are included as stored', () => {
+  assert.deepStrictEqual(read('artist-history.json'), [{ artistName: 'M83', playCount: 3 }]);
+  assert.strictEqual(read('playlist-history.json')[0].trigger, 'auto');
+  assert.strictEqual(read('feedback.json')[0].message, 'Love it');
+});
+
+test('accounts scheduled for deletion say so, and the grace period is counted in days', () => {
+  const scheduled = deletionDate(now, 30);
+  assert.strictEqual(scheduled.toISOString(), '2026-11-17T12:00:00.000Z');
+  assert.strictEqual(deletionDate(now, 0).getTime(), now.getTime());
+
+  const pending = readTarGz(buildAccountArchive({ user: { ...user, deletionScheduledAt: scheduled.toISOString() } }, { now }).body);
+  assert.ok(pending['fins-data-2026-10-18/README.txt'].includes('scheduled for deletion on 2026-11-17T12:00:00.000Z'));
+  assert.deepStrictEqual(JSON.parse(pending['fins-data-2026-10-18/playlists.json']), []);
+});
+
+run('Testing account data export');
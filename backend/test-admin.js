@@ -0,0 +1,151 @@
+/**
+ * Test admin roles and the admin audit log
+ * requireAdmin (services/authorizationService.js) with stub lookups, then the server
+ * in-process (testing/server.js) on an in-memory database: who gets into /api/admin/*,
+ * roles granted and revoked through /api/admin/set-role taking effect on existing
+ * sessions, and paging and filtering GET /api/admin/audit-log.
+ *
+ *   node test-admin.js
+ */
+
+process.env.ADMIN_USERS = 'Root@Example.com';
+
+const assert = require('assert');
+const { createAuthorization } = require('./services/authorizationService');
+const { startTestServer } = require('./testing/server');
+const { test, run, quietly } = require('./testing/suite');
+
+let server;
+const sessions = {};
+
+// Run a middleware; resolves with { status, body } for a response, or 'next'
+async function callMiddleware(middleware, req) {
+  let outcome = null;
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { outcome = { status: this.statusCode, body }; return this; },
+  };
+  await quietly(() => middleware(req, res, () => { outcome = 'next'; }));
+  return outcome;
+}
+
+// JSON request as `email` (signed out when null); resolves with { status, body }
+async function api(email, method, path, body) {
+  const response = await quietly(() => fetch(`${server.url}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(email && { Authorization: `Bearer ${sessions[email]}` }) },
+    body: body && JSON.stringify(body),
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+async function signup(email) {
+  const { body } = await api(null, 'POST', '/api/signup', { email, password: 'admin-test-password', platform: 'spotify' });
+  sessions[email] = body.token;
+}
+
+test('requireAdmin lets in only a signed-in admin, and checks the role on every request', async () => {
+  const roles = { 'root@example.com': 'admin', 'sam@example.com': 'user' };
+  const { requireAdmin } = createAuthorization({
+    getAccountUserIds: async () => [],
+    findPlaylistOwner: async () => null,
+    getRole: async (email) => {
+      if (email === 'broken@example.com') throw new Error('database is down');
+      return roles[email];
+    },
+  });
+  const as = (email) => ({ method: 'GET', path: '/api/admin/users', user: email && { email } });
+
+  assert.strictEqual(await callMiddleware(requireAdmin, as('root@example.com')), 'next');
+  assert.deepStrictEqual(await callMiddleware(requireAdmin, as('sam@example.com')), {
+    status: 403,
+    body: { error: 'You do not have access to this resource', code: 'FORBIDDEN' },
+  });
+  assert.strictEqual((await callMiddleware(requireAdmin, as('nobody@example.com'))).status, 403);
+  assert.strictEqual((await callMiddleware(requireAdmin, as(null))).body.code, 'AUTH_REQUIRED');
+  assert.strictEqual((await callMiddleware(requireAdmin, as('broken@example.com'))).status, 500);
+
+  // The role is looked up each time, not remembered on the request
+  const req = as('root@example.com');
+  assert.strictEqual(await callMiddleware(requireAdmin, req), 'next');
+  roles['root@example.com'] = 'user';
+  assert.strictEqual((await callMiddleware(requireAdmin, req)).status, 403);
+});
+
+test('admin routes refuse guests and users without the admin role', async () => {
+  server = await startTestServer();
+  for (const email of ['root@example.com', 'sam@example.com', 'kim@example.com']) await signup(email);
+
+  assert.strictEqual((await api(null, 'GET', '/api/admin/users')).status, 401);
+  assert.strictEqual((await api('sam@example.com', 'GET', '/api/admin/users')).status, 403);
+  assert.strictEqual((await api('sam@example.com', 'GET', '/api/admin/audit-log')).status, 403);
+
+  // A user can't promote themselves, and the attempt isn't an admin action
+  const promote = await api('sam@example.com', 'POST', '/api/admin/set-role', { email: 'sam@example.com', role: 'admin' });
+  assert.strictEqual(promote.status, 403);
+
+  // ADMIN_USERS grants the role at signup, whatever the case of the email
+  const users = await api('root@example.com', 'GET', '/api/admin/users');
+  assert.strictEqual(users.status, 200);
+  const roleOf = (email) => users.body.find(user => user.email === email).role;
+  assert.deepStrictEqual(['root@example.com', 'sam@example.com'].map(roleOf), ['admin', 'user']);
+  assert.deepStrictEqual((await api('root@example.com', 'GET', '/api/admin/audit-log')).body.entries, []);
+});
+
+test('granting and revoking the role applies to sessions already signed in', async () => {
+  const grant = await api('root@example.com', 'POST', '/api/admin/set-role', { email: ' Kim@Example.com ', role: 'admin' });
+  assert.deepStrictEqual(grant.body, { success: true, email: 'kim@example.com', role: 'admin' });
+  assert.strictEqual((await api('kim@example.com', 'GET', '/api/admin/users')).status, 200);
+
+  const revoke = await api('root@example.com', 'POST', '/api/admin/set-role', { email: 'kim@example.com', role: 'user' });
+  assert.strictEqual(revoke.status, 200);
+  assert.strictEqual((await api('kim@example.com', 'GET', '/api/admin/users')).status, 403);
+
+  const own = await api('root@example.com', 'POST', '/api/admin/set-role', { email: 'root@example.com', role: 'user' });
+  assert.deepStrictEqual([own.status, own.body.error], [400, 'You cannot remove your own admin role']);
+  assert.strictEqual((await api('root@example.com', 'POST', '/api/admin/set-role', { email: 'kim@example.com', role: 'owner' })).status, 400);
+  assert.strictEqual((await api('root@example.com', 'POST', '/api/admin/set-role', { email: 'ghost@example.com', role: 'admin' })).status, 404);
+});
+
+test('the audit log pages back newest first and filters by the user acted on', async () => {
+  for (const plan of ['paid', 'free', 'paid']) {
+    assert.strictEqual((await api('root@example.com', 'POST', '/api/admin/set-plan', { email: 'sam@example.com', plan })).status, 200);
+  }
+  // Two role changes from the previous test, three plan changes; refused requests aren't logged
+  const all = (await api('root@example.com', 'GET', '/api/admin/audit-log')).body;
+  assert.deepStrictEqual(
+    all.entries.map(entry => [entry.action, entry.targetEmail]),
+    [
+      ['set-plan', 'sam@example.com'],
+      ['set-plan', 'sam@example.com'],
+      ['set-plan', 'sam@example.com'],
+      ['set-role', 'kim@example.com'],
+      ['set-role', 'kim@example.com'],
+    ]
+  );
+  assert.strictEqual(all.nextBefore, null);
+  const [latest] = all.entries;
+  assert.strictEqual(latest.actorEmail, 'root@example.com');
+  assert.deepStrictEqual(latest.details, { plan: 'paid', previousPlan: 'free' });
+  assert.ok(!Number.isNaN(Date.parse(latest.createdAt)));
+  assert.deepStrictEqual(all.entries[4].details, { role: 'admin', previousRole: 'user' });
+
+  // Two at a time: each page starts below the last id of the one before
+  const pages = [];
+  let before = '';
+  do {
+    const { body } = await api('root@example.com', 'GET', `/api/admin/audit-log?limit=2${before}`);
+    pages.push(body.entries.map(entry => entry.id));
+    before = body.nextBefore ? `&before=${body.nextBefore}` : null;
+  } while (before);
+  assert.deepStrictEqual(pages.map(page => page.length), [2, 2, 1]);
+  assert.deepStrictEqual(pages.flat(), all.entries.map(entry => entry.id));
+
+  const kim = (await api('root@example.com', 'GET', '/api/admin/audit-log?email=KIM@example.com')).body;
+  assert.deepStrictEqual(kim.entries.map(entry => entry.details.role), ['user', 'admin']);
+  const kimBefore = (await api('root@example.com', 'GET', `/api/admin/audit-log?email=kim@example.com&before=${kim.entries[0].id}`)).body;
+  assert.deepStrictEqual(kimBefore.entries.map(entry => entry.id), [kim.entries[1].id]);
+  assert.deepStrictEqual((await api('root@example.com', 'GET', '/api/admin/audit-log?email=nobody@example.com')).body.entries, []);
+});
+
+run('Testing admin roles and the audit log', { after: () => server?.close() });
@@ -0,0 +1,136 @@
+/**
+ * Test sign-in
+ * Runs the server in-process (testing/server.js) on a SQLite database file seeded with an
+ * account from before passwords were hashed: scrypt hashing and checking, what the
+ * database stores for a password, logging in to the legacy account, refresh-token
+ * rotation (a reused token ends every session) and where ?access_token= is accepted.
+ *
+ *   node test-auth.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrateSqlite } = require('./services/schemaMigrations');
+const { isPasswordHash, hashPassword, hashPasswordSync, verifyPassword } = require('./services/passwordService');
+const { startTestServer } = require('./testing/server');
+const { test, run, quietly } = require('./testing/suite');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+const sqlitePath = path.join(dir, 'playlist-creator.db');
+let server;
+let db;
+
+// JSON request; resolves with { status, body }
+async function api(method, urlPath, { body, token } = {}) {
+  const response = await quietly(() => fetch(`${server.url}${urlPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body && JSON.stringify(body),
+  }));
+  const text = await response.text();
+  return { status: response.status, body: text.startsWith('{') ? JSON.parse(text) : text };
+}
+
+const login = (email, password) => api('POST', '/api/login', { body: { email, password } });
+const refresh = (refreshToken) => api('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+test('scrypt hashes are salted and check only the right password', async () => {
+  const hash = await hashPassword('hunter22');
+  assert.match(hash, /^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notStrictEqual(await hashPassword('hunter22'), hash);
+  assert.strictEqual(await verifyPassword('hunter22', hash), true);
+  assert.strictEqual(await verifyPassword('hunter23', hash), false);
+  assert.strictEqual(await verifyPassword('hunter22', hashPasswordSync('hunter22')), true);
+
+  // A plaintext value in users.password never matches, not even itself
+  assert.strictEqual(await verifyPassword('hunter22', 'hunter22'), false);
+  assert.strictEqual(await verifyPassword('', hash), false);
+});
+
+test('an account from before hashing signs in once the server has started', async () => {
+  // A database from before migration 003, with the password as it was typed
+  const legacy = new Database(sqlitePath);
+  quietly(() => migrateSqlite(legacy, { to: 2 }));
+  legacy.prepare("INSERT INTO users (email, password, platform, user_id, created_at) VALUES ('old@example.com', 'hunter22', 'spotify', 'old@example.com', '2023-05-01')").run();
+  legacy.prepare("INSERT INTO connected_platforms (email, spotify, apple) VALUES ('old@example.com', 0, 0)").run();
+  legacy.close();
+
+  server = await startTestServer({ sqlitePath });
+  db = require('./database');
+
+  assert.ok(isPasswordHash(db.getUser('old@example.com').password));
+  assert.strictEqual((await login('old@example.com', 'wrong-password')).status, 401);
+  const signedIn = await login('old@example.com', 'hunter22');
+  assert.strictEqual(signedIn.status, 200, JSON.stringify(signedIn.body));
+  assert.ok(signedIn.body.token && signedIn.body.refreshToken);
+});
+
+test('the database hashes every password it is given, and keeps a hash only when copying a row', async () => {
+  // Input that looks like a hash is still just a password
+  const lookalike = hashPasswordSync('secret');
+  db.createUser('sam@example.com', lookalike, 'spotify', 'sam@example.com');
+  const stored = db.getUser('sam@example.com').password;
+  assert.notStrictEqual(stored, lookalike);
+  assert.strictEqual(await verifyPassword(lookalike, stored), true);
+  assert.strictEqual((await login('sam@example.com', 'secret')).status, 401);
+
+  db.updatePassword('sam@example.com', lookalike);
+  assert.notStrictEqual(db.getUser('sam@example.com').password, lookalike);
+
+  // Writing a user back doesn't touch the password
+  const user = db.getUser('sam@example.com');
+  db.updateUser('sam@example.com', { ...user, password: 'overwritten', platform: 'apple' });
+  assert.deepStrictEqual([db.getUser('sam@example.com').password, db.getUser('sam@example.com').platform], [user.password, 'apple']);
+
+  // Copying a row keeps its hash; a plaintext one from before hashing is hashed
+  db.importUser('kim@example.com', user.password, 'spotify', 'kim@example.com');
+  assert.strictEqual(db.getUser('kim@example.com').password, user.password);
+  db.importUser('lee@example.com', 'plaintext', 'spotify', 'lee@example.com');
+  assert.strictEqual(await verifyPassword('plaintext', db.getUser('lee@example.com').password), true);
+});
+
+test('a refresh token is used once; reusing it ends every session for the account', async () => {
+  const signup = await api('POST', '/api/signup', { body: { email: 'ana@example.com', password: 'correct-horse', platform: 'spotify' } });
+  assert.strictEqual(signup.status, 200);
+  const otherDevice = await login('ana@example.com', 'correct-horse');
+
+  const rotated = await refresh(signup.body.refreshToken);
+  assert.strictEqual(rotated.status, 200);
+  assert.notStrictEqual(rotated.body.refreshToken, signup.body.refreshToken);
+  assert.strictEqual(rotated.body.email, 'ana@example.com');
+  const drafts = await api('GET', '/api/drafts/ana%40example.com', { token: rotated.body.token });
+  assert.strictEqual(drafts.status, 200);
+
+  // The old token again: refused, and the rotated one and the other device's are revoked
+  const reused = await refresh(signup.body.refreshToken);
+  assert.deepStrictEqual([reused.status, reused.body.error], [401, 'Session revoked']);
+  assert.strictEqual((await refresh(rotated.body.refreshToken)).status, 401);
+  assert.strictEqual((await refresh(otherDevice.body.refreshToken)).status, 401);
+
+  assert.strictEqual((await refresh('made-up')).body.code, 'INVALID_REFRESH_TOKEN');
+  assert.strictEqual((await refresh()).status, 400);
+});
+
+test('?access_token= signs in on the event stream and nowhere else', async () => {
+  const { body: session } = await login('ana@example.com', 'correct-horse');
+  const query = `userId=ana%40example.com&access_token=${session.token}`;
+
+  const stream = await api('GET', `/api/analyze-mix?youtubeUrl=not-a-video&${query}`);
+  assert.strictEqual(stream.status, 200);
+  assert.match(stream.body, /Invalid YouTube URL/);
+  assert.strictEqual((await api('GET', '/api/analyze-mix?youtubeUrl=not-a-video&userId=ana%40example.com')).status, 401);
+
+  assert.strictEqual((await api('GET', `/api/drafts/ana%40example.com?${query}`)).status, 401);
+  assert.strictEqual((await api('GET', '/api/drafts/ana%40example.com', { token: session.token })).status, 200);
+  assert.strictEqual((await api('GET', '/api/analyze-mix?youtubeUrl=x&userId=ana%40example.com&access_token=forged')).body.code, 'INVALID_TOKEN');
+});
+
+run('Testing sign-in', {
+  after: async () => {
+    await server?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  },
+});
@@ -0,0 +1,149 @@
+/**
+ * Test Route Authorization
+ * Walks every route registered in server.js and checks that one user cannot act on
+ * another user's account, playlists or drafts, and that admin routes need the admin role:
+ *   - no session token                         → 401
+ *   - user B's token, naming user A            → 403
+ *   - user B's token + own userId, A's playlist → 403 (playlist-scoped routes)
+ *
+ * Routes that are intentionally public go in PUBLIC_ROUTES. A new route that names a
+ * userId / email / playlist must either add an ownership check or be listed there.
+ *
+ * Runs the server in-process (testing/server.js) on an in-memory database and the fake
+ * music service, with two throwaway accounts:
+ *   node test-authorization.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { startTestServer } = require('./testing/server');
+const { test, run, quietly } = require('./testing/suite');
+
+let server;
+let owner;
+
+// Routes that don't act on a specific account (or authenticate some other way)
+const PUBLIC_ROUTES = new Set([
+  'POST /api/check-email',
+  'POST /api/auth/refresh',
+  'POST /api/auth/logout',
+  'POST /api/signup',
+  'POST /api/login',
+  'POST /api/forgot-password',
+  'GET /api/verify-reset-token/:token',
+  'POST /api/reset-password',
+  'POST /api/feedback',
+  // OAuth browser redirects — identity travels in the OAuth state
+  'GET /api/auth/spotify',
+  'GET /callback',
+  'GET /api/auth/apple',
+  'GET /api/auth/youtube',
+  'GET /youtube-callback',
+  'GET /api/apple-music/developer-token',
+  'GET /api/artist-images',
+  'GET /api/track-images',
+  'GET /api/trending',
+  'GET /api/health',
+  'GET /api/featured-artists',
+  'POST /api/log-error',
+  'GET /api/stripe/config',
+  // Verified by Stripe signature
+  'POST /api/stripe/webhook',
+]);
+
+// Playlist routes any signed-in user may call on someone else's (public) playlist
+const SHARED_PLAYLIST_ROUTES = new Set([
+  'GET /api/playlists/:playlistId/tracks',
+  'POST /api/playlists/:playlistId/react',
+  'DELETE /api/playlists/:playlistId/react',
+  'POST /api/playlists/:playlistId/save',
+  'DELETE /api/playlists/:playlistId/save',
+]);
+
+// Every app.<method>('<path>' registration in server.js, deduplicated
+function collectRoutes() {
+  const source = fs.readFileSync(path.join(__dirname, 'server.js'), 'utf8');
+  const routes = new Map();
+  for (const match of source.matchAll(/^app\.(get|post|put|delete|patch)\('([^']+)'/gm)) {
+    const method = match[1].toUpperCase();
+    routes.set(`${method} ${match[2]}`, { method, path: match[2] });
+  }
+  return [...routes.values()];
+}
+
+async function signup(email) {
+  const { data } = await quietly(() => axios.post(`${server.url}/api/signup`, { email, password: 'authz-test-password', platform: 'spotify' }));
+  return data.token;
+}
+
+// Send a request naming `userId` for every identity field and URL param
+function request({ method, path: routePath }, { token, userId, playlistId }) {
+  const url = routePath
+    .replace(/:(userId|email)\b/g, encodeURIComponent(userId))
+    .replace(/:(playlistId|draftId)\b/g, encodeURIComponent(playlistId))
+    .replace(/:\w+/g, 'authz-test');
+  const fields = { userId, email: userId, currentEmail: userId, playlistId, draftData: { draftId: playlistId } };
+
+  return quietly(() => axios({
+    method,
+    url: `${server.url}${url}`,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    params: fields,
+    data: method === 'GET' ? undefined : fields,
+    timeout: 15000,
+    maxRedirects: 0,
+    validateStatus: () => true,
+  }));
+}
+
+test('cross-user access is rejected on every protected route', async () => {
+  server = await startTestServer();
+  owner = { email: 'authz-owner@example.com' };
+  const other = 'authz-other@example.com';
+  owner.token = await signup(owner.email);
+  const otherToken = await signup(other);
+
+  // Give the owner a draft so playlist-scoped routes have something to protect
+  const { data: draft } = await quietly(() => axios.post(`${server.url}/api/drafts/${encodeURIComponent(owner.email)}`,
+    { draftData: { playlistName: 'Authz test draft', tracks: [] } },
+    { headers: { Authorization: `Bearer ${owner.token}` } }));
+  owner.playlistId = draft.draftId;
+
+  const failures = [];
+  const expect = (route, label, res, status) => {
+    if (res.status !== status) {
+      failures.push(`${route.method} ${route.path} — ${label}: expected ${status}, got ${res.status} ${JSON.stringify(res.data).slice(0, 120)}`);
+    }
+  };
+
+  const routes = collectRoutes();
+  const { playlistId } = owner;
+  let checked = 0;
+  for (const route of routes) {
+    const key = `${route.method} ${route.path}`;
+    if (PUBLIC_ROUTES.has(key)) continue;
+    checked++;
+
+    expect(route, 'anonymous', await request(route, { userId: owner.email, playlistId }), 401);
+    expect(route, 'other user naming owner', await request(route, { token: otherToken, userId: owner.email, playlistId }), 403);
+
+    if (/:(playlistId|draftId)\b/.test(route.path) && !SHARED_PLAYLIST_ROUTES.has(key)) {
+      expect(route, "other user on owner's playlist", await request(route, { token: otherToken, userId: other, playlistId }), 403);
+    }
+  }
+
+  console.log(`   Checked ${checked} protected routes (${routes.length - checked} public)`);
+  assert.ok(checked > 0);
+  assert.deepStrictEqual(failures, []);
+});
+
+test('the owner still gets through', async () => {
+  const own = await quietly(() => axios.get(`${server.url}/api/drafts/${encodeURIComponent(owner.email)}`,
+    { headers: { Authorization: `Bearer ${owner.token}` }, validateStatus: () => true }));
+  assert.strictEqual(own.status, 200);
+  assert.ok(own.data.drafts?.some(d => d.playlistId === owner.playlistId), JSON.stringify(own.data));
+});
+
+run('Testing route authorization', { after: () => server?.close() });
@@ -0,0 +1,129 @@
+/**
+ * Test the connection health check
+ * Runs checkConnections over the fake music service and over the Spotify, Apple Music and
+ * YouTube adapters against stubbed APIs, recording statuses in an in-memory store.
+ * No network, no database.
+ *
+ *   node test-connection-health.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { loadFakeMusicService } = require('./services/platforms/fake');
+const { checkConnections, describeConnection } = require('./services/connectionHealthService');
+const spotify = require('./services/platforms/spotify');
+const apple = require('./services/platforms/apple');
+const youtube = require('./services/platforms/youtube');
+const SpotifyWebApi = require('spotify-web-api-node');
+const AppleMusicService = require('./services/appleMusicService');
+const { test, run, quietly } = require('./testing/suite');
+
+const music = loadFakeMusicService(path.join(__dirname, 'fixtures', 'fake-music-catalog.json'));
+const fakeSpotify = { id: 'spotify', name: 'Spotify', uriPrefix: 'spotify:track:' };
+
+// Records setConnectionStatus calls like the database would
+const createStore = () => {
+  const statuses = {};
+  return { statuses, setConnectionStatus: async (platformUserId, status) => { statuses[platformUserId] = status; } };
+};
+
+const connection = (platform, adapter, tokens = {}) => ({ platform, platformUserId: `${platform}_sam`, tokens, adapter });
+
+test('a working connection is recorded as connected', async () => {
+  const store = createStore();
+  const results = await checkConnections([connection('spotify', music.createAdapter(fakeSpotify, { access_token: 'good-token' }))], store);
+
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].platform, 'spotify');
+  assert.strictEqual(results[0].status, 'connected');
+  assert.strictEqual(results[0].error, null);
+  assert.deepStrictEqual(store.statuses, { spotify_sam: 'connected' });
+});
+
+test('a revoked token is recorded as needs_reauth, and so fails every other call', async () => {
+  const store = createStore();
+  const adapter = music.createAdapter(fakeSpotify, { access_token: 'revoked-token' });
+  music.revokeToken('revoked-token');
+
+  const [result] = await checkConnections([connection('spotify', adapter)], store);
+  assert.strictEqual(result.status, 'needs_reauth');
+  assert.match(result.error, /Reconnect Spotify/);
+  assert.deepStrictEqual(store.statuses, { spotify_sam: 'needs_reauth' });
+  await assert.rejects(adapter.searchTracks('m83'), error => error.code === 'PLATFORM_RECONNECT_REQUIRED' && error.status === 401);
+});
+
+test('an outage keeps the stored status and reports the error', async () => {
+  const store = createStore();
+  const down = { platform: 'spotify', checkConnection: async () => { throw new Error('503 Service Unavailable'); } };
+  const stored = { connection_status: 'needs_reauth', connection_checked_at: '2026-10-17T00:00:00.000Z' };
+  const [result] = await checkConnections([connection('spotify', down, stored)], store);
+
+  assert.deepStrictEqual(result, { ...describeConnection('spotify', stored), error: '503 Service Unavailable' });
+  assert.strictEqual(result.status, 'needs_reauth');
+  assert.deepStrictEqual(store.statuses, {});
+});
+
+test('Spotify rejecting the access token needs a reconnect', async () => {
+  const originalGetMe = SpotifyWebApi.prototype.getMe;
+  let answer = { statusCode: 401, message: 'The access token expired' };
+  SpotifyWebApi.prototype.getMe = async () => {
+    if (answer) throw answer;
+    return { body: { id: 'sam', country: 'GB' } };
+  };
+  try {
+    const adapter = spotify.createAdapter({ access_token: 'user-token' });
+    const store = createStore();
+    assert.strictEqual((await checkConnections([connection('spotify', adapter)], store))[0].status, 'needs_reauth');
+
+    // Rate limiting says nothing about the token
+    answer = { statusCode: 429, message: 'Too many requests' };
+    const [limited] = await checkConnections([connection('spotify', adapter)], store);
+    assert.strictEqual(limited.error, 'Too many requests');
+    assert.strictEqual(store.statuses.spotify_sam, 'needs_reauth');
+
+    answer = null;
+    assert.strictEqual((await checkConnections([connection('spotify', adapter)], store))[0].status, 'connected');
+  } finally {
+    SpotifyWebApi.prototype.getMe = originalGetMe;
+  }
+});
+
+test('Apple Music answering 403 for the music user token needs a reconnect, a bad developer token doesn\'t', async () => {
+  const originalRequest = AppleMusicService.prototype.request;
+  let status = 403;
+  AppleMusicService.prototype.request = async (endpoint) => {
+    assert.strictEqual(endpoint, '/me/storefront');
+    throw { status, message: status === 403 ? 'Forbidden' : 'Unauthenticated' };
+  };
+  try {
+    const adapter = apple.createAdapter({ access_token: 'music-user-token' }, { developerToken: 'developer-token' });
+    const store = createStore();
+    assert.strictEqual((await checkConnections([connection('apple', adapter)], store))[0].status, 'needs_reauth');
+
+    status = 401;
+    const [result] = await checkConnections([connection('apple', adapter, { connection_status: 'connected' })], createStore());
+    assert.strictEqual(result.status, 'connected');
+    assert.strictEqual(result.error, 'Unauthenticated');
+  } finally {
+    AppleMusicService.prototype.request = originalRequest;
+  }
+});
+
+test('YouTube Music refusing the refresh token needs a reconnect', async () => {
+  const requests = [];
+  const http = async (config) => {
+    requests.push(config.url);
+    if (config.url.includes('/channels')) {
+      throw { response: { status: 401, data: { error: { message: 'Invalid Credentials' } } } };
+    }
+    throw { message: 'Request failed with status code 400', response: { status: 400, data: { error: 'invalid_grant' } } };
+  };
+  const adapter = youtube.createAdapter({ access_token: 'stale-token', refresh_token: 'revoked-refresh' }, { http });
+  const [result] = await quietly(() => checkConnections([connection('youtube', adapter)], createStore()));
+
+  assert.strictEqual(result.status, 'needs_reauth');
+  assert.match(result.error, /Reconnect YouTube Music/);
+  assert.strictEqual(requests.length, 2);
+});
+
+run('Testing connection health checks');
@@ -0,0 +1,159 @@
+/**
+ * Test streaming generation progress
+ * Runs the server in-process (testing/server.js) with the fixture LLM provider
+ * (fixtures/llm-replay.json), the fake music service and a stubbed SoundCharts, and
+ * reads POST /api/generate-playlist/stream: stage events in pipeline order, partial track
+ * lists, the result as the closing `done` event, errors as an `error` event, and a
+ * generation that stops once the client hangs up.
+ *
+ *   node test-generation-stream.js
+ */
+
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LLM_FIXTURES = require('path').join(__dirname, 'fixtures', 'llm-replay.json');
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { startTestServer } = require('./testing/server');
+const { stubSoundCharts } = require('./testing/soundcharts');
+const { test, run, quietly } = require('./testing/suite');
+
+const { catalog } = require('./fixtures/fake-music-catalog.json');
+const pool = catalog.slice(0, 12);
+const email = 'sam@example.com';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-stream-test-'));
+const sqlitePath = path.join(dir, 'playlist-creator.db');
+let server;
+let session;
+let soundcharts;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function startStream(body, { token = session, signal } = {}) {
+  return quietly(() => fetch(`${server.url}/api/generate-playlist/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+    body: JSON.stringify({ userId: email, platform: 'apple', ...body }),
+    signal,
+  }));
+}
+
+// Read `data: {...}` frames until the stream ends, or `stopWhen(event)` says to stop
+async function readEvents(response, stopWhen = () => false) {
+  const events = [];
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of response.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffered.indexOf('\n\n')) !== -1) {
+      const frame = buffered.slice(0, boundary);
+      buffered = buffered.slice(boundary + 2);
+      if (!frame.startsWith('data: ')) continue;
+      const event = JSON.parse(frame.slice('data: '.length));
+      events.push(event);
+      if (stopWhen(event)) return events;
+    }
+  }
+  return events;
+}
+
+// generation_usage rows, read through a second connection to the server's database file
+function storedGenerations() {
+  const reader = new Database(sqlitePath, { readonly: true });
+  try {
+    return reader.prepare('SELECT status, llm_calls FROM generation_usage ORDER BY started_at').all();
+  } finally {
+    reader.close();
+  }
+}
+
+test('a generation streams its stages, partial tracks and then the result', async () => {
+  soundcharts = stubSoundCharts(pool);
+  server = await startTestServer({ sqlitePath });
+  const db = require('./database');
+  const signup = await quietly(() => fetch(`${server.url}/api/signup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password: 'stream-test-password', platform: 'apple' }),
+  }).then(response => response.json()));
+  session = signup.token;
+  db.setConnectedPlatform(email, 'apple', true);
+  db.setPlatformUserId(email, 'apple', 'apple_music_sam');
+  db.setToken('apple_music_sam', { access_token: 'fake', platform: 'apple', email, storefront: 'gb' });
+  // Paid, so the free weekly limit doesn't refuse the later generations
+  db.updateSubscription(email, { subscriptionId: null, status: 'active', endsAt: null, plan: 'paid' });
+
+  const response = await startStream({ prompt: 'sunny 2010s pop', songCount: 8 });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const events = await quietly(() => readEvents(response));
+
+  const stages = events.filter(event => event.type === 'stage');
+  const order = ['genre', 'soundcharts', 'curation', 'matching'];
+  assert.deepStrictEqual([...new Set(stages.map(event => event.stage))].filter(stage => order.includes(stage)), order);
+  assert.strictEqual(stages.find(event => event.stage === 'soundcharts').poolSize, pool.length);
+  assert.ok(stages.every(event => typeof event.message === 'string' && event.message), JSON.stringify(stages));
+
+  // Partial lists come before the result, as summaries of tracks from the pool
+  const offered = new Set(pool.map(track => `apple:track:${track.id}`));
+  const partial = events.filter(event => event.type === 'tracks');
+  assert.ok(partial.length > 0);
+  for (const { tracks } of partial) {
+    assert.ok(tracks.every(track => offered.has(track.uri)), JSON.stringify(tracks.map(track => track.uri)));
+    assert.deepStrictEqual(Object.keys(tracks[0]).sort(), ['album', 'artist', 'externalUrl', 'id', 'image', 'name', 'uri']);
+  }
+
+  // The closing event carries what the JSON route returns
+  const done = events[events.length - 1];
+  assert.strictEqual(done.type, 'done');
+  assert.strictEqual(events.filter(event => event.type === 'done').length, 1);
+  assert.strictEqual(done.playlistName, 'Summer Throwback');
+  assert.strictEqual(done.trackCount, 8);
+  assert.ok(done.tracks.every(track => offered.has(track.uri)));
+});
+
+test('errors arrive as an error event, and a guest gets no stream', async () => {
+  const response = await startStream({ songCount: 8 });
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  assert.deepStrictEqual(await readEvents(response), [{ type: 'error', status: 400, error: 'Prompt is required' }]);
+
+  const guest = await startStream({ prompt: 'sunny 2010s pop' }, { token: null });
+  assert.strictEqual(guest.status, 401);
+  assert.strictEqual((await guest.json()).code, 'AUTH_REQUIRED');
+});
+
+test('hanging up stops the generation at the next stage', async () => {
+  const before = storedGenerations().length;
+  const callsBefore = soundcharts.calls.length;
+  const controller = new AbortController();
+  // A new prompt: the same one again within 30 seconds is refused as a duplicate
+  const response = await startStream({ prompt: 'summer songs from 2012', songCount: 8 }, { signal: controller.signal });
+  const events = await readEvents(response, event => event.stage === 'genre');
+  controller.abort();
+  assert.deepStrictEqual(events.map(event => event.stage), ['genre'], JSON.stringify(events));
+
+  // The run is stored as cancelled once it notices: the genre extraction was its only model call
+  let generations = storedGenerations();
+  await quietly(async () => {
+    for (let i = 0; i < 100 && generations.length === before; i++) {
+      await sleep(50);
+      generations = storedGenerations();
+    }
+  });
+  assert.strictEqual(generations.length, before + 1);
+  const cancelled = generations[generations.length - 1];
+  assert.deepStrictEqual(cancelled, { status: 'cancelled', llm_calls: 1 });
+  assert.ok(soundcharts.calls.length - callsBefore <= 1, JSON.stringify(soundcharts.calls.slice(callsBefore)));
+});
+
+run('Testing streaming generation progress', {
+  after: async () => {
+    soundcharts?.restore();
+    await server?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  },
+});
@@ -0,0 +1,232 @@
+/**
+ * Test the LLM service
+ * services/llmService.js: which provider and model a task runs on, the Anthropic and
+ * Gemini providers against stubbed clients (no API calls), falling back to another
+ * provider when one throws, and fixture replay — then a whole generation through
+ * POST /api/generate-playlist on the server in-process (testing/server.js), answered by
+ * fixtures/llm-replay.json, the fake music service and a stubbed SoundCharts.
+ *
+ *   node test-llm.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const usage = require('./services/usageService');
+const {
+  TASKS,
+  loadTaskConfig,
+  createAnthropicProvider,
+  createGeminiProvider,
+  createFixtureProvider,
+  loadFixtureProvider,
+  createLlmService,
+} = require('./services/llmService');
+const { startTestServer } = require('./testing/server');
+const { stubSoundCharts } = require('./testing/soundcharts');
+const { test, run, quietly } = require('./testing/suite');
+
+const REPLAY_FIXTURES = path.join(__dirname, 'fixtures', 'llm-replay.json');
+let server;
+
+// Provider that answers `text`, or throws `error`, and records what it was asked
+function stubProvider(name, { text = `from ${name}`, error = null } = {}) {
+  const calls = [];
+  return {
+    name,
+    models: { fast: `${name}-fast`, smart: `${name}-smart` },
+    calls,
+    async complete(request) {
+      calls.push(request);
+      if (error) throw error;
+      return { text, usage: { inputTokens: 10, outputTokens: 5 } };
+    },
+  };
+}
+
+test('tasks run on their pinned model, or the provider’s model for their tier', () => {
+  const defaults = loadTaskConfig({ defaultProvider: 'anthropic', defaultFallback: null, overridesJson: '' });
+  assert.deepStrictEqual(defaults.curation, { provider: 'anthropic', model: 'claude-sonnet-4-6', fallback: null });
+  assert.deepStrictEqual(Object.keys(defaults), Object.keys(TASKS));
+
+  const config = loadTaskConfig({
+    defaultProvider: 'gemini',
+    defaultFallback: 'anthropic',
+    overridesJson: JSON.stringify({
+      curation: { provider: 'anthropic', model: 'claude-haiku-4-5-20251001' },
+      vibeCheck: { fallback: 'fixture' },
+    }),
+  });
+  assert.deepStrictEqual(config.genreExtraction, { provider: 'gemini', model: null, fallback: 'anthropic' });
+  // A task isn't its own fallback
+  assert.deepStrictEqual(config.curation, { provider: 'anthropic', model: 'claude-haiku-4-5-20251001', fallback: null });
+  assert.strictEqual(config.vibeCheck.fallback, 'fixture');
+
+  const llm = createLlmService({
+    providers: { gemini: createFixtureProvider(), anthropic: stubProvider('anthropic') },
+    config,
+  });
+  assert.strictEqual(llm.routeFor('genreExtraction').model, 'fixture');
+  assert.strictEqual(llm.routeFor('genreExtraction').fallback.model, 'claude-sonnet-4-20250514');
+  // The fixture provider isn't configured, so vibeCheck has nothing to fall back to
+  assert.strictEqual(llm.routeFor('vibeCheck').fallback, null);
+  assert.throws(() => llm.routeFor('poetry'), /Unknown LLM task: poetry/);
+
+  const unconfigured = createLlmService({ providers: {}, config: defaults });
+  assert.throws(() => unconfigured.routeFor('curation'), /LLM provider "anthropic" is not configured/);
+
+  // Bad LLM_TASKS JSON is ignored rather than taking the server down
+  const ignored = quietly(() => loadTaskConfig({ defaultProvider: 'anthropic', overridesJson: '{curation' }));
+  assert.strictEqual(ignored.curation.model, 'claude-sonnet-4-6');
+});
+
+test('the Anthropic provider counts cached input tokens and flags overload', async () => {
+  const requests = [];
+  let failWith = null;
+  const provider = createAnthropicProvider({
+    messages: {
+      create: async (request) => {
+        requests.push(request);
+        if (failWith) throw failWith;
+        return {
+          content: [{ type: 'text', text: '{"ok": true}' }],
+          usage: { input_tokens: 100, cache_creation_input_tokens: 20, cache_read_input_tokens: 5, output_tokens: 7 },
+        };
+      },
+    },
+  });
+
+  const result = await provider.complete({ model: 'claude-sonnet-4-6', prompt: 'hi', system: 'be brief', maxTokens: 50, temperature: 0 });
+  assert.deepStrictEqual(result, { text: '{"ok": true}', usage: { inputTokens: 125, outputTokens: 7 } });
+  assert.deepStrictEqual(requests[0], {
+    model: 'claude-sonnet-4-6',
+    max_tokens: 50,
+    temperature: 0,
+    system: 'be brief',
+    messages: [{ role: 'user', content: 'hi' }],
+  });
+
+  failWith = Object.assign(new Error('Overloaded'), { status: 529 });
+  await assert.rejects(provider.complete({ model: 'claude-sonnet-4-6', prompt: 'hi', maxTokens: 50 }), error => error.code === 'LLM_OVERLOADED');
+  failWith = Object.assign(new Error('Bad request'), { status: 400 });
+  await assert.rejects(provider.complete({ model: 'claude-sonnet-4-6', prompt: 'hi', maxTokens: 50 }), error => error.status === 400 && !error.code);
+});
+
+test('the Gemini provider reads text and token counts, and flags overload', async () => {
+  const realFetch = globalThis.fetch;
+  const requests = [];
+  let status = 200;
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, body: JSON.parse(options.body) });
+    const body = status === 200
+      ? { candidates: [{ content: { parts: [{ text: 'gemini says hi' }] } }], usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 6 } }
+      : { error: { message: 'The model is overloaded' } };
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  };
+  try {
+    const provider = createGeminiProvider('test-key');
+    const result = await provider.complete({ model: 'gemini-2.5-flash', prompt: 'hi', system: 'be brief', maxTokens: 50, temperature: 0.2 });
+    assert.deepStrictEqual(result, { text: 'gemini says hi', usage: { inputTokens: 40, outputTokens: 6 } });
+    assert.match(requests[0].url, /models\/gemini-2\.5-flash:generateContent/);
+    assert.deepStrictEqual(requests[0].body.generationConfig, { maxOutputTokens: 50, temperature: 0.2 });
+    assert.deepStrictEqual(requests[0].body.contents, [{ role: 'user', parts: [{ text: 'hi' }] }]);
+
+    status = 503;
+    await assert.rejects(provider.complete({ model: 'gemini-2.5-flash', prompt: 'hi', maxTokens: 50 }), error => error.code === 'LLM_OVERLOADED');
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+test('a task whose provider throws is retried once on its fallback, and metered there', async () => {
+  const config = loadTaskConfig({ defaultProvider: 'gemini', defaultFallback: 'anthropic', overridesJson: '' });
+  const gemini = stubProvider('gemini', { error: Object.assign(new Error('The model is overloaded'), { code: 'LLM_OVERLOADED' }) });
+  const anthropic = stubProvider('anthropic');
+  const llm = createLlmService({ providers: { gemini, anthropic }, config });
+
+  const meter = usage.createMeter({ generationId: 'gen-llm', trigger: 'user' });
+  const result = await usage.runWithMeter(meter, () => quietly(() => llm.complete('curation', { prompt: 'pick', maxTokens: 100 })));
+  assert.deepStrictEqual(result, { text: 'from anthropic', model: 'claude-sonnet-4-6', provider: 'anthropic' });
+  // The same request, on the fallback's model for the task
+  assert.deepStrictEqual(anthropic.calls, [{ ...gemini.calls[0], model: 'claude-sonnet-4-6' }]);
+  assert.strictEqual(gemini.calls[0].model, 'gemini-smart');
+  assert.deepStrictEqual(meter.modelCalls.map(call => call.model), ['claude-sonnet-4-6']);
+
+  // Both failing: the fallback's error is what the caller sees
+  const downToo = stubProvider('anthropic', { error: new Error('Anthropic is down') });
+  const failing = createLlmService({ providers: { gemini, anthropic: downToo }, config });
+  await assert.rejects(quietly(() => failing.complete('curation', { prompt: 'pick', maxTokens: 100 })), /Anthropic is down/);
+
+  // Without a fallback the provider's own error comes straight back
+  const alone = createLlmService({ providers: { gemini }, config });
+  await assert.rejects(alone.complete('curation', { prompt: 'pick', maxTokens: 100 }), error => error.code === 'LLM_OVERLOADED');
+  assert.strictEqual(gemini.calls.length, 3);
+});
+
+test('fixture replay answers per task in order, and from one queue when given an array', async () => {
+  const perTask = createFixtureProvider({ responses: { curation: ['[1, 2]', [3]], vibeCheck: [{ keepIndices: [1] }] } });
+  const llm = createLlmService({
+    providers: { fixture: perTask },
+    config: loadTaskConfig({ defaultProvider: 'fixture', defaultFallback: null, overridesJson: '' }),
+  });
+  assert.deepStrictEqual(await llm.complete('curation', { prompt: 'a', maxTokens: 10 }), { text: '[1, 2]', model: 'fixture', provider: 'fixture' });
+  assert.strictEqual((await llm.complete('vibeCheck', { prompt: 'b', maxTokens: 10 })).text, '{"keepIndices":[1]}');
+  assert.strictEqual((await llm.complete('curation', { prompt: 'c', maxTokens: 10 })).text, '[3]');
+  await assert.rejects(llm.complete('curation', { prompt: 'd', maxTokens: 10 }), /No fixture response left for LLM task curation/);
+  assert.deepStrictEqual(perTask.calls.map(call => [call.task, call.prompt]), [['curation', 'a'], ['vibeCheck', 'b'], ['curation', 'c'], ['curation', 'd']]);
+
+  const inOrder = createFixtureProvider({ responses: ['first', 'second'], cycle: true });
+  const texts = [];
+  for (const task of ['curation', 'playlistNaming', 'vibeCheck']) texts.push((await inOrder.complete({ task })).text);
+  assert.deepStrictEqual(texts, ['first', 'second', 'first']);
+
+  // The replay file the server runs offline with has an answer for every task
+  const replay = loadFixtureProvider(REPLAY_FIXTURES);
+  for (const task of Object.keys(TASKS)) {
+    assert.ok((await replay.complete({ task })).text, task);
+  }
+  await assert.rejects(createFixtureProvider().complete({ task: 'curation' }), /No fixture response left/);
+});
+
+test('a generation runs end to end on the replayed answers', async () => {
+  process.env.LLM_PROVIDER = 'fixture';
+  process.env.LLM_FIXTURES = REPLAY_FIXTURES;
+  // SoundCharts' top songs are the first tracks of the fake catalog; nothing else is found
+  const { catalog } = require('./fixtures/fake-music-catalog.json');
+  stubSoundCharts(catalog.slice(0, 12));
+
+  server = await startTestServer();
+  const db = require('./database');
+  const signup = await quietly(() => fetch(`${server.url}/api/signup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'sam@example.com', password: 'llm-test-password', platform: 'apple' }),
+  }).then(response => response.json()));
+  db.setConnectedPlatform('sam@example.com', 'apple', true);
+  db.setPlatformUserId('sam@example.com', 'apple', 'apple_music_sam');
+  db.setToken('apple_music_sam', { access_token: 'fake', platform: 'apple', email: 'sam@example.com', storefront: 'gb' });
+
+  const response = await quietly(() => fetch(`${server.url}/api/generate-playlist`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${signup.token}` },
+    body: JSON.stringify({ prompt: 'sunny 2010s pop', userId: 'sam@example.com', platform: 'apple', songCount: 8 }),
+  }));
+  const playlist = await response.json();
+  assert.strictEqual(response.status, 200, JSON.stringify(playlist));
+  assert.deepStrictEqual([playlist.playlistName, playlist.description], ['Summer Throwback', 'Sunny pop from the early 2010s.']);
+  assert.strictEqual(playlist.tracks.length, 8);
+  const offered = new Set(catalog.slice(0, 12).map(track => `apple:track:${track.id}`));
+  assert.ok(playlist.tracks.every(track => offered.has(track.uri)), JSON.stringify(playlist.tracks.map(track => track.uri)));
+
+  // Metered like any generation, every model call on the fixture provider
+  let report = [];
+  for (let i = 0; i < 50 && report.length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    report = db.getUsageReport({ groupBy: 'promptType', since: new Date(Date.now() - 60000) });
+  }
+  assert.strictEqual(report.length, 1);
+  assert.strictEqual(report[0].completed, 1);
+  assert.ok(report[0].llmCalls >= 2, String(report[0].llmCalls));
+  assert.strictEqual(report[0].costUsd, 0);
+});
+
+run('Testing the LLM service', { after: () => server?.close() });
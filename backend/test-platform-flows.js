@@ -0,0 +1,138 @@
+/**
+ * Test playlist flows against the fake music service
+ * Runs import, auto-update (replace with locked tracks, append), publishing a generated
+ * playlist, cross-platform transfer and deletion through the platform adapter contract,
+ * with every platform served by the in-memory fake (services/platforms/fake.js) seeded
+ * from fixtures/fake-music-catalog.json. No network, no tokens.
+ *
+ *   node test-platform-flows.js
+ *
+ * The server runs on the same fake with PLATFORM_ADAPTER=fake
+ * PLATFORM_FIXTURES=fixtures/fake-music-catalog.json.
+ */
+
+const assert = require('assert');
+const path = require('path');
+const platforms = require('./services/platforms');
+const { loadFakeMusicService } = require('./services/platforms/fake');
+const PlatformService = require('./services/platformService');
+const playlistSync = require('./services/playlistSyncService');
+const { createAdapterCatalog, matchTracks } = require('./services/playlistTransferService');
+const { test, run } = require('./testing/suite');
+
+const music = platforms.useFakeMusicService(loadFakeMusicService(path.join(__dirname, 'fixtures', 'fake-music-catalog.json')));
+const refreshedTokens = [];
+const platformService = new PlatformService({ onTokenRefresh: (userId, accessToken) => refreshedTokens.push([userId, accessToken]) });
+const tokens = { access_token: 'unused', refresh_token: 'unused' };
+const spotify = platformService.getAdapter('spotify_tester', tokens);
+const apple = platformService.getAdapter('apple_music_tester', tokens);
+
+const libraryUris = (playlistId) => music.getLibraryPlaylist(playlistId).trackIds;
+
+let imported;
+
+test('registry hands out fake adapters bound to each platform', async () => {
+  const youtube = platforms.createAdapter('youtube', tokens);
+  const [track] = await youtube.searchTracks('Midnight City', { limit: 1 });
+
+  assert.strictEqual(youtube.platform, 'youtube');
+  assert.strictEqual(track.uri, 'youtube:track:fk0001');
+  assert.strictEqual((await apple.lookupByIsrc('FR6V81100010')).uri, 'apple:track:fk0001');
+  assert.strictEqual(await spotify.lookupByIsrc('XX0000000000'), null);
+});
+
+test('import stores the library playlist with flat tracks', async () => {
+  imported = await playlistSync.importPlaylist(spotify, 'fake-playlist-1');
+
+  assert.strictEqual(imported.playlistName, 'Night Drive');
+  assert.strictEqual(imported.platform, 'spotify');
+  assert.strictEqual(imported.imported, true);
+  assert.strictEqual(imported.spotifyUrl, 'https://fake.music/spotify/playlist/fake-playlist-1');
+  assert.deepStrictEqual(imported.trackUris, ['spotify:track:fk0001', 'spotify:track:fk0002', 'spotify:track:fk0003', 'spotify:track:fk0010']);
+  assert.deepStrictEqual(imported.tracks[2], {
+    id: 'fk0003',
+    name: 'Instant Crush',
+    artist: 'Daft Punk',
+    uri: 'spotify:track:fk0003',
+    album: 'Random Access Memories',
+    image: null,
+    externalUrl: 'https://fake.music/spotify/track/fk0003',
+    explicit: false,
+  });
+});
+
+test('auto-update replace keeps locked tracks first', async () => {
+  const playlist = { ...imported, lockedTracks: ['fk0002'] };
+  const { keptUris } = await playlistSync.pushTracks(spotify, playlist, ['spotify:track:fk0006', 'spotify:track:fk0002', 'spotify:track:fk0007'], { mode: 'replace' });
+
+  assert.deepStrictEqual(keptUris, ['spotify:track:fk0002']);
+  assert.deepStrictEqual(libraryUris('fake-playlist-1'), ['fk0002', 'fk0006', 'fk0007']);
+});
+
+test('auto-update replace without locked tracks skips reading the playlist', async () => {
+  const reads = music.calls.filter(call => call.method === 'getPlaylistTracks').length;
+  await playlistSync.pushTracks(spotify, { ...imported, lockedTracks: [] }, ['spotify:track:fk0008'], { mode: 'replace' });
+
+  assert.strictEqual(music.calls.filter(call => call.method === 'getPlaylistTracks').length, reads);
+  assert.deepStrictEqual(libraryUris('fake-playlist-1'), ['fk0008']);
+});
+
+test('auto-update append adds after the current tracks', async () => {
+  await playlistSync.pushTracks(spotify, imported, ['spotify:track:fk0005', 'spotify:track:fk0006']);
+
+  assert.deepStrictEqual(libraryUris('fake-playlist-1'), ['fk0008', 'fk0005', 'fk0006']);
+});
+
+test('a generated playlist publishes and reads back', async () => {
+  const generated = await platformService.searchTracks('spotify_tester', 'artist:Tame Impala', tokens);
+  const created = await platformService.createPlaylist('spotify_tester', 'Psych Evenings', 'Generated', generated.map(track => track.uri), tokens, false);
+  const readBack = await platformService.getPlaylist('spotify_tester', created.id, tokens);
+
+  assert.strictEqual(created.trackCount, 2);
+  assert.strictEqual(music.getLibraryPlaylist(created.id).isPublic, false);
+  assert.deepStrictEqual(readBack.tracks.map(track => track.name), ['Breathe Deeper', 'The Less I Know the Better']);
+  assert.ok((await spotify.getPlaylists()).some(playlist => playlist.id === created.id));
+});
+
+test('unknown track URIs are rejected like a platform would', async () => {
+  await assert.rejects(spotify.addTracksToPlaylist('fake-playlist-1', ['apple:track:fk0001']), error => error.status === 400);
+  await assert.rejects(apple.getPlaylist('fake-playlist-1'), error => error.status === 404);
+});
+
+test('transfer matches by ISRC and suggests near misses', async () => {
+  const source = [
+    ...await spotify.getPlaylistTracks('fake-playlist-1'),
+    { uri: 'spotify:track:elsewhere', name: 'Dreams', artists: [{ name: 'Alvvays' }], isrc: null },
+  ];
+  const { matched, unmatched } = await matchTracks(source, createAdapterCatalog(apple));
+
+  assert.deepStrictEqual(matched.map(m => [m.target.uri, m.matchedBy]), [
+    ['apple:track:fk0008', 'isrc'],
+    ['apple:track:fk0005', 'isrc'],
+    ['apple:track:fk0006', 'isrc'],
+  ]);
+  assert.strictEqual(unmatched.length, 1);
+  assert.deepStrictEqual(unmatched[0].candidates.map(c => c.name), ['Dreams Tonite']);
+});
+
+test('top artists come from the seeded ranking', async () => {
+  const artists = await platformService.getTopArtists('spotify_tester', tokens, 3);
+
+  assert.deepStrictEqual(artists.map(artist => artist.name), ['Tame Impala', 'M83', 'Kavinsky']);
+  assert.deepStrictEqual(artists[0].genres, ['psychedelic rock', 'neo-psychedelia']);
+});
+
+test('delete removes the playlist from the library', async () => {
+  await platformService.deletePlaylist('apple_music_tester', 'fake-playlist-2', tokens);
+
+  assert.strictEqual(music.getLibraryPlaylist('fake-playlist-2'), null);
+  assert.deepStrictEqual(await apple.getPlaylists(), []);
+});
+
+test('no token was refreshed, and the fake switches off', async () => {
+  assert.deepStrictEqual(refreshedTokens, []);
+  platforms.useFakeMusicService(null);
+  assert.strictEqual(platforms.getFakeMusicService(), null);
+});
+
+run('Testing playlist flows against the fake music service');
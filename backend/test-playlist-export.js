@@ -0,0 +1,127 @@
+/**
+ * Test exporting playlists to JSON, M3U8, XSPF and CSV
+ * Builds the export document from a stored record (mirror URIs, exclusions, reactions)
+ * and checks every file format reads back through the import parsers. No network.
+ *
+ *   node test-playlist-export.js
+ */
+
+const assert = require('assert');
+const { buildPlaylistDocument, renderExport } = require('./services/playlistExportService');
+const { parsePlaylistFile } = require('./services/playlistImportService');
+const { test, run } = require('./testing/suite');
+
+const playlist = {
+  playlistId: 'sp-1',
+  playlistName: 'Night Drive: "Vol/1"',
+  description: 'Synths & late roads',
+  platform: 'spotify',
+  spotifyUrl: 'https://open.spotify.com/playlist/sp-1',
+  originalPrompt: 'synthwave for driving at night',
+  refinementInstructions: ['more french artists'],
+  chatMessages: [{ role: 'user', content: 'synthwave for driving at night' }],
+  excludedSongs: [{ id: 'fk0009', name: 'Ocean Eyes' }],
+  likedSongs: [{ id: 'fk0002', name: 'Nightcall', artist: 'Kavinsky' }],
+  dislikedSongs: [{ id: 'fk0005', name: 'Redbone', artist: 'Childish Gambino' }],
+  mirror: {
+    platform: 'apple',
+    playlistId: 'p.apple',
+    url: null,
+    matches: { 'spotify:track:fk0001': { target: { uri: 'apple:track:fk0001' }, matchedBy: 'isrc' } },
+  },
+};
+
+const tracks = [
+  { id: 'fk0001', name: 'Midnight City', uri: 'spotify:track:fk0001', artists: [{ name: 'M83' }], album: { name: "Hurry Up, We're Dreaming" }, isrc: 'FR6V81100010', duration_ms: 243000, url: 'https://open.spotify.com/track/fk0001' },
+  { id: 'fk0002', name: 'Nightcall', uri: 'spotify:track:fk0002', artists: [{ name: 'Kavinsky' }], album: { name: 'OutRun' }, isrc: 'FR0W61000020', duration_ms: 258000 },
+  { id: 'fk0005', name: 'Redbone', uri: 'spotify:track:fk0005', artists: [{ name: 'Childish Gambino' }], album: { name: 'Awaken' } },
+  { id: 'fk0009', name: 'Ocean Eyes', uri: 'spotify:track:fk0009', artists: [{ name: 'Billie Eilish' }], album: { name: 'dont smile at me' } },
+  // Stored (flat) tracks export too
+  { id: 'fk0003', name: 'Instant Crush', uri: 'spotify:track:fk0003', artist: 'Daft Punk', album: 'Random Access Memories', externalUrl: null },
+];
+
+const document = buildPlaylistDocument(playlist, tracks, {
+  reactions: { thumbsUp: ['a', 'b'], thumbsDown: [] },
+  now: new Date('2026-10-18T12:00:00Z'),
+});
+
+test('the JSON document carries tracks, URIs per platform, prompt, refinements and reactions', () => {
+  const parsed = JSON.parse(renderExport(document, 'json').body);
+
+  assert.strictEqual(parsed.version, 1);
+  assert.strictEqual(parsed.exportedAt, '2026-10-18T12:00:00.000Z');
+  assert.strictEqual(parsed.prompt, 'synthwave for driving at night');
+  assert.deepStrictEqual(parsed.refinements, ['more french artists']);
+  assert.deepStrictEqual(parsed.excludedSongs, [{ id: 'fk0009', name: 'Ocean Eyes' }]);
+  assert.deepStrictEqual(parsed.reactions.playlist, { thumbsUp: 2, thumbsDown: 0 });
+  assert.strictEqual(parsed.reactions.disliked[0].id, 'fk0005');
+  assert.deepStrictEqual(parsed.playlist.mirror, { platform: 'apple', playlistId: 'p.apple', url: null });
+
+  // Excluded and disliked songs are left out of the track list
+  assert.deepStrictEqual(parsed.tracks.map(track => track.name), ['Midnight City', 'Nightcall', 'Instant Crush']);
+  assert.deepStrictEqual(parsed.tracks[0].uris, { spotify: 'spotify:track:fk0001', apple: 'apple:track:fk0001' });
+  assert.strictEqual(parsed.tracks[1].reaction, 'thumbsUp');
+  assert.deepStrictEqual(parsed.tracks[2], {
+    position: 3,
+    name: 'Instant Crush',
+    artists: ['Daft Punk'],
+    album: 'Random Access Memories',
+    isrc: null,
+    durationMs: null,
+    explicit: false,
+    uris: { spotify: 'spotify:track:fk0003' },
+    url: null,
+    reaction: null,
+  });
+});
+
+test('file names drop characters file systems refuse', () => {
+  const { filename, contentType } = renderExport(document, 'csv');
+  assert.strictEqual(filename, 'Night Drive Vol 1.csv');
+  assert.ok(contentType.startsWith('text/csv'));
+});
+
+test('M3U8 lists #EXTINF entries that import back', () => {
+  const { body } = renderExport(document, 'm3u8');
+  assert.ok(body.startsWith('#EXTM3U\n#PLAYLIST:Night Drive: "Vol/1"\n#EXTINF:243,M83 - Midnight City\nhttps://open.spotify.com/track/fk0001\n'));
+
+  const reimported = parsePlaylistFile('export.m3u8', body);
+  assert.strictEqual(reimported.name, 'Night Drive: "Vol/1"');
+  assert.deepStrictEqual(reimported.tracks.map(track => [track.name, track.artists[0].name]), [
+    ['Midnight City', 'M83'],
+    ['Nightcall', 'Kavinsky'],
+    ['Instant Crush', 'Daft Punk'],
+  ]);
+});
+
+test('XSPF escapes text and keeps ISRCs through a re-import', () => {
+  const { body } = renderExport(document, 'xspf');
+  assert.ok(body.includes('<title>Night Drive: &quot;Vol/1&quot;</title>'));
+  assert.ok(body.includes('<annotation>Synths &amp; late roads</annotation>'));
+  assert.ok(body.includes('<identifier>apple:track:fk0001</identifier>'));
+
+  const reimported = parsePlaylistFile('export.xspf', body);
+  assert.strictEqual(reimported.name, 'Night Drive: "Vol/1"');
+  assert.deepStrictEqual(reimported.tracks.map(track => track.isrc), ['FR6V81100010', 'FR0W61000020', null]);
+  assert.strictEqual(reimported.tracks[0].album.name, "Hurry Up, We're Dreaming");
+});
+
+test('CSV has a URI column per platform and re-imports by ISRC', () => {
+  const { body } = renderExport(document, 'csv', { platformName: (id) => ({ spotify: 'Spotify', apple: 'Apple Music' }[id]) });
+  const [header, first] = body.split('\r\n');
+  assert.strictEqual(header, 'Title,Artist,Album,ISRC,Duration (ms),Spotify URI,Apple Music URI,URL');
+  assert.strictEqual(first, 'Midnight City,M83,"Hurry Up, We\'re Dreaming",FR6V81100010,243000,spotify:track:fk0001,apple:track:fk0001,https://open.spotify.com/track/fk0001');
+
+  const reimported = parsePlaylistFile('export.csv', body);
+  assert.deepStrictEqual(reimported.tracks.map(track => [track.name, track.isrc, track.duration_ms]), [
+    ['Midnight City', 'FR6V81100010', 243000],
+    ['Nightcall', 'FR0W61000020', 258000],
+    ['Instant Crush', null, null],
+  ]);
+});
+
+test('unknown formats are refused', () => {
+  assert.throws(() => renderExport(document, 'pdf'), error => error.status === 400);
+});
+
+run('Testing playlist export');
@@ -0,0 +1,122 @@
+/**
+ * Test playlist run history
+ * Runs the server in-process (testing/server.js) on an in-memory database and the fake
+ * music service: a manual refresh through POST /api/playlists/:playlistId/update records
+ * a run from the stored tracks and the URIs actually pushed, GET .../history lists it,
+ * and POST .../history/:runId/restore puts the tracks back on the platform.
+ *
+ *   node test-playlist-history.js
+ */
+
+const assert = require('assert');
+const { startTestServer } = require('./testing/server');
+const { test, run, quietly } = require('./testing/suite');
+
+const email = 'sam@example.com';
+const appleUserId = 'apple_music_sam';
+let server;
+let db;
+let music;
+let session;
+
+// Signed-in JSON request; resolves with { status, body }
+async function api(method, path, body) {
+  const response = await quietly(() => fetch(`${server.url}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session}` },
+    body: body && JSON.stringify(body),
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+const libraryUris = (playlistId) => music.getLibraryPlaylist(playlistId).trackIds.map(id => `apple:track:${id}`);
+const uris = (tracks) => tracks.map(track => track.uri);
+
+test('a refresh records the stored tracks and only the URIs that were pushed', async () => {
+  server = await startTestServer();
+  db = require('./database');
+  music = require('./services/platforms').getFakeMusicService();
+
+  const signup = await quietly(() => fetch(`${server.url}/api/signup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password: 'history-test-password', platform: 'apple' }),
+  }).then(response => response.json()));
+  session = signup.token;
+  // Connected to Apple Music in the UK, where fk0012 isn't available
+  db.setConnectedPlatform(email, 'apple', true);
+  db.setPlatformUserId(email, 'apple', appleUserId);
+  db.setToken(appleUserId, { access_token: 'fake', platform: 'apple', email, storefront: 'gb' });
+
+  const imported = await api('POST', '/api/import-playlist', { userId: email, playlistId: 'fake-playlist-2' });
+  assert.strictEqual(imported.status, 200, JSON.stringify(imported.body));
+  const before = imported.body.playlist.tracks;
+  assert.deepStrictEqual(uris(before), ['apple:track:fk0004', 'apple:track:fk0009', 'apple:track:fk0011']);
+
+  const refreshed = await api('POST', '/api/playlists/fake-playlist-2/update', {
+    userId: email,
+    tracksToRemove: [{ uri: 'apple:track:fk0009' }],
+    tracksToAdd: ['apple:track:fk0005', 'apple:track:fk0012'],
+    refresh: {
+      prompt: 'more synths',
+      // Details for the new tracks, plus one the client never pushed
+      newTracks: [
+        { uri: 'apple:track:fk0005', name: 'New Track', artist: 'Someone' },
+        { uri: 'apple:track:fk0012', name: 'Dreams Tonite', artist: 'Alvvays' },
+        { uri: 'apple:track:fk0006', name: 'Not Pushed', artist: 'Nobody' },
+      ],
+    },
+  });
+  assert.strictEqual(refreshed.status, 200, JSON.stringify(refreshed.body));
+  assert.deepStrictEqual(refreshed.body.regionBlocked.map(track => track.uri), ['apple:track:fk0012']);
+  assert.deepStrictEqual(libraryUris('fake-playlist-2'), ['apple:track:fk0004', 'apple:track:fk0011', 'apple:track:fk0005']);
+
+  const [runRow] = db.getPlaylistRuns(email, 'fake-playlist-2', { limit: 1 });
+  assert.deepStrictEqual(
+    { trigger: runRow.trigger, status: runRow.status, prompt: runRow.prompt },
+    { trigger: 'manual', status: 'succeeded', prompt: 'more synths' }
+  );
+  assert.deepStrictEqual(uris(runRow.tracksBefore), uris(before));
+  assert.deepStrictEqual(uris(runRow.tracksAdded), ['apple:track:fk0005']);
+  assert.strictEqual(runRow.tracksAdded[0].name, 'New Track');
+  assert.deepStrictEqual(uris(runRow.tracksRemoved), ['apple:track:fk0009']);
+
+  // The stored record follows the platform, so the next run starts from it
+  const stored = await db.getPlaylist(email, 'fake-playlist-2');
+  assert.deepStrictEqual(stored.trackUris, ['apple:track:fk0004', 'apple:track:fk0011', 'apple:track:fk0005']);
+});
+
+test('the history lists runs newest first without the full snapshot', async () => {
+  const history = await api('GET', `/api/playlists/fake-playlist-2/history?userId=${encodeURIComponent(email)}`);
+  assert.strictEqual(history.status, 200);
+  const [latest] = history.body.runs;
+  assert.strictEqual(latest.trigger, 'manual');
+  assert.strictEqual(latest.trackCountBefore, 3);
+  assert.strictEqual(latest.canRestore, true);
+  assert.strictEqual(latest.tracksBefore, undefined);
+  assert.deepStrictEqual(uris(latest.tracksAdded), ['apple:track:fk0005']);
+
+  const other = await api('GET', `/api/playlists/not-mine/history?userId=${encodeURIComponent(email)}`);
+  assert.strictEqual(other.status, 404);
+});
+
+test('restoring a run puts the tracks from before it back, and is recorded too', async () => {
+  const [refreshRun] = db.getPlaylistRuns(email, 'fake-playlist-2', { limit: 1 });
+  const restored = await api('POST', `/api/playlists/fake-playlist-2/history/${refreshRun.id}/restore`, { userId: email });
+  assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+  assert.strictEqual(restored.body.trackCount, 3);
+
+  assert.deepStrictEqual(libraryUris('fake-playlist-2'), ['apple:track:fk0004', 'apple:track:fk0009', 'apple:track:fk0011']);
+  assert.deepStrictEqual((await db.getPlaylist(email, 'fake-playlist-2')).trackUris, libraryUris('fake-playlist-2'));
+
+  const [restoreRun] = db.getPlaylistRuns(email, 'fake-playlist-2', { limit: 1 });
+  assert.strictEqual(restoreRun.id, restored.body.runId);
+  assert.deepStrictEqual({ trigger: restoreRun.trigger, status: restoreRun.status }, { trigger: 'restore', status: 'succeeded' });
+  assert.deepStrictEqual(uris(restoreRun.tracksAdded), ['apple:track:fk0009']);
+  assert.deepStrictEqual(uris(restoreRun.tracksRemoved), ['apple:track:fk0005']);
+
+  const missing = await api('POST', '/api/playlists/fake-playlist-2/history/99999/restore', { userId: email });
+  assert.strictEqual(missing.status, 404);
+});
+
+run('Testing playlist run history', { after: () => server?.close() });
@@ -0,0 +1,148 @@
+/**
+ * Test importing playlists from links and exported files
+ * Parses playlist links and M3U / XSPF / CSV exports, then previews imports against the
+ * fake music service (fixtures/fake-music-catalog.json) — matched, fuzzy and unmatched.
+ * No network, no tokens.
+ *
+ *   node test-playlist-import.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const platforms = require('./services/platforms');
+const { loadFakeMusicService } = require('./services/platforms/fake');
+const { createAdapterCatalog } = require('./services/playlistTransferService');
+const { parsePlaylistUrl, parsePlaylistFile, previewImport, MAX_IMPORT_TRACKS } = require('./services/playlistImportService');
+const { test, run } = require('./testing/suite');
+
+const music = platforms.useFakeMusicService(loadFakeMusicService(path.join(__dirname, 'fixtures', 'fake-music-catalog.json')));
+
+const rejects = (fn, status) => assert.throws(fn, error => error.status === status);
+
+test('playlist links resolve to a platform and playlist id', () => {
+  assert.deepStrictEqual(parsePlaylistUrl('https://open.spotify.com/playlist/37i9dQZF1DXcBWIGoYBM5M?si=abc'),
+    { platform: 'spotify', playlistId: '37i9dQZF1DXcBWIGoYBM5M', storefront: null });
+  assert.strictEqual(parsePlaylistUrl('https://open.spotify.com/intl-de/playlist/37i9dQZF1DX0XUsuxWHRQd').playlistId, '37i9dQZF1DX0XUsuxWHRQd');
+  assert.strictEqual(parsePlaylistUrl(' spotify:playlist:37i9dQZF1DX0XUsuxWHRQd ').platform, 'spotify');
+  assert.deepStrictEqual(parsePlaylistUrl('https://music.apple.com/GB/playlist/todays-hits/pl.f4d106fed2bd41149aaacabb233eb5eb'),
+    { platform: 'apple', playlistId: 'pl.f4d106fed2bd41149aaacabb233eb5eb', storefront: 'gb' });
+
+  rejects(() => parsePlaylistUrl('https://music.apple.com/library/playlist/p.V7VYVB0hZo53MQv'), 400);
+  rejects(() => parsePlaylistUrl('https://open.spotify.com/album/4m2880jivSbbyEGAKfITCa'), 400);
+  rejects(() => parsePlaylistUrl('not a link'), 400);
+});
+
+test('M3U reads #EXTINF titles and falls back to file names', () => {
+  const { name, format, tracks } = parsePlaylistFile('road trip.m3u8', [
+    '#EXTM3U',
+    '#PLAYLIST:Road Trip',
+    '#EXTINF:243,M83 - Midnight City',
+    'music/M83/Midnight City.mp3',
+    'C:\\Music\\03 - Kavinsky - Nightcall.flac',
+    'https://stream.example/Genesis%20(Live).mp3',
+  ].join('\r\n'));
+
+  assert.strictEqual(name, 'Road Trip');
+  assert.strictEqual(format, 'm3u8');
+  assert.deepStrictEqual(tracks.map(track => [track.name, track.artists[0]?.name, track.duration_ms]), [
+    ['Midnight City', 'M83', 243000],
+    ['Nightcall', 'Kavinsky', null],
+    ['Genesis (Live)', undefined, null],
+  ]);
+  assert.strictEqual(parsePlaylistFile('mix.m3u', '#EXTM3U\n#EXTINF:-1,Grimes - Genesis\ngenesis.mp3').name, 'mix');
+});
+
+test('XSPF reads titles, creators and ISRC identifiers', () => {
+  const { name, tracks } = parsePlaylistFile('export.xspf', `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>Sunday &amp; Slow</title>
+  <trackList>
+    <track>
+      <title><![CDATA[Dreams]]></title>
+      <creator>Fleetwood Mac</creator>
+      <album>Rumours</album>
+      <duration>257000</duration>
+      <identifier>isrc:USWB10002894</identifier>
+    </track>
+    <track><title>Ocean Eyes</title><creator>Billie Eilish</creator></track>
+    <track><creator>No title, skipped</creator></track>
+  </trackList>
+</playlist>`);
+
+  assert.strictEqual(name, 'Sunday & Slow');
+  assert.deepStrictEqual(tracks[0], {
+    name: 'Dreams',
+    artists: [{ name: 'Fleetwood Mac' }],
+    album: { name: 'Rumours', images: [] },
+    isrc: 'USWB10002894',
+    duration_ms: 257000,
+  });
+  assert.strictEqual(tracks[1].isrc, null);
+  assert.strictEqual(tracks.length, 2);
+});
+
+test('CSV reads export headers, quoted fields and headerless title/artist/ISRC rows', () => {
+  const exported = parsePlaylistFile('liked.csv', [
+    '\uFEFF"Track Name","Artist Name(s)","Album Name","ISRC","Duration (ms)"',
+    '"Instant Crush","Daft Punk, Julian Casablancas","Random Access Memories","usqx9-13-00104","337000"',
+    '"Say ""Hi""","Someone","",,',
+    '',
+  ].join('\n'));
+
+  assert.strictEqual(exported.name, 'liked');
+  assert.deepStrictEqual(exported.tracks.map(track => [track.name, track.artists[0].name, track.isrc, track.duration_ms]), [
+    ['Instant Crush', 'Daft Punk, Julian Casablancas', 'USQX91300104', 337000],
+    ['Say "Hi"', 'Someone', null, null],
+  ]);
+
+  const bare = parsePlaylistFile('list.csv', 'Redbone,Childish Gambino,USYAH1600107\nElectric Feel,MGMT');
+  assert.deepStrictEqual(bare.tracks.map(track => [track.name, track.isrc]), [['Redbone', 'USYAH1600107'], ['Electric Feel', null]]);
+});
+
+test('files are capped and bad files are refused', () => {
+  const rows = Array.from({ length: MAX_IMPORT_TRACKS + 10 }, (_, i) => `Song ${i},Artist`);
+  const { tracks, skipped } = parsePlaylistFile('big.csv', rows.join('\n'));
+  assert.strictEqual(tracks.length, MAX_IMPORT_TRACKS);
+  assert.strictEqual(skipped, 10);
+
+  rejects(() => parsePlaylistFile('playlist.txt', 'Song,Artist'), 400);
+  rejects(() => parsePlaylistFile('empty.csv', '  \n'), 400);
+  rejects(() => parsePlaylistFile('nothing.m3u', '#EXTM3U\n'), 400);
+});
+
+test('preview splits tracks into matched, fuzzy and unmatched', async () => {
+  const { tracks } = parsePlaylistFile('mix.csv', [
+    'title,artist,isrc',
+    'Some Other Title,Whoever,FR6V81100010',
+    'Redbone,Childish Gambino,',
+    'Dreams,Alvvays,',
+    'Dreams,The Cranberries,',
+  ].join('\n'));
+  const { matched, fuzzy, unmatched } = await previewImport(tracks, createAdapterCatalog(platforms.createAdapter('apple', {})));
+
+  assert.deepStrictEqual(matched.map(({ target, matchedBy }) => [target.uri, matchedBy]), [
+    ['apple:track:fk0001', 'isrc'],
+    ['apple:track:fk0005', 'name'],
+  ]);
+  assert.deepStrictEqual(fuzzy.map(({ source, target }) => [source.name, target.uri]), [['Dreams', 'apple:track:fk0012']]);
+  assert.deepStrictEqual(unmatched.map(({ source }) => source.artist), ['The Cranberries']);
+});
+
+test('public playlists import across platforms, and onto their own platform without lookups', async () => {
+  const source = await platforms.createAdapter('spotify', {}).getPublicPlaylist('fake-playlist-1');
+
+  const toApple = await previewImport(source.tracks, createAdapterCatalog(platforms.createAdapter('apple', {})));
+  assert.deepStrictEqual(toApple.matched.map(({ target, matchedBy }) => [target.uri, matchedBy]), [
+    ['apple:track:fk0001', 'isrc'],
+    ['apple:track:fk0002', 'isrc'],
+    ['apple:track:fk0003', 'isrc'],
+    ['apple:track:fk0010', 'isrc'],
+  ]);
+
+  const callsBefore = music.calls.length;
+  const toSpotify = await previewImport(source.tracks, createAdapterCatalog(platforms.createAdapter('spotify', {})));
+  assert.deepStrictEqual(toSpotify.matched.map(({ matchedBy }) => matchedBy), ['source', 'source', 'source', 'source']);
+  assert.strictEqual(music.calls.length, callsBefore);
+});
+
+run('Testing playlist import', { after: () => platforms.useFakeMusicService(null) });
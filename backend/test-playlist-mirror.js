@@ -0,0 +1,189 @@
+/**
+ * Test mirrored playlists
+ * Runs the server in-process (testing/server.js) with the fake music service, the fixture
+ * LLM provider (fixtures/llm-replay.json) and a stubbed SoundCharts, and mirrors an Apple
+ * Music playlist onto Spotify through POST /api/playlists/:playlistId/mirror. Every later
+ * change — /update, /remove-track, /apply-refinement and an auto-update run from the
+ * queue — is pushed to the mirror too, and reported per platform: what matched, and which
+ * songs the other platform doesn't have.
+ *
+ *   node test-playlist-mirror.js
+ *
+ * The catalog takes Spotify-length (22 character) ids here, as Spotify track URIs are
+ * validated before they're written.
+ */
+
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LLM_FIXTURES = require('path').join(__dirname, 'fixtures', 'llm-replay.json');
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer } = require('./testing/server');
+const { stubSoundCharts } = require('./testing/soundcharts');
+const { test, run, quietly } = require('./testing/suite');
+
+const seed = require('./fixtures/fake-music-catalog.json');
+const email = 'sam@example.com';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'playlist-mirror-test-'));
+const fixtures = path.join(dir, 'catalog.json');
+let server;
+let db;
+let music;
+let session;
+let soundcharts;
+let mirrorId;
+
+const id = (fakeId) => fakeId.padEnd(22, '0');
+const appleUri = (fakeId) => `apple:track:${id(fakeId)}`;
+const catalog = [
+  ...seed.catalog,
+  // Only on Apple Music, so never matched on Spotify
+  { id: 'fk0102', name: 'Dreams', artist: 'Alvvays', album: 'Live at KEXP', isrc: 'CAN111799999', platforms: ['apple'] },
+].map(track => ({ ...track, id: id(track.id) }));
+fs.writeFileSync(fixtures, JSON.stringify({
+  ...seed,
+  catalog,
+  playlists: [{ id: 'fake-playlist-mirrored', platform: 'apple', name: 'Both Ways', description: '', trackIds: ['fk0004', 'fk0009', 'fk0102'].map(id) }],
+}));
+
+// Library track ids, without the padding
+const libraryIds = (playlistId) => music.getLibraryPlaylist(playlistId).trackIds.map(trackId => trackId.slice(0, 'fk0000'.length));
+
+// Signed-in JSON request; resolves with { status, body }
+async function api(method, urlPath, body) {
+  const response = await quietly(() => fetch(`${server.url}${urlPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session}` },
+    body: body && JSON.stringify(body),
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+// The mirror report's counts and the source uris Spotify doesn't have
+const summarize = (report) => ({
+  platform: report.platform,
+  matchedCount: report.matchedCount,
+  totalCount: report.totalCount,
+  unmatched: report.unmatched.map(track => track.source.uri),
+  error: report.error,
+});
+
+test('mirroring creates a copy on the other platform and reports what matched', async () => {
+  server = await startTestServer({ fixtures });
+  db = require('./database');
+  music = require('./services/platforms').getFakeMusicService();
+  const signup = await quietly(() => fetch(`${server.url}/api/signup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password: 'mirror-test-password', platform: 'apple' }),
+  }).then(response => response.json()));
+  session = signup.token;
+  db.setConnectedPlatform(email, 'apple', true);
+  db.setPlatformUserId(email, 'apple', 'apple_music_sam');
+  db.setToken('apple_music_sam', { access_token: 'fake', platform: 'apple', email, storefront: 'us' });
+  db.setConnectedPlatform(email, 'spotify', true);
+  db.setPlatformUserId(email, 'spotify', 'spotify_sam');
+  db.setToken('spotify_sam', { access_token: 'fake', refresh_token: 'fake', expires_at: Date.now() + 60 * 60 * 1000, platform: 'spotify', email });
+
+  const imported = await api('POST', '/api/import-playlist', { userId: email, playlistId: 'fake-playlist-mirrored' });
+  assert.strictEqual(imported.status, 200, JSON.stringify(imported.body));
+
+  const mirrored = await api('POST', '/api/playlists/fake-playlist-mirrored/mirror', { userId: email });
+  assert.strictEqual(mirrored.status, 200, JSON.stringify(mirrored.body));
+  assert.deepStrictEqual(summarize(mirrored.body.mirror), {
+    platform: 'spotify', matchedCount: 2, totalCount: 3, unmatched: [appleUri('fk0102')], error: null,
+  });
+  mirrorId = mirrored.body.mirror.playlistId;
+  assert.strictEqual(music.getLibraryPlaylist(mirrorId).platform, 'spotify');
+  assert.deepStrictEqual(libraryIds(mirrorId), ['fk0004', 'fk0009']);
+
+  const again = await api('POST', '/api/playlists/fake-playlist-mirrored/mirror', { userId: email });
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(again.body.code, 'ALREADY_MIRRORED');
+});
+
+test('a refresh through /update is pushed to the mirror, looking up only the new songs', async () => {
+  const callsBefore = music.calls.length;
+  const refreshed = await api('POST', '/api/playlists/fake-playlist-mirrored/update', {
+    userId: email,
+    tracksToRemove: [{ uri: appleUri('fk0009') }],
+    tracksToAdd: [appleUri('fk0005')],
+  });
+  assert.strictEqual(refreshed.status, 200, JSON.stringify(refreshed.body));
+  assert.deepStrictEqual(libraryIds('fake-playlist-mirrored'), ['fk0004', 'fk0102', 'fk0005']);
+  assert.deepStrictEqual(summarize(refreshed.body.mirror), {
+    platform: 'spotify', matchedCount: 2, totalCount: 3, unmatched: [appleUri('fk0102')], error: null,
+  });
+  assert.deepStrictEqual(libraryIds(mirrorId), ['fk0004', 'fk0005']);
+
+  // fk0004 was matched last time; the song Spotify doesn't have is looked for again
+  const isrcLookups = music.calls.slice(callsBefore)
+    .filter(call => call.platform === 'spotify' && call.method === 'lookupByIsrc')
+    .map(call => call.args[0]);
+  assert.deepStrictEqual(isrcLookups.sort(), ['CAN111799999', 'USYAH1600107']);
+});
+
+test('removing a track removes it from the mirror too', async () => {
+  const removed = await api('POST', '/api/playlists/fake-playlist-mirrored/remove-track', {
+    userId: email, trackId: id('fk0004'), trackUri: appleUri('fk0004'),
+  });
+  assert.strictEqual(removed.status, 200, JSON.stringify(removed.body));
+  assert.deepStrictEqual(libraryIds('fake-playlist-mirrored'), ['fk0102', 'fk0005']);
+  assert.deepStrictEqual(summarize(removed.body.mirror), {
+    platform: 'spotify', matchedCount: 1, totalCount: 2, unmatched: [appleUri('fk0102')], error: null,
+  });
+  assert.deepStrictEqual(libraryIds(mirrorId), ['fk0005']);
+});
+
+test('an applied refinement is pushed to the mirror', async () => {
+  const refined = await api('POST', '/api/playlists/fake-playlist-mirrored/apply-refinement', {
+    userId: email,
+    tracks: [{ id: id('fk0006'), uri: appleUri('fk0006'), name: 'Electric Feel', artist: 'MGMT' }],
+    trackUris: [appleUri('fk0006')],
+  });
+  assert.strictEqual(refined.status, 200, JSON.stringify(refined.body));
+  // Apple Music playlists are appended to
+  assert.deepStrictEqual(libraryIds('fake-playlist-mirrored'), ['fk0102', 'fk0005', 'fk0006']);
+  assert.deepStrictEqual(summarize(refined.body.mirror), {
+    platform: 'spotify', matchedCount: 2, totalCount: 3, unmatched: [appleUri('fk0102')], error: null,
+  });
+  assert.deepStrictEqual(libraryIds(mirrorId), ['fk0005', 'fk0006']);
+});
+
+test('an auto-update from the queue is pushed to the mirror', async () => {
+  const { updateQueue } = require('./server');
+  soundcharts = stubSoundCharts(catalog.slice(0, 12));
+  // Auto-updates are for paid accounts
+  db.updateSubscription(email, { subscriptionId: null, status: 'active', endsAt: null, plan: 'paid' });
+  const scheduled = await api('PUT', '/api/playlists/fake-playlist-mirrored/settings', { userId: email, updateFrequency: 'weekly', songCount: 8 });
+  assert.strictEqual(scheduled.status, 200, JSON.stringify(scheduled.body));
+
+  await quietly(async () => {
+    await updateQueue.enqueue(email, { playlistId: 'fake-playlist-mirrored', playlistName: 'Both Ways' });
+    const [job] = db.leaseUpdateJobs(updateQueue.workerId, 1, 60000);
+    await updateQueue.runJob(job);
+  });
+
+  // The run replaced the Apple Music playlist, and the mirror followed
+  const generated = libraryIds('fake-playlist-mirrored');
+  assert.strictEqual(generated.length, 8);
+  assert.notDeepStrictEqual(generated, ['fk0102', 'fk0005', 'fk0006']);
+  assert.deepStrictEqual(libraryIds(mirrorId), generated);
+
+  const stored = await db.getPlaylist(email, 'fake-playlist-mirrored');
+  assert.deepStrictEqual(summarize(stored.mirror.lastSync), {
+    platform: 'spotify', matchedCount: 8, totalCount: 8, unmatched: [], error: null,
+  });
+  const [latest] = db.getPlaylistRuns(email, 'fake-playlist-mirrored', { limit: 1 });
+  assert.deepStrictEqual({ trigger: latest.trigger, status: latest.status }, { trigger: 'auto', status: 'succeeded' });
+});
+
+run('Testing mirrored playlists', {
+  after: async () => {
+    soundcharts?.restore();
+    await server?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  },
+});
@@ -0,0 +1,92 @@
+/**
+ * Test the playlist repository
+ * Runs services/playlistRepository.js over the SQLite backend with an in-memory database:
+ * playlists and drafts, reactions, saved playlists, and the account email change / purge
+ * touching the new tables. The import of the old JSON files is in test-schema-migrations.js.
+ *
+ *   node test-playlist-repository.js
+ */
+
+process.env.SQLITE_PATH = ':memory:';
+
+const assert = require('assert');
+const db = require('./database');
+const { createPlaylistRepository } = require('./services/playlistRepository');
+const { test, run } = require('./testing/suite');
+
+const playlistStore = createPlaylistRepository(db);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('playlists and drafts are saved, listed newest first and deleted one row at a time', async () => {
+  await playlistStore.savePlaylist('sam@example.com', { playlistId: 'sp-1', playlistName: 'Night Drive', tracks: [], updatedAt: '2026-10-01T00:00:00.000Z' });
+  await sleep(5);
+  await playlistStore.savePlaylist('sam@example.com', { playlistId: 'draft-1', playlistName: 'Draft', isDraft: true });
+
+  const playlists = await playlistStore.getUserPlaylists('sam@example.com');
+  assert.deepStrictEqual(playlists.map(playlist => playlist.playlistId), ['draft-1', 'sp-1']);
+  assert.strictEqual(playlists[0].isDraft, true);
+  assert.strictEqual(playlists[0].updatedAt, null);
+  assert.strictEqual(playlists[1].updatedAt, '2026-10-01T00:00:00.000Z');
+  assert.ok(playlists[1].createdAt);
+
+  await playlistStore.savePlaylist('sam@example.com', { ...playlists[1], playlistName: 'Night Drive II' });
+  assert.strictEqual((await playlistStore.getPlaylist('sam@example.com', 'sp-1')).playlistName, 'Night Drive II');
+  assert.strictEqual((await playlistStore.loadPlaylists()).get('sam@example.com').length, 2);
+
+  await playlistStore.deletePlaylist('sam@example.com', 'draft-1');
+  assert.strictEqual(await playlistStore.getPlaylist('sam@example.com', 'draft-1'), null);
+  assert.deepStrictEqual((await playlistStore.getUserPlaylists('sam@example.com')).map(playlist => playlist.playlistId), ['sp-1']);
+});
+
+test('saves running at the same time both land', async () => {
+  await Promise.all([
+    playlistStore.savePlaylist('kim@example.com', { playlistId: 'sp-2', playlistName: 'Focus' }),
+    playlistStore.savePlaylist('kim@example.com', { playlistId: 'sp-3', playlistName: 'Gym' }),
+    playlistStore.setReaction('sp-2', 'sam@example.com', 'up'),
+    playlistStore.setReaction('sp-2', 'lee@example.com', 'down'),
+    playlistStore.addSavedPlaylist('sam@example.com', 'sp-2'),
+    playlistStore.addSavedPlaylist('sam@example.com', 'sp-3'),
+  ]);
+
+  assert.deepStrictEqual((await playlistStore.getUserPlaylists('kim@example.com')).map(playlist => playlist.playlistId).sort(), ['sp-2', 'sp-3']);
+  assert.deepStrictEqual((await playlistStore.loadReactions()).get('sp-2'), { thumbsUp: ['sam@example.com'], thumbsDown: ['lee@example.com'] });
+  assert.deepStrictEqual((await playlistStore.loadSavedPlaylists()).get('sam@example.com').sort(), ['sp-2', 'sp-3']);
+});
+
+test('a reaction can be switched and removed, and goes with its playlist', async () => {
+  await playlistStore.setReaction('sp-3', 'sam@example.com', 'up');
+  await playlistStore.setReaction('sp-3', 'sam@example.com', 'down');
+  assert.deepStrictEqual((await playlistStore.loadReactions()).get('sp-3'), { thumbsUp: [], thumbsDown: ['sam@example.com'] });
+
+  await playlistStore.setReaction('sp-3', 'sam@example.com', null);
+  assert.strictEqual((await playlistStore.loadReactions()).has('sp-3'), false);
+
+  await playlistStore.setReaction('sp-3', 'lee@example.com', 'up');
+  await playlistStore.deleteReactions('sp-3');
+  assert.strictEqual((await playlistStore.loadReactions()).has('sp-3'), false);
+});
+
+test('saving a playlist twice keeps one row, unsaving removes it', async () => {
+  await playlistStore.addSavedPlaylist('lee@example.com', 'sp-1');
+  await playlistStore.addSavedPlaylist('lee@example.com', 'sp-1');
+  assert.deepStrictEqual((await playlistStore.loadSavedPlaylists()).get('lee@example.com'), ['sp-1']);
+
+  await playlistStore.removeSavedPlaylist('lee@example.com', 'sp-1');
+  assert.strictEqual((await playlistStore.loadSavedPlaylists()).has('lee@example.com'), false);
+});
+
+test('an email change moves playlists, reactions and saved playlists, a purge removes them', async () => {
+  db.createUser('sam@example.com', 'hunter22', 'spotify', 'sam@example.com');
+  db.updateEmail('sam@example.com', 'sam@new.example.com');
+
+  assert.deepStrictEqual((await playlistStore.getUserPlaylists('sam@new.example.com')).map(playlist => playlist.playlistId), ['sp-1']);
+  assert.deepStrictEqual((await playlistStore.loadReactions()).get('sp-2').thumbsUp, ['sam@new.example.com']);
+  assert.strictEqual((await playlistStore.loadSavedPlaylists()).get('sam@new.example.com').length, 2);
+
+  db.purgeUserData('sam@new.example.com');
+  assert.deepStrictEqual(await playlistStore.getUserPlaylists('sam@new.example.com'), []);
+  assert.deepStrictEqual((await playlistStore.loadReactions()).get('sp-2'), { thumbsUp: [], thumbsDown: ['lee@example.com'] });
+  assert.strictEqual((await playlistStore.loadSavedPlaylists()).has('sam@new.example.com'), false);
+});
+
+run('Testing the playlist repository');
@@ -0,0 +1,148 @@
+/**
+ * Test playlist transfer
+ * Runs the server in-process (testing/server.js) on an in-memory database and the fake
+ * music service, seeded with two songs only Apple Music has, and sends an Apple Music
+ * playlist to Spotify through POST /api/playlists/:playlistId/transfer: songs match by
+ * ISRC, then by name and artist, the rest come back with suggestions, the copy is
+ * created on Spotify and takes over the auto-update schedule, and only the playlist's
+ * owner can transfer it.
+ *
+ *   node test-playlist-transfer.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer } = require('./testing/server');
+const { test, run, quietly } = require('./testing/suite');
+
+const seed = require('./fixtures/fake-music-catalog.json');
+const email = 'sam@example.com';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'playlist-transfer-test-'));
+const fixtures = path.join(dir, 'catalog.json');
+let server;
+let db;
+let music;
+let session;
+
+// Apple Music only: a copy with no ISRC, which Spotify has under the original, and a
+// song Spotify doesn't have at all
+fs.writeFileSync(fixtures, JSON.stringify({
+  ...seed,
+  catalog: [
+    ...seed.catalog,
+    { id: 'fk0101', name: 'Midnight City', artist: 'M83', album: 'Midnight City (Remixes)', isrc: null, platforms: ['apple'] },
+    { id: 'fk0102', name: 'Dreams', artist: 'Alvvays', album: 'Live at KEXP', isrc: 'CAN111799999', platforms: ['apple'] },
+  ],
+  playlists: [
+    ...seed.playlists,
+    { id: 'fake-playlist-crossover', platform: 'apple', name: 'Crossover', description: 'Both sides', trackIds: ['fk0004', 'fk0101', 'fk0102', 'fk0012'] },
+  ],
+}));
+
+async function signup(address) {
+  const body = await quietly(() => fetch(`${server.url}/api/signup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: address, password: 'transfer-test-password', platform: 'apple' }),
+  }).then(response => response.json()));
+  return body.token;
+}
+
+// Signed-in JSON request; resolves with { status, body }
+async function api(method, urlPath, body, token = session) {
+  const response = await quietly(() => fetch(`${server.url}${urlPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body && JSON.stringify(body),
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+const transfer = (body, token) => api('POST', '/api/playlists/fake-playlist-crossover/transfer', { userId: email, ...body }, token);
+
+test('a transfer needs both platforms connected', async () => {
+  server = await startTestServer({ fixtures });
+  db = require('./database');
+  music = require('./services/platforms').getFakeMusicService();
+  session = await signup(email);
+  db.setConnectedPlatform(email, 'apple', true);
+  db.setPlatformUserId(email, 'apple', 'apple_music_sam');
+  db.setToken('apple_music_sam', { access_token: 'fake', platform: 'apple', email, storefront: 'gb' });
+
+  const imported = await api('POST', '/api/import-playlist', { userId: email, playlistId: 'fake-playlist-crossover' });
+  assert.strictEqual(imported.status, 200, JSON.stringify(imported.body));
+  const scheduled = await api('PUT', '/api/playlists/fake-playlist-crossover/settings', { userId: email, updateFrequency: 'weekly' });
+  assert.strictEqual(scheduled.status, 200, JSON.stringify(scheduled.body));
+
+  const unlinked = await transfer();
+  assert.strictEqual(unlinked.status, 400);
+  assert.strictEqual(unlinked.body.code, 'TARGET_NOT_CONNECTED');
+
+  const sameSide = await transfer({ targetPlatform: 'apple' });
+  assert.strictEqual(sameSide.status, 400);
+});
+
+test('songs match by ISRC, then name and artist, and the rest come back with suggestions', async () => {
+  // Spotify in the UK, where fk0012 isn't available
+  db.setConnectedPlatform(email, 'spotify', true);
+  db.setPlatformUserId(email, 'spotify', 'spotify_sam');
+  db.setToken('spotify_sam', {
+    access_token: 'fake', refresh_token: 'fake', expires_at: Date.now() + 60 * 60 * 1000, platform: 'spotify', email, market: 'gb',
+  });
+
+  const transferred = await transfer();
+  assert.strictEqual(transferred.status, 200, JSON.stringify(transferred.body));
+  const result = transferred.body;
+  assert.strictEqual(result.platform, 'spotify');
+  assert.deepStrictEqual([result.matchedCount, result.totalCount], [2, 4]);
+  assert.deepStrictEqual(result.matched.map(m => [m.source.uri, m.target.uri, m.matchedBy]), [
+    ['apple:track:fk0004', 'spotify:track:fk0004', 'isrc'],
+    ['apple:track:fk0101', 'spotify:track:fk0001', 'name'],
+  ]);
+  assert.deepStrictEqual(result.unmatched.map(u => u.source.uri), ['apple:track:fk0102']);
+  assert.deepStrictEqual(result.unmatched[0].candidates.map(c => [c.uri, c.name]), [['spotify:track:fk0012', 'Dreams Tonite']]);
+  assert.deepStrictEqual(result.regionBlocked.map(track => track.uri), ['spotify:track:fk0012']);
+
+  // The copy is a new Spotify playlist holding the playable matches
+  const created = music.getLibraryPlaylist(result.playlistId);
+  assert.deepStrictEqual(
+    { platform: created.platform, name: created.name, description: created.description, trackIds: created.trackIds },
+    { platform: 'spotify', name: 'Crossover', description: 'Both sides', trackIds: ['fk0004', 'fk0001'] }
+  );
+  assert.deepStrictEqual(music.getLibraryPlaylist('fake-playlist-crossover').trackIds, ['fk0004', 'fk0101', 'fk0102', 'fk0012']);
+});
+
+test('the copy takes over the auto-update schedule from the original', async () => {
+  const playlists = (await db.getUserPlaylists(email)).filter(playlist => playlist.playlistName === 'Crossover');
+  const copy = playlists.find(playlist => playlist.platform === 'spotify');
+  const original = playlists.find(playlist => playlist.platform === 'apple');
+
+  assert.strictEqual(copy.updateFrequency, 'weekly');
+  assert.ok(new Date(copy.nextUpdate) > new Date(), copy.nextUpdate);
+  assert.deepStrictEqual(copy.trackUris, ['spotify:track:fk0004', 'spotify:track:fk0001']);
+  assert.deepStrictEqual([copy.transferredFrom.platform, copy.transferredFrom.playlistId], ['apple', 'fake-playlist-crossover']);
+
+  assert.strictEqual(original.updateFrequency, 'never');
+  assert.strictEqual(original.nextUpdate, null);
+});
+
+test('only the owner can transfer a playlist', async () => {
+  const kim = await signup('kim@example.com');
+  // Neither as themselves nor passing Sam's userId
+  const asKim = await transfer({ userId: 'kim@example.com' }, kim);
+  assert.strictEqual(asKim.status, 403);
+  const forSam = await transfer({}, kim);
+  assert.strictEqual(forSam.status, 403);
+
+  const playlistCount = music.calls.filter(call => call.method === 'createPlaylist').length;
+  assert.strictEqual(playlistCount, 1);
+});
+
+run('Testing playlist transfer', {
+  after: async () => {
+    await server?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  },
+});
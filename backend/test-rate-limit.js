@@ -0,0 +1,144 @@
+/**
+ * Test rate limiting
+ * Runs services/rateLimitService.js: token buckets in memory and in PostgreSQL (the real
+ * takeRateLimitToken SQL on PGlite, an in-process PostgreSQL), the middleware's 429s and
+ * fail-open, and which client IP signed-out requests are keyed by behind 0 or 1 proxies.
+ * No database server or network.
+ *
+ *   node test-rate-limit.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const db = require('./database-postgres');
+const { takeFromBucket, createMemoryStore, createDatabaseStore, createRateLimiter } = require('./services/rateLimitService');
+const { createPglitePool } = require('./testing/pglitePool');
+const { test, run, quietly } = require('./testing/suite');
+
+const HOUR_MS = 60 * 60 * 1000;
+const limit = { capacity: 2, refillPerMs: 1 / HOUR_MS, cost: 1 };
+
+// Middleware on a fake req/res; resolves with the status it answered, or 'next'
+const callLimiter = (middleware, req = {}) => new Promise(resolve => {
+  const headers = {};
+  const res = {
+    headers,
+    setHeader: (name, value) => { headers[name] = value; },
+    status: (code) => ({ json: (body) => resolve({ status: code, body, headers }) }),
+  };
+  middleware({ ip: '203.0.113.9', ...req }, res, () => resolve({ status: 'next', headers }));
+});
+
+test('a bucket lets the burst through, refuses the next and refills over time', () => {
+  const now = Date.parse('2026-01-01T12:00:00Z');
+  const first = takeFromBucket(null, limit, now);
+  const second = takeFromBucket({ tokens: first.tokens, updatedAt: now }, limit, now);
+  const third = takeFromBucket({ tokens: second.tokens, updatedAt: now }, limit, now);
+  assert.deepStrictEqual([first.allowed, second.allowed, third.allowed], [true, true, false]);
+  assert.ok(Math.abs(third.retryAfterMs - HOUR_MS) <= 1, String(third.retryAfterMs));
+
+  const later = takeFromBucket({ tokens: 0, updatedAt: now }, limit, now + HOUR_MS + 1);
+  assert.strictEqual(later.allowed, true);
+  assert.strictEqual(takeFromBucket({ tokens: 0, updatedAt: now }, limit, now + 10 * HOUR_MS).tokens, 1);
+});
+
+test('over budget answers 429 with Retry-After, per account or per IP', async () => {
+  const rateLimit = createRateLimiter({
+    store: createMemoryStore(),
+    getPlan: async () => 'free',
+    budgets: { search: { free: { capacity: 2, refillPerHour: 1 } } },
+  });
+  const search = rateLimit('search');
+
+  assert.strictEqual((await callLimiter(search)).status, 'next');
+  const second = await callLimiter(search);
+  assert.strictEqual(second.status, 'next');
+  assert.strictEqual(second.headers['RateLimit-Remaining'], 0);
+
+  const refused = await quietly(() => callLimiter(search));
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.body.code, 'RATE_LIMITED');
+  assert.ok([3600, 3601].includes(refused.headers['Retry-After']), String(refused.headers['Retry-After']));
+
+  // A signed-in account has its own bucket, whatever address it comes from
+  assert.strictEqual((await callLimiter(search, { user: { email: 'sam@example.com' } })).status, 'next');
+  assert.strictEqual((await callLimiter(search, { ip: '198.51.100.1' })).status, 'next');
+});
+
+test('paid accounts get the paid budget, and a failing store lets requests through', async () => {
+  const budgets = { search: { free: { capacity: 1, refillPerHour: 1 }, paid: { capacity: 3, refillPerHour: 1 } } };
+  const rateLimit = createRateLimiter({ store: createMemoryStore(), getPlan: async () => 'paid', budgets });
+  const paid = await callLimiter(rateLimit('search'), { user: { email: 'sam@example.com' } });
+  assert.strictEqual(paid.headers['RateLimit-Limit'], 3);
+
+  const broken = createRateLimiter({
+    store: { take: async () => { throw new Error('database is down'); } },
+    getPlan: async () => 'free',
+    budgets,
+  });
+  assert.strictEqual((await quietly(() => callLimiter(broken('search')))).status, 'next');
+  assert.throws(() => broken('nope'), /Unknown rate limit budget: nope/);
+});
+
+test('PostgreSQL buckets take, refuse and refill in one statement', async () => {
+  const pool = await createPglitePool();
+  try {
+    await quietly(() => db.initialize({ pool }));
+    const store = createDatabaseStore(db);
+
+    assert.deepStrictEqual(await store.take('search:ip:1', limit), { allowed: true, remaining: 1, retryAfterMs: 0 });
+    assert.deepStrictEqual(await store.take('search:ip:1', limit), { allowed: true, remaining: 0, retryAfterMs: 0 });
+    const refused = await store.take('search:ip:1', limit);
+    assert.strictEqual(refused.allowed, false);
+    assert.ok(refused.retryAfterMs > HOUR_MS - 1000 && refused.retryAfterMs <= HOUR_MS, String(refused.retryAfterMs));
+    assert.strictEqual((await store.take('search:ip:2', limit)).allowed, true);
+
+    // An hour on, one token has come back
+    await pool.query('UPDATE rate_limit_buckets SET updated_at = updated_at - $1', [HOUR_MS + 1000]);
+    assert.deepStrictEqual(await store.take('search:ip:1', limit), { allowed: true, remaining: 0, retryAfterMs: 0 });
+
+    await pool.query('UPDATE rate_limit_buckets SET updated_at = updated_at - $1', [2 * 24 * HOUR_MS]);
+    assert.strictEqual(await db.pruneRateLimitBuckets(), 2);
+  } finally {
+    await pool.end();
+  }
+});
+
+// An app limited to 2 requests per client; `trustProxyHops` as TRUST_PROXY_HOPS sets it
+async function statusesFor(trustProxyHops, forwardedFor) {
+  const app = express();
+  app.set('trust proxy', trustProxyHops);
+  const rateLimit = createRateLimiter({
+    store: createMemoryStore(),
+    getPlan: async () => 'free',
+    budgets: { checkEmail: { free: { capacity: 2, refillPerHour: 1 } } },
+  });
+  app.post('/api/check-email', rateLimit('checkEmail'), (req, res) => res.json({ ok: true }));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const statuses = [];
+    for (const header of forwardedFor) {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/check-email`, {
+        method: 'POST',
+        headers: { 'X-Forwarded-For': header },
+      });
+      statuses.push(response.status);
+    }
+    return statuses;
+  } finally {
+    server.close();
+  }
+}
+
+test('signed-out requests are keyed by the address the trusted proxies saw', async () => {
+  // Nothing in front: a made-up X-Forwarded-For doesn't buy a new bucket
+  assert.deepStrictEqual(await quietly(() => statusesFor(0, ['1.1.1.1', '2.2.2.2', '3.3.3.3'])), [200, 200, 429]);
+
+  // One proxy: its hop is the client, and a spoofed entry before it changes nothing
+  assert.deepStrictEqual(await quietly(() => statusesFor(1, ['9.9.9.9, 1.1.1.1', '8.8.8.8, 1.1.1.1', '7.7.7.7, 1.1.1.1'])), [200, 200, 429]);
+  assert.deepStrictEqual(await statusesFor(1, ['1.1.1.1', '2.2.2.2', '3.3.3.3']), [200, 200, 200]);
+});
+
+run('Testing rate limiting');
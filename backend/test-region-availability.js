@@ -0,0 +1,155 @@
+/**
+ * Test keeping region-blocked tracks out of playlists
+ * Runs the fake music service opened in different regions (fixture tracks marked
+ * unavailableIn), the Apple Music and Spotify adapters against stubbed catalogs, and the
+ * per-playlist region report. No network.
+ *
+ *   node test-region-availability.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { loadFakeMusicService } = require('./services/platforms/fake');
+const AppleMusicService = require('./services/appleMusicService');
+const apple = require('./services/platforms/apple');
+const spotify = require('./services/platforms/spotify');
+const SpotifyWebApi = require('spotify-web-api-node');
+const { filterPlayableTracks, mergeRegionReport } = require('./services/regionAvailabilityService');
+const { test, run } = require('./testing/suite');
+
+const music = loadFakeMusicService(path.join(__dirname, 'fixtures', 'fake-music-catalog.json'));
+const applePlatform = { id: 'apple', uriPrefix: 'apple:track:' };
+const uris = ['apple:track:fk0001', 'apple:track:fk0012', 'apple:track:fk0002'];
+const tracks = [
+  { uri: 'apple:track:fk0012', name: 'Dreams Tonite', artists: [{ name: 'Alvvays' }] },
+];
+
+test('the fake blocks tracks marked unavailable in the adapter\'s storefront', async () => {
+  const gb = music.createAdapter(applePlatform, { storefront: 'gb' });
+  const us = music.createAdapter(applePlatform, {}, {});
+
+  assert.deepStrictEqual(await gb.filterPlayable(uris), {
+    region: 'gb',
+    playable: ['apple:track:fk0001', 'apple:track:fk0002'],
+    blocked: [{ uri: 'apple:track:fk0012', reason: 'not_in_storefront' }],
+  });
+  assert.deepStrictEqual((await us.filterPlayable(uris)).blocked, []);
+  // An explicit storefront option wins over the one on the token record
+  assert.strictEqual((await music.createAdapter(applePlatform, { storefront: 'us' }, { storefront: 'GB' }).filterPlayable(uris)).region, 'gb');
+  // Spotify accounts carry a market instead of a storefront
+  const spotifyUris = uris.map(uri => uri.replace('apple:', 'spotify:'));
+  const spotifyGb = music.createAdapter({ id: 'spotify', uriPrefix: 'spotify:track:' }, { market: 'GB' });
+  assert.deepStrictEqual((await spotifyGb.filterPlayable(spotifyUris)).blocked, [{ uri: 'spotify:track:fk0012', reason: 'not_in_storefront' }]);
+});
+
+test('filtering keeps playable tracks in order and names what was left out', async () => {
+  const { trackUris, report } = await filterPlayableTracks(music.createAdapter(applePlatform, { storefront: 'gb' }), uris, tracks);
+
+  assert.deepStrictEqual(trackUris, ['apple:track:fk0001', 'apple:track:fk0002']);
+  assert.strictEqual(report.region, 'gb');
+  assert.ok(!Number.isNaN(Date.parse(report.checkedAt)));
+  assert.deepStrictEqual(report.blocked, [{ uri: 'apple:track:fk0012', name: 'Dreams Tonite', artist: 'Alvvays', reason: 'not_in_storefront' }]);
+});
+
+test('platforms without a region check, and failed checks, let every track through', async () => {
+  assert.deepStrictEqual(await filterPlayableTracks({ platform: 'youtube' }, uris), { trackUris: uris, report: null });
+
+  const failing = { platform: 'apple', filterPlayable: async () => { throw new Error('catalog down'); } };
+  assert.deepStrictEqual(await filterPlayableTracks(failing, uris), { trackUris: uris, report: null });
+});
+
+test('the Apple Music adapter checks catalog songs in the user\'s storefront', async () => {
+  const requests = [];
+  const originalRequest = AppleMusicService.prototype.request;
+  AppleMusicService.prototype.request = async (endpoint, userToken, options) => {
+    requests.push({ endpoint, ids: options.params.ids });
+    return {
+      data: [
+        { id: '100', attributes: { name: 'Playable', playParams: { id: '100', kind: 'song' } } },
+        { id: '200', attributes: { name: 'Listed without playback' } },
+      ],
+    };
+  };
+  try {
+    const adapter = apple.createAdapter({ access_token: 'music-user-token', storefront: 'jp' }, { developerToken: 'developer-token' });
+    const result = await adapter.filterPlayable(['apple:track:100', 'apple:track:200', 'apple:track:300', 'apple:track:i.library']);
+
+    // Library tracks (i.xxx) are never looked up
+    assert.deepStrictEqual(requests, [{ endpoint: '/catalog/jp/songs', ids: '100,200,300' }]);
+    assert.deepStrictEqual(result, {
+      region: 'jp',
+      playable: ['apple:track:100', 'apple:track:i.library'],
+      blocked: [
+        { uri: 'apple:track:200', reason: 'not_playable' },
+        { uri: 'apple:track:300', reason: 'not_in_storefront' },
+      ],
+    });
+  } finally {
+    AppleMusicService.prototype.request = originalRequest;
+  }
+});
+
+test('the Spotify adapter searches and checks tracks in the account\'s market', async () => {
+  const calls = [];
+  const track = (id, extra = {}) => ({
+    id, uri: `spotify:track:${id}`, name: id, artists: [{ id: 'a1', name: 'Artist' }],
+    album: { name: 'Album', images: [] }, external_ids: { isrc: `ISRC${id}` }, ...extra,
+  });
+  const original = { getTracks: SpotifyWebApi.prototype.getTracks, searchTracks: SpotifyWebApi.prototype.searchTracks };
+  SpotifyWebApi.prototype.getTracks = async (ids, options) => {
+    calls.push({ method: 'getTracks', ids, options });
+    // A relinked track answers with another release's id; its original URI is still the one to keep
+    const answers = { t1: track('t1'), t2: track('t2-relinked', { linked_from: { id: 't2' } }), t3: track('t3', { is_playable: false }), t4: null };
+    return { body: { tracks: ids.map(id => answers[id]) } };
+  };
+  SpotifyWebApi.prototype.searchTracks = async (query, options) => {
+    calls.push({ method: 'searchTracks', query, options });
+    return { body: { tracks: { items: [track('other-release', { is_playable: false }), track('t1')] } } };
+  };
+  try {
+    const adapter = spotify.createAdapter({ access_token: 'user-token', market: 'GB' });
+    const result = await adapter.filterPlayable(['spotify:track:t1', 'spotify:track:t2', 'spotify:track:t3', 'spotify:track:t4']);
+
+    assert.deepStrictEqual(calls[0], { method: 'getTracks', ids: ['t1', 't2', 't3', 't4'], options: { market: 'GB' } });
+    assert.deepStrictEqual(result, {
+      region: 'gb',
+      playable: ['spotify:track:t1', 'spotify:track:t2'],
+      blocked: [
+        { uri: 'spotify:track:t3', reason: 'not_playable' },
+        { uri: 'spotify:track:t4', reason: 'not_in_storefront' },
+      ],
+    });
+
+    // ISRC lookups prefer the release that plays in the market
+    const found = await adapter.lookupByIsrc('ISRCt1');
+    assert.deepStrictEqual(calls[1].options, { limit: 5, market: 'GB' });
+    assert.strictEqual(found.id, 't1');
+    assert.strictEqual(found.playable, true);
+    const results = await adapter.searchTracks('artist:Artist', { limit: 2 });
+    assert.deepStrictEqual(results.map(item => item.playable), [false, true]);
+
+    // Without a known market there is nothing to check against
+    const unknown = spotify.createAdapter({ access_token: 'user-token' });
+    assert.strictEqual(unknown.filterPlayable, undefined);
+    await unknown.searchTracks('artist:Artist', { limit: 2 });
+    assert.deepStrictEqual(calls[calls.length - 1].options, { limit: 2 });
+  } finally {
+    Object.assign(SpotifyWebApi.prototype, original);
+  }
+});
+
+test('the playlist report keeps the newest entry per track and resets when the region changes', () => {
+  const first = { region: 'gb', checkedAt: '2026-10-01T00:00:00.000Z', blocked: [{ uri: 'a' }, { uri: 'b' }] };
+  const second = { region: 'gb', checkedAt: '2026-10-02T00:00:00.000Z', blocked: [{ uri: 'b', reason: 'not_playable' }, { uri: 'c' }] };
+
+  assert.deepStrictEqual(mergeRegionReport(first, second), {
+    region: 'gb',
+    checkedAt: '2026-10-02T00:00:00.000Z',
+    blocked: [{ uri: 'b', reason: 'not_playable' }, { uri: 'c' }, { uri: 'a' }],
+  });
+  assert.strictEqual(mergeRegionReport(first, null), first);
+  assert.strictEqual(mergeRegionReport(undefined, null), null);
+  assert.deepStrictEqual(mergeRegionReport(first, { region: 'jp', checkedAt: 'now', blocked: [] }).blocked, []);
+});
+
+run('Testing region availability');
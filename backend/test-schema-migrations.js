@@ -0,0 +1,258 @@
+/**
+ * Test the schema migrations
+ * Runs services/schemaMigrations.js over in-memory SQLite databases, with the real
+ * migrations and with a throwaway set, and the PostgreSQL runner over a stubbed pool
+ * that records the queries it gets and over PGlite (in-process PostgreSQL) with the real
+ * migrations. No database server needed.
+ *
+ *   node test-schema-migrations.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const {
+  loadMigrations, planMigrations, describePlan, migrateSqlite, sqliteStatus, migratePostgres,
+} = require('./services/schemaMigrations');
+const { hashPasswordSync, verifyPassword } = require('./services/passwordService');
+const { createPglitePool } = require('./testing/pglitePool');
+const { test, run, quietly } = require('./testing/suite');
+
+const tableNames = (db) => db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all().map(row => row.name);
+const columnNames = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+
+// Two reversible migrations, for rollbacks and for the PostgreSQL runner
+const throwaway = [
+  {
+    version: 1,
+    name: 'notes',
+    up: { sqlite: ['CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)'], postgres: ['CREATE TABLE notes (id SERIAL PRIMARY KEY, body TEXT)'] },
+    down: { sqlite: ['DROP TABLE notes'], postgres: ['DROP TABLE notes'] },
+  },
+  {
+    version: 2,
+    name: 'note_tags',
+    up: { sqlite: ['ALTER TABLE notes ADD COLUMN IF NOT EXISTS tags TEXT'], postgres: ['ALTER TABLE notes ADD COLUMN IF NOT EXISTS tags TEXT'] },
+    down: { sqlite: ['ALTER TABLE notes DROP COLUMN tags'], postgres: ['ALTER TABLE notes DROP COLUMN tags'] },
+  },
+];
+
+// A pg Pool stand-in: answers the runner's bookkeeping queries from `applied`
+const createPool = ({ applied = [], failOn = null } = {}) => {
+  const queries = [];
+  const client = {
+    query: async (sql, params = []) => {
+      queries.push(sql.trim().split('\n')[0].trim());
+      if (failOn && sql.includes(failOn)) throw new Error('syntax error');
+      if (sql.includes('to_regclass')) return { rows: [{ name: applied.length ? 'schema_migrations' : null }] };
+      if (sql.startsWith('SELECT version')) return { rows: applied };
+      if (sql.startsWith('INSERT INTO schema_migrations')) applied.push({ version: params[0], name: params[1], applied_at: new Date() });
+      return { rows: [] };
+    },
+    release: () => queries.push('release'),
+  };
+  return { queries, applied, connect: async () => client };
+};
+
+test('migrations are read in version order with SQL for both backends', () => {
+  const migrations = loadMigrations();
+  assert.deepStrictEqual(migrations.map(({ version, name }) => [version, name]), [[1, 'baseline'], [2, 'playlist_tables'], [3, 'hash_plaintext_passwords'], [4, 'import_playlist_files']]);
+  assert.strictEqual(migrations[0].down, null);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  try {
+    const body = "module.exports = { up: { sqlite: ['SELECT 1'], postgres: ['SELECT 1'] }, down: null };";
+    fs.writeFileSync(path.join(dir, '001_first.js'), body);
+    fs.writeFileSync(path.join(dir, '01_again.js'), body);
+    assert.throws(() => loadMigrations(dir), /version 1 is used twice/);
+
+    fs.unlinkSync(path.join(dir, '01_again.js'));
+    fs.writeFileSync(path.join(dir, '002_sqlite_only.js'), "module.exports = { up: { sqlite: ['SELECT 1'] } };");
+    assert.throws(() => loadMigrations(dir), /up\.postgres must be an array/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a new database gets every migration, once', () => {
+  const db = new Database(':memory:');
+  const plan = quietly(() => migrateSqlite(db));
+  assert.deepStrictEqual(plan.map(step => step.version), [1, 2, 3, 4]);
+  assert.ok(['users', 'tokens', 'playlists', 'playlist_reactions', 'saved_playlists', 'schema_migrations'].every(table => tableNames(db).includes(table)));
+  assert.ok(columnNames(db, 'tokens').includes('connection_status'));
+
+  assert.deepStrictEqual(migrateSqlite(db), []);
+  assert.deepStrictEqual(sqliteStatus(db).map(row => [row.version, Boolean(row.appliedAt)]), [[1, true], [2, true], [3, true], [4, true]]);
+});
+
+test('a database from before migrations is brought up to date by the baseline', () => {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE users (email TEXT PRIMARY KEY, password TEXT NOT NULL, platform TEXT, user_id TEXT, created_at TEXT NOT NULL, updated_at TEXT);
+    CREATE TABLE tokens (user_id TEXT PRIMARY KEY, access_token TEXT NOT NULL, refresh_token TEXT, developer_token TEXT, platform TEXT, email TEXT, authorized_at TEXT, updated_at TEXT, market TEXT);
+    INSERT INTO tokens (user_id, access_token, market) VALUES ('sam', 'token', 'GB');
+    INSERT INTO users (email, password, created_at) VALUES ('sam@example.com', 'hunter22', '2024-01-01');
+  `);
+  quietly(() => migrateSqlite(db));
+
+  assert.ok(columnNames(db, 'users').includes('deletion_scheduled_at'));
+  assert.ok(columnNames(db, 'tokens').includes('storefront'));
+  assert.deepStrictEqual(db.prepare('SELECT market, connection_status FROM tokens').get(), { market: 'GB', connection_status: 'connected' });
+});
+
+test('plaintext passwords are hashed once, by migration 003', async () => {
+  const db = new Database(':memory:');
+  quietly(() => migrateSqlite(db, { to: 2 }));
+  db.exec(`
+    INSERT INTO users (email, password, created_at) VALUES ('sam@example.com', 'hunter22', '2024-01-01');
+    INSERT INTO users (email, password, created_at) VALUES ('kim@example.com', '${hashPasswordSync('already-hashed')}', '2024-01-01');
+  `);
+  const kimBefore = db.prepare("SELECT password FROM users WHERE email = 'kim@example.com'").get().password;
+
+  assert.deepStrictEqual(quietly(() => migrateSqlite(db, { to: 3 })).map(step => step.name), ['hash_plaintext_passwords']);
+  const sam = db.prepare("SELECT password FROM users WHERE email = 'sam@example.com'").get().password;
+  assert.ok(sam.startsWith('scrypt$'));
+  assert.strictEqual(await verifyPassword('hunter22', sam), true);
+  assert.strictEqual(db.prepare("SELECT password FROM users WHERE email = 'kim@example.com'").get().password, kimBefore);
+  assert.match(describePlan(planMigrations(loadMigrations(), [{ version: 1 }, { version: 2 }]), 'postgres'), /↑ 003_hash_plaintext_passwords\n\n-- hashPostgresPasswords\(\) \(JavaScript\)/);
+
+  // Recorded as applied, so a later start doesn't scan the users again
+  assert.deepStrictEqual(migrateSqlite(db, { to: 3 }), []);
+});
+
+test('the old JSON playlist files beside a database file are imported once and left in place', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'playlist-files-'));
+  const files = {
+    playlists: path.join(dir, '.playlists.json'),
+    reactions: path.join(dir, '.reactions.json'),
+    savedPlaylists: path.join(dir, '.saved_playlists.json'),
+  };
+  fs.writeFileSync(files.playlists, JSON.stringify({ 'ana@example.com': [{ playlistId: 'sp-9', playlistName: 'Imported' }, { playlistName: 'No id' }] }));
+  fs.writeFileSync(files.reactions, JSON.stringify({ 'sp-9': { thumbsUp: ['kim@example.com'], thumbsDown: ['lee@example.com'] } }));
+  fs.writeFileSync(files.savedPlaylists, JSON.stringify({ 'kim@example.com': ['sp-9'] }));
+  const db = new Database(path.join(dir, 'playlist-creator.db'));
+  try {
+    quietly(() => migrateSqlite(db, { to: 3 }));
+    // Saved playlists already has a row, so that file is skipped
+    db.prepare("INSERT INTO saved_playlists (user_id, playlist_id, created_at) VALUES ('sam@example.com', 'sp-1', '2026-01-01')").run();
+
+    assert.deepStrictEqual(quietly(() => migrateSqlite(db)).map(step => step.name), ['import_playlist_files']);
+    const playlist = db.prepare('SELECT user_id, playlist_id, playlist_data FROM playlists').all();
+    assert.deepStrictEqual(playlist.map(row => [row.user_id, row.playlist_id, JSON.parse(row.playlist_data).playlistName]), [['ana@example.com', 'sp-9', 'Imported']]);
+    assert.deepStrictEqual(db.prepare('SELECT user_id, reaction FROM playlist_reactions ORDER BY user_id').all(), [{ user_id: 'kim@example.com', reaction: 'up' }, { user_id: 'lee@example.com', reaction: 'down' }]);
+    assert.deepStrictEqual(db.prepare('SELECT user_id FROM saved_playlists').all(), [{ user_id: 'sam@example.com' }]);
+    assert.ok(Object.values(files).every(file => fs.existsSync(file)));
+
+    // schema_migrations is the record of the import: clearing the tables doesn't bring it back
+    db.exec('DELETE FROM playlists; DELETE FROM playlist_reactions;');
+    assert.deepStrictEqual(migrateSqlite(db), []);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM playlists').get().count, 0);
+  } finally {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an in-memory database imports no playlist files, whatever directory it runs in', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'playlist-files-'));
+  const cwd = process.cwd();
+  fs.writeFileSync(path.join(dir, '.playlists.json'), JSON.stringify({ 'ana@example.com': [{ playlistId: 'sp-9' }] }));
+  try {
+    process.chdir(dir);
+    const db = new Database(':memory:');
+    quietly(() => migrateSqlite(db));
+    assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM playlists').get().count, 0);
+    assert.ok(sqliteStatus(db).find(row => row.version === 4).appliedAt);
+    assert.ok(fs.existsSync(path.join(dir, '.playlists.json')));
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a dry run prints the pending SQL and changes nothing', () => {
+  const db = new Database(':memory:');
+  const plan = migrateSqlite(db, { dryRun: true });
+  assert.deepStrictEqual(plan.map(step => step.name), ['baseline', 'playlist_tables', 'hash_plaintext_passwords', 'import_playlist_files']);
+  assert.deepStrictEqual(tableNames(db), []);
+
+  const text = describePlan(plan, 'sqlite');
+  assert.match(text, /^↑ 001_baseline\n\nCREATE TABLE IF NOT EXISTS users \(\n {2}email TEXT PRIMARY KEY,/);
+  assert.match(text, /↑ 002_playlist_tables/);
+  assert.match(describePlan(plan, 'postgres'), /reaction TEXT NOT NULL CHECK \(reaction IN \('up', 'down'\)\),\n {2}created_at TIMESTAMP/);
+  assert.strictEqual(describePlan([], 'sqlite'), 'Nothing to run');
+});
+
+test('migrations roll back newest first and stop at an irreversible one', () => {
+  const db = new Database(':memory:');
+  quietly(() => migrateSqlite(db, { migrations: throwaway, to: 1 }));
+  assert.deepStrictEqual(columnNames(db, 'notes'), ['id', 'body']);
+  quietly(() => migrateSqlite(db, { migrations: throwaway }));
+  assert.deepStrictEqual(columnNames(db, 'notes'), ['id', 'body', 'tags']);
+
+  assert.deepStrictEqual(quietly(() => migrateSqlite(db, { migrations: throwaway, direction: 'down' })).map(step => step.version), [2]);
+  assert.deepStrictEqual(columnNames(db, 'notes'), ['id', 'body']);
+  quietly(() => migrateSqlite(db, { migrations: throwaway, direction: 'down', to: 0 }));
+  assert.deepStrictEqual(tableNames(db), ['schema_migrations']);
+
+  const real = new Database(':memory:');
+  quietly(() => migrateSqlite(real));
+  quietly(() => migrateSqlite(real, { direction: 'down', to: 1 }));
+  assert.ok(!tableNames(real).includes('saved_playlists'));
+  assert.throws(() => migrateSqlite(real, { direction: 'down' }), error => error.code === 'MIGRATION_ERROR' && /001_baseline can't be rolled back/.test(error.message));
+  assert.throws(() => planMigrations(throwaway, [{ version: 3 }], { direction: 'down' }), /Migration 3 is applied but its file is missing/);
+});
+
+test('a check refuses to start with migrations pending, and a failed migration leaves nothing behind', () => {
+  const db = new Database(':memory:');
+  assert.throws(() => migrateSqlite(db, { checkOnly: true }), /4 pending database migration\(s\) \(001_baseline, 002_playlist_tables, 003_hash_plaintext_passwords, 004_import_playlist_files\)/);
+  assert.deepStrictEqual(tableNames(db), []);
+
+  const broken = [throwaway[0], { ...throwaway[1], up: { sqlite: ['ALTER TABLE notes ADD COLUMN tags TEXT', 'NOT SQL'], postgres: [] } }];
+  assert.throws(() => quietly(() => migrateSqlite(db, { migrations: broken })), /002_note_tags \(up\): near "NOT"/);
+  assert.deepStrictEqual(columnNames(db, 'notes'), ['id', 'body']);
+  assert.deepStrictEqual(sqliteStatus(db, broken).map(row => Boolean(row.appliedAt)), [true, false]);
+});
+
+test('PostgreSQL migrates under a lock, one transaction per migration', async () => {
+  const pool = createPool();
+  const plan = await quietly(() => migratePostgres(pool, { migrations: throwaway }));
+  assert.deepStrictEqual(plan.map(step => step.version), [1, 2]);
+  assert.deepStrictEqual(pool.queries, [
+    'SELECT pg_advisory_lock($1)',
+    "SELECT to_regclass('schema_migrations') AS name",
+    'CREATE TABLE IF NOT EXISTS schema_migrations (',
+    'BEGIN', 'CREATE TABLE notes (id SERIAL PRIMARY KEY, body TEXT)', 'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, NOW())', 'COMMIT',
+    'BEGIN', 'ALTER TABLE notes ADD COLUMN IF NOT EXISTS tags TEXT', 'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, NOW())', 'COMMIT',
+    'SELECT pg_advisory_unlock($1)',
+    'release',
+  ]);
+
+  const failing = createPool({ applied: [{ version: 1, name: 'notes', applied_at: new Date() }], failOn: 'tags' });
+  await assert.rejects(migratePostgres(failing, { migrations: throwaway }), /002_note_tags \(up\): syntax error/);
+  assert.deepStrictEqual(failing.queries.slice(-5), ['BEGIN', 'ALTER TABLE notes ADD COLUMN IF NOT EXISTS tags TEXT', 'ROLLBACK', 'SELECT pg_advisory_unlock($1)', 'release']);
+  assert.strictEqual(failing.applied.length, 1);
+
+  const dry = createPool();
+  assert.strictEqual((await migratePostgres(dry, { migrations: throwaway, dryRun: true })).length, 2);
+  assert.deepStrictEqual(dry.queries, ["SELECT to_regclass('schema_migrations') AS name", 'release']);
+});
+
+test('PostgreSQL runs the real migrations, JavaScript steps included', async () => {
+  const pool = await createPglitePool();
+  try {
+    await quietly(() => migratePostgres(pool, { to: 2 }));
+    await pool.query('INSERT INTO users (email, password, created_at) VALUES ($1, $2, NOW())', ['sam@example.com', 'hunter22']);
+
+    assert.deepStrictEqual((await quietly(() => migratePostgres(pool))).map(step => step.version), [3, 4]);
+    const { rows } = await pool.query('SELECT password FROM users WHERE email = $1', ['sam@example.com']);
+    assert.strictEqual(await verifyPassword('hunter22', rows[0].password), true);
+    assert.deepStrictEqual(await migratePostgres(pool), []);
+  } finally {
+    await pool.end();
+  }
+});
+
+run('Testing schema migrations');
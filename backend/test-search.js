@@ -0,0 +1,152 @@
+/**
+ * Test the unified catalog search
+ * Runs the fake music service as two connected platforms, and the Spotify and Apple Music
+ * adapters against stubbed APIs, through searchService. No network.
+ *
+ *   node test-search.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { loadFakeMusicService } = require('./services/platforms/fake');
+const { parseSearchRequest, searchPlatforms } = require('./services/searchService');
+const spotify = require('./services/platforms/spotify');
+const apple = require('./services/platforms/apple');
+const SpotifyWebApi = require('spotify-web-api-node');
+const AppleMusicService = require('./services/appleMusicService');
+const { test, run } = require('./testing/suite');
+
+const music = loadFakeMusicService(path.join(__dirname, 'fixtures', 'fake-music-catalog.json'));
+const spotifyFake = music.createAdapter({ id: 'spotify', uriPrefix: 'spotify:track:' });
+const appleFake = music.createAdapter({ id: 'apple', uriPrefix: 'apple:track:' });
+
+test('requests are validated and default to every type', () => {
+  assert.deepStrictEqual(parseSearchRequest({ query: '  m83 ' }), { query: 'm83', types: ['tracks', 'artists', 'albums'], limit: 10, offset: 0 });
+  assert.deepStrictEqual(parseSearchRequest({ query: 'm83', types: 'albums,tracks', limit: '5', offset: '10' }),
+    { query: 'm83', types: ['tracks', 'albums'], limit: 5, offset: 10 });
+
+  const status = (params) => {
+    try { parseSearchRequest(params); } catch (error) { return error.status; }
+    return null;
+  };
+  assert.strictEqual(status({ query: ' ' }), 400);
+  assert.strictEqual(status({ query: 'm83', types: ['playlists'] }), 400);
+  assert.strictEqual(status({ query: 'm83', limit: 26 }), 400);
+  assert.strictEqual(status({ query: 'm83', offset: -1 }), 400);
+});
+
+test('results from every connected platform come back in one shape, interleaved', async () => {
+  const results = await searchPlatforms([spotifyFake, appleFake], parseSearchRequest({ query: 'm83' }));
+
+  assert.deepStrictEqual(results.platforms, ['spotify', 'apple']);
+  assert.deepStrictEqual(results.tracks.map(track => track.uri), ['spotify:track:fk0001', 'apple:track:fk0001']);
+  assert.deepStrictEqual(results.tracks[0], {
+    type: 'track',
+    id: 'fk0001',
+    uri: 'spotify:track:fk0001',
+    name: 'Midnight City',
+    artist: 'M83',
+    artists: [{ id: 'fake-artist-m83', name: 'M83' }],
+    album: "Hurry Up, We're Dreaming",
+    image: null,
+    url: 'https://fake.music/spotify/track/fk0001',
+    durationMs: 243000,
+    explicit: false,
+    playable: true,
+    platform: 'spotify',
+  });
+  assert.deepStrictEqual(results.artists.map(artist => [artist.type, artist.name, artist.platform]), [['artist', 'M83', 'spotify'], ['artist', 'M83', 'apple']]);
+  assert.deepStrictEqual(results.albums.map(album => [album.type, album.artist, album.trackCount]), [['album', 'M83', 1], ['album', 'M83', 1]]);
+  assert.strictEqual(results.nextOffset, null);
+});
+
+test('pages follow nextOffset until the last one', async () => {
+  const all = (await searchPlatforms([spotifyFake], parseSearchRequest({ query: 'tame impala', types: 'tracks', limit: 25 }))).tracks;
+  assert.strictEqual(all.length, 2);
+
+  const seen = [];
+  let offset = 0;
+  while (offset !== null) {
+    const page = await searchPlatforms([spotifyFake], parseSearchRequest({ query: 'tame impala', types: 'tracks', limit: 1, offset }));
+    assert.strictEqual(page.tracks.length, 1);
+    seen.push(...page.tracks.map(track => track.id));
+    offset = page.nextOffset;
+  }
+  assert.deepStrictEqual(seen, all.map(track => track.id));
+});
+
+test('one failing platform is reported while the others answer', async () => {
+  const broken = { platform: 'apple', searchCatalog: async () => { throw new Error('catalog down'); } };
+  const youtube = { platform: 'youtube', searchTracks: async () => [] };
+  const results = await searchPlatforms([spotifyFake, broken, youtube], parseSearchRequest({ query: 'm83', types: 'tracks' }));
+
+  assert.deepStrictEqual(results.platforms, ['spotify']);
+  assert.deepStrictEqual(results.failed, [{ platform: 'apple', error: 'catalog down' }]);
+  assert.strictEqual(results.tracks.length, 1);
+  assert.strictEqual(results.artists, undefined);
+
+  // Every platform failing surfaces that platform's error (e.g. a revoked connection)
+  await assert.rejects(searchPlatforms([broken], parseSearchRequest({ query: 'm83' })), /catalog down/);
+  await assert.rejects(searchPlatforms([youtube], parseSearchRequest({ query: 'm83' })), error => error.status === 409);
+});
+
+test('the Spotify adapter searches every type in one request', async () => {
+  const calls = [];
+  const originalSearch = SpotifyWebApi.prototype.search;
+  SpotifyWebApi.prototype.search = async (query, types, options) => {
+    calls.push({ query, types, options });
+    return {
+      body: {
+        artists: { items: [{ id: 'a1', name: 'M83', images: [{ url: 'https://img/a1' }], genres: ['synthpop'], uri: 'spotify:artist:a1' }], next: 'https://api.spotify.com/next' },
+        albums: { items: [null, { id: 'al1', name: 'Saturdays = Youth', artists: [{ id: 'a1', name: 'M83' }], images: [], release_date: '2008-04-11', total_tracks: 11 }], next: null },
+      },
+    };
+  };
+  try {
+    const adapter = spotify.createAdapter({ access_token: 'user-token', market: 'GB' });
+    const results = await searchPlatforms([adapter], parseSearchRequest({ query: 'm83', types: ['artists', 'albums'], limit: 5, offset: 5 }));
+
+    assert.deepStrictEqual(calls, [{ query: 'm83', types: ['artist', 'album'], options: { limit: 5, offset: 5, market: 'GB' } }]);
+    assert.strictEqual(results.artists[0].image, 'https://img/a1');
+    assert.deepStrictEqual(results.albums, [{
+      type: 'album', id: 'al1', name: 'Saturdays = Youth', artist: 'M83', image: null,
+      releaseDate: '2008-04-11', trackCount: 11, url: null, platform: 'spotify',
+    }]);
+    assert.strictEqual(results.nextOffset, 10);
+  } finally {
+    SpotifyWebApi.prototype.search = originalSearch;
+  }
+});
+
+test('the Apple Music adapter searches songs, artists and albums in the user\'s storefront', async () => {
+  const requests = [];
+  const originalRequest = AppleMusicService.prototype.request;
+  AppleMusicService.prototype.request = async (endpoint, userToken, options) => {
+    requests.push({ endpoint, params: options.params });
+    return {
+      results: {
+        songs: {
+          data: [{ id: '100', attributes: { name: 'Wait', artistName: 'M83', albumName: 'Hurry Up', artwork: { url: 'https://img/{w}x{h}.jpg' }, playParams: { id: '100' } } }],
+          next: '/v1/catalog/jp/search?offset=3',
+        },
+        artists: { data: [{ id: '200', attributes: { name: 'M83', genreNames: ['Electronic'], url: 'https://music.apple.com/jp/artist/200' } }] },
+      },
+    };
+  };
+  try {
+    const adapter = apple.createAdapter({ access_token: 'music-user-token', storefront: 'jp' }, { developerToken: 'developer-token' });
+    const results = await searchPlatforms([adapter], parseSearchRequest({ query: 'm83', limit: 3 }));
+
+    assert.deepStrictEqual(requests, [{ endpoint: '/catalog/jp/search', params: { term: 'm83', types: 'songs,artists,albums', limit: 3, offset: 0 } }]);
+    assert.strictEqual(results.tracks[0].uri, 'apple:track:100');
+    assert.strictEqual(results.tracks[0].image, 'https://img/640x640.jpg');
+    assert.strictEqual(results.tracks[0].url, 'https://music.apple.com/jp/song/100');
+    assert.deepStrictEqual(results.artists[0].genres, ['Electronic']);
+    assert.deepStrictEqual(results.albums, []);
+    assert.strictEqual(results.nextOffset, 3);
+  } finally {
+    AppleMusicService.prototype.request = originalRequest;
+  }
+});
+
+run('Testing catalog search');
@@ -0,0 +1,126 @@
+/**
+ * Test the Spotify token manager
+ * Checks that access tokens refresh only near expiry, that concurrent requests for one
+ * user share a single refresh, that the refreshed token is handed over for persisting,
+ * and that a revoked grant becomes a PLATFORM_RECONNECT_REQUIRED error. Runs against a
+ * stubbed refresh call and clock — no network.
+ *
+ *   node test-spotify-tokens.js
+ */
+
+const assert = require('assert');
+const { createSpotifyTokenManager } = require('./services/spotifyTokenManager');
+const { test, run } = require('./testing/suite');
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const inMinutes = (minutes) => new Date(NOW + minutes * 60 * 1000).toISOString();
+
+// Token manager whose refresh call is recorded and answers with `respond(refreshToken)`
+function createManager(respond = () => ({ access_token: 'fresh-access', expires_in: 3600 })) {
+  const refreshes = [];
+  const manager = createSpotifyTokenManager({
+    now: () => NOW,
+    refreshAccessToken: async (refreshToken) => {
+      refreshes.push(refreshToken);
+      await new Promise(resolve => setImmediate(resolve));
+      return respond(refreshToken);
+    },
+  });
+  return { manager, refreshes };
+}
+
+test('a token well before expiry is used as is', async () => {
+  const { manager, refreshes } = createManager();
+  const tokens = { access_token: 'current', refresh_token: 'refresh', expires_at: inMinutes(30) };
+
+  await manager.ensureFresh('spotify_a', tokens);
+
+  assert.deepStrictEqual(refreshes, []);
+  assert.strictEqual(tokens.access_token, 'current');
+});
+
+test('a token about to expire is refreshed and persisted with its expiry', async () => {
+  const { manager, refreshes } = createManager(() => ({ access_token: 'fresh-access', expires_in: 3600, refresh_token: 'rotated' }));
+  const tokens = { access_token: 'current', refresh_token: 'refresh', expires_at: inMinutes(2) };
+  const persisted = [];
+
+  await manager.ensureFresh('spotify_a', tokens, (accessToken, details) => persisted.push([accessToken, details]));
+
+  assert.deepStrictEqual(refreshes, ['refresh']);
+  assert.deepStrictEqual(tokens, { access_token: 'fresh-access', refresh_token: 'rotated', expires_at: inMinutes(60) });
+  assert.deepStrictEqual(persisted, [['fresh-access', { expiresAt: inMinutes(60), refreshToken: 'rotated' }]]);
+});
+
+test('a token with no recorded expiry is refreshed once to learn it', async () => {
+  const { manager, refreshes } = createManager();
+  const tokens = { access_token: 'current', refresh_token: 'refresh' };
+
+  await manager.ensureFresh('spotify_a', tokens);
+  await manager.ensureFresh('spotify_a', tokens);
+
+  assert.strictEqual(refreshes.length, 1);
+  assert.strictEqual(tokens.expires_at, inMinutes(60));
+  assert.strictEqual(tokens.refresh_token, 'refresh');
+});
+
+test('concurrent requests for one user share a single refresh', async () => {
+  const { manager, refreshes } = createManager();
+  const persisted = [];
+  const requests = [1, 2, 3].map(() => ({ access_token: 'current', refresh_token: 'refresh', expires_at: inMinutes(-1) }));
+
+  await Promise.all(requests.map(tokens => manager.ensureFresh('spotify_a', tokens, accessToken => persisted.push(accessToken))));
+
+  assert.strictEqual(refreshes.length, 1);
+  assert.deepStrictEqual(persisted, ['fresh-access']);
+  assert.ok(requests.every(tokens => tokens.access_token === 'fresh-access'));
+});
+
+test('different users refresh independently', async () => {
+  const { manager, refreshes } = createManager(refreshToken => ({ access_token: `access-for-${refreshToken}`, expires_in: 3600 }));
+  const a = { access_token: 'a', refresh_token: 'refresh-a', expires_at: inMinutes(-1) };
+  const b = { access_token: 'b', refresh_token: 'refresh-b', expires_at: inMinutes(-1) };
+
+  await Promise.all([manager.ensureFresh('spotify_a', a), manager.ensureFresh('spotify_b', b)]);
+
+  assert.deepStrictEqual(refreshes.sort(), ['refresh-a', 'refresh-b']);
+  assert.strictEqual(a.access_token, 'access-for-refresh-a');
+  assert.strictEqual(b.access_token, 'access-for-refresh-b');
+});
+
+test('a revoked grant asks the user to reconnect', async () => {
+  const { manager } = createManager(() => {
+    const error = new Error('An authentication error occurred while communicating with Spotify\'s Web API.');
+    error.body = { error: 'invalid_grant', error_description: 'Refresh token revoked' };
+    error.statusCode = 400;
+    throw error;
+  });
+  const tokens = { access_token: 'current', refresh_token: 'revoked', expires_at: inMinutes(1) };
+
+  await assert.rejects(manager.ensureFresh('spotify_a', tokens), error =>
+    error.status === 401 && error.code === 'PLATFORM_RECONNECT_REQUIRED' && error.platform === 'spotify');
+  assert.strictEqual(tokens.access_token, 'current');
+});
+
+test('a failed refresh keeps a still-valid token but not an expired one', async () => {
+  const { manager, refreshes } = createManager(() => { throw new Error('socket hang up'); });
+  const valid = { access_token: 'current', refresh_token: 'refresh', expires_at: inMinutes(3) };
+  const expired = { access_token: 'stale', refresh_token: 'refresh', expires_at: inMinutes(-5) };
+
+  await manager.ensureFresh('spotify_a', valid);
+  await assert.rejects(manager.ensureFresh('spotify_a', expired), /socket hang up/);
+
+  assert.strictEqual(refreshes.length, 2);
+  assert.strictEqual(valid.access_token, 'current');
+});
+
+test('tokens without a refresh token are left alone', async () => {
+  const { manager, refreshes } = createManager();
+  const tokens = { access_token: 'current' };
+
+  await manager.ensureFresh('spotify_a', tokens);
+
+  assert.deepStrictEqual(refreshes, []);
+  assert.deepStrictEqual(tokens, { access_token: 'current' });
+});
+
+run('Testing the Spotify token manager');
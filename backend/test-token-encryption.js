@@ -0,0 +1,98 @@
+/**
+ * Test envelope encryption of stored platform tokens
+ * Round-trips tokens, reads legacy plaintext, rotates keys by re-wrapping data keys and
+ * rejects tampered values and values moved to another user or column — with throwaway
+ * keys, no database.
+ *
+ *   node test-token-encryption.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { createTokenEncryption } = require('./services/tokenEncryptionService');
+const { test, run } = require('./testing/suite');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+const oldKeys = { 2025: newKey() };
+const rotatedKeys = { 2026: newKey(), ...oldKeys };
+const samRefresh = { userId: 'spotify_sam', column: 'refresh_token' };
+
+test('tokens round-trip and never store the plaintext', () => {
+  const encryption = createTokenEncryption({ keys: oldKeys });
+  const stored = encryption.encrypt('BQD-spotify-refresh-token', samRefresh);
+
+  assert.ok(stored.startsWith('enc:v1:2025:'));
+  assert.ok(!stored.includes('spotify-refresh'));
+  assert.notStrictEqual(encryption.encrypt('BQD-spotify-refresh-token', samRefresh), stored);
+  assert.strictEqual(encryption.decrypt(stored, samRefresh), 'BQD-spotify-refresh-token');
+});
+
+test('legacy plaintext and empty values pass through', () => {
+  const encryption = createTokenEncryption({ keys: oldKeys });
+
+  assert.strictEqual(encryption.decrypt('plain-token', samRefresh), 'plain-token');
+  assert.strictEqual(encryption.encrypt(null, samRefresh), null);
+  assert.strictEqual(encryption.decrypt(null, samRefresh), null);
+  assert.strictEqual(encryption.needsRewrap('plain-token'), true);
+  assert.strictEqual(encryption.needsRewrap(null), false);
+});
+
+test('rotation re-wraps the data key and keeps the ciphertext', () => {
+  const stored = createTokenEncryption({ keys: oldKeys }).encrypt('apple-music-user-token', samRefresh);
+  const rotated = createTokenEncryption({ keys: rotatedKeys, activeKeyId: '2026' });
+
+  assert.strictEqual(rotated.needsRewrap(stored), true);
+  const rewrapped = rotated.rewrap(stored, samRefresh);
+  assert.ok(rewrapped.startsWith('enc:v1:2026:'));
+  assert.strictEqual(rewrapped.split(':').pop(), stored.split(':').pop());
+  assert.strictEqual(rotated.needsRewrap(rewrapped), false);
+
+  // Once every value is re-wrapped, the old key can go
+  assert.strictEqual(createTokenEncryption({ keys: { 2026: rotatedKeys[2026] } }).decrypt(rewrapped, samRefresh), 'apple-music-user-token');
+
+  // Plaintext is encrypted for the row and column it's in
+  assert.strictEqual(rotated.decrypt(rotated.rewrap('plain-token', samRefresh), samRefresh), 'plain-token');
+});
+
+test('a value wrapped with a missing key fails loudly', () => {
+  const stored = createTokenEncryption({ keys: oldKeys }).encrypt('token', samRefresh);
+  const other = createTokenEncryption({ keys: { 2026: newKey() } });
+
+  assert.throws(() => other.decrypt(stored, samRefresh), error => error.code === 'TOKEN_KEY_MISSING');
+});
+
+test('tampered values are rejected', () => {
+  const encryption = createTokenEncryption({ keys: oldKeys });
+  const parts = encryption.encrypt('token', samRefresh).split(':');
+  const ciphertext = Buffer.from(parts[4], 'base64url');
+  ciphertext[ciphertext.length - 1] ^= 1;
+  parts[4] = ciphertext.toString('base64url');
+
+  assert.throws(() => encryption.decrypt(parts.join(':'), samRefresh), error => error.code === 'TOKEN_DECRYPT_FAILED');
+});
+
+test('a value moved to another user or column is rejected', () => {
+  const encryption = createTokenEncryption({ keys: oldKeys });
+  const stored = encryption.encrypt('sam-refresh-token', samRefresh);
+  const isRejected = error => error.code === 'TOKEN_DECRYPT_FAILED';
+
+  // Copied into another user's row, or into the access_token column of the same row
+  assert.throws(() => encryption.decrypt(stored, { userId: 'spotify_kim', column: 'refresh_token' }), isRejected);
+  assert.throws(() => encryption.decrypt(stored, { userId: 'spotify_sam', column: 'access_token' }), isRejected);
+
+  // Re-wrapping for a new key keeps the binding
+  const rewrapped = createTokenEncryption({ keys: rotatedKeys, activeKeyId: '2026' }).rewrap(stored, samRefresh);
+  assert.throws(() => createTokenEncryption({ keys: rotatedKeys }).decrypt(rewrapped, { userId: 'spotify_kim', column: 'refresh_token' }), isRejected);
+
+  // Without a context there is nothing to bind to
+  assert.throws(() => encryption.encrypt('token'), error => error.code === 'TOKEN_CONTEXT_MISSING');
+  assert.throws(() => encryption.decrypt(stored), error => error.code === 'TOKEN_CONTEXT_MISSING');
+});
+
+test('bad key configuration is refused', () => {
+  assert.throws(() => createTokenEncryption({ keys: { short: 'c2hvcnQ=' } }), error => error.code === 'TOKEN_KEY_INVALID');
+  assert.throws(() => createTokenEncryption({ keys: oldKeys, activeKeyId: 'nope' }), error => error.code === 'TOKEN_KEY_INVALID');
+  assert.strictEqual(createTokenEncryption().encrypt('token', samRefresh), 'token');
+});
+
+run('Testing token encryption');
@@ -0,0 +1,195 @@
+/**
+ * Test the auto-update queue
+ * Runs services/updateQueueService.js and the update_jobs methods of the SQLite backend
+ * on an in-memory database: one job per playlist, leases that two workers can't share,
+ * leases that expire and are taken over, and retries that end in a failed job.
+ * processUpdate is a stub; nothing is generated or pushed.
+ *
+ *   node test-update-queue.js
+ */
+
+process.env.SQLITE_PATH = ':memory:';
+
+const assert = require('assert');
+const db = require('./database');
+const { createUpdateQueue } = require('./services/updateQueueService');
+const { test, run, quietly } = require('./testing/suite');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const jobFor = (playlistId) => db.getUpdateJobs({ playlistId, limit: 1 })[0];
+
+// A queue over the real database whose playlists are `playlists` (playlistId → playlist)
+function queueFor(playlists, options = {}) {
+  return createUpdateQueue({
+    db,
+    findPlaylist: (userId, playlistId) => playlists[playlistId],
+    processUpdate: async () => {},
+    ...options,
+  });
+}
+
+// Wait until the queue has had nothing running for a moment: a finished job starts a
+// drain, which may lease the next one
+async function settle(queue) {
+  for (let idleChecks = 0, i = 0; idleChecks < 2 && i < 400; i++) {
+    await sleep(5);
+    idleChecks = queue.activeCount() === 0 ? idleChecks + 1 : 0;
+  }
+}
+
+test('a playlist has one queued job at a time', async () => {
+  const playlists = { 'sp-1': { playlistId: 'sp-1', playlistName: 'Night Drive' } };
+  const queue = queueFor(playlists);
+
+  const job = await quietly(() => queue.enqueue('sam@example.com', playlists['sp-1']));
+  assert.strictEqual(job.status, 'pending');
+  assert.strictEqual(job.maxAttempts, 3);
+  assert.strictEqual(await quietly(() => queue.enqueue('sam@example.com', playlists['sp-1'])), null);
+  assert.strictEqual(db.getUpdateJobs({ playlistId: 'sp-1' }).length, 1);
+
+  // Once it has run the playlist can be queued again
+  await quietly(async () => { await queue.drain(); await settle(queue); });
+  assert.strictEqual(jobFor('sp-1').status, 'succeeded');
+  assert.ok(await quietly(() => queue.enqueue('sam@example.com', playlists['sp-1'])));
+  db.leaseUpdateJobs('cleanup', 10, 60000).forEach(leased => db.completeUpdateJob(leased.id, 'cleanup'));
+});
+
+test('two workers never lease the same job', async () => {
+  for (const playlistId of ['sp-2', 'sp-3', 'sp-4']) db.enqueueUpdateJob('sam@example.com', playlistId);
+
+  const first = db.leaseUpdateJobs('worker-a', 2, 60000);
+  const second = db.leaseUpdateJobs('worker-b', 2, 60000);
+  assert.strictEqual(first.length, 2);
+  assert.strictEqual(second.length, 1);
+  assert.deepStrictEqual([...first, ...second].map(job => job.playlistId).sort(), ['sp-2', 'sp-3', 'sp-4']);
+  assert.ok(first.every(job => job.status === 'running' && job.lockedBy === 'worker-a' && job.attempts === 1));
+  assert.deepStrictEqual(db.leaseUpdateJobs('worker-c', 5, 60000), []);
+
+  // A worker can only finish a job it holds the lease on
+  db.completeUpdateJob(second[0].id, 'worker-a');
+  assert.strictEqual(jobFor(second[0].playlistId).status, 'running');
+  [...first, ...second].forEach(job => db.completeUpdateJob(job.id, job.lockedBy));
+
+  // Two queues draining the same jobs at once each run a job once
+  const playlists = {};
+  const runs = [];
+  for (const playlistId of ['sp-5', 'sp-6', 'sp-7', 'sp-8']) {
+    playlists[playlistId] = { playlistId, playlistName: playlistId };
+    db.enqueueUpdateJob('sam@example.com', playlistId);
+  }
+  const processUpdate = async (userId, playlist) => { runs.push(playlist.playlistId); await sleep(10); };
+  const queueA = queueFor(playlists, { workerId: 'worker-a', maxConcurrent: 3, processUpdate });
+  const queueB = queueFor(playlists, { workerId: 'worker-b', maxConcurrent: 3, processUpdate });
+  await quietly(async () => {
+    await Promise.all([queueA.drain(), queueB.drain()]);
+    await Promise.all([settle(queueA), settle(queueB)]);
+  });
+  assert.deepStrictEqual(runs.sort(), ['sp-5', 'sp-6', 'sp-7', 'sp-8']);
+  assert.ok(Object.keys(playlists).every(playlistId => jobFor(playlistId).status === 'succeeded'));
+});
+
+test('a job whose lease expired is leased again, and the old worker can no longer finish it', () => {
+  db.enqueueUpdateJob('sam@example.com', 'sp-9');
+  const [stale] = db.leaseUpdateJobs('worker-a', 1, -1000);
+
+  const [retaken] = db.leaseUpdateJobs('worker-b', 1, 60000);
+  assert.strictEqual(retaken.id, stale.id);
+  assert.strictEqual(retaken.lockedBy, 'worker-b');
+  assert.strictEqual(retaken.attempts, 2);
+
+  db.failUpdateJob(stale.id, 'worker-a', 'too late');
+  assert.strictEqual(jobFor('sp-9').status, 'running');
+  db.completeUpdateJob(retaken.id, 'worker-b');
+  assert.strictEqual(jobFor('sp-9').status, 'succeeded');
+
+  // An expired lease on the last attempt fails the job instead
+  db.enqueueUpdateJob('sam@example.com', 'sp-10', { maxAttempts: 1 });
+  db.leaseUpdateJobs('worker-a', 1, -1000);
+  assert.deepStrictEqual(db.leaseUpdateJobs('worker-b', 1, 60000), []);
+  assert.deepStrictEqual(
+    (({ status, lastError, lockedBy }) => ({ status, lastError, lockedBy }))(jobFor('sp-10')),
+    { status: 'failed', lastError: 'Lease expired before the job finished', lockedBy: null }
+  );
+});
+
+test('a failing job is retried with backoff, then marked failed', async () => {
+  const playlists = { 'sp-11': { playlistId: 'sp-11', playlistName: 'Flaky' } };
+  const attempts = [];
+  const queue = queueFor(playlists, {
+    backoffBaseMs: 0,
+    processUpdate: async () => { attempts.push(Date.now()); throw new Error('Spotify is down'); },
+  });
+  await quietly(async () => {
+    await queue.enqueue('sam@example.com', playlists['sp-11']);
+    await queue.drain();
+    await settle(queue);
+  });
+  assert.strictEqual(attempts.length, 3);
+  assert.deepStrictEqual(
+    (({ status, attempts: tries, lastError, finishedAt }) => ({ status, tries, lastError, finished: !!finishedAt }))(jobFor('sp-11')),
+    { status: 'failed', tries: 3, lastError: 'Spotify is down', finished: true }
+  );
+
+  // The retry waits out the backoff: base × 2^(attempt - 1)
+  const slow = queueFor(playlists, {
+    backoffBaseMs: 60000,
+    processUpdate: async () => { throw new Error('Spotify is down'); },
+  });
+  const [job] = await quietly(async () => {
+    await slow.enqueue('sam@example.com', playlists['sp-11']);
+    return db.leaseUpdateJobs(slow.workerId, 1, 60000);
+  });
+  await quietly(() => slow.runJob(job));
+  const pending = jobFor('sp-11');
+  assert.strictEqual(pending.status, 'pending');
+  const delay = Date.parse(pending.runAt) - Date.now();
+  assert.ok(delay > 55000 && delay <= 60000, String(delay));
+  assert.deepStrictEqual(db.leaseUpdateJobs('worker-b', 1, 60000), []);
+});
+
+test('an error that retrying can’t fix, or a deleted playlist, fails the job at once', async () => {
+  const playlists = { 'sp-12': { playlistId: 'sp-12', playlistName: 'Disconnected' } };
+  const queue = queueFor(playlists, {
+    processUpdate: async () => {
+      const err = new Error('Spotify is no longer connected');
+      err.retryable = false;
+      throw err;
+    },
+  });
+  await quietly(async () => {
+    await queue.enqueue('sam@example.com', playlists['sp-12']);
+    await queue.drain();
+    await settle(queue);
+  });
+  assert.deepStrictEqual([jobFor('sp-12').status, jobFor('sp-12').attempts], ['failed', 1]);
+
+  await quietly(async () => {
+    await queue.enqueue('sam@example.com', { playlistId: 'sp-gone', playlistName: 'Deleted' });
+    await queue.drain();
+    await settle(queue);
+  });
+  assert.deepStrictEqual([jobFor('sp-gone').status, jobFor('sp-gone').lastError], ['failed', 'Playlist no longer exists']);
+});
+
+test('a queue runs at most maxConcurrent jobs at once', async () => {
+  const playlists = {};
+  for (let i = 0; i < 5; i++) {
+    playlists[`sp-c${i}`] = { playlistId: `sp-c${i}`, playlistName: `Playlist ${i}` };
+    db.enqueueUpdateJob('sam@example.com', `sp-c${i}`);
+  }
+  let running = 0;
+  let mostAtOnce = 0;
+  const queue = queueFor(playlists, {
+    maxConcurrent: 2,
+    processUpdate: async () => {
+      mostAtOnce = Math.max(mostAtOnce, ++running);
+      await sleep(10);
+      running--;
+    },
+  });
+  await quietly(async () => { await queue.drain(); await settle(queue); });
+  assert.strictEqual(mostAtOnce, 2);
+  assert.ok(Object.keys(playlists).every(playlistId => jobFor(playlistId).status === 'succeeded'));
+});
+
+run('Testing the auto-update queue');
@@ -0,0 +1,160 @@
+/**
+ * Test generation usage metering
+ * services/usageService.js: calls are counted against the meter active for the request
+ * that made them (AsyncLocalStorage), requests served at the same time keep their own
+ * counts, summarizeMeter prices a finished meter, and the SQLite backend's usage report
+ * totals the stored rows — on an in-memory database, with a throwaway Express app
+ * standing in for the generate route.
+ *
+ *   node test-usage.js
+ */
+
+process.env.SQLITE_PATH = ':memory:';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const express = require('express');
+const db = require('./database');
+const usage = require('./services/usageService');
+const { test, run, quietly } = require('./testing/suite');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stands in for an SDK client: request methods return promises, helpers don't
+class FakePlatformClient {
+  async searchTracks() { await sleep(1); return []; }
+  getAccessToken() { return 'token'; }
+}
+const PlatformClient = usage.instrumentPlatformClient(FakePlatformClient, 'spotify');
+
+test('only calls made inside a meter are counted, however deep the awaits go', async () => {
+  usage.recordModelCall('claude-sonnet-4-6', { inputTokens: 100, outputTokens: 10 });
+  usage.recordSoundChartsCall();
+  assert.strictEqual(usage.currentMeter(), undefined);
+
+  const meter = usage.createMeter({ generationId: 'gen-1', userId: 'sam@example.com', trigger: 'user' });
+  assert.strictEqual(usage.hasUsage(meter), false);
+  await usage.runWithMeter(meter, async () => {
+    usage.setPromptType('artist');
+    await sleep(1);
+    await new Promise(resolve => setTimeout(() => { usage.recordSoundChartsCall(); resolve(); }, 1));
+    await Promise.all([1, 2].map(async () => usage.recordModelCall('claude-sonnet-4-6', { inputTokens: 1000, outputTokens: 200 })));
+
+    const client = new PlatformClient();
+    await client.searchTracks('boygenius');
+    client.getAccessToken();
+    usage.recordPlatformCall('apple');
+  });
+  usage.recordPlatformCall('apple');
+
+  assert.strictEqual(meter.promptType, 'artist');
+  assert.strictEqual(meter.modelCalls.length, 2);
+  assert.strictEqual(meter.soundchartsCalls, 1);
+  assert.deepStrictEqual(meter.platformCalls, { spotify: 1, apple: 1 });
+  assert.strictEqual(usage.hasUsage(meter), true);
+});
+
+test('requests served at the same time are metered separately', async () => {
+  // Meters each request the way generatePlaylistHandler does
+  const meters = {};
+  const app = express();
+  app.get('/generate/:userId', async (req, res) => {
+    const meter = usage.createMeter({ generationId: crypto.randomUUID(), userId: req.params.userId, trigger: 'user' });
+    meters[req.params.userId] = meter;
+    await usage.runWithMeter(meter, async () => {
+      const calls = Number(req.query.calls);
+      const client = new PlatformClient();
+      for (let i = 0; i < calls; i++) {
+        await sleep(Math.random() * 5);
+        usage.recordModelCall('claude-haiku-4-5-20251001', { inputTokens: 10, outputTokens: 1 });
+        await client.searchTracks();
+      }
+      res.json({ ok: true });
+    });
+  });
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const requests = { 'sam@example.com': 3, 'kim@example.com': 7, 'lee@example.com': 1 };
+  try {
+    await Promise.all(Object.entries(requests).map(([userId, calls]) => fetch(`${url}/generate/${userId}?calls=${calls}`)));
+  } finally {
+    server.close();
+  }
+
+  for (const [userId, calls] of Object.entries(requests)) {
+    assert.strictEqual(meters[userId].userId, userId);
+    assert.strictEqual(meters[userId].modelCalls.length, calls, userId);
+    assert.deepStrictEqual(meters[userId].platformCalls, { spotify: calls }, userId);
+  }
+});
+
+test('a finished meter is priced per model, with SoundCharts at its configured rate', () => {
+  const meter = usage.createMeter({ generationId: 'gen-2', userId: 'spotify_sam', trigger: 'auto-update' });
+  meter.promptType = 'genre';
+  meter.modelCalls.push(
+    { model: 'claude-sonnet-4-6', inputTokens: 1000000, outputTokens: 100000 },
+    { model: 'gemini-2.5-flash', inputTokens: 200000, outputTokens: 0 },
+    { model: 'some-new-model', inputTokens: 0, outputTokens: 1000000 }
+  );
+  meter.soundchartsCalls = 4;
+  meter.platformCalls = { spotify: 5, apple: 2 };
+
+  process.env.SOUNDCHARTS_COST_PER_CALL = '0.01';
+  const row = usage.summarizeMeter(meter, { email: 'sam@example.com', plan: 'paid', status: 'completed' });
+  delete process.env.SOUNDCHARTS_COST_PER_CALL;
+
+  assert.deepStrictEqual(
+    (({ generationId, userId, email, plan, promptType, trigger, status, llmCalls, inputTokens, outputTokens, soundchartsCalls, platformCalls }) =>
+      ({ generationId, userId, email, plan, promptType, trigger, status, llmCalls, inputTokens, outputTokens, soundchartsCalls, platformCalls }))(row),
+    {
+      generationId: 'gen-2', userId: 'spotify_sam', email: 'sam@example.com', plan: 'paid', promptType: 'genre',
+      trigger: 'auto-update', status: 'completed', llmCalls: 3, inputTokens: 1200000, outputTokens: 1100000,
+      soundchartsCalls: 4, platformCalls: 7,
+    }
+  );
+  // Sonnet $3 + $1.50, Flash $0.06, an unpriced model at Sonnet's rate $15, SoundCharts $0.04
+  assert.strictEqual(row.costUsd.toFixed(4), '19.6000');
+  assert.strictEqual(row.details.models['claude-sonnet-4-6'].costUsd, 4.5);
+  assert.strictEqual(row.details.soundchartsCostUsd, 0.04);
+
+  // Unknown email and plan fall back rather than failing the row
+  const anonymous = usage.summarizeMeter(usage.createMeter({ generationId: 'gen-3', trigger: 'user' }), { status: 'failed' });
+  assert.deepStrictEqual([anonymous.userId, anonymous.email, anonymous.plan, anonymous.promptType, anonymous.costUsd], [null, null, 'free', 'unknown', 0]);
+});
+
+test('the usage report totals stored generations by user, plan or prompt type', () => {
+  const store = (generationId, { email, plan, promptType, status = 'completed', calls, daysAgo = 0 }) => {
+    const meter = usage.createMeter({ generationId, userId: email, trigger: 'user' });
+    meter.promptType = promptType;
+    meter.startedAt = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+    for (let i = 0; i < calls; i++) meter.modelCalls.push({ model: 'claude-sonnet-4-6', inputTokens: 100000, outputTokens: 10000 });
+    quietly(() => db.recordGenerationUsage(usage.summarizeMeter(meter, { email, plan, status })));
+  };
+  // $0.45 per call
+  store('r-1', { email: 'sam@example.com', plan: 'paid', promptType: 'artist', calls: 2 });
+  store('r-2', { email: 'sam@example.com', plan: 'paid', promptType: 'genre', calls: 1, status: 'failed' });
+  store('r-3', { email: 'kim@example.com', plan: 'free', promptType: 'artist', calls: 1 });
+  store('r-4', { email: 'kim@example.com', plan: 'free', promptType: 'artist', calls: 5, daysAgo: 40 });
+
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const byUser = db.getUsageReport({ groupBy: 'user', since });
+  assert.deepStrictEqual(byUser.map(row => [row.key, row.generations, row.completed, row.llmCalls]), [
+    ['sam@example.com', 2, 1, 3],
+    ['kim@example.com', 1, 1, 1],
+  ]);
+  assert.strictEqual(byUser[0].costUsd.toFixed(2), '1.35');
+  assert.strictEqual(byUser[0].avgCostUsd.toFixed(3), '0.675');
+  assert.strictEqual(byUser[0].inputTokens, 300000);
+
+  assert.deepStrictEqual(db.getUsageReport({ groupBy: 'plan', since }).map(row => [row.key, row.generations]), [['paid', 2], ['free', 1]]);
+  assert.deepStrictEqual(db.getUsageReport({ groupBy: 'promptType', since }).map(row => [row.key, row.generations]), [['artist', 2], ['genre', 1]]);
+
+  // The older generation counts once the window reaches back to it
+  const longer = db.getUsageReport({ groupBy: 'user', since: new Date(Date.now() - 60 * 24 * 60 * 60 * 1000) });
+  assert.deepStrictEqual(longer.map(row => [row.key, row.generations]), [['kim@example.com', 2], ['sam@example.com', 2]]);
+  assert.throws(() => db.getUsageReport({ groupBy: 'platform', since }), /Unknown usage grouping/);
+});
+
+run('Testing generation usage metering');
@@ -0,0 +1,143 @@
+/**
+ * Test YouTube Music adapter
+ * Runs the YouTube platform adapter (services/platforms/youtube.js) against recorded
+ * YouTube Data API responses instead of the network: search, the 401 → refresh → retry
+ * path, catalog matching, playlist create / list / read, and track add / remove / replace.
+ *
+ * Responses live in fixtures/youtube-music.json, queued per "METHOD path" and served in
+ * order. The run fails on any request the fixture doesn't cover, and on leftovers.
+ *
+ *   node test-youtube-music.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const youtube = require('./services/platforms/youtube');
+const { createAdapterCatalog, matchTracks } = require('./services/playlistTransferService');
+
+const fixture = require(path.join(__dirname, 'fixtures', 'youtube-music.json'));
+const { test, run } = require('./testing/suite');
+
+// axios-compatible stub: resolves { data } or rejects like axios with error.response
+function createReplayHttp(responses) {
+  const queues = JSON.parse(JSON.stringify(responses));
+  const calls = [];
+  const http = async (config) => {
+    const key = `${config.method} ${new URL(config.url).pathname}`;
+    calls.push({ key, params: config.params, data: config.data, authorization: config.headers?.Authorization });
+    const next = (queues[key] || []).shift();
+    if (!next) throw new Error(`No recorded response left for ${key}`);
+    if (next.status >= 400) {
+      const error = new Error(`Request failed with status code ${next.status}`);
+      error.response = { status: next.status, data: next.data };
+      throw error;
+    }
+    return { status: next.status, data: next.data };
+  };
+  const leftovers = () => Object.entries(queues).filter(([, queue]) => queue.length > 0).map(([key]) => key);
+  return { http, calls, leftovers };
+}
+
+const replay = createReplayHttp(fixture.responses);
+const tokens = { access_token: 'ya29.expired', refresh_token: '1//refresh' };
+const refreshedTokens = [];
+const adapter = youtube.createAdapter(tokens, {
+  http: replay.http,
+  onTokenRefresh: (accessToken) => refreshedTokens.push(accessToken),
+});
+
+test('search refreshes an expired token once and retries', async () => {
+  const results = await adapter.searchTracks('Midnight City M83', { limit: 5 });
+
+  assert.deepStrictEqual(replay.calls.map(call => call.key), [
+    'GET /youtube/v3/search',
+    'POST /token',
+    'GET /youtube/v3/search',
+  ]);
+  assert.strictEqual(replay.calls[2].authorization, 'Bearer ya29.refreshed');
+  assert.strictEqual(replay.calls[2].params.videoCategoryId, '10');
+  assert.deepStrictEqual(refreshedTokens, ['ya29.refreshed']);
+  assert.strictEqual(tokens.access_token, 'ya29.refreshed');
+
+  // Channel results are dropped; "Artist - " title prefix and VEVO suffix are stripped
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].uri, 'youtube:track:dX3k_QDnzHE');
+  assert.strictEqual(results[0].name, 'Midnight City (Official Video)');
+  assert.strictEqual(results[0].artists[0].name, 'M83');
+  assert.strictEqual(results[0].album.images[0].url, 'https://i.ytimg.com/vi/dX3k_QDnzHE/hqdefault.jpg');
+});
+
+test('transfer matching finds the artist\'s upload, not a cover', async () => {
+  const source = [{ uri: 'spotify:track:6GyFP1nfCDB8lbD2bG0Hq9', name: 'Midnight City', artists: [{ name: 'M83' }] }];
+  const { matched, unmatched } = await matchTracks(source, createAdapterCatalog(adapter));
+
+  assert.strictEqual(unmatched.length, 0);
+  assert.strictEqual(matched[0].target.uri, 'youtube:track:dX3k_QDnzHE');
+  assert.strictEqual(matched[0].matchedBy, 'name');
+});
+
+test('createPlaylist creates a private playlist and inserts tracks in order', async () => {
+  const start = replay.calls.length;
+  const created = await adapter.createPlaylist('Night Drive', 'Synths after dark', ['youtube:track:dX3k_QDnzHE', 'youtube:track:MV_3Dpw-BRY']);
+
+  const calls = replay.calls.slice(start);
+  assert.deepStrictEqual(calls.map(call => call.key), [
+    'POST /youtube/v3/playlists',
+    'POST /youtube/v3/playlistItems',
+    'POST /youtube/v3/playlistItems',
+  ]);
+  assert.strictEqual(calls[0].data.status.privacyStatus, 'private');
+  assert.deepStrictEqual(calls.slice(1).map(call => call.data.snippet.resourceId.videoId), ['dX3k_QDnzHE', 'MV_3Dpw-BRY']);
+  assert.deepStrictEqual(created, {
+    id: 'PLnightdrive',
+    name: 'Night Drive',
+    url: 'https://music.youtube.com/playlist?list=PLnightdrive',
+    platform: 'youtube',
+    description: 'Synths after dark',
+    trackCount: 2,
+  });
+});
+
+test('getPlaylists follows pagination', async () => {
+  const playlists = await adapter.getPlaylists();
+
+  assert.deepStrictEqual(playlists.map(p => [p.id, p.trackCount]), [['PLnightdrive', 2], ['PLliked', 14]]);
+  assert.strictEqual(playlists[0].image, 'https://i.ytimg.com/pl1.jpg');
+  const second = replay.calls.filter(call => call.key === 'GET /youtube/v3/playlists')[1];
+  assert.strictEqual(second.params.pageToken, 'CDIQAA');
+});
+
+test('getPlaylistTracks reads artists from "- Topic" channels', async () => {
+  const tracks = await adapter.getPlaylistTracks('PLnightdrive');
+
+  assert.deepStrictEqual(tracks.map(t => [t.uri, t.name, t.artists[0].name]), [
+    ['youtube:track:dX3k_QDnzHE', 'Midnight City', 'M83'],
+    ['youtube:track:MV_3Dpw-BRY', 'Nightcall', 'Kavinsky'],
+  ]);
+});
+
+test('removeTracksFromPlaylist deletes the matching playlist items', async () => {
+  const start = replay.calls.length;
+  const result = await adapter.removeTracksFromPlaylist('PLnightdrive', ['youtube:track:MV_3Dpw-BRY']);
+
+  const deletes = replay.calls.slice(start).filter(call => call.key === 'DELETE /youtube/v3/playlistItems');
+  assert.deepStrictEqual(deletes.map(call => call.params.id), ['item-2']);
+  assert.strictEqual(result.removed, 1);
+});
+
+test('replacePlaylistTracks clears the playlist, then adds the new list', async () => {
+  const start = replay.calls.length;
+  await adapter.replacePlaylistTracks('PLnightdrive', ['youtube:track:MV_3Dpw-BRY']);
+
+  assert.deepStrictEqual(replay.calls.slice(start).map(call => call.key), [
+    'GET /youtube/v3/playlistItems',
+    'DELETE /youtube/v3/playlistItems',
+    'POST /youtube/v3/playlistItems',
+  ]);
+});
+
+test('every recorded response was used', async () => {
+  assert.deepStrictEqual(replay.leftovers(), []);
+});
+
+run('Testing YouTube Music adapter against recorded responses');
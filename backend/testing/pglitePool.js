@@ -0,0 +1,40 @@
+/**
+ * In-memory PostgreSQL for tests
+ * A pg Pool stand-in backed by PGlite (PostgreSQL compiled to WebAssembly), so
+ * database-postgres.js runs its real SQL with no database server:
+ *
+ *   const pool = await createPglitePool();
+ *   await db.initialize({ pool });
+ *   ...
+ *   await pool.end();
+ *
+ * PGlite is a single connection; connect() hands out that same connection.
+ */
+
+const { PGlite } = require('@electric-sql/pglite');
+
+async function createPglitePool() {
+  const pglite = await PGlite.create();
+
+  // pg runs a parameterless string of several statements in one call; PGlite needs exec() for that
+  const query = async (sql, params = []) => {
+    if (params.length === 0) {
+      const results = await pglite.exec(sql);
+      const last = results[results.length - 1] || { rows: [] };
+      return { rows: last.rows, rowCount: last.affectedRows ?? last.rows.length };
+    }
+    const result = await pglite.query(sql, params);
+    return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release: () => {} }),
+    on: () => {},
+    end: () => pglite.close(),
+  };
+}
+
+module.exports = {
+  createPglitePool,
+};
@@ -0,0 +1,48 @@
+/**
+ * The server, in-process, for tests
+ * Loads server.js on an in-memory SQLite database (or `sqlitePath`, for a test that seeds
+ * a database file first) with every platform served by the fake music service
+ * (services/platforms/fake.js), and serves the app on a free local port. The schedulers
+ * `node server.js` starts are left off.
+ *
+ *   const { startTestServer } = require('./testing/server');
+ *   const server = await startTestServer();
+ *   await fetch(`${server.url}/api/health`);
+ *   ...
+ *   await server.close();
+ *
+ * Call it before anything else requires database.js or services/platforms, which read
+ * the environment set here when they're first loaded.
+ */
+
+const path = require('path');
+const { quietly } = require('./suite');
+
+async function startTestServer({
+  sqlitePath = ':memory:',
+  fixtures = path.join(__dirname, '..', 'fixtures', 'fake-music-catalog.json'),
+} = {}) {
+  // Set (even empty) so a .env can't point the test at a real database
+  process.env.DATABASE_URL = '';
+  process.env.POSTGRES_URL = '';
+  process.env.SQLITE_PATH = sqlitePath;
+  process.env.PLATFORM_ADAPTER = 'fake';
+  process.env.PLATFORM_FIXTURES = fixtures;
+
+  const { app, prepareServer } = quietly(() => require('../server'));
+  await quietly(prepareServer);
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+module.exports = {
+  startTestServer,
+};
@@ -0,0 +1,62 @@
+/**
+ * SoundCharts, stubbed for tests
+ * Serves the top-songs search a generation starts from with the given fake-catalog
+ * tracks (fixtures/fake-music-catalog.json), through an axios adapter, so a generation
+ * runs without the network. Any other request fails like a 404 — SoundCharts not knowing
+ * an artist — and the generation carries on without it.
+ *
+ *   const soundcharts = stubSoundCharts(catalog.slice(0, 12));
+ *   ... POST /api/generate-playlist ...
+ *   soundcharts.calls   // URLs requested, in order
+ *   soundcharts.restore();
+ *
+ * Sets SOUNDCHARTS_APP_ID / SOUNDCHARTS_API_KEY, which the server checks before calling it.
+ */
+
+const axios = require('axios');
+
+const TOP_SONGS_URL = 'https://customer.api.soundcharts.com/api/v2/top/songs';
+
+/**
+ * @param {Object[]} tracks - Catalog tracks ({ id, name, artist | artists, isrc })
+ * @param {Object} [options]
+ * @param {string} [options.releaseDate] - Release date given to every song
+ * @returns {{ calls: string[], restore: Function }}
+ */
+function stubSoundCharts(tracks, { releaseDate = '2012-06-01T00:00:00+00:00' } = {}) {
+  const previousAdapter = axios.defaults.adapter;
+  const calls = [];
+  process.env.SOUNDCHARTS_APP_ID = 'test';
+  process.env.SOUNDCHARTS_API_KEY = 'test';
+
+  axios.defaults.adapter = async (config) => {
+    calls.push(config.url);
+    if (config.url === TOP_SONGS_URL) {
+      const items = tracks.map(track => ({
+        song: {
+          uuid: `sc-${track.id}`,
+          name: track.name,
+          creditName: track.artist || track.artists[0].name,
+          isrc: { value: track.isrc },
+          releaseDate,
+        },
+      }));
+      return { data: { items }, status: 200, statusText: 'OK', headers: {}, config };
+    }
+    const err = new Error(`Request failed with status code 404 (not stubbed: ${config.url})`);
+    err.config = config;
+    err.response = { status: 404, data: {} };
+    throw err;
+  };
+
+  return {
+    calls,
+    restore() {
+      axios.defaults.adapter = previousAdapter;
+    },
+  };
+}
+
+module.exports = {
+  stubSoundCharts,
+};
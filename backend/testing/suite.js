@@ -0,0 +1,66 @@
+/**
+ * Test suite helper
+ * The runner every test-*.js file uses: tests are registered with test() and run in
+ * order, one at a time, when the file calls run(). The process exits 1 if any failed,
+ * so run-tests.js (npm test) can tell.
+ *
+ *   const { test, run } = require('./testing/suite');
+ *   test('imports a public playlist', async () => { ... });
+ *   run('Testing playlist import');
+ */
+
+const tests = [];
+
+/**
+ * @param {string} name
+ * @param {Function} fn - Sync or async; a throw or rejection fails the test
+ */
+const test = (name, fn) => tests.push({ name, fn });
+
+/**
+ * Run the registered tests, print ✅/❌ per test and the tally, then exit
+ * @param {string} title - Printed above the results
+ * @param {Object} [options]
+ * @param {Function} [options.after] - Cleanup run once every test has finished
+ */
+async function run(title, { after } = {}) {
+  console.log(`🧪 ${title}\n`);
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}\n   ${error.message}`);
+    }
+  }
+  if (after) await after();
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+/**
+ * Run fn with console.log/warn/error silenced, for code that logs as it works.
+ * Returns what fn returns; a promise keeps the console silenced until it settles.
+ */
+function quietly(fn) {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  const restore = () => Object.assign(console, original);
+  console.log = console.warn = console.error = () => {};
+  try {
+    const result = fn();
+    if (result instanceof Promise) return result.finally(restore);
+    restore();
+    return result;
+  } catch (error) {
+    restore();
+    throw error;
+  }
+}
+
+module.exports = {
+  test,
+  run,
+  quietly,
+};
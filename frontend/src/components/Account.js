@@ -6,6 +6,8 @@ import Icons from './Icons';
 import UpgradeModal from './UpgradeModal';
 import ConfirmModal from './ConfirmModal';
 import { isPaid } from '../utils/plan';
+import { getPlatformDisplayName } from '../utils/platformUtils';
+import { reconnectPlatform } from '../utils/reconnectPlatform';
 import mp from '../utils/mixpanel';
 import '../styles/Account.css';
 
@@ -27,6 +29,11 @@ const Account = ({ onBack, showToast }) => {
   const [showPasswords, setShowPasswords] = useState(false);
   const [upgradeModal, setUpgradeModal] = useState({ open: false, feature: '' });
   const [confirmModal, setConfirmModal] = useState(null); // { title, message, onConfirm }
+  const [deletionScheduledAt, setDeletionScheduledAt] = useState(null);
+  const [showDeleteAccountModal, setShowDeleteAccountModal] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [exportingData, setExportingData] = useState(false);
+  const [reconnectPlatforms, setReconnectPlatforms] = useState([]); // platforms whose connection needs_reauth
 
   // Preferences (moved from Settings page)
   const [allowExplicit, setAllowExplicit] = useState(() => {
@@ -81,10 +88,22 @@ const Account = ({ onBack, showToast }) => {
       window.history.replaceState({}, document.title, '/account');
     }
 
+    // Check that every connected platform still accepts its tokens
+    const checkConnections = async () => {
+      if (!userEmail) return;
+      try {
+        const connections = await playlistService.checkConnections(userEmail);
+        setReconnectPlatforms(connections.filter(c => c.status === 'needs_reauth').map(c => c.platform));
+      } catch (err) {
+        console.error('Error checking platform connections:', err);
+      }
+    };
+
     // Fetch the user's actual platform status from backend
     const fetchPlatformStatus = async () => {
       try {
         const accountInfo = await playlistService.getAccountInfo(userEmail);
+        setDeletionScheduledAt(accountInfo?.deletionScheduledAt || null);
         if (accountInfo && accountInfo.connectedPlatforms) {
           console.log('Fetched connected platforms from backend:', accountInfo.connectedPlatforms);
           setConnectedPlatforms(accountInfo.connectedPlatforms);
@@ -167,6 +186,7 @@ const Account = ({ onBack, showToast }) => {
       // Fetch platform status from backend (only if not handling OAuth callback)
       fetchPlatformStatus();
     }
+    checkConnections();
   }, []);
 
   // Pre-configure MusicKit so authorize() runs immediately on button click.
@@ -379,6 +399,21 @@ const Account = ({ onBack, showToast }) => {
     }
   };
 
+  const handleReconnect = async (platform) => {
+    setAccountLoading(true);
+    setAccountError('');
+    try {
+      // Spotify and YouTube Music redirect to their consent screen and come back connected
+      if (!(await reconnectPlatform(platform, localStorage.getItem('userEmail')))) return;
+      setReconnectPlatforms(current => current.filter(p => p !== platform));
+      toast(`${getPlatformDisplayName(platform)} reconnected`, 'success');
+      setAccountLoading(false);
+    } catch (err) {
+      setAccountError(err.response?.data?.error || err.message || `Failed to reconnect ${getPlatformDisplayName(platform)}`);
+      setAccountLoading(false);
+    }
+  };
+
   const proceedConnectSpotify = async () => {
     setAccountLoading(true);
     try {
@@ -451,10 +486,9 @@ const Account = ({ onBack, showToast }) => {
     try {
       setAccountLoading(true);
       setAccountError('');
-      const data = await playlistService.updateEmail(accountEmail, newEmail, emailPassword);
+      await playlistService.updateEmail(accountEmail, newEmail, emailPassword);
       localStorage.setItem('userEmail', newEmail);
       localStorage.setItem('userId', newEmail);
-      if (data.token) localStorage.setItem('authToken', data.token);
       setAccountEmail(newEmail);
       closeEditEmailModal();
       toast('Email updated successfully', 'success');
@@ -494,6 +528,72 @@ const Account = ({ onBack, showToast }) => {
     }
   };
 
+  const handleExportData = async () => {
+    if (exportingData) return;
+    setExportingData(true);
+    try {
+      const { blob, filename } = await playlistService.exportAccountData(accountEmail);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      mp.track('Account Data Exported');
+    } catch (err) {
+      console.error('Error exporting account data:', err);
+      toast(err.response?.status === 429 ? 'Too many exports — try again later' : 'Failed to download your data', 'error');
+    } finally {
+      setExportingData(false);
+    }
+  };
+
+  const openDeleteAccountModal = () => {
+    setDeletePassword('');
+    setAccountError('');
+    setShowDeleteAccountModal(true);
+  };
+
+  const closeDeleteAccountModal = () => {
+    setShowDeleteAccountModal(false);
+    setAccountError('');
+  };
+
+  const handleDeleteAccount = async () => {
+    if (!deletePassword) {
+      setAccountError('Please enter your password');
+      return;
+    }
+
+    try {
+      setAccountLoading(true);
+      setAccountError('');
+      await playlistService.deleteAccount(accountEmail, deletePassword);
+      mp.track('Account Deleted');
+      mp.reset();
+      // Every session has been revoked — start over signed out
+      localStorage.clear();
+      window.location.href = '/';
+    } catch (err) {
+      setAccountError(err.response?.data?.error || 'Failed to delete account');
+      setAccountLoading(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      setAccountLoading(true);
+      await playlistService.cancelAccountDeletion(accountEmail);
+      setDeletionScheduledAt(null);
+      toast('Your account will not be deleted', 'success');
+    } catch (err) {
+      toast(err.response?.data?.error || 'Failed to cancel account deletion', 'error');
+    } finally {
+      setAccountLoading(false);
+    }
+  };
 
   return (
     <div className="account-page">
@@ -521,7 +621,29 @@ const Account = ({ onBack, showToast }) => {
       </div>
 
       <div className="account-content">
-        {accountError && (
+        {deletionScheduledAt && (
+          <div className="account-deletion-banner">
+            <span>
+              This account will be permanently deleted on {new Date(deletionScheduledAt).toLocaleDateString()}.
+              Reconnect your music platform after canceling to pick up where you left off.
+            </span>
+            <button onClick={handleCancelDeletion} disabled={accountLoading}>
+              Cancel Deletion
+            </button>
+          </div>
+        )}
+        {reconnectPlatforms.map(platform => (
+          <div key={platform} className="account-reconnect-banner">
+            <span>
+              {getPlatformDisplayName(platform)} access was revoked or has expired.
+              Reconnect to keep generating playlists there — its auto-updates are paused until you do.
+            </span>
+            <button onClick={() => handleReconnect(platform)} disabled={accountLoading}>
+              Reconnect
+            </button>
+          </div>
+        ))}
+        {accountError && !showDeleteAccountModal && (
           <div className="account-error-message" style={{ margin: '16px' }}>
             {accountError}
           </div>
@@ -664,8 +786,76 @@ const Account = ({ onBack, showToast }) => {
             </label>
           </div>
         </div>
+
+        {/* Your data */}
+        <p className="account-section-title">Your Data</p>
+        <div className="account-list">
+          <button className="account-list-item" onClick={handleExportData} disabled={exportingData}>
+            <span className="account-list-label">Download My Data</span>
+            <div className="account-list-value">
+              <span>{exportingData ? 'Preparing...' : ''}</span>
+              <Icons.ChevronRight size={20} color="#c7c7cc" />
+            </div>
+          </button>
+          {!deletionScheduledAt && (
+            <button className="account-list-item" onClick={openDeleteAccountModal}>
+              <span className="account-list-label account-list-label-danger">Delete Account</span>
+              <div className="account-list-value">
+                <Icons.ChevronRight size={20} color="#c7c7cc" />
+              </div>
+            </button>
+          )}
+        </div>
       </div>
 
+      {/* Delete Account Modal */}
+      {showDeleteAccountModal && (
+        <div className="modal-overlay" onClick={closeDeleteAccountModal}>
+          <div className="account-modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="account-modal-header">
+              <button className="account-back-button" onClick={closeDeleteAccountModal}>‹</button>
+              <h2>Delete Account</h2>
+              <div style={{ width: '32px' }}></div>
+            </div>
+
+            {accountError && (
+              <div className="account-error-message">{accountError}</div>
+            )}
+
+            <div className="account-modal-body">
+              <div className="account-form">
+                <p className="account-delete-warning">
+                  You'll be signed out on every device, your music platforms will be disconnected and
+                  any subscription is canceled right away. Your playlists, history and everything else
+                  are permanently deleted after a grace period — sign back in before then to keep your account.
+                  Download your data first if you want a copy.
+                </p>
+
+                <div className="form-group">
+                  <label>Confirm with Password</label>
+                  <input
+                    type="password"
+                    value={deletePassword}
+                    onChange={(e) => setDeletePassword(e.target.value)}
+                    placeholder="Enter your password"
+                    className="account-input"
+                    autoFocus
+                  />
+                </div>
+
+                <button
+                  onClick={handleDeleteAccount}
+                  disabled={accountLoading}
+                  className="account-button-primary account-button-danger"
+                >
+                  {accountLoading ? 'Deleting...' : 'Delete Account'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Edit Email Modal */}
       {showEditEmailModal && (
         <div className="modal-overlay" onClick={closeEditEmailModal}>
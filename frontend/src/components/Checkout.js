@@ -2,17 +2,15 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { loadStripe } from '@stripe/stripe-js';
 import { EmbeddedCheckoutProvider, EmbeddedCheckout } from '@stripe/react-stripe-js';
-import axios from 'axios';
+import { api } from '../services/api';
 import Icons from './Icons';
 import mp from '../utils/mixpanel';
 import '../styles/Checkout.css';
 
-const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-
 let stripePromise = null;
 const getStripe = async () => {
   if (!stripePromise) {
-    const { data } = await axios.get(`${API_BASE}/api/stripe/config`);
+    const { data } = await api.get('/api/stripe/config');
     stripePromise = loadStripe(data.publishableKey);
   }
   return stripePromise;
@@ -30,7 +28,7 @@ const Checkout = () => {
   const userId = localStorage.getItem('userId');
 
   const fetchClientSecret = useCallback(async () => {
-    const { data } = await axios.post(`${API_BASE}/api/stripe/create-subscription`, {
+    const { data } = await api.post('/api/stripe/create-subscription', {
       userId,
       billingPeriod,
       trial,
@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
+import { api } from '../services/api';
 import '../styles/Feedback.css';
 
-const Feedback = ({ onBack, userId }) => {
+const Feedback = ({ onBack }) => {
   const [rating, setRating] = useState(0);
   const [hoverRating, setHoverRating] = useState(0);
   const [message, setMessage] = useState('');
@@ -17,18 +18,8 @@ const Feedback = ({ onBack, userId }) => {
     setError('');
     setLoading(true);
     try {
-      const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-      const res = await fetch(`${API_BASE}/api/feedback`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          userId: userId || localStorage.getItem('userId'),
-          email: localStorage.getItem('userEmail'),
-          rating,
-          message,
-        }),
-      });
-      if (!res.ok) throw new Error('Failed to send');
+      // Sent with the session, which is what ties the feedback to the account
+      await api.post('/api/feedback', { rating, message });
       setSubmitted(true);
     } catch (e) {
       setError('Something went wrong. Please try again.');
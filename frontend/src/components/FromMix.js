@@ -2,6 +2,7 @@ import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import Icons from './Icons';
 import Toast from './Toast';
+import { withAccessToken } from '../services/api';
 import { isWeeklyLimitActive, getWeeklyLimitResetDate, setWeeklyLimitResetsAt } from '../utils/plan';
 import mp from '../utils/mixpanel';
 import '../styles/Generate.css';
@@ -103,7 +104,7 @@ export default function FromMix() {
     setSource(null);
 
     const params = new URLSearchParams({ youtubeUrl: trimmed, userId, platform: activePlatform });
-    const es = new EventSource(`${API_BASE_URL}/api/analyze-mix?${params}`);
+    const es = new EventSource(`${API_BASE_URL}/api/analyze-mix?${withAccessToken(params)}`);
     esRef.current = es;
 
     es.onmessage = (event) => {
@@ -64,6 +64,7 @@ export default function Generate() {
   const [loading, setLoading] = useState(false);
   const [generatingMessage, setGeneratingMessage] = useState('');
   const [generatingPrompt, setGeneratingPrompt] = useState('');
+  const [partialTracks, setPartialTracks] = useState([]);
   const [error, setError] = useState(null);
   const [weeklyLimitReached, setWeeklyLimitReached] = useState(false);
 
@@ -195,6 +196,7 @@ export default function Generate() {
     }
 
     const myGenerationId = generationIdRef.current;
+    setPartialTracks([]);
 
     const messages = getGenreMessages(prompt);
     let idx = 0;
@@ -207,8 +209,18 @@ export default function Generate() {
     let willRetry = false;
     try {
       generationAbortControllerRef.current = new AbortController();
-      const result = await playlistService.generatePlaylist(
-        prompt.trim(), userId, activePlatform, allowExplicit, songCount, [], null, generationAbortControllerRef.current.signal
+      // Real stage events from the server replace the canned genre messages
+      const onGenerationEvent = (event) => {
+        if (myGenerationId !== generationIdRef.current) return;
+        if (event.type === 'stage') {
+          clearInterval(genIntervalRef.current);
+          setGeneratingMessage(event.message);
+        } else if (event.type === 'tracks') {
+          setPartialTracks(event.tracks);
+        }
+      };
+      const result = await playlistService.generatePlaylistStream(
+        prompt.trim(), userId, activePlatform, allowExplicit, songCount, [], null, generationAbortControllerRef.current.signal, onGenerationEvent
       );
       clearInterval(genIntervalRef.current);
 
@@ -284,10 +296,16 @@ export default function Generate() {
       if (!willRetry && (retryCount === 0 || retryCount >= 2)) {
         setLoading(false);
         setGeneratingMessage('');
+        setPartialTracks([]);
       }
     }
   };
 
+  const cancelGeneration = () => {
+    generationAbortControllerRef.current?.abort();
+    setPhase('input');
+  };
+
   const removeTrack = (trackId) => {
     const track = generatedPlaylist?.tracks?.find(t => t.id === trackId);
     setGeneratedPlaylist(prev => ({
@@ -469,7 +487,7 @@ export default function Generate() {
       setPhase('tracks');
       return;
     }
-    if (phase === 'loading') { generationAbortControllerRef.current?.abort(); setPhase('input'); return; }
+    if (phase === 'loading') { cancelGeneration(); return; }
     if (phase === 'tracks') { navigate(tabPath(returnTab), { state: { returnTab, updatedDraft } }); return; }
     navigate(tabPath(returnTab), { state: { returnTab } });
   };
@@ -565,8 +583,21 @@ export default function Generate() {
                     <div className="wave-bar"></div>
                   </div>
                   <span style={{ fontSize: 13, color: '#b3b3b3' }}>{generatingMessage || 'Creating your playlist...'}</span>
+                  <button className="generate-cancel-btn" onClick={cancelGeneration}>Cancel</button>
                 </div>
               )}
+              {!error && partialTracks.map(track => (
+                <div key={track.id} className="generate-track-item generate-track-item-pending">
+                  {track.image
+                    ? <img src={track.image} alt={track.album} className="generate-track-img" />
+                    : <div className="generate-track-img-placeholder" />
+                  }
+                  <div className="generate-track-info">
+                    <div className="generate-track-name">{track.name}</div>
+                    <div className="generate-track-artist">{track.artist}</div>
+                  </div>
+                </div>
+              ))}
             </div>
           )}
 
@@ -2,17 +2,15 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { loadStripe } from '@stripe/stripe-js';
 import { Elements, PaymentElement, useStripe, useElements } from '@stripe/react-stripe-js';
-import axios from 'axios';
+import { api } from '../services/api';
 import Icons from './Icons';
 import ConfirmModal from './ConfirmModal';
 import '../styles/ManageBilling.css';
 
-const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-
 let stripePromise = null;
 const getStripe = async () => {
   if (!stripePromise) {
-    const { data } = await axios.get(`${API_BASE}/api/stripe/config`);
+    const { data } = await api.get('/api/stripe/config');
     stripePromise = loadStripe(data.publishableKey);
   }
   return stripePromise;
@@ -50,7 +48,7 @@ const UpdateCardForm = ({ onSuccess, onCancel }) => {
       // Attach the new payment method to the subscription
       const userId = localStorage.getItem('userId');
       try {
-        await axios.post(`${API_BASE}/api/stripe/confirm-payment-method`, {
+        await api.post('/api/stripe/confirm-payment-method', {
           userId,
           setupIntentId: result.setupIntent.id,
         });
@@ -94,7 +92,7 @@ const ManageBilling = ({ onBack, showToast }) => {
   const fetchSubscription = useCallback(async () => {
     if (!userId) return;
     try {
-      const { data } = await axios.get(`${API_BASE}/api/stripe/subscription/${encodeURIComponent(userId)}`);
+      const { data } = await api.get(`/api/stripe/subscription/${encodeURIComponent(userId)}`);
       setSubscription(data.subscription);
     } catch (err) {
       console.error('Failed to fetch subscription:', err);
@@ -115,7 +113,7 @@ const ManageBilling = ({ onBack, showToast }) => {
         setConfirmModal(null);
         setActionLoading(true);
         try {
-          await axios.post(`${API_BASE}/api/stripe/cancel-subscription`, { userId });
+          await api.post('/api/stripe/cancel-subscription', { userId });
           toast('Subscription canceled. You\'ll keep Pro access until the end of your billing period.', 'success');
           await fetchSubscription();
         } catch (err) {
@@ -130,7 +128,7 @@ const ManageBilling = ({ onBack, showToast }) => {
   const handleResume = async () => {
     setActionLoading(true);
     try {
-      await axios.post(`${API_BASE}/api/stripe/resume-subscription`, { userId });
+      await api.post('/api/stripe/resume-subscription', { userId });
       toast('Subscription resumed!', 'success');
       await fetchSubscription();
     } catch (err) {
@@ -144,7 +142,7 @@ const ManageBilling = ({ onBack, showToast }) => {
     try {
       const [stripe, { data }] = await Promise.all([
         getStripe(),
-        axios.post(`${API_BASE}/api/stripe/update-payment-method`, { userId }),
+        api.post('/api/stripe/update-payment-method', { userId }),
       ]);
       setStripeInstance(stripe);
       setSetupClientSecret(data.clientSecret);
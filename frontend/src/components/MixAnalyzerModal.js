@@ -1,4 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { withAccessToken } from '../services/api';
 import '../styles/MixAnalyzer.css';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
@@ -48,7 +49,7 @@ export default function MixAnalyzerModal({ isOpen, onClose, onTracksFound, userI
     setSource(null);
 
     const params = new URLSearchParams({ youtubeUrl: trimmed, userId, platform: platform || 'spotify' });
-    const es = new EventSource(`${API_BASE_URL}/api/analyze-mix?${params}`);
+    const es = new EventSource(`${API_BASE_URL}/api/analyze-mix?${withAccessToken(params)}`);
     esRef.current = es;
 
     es.onmessage = (event) => {
@@ -3,10 +3,13 @@ import playlistService from '../services/api';
 import musicKitService from '../services/musicKit';
 import Icons from './Icons';
 import DeleteConfirmationModal from './DeleteConfirmationModal';
+import ConfirmModal from './ConfirmModal';
 import ErrorMessage from './ErrorMessage';
 import UpgradeModal from './UpgradeModal';
 import { isPaid } from '../utils/plan';
+import { getPlatformDisplayName, getUserIdForPlatform, regionBlockedNote } from '../utils/platformUtils';
 import { playlistsCache } from '../utils/cache';
+import { reconnectPlatform } from '../utils/reconnectPlatform';
 import mp from '../utils/mixpanel';
 import '../styles/MyPlaylists.css';
 import '../styles/EditOptionsModal.css';
@@ -27,6 +30,14 @@ function isValidSpotifyTrackUri(uri) {
   return /^[0-9a-zA-Z]{22}$/.test(trackId);
 }
 
+// Download formats offered by the Export menu action (see /api/playlists/:id/export)
+const EXPORT_FORMATS = [
+  { format: 'm3u8', label: 'M3U8', description: 'For DJ software and media players' },
+  { format: 'xspf', label: 'XSPF', description: 'Open playlist format with ISRCs' },
+  { format: 'csv', label: 'CSV', description: 'Spreadsheet: title, artist, album, ISRC, links' },
+  { format: 'json', label: 'JSON', description: 'Everything: tracks, prompt, refinements, exclusions and reactions' },
+];
+
 const MyPlaylists = ({ userId, onBack, showToast, onRefinePlaylist, onGenerateNew }) => {
   const [playlists, setPlaylists] = useState(playlistsCache[userId] || []);
   const [loading, setLoading] = useState(!playlistsCache[userId]);
@@ -40,6 +51,14 @@ const MyPlaylists = ({ userId, onBack, showToast, onRefinePlaylist, onGenerateNe
   const [loadingPlaylists, setLoadingPlaylists] = useState(false);
   const [importing, setImporting] = useState(false);
   const [activePlatform, setActivePlatform] = useState(null); // 'spotify' or 'apple'
+  // Importing from a public playlist link or an exported file: preview first, then create
+  const [importUrl, setImportUrl] = useState('');
+  const [importPreview, setImportPreview] = useState(null); // { source, platform, matched, fuzzy, unmatched }
+  const [importName, setImportName] = useState('');
+  const [importSelection, setImportSelection] = useState(new Set()); // target URIs to import
+  const [previewingImport, setPreviewingImport] = useState(false);
+  const [exportTarget, setExportTarget] = useState(null); // playlist picked for export
+  const [exportingFormat, setExportingFormat] = useState(null);
   const [tempUpdateFrequency, setTempUpdateFrequency] = useState('never');
   const [tempUpdateMode, setTempUpdateMode] = useState('append');
 
@@ -73,6 +92,23 @@ const [upgradeModal, setUpgradeModal] = useState({ open: false, feature: '' });
   // Auto-update tooltip state
   const [autoUpdateTooltipId, setAutoUpdateTooltipId] = useState(null);
 
+  // Update history panel ("what changed this week")
+  const [historyPlaylistId, setHistoryPlaylistId] = useState(null);
+  const [historyRuns, setHistoryRuns] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyShowAll, setHistoryShowAll] = useState(false);
+  const [expandedRunId, setExpandedRunId] = useState(null);
+  const [restoreRun, setRestoreRun] = useState(null); // { playlistId, run }
+  const [restoring, setRestoring] = useState(false);
+
+  // Cross-platform transfer (copy to the user's other platform)
+  const [transferResult, setTransferResult] = useState(null); // { loading, mode: 'copy' | 'mirror', playlistName, platform, ...response }
+  const [addedCandidates, setAddedCandidates] = useState(new Set());
+
+  // Platforms whose connection needs a reconnect — their auto-updates are paused
+  const [reconnectPlatforms, setReconnectPlatforms] = useState([]);
+  const [reconnecting, setReconnecting] = useState(null);
+
   // Helper function to calculate next update time
   const getNextUpdateTime = (frequency) => {
     const now = new Date();
@@ -188,6 +224,33 @@ const [upgradeModal, setUpgradeModal] = useState({ open: false, feature: '' });
     }
   }, [userId]);
 
+  useEffect(() => {
+    const userEmail = localStorage.getItem('userEmail');
+    if (!userEmail) return;
+    playlistService.getConnectionStatus(userEmail)
+      .then(connections => setReconnectPlatforms(connections.filter(c => c.status === 'needs_reauth').map(c => c.platform)))
+      .catch(err => console.error('Error loading connection status:', err));
+  }, [userId]);
+
+  const handleReconnect = async (platform) => {
+    setReconnecting(platform);
+    try {
+      // Spotify and YouTube Music redirect to their consent screen and come back connected
+      if (!(await reconnectPlatform(platform, localStorage.getItem('userEmail')))) return;
+      setReconnectPlatforms(current => current.filter(p => p !== platform));
+      showToast(`${getPlatformDisplayName(platform)} reconnected — auto-updates will pick up again shortly`, 'success');
+    } catch (err) {
+      console.error(`Failed to reconnect ${platform}:`, err);
+      showToast(`Failed to reconnect ${getPlatformDisplayName(platform)}. Please try again from Account.`, 'error');
+    }
+    setReconnecting(null);
+  };
+
+  // Auto-updating playlists on a platform, paused while it waits on a reconnect
+  const pausedPlaylistCount = (platform) => playlists.filter(p =>
+    (p.platform || 'spotify') === platform && p.updateFrequency && p.updateFrequency !== 'never'
+  ).length;
+
   // Refresh playlists when user returns to the tab (picks up auto-update changes)
   useEffect(() => {
     const handleVisibilityChange = () => {
@@ -245,6 +308,67 @@ const [upgradeModal, setUpgradeModal] = useState({ open: false, feature: '' });
     fetchPlaylists();
   };
 
+  const loadHistory = async (playlistId, showAll = false) => {
+    setHistoryLoading(true);
+    try {
+      const data = await playlistService.getPlaylistHistory(playlistId, userId, showAll ? null : 7);
+      setHistoryRuns(data.runs || []);
+    } catch (err) {
+      console.error(err);
+      setHistoryRuns([]);
+      showToast('Failed to load update history', 'error');
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  const toggleHistory = (playlistId) => {
+    if (historyPlaylistId === playlistId) {
+      setHistoryPlaylistId(null);
+      return;
+    }
+    mp.track('Playlist History Opened');
+    setHistoryPlaylistId(playlistId);
+    setHistoryShowAll(false);
+    setExpandedRunId(null);
+    setHistoryRuns([]);
+    loadHistory(playlistId, false);
+  };
+
+  const showAllHistory = (playlistId) => {
+    setHistoryShowAll(true);
+    loadHistory(playlistId, true);
+  };
+
+  const confirmRestore = async () => {
+    if (!restoreRun) return;
+    const { playlistId, run } = restoreRun;
+    setRestoring(true);
+    try {
+      const result = await playlistService.restorePlaylistVersion(playlistId, run.id, userId);
+      mp.track('Playlist Version Restored', { trigger: run.trigger });
+      showToast(`Restored ${result.trackCount} songs`, 'success');
+      setRestoreRun(null);
+      await fetchPlaylists(true);
+      loadHistory(playlistId, historyShowAll);
+    } catch (err) {
+      console.error(err);
+      showToast(err.response?.data?.details || 'Failed to restore playlist', 'error');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const formatRunTrigger = (trigger) => {
+    switch (trigger) {
+      case 'auto': return 'Auto-update';
+      case 'manual': return 'Refresh';
+      case 'refine': return 'Refinement';
+      case 'restore': return 'Restore';
+      default: return 'Update';
+    }
+  };
+
   const togglePlaylist = (playlistId) => {
     if (expandedPlaylistId === playlistId) {
       setExpandedPlaylistId(null);
@@ -269,13 +393,103 @@ const [upgradeModal, setUpgradeModal] = useState({ open: false, feature: '' });
     if (action === 'delete') {
       openDeleteModal(playlist.playlistId, playlist.playlistName, playlist.platform);
     } else if (action === 'open') {
-      const url = playlist.spotifyUrl;
+      const url = playlist.platform === 'youtube' ? playlist.youtubeUrl : playlist.spotifyUrl;
       if (url) window.open(url, '_blank');
     } else if (action === 'edit') {
       openEditOptionsModal(playlist);
+    } else if (action === 'transfer') {
+      handleTransferPlaylist(playlist);
+    } else if (action === 'transfer-youtube') {
+      handleTransferPlaylist(playlist, 'youtube');
+    } else if (action === 'mirror') {
+      handleMirrorPlaylist(playlist);
+    } else if (action === 'unmirror') {
+      handleUnmirrorPlaylist(playlist);
+    } else if (action === 'export') {
+      setExportTarget(playlist);
+    }
+  };
+
+  const handleExportPlaylist = async (format) => {
+    setExportingFormat(format);
+    try {
+      const { blob, filename } = await playlistService.exportPlaylist(exportTarget.playlistId, userId, format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      mp.track('Playlist Exported', { format });
+      setExportTarget(null);
+    } catch (err) {
+      console.error('Export error:', err);
+      showToast('Failed to export playlist', 'error');
+    } finally {
+      setExportingFormat(null);
     }
   };
 
+  const platformLabel = (platform) => getPlatformDisplayName(platform || 'spotify');
+  // Playlists without a platform predate Apple Music support and live on Spotify
+  const transferTarget = (playlist) => (playlist.platform === 'apple' ? 'spotify' : 'apple');
+
+  const handleTransferPlaylist = async (playlist, platform = transferTarget(playlist)) => {
+    setAddedCandidates(new Set());
+    setTransferResult({ loading: true, mode: 'copy', playlistName: playlist.playlistName, platform });
+    try {
+      const result = await playlistService.transferPlaylist(playlist.playlistId, userId, platform);
+      mp.track('Playlist Transferred', { to: result.platform, matched: result.matchedCount, total: result.totalCount });
+      setTransferResult({ ...result, loading: false, mode: 'copy', playlistName: playlist.playlistName });
+      fetchPlaylists(true);
+    } catch (err) {
+      setTransferResult(null);
+      showToast(err.response?.data?.error || `Failed to copy playlist to ${platformLabel(platform)}`, 'error');
+    }
+  };
+
+  // Mirror mode: the playlist stays where it is and a synced copy lives on the other platform
+  const handleMirrorPlaylist = async (playlist) => {
+    const platform = transferTarget(playlist);
+    setTransferResult({ loading: true, mode: 'mirror', playlistName: playlist.playlistName, platform });
+    try {
+      const { mirror, playlistUrl } = await playlistService.mirrorPlaylist(playlist.playlistId, userId);
+      mp.track('Playlist Mirrored', { to: mirror.platform, matched: mirror.matchedCount, total: mirror.totalCount });
+      setTransferResult({ ...mirror, playlistUrl, loading: false, mode: 'mirror', playlistName: playlist.playlistName });
+      fetchPlaylists(true);
+    } catch (err) {
+      setTransferResult(null);
+      showToast(err.response?.data?.error || `Failed to mirror playlist to ${platformLabel(platform)}`, 'error');
+    }
+  };
+
+  const handleUnmirrorPlaylist = async (playlist) => {
+    try {
+      await playlistService.unmirrorPlaylist(playlist.playlistId, userId);
+      showToast(`Stopped syncing to ${platformLabel(playlist.mirror.platform)}`, 'success');
+      fetchPlaylists(true);
+    } catch (err) {
+      showToast('Failed to stop mirroring', 'error');
+    }
+  };
+
+  // Add a suggested replacement for a song the transfer couldn't match
+  const handleAddTransferCandidate = async (candidate) => {
+    try {
+      await playlistService.updatePlaylist(transferResult.playlistId, userId, [candidate.uri], []);
+      setAddedCandidates(prev => new Set(prev).add(candidate.uri));
+    } catch (err) {
+      showToast('Failed to add song', 'error');
+    }
+  };
+
+  const closeTransferModal = () => {
+    if (transferResult?.loading) return;
+    setTransferResult(null);
+  };
+
 
 
   const toggleTrackForRemoval = (trackUri) => {
@@ -498,6 +712,9 @@ const [upgradeModal, setUpgradeModal] = useState({ open: false, feature: '' });
     setShowImportModal(false);
     setPlatformPlaylists([]);
     setActivePlatform(null);
+    setImportUrl('');
+    setImportPreview(null);
+    setImportSelection(new Set());
   };
 
   const openDeleteModal = (playlistId, playlistName, platform) => {
@@ -529,44 +746,8 @@ const [upgradeModal, setUpgradeModal] = useState({ open: false, feature: '' });
     }
 
     try {
-      const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-      const url = `${apiUrl}/api/playlists/${encodeURIComponent(deletePlaylistData.playlistId)}?userId=${userId}`;
       console.log('Deleting playlist:', deletePlaylistData.playlistId, 'for user:', userId);
-      console.log('Request URL:', url);
-
-      const response = await fetch(url, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-
-      console.log('Response status:', response.status);
-      console.log('Response headers:', response.headers.get('content-type'));
-
-      if (!response.ok) {
-        const contentType = response.headers.get('content-type');
-        let errorData;
-        if (contentType && contentType.includes('application/json')) {
-          errorData = await response.json();
-          console.error('Error response:', errorData);
-          throw new Error(errorData.details || errorData.error || `HTTP ${response.status}: Failed to delete playlist`);
-        } else {
-          const text = await response.text();
-          console.error('Non-JSON response:', text.substring(0, 200));
-          throw new Error(`HTTP ${response.status}: Server error - check backend logs`);
-        }
-      }
-
-      const contentType = response.headers.get('content-type');
-      let data;
-      if (contentType && contentType.includes('application/json')) {
-        data = await response.json();
-      } else {
-        const text = await response.text();
-        console.warn('Non-JSON success response:', text);
-        data = { success: true };
-      }
+      const data = await playlistService.deletePlaylist(deletePlaylistData.playlistId, userId);
 
       console.log('Delete response:', data);
       mp.track('Playlist Deleted');
@@ -576,7 +757,7 @@ const [upgradeModal, setUpgradeModal] = useState({ open: false, feature: '' });
       setTimeout(() => setError(''), 3000);
     } catch (err) {
       console.error('Delete error:', err);
-      const errorMessage = err.message || 'Failed to delete playlist';
+      const errorMessage = err.response?.data?.details || err.response?.data?.error || err.message || 'Failed to delete playlist';
       setError(errorMessage);
       setIsDeleting(false);
     }
@@ -600,6 +781,79 @@ const [upgradeModal, setUpgradeModal] = useState({ open: false, feature: '' });
     }
   };
 
+  // Match a playlist link or file on the user's platform; exact and close matches start selected
+  const handlePreviewImport = async (source) => {
+    setPreviewingImport(true);
+    setError('');
+
+    try {
+      const preview = await playlistService.previewPlaylistImport(userId, source);
+      setImportPreview(preview);
+      setImportName(preview.source.name || 'Imported playlist');
+      setImportSelection(new Set([...preview.matched, ...preview.fuzzy].map(({ target }) => target.uri)));
+      mp.track('Import Previewed', {
+        source: preview.source.origin.type === 'url' ? preview.source.origin.platform : preview.source.origin.format,
+        track_count: preview.source.trackCount,
+        matched_count: preview.matched.length,
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to read playlist');
+      console.error(err);
+    } finally {
+      setPreviewingImport(false);
+    }
+  };
+
+  const handleImportFileChange = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    handlePreviewImport({ file: { name: file.name, content: await file.text() } });
+  };
+
+  const toggleImportTrack = (uri) => {
+    setImportSelection(prev => {
+      const next = new Set(prev);
+      if (next.has(uri)) {
+        next.delete(uri);
+      } else {
+        next.add(uri);
+      }
+      return next;
+    });
+  };
+
+  const handleConfirmImport = async () => {
+    setImporting(true);
+    setError('');
+
+    // Keep the source playlist's order
+    const tracks = [
+      ...importPreview.matched.map(({ target }) => target),
+      ...importPreview.fuzzy.map(({ target }) => target),
+      ...importPreview.unmatched.flatMap(({ candidates }) => candidates),
+    ].filter((track, index, all) => importSelection.has(track.uri) && all.findIndex(other => other.uri === track.uri) === index);
+
+    try {
+      const importResult = await playlistService.confirmPlaylistImport(userId, {
+        name: importName,
+        description: importPreview.source.description,
+        trackUris: tracks.map(track => track.uri),
+        tracks,
+        origin: importPreview.source.origin,
+      });
+      await fetchPlaylists();
+      mp.track('Playlist Imported', { track_count: importResult?.playlist?.trackCount || 0, source: importPreview.source.origin.type });
+      closeImportModal();
+      showToast(['Playlist imported successfully!', regionBlockedNote(importResult?.regionBlocked)].filter(Boolean).join(' '), 'success');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to import playlist');
+      console.error(err);
+    } finally {
+      setImporting(false);
+    }
+  };
+
 
   // Unified edit options modal handlers
   const openEditOptionsModal = (playlist) => {
@@ -775,7 +1029,8 @@ IMPORTANT: Pay close attention to the original request and description to unders
           editOptionsPlaylist.playlistId,
           userId,
           newTrackUris,
-          currentTrackUris
+          currentTrackUris,
+          { prompt, newTracks: result.tracks }
         );
         showToast(`Replaced ${currentTrackUris.length} songs with ${newTrackUris.length} new ones!`, 'success');
       } else {
@@ -784,7 +1039,8 @@ IMPORTANT: Pay close attention to the original request and description to unders
           editOptionsPlaylist.playlistId,
           userId,
           newTrackUris,
-          []
+          [],
+          { prompt, newTracks: result.tracks }
         );
         const msg = isApple && manualRefreshMode === 'replace'
           ? `Added ${newTrackUris.length} new songs (Apple Music doesn't support removing songs via API)`
@@ -805,6 +1061,31 @@ IMPORTANT: Pay close attention to the original request and description to unders
     }
   };
 
+  // One track in the import preview; `source` is shown when the match isn't exact
+  const renderImportTrack = (target, source) => (
+    <label key={target.uri} className="spotify-playlist-item import-preview-track">
+      <input
+        type="checkbox"
+        checked={importSelection.has(target.uri)}
+        onChange={() => toggleImportTrack(target.uri)}
+      />
+      {target.image ? (
+        <img src={target.image} alt={target.name} className="spotify-playlist-image" />
+      ) : (
+        <div className="spotify-playlist-image playlist-cover-placeholder">♫</div>
+      )}
+      <div className="spotify-playlist-info">
+        <div className="spotify-playlist-name">{target.name}</div>
+        <div className="spotify-playlist-meta">
+          {target.artist}{target.album ? ` • ${target.album}` : ''}
+        </div>
+        {source && (
+          <div className="spotify-playlist-description">For "{source.name}"{source.artist ? ` by ${source.artist}` : ''}</div>
+        )}
+      </div>
+    </label>
+  );
+
 
   if (loading) {
     return (
@@ -826,6 +1107,16 @@ IMPORTANT: Pay close attention to the original request and description to unders
         onClose={() => setUpgradeModal({ open: false, feature: '' })}
         featureName={upgradeModal.feature}
       />
+      <ConfirmModal
+        isOpen={!!restoreRun}
+        title="Restore this version?"
+        message={restoreRun
+          ? `Your playlist will be set back to the ${restoreRun.run.trackCountBefore} songs it had before this ${formatRunTrigger(restoreRun.run.trigger).toLowerCase()}.`
+          : ''}
+        confirmLabel={restoring ? 'Restoring...' : 'Restore'}
+        onConfirm={() => !restoring && confirmRestore()}
+        onCancel={() => !restoring && setRestoreRun(null)}
+      />
       <ErrorMessage
         errorLog={errorLog}
         onRetry={handleErrorRetry}
@@ -843,6 +1134,21 @@ IMPORTANT: Pay close attention to the original request and description to unders
 
       {error && <div className="error-message">{error}</div>}
 
+      {reconnectPlatforms.map(platform => {
+        const paused = pausedPlaylistCount(platform);
+        return (
+          <div key={platform} className="playlists-reconnect-banner">
+            <span>
+              {getPlatformDisplayName(platform)} access was revoked or has expired.
+              {paused > 0 && ` Auto-updates are paused for ${paused} ${paused === 1 ? 'playlist' : 'playlists'} until you reconnect.`}
+            </span>
+            <button onClick={() => handleReconnect(platform)} disabled={!!reconnecting}>
+              {reconnecting === platform ? 'Reconnecting...' : 'Reconnect'}
+            </button>
+          </div>
+        );
+      })}
+
       {playlists.length === 0 ? (
         <div className="empty-state">
           <p>You haven't created any playlists yet.</p>
@@ -870,7 +1176,19 @@ IMPORTANT: Pay close attention to the original request and description to unders
                     </button>
                     {openMenuId === playlist.playlistId && (
                       <div className="playlist-dropdown-menu">
-                        {playlist.platform !== 'apple' && (
+                        {playlist.platform === 'youtube' && playlist.youtubeUrl && (
+                          <button
+                            className="playlist-dropdown-item"
+                            onClick={(e) => handleMenuAction('open', playlist, e)}
+                          >
+                            <svg viewBox="0 0 24 24" width="16" height="16" role="img" aria-label="YouTube Music">
+                              <circle cx="12" cy="12" r="12" fill="#FF0000" />
+                              <path d="M9.5 7.5v9l7-4.5z" fill="#FFFFFF" />
+                            </svg>
+                            Open in YouTube Music
+                          </button>
+                        )}
+                        {(playlist.platform === 'spotify' || !playlist.platform) && (
                           <button
                             className="playlist-dropdown-item"
                             onClick={(e) => handleMenuAction('open', playlist, e)}
@@ -885,6 +1203,60 @@ IMPORTANT: Pay close attention to the original request and description to unders
                             Open in Spotify
                           </button>
                         )}
+                        {(playlist.platform === 'spotify' || playlist.platform === 'apple' || !playlist.platform) && (
+                          <button
+                            className="playlist-dropdown-item"
+                            onClick={(e) => handleMenuAction('transfer', playlist, e)}
+                          >
+                            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+                              <polyline points="17 1 21 5 17 9"></polyline>
+                              <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+                              <polyline points="7 23 3 19 7 15"></polyline>
+                              <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+                            </svg>
+                            Copy to {platformLabel(transferTarget(playlist))}
+                          </button>
+                        )}
+                        {(playlist.platform === 'spotify' || playlist.platform === 'apple' || !playlist.platform) && getUserIdForPlatform('youtube') && (
+                          <button
+                            className="playlist-dropdown-item"
+                            onClick={(e) => handleMenuAction('transfer-youtube', playlist, e)}
+                          >
+                            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+                              <polyline points="17 1 21 5 17 9"></polyline>
+                              <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+                              <polyline points="7 23 3 19 7 15"></polyline>
+                              <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+                            </svg>
+                            Copy to {platformLabel('youtube')}
+                          </button>
+                        )}
+                        {(playlist.platform === 'spotify' || playlist.platform === 'apple' || !playlist.platform) && (
+                          <button
+                            className="playlist-dropdown-item"
+                            onClick={(e) => handleMenuAction(playlist.mirror ? 'unmirror' : 'mirror', playlist, e)}
+                          >
+                            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+                              <polyline points="23 4 23 10 17 10"></polyline>
+                              <polyline points="1 20 1 14 7 14"></polyline>
+                              <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"></path>
+                            </svg>
+                            {playlist.mirror
+                              ? `Stop syncing to ${platformLabel(playlist.mirror.platform)}`
+                              : `Keep in sync on ${platformLabel(transferTarget(playlist))}`}
+                          </button>
+                        )}
+                        <button
+                          className="playlist-dropdown-item"
+                          onClick={(e) => handleMenuAction('export', playlist, e)}
+                        >
+                          <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                            <polyline points="7 10 12 15 17 10"></polyline>
+                            <line x1="12" y1="15" x2="12" y2="3"></line>
+                          </svg>
+                          Export
+                        </button>
                         {!playlist.isReadOnly && (
                           <button
                             className="playlist-dropdown-item"
@@ -949,6 +1321,14 @@ IMPORTANT: Pay close attention to the original request and description to unders
                       {playlist.updatedAt ? `Updated ${formatDate(playlist.updatedAt)}` : `${playlist.imported ? 'Imported' : 'Created'} ${formatDate(playlist.createdAt)}`}
                       {playlist.isReadOnly && <span style={{ color: '#fbbf24', marginLeft: '8px' }}>({playlist.readOnlyReason})</span>}
                       {playlist.error && !playlist.isReadOnly && <span style={{ color: '#ef4444', marginLeft: '8px' }}>({playlist.error})</span>}
+                      {playlist.regionReport?.blocked?.length > 0 && (
+                        <span
+                          className="region-blocked-note"
+                          title={playlist.regionReport.blocked.map(track => [track.name, track.artist].filter(Boolean).join(' — ') || track.uri).join('\n')}
+                        >
+                          {playlist.regionReport.blocked.length} not available in {playlist.regionReport.region.toUpperCase()}
+                        </span>
+                      )}
                     </p>
                   </div>
                 </div>
@@ -973,6 +1353,93 @@ IMPORTANT: Pay close attention to the original request and description to unders
                     </div>
                   )}
 
+                  <div className="playlist-history">
+                    <button
+                      className="playlist-history-toggle"
+                      onClick={() => toggleHistory(playlist.playlistId)}
+                    >
+                      {historyPlaylistId === playlist.playlistId ? 'Hide changes' : 'What changed this week'}
+                    </button>
+                    {historyPlaylistId === playlist.playlistId && (
+                      <div className="playlist-history-panel">
+                        {historyLoading ? (
+                          <p className="playlist-history-empty">Loading...</p>
+                        ) : historyRuns.length === 0 ? (
+                          <p className="playlist-history-empty">
+                            {historyShowAll ? 'No updates recorded yet.' : 'No updates in the last 7 days.'}
+                          </p>
+                        ) : (
+                          historyRuns.map((run) => (
+                            <div key={run.id} className={`playlist-history-run playlist-history-run--${run.status}`}>
+                              <div
+                                className="playlist-history-run-header"
+                                onClick={() => setExpandedRunId(expandedRunId === run.id ? null : run.id)}
+                              >
+                                <div className="playlist-history-run-title">
+                                  <span className="playlist-history-trigger">{formatRunTrigger(run.trigger)}</span>
+                                  <span className="playlist-history-date">{formatDate(run.createdAt)}</span>
+                                </div>
+                                <div className="playlist-history-run-summary">
+                                  {run.status === 'failed' ? (
+                                    <span className="playlist-history-failed">Failed</span>
+                                  ) : run.status === 'skipped' ? (
+                                    <span className="playlist-history-skipped">No changes</span>
+                                  ) : run.status === 'paused' ? (
+                                    <span className="playlist-history-skipped">Paused</span>
+                                  ) : (
+                                    <>
+                                      <span className="playlist-history-added">+{run.tracksAdded.length}</span>
+                                      <span className="playlist-history-removed">−{run.tracksRemoved.length}</span>
+                                    </>
+                                  )}
+                                </div>
+                              </div>
+                              {expandedRunId === run.id && (
+                                <div className="playlist-history-run-details">
+                                  {run.error && <p className="playlist-history-error">{run.error}</p>}
+                                  {run.prompt && (
+                                    <p className="playlist-history-prompt">
+                                      “{run.prompt.length > 200 ? `${run.prompt.slice(0, 200)}…` : run.prompt}”
+                                    </p>
+                                  )}
+                                  {run.tracksAdded.length > 0 && (
+                                    <ul className="playlist-history-tracks">
+                                      {run.tracksAdded.map((t) => (
+                                        <li key={`add-${t.uri}`} className="playlist-history-track--added">+ {t.name} — {t.artist}</li>
+                                      ))}
+                                    </ul>
+                                  )}
+                                  {run.tracksRemoved.length > 0 && (
+                                    <ul className="playlist-history-tracks">
+                                      {run.tracksRemoved.map((t) => (
+                                        <li key={`rm-${t.uri}`} className="playlist-history-track--removed">− {t.name} — {t.artist}</li>
+                                      ))}
+                                    </ul>
+                                  )}
+                                  {run.canRestore && run.status === 'succeeded' && (
+                                    <button
+                                      className="playlist-history-restore"
+                                      onClick={() => setRestoreRun({ playlistId: playlist.playlistId, run })}
+                                    >
+                                      Restore version before this {formatRunTrigger(run.trigger).toLowerCase()}
+                                    </button>
+                                  )}
+                                </div>
+                              )}
+                            </div>
+                          ))
+                        )}
+                        {!historyShowAll && !historyLoading && (
+                          <button
+                            className="playlist-history-more"
+                            onClick={() => showAllHistory(playlist.playlistId)}
+                          >
+                            Show full history
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
 
                   <div className="tracks-list">
                     {playlist.tracks && playlist.tracks.length > 0 ? (
@@ -1071,52 +1538,247 @@ IMPORTANT: Pay close attention to the original request and description to unders
         <div className="modal-overlay" onClick={closeImportModal}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h2>Import Playlist {activePlatform ? `from ${activePlatform === 'spotify' ? 'Spotify' : 'Apple Music'}` : ''}</h2>
-              <button onClick={closeImportModal} className="close-modal-button">
+              <h2>
+                {importPreview
+                  ? `Import to ${platformLabel(importPreview.platform)}`
+                  : `Import Playlist ${activePlatform ? `from ${activePlatform === 'spotify' ? 'Spotify' : 'Apple Music'}` : ''}`}
+              </h2>
+              <button onClick={closeImportModal} className="close-modal-button" disabled={importing}>
                 ×
               </button>
             </div>
-            <p style={{ margin: '12px 20px 8px', fontSize: '14px', color: '#8e8e93', flexShrink: 0 }}>
-              Only playlists that haven't been imported yet are shown. Playlists already in Fins are hidden from this list.
-            </p>
 
-            {loadingPlaylists ? (
+            {previewingImport ? (
               <div className="modal-loading">
                 <span className="spinner"></span>
-                <p>Loading your playlists...</p>
-              </div>
-            ) : platformPlaylists.length === 0 ? (
-              <div className="modal-empty">
-                <p>No playlists available to import. All your {activePlatform === 'apple' ? 'Apple Music' : 'Spotify'} playlists have already been imported.</p>
+                <p>Finding the songs on {platformLabel(activePlatform)}...</p>
               </div>
+            ) : importPreview ? (
+              <>
+                <p className="transfer-summary">
+                  Found {importPreview.matched.length} of {importPreview.source.trackCount} songs
+                  {importPreview.fuzzy.length > 0 && `, plus ${importPreview.fuzzy.length} close ${importPreview.fuzzy.length === 1 ? 'match' : 'matches'} to check`}.
+                  {importPreview.source.skipped > 0 && ` Only the first ${importPreview.source.trackCount} songs are imported; ${importPreview.source.skipped} more were left out.`}
+                </p>
+                <div className="import-source-form">
+                  <input
+                    type="text"
+                    className="import-url-input"
+                    value={importName}
+                    onChange={(e) => setImportName(e.target.value)}
+                    placeholder="Playlist name"
+                    maxLength={100}
+                  />
+                </div>
+                <div className="spotify-playlists-list">
+                  {importPreview.matched.length > 0 && (
+                    <div className="transfer-section-title">Matched ({importPreview.matched.length})</div>
+                  )}
+                  {importPreview.matched.map(({ target }) => renderImportTrack(target))}
+
+                  {importPreview.fuzzy.length > 0 && (
+                    <div className="transfer-section-title">Close matches ({importPreview.fuzzy.length}) — uncheck any that aren't right:</div>
+                  )}
+                  {importPreview.fuzzy.map(({ source, target }) => renderImportTrack(target, source))}
+
+                  {importPreview.unmatched.length > 0 && (
+                    <div className="transfer-section-title">Not found ({importPreview.unmatched.length}) — pick a close match instead:</div>
+                  )}
+                  {importPreview.unmatched.map(({ source, candidates }, index) => (
+                    <div key={`${source.name}-${index}`} className="transfer-unmatched-item">
+                      <div className="spotify-playlist-name">{source.name}</div>
+                      <div className="spotify-playlist-meta">{source.artist}</div>
+                      {candidates.length === 0 ? (
+                        <div className="spotify-playlist-meta">No close matches</div>
+                      ) : candidates.map((candidate) => renderImportTrack(candidate))}
+                    </div>
+                  ))}
+                </div>
+                <div className="import-preview-actions">
+                  <button onClick={() => setImportPreview(null)} className="import-back-button" disabled={importing}>
+                    Back
+                  </button>
+                  <button
+                    onClick={handleConfirmImport}
+                    disabled={importing || importSelection.size === 0 || !importName.trim()}
+                    className="import-playlist-button"
+                  >
+                    {importing ? 'Importing...' : `Import ${importSelection.size} ${importSelection.size === 1 ? 'song' : 'songs'}`}
+                  </button>
+                </div>
+              </>
             ) : (
-              <div className="spotify-playlists-list">
-                {platformPlaylists.map((playlist) => (
-                  <div key={playlist.id} className="spotify-playlist-item">
-                    {playlist.image ? (
-                      <img src={playlist.image} alt={playlist.name} className="spotify-playlist-image" />
-                    ) : (
-                      <div className="spotify-playlist-image playlist-cover-placeholder">♫</div>
-                    )}
-                    <div className="spotify-playlist-info">
-                      <div className="spotify-playlist-name">{playlist.name}</div>
-                      <div className="spotify-playlist-meta">
-                        {playlist.trackCount} tracks{playlist.owner ? ` • by ${playlist.owner}` : ''}
+              <>
+                <div className="import-source-form">
+                  <input
+                    type="url"
+                    className="import-url-input"
+                    value={importUrl}
+                    onChange={(e) => setImportUrl(e.target.value)}
+                    placeholder="Paste a public Spotify or Apple Music playlist link"
+                  />
+                  <button
+                    onClick={() => handlePreviewImport({ url: importUrl.trim() })}
+                    disabled={!importUrl.trim()}
+                    className="import-playlist-button"
+                  >
+                    Preview
+                  </button>
+                  <label className="import-back-button import-file-button">
+                    Upload file
+                    <input type="file" accept=".m3u,.m3u8,.xspf,.csv" onChange={handleImportFileChange} hidden />
+                  </label>
+                </div>
+                <p style={{ margin: '12px 20px 8px', fontSize: '14px', color: '#8e8e93', flexShrink: 0 }}>
+                  Files can be M3U, XSPF or CSV (title, artist, ISRC). Or pick one of your playlists — only playlists that haven't been imported yet are shown.
+                </p>
+
+                {loadingPlaylists ? (
+                  <div className="modal-loading">
+                    <span className="spinner"></span>
+                    <p>Loading your playlists...</p>
+                  </div>
+                ) : platformPlaylists.length === 0 ? (
+                  <div className="modal-empty">
+                    <p>No playlists available to import. All your {activePlatform === 'apple' ? 'Apple Music' : 'Spotify'} playlists have already been imported.</p>
+                  </div>
+                ) : (
+                  <div className="spotify-playlists-list">
+                    {platformPlaylists.map((playlist) => (
+                      <div key={playlist.id} className="spotify-playlist-item">
+                        {playlist.image ? (
+                          <img src={playlist.image} alt={playlist.name} className="spotify-playlist-image" />
+                        ) : (
+                          <div className="spotify-playlist-image playlist-cover-placeholder">♫</div>
+                        )}
+                        <div className="spotify-playlist-info">
+                          <div className="spotify-playlist-name">{playlist.name}</div>
+                          <div className="spotify-playlist-meta">
+                            {playlist.trackCount} tracks{playlist.owner ? ` • by ${playlist.owner}` : ''}
+                          </div>
+                          {playlist.description && (
+                            <div className="spotify-playlist-description">{playlist.description}</div>
+                          )}
+                        </div>
+                        <button
+                          onClick={() => handleImportPlaylist(playlist.id)}
+                          disabled={importing}
+                          className="import-playlist-button"
+                        >
+                          {importing ? 'Importing...' : 'Import'}
+                        </button>
                       </div>
-                      {playlist.description && (
-                        <div className="spotify-playlist-description">{playlist.description}</div>
-                      )}
-                    </div>
-                    <button
-                      onClick={() => handleImportPlaylist(playlist.id)}
-                      disabled={importing}
-                      className="import-playlist-button"
-                    >
-                      {importing ? 'Importing...' : 'Import'}
-                    </button>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {exportTarget && (
+        <div className="modal-overlay" onClick={() => !exportingFormat && setExportTarget(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Export "{exportTarget.playlistName}"</h2>
+              <button onClick={() => setExportTarget(null)} className="close-modal-button" disabled={!!exportingFormat}>
+                ×
+              </button>
+            </div>
+            <div className="spotify-playlists-list export-format-list">
+              {EXPORT_FORMATS.map(({ format, label, description }) => (
+                <div key={format} className="spotify-playlist-item">
+                  <div className="spotify-playlist-info">
+                    <div className="spotify-playlist-name">{label}</div>
+                    <div className="spotify-playlist-meta">{description}</div>
                   </div>
-                ))}
+                  <button
+                    onClick={() => handleExportPlaylist(format)}
+                    disabled={!!exportingFormat}
+                    className="import-playlist-button"
+                  >
+                    {exportingFormat === format ? 'Exporting...' : 'Download'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {transferResult && (
+        <div className="modal-overlay" onClick={closeTransferModal}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>
+                {transferResult.mode === 'mirror' ? 'Sync to' : 'Copy to'} {platformLabel(transferResult.platform)}
+              </h2>
+              <button onClick={closeTransferModal} className="close-modal-button" disabled={transferResult.loading}>
+                ×
+              </button>
+            </div>
+
+            {transferResult.loading ? (
+              <div className="modal-loading">
+                <span className="spinner"></span>
+                <p>Finding the songs from "{transferResult.playlistName}" on {platformLabel(transferResult.platform)}...</p>
               </div>
+            ) : (
+              <>
+                <p className="transfer-summary">
+                  Found {transferResult.matchedCount} of {transferResult.totalCount} songs. "{transferResult.playlistName}" is now on {platformLabel(transferResult.platform)}.
+                  {transferResult.regionBlocked?.length > 0 && ` ${regionBlockedNote(transferResult.regionBlocked)}`}
+                  {transferResult.sourceAutoUpdatePaused && ' Auto-updates have moved to the new copy.'}
+                  {transferResult.mode === 'mirror' && ' Every update to this playlist will be synced there too.'}
+                  {transferResult.error && ` Syncing hit a problem: ${transferResult.error}`}
+                  {transferResult.playlistUrl && (
+                    <>
+                      {' '}
+                      <a href={transferResult.playlistUrl} target="_blank" rel="noopener noreferrer">Open playlist</a>
+                    </>
+                  )}
+                </p>
+                {transferResult.unmatched.length > 0 && (
+                  <div className="spotify-playlists-list">
+                    <div className="transfer-section-title">
+                      {transferResult.mode === 'mirror'
+                        ? `Not found on ${platformLabel(transferResult.platform)} (${transferResult.unmatched.length}) — these stay only on ${platformLabel(transferTarget({ platform: transferResult.platform }))}:`
+                        : `Not found (${transferResult.unmatched.length}) — add a close match instead:`}
+                    </div>
+                    {transferResult.unmatched.map(({ source, candidates }, index) => (
+                      <div key={`${source.id}-${index}`} className="transfer-unmatched-item">
+                        <div className="spotify-playlist-name">{source.name}</div>
+                        <div className="spotify-playlist-meta">{source.artist}</div>
+                        {transferResult.mode === 'mirror' ? null : candidates.length === 0 ? (
+                          <div className="spotify-playlist-meta">No close matches</div>
+                        ) : candidates.map((candidate) => (
+                          <div key={candidate.uri} className="spotify-playlist-item">
+                            {candidate.image ? (
+                              <img src={candidate.image} alt={candidate.name} className="spotify-playlist-image" />
+                            ) : (
+                              <div className="spotify-playlist-image playlist-cover-placeholder">♫</div>
+                            )}
+                            <div className="spotify-playlist-info">
+                              <div className="spotify-playlist-name">{candidate.name}</div>
+                              <div className="spotify-playlist-meta">
+                                {candidate.artist}{candidate.album ? ` • ${candidate.album}` : ''}
+                              </div>
+                            </div>
+                            <button
+                              onClick={() => handleAddTransferCandidate(candidate)}
+                              disabled={addedCandidates.has(candidate.uri)}
+                              className="import-playlist-button"
+                            >
+                              {addedCandidates.has(candidate.uri) ? 'Added' : 'Add'}
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
             )}
           </div>
         </div>
@@ -9,7 +9,7 @@ import '../styles/PlatformSelection.css';
 const PlatformSelection = ({ email, authToken, onComplete }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [connectedPlatforms, setConnectedPlatforms] = useState({ spotify: false, apple: false });
+  const [connectedPlatforms, setConnectedPlatforms] = useState({ spotify: false, apple: false, youtube: false });
   const [isConnecting, setIsConnecting] = useState(null);
   const [confirmModal, setConfirmModal] = useState(null);
 
@@ -32,6 +32,7 @@ const PlatformSelection = ({ email, authToken, onComplete }) => {
     const emailParam = urlParams.get('email');
     const spotifyConnected = urlParams.get('spotify') === 'connected';
     const appleConnected = urlParams.get('apple') === 'connected';
+    const youtubeConnected = urlParams.get('youtube') === 'connected';
 
     if (spotifyConnected) {
       setConnectedPlatforms({ spotify: true, apple: false });
@@ -43,6 +44,14 @@ const PlatformSelection = ({ email, authToken, onComplete }) => {
       if (userIdParam) localStorage.setItem('userId', userIdParam);
       if (emailParam) localStorage.setItem('userEmail', decodeURIComponent(emailParam));
       window.history.replaceState({}, document.title, '/platform-selection');
+    } else if (youtubeConnected) {
+      // YouTube Music connects alongside the other platforms, so re-read them all
+      const youtubeUserIdParam = urlParams.get('youtubeUserId');
+      if (youtubeUserIdParam) localStorage.setItem('youtubeUserId', youtubeUserIdParam);
+      if (emailParam) localStorage.setItem('userEmail', decodeURIComponent(emailParam));
+      window.history.replaceState({}, document.title, '/platform-selection');
+      mp.track('Platform Connected', { platform: 'youtube' });
+      fetchConnectedPlatforms();
     } else {
       fetchConnectedPlatforms();
     }
@@ -102,6 +111,23 @@ const PlatformSelection = ({ email, authToken, onComplete }) => {
     }
   };
 
+  // YouTube Music is an extra destination for copies — it doesn't replace Spotify / Apple Music
+  const handleConnectYouTube = async () => {
+    mp.track('Platform Connect Clicked', { platform: 'youtube' });
+    setIsConnecting('youtube');
+    setError('');
+    try {
+      const userEmail = email || localStorage.getItem('userEmail');
+      if (!userEmail) throw new Error('Email not found. Please sign up or log in first.');
+      const authData = await playlistService.getYouTubeAuthUrl(userEmail);
+      window.location.href = authData.url;
+    } catch (err) {
+      mp.track('Platform Connect Failed', { platform: 'youtube', error: err.response?.data?.error || err.message });
+      setError(err.response?.data?.error || err.message || 'Failed to connect to YouTube Music');
+      setIsConnecting(null);
+    }
+  };
+
   const handleFinishSignup = async () => {
     if (!anyConnected) mp.track('Platform Selection Skipped');
     else mp.track('Platform Selection Completed', { platforms: connectedPlatforms });
@@ -196,6 +222,26 @@ const PlatformSelection = ({ email, authToken, onComplete }) => {
               )}
             </div>
 
+            {/* YouTube Music — playlists can be copied there */}
+            <div className={`ps-option${connectedPlatforms.youtube ? ' ps-option--connected' : ''}`}>
+              <svg viewBox="0 0 24 24" className="ps-platform-logo" role="img" aria-label="YouTube Music">
+                <circle cx="12" cy="12" r="12" fill="#FF0000" />
+                <path d="M9.5 7.5v9l7-4.5z" fill="#FFFFFF" />
+              </svg>
+              <span className="ps-platform-name">YouTube Music</span>
+              {connectedPlatforms.youtube ? (
+                <span className="ps-badge ps-badge--connected">Connected</span>
+              ) : (
+                <button
+                  className="ps-connect-btn ps-connect-btn--youtube"
+                  onClick={handleConnectYouTube}
+                  disabled={isConnecting === 'youtube' || loading}
+                >
+                  {isConnecting === 'youtube' ? 'Connecting…' : 'Connect'}
+                </button>
+              )}
+            </div>
+
             {/* Spotify — unsupported for now */}
             <div className="ps-option ps-option--unsupported">
               <img src="/spotify-logo.png" alt="Spotify" className="ps-platform-logo" />
@@ -205,7 +251,7 @@ const PlatformSelection = ({ email, authToken, onComplete }) => {
           </div>
 
           <p className="ps-platform-note">
-            We're working on adding support for more platforms.
+            Playlists are made on Apple Music and can be copied to YouTube Music. We're working on adding support for more platforms.
           </p>
 
           {anyConnected && (
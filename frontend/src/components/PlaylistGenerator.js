@@ -1,12 +1,14 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { flushSync } from 'react-dom';
-import playlistService from '../services/api';
+import playlistService, { PLATFORM_RECONNECT_EVENT } from '../services/api';
 import mp from '../utils/mixpanel';
 import { isPaid, isWeeklyLimitActive, getWeeklyLimitResetDate, setWeeklyLimitResetsAt } from '../utils/plan';
 import { playlistsCache } from '../utils/cache';
 import { categorizeError, ERROR_CATEGORIES } from '../utils/errorHandler';
+import { regionBlockedNote } from '../utils/platformUtils';
 import UpgradeModal from './UpgradeModal';
+import ConfirmModal from './ConfirmModal';
 import MyPlaylists from './MyPlaylists';
 import Account from './Account';
 import SongReactions from './SongReactions';
@@ -65,6 +67,7 @@ const PlaylistGenerator = () => {
   const [draftPlaylists, setDraftPlaylists] = useState(_homeCache.draftPlaylists);
   const [currentDraftId, setCurrentDraftId] = useState(null);
   const [generatingMessage, setGeneratingMessage] = useState('');
+  const [partialTracks, setPartialTracks] = useState([]); // tracks confirmed so far by the generation stream
   const [showGeneratingModal, setShowGeneratingModal] = useState(false);
   const [generatingError, setGeneratingError] = useState(null);
   const [weeklyLimitReached, setWeeklyLimitReached] = useState(false);
@@ -109,6 +112,8 @@ const PlaylistGenerator = () => {
 
   // Toast notifications
   const [toasts, setToasts] = useState([]);
+  // Set when Spotify revoked access mid-request ({ platform, message })
+  const [reconnectPrompt, setReconnectPrompt] = useState(null);
 
   // Retry function for the gen-screen error state (differs between chat and artist flows)
   const generationRetryFnRef = useRef(null);
@@ -380,6 +385,7 @@ const PlaylistGenerator = () => {
     const emailParam = urlParams.get('email');
     const spotifyUserIdParam = urlParams.get('spotifyUserId');
     const appleMusicUserIdParam = urlParams.get('appleMusicUserId');
+    const youtubeUserIdParam = urlParams.get('youtubeUserId');
     const connectingFromAccount = localStorage.getItem('connectingFromAccount') === 'true';
 
     console.log('PlaylistGenerator useEffect - checking URL params:', {
@@ -406,7 +412,7 @@ const PlaylistGenerator = () => {
         setIsAuthenticated(true);
         localStorage.setItem('userId', userIdParam);
         mp.identify(userIdParam);
-        mp.track('Platform Connected', { platform: spotifyUserIdParam ? 'spotify' : 'apple' });
+        mp.track('Platform Connected', { platform: spotifyUserIdParam ? 'spotify' : youtubeUserIdParam ? 'youtube' : 'apple' });
 
         // Prefetch playlists in background
         if (!playlistsCache[userIdParam]) {
@@ -447,6 +453,12 @@ const PlaylistGenerator = () => {
         localStorage.setItem('activePlatform', 'apple');
       }
 
+      // YouTube Music is a copy destination only — it doesn't change the active platform
+      if (youtubeUserIdParam) {
+        console.log('PlaylistGenerator: Storing YouTube Music userId from OAuth callback:', youtubeUserIdParam);
+        localStorage.setItem('youtubeUserId', youtubeUserIdParam);
+      }
+
       // If coming back from Spotify OAuth, store flag for Account component to read
       if (spotifyConnected) {
         console.log('PlaylistGenerator: Spotify OAuth callback detected, storing flag for Account component');
@@ -746,6 +758,16 @@ const PlaylistGenerator = () => {
     return () => window.removeEventListener('platformsChanged', handlePlatformsChanged);
   }, [topArtists.length, userId]);
 
+  // A request failed because Spotify revoked the user's access — offer a reconnect
+  useEffect(() => {
+    const handleReconnectRequired = (event) => {
+      if (event.detail?.platform === 'spotify') setReconnectPrompt(event.detail);
+    };
+
+    window.addEventListener(PLATFORM_RECONNECT_EVENT, handleReconnectRequired);
+    return () => window.removeEventListener(PLATFORM_RECONNECT_EVENT, handleReconnectRequired);
+  }, []);
+
   // Close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -825,6 +847,7 @@ const PlaylistGenerator = () => {
   const handleLogout = () => {
     mp.track('User Logged Out');
     mp.reset();
+    playlistService.logout().catch(err => console.error('Logout failed:', err));
     localStorage.removeItem('userId');
     setUserId(null);
     setIsAuthenticated(false);
@@ -924,7 +947,6 @@ const PlaylistGenerator = () => {
       const data = await playlistService.updateEmail(accountEmail, newEmail, emailPassword);
 
       // Update local storage
-      localStorage.setItem('authToken', data.token);
       localStorage.setItem('userEmail', data.email);
 
       setAccountEmail(data.email);
@@ -1033,6 +1055,20 @@ const PlaylistGenerator = () => {
     }
   };
 
+  // Same OAuth round trip as connecting from Account, so it lands back on /account
+  const handleReconnectSpotify = async () => {
+    try {
+      localStorage.setItem('connectingFromAccount', 'true');
+      const { url } = await playlistService.getSpotifyAuthUrl(localStorage.getItem('userEmail'), true);
+      window.location.href = url;
+    } catch (err) {
+      console.error('Failed to start Spotify reconnect:', err);
+      localStorage.removeItem('connectingFromAccount');
+      setReconnectPrompt(null);
+      showToast('Failed to reconnect Spotify. Please try again from Settings.', 'error');
+    }
+  };
+
   // Generate genre-specific messages based on the prompt
   const getGenreMessages = (promptText) => {
     const text = promptText.toLowerCase();
@@ -1115,6 +1151,17 @@ const PlaylistGenerator = () => {
     return messageMap.default;
   };
 
+  // Handle stage/track events from the generation stream. The first real stage
+  // message replaces the canned genre messages cycling in `messageInterval`.
+  const createGenerationEventHandler = (messageInterval) => (event) => {
+    if (event.type === 'stage') {
+      clearInterval(messageInterval);
+      setGeneratingMessage(event.message);
+    } else if (event.type === 'tracks') {
+      setPartialTracks(event.tracks);
+    }
+  };
+
   const handleGeneratePlaylist = async (retryCount = 0) => {
     const maxRetries = 2; // Try up to 3 times total
     const callTimestamp = Date.now();
@@ -1165,7 +1212,8 @@ const PlaylistGenerator = () => {
 
     try {
       generationAbortControllerRef.current = new AbortController();
-      const result = await playlistService.generatePlaylist(prompt.trim(), userId, activePlatform || 'spotify', allowExplicit, songCount, [], null, generationAbortControllerRef.current.signal);
+      setPartialTracks([]);
+      const result = await playlistService.generatePlaylistStream(prompt.trim(), userId, activePlatform || 'spotify', allowExplicit, songCount, [], null, generationAbortControllerRef.current.signal, createGenerationEventHandler(messageInterval));
       clearInterval(messageInterval);
       setGeneratingMessage('');
 
@@ -1305,6 +1353,7 @@ const PlaylistGenerator = () => {
       if (retryCount === 0 || retryCount >= maxRetries) {
         setLoading(false);
         setGeneratingMessage('');
+        setPartialTracks([]);
       }
     }
   };
@@ -1386,7 +1435,7 @@ const PlaylistGenerator = () => {
         generatedPlaylist.description,
         trackUris,
         undefined, undefined, undefined, undefined, undefined, undefined,
-        isManualMode ? { platform: 'spotify_manual', tracks: generatedPlaylist.tracks } : {}
+        isManualMode ? { platform: 'spotify_manual', tracks: generatedPlaylist.tracks } : { tracks: generatedPlaylist.tracks }
       );
 
       if (result.success) {
@@ -1431,7 +1480,7 @@ const PlaylistGenerator = () => {
           : `Your playlist has been created! Open your ${platformName} app to view it in your library.`;
         setCreationResult({
           success: true,
-          message: msg,
+          message: [msg, regionBlockedNote(result.regionBlocked)].filter(Boolean).join(' '),
           playlistName: savedPlaylistName,
         });
       }
@@ -2148,7 +2197,7 @@ const PlaylistGenerator = () => {
           promptToStore,
           chatMessagesToStore,
           excludedSongsToStore,
-          isManualMode ? { platform: 'spotify_manual', tracks: generatedPlaylist.tracks } : {}
+          isManualMode ? { platform: 'spotify_manual', tracks: generatedPlaylist.tracks } : { tracks: generatedPlaylist.tracks }
         );
       }
 
@@ -2204,7 +2253,7 @@ const PlaylistGenerator = () => {
             : `Your playlist has been created! Open your ${platformName} app to view it in your library.`;
         setCreationResult({
           success: true,
-          message: successMsg,
+          message: [successMsg, regionBlockedNote(result.regionBlocked)].filter(Boolean).join(' '),
           playlistName: savedPlaylistName,
           isUpdate: isRefinementOfExisting,
         });
@@ -2338,7 +2387,8 @@ const PlaylistGenerator = () => {
     try {
       // Generate playlist with the artist name and selected settings
       generationAbortControllerRef.current = new AbortController();
-      const result = await playlistService.generatePlaylist(
+      setPartialTracks([]);
+      const result = await playlistService.generatePlaylistStream(
         promptText,
         userId,
         activePlatform || 'spotify',
@@ -2346,7 +2396,8 @@ const PlaylistGenerator = () => {
         committedSongCount,
         [],
         null,
-        generationAbortControllerRef.current.signal
+        generationAbortControllerRef.current.signal,
+        createGenerationEventHandler(messageInterval)
       );
       clearInterval(messageInterval);
       setGeneratingMessage('');
@@ -2400,6 +2451,7 @@ const PlaylistGenerator = () => {
     } finally {
       setLoading(false);
       setGeneratingMessage('');
+      setPartialTracks([]);
     }
   };
 
@@ -2417,7 +2469,7 @@ const PlaylistGenerator = () => {
       setShowSearchResults(true);
     } catch (err) {
       console.error('Search failed:', err);
-      setSearchResults({ playlists: [], users: [] });
+      setSearchResults({ tracks: [], artists: [], albums: [] });
       setShowSearchResults(true);
     } finally {
       setSearchLoading(false);
@@ -2449,6 +2501,15 @@ const PlaylistGenerator = () => {
         onClose={() => setUpgradeModal({ open: false, feature: '' })}
         featureName={upgradeModal.feature}
       />
+      <ConfirmModal
+        isOpen={!!reconnectPrompt}
+        title="Reconnect Spotify"
+        message="Spotify access for your account was revoked or has expired. Reconnect Spotify to keep generating and updating your playlists."
+        confirmLabel="Reconnect"
+        cancelLabel="Not now"
+        onConfirm={handleReconnectSpotify}
+        onCancel={() => setReconnectPrompt(null)}
+      />
       {isAuthenticated && userId && showPaywall ? (
         <Pricing isOnboarding onContinueFree={handlePaywallDismiss} />
       ) : isAuthenticated && userId ? (
@@ -2738,7 +2799,7 @@ const PlaylistGenerator = () => {
             )}
 
             {activeTab === 'feedback' && (
-              <Feedback onBack={() => setActiveTab('home')} userId={userId} />
+              <Feedback onBack={() => setActiveTab('home')} />
             )}
 
             {activeTab === 'reactions' && (
@@ -2942,6 +3003,22 @@ const PlaylistGenerator = () => {
                           ) : (
                             <div className="gen-screen-status-text">{generatingMessage || 'Creating your playlist...'}</div>
                           )}
+                          {!generatingError && partialTracks.length > 0 && (
+                            <div className="gen-screen-tracks gen-screen-tracks-pending">
+                              {partialTracks.map((track) => (
+                                <div key={track.id} className="gen-screen-track-item">
+                                  {track.image
+                                    ? <img src={track.image} alt={track.album} className="gen-screen-track-img" />
+                                    : <div className="gen-screen-track-img-placeholder" />
+                                  }
+                                  <div className="gen-screen-track-info">
+                                    <div className="gen-screen-track-name">{track.name}</div>
+                                    <div className="gen-screen-track-artist">{track.artist}</div>
+                                  </div>
+                                </div>
+                              ))}
+                            </div>
+                          )}
                         </div>
                       )}
 
@@ -3517,6 +3594,18 @@ const PlaylistGenerator = () => {
                         <span className="gen-screen-status-text">{generatingMessage || 'Creating your playlist...'}</span>
                       </div>
                     )}
+                    {!generatingError && partialTracks.map((track) => (
+                      <div key={track.id} className="generate-track-item generate-track-item-pending">
+                        {track.image
+                          ? <img src={track.image} alt={track.album} className="generate-track-img" />
+                          : <div className="generate-track-img-placeholder" />
+                        }
+                        <div className="generate-track-info">
+                          <div className="generate-track-name">{track.name}</div>
+                          <div className="generate-track-artist">{track.artist}</div>
+                        </div>
+                      </div>
+                    ))}
                   </div>
                 ) : (
                   /* Track list state */
@@ -1,13 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import playlistService from '../services/api';
 import Icons from './Icons';
 import { isPaid } from '../utils/plan';
 import mp from '../utils/mixpanel';
 import '../styles/Pricing.css';
 
-const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001';
-
 const FREE_FEATURES = [
   { label: 'Generate playlists', detail: '1 per week — from a prompt or a mix' },
   { label: 'Dis/liked songs', detail: 'Like or skip songs to improve future playlists' },
@@ -39,8 +37,8 @@ const Pricing = ({ isOnboarding = false, onContinueFree }) => {
     if (!userId || alreadyPaid) return;
     const email = userId.includes('@') ? userId : null;
     if (!email) return;
-    axios.get(`${API_BASE}/api/account/${encodeURIComponent(email)}`)
-      .then(({ data }) => {
+    playlistService.getAccountInfo(encodeURIComponent(email))
+      .then((data) => {
         const used = data.trialUsed || false;
         setTrialUsed(used);
         localStorage.setItem('trialUsed', String(used));
@@ -164,7 +164,6 @@ const SignupForm = ({ onSignupComplete }) => {
 
       const data = await playlistService.login(email, password);
       const trimmedEmail = email.trim().toLowerCase();
-      localStorage.setItem('authToken', data.token);
       localStorage.setItem('userEmail', trimmedEmail);
       localStorage.setItem('musicPlatform', data.platform);
       localStorage.setItem('userPlan', data.plan || 'free');
@@ -204,7 +203,6 @@ const SignupForm = ({ onSignupComplete }) => {
       localStorage.clear();
       const data = await playlistService.signup(email, password, 'spotify');
       const trimmedEmail = email.trim().toLowerCase();
-      localStorage.setItem('authToken', data.token);
       localStorage.setItem('userEmail', trimmedEmail);
       localStorage.setItem('musicPlatform', 'spotify');
       localStorage.setItem('inSignupFlow', 'true');
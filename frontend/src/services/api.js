@@ -3,7 +3,8 @@ import { createErrorLog } from '../utils/errorHandler';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
-const api = axios.create({
+// Shared client (session header + refresh) for components that call endpoints directly
+export const api = axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
@@ -11,6 +12,89 @@ const api = axios.create({
   timeout: 120000, // 120 second timeout for long-running requests like playlist generation (includes vibe checks)
 });
 
+// ── Session tokens ─────────────────────────────────────────────────────────────
+// authToken is a short-lived access JWT sent as a Bearer header; refreshToken is
+// exchanged at /api/auth/refresh for a new pair when the access token expires.
+export const saveSession = (data) => {
+  if (data?.token) localStorage.setItem('authToken', data.token);
+  if (data?.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
+const authHeader = () => {
+  const token = localStorage.getItem('authToken');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// EventSource can't send headers — the backend's event-stream routes also accept ?access_token=
+export const withAccessToken = (params) => {
+  const token = localStorage.getItem('authToken');
+  if (token) params.set('access_token', token);
+  return params;
+};
+
+// One refresh at a time — concurrent 401s all wait on the same request.
+// Resolves true when a new session was stored, false when the user must sign in again.
+let refreshPromise = null;
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken: localStorage.getItem('refreshToken') })
+      .then(({ data }) => { saveSession(data); return true; })
+      .catch(() => { clearSession(); return false; })
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+};
+
+const isSessionError = (status, data) =>
+  status === 401 && (data?.code === 'TOKEN_EXPIRED' || data?.code === 'INVALID_TOKEN');
+
+// ── Platform reconnects ────────────────────────────────────────────────────────
+// When a music platform has revoked the user's grant the backend answers 401
+// PLATFORM_RECONNECT_REQUIRED; this window event ({ detail: { platform, message } })
+// lets the app prompt a reconnect wherever the failing call came from.
+export const PLATFORM_RECONNECT_EVENT = 'platformReconnectRequired';
+
+const notifyReconnectRequired = (data) => {
+  if (data?.code !== 'PLATFORM_RECONNECT_REQUIRED') return;
+  window.dispatchEvent(new CustomEvent(PLATFORM_RECONNECT_EVENT, {
+    detail: { platform: data.platform || 'spotify', message: data.error },
+  }));
+};
+
+api.interceptors.request.use((config) => {
+  config.headers = { ...config.headers, ...authHeader() };
+  return config;
+});
+
+// Session interceptor: refresh an expired access token once and replay the request.
+// If the refresh fails the stale token is cleared and the request is replayed anonymously.
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    if (config && !config._sessionRetried && isSessionError(response?.status, response?.data)) {
+      config._sessionRetried = true;
+      await refreshSession();
+      return api(config);
+    }
+    throw error;
+  }
+);
+
+// Reconnect interceptor
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    notifyReconnectRequired(error.response?.data);
+    throw error;
+  }
+);
+
 // Error interceptor
 api.interceptors.response.use(
   (response) => response,
@@ -68,6 +152,12 @@ export const playlistService = {
     return response.data;
   },
 
+  // Get YouTube Music (Google) authorization URL
+  getYouTubeAuthUrl: async (userEmail) => {
+    const response = await api.get(`/api/auth/youtube?email=${encodeURIComponent(userEmail)}`);
+    return response.data;
+  },
+
   // Get Apple Music authorization URL (legacy OAuth - not used with MusicKit)
   getAppleMusicAuthUrl: async (userEmail = null) => {
     let url = '/api/auth/apple';
@@ -106,6 +196,7 @@ export const playlistService = {
       password,
       platform,
     });
+    saveSession(response.data);
     return response.data;
   },
 
@@ -115,9 +206,20 @@ export const playlistService = {
       email: email.trim().toLowerCase(),
       password,
     });
+    saveSession(response.data);
     return response.data;
   },
 
+  // Log out: revoke the refresh token server-side and forget the session locally
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      if (refreshToken) await api.post('/api/auth/logout', { refreshToken });
+    } finally {
+      clearSession();
+    }
+  },
+
   // Generate playlist using AI
   generatePlaylist: async (prompt, userId, platform = 'spotify', allowExplicit = true, songCount = 30, excludeTrackUris = [], playlistId = null, signal = null) => {
     const response = await api.post('/api/generate-playlist', {
@@ -135,21 +237,69 @@ export const playlistService = {
     return response.data;
   },
 
-  // Search Spotify for tracks and artists
-  // Platform-agnostic search (works with both Spotify and Apple Music)
-  searchTracks: async (query, userId) => {
-    const response = await api.post('/api/search', {
-      query,
-      userId,
+  // Streaming variant of generatePlaylist — POSTs to /api/generate-playlist/stream and
+  // calls onEvent for each `stage` / `tracks` event. Resolves with the final result;
+  // rejects with an axios-shaped error ({ response: { status, data } }) so callers can
+  // reuse their generatePlaylist error handling. Aborting `signal` cancels server-side.
+  generatePlaylistStream: async (prompt, userId, platform = 'spotify', allowExplicit = true, songCount = 30, excludeTrackUris = [], playlistId = null, signal = null, onEvent = () => {}) => {
+    const startStream = () => fetch(`${API_BASE_URL}/api/generate-playlist/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeader() },
+      body: JSON.stringify({ prompt, userId, platform, allowExplicit, songCount, excludeTrackUris, playlistId }),
+      ...(signal ? { signal } : {}),
     });
-    return response.data;
+    let response = await startStream();
+    if (response.status === 401 && isSessionError(401, await response.clone().json().catch(() => null))) {
+      await refreshSession();
+      response = await startStream();
+    }
+    if (!response.ok || !response.body) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = { status: response.status, data: await response.json().catch(() => ({})) };
+      notifyReconnectRequired(error.response.data);
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      for (const frame of frames) {
+        if (!frame.startsWith('data: ')) continue;
+        const event = JSON.parse(frame.slice(6));
+        if (event.type === 'done') {
+          const { type, ...result } = event;
+          return result;
+        }
+        if (event.type === 'error') {
+          const { type, status, ...data } = event;
+          const error = new Error(data.error || 'Failed to generate playlist');
+          error.response = { status, data };
+          notifyReconnectRequired(data);
+          throw error;
+        }
+        onEvent(event);
+      }
+    }
+    // Stream closed without a terminal event (server restart, proxy timeout) — retryable
+    throw new Error('Generation stream ended unexpectedly');
   },
 
-  // Legacy Spotify search (kept for backward compatibility)
-  searchSpotify: async (query, userId) => {
-    const response = await api.post('/api/search-spotify', {
+  // Search tracks, artists and albums on every connected platform.
+  // types: any of 'tracks', 'artists', 'albums' (default all); limit: results per type
+  // per platform (max 25). Pass the response's nextOffset as offset for the next page.
+  search: async (query, userId, { types, limit, offset } = {}) => {
+    const response = await api.post('/api/search', {
       query,
       userId,
+      types,
+      limit,
+      offset,
     });
     return response.data;
   },
@@ -217,15 +367,31 @@ export const playlistService = {
   },
 
   // Update playlist (add/remove tracks)
-  updatePlaylist: async (playlistId, userId, tracksToAdd, tracksToRemove) => {
+  // refresh ({ prompt, currentTracks, newTracks }) records the change in the playlist's history
+  updatePlaylist: async (playlistId, userId, tracksToAdd, tracksToRemove, refresh = null) => {
     const response = await api.post(`/api/playlists/${playlistId}/update`, {
       userId,
       tracksToAdd,
       tracksToRemove,
+      ...(refresh && { refresh }),
+    });
+    return response.data;
+  },
+
+  // Get a playlist's update history (auto-updates, refreshes, refinements, restores)
+  getPlaylistHistory: async (playlistId, userId, days = null) => {
+    const response = await api.get(`/api/playlists/${playlistId}/history`, {
+      params: { userId, ...(days && { days }) },
     });
     return response.data;
   },
 
+  // Restore a playlist to how it was right before the given run
+  restorePlaylistVersion: async (playlistId, runId, userId) => {
+    const response = await api.post(`/api/playlists/${playlistId}/history/${runId}/restore`, { userId });
+    return response.data;
+  },
+
   // Toggle lock on a track (locked tracks survive refresh/auto-update)
   toggleLock: async (playlistId, userId, trackId) => {
     const response = await api.post(`/api/playlists/${playlistId}/toggle-lock`, { userId, trackId });
@@ -267,6 +433,38 @@ export const playlistService = {
     return response.data;
   },
 
+  // Delete a playlist (also removes it from the connected platform)
+  deletePlaylist: async (playlistId, userId) => {
+    const response = await api.delete(`/api/playlists/${encodeURIComponent(playlistId)}`, {
+      params: { userId },
+    });
+    return response.data;
+  },
+
+  // Recreate a playlist on another platform — the user's other one (Spotify ⇄ Apple Music)
+  // unless targetPlatform says otherwise (e.g. 'youtube')
+  // Returns { playlistId, playlistUrl, platform, matchedCount, totalCount, matched, unmatched }
+  transferPlaylist: async (playlistId, userId, targetPlatform) => {
+    const response = await api.post(`/api/playlists/${encodeURIComponent(playlistId)}/transfer`, {
+      userId,
+      ...(targetPlatform && { targetPlatform }),
+    });
+    return response.data;
+  },
+
+  // Keep a copy of the playlist on the user's other platform in sync with every change
+  // Returns { mirror: { platform, playlistId, matchedCount, totalCount, unmatched, error }, playlistUrl }
+  mirrorPlaylist: async (playlistId, userId) => {
+    const response = await api.post(`/api/playlists/${encodeURIComponent(playlistId)}/mirror`, { userId });
+    return response.data;
+  },
+
+  // Stop syncing the mirror copy (it stays in the user's library)
+  unmirrorPlaylist: async (playlistId, userId) => {
+    const response = await api.delete(`/api/playlists/${encodeURIComponent(playlistId)}/mirror`, { params: { userId } });
+    return response.data;
+  },
+
   // Get all liked/disliked songs across all playlists
   getReactions: async (userId) => {
     const response = await api.get(`/api/reactions/${userId}`);
@@ -313,6 +511,42 @@ export const playlistService = {
     return response.data;
   },
 
+  // Match a public playlist link (url) or an exported playlist file ({ name, content }) for review
+  previewPlaylistImport: async (userId, { url, file }) => {
+    const response = await api.post('/api/import-playlist/preview', {
+      userId,
+      url,
+      file,
+    });
+    return response.data;
+  },
+
+  // Create the reviewed import with the tracks the user kept
+  confirmPlaylistImport: async (userId, { name, description, trackUris, tracks, origin }) => {
+    const response = await api.post('/api/import-playlist/confirm', {
+      userId,
+      name,
+      description,
+      trackUris,
+      tracks,
+      origin,
+    });
+    return response.data;
+  },
+
+  // Download a playlist as 'm3u8' | 'xspf' | 'csv' | 'json' → { blob, filename }
+  exportPlaylist: async (playlistId, userId, format) => {
+    const response = await api.get(`/api/playlists/${playlistId}/export`, {
+      params: { userId, format },
+      responseType: 'blob',
+    });
+    const disposition = response.headers['content-disposition'] || '';
+    const encoded = /filename\*=UTF-8''([^;]+)/.exec(disposition);
+    const plain = /filename="([^"]+)"/.exec(disposition);
+    const filename = encoded ? decodeURIComponent(encoded[1]) : plain ? plain[1] : `playlist.${format}`;
+    return { blob: response.data, filename };
+  },
+
   // Get user profile
   getUserProfile: async (userId) => {
     const response = await api.get(`/api/user-profile/${userId}`);
@@ -332,15 +566,6 @@ export const playlistService = {
     return response.data;
   },
 
-  // Search for users and playlists
-  search: async (query, userId) => {
-    const response = await api.post('/api/search', {
-      query,
-      userId,
-    });
-    return response.data;
-  },
-
   // Get user account info
   getAccountInfo: async (email) => {
     const response = await api.get(`/api/account/${email}`);
@@ -349,28 +574,62 @@ export const playlistService = {
 
   // Update user email
   updateEmail: async (currentEmail, newEmail, password) => {
-    const authToken = localStorage.getItem('authToken') || '';
     const userId = localStorage.getItem('userId') || '';
     const response = await api.put('/api/account/email', {
       currentEmail,
       newEmail,
       password,
-      authToken,
       userId,
     });
+    saveSession(response.data);
     return response.data;
   },
 
-  // Update user password
+  // Update user password (other devices are signed out; this one gets a new session)
   updatePassword: async (email, currentPassword, newPassword) => {
     const response = await api.put('/api/account/password', {
       email,
       currentPassword,
       newPassword,
     });
+    saveSession(response.data);
     return response.data;
   },
 
+  // Download everything stored for the account (.tar.gz)
+  exportAccountData: async (email) => {
+    const response = await api.get(`/api/account/${encodeURIComponent(email)}/export`, { responseType: 'blob' });
+    const disposition = response.headers['content-disposition'] || '';
+    const plain = /filename="([^"]+)"/.exec(disposition);
+    return { blob: response.data, filename: plain ? plain[1] : 'fins-data.tar.gz' };
+  },
+
+  // Delete the account: every session ends now, data is purged after the grace period
+  deleteAccount: async (email, password) => {
+    const response = await api.post(`/api/account/${encodeURIComponent(email)}/delete`, { password });
+    clearSession();
+    return response.data;
+  },
+
+  // Keep an account that is scheduled for deletion
+  cancelAccountDeletion: async (email) => {
+    const response = await api.post(`/api/account/${encodeURIComponent(email)}/cancel-deletion`);
+    return response.data;
+  },
+
+  // Health of each connected platform as last recorded: [{ platform, status, checkedAt }],
+  // status 'connected' or 'needs_reauth'
+  getConnectionStatus: async (email) => {
+    const response = await api.get(`/api/account/${encodeURIComponent(email)}/connections`);
+    return response.data.connections;
+  },
+
+  // Check every connected platform now: [{ platform, status, checkedAt, error }]
+  checkConnections: async (email) => {
+    const response = await api.post(`/api/account/${encodeURIComponent(email)}/connections/check`);
+    return response.data.connections;
+  },
+
   // Update music platform (legacy single platform)
   updatePlatform: async (email, platform) => {
     const response = await api.put('/api/account/platform', {
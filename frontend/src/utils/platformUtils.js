@@ -1,58 +1,75 @@
 /**
  * Platform Utilities
- * Helper functions for detecting and managing music platforms (Spotify, Apple Music)
+ * Helper functions for detecting and managing music platforms (Spotify, Apple Music, YouTube Music)
  */
 
+/**
+ * Supported platforms, mirroring the backend registry (backend/services/platforms)
+ *   userIdPrefix     - platform userIds look like `${userIdPrefix}${accountId}`
+ *   storageKey       - localStorage key holding the user's id on that platform
+ *   destinationOnly  - playlists can be copied there but not generated there
+ *   features         - which optional features the platform supports
+ */
+export const PLATFORMS = [
+  {
+    id: 'spotify',
+    name: 'Spotify',
+    userIdPrefix: 'spotify_',
+    storageKey: 'spotifyUserId',
+    destinationOnly: false,
+    features: { topArtists: true, newArtists: true, autoRefresh: true, publicPlaylists: true },
+  },
+  {
+    id: 'apple',
+    name: 'Apple Music',
+    userIdPrefix: 'apple_music_',
+    storageKey: 'appleMusicUserId',
+    destinationOnly: false,
+    // Apple Music has no top artists API, and library playlists are private
+    features: { topArtists: false, newArtists: false, autoRefresh: true, publicPlaylists: false },
+  },
+  {
+    id: 'youtube',
+    name: 'YouTube Music',
+    userIdPrefix: 'youtube_',
+    storageKey: 'youtubeUserId',
+    destinationOnly: true,
+    features: { topArtists: false, newArtists: false, autoRefresh: false, publicPlaylists: true },
+  },
+];
+
+const findPlatform = (platform) => PLATFORMS.find(p => p.id === platform) || null;
+
 /**
  * Detect platform from userId
- * @param {string} userId - User ID (spotify_xxx or apple_music_xxx)
- * @returns {string} 'spotify' | 'apple' | 'unknown'
+ * @param {string} userId - User ID (spotify_xxx, apple_music_xxx or youtube_xxx)
+ * @returns {string} 'spotify' | 'apple' | 'youtube' | 'unknown'
  */
 export const getPlatformFromUserId = (userId) => {
   if (!userId) return 'unknown';
 
-  if (userId.startsWith('spotify_')) {
-    return 'spotify';
-  }
-
-  if (userId.startsWith('apple_music_')) {
-    return 'apple';
-  }
-
-  return 'unknown';
+  const platform = PLATFORMS.find(p => userId.startsWith(p.userIdPrefix));
+  return platform ? platform.id : 'unknown';
 };
 
 /**
  * Get platform display name
- * @param {string} platform - 'spotify' | 'apple'
+ * @param {string} platform - 'spotify' | 'apple' | 'youtube'
  * @returns {string} Display name
  */
 export const getPlatformDisplayName = (platform) => {
-  const names = {
-    spotify: 'Spotify',
-    apple: 'Apple Music',
-    unknown: 'Unknown Platform'
-  };
-
-  return names[platform] || names.unknown;
+  return findPlatform(platform)?.name || 'Unknown Platform';
 };
 
 /**
  * Get user's connected platforms from localStorage
  * @param {string} userEmail - User's email
- * @returns {Array<string>} Array of connected platforms ['spotify', 'apple']
+ * @returns {Array<string>} Array of connected platforms, e.g. ['spotify', 'youtube']
  */
 export const getConnectedPlatforms = (userEmail) => {
   try {
     // Check localStorage for stored connection info
-    const spotifyUserId = localStorage.getItem('spotifyUserId');
-    const appleMusicUserId = localStorage.getItem('appleMusicUserId');
-
-    const platforms = [];
-    if (spotifyUserId) platforms.push('spotify');
-    if (appleMusicUserId) platforms.push('apple');
-
-    return platforms;
+    return PLATFORMS.filter(p => localStorage.getItem(p.storageKey)).map(p => p.id);
   } catch (error) {
     console.error('Error getting connected platforms:', error);
     return [];
@@ -61,31 +78,23 @@ export const getConnectedPlatforms = (userEmail) => {
 
 /**
  * Get userId for specific platform
- * @param {string} platform - 'spotify' | 'apple'
+ * @param {string} platform - 'spotify' | 'apple' | 'youtube'
  * @returns {string|null} UserId or null
  */
 export const getUserIdForPlatform = (platform) => {
-  if (platform === 'spotify') {
-    return localStorage.getItem('spotifyUserId');
-  }
-
-  if (platform === 'apple') {
-    return localStorage.getItem('appleMusicUserId');
-  }
-
-  return null;
+  const entry = findPlatform(platform);
+  return entry ? localStorage.getItem(entry.storageKey) : null;
 };
 
 /**
  * Store userId for platform
- * @param {string} platform - 'spotify' | 'apple'
+ * @param {string} platform - 'spotify' | 'apple' | 'youtube'
  * @param {string} userId - User ID
  */
 export const setUserIdForPlatform = (platform, userId) => {
-  if (platform === 'spotify') {
-    localStorage.setItem('spotifyUserId', userId);
-  } else if (platform === 'apple') {
-    localStorage.setItem('appleMusicUserId', userId);
+  const entry = findPlatform(platform);
+  if (entry) {
+    localStorage.setItem(entry.storageKey, userId);
   }
 };
 
@@ -109,38 +118,34 @@ export const getActiveUserId = (selectedPlatform) => {
     return getUserIdForPlatform(selectedPlatform);
   }
 
-  // Fallback: return first available platform
-  const spotifyId = localStorage.getItem('spotifyUserId');
-  const appleId = localStorage.getItem('appleMusicUserId');
+  // Fallback: return first available platform playlists can be generated on
+  const fallback = PLATFORMS
+    .filter(p => !p.destinationOnly)
+    .map(p => localStorage.getItem(p.storageKey))
+    .find(Boolean);
 
-  return spotifyId || appleId || null;
+  return fallback || null;
 };
 
 /**
  * Check if feature is supported on platform
  * @param {string} feature - Feature name
- * @param {string} platform - 'spotify' | 'apple'
+ * @param {string} platform - 'spotify' | 'apple' | 'youtube'
  * @returns {boolean}
  */
 export const isPlatformFeatureSupported = (feature, platform) => {
-  const featureSupport = {
-    topArtists: {
-      spotify: true,
-      apple: false  // Apple Music doesn't have top artists API
-    },
-    newArtists: {
-      spotify: true,
-      apple: false
-    },
-    autoRefresh: {
-      spotify: true,
-      apple: true
-    },
-    publicPlaylists: {
-      spotify: true,
-      apple: false  // Apple Music library playlists are private
-    }
-  };
+  return findPlatform(platform)?.features[feature] ?? false;
+};
 
-  return featureSupport[feature]?.[platform] ?? false;
+/**
+ * Sentence about songs left out of a playlist because they don't play in the user's region
+ * @param {Array} blocked - regionBlocked from a create / import / transfer response, or playlist.regionReport.blocked
+ * @returns {string} '' when nothing was left out
+ */
+export const regionBlockedNote = (blocked) => {
+  const count = blocked?.length || 0;
+  if (count === 0) return '';
+  return count === 1
+    ? "1 song isn't available in your region and was left out."
+    : `${count} songs aren't available in your region and were left out.`;
 };
@@ -0,0 +1,37 @@
+import playlistService from '../services/api';
+import musicKitService from '../services/musicKit';
+
+/**
+ * Reconnect a platform whose access was revoked (connection status 'needs_reauth').
+ * Spotify and YouTube Music send the browser through their consent screen again and come
+ * back connected; Apple Music re-authorizes in place with MusicKit.
+ * @param {string} platform - 'spotify' | 'apple' | 'youtube'
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} true once reconnected in place, false when the page is redirecting
+ */
+export const reconnectPlatform = async (platform, email) => {
+  if (platform === 'apple') {
+    if (!musicKitService.configured) {
+      await musicKitService.configure(await playlistService.getAppleMusicDeveloperToken());
+    }
+    const userMusicToken = await musicKitService.authorize();
+    await playlistService.connectAppleMusicWithToken(userMusicToken, email);
+    return true;
+  }
+
+  if (platform === 'youtube') {
+    const { url } = await playlistService.getYouTubeAuthUrl(email);
+    window.location.href = url;
+    return false;
+  }
+
+  localStorage.setItem('connectingFromAccount', 'true');
+  try {
+    const { url } = await playlistService.getSpotifyAuthUrl(email, true);
+    window.location.href = url;
+    return false;
+  } catch (err) {
+    localStorage.removeItem('connectingFromAccount');
+    throw err;
+  }
+};